@@ -1,4 +1,4 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import * as THREE from 'three';
 import { PatternInput } from './components/PatternInput';
 import { ExportControls } from './components/ExportControls';
@@ -11,14 +11,26 @@ import { PerformanceMonitor } from './components/PerformanceMonitor';
 import { QuickStartGuide } from './components/QuickStartGuide';
 import { AnalyticsDashboard } from './components/AnalyticsDashboard'; 
 import { useAnalytics } from './hooks/useAnalytics';
+import { useUndoRedo } from './hooks/useUndoRedo';
 import { LearningResources } from './components/LearningResources';
 import { IntegrationPlan } from './components/IntegrationPlan';
 import { AuthPlanning } from './components/AuthPlanning';
 import { SafetyCheck } from './components/SafetyCheck';
+import { StorageStatus } from './components/StorageStatus';
+import { ProjectLibraryUI } from './components/ProjectLibraryUI';
+import { CheckpointsUI } from './components/CheckpointsUI';
+import { CrashRecoveryPrompt } from './components/CrashRecoveryPrompt';
+import { StuffingControls } from './components/StuffingControls';
+import { UndoRedoControls } from './components/UndoRedoControls';
+import { createStitchGlyphs, pickStitch, highlightStitches, describeStitch, disposeStitchGlyphs, sameStitch } from './models/stitchGlyphs';
+import { ExportImportManager } from './utils/exportImportManager';
 import { CrochetPiece, Assembly } from './types/assemblyModels';
+import { CrochetPattern } from './types/patternModel';
 import { toSafeVector3, isSafeObject } from './utils/safeTypes';
 import { containsThreeJS, createSaveMonitor, stripThreeJS } from './utils/sanitizer';
 import { isValidConnection } from './utils/assemblyValidator';
+import { captureThumbnail } from './utils/projectLibrary';
+import { PlaybackScene } from './utils/timelinePlayback';
 // import './test-tier-enforcement.js';
 // import './test-recovery.js';
 // import './test-piece-system.js';
@@ -29,6 +41,17 @@ import { isValidConnection } from './utils/assemblyValidator';
 // import './test-drag-drop.js';
 
 
+const DEFAULT_PATTERN = [
+  { round: 1, stitches: 6, instruction: "6 sc in magic ring" },
+  { round: 2, stitches: 12, instruction: "2 sc in each (12)" },
+  { round: 3, stitches: 18, instruction: "[sc, inc] ×6 (18)" },
+  { round: 4, stitches: 24, instruction: "[2 sc, inc] ×6 (24)" },
+  { round: 5, stitches: 30, instruction: "[3 sc, inc] ×6 (30)" }
+];
+
+// Stitch glyphs are built at real size (a 36-stitch ball is about 2 units)
+const STITCH_VIEW_SCALE = 2.5;
+
 export default function App() {
   const mountRef = useRef(null);
   const sceneRef = useRef(null);
@@ -36,21 +59,41 @@ export default function App() {
   const cameraRef = useRef(null);
   const animationIdRef = useRef(null);
   const roundGroupsRef = useRef([]);
+  const stitchGlyphsRef = useRef(null);
+  // Draws the open assembly's pieces and joins
+  const assemblyViewRef = useRef(null);
+  // Hovered stitch as last set, for the mousemove handler to compare with
+  const hoveredStitchRef = useRef(null);
   const mouseControlsRef = useRef({ targetRotationX: 0, targetRotationY: 0 });
   const { trackEvent } = useAnalytics();
 
   const [currentRound, setCurrentRound] = useState(0);
   const [totalStitches, setTotalStitches] = useState(0);
+  // 'rounds' (rings of stitches) or 'stitches' (pickable stitch glyphs)
+  const [viewMode, setViewMode] = useState('rounds');
+  const [hoveredStitch, setHoveredStitch] = useState(null);
+  const [selectedStitch, setSelectedStitch] = useState(null);
   
   const [customPattern, setCustomPattern] = useState(null);
+  // Assembly opened from the project library, or this session's own
+  const [assembly, setAssembly] = useState(() => new Assembly());
+  // Bumped when the open assembly changes in place, e.g. a restore
+  const [assemblyRevision, setAssemblyRevision] = useState(0);
+  const assemblyChanged = useCallback(() => setAssemblyRevision(revision => revision + 1), []);
+  // Undo and redo of the open assembly, each assembly with its own history
+  const undoRedo = useUndoRedo(assembly, { onChange: assemblyChanged });
+  const exportManager = useMemo(() => new ExportImportManager(), []);
+
+  // Journal whichever assembly is open, this session's own included, from
+  // its first change, so a crash between saves loses nothing. Restored
+  // assemblies are journaling already and keep their journal.
+  useEffect(() => {
+    assembly.journalChanges();
+  }, [assembly]);
 
-  const pattern = customPattern || [
-    { round: 1, stitches: 6, instruction: "6 sc in magic ring" },
-    { round: 2, stitches: 12, instruction: "2 sc in each (12)" },
-    { round: 3, stitches: 18, instruction: "[sc, inc] ×6 (18)" },
-    { round: 4, stitches: 24, instruction: "[2 sc, inc] ×6 (24)" },
-    { round: 5, stitches: 30, instruction: "[3 sc, inc] ×6 (30)" }
-  ];
+  const pattern = customPattern || DEFAULT_PATTERN;
+  // Canonical stitch model: which stitch each new stitch is worked into
+  const patternModel = useMemo(() => CrochetPattern.from(pattern), [pattern]);
 
   const handlePatternParsed = (rounds) => {
     console.log('Pattern parsed:', rounds);
@@ -83,6 +126,8 @@ export default function App() {
     setCurrentRound(0);
     setTotalStitches(0);
     setCustomPattern(null);
+    setHoveredStitch(null);
+    setSelectedStitch(null);
   }, []);
 
   // ============================================
@@ -135,7 +180,7 @@ export default function App() {
     return mesh;
   }, []);
   
-  const createRound = useCallback((roundData, yPosition) => {
+  const createRound = useCallback((roundData, yPosition, modelRound = null) => {
     const group = new THREE.Group();
     const { stitches, round } = roundData;
     const stitchObjects = [];
@@ -151,7 +196,9 @@ export default function App() {
       const z = Math.sin(angle) * radius;
       
       // Determine if this is an increase stitch
-      const isIncrease = round > 1 && i % Math.floor(stitches / 6) === 0;
+      const isIncrease = modelRound
+        ? modelRound.stitches[i]?.shaping === 'increase'
+        : round > 1 && i % Math.floor(stitches / 6) === 0;
       const stitch = createStitch(isIncrease ? 'inc' : 'sc');
       
       stitch.position.set(x, yPosition, z);
@@ -200,12 +247,15 @@ export default function App() {
     
     trackEvent('add_round', { roundNumber: currentRound + 1 });
 
-    const roundData = pattern[currentRound];
+    const modelRound = patternModel.rounds[currentRound] || null;
+    const roundData = modelRound
+      ? { ...pattern[currentRound], ...modelRound.toLegacy() }
+      : pattern[currentRound];
     const yPosition = currentRound * 0.4;
     
     console.log(`Adding round ${currentRound + 1}: ${roundData.stitches} stitches`);
     
-    const roundGroup = createRound(roundData, yPosition);
+    const roundGroup = createRound(roundData, yPosition, modelRound);
     
     // Add vertical connections to previous round
     if (roundGroupsRef.current.length > 0 && currentRound > 0) {
@@ -213,19 +263,19 @@ export default function App() {
       const prevPositions = prevRound.userData.stitchPositions;
       const currPositions = roundGroup.userData.stitchPositions;
       
-      // Connect to previous round with vertical yarns
-      const connections = Math.min(prevPositions.length, currPositions.length);
-      for (let i = 0; i < connections; i++) {
-        const fromIdx = i;
-        const toIdx = Math.floor(i * currPositions.length / prevPositions.length);
+      // Connect each stitch to the stitch it was worked into
+      currPositions.forEach((position, i) => {
+        const parent = modelRound?.stitches[i]?.target ??
+          Math.floor(i * prevPositions.length / currPositions.length);
+        if (!prevPositions[parent]) return;
         
         const yarn = createYarnConnection(
-          prevPositions[fromIdx],
-          currPositions[toIdx],
+          prevPositions[parent],
+          position,
           0.05
         );
         roundGroup.add(yarn);
-      }
+      });
     }
     
     // Animate entrance
@@ -248,7 +298,7 @@ export default function App() {
     roundGroupsRef.current.push(roundGroup);
     setCurrentRound(prev => prev + 1);
     setTotalStitches(prev => prev + roundData.stitches);
-  }, [currentRound, pattern, createRound, createYarnConnection]);
+  }, [currentRound, pattern, patternModel, createRound, createYarnConnection]);
 
 // ============================================
   // INITIALIZE THREE.JS SCENE
@@ -341,12 +391,53 @@ export default function App() {
   let isMouseDown = false;
   let mouseX = 0;
   let mouseY = 0;
+  let downX = 0;
+  let downY = 0;
   
-  const handleMouseDown = () => { isMouseDown = true; };
+  // Stitch under the pointer, in the stitch view
+  const raycaster = new THREE.Raycaster();
+  const pickAt = (e) => {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    return pickStitch(stitchGlyphsRef.current, raycaster);
+  };
+  
+  // Only moving onto another stitch changes the hover, so plain pointer
+  // movement does not re-render the app
+  const hoverStitch = (stitch) => {
+    const current = hoveredStitchRef.current;
+    if (stitch === current || sameStitch(stitch, current)) return;
+    hoveredStitchRef.current = stitch;
+    setHoveredStitch(stitch);
+  };
+  
+  const handleMouseDown = (e) => {
+    isMouseDown = true;
+    downX = e.clientX;
+    downY = e.clientY;
+  };
   const handleMouseUp = () => { isMouseDown = false; };
+  const handleMouseLeave = () => {
+    isMouseDown = false;
+    hoverStitch(null);
+  };
+  
+  // A click (not the end of a drag) selects the stitch under the pointer
+  const handleClick = (e) => {
+    if (!stitchGlyphsRef.current) return;
+    if (Math.hypot(e.clientX - downX, e.clientY - downY) > 4) return;
+    setSelectedStitch(pickAt(e));
+  };
   
   const handleMouseMove = (e) => {
-    if (!isMouseDown) return;
+    if (!isMouseDown) {
+      if (stitchGlyphsRef.current) hoverStitch(pickAt(e));
+      return;
+    }
     
     const rect = renderer.domElement.getBoundingClientRect();
     mouseX = ((e.clientX - rect.left) / rect.width) * 2 - 1;
@@ -369,8 +460,9 @@ export default function App() {
   
   renderer.domElement.addEventListener('mousedown', handleMouseDown);
   renderer.domElement.addEventListener('mouseup', handleMouseUp);
-  renderer.domElement.addEventListener('mouseleave', handleMouseUp);
+  renderer.domElement.addEventListener('mouseleave', handleMouseLeave);
   renderer.domElement.addEventListener('mousemove', handleMouseMove);
+  renderer.domElement.addEventListener('click', handleClick);
   renderer.domElement.addEventListener('wheel', handleWheel);
   
   // Animation loop
@@ -430,8 +522,9 @@ export default function App() {
     
     renderer.domElement.removeEventListener('mousedown', handleMouseDown);
     renderer.domElement.removeEventListener('mouseup', handleMouseUp);
-    renderer.domElement.removeEventListener('mouseleave', handleMouseUp);
+    renderer.domElement.removeEventListener('mouseleave', handleMouseLeave);
     renderer.domElement.removeEventListener('mousemove', handleMouseMove);
+    renderer.domElement.removeEventListener('click', handleClick);
     renderer.domElement.removeEventListener('wheel', handleWheel);
     window.removeEventListener('resize', handleResize);
     
@@ -453,6 +546,57 @@ export default function App() {
 
 }, []); // Empty dependency array - only run once!
 
+  // ============================================
+  // STITCH VIEW
+  // ============================================
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+    const showStitches = viewMode === 'stitches';
+    roundGroupsRef.current.forEach(group => { group.visible = !showStitches; });
+    if (!showStitches) return;
+
+    // The rounds added so far, or the whole pattern before the first one
+    const glyphs = createStitchGlyphs(patternModel, { rounds: currentRound || Infinity });
+    glyphs.scale.setScalar(STITCH_VIEW_SCALE);
+    glyphs.position.y = ((glyphs.userData.height || 0) / 2) * STITCH_VIEW_SCALE;
+    scene.add(glyphs);
+    stitchGlyphsRef.current = glyphs;
+
+    return () => {
+      scene.remove(glyphs);
+      disposeStitchGlyphs(glyphs);
+      stitchGlyphsRef.current = null;
+    };
+  }, [viewMode, patternModel, currentRound]);
+
+  useEffect(() => {
+    hoveredStitchRef.current = hoveredStitch;
+    if (stitchGlyphsRef.current) {
+      highlightStitches(stitchGlyphsRef.current, { hovered: hoveredStitch, selected: selectedStitch });
+    }
+  }, [hoveredStitch, selectedStitch, viewMode, patternModel, currentRound]);
+
+  // ============================================
+  // OPEN ASSEMBLY
+  // ============================================
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+    const view = new PlaybackScene(scene);
+    assemblyViewRef.current = view;
+
+    return () => {
+      view.dispose();
+      assemblyViewRef.current = null;
+    };
+  }, []);
+
+  // Redraw whenever another assembly is opened or the open one changes
+  useEffect(() => {
+    if (assemblyViewRef.current) assemblyViewRef.current.show({ state: assembly.toSafeData() });
+  }, [assembly, assemblyRevision]);
+
 
 
 
@@ -532,6 +676,31 @@ export default function App() {
             Reset
           </button>
         </div>
+
+        <div style={{ display: 'flex', gap: '5px', marginBottom: '20px' }}>
+          {[['rounds', '⭕ Rounds'], ['stitches', '🔍 Stitches']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => {
+                setViewMode(mode);
+                setHoveredStitch(null);
+              }}
+              style={{
+                flex: 1,
+                padding: '8px',
+                fontSize: '13px',
+                background: viewMode === mode ? 'rgba(251, 191, 36, 0.4)' : 'rgba(251, 191, 36, 0.1)',
+                border: '1px solid #fbbf24',
+                borderRadius: '6px',
+                color: 'white',
+                fontWeight: viewMode === mode ? '600' : '400',
+                cursor: 'pointer'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         
         <h2 style={{ fontSize: '18px', margin: '20px 0 10px', color: '#fbbf24' }}>
           Pattern Input
@@ -539,6 +708,8 @@ export default function App() {
         <PatternInput 
           onPatternParsed={handlePatternParsed}
           isDisabled={currentRound > 0}
+          highlight={viewMode === 'stitches' ? selectedStitch?.source : null}
+          hoverHighlight={viewMode === 'stitches' ? hoveredStitch?.source : null}
         />
         
         <ExportControls 
@@ -551,6 +722,32 @@ export default function App() {
           currentPattern={pattern}
         />
 
+        <CrashRecoveryPrompt
+          assembly={assembly}
+          onRestore={setAssembly}
+        />
+
+        <ProjectLibraryUI
+          assembly={assembly}
+          tier={assembly?.currentTier}
+          onOpen={setAssembly}
+          getThumbnail={() => captureThumbnail({
+            renderer: rendererRef.current,
+            scene: sceneRef.current,
+            camera: cameraRef.current
+          })}
+        />
+
+        <CheckpointsUI
+          assembly={assembly}
+          manager={exportManager}
+          onRestored={assemblyChanged}
+        />
+
+        <StuffingControls
+          pattern={pattern}
+        />
+
         <YarnCalculator 
           pattern={pattern}
         />
@@ -564,7 +761,10 @@ export default function App() {
 <LearningResources />
 <IntegrationPlan />
 <AuthPlanning />
-<SafetyCheck />
+<SafetyCheck
+  assembly={assembly}
+  onRestored={assemblyChanged}
+/>
 
         <h2 style={{ fontSize: '18px', margin: '20px 0 10px', color: '#fbbf24' }}>
           Pattern {customPattern ? '(Custom)' : '(Default)'}
@@ -609,7 +809,8 @@ export default function App() {
           🖱️ Click & drag to rotate<br/>
           📷 Scroll to zoom<br/>
           🧶 Watch yarn connections form<br/>
-          ✨ Each round builds on previous
+          ✨ Each round builds on previous<br/>
+          🔍 Stitches view: hover or click a stitch
         </div>
         
         <div style={{
@@ -628,7 +829,48 @@ export default function App() {
         </div>
       </div>
       
-      <div ref={mountRef} style={{ flex: 1, position: 'relative' }} />
+      <div style={{ flex: 1, position: 'relative' }}>
+        <div ref={mountRef} style={{ width: '100%', height: '100%' }} />
+
+        {(undoRedo.canUndo || undoRedo.canRedo) && (
+          <UndoRedoControls
+            canUndo={undoRedo.canUndo}
+            canRedo={undoRedo.canRedo}
+            history={undoRedo.history}
+            currentAction={undoRedo.currentAction}
+            onUndo={undoRedo.undo}
+            onRedo={undoRedo.redo}
+            onJumpTo={undoRedo.jumpTo}
+            onClear={undoRedo.clearHistory}
+            stats={undoRedo.getStats()}
+          />
+        )}
+
+        {viewMode === 'stitches' && (hoveredStitch || selectedStitch) && (
+          <div style={{
+            position: 'absolute',
+            top: '15px',
+            left: '15px',
+            maxWidth: '360px',
+            padding: '10px 14px',
+            background: 'rgba(26, 26, 46, 0.9)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            borderRadius: '8px',
+            color: 'white',
+            fontFamily: '"Courier New", monospace',
+            fontSize: '13px',
+            pointerEvents: 'none'
+          }}>
+            {hoveredStitch && <div>{describeStitch(hoveredStitch)}</div>}
+            {selectedStitch && (
+              <div style={{ color: '#f9a8d4', marginTop: hoveredStitch ? '6px' : 0 }}>
+                📌 {describeStitch(selectedStitch)}
+                <div style={{ opacity: 0.8 }}>Round {selectedStitch.round}: {selectedStitch.instruction}</div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
 
  <FeedbackSystem />
 
@@ -638,6 +880,8 @@ export default function App() {
     />
 <QuickStartGuide />
 
+<StorageStatus />
+
 <AnalyticsDashboard />
 
   </div>
@@ -0,0 +1,259 @@
+// src/components/AssemblyDiffUI.jsx
+// Compare the open assembly with another copy of the design and merge them
+
+import React, { useState, useMemo, useEffect } from 'react';
+import { diffAssemblies, diffHighlights, mergeAssemblies, DIFF_COLORS } from '../utils/assemblyDiff';
+
+const STATE_COLORS = {
+  added: `#${DIFF_COLORS.added.toString(16).padStart(6, '0')}`,
+  removed: `#${DIFF_COLORS.removed.toString(16).padStart(6, '0')}`,
+  modified: `#${DIFF_COLORS.modified.toString(16).padStart(6, '0')}`
+};
+
+const describe = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'object' && 'x' in value) return `(${value.x}, ${value.y}, ${value.z})`;
+  if (typeof value === 'object') return JSON.stringify(value).slice(0, 60);
+  return String(value);
+};
+
+const roundText = (round) => round ? `${round.instruction || ''} (${round.stitches ?? '?'})` : '—';
+
+export function AssemblyDiffUI({
+  assembly,
+  manager,
+  compareWith = null,
+  commonBase = null,
+  onHighlight,
+  onApplyMerge
+}) {
+  const [other, setOther] = useState(compareWith ? { data: compareWith, name: 'Other version' } : null);
+  const [base, setBase] = useState(commonBase ? { data: commonBase, name: 'Common version' } : null);
+  const [resolutions, setResolutions] = useState({});
+  const [error, setError] = useState(null);
+
+  const ours = useMemo(() => assembly?.toSafeData(), [assembly]);
+  const diff = useMemo(() => (ours && other ? diffAssemblies(ours, other.data) : null), [ours, other]);
+  const merge = useMemo(
+    () => (ours && other && base ? mergeAssemblies(base.data, ours, other.data, { resolutions }) : null),
+    [ours, other, base, resolutions]
+  );
+
+  // Tint the changed pieces in the 3D view while a diff is shown
+  useEffect(() => {
+    if (!onHighlight) return undefined;
+    onHighlight(diff ? diffHighlights(diff) : new Map());
+    return () => onHighlight(new Map());
+  }, [diff, onHighlight]);
+
+  const load = (setter) => async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !manager) return;
+    try {
+      const result = await manager.import(file, 'auto');
+      setter({ data: result.assembly, name: file.name });
+      setResolutions({});
+      setError(null);
+    } catch (importError) {
+      setError(importError.message);
+    }
+  };
+
+  const unresolved = merge ? merge.conflicts.filter(c => !c.resolved).length : 0;
+
+  return (
+    <div style={{
+      background: 'rgba(0, 0, 0, 0.9)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '8px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      border: '1px solid #4a5568'
+    }}>
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px' }}>🔀 Compare Versions</h3>
+
+      <FilePicker label="Other version" file={other} onChange={load(setOther)} disabled={!manager} />
+      <FilePicker label="Common version (for merging)" file={base} onChange={load(setBase)} disabled={!manager} />
+
+      {error && (
+        <div style={{ color: '#f56565', margin: '8px 0', whiteSpace: 'pre-wrap' }}>{error}</div>
+      )}
+
+      {diff && <DiffView diff={diff} />}
+
+      {merge && (
+        <div style={{ marginTop: '15px', paddingTop: '10px', borderTop: '1px solid #4a5568' }}>
+          <div style={{ marginBottom: '8px' }}>
+            Merge: {merge.applied.length} change{merge.applied.length === 1 ? '' : 's'} from the other version,
+            {' '}{merge.conflicts.length} conflict{merge.conflicts.length === 1 ? '' : 's'}
+          </div>
+
+          {merge.conflicts.map(conflict => (
+            <ConflictRow
+              key={conflict.id}
+              conflict={conflict}
+              onChoose={(choice) => setResolutions({ ...resolutions, [conflict.id]: choice })}
+            />
+          ))}
+
+          {merge.skipped.length > 0 && (
+            <div style={{ color: '#a0aec0', margin: '6px 0' }}>
+              {merge.skipped.length} connection{merge.skipped.length === 1 ? '' : 's'} dropped: a piece
+              {merge.skipped.length === 1 ? ' it joins' : 's they join'} no longer exist{merge.skipped.length === 1 ? 's' : ''}.
+            </div>
+          )}
+
+          <button
+            onClick={() => onApplyMerge && onApplyMerge(merge.merged)}
+            disabled={unresolved > 0}
+            style={{
+              width: '100%',
+              marginTop: '8px',
+              padding: '8px',
+              background: unresolved > 0 ? '#2d3748' : '#48bb78',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: unresolved > 0 ? 'not-allowed' : 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            {unresolved > 0 ? `Choose a side for ${unresolved} conflict${unresolved === 1 ? '' : 's'}` : 'Apply merge'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function FilePicker({ label, file, onChange, disabled }) {
+  return (
+    <label style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      padding: '6px 8px',
+      marginBottom: '6px',
+      background: '#2d3748',
+      borderRadius: '4px',
+      cursor: disabled ? 'default' : 'pointer',
+      opacity: disabled ? 0.6 : 1
+    }}>
+      <span>{label}</span>
+      <span style={{ color: '#a0aec0' }}>{file ? file.name : 'Choose .c3d…'}</span>
+      <input type="file" accept=".c3d,.json" onChange={onChange} disabled={disabled} style={{ display: 'none' }} />
+    </label>
+  );
+}
+
+export function DiffView({ diff }) {
+  if (diff.identical) {
+    return <div style={{ color: '#a0aec0', marginTop: '10px' }}>The two versions are the same.</div>;
+  }
+
+  const { pieces, connections, summary } = diff;
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <div style={{ color: '#a0aec0', marginBottom: '8px' }}>
+        +{summary.piecesAdded} −{summary.piecesRemoved} ~{summary.piecesModified} pieces,
+        {' '}{summary.roundsChanged} rounds, +{summary.connectionsAdded} −{summary.connectionsRemoved} connections
+      </div>
+
+      {diff.name && (
+        <div style={{ marginBottom: '6px' }}>Name: {diff.name.from} → {diff.name.to}</div>
+      )}
+
+      {pieces.added.map(piece => (
+        <DiffRow key={piece.id} state="added" title={piece.name} />
+      ))}
+      {pieces.removed.map(piece => (
+        <DiffRow key={piece.id} state="removed" title={piece.name} />
+      ))}
+      {pieces.modified.map(piece => (
+        <DiffRow key={piece.id} state="modified" title={piece.name}>
+          {piece.changes.map(change => (
+            <div key={change.field}>
+              {change.field}: {describe(change.from)} → {describe(change.to)}
+            </div>
+          ))}
+          {piece.rounds.map(round => (
+            <div key={round.index}>
+              Round {round.round}: {round.change === 'added' ? `+ ${roundText(round.to)}`
+                : round.change === 'removed' ? `− ${roundText(round.from)}`
+                  : `${roundText(round.from)} → ${roundText(round.to)}`}
+            </div>
+          ))}
+        </DiffRow>
+      ))}
+
+      {connections.added.map(conn => (
+        <DiffRow key={`+${conn.id}`} state="added" title={`${conn.point1Id} ↔ ${conn.point2Id}`} />
+      ))}
+      {connections.removed.map(conn => (
+        <DiffRow key={`-${conn.id}`} state="removed" title={`${conn.point1Id} ↔ ${conn.point2Id}`} />
+      ))}
+    </div>
+  );
+}
+
+function DiffRow({ state, title, children }) {
+  return (
+    <div style={{
+      padding: '6px 8px',
+      marginBottom: '4px',
+      background: '#1a202c',
+      borderLeft: `3px solid ${STATE_COLORS[state]}`,
+      borderRadius: '3px'
+    }}>
+      <div>
+        <span style={{ color: STATE_COLORS[state] }}>
+          {state === 'added' ? '+' : state === 'removed' ? '−' : '~'}
+        </span> {title}
+      </div>
+      {children && <div style={{ color: '#a0aec0', fontSize: '11px', marginTop: '4px' }}>{children}</div>}
+    </div>
+  );
+}
+
+function ConflictRow({ conflict, onChoose }) {
+  const label = {
+    name: 'Project name',
+    'piece-added': `${conflict.name} added on both sides`,
+    'piece-removed': `${conflict.name} removed on one side, changed on the other`,
+    'piece-field': `${conflict.name}: ${conflict.field}`,
+    round: `${conflict.name}: round ${conflict.index + 1}`,
+    connection: `Point ${conflict.point} connected on both sides`
+  }[conflict.type];
+
+  const show = (value) => {
+    if (conflict.type === 'round') return roundText(value);
+    if (conflict.type === 'connection') return `${value.point1Id} ↔ ${value.point2Id}`;
+    if (conflict.type.startsWith('piece-') && conflict.type !== 'piece-field') return value ? 'keep' : 'remove';
+    return describe(value);
+  };
+
+  return (
+    <div style={{
+      padding: '6px 8px',
+      marginBottom: '4px',
+      background: 'rgba(245, 101, 101, 0.1)',
+      border: `1px solid ${conflict.resolved ? '#4a5568' : '#f56565'}`,
+      borderRadius: '3px'
+    }}>
+      <div style={{ marginBottom: '4px' }}>{label}</div>
+      {['ours', 'theirs'].map(side => (
+        <label key={side} style={{ display: 'block', cursor: 'pointer', color: '#cbd5e0' }}>
+          <input
+            type="radio"
+            name={conflict.id}
+            checked={conflict.resolved && conflict.resolution === side}
+            onChange={() => onChoose(side)}
+          />
+          {' '}{side === 'ours' ? 'This version' : 'Other version'}: {show(conflict[side])}
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+// src/components/CheckpointsUI.jsx
+// Named checkpoints of the open design: create, compare, restore, export
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { checkpointManager } from '../utils/checkpointManager';
+import { diffHighlights } from '../utils/assemblyDiff';
+import { DiffView } from './AssemblyDiffUI';
+
+const smallButton = (background) => ({
+  padding: '4px 8px',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  fontSize: '11px',
+  cursor: 'pointer'
+});
+
+const inputStyle = {
+  padding: '8px',
+  background: 'rgba(255, 255, 255, 0.1)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '4px',
+  color: 'white',
+  fontSize: '13px'
+};
+
+export function CheckpointsUI({ assembly, manager, onRestored, onHighlight }) {
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [name, setName] = useState('');
+  const [note, setNote] = useState('');
+  const [comparing, setComparing] = useState(null);
+  const [confirmRestore, setConfirmRestore] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const refresh = useCallback(() => {
+    setCheckpoints(assembly ? checkpointManager.list(assembly.id) : []);
+  }, [assembly]);
+
+  useEffect(() => {
+    refresh();
+    setComparing(null);
+  }, [refresh]);
+
+  // Tint what changed since the checkpoint being compared
+  useEffect(() => {
+    if (!onHighlight) return undefined;
+    onHighlight(comparing?.diff ? diffHighlights(comparing.diff) : new Map());
+    return () => onHighlight(new Map());
+  }, [comparing, onHighlight]);
+
+  const report = (result, success) => {
+    setMessage(result.success ? { text: success } : { text: result.message || result.reason || 'Something went wrong.', error: true });
+    refresh();
+  };
+
+  const create = (e) => {
+    e.preventDefault();
+    const result = checkpointManager.create(assembly, name, { note });
+    if (result.success) {
+      setName('');
+      setNote('');
+    }
+    report(result, `Checkpoint "${result.checkpoint?.name}" created`);
+  };
+
+  const compare = (checkpoint) => {
+    if (comparing?.id === checkpoint.id) {
+      setComparing(null);
+      return;
+    }
+    const diff = checkpointManager.compare(assembly, checkpoint.id);
+    if (!diff) {
+      setMessage({ text: `"${checkpoint.name}" could not be read.`, error: true });
+      return;
+    }
+    setComparing({ id: checkpoint.id, diff });
+  };
+
+  const restore = (checkpoint) => {
+    setConfirmRestore(null);
+    setComparing(null);
+    const result = assembly.restoreCheckpoint(checkpoint.id);
+    report(result, `Restored "${checkpoint.name}". The previous state was backed up.`);
+    if (result.success && onRestored) onRestored(assembly);
+  };
+
+  const exportCheckpoint = async (checkpoint) => {
+    try {
+      const result = await checkpointManager.export(assembly.id, checkpoint.id, manager);
+      if (!result) {
+        setMessage({ text: `"${checkpoint.name}" could not be read.`, error: true });
+        return;
+      }
+      manager.download(result.content, result.filename, result.mimeType);
+    } catch (error) {
+      setMessage({ text: error.message, error: true });
+    }
+  };
+
+  const remove = (checkpoint) => {
+    if (confirm(`Delete checkpoint "${checkpoint.name}"?`)) {
+      if (comparing?.id === checkpoint.id) setComparing(null);
+      report(checkpointManager.delete(assembly.id, checkpoint.id), `Deleted "${checkpoint.name}"`);
+    }
+  };
+
+  if (!assembly) return null;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '8px',
+      padding: '15px',
+      marginTop: '20px'
+    }}>
+      <h2 style={{
+        fontSize: '18px',
+        margin: '0 0 12px 0',
+        color: '#fbbf24'
+      }}>
+        ⚑ Checkpoints
+      </h2>
+
+      {/* New Checkpoint */}
+      <form onSubmit={create} style={{ display: 'grid', gap: '6px', marginBottom: '12px' }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder='Name, e.g. "v1"'
+          style={inputStyle}
+        />
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note, e.g. before resizing arms"
+          style={inputStyle}
+        />
+        <button type="submit" disabled={!name.trim()} style={{
+          ...smallButton(name.trim() ? '#10b981' : '#6b7280'),
+          padding: '8px',
+          fontSize: '13px',
+          cursor: name.trim() ? 'pointer' : 'not-allowed'
+        }}>
+          Save checkpoint of "{assembly.name}"
+        </button>
+      </form>
+
+      {message && (
+        <div style={{
+          fontSize: '12px',
+          marginBottom: '10px',
+          padding: '6px 8px',
+          borderRadius: '4px',
+          background: message.error ? 'rgba(239, 68, 68, 0.3)' : 'rgba(16, 185, 129, 0.2)'
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      {checkpoints.length === 0 && (
+        <div style={{ fontSize: '12px', opacity: 0.7, textAlign: 'center', padding: '10px' }}>
+          No checkpoints yet.
+        </div>
+      )}
+
+      {checkpoints.slice().reverse().map(checkpoint => (
+        <div key={checkpoint.id} style={{
+          padding: '8px',
+          marginBottom: '8px',
+          background: 'rgba(0, 0, 0, 0.2)',
+          borderRadius: '4px',
+          border: comparing?.id === checkpoint.id ? '1px solid #fbbf24' : '1px solid transparent'
+        }}>
+          <div style={{ fontWeight: '600', fontSize: '13px' }}>{checkpoint.name}</div>
+          {checkpoint.note && <div style={{ fontSize: '12px', opacity: 0.85 }}>{checkpoint.note}</div>}
+          <div style={{ fontSize: '11px', opacity: 0.6, margin: '2px 0 6px' }}>
+            {new Date(checkpoint.createdAt).toLocaleString()} • {checkpoint.pieceCount} pieces, {checkpoint.connectionCount} connections
+          </div>
+
+          {confirmRestore === checkpoint.id ? (
+            <div style={{ display: 'flex', gap: '4px', alignItems: 'center', fontSize: '11px' }}>
+              <span style={{ flex: 1 }}>Replace the current design?</span>
+              <button onClick={() => restore(checkpoint)} style={smallButton('#10b981')}>Restore</button>
+              <button onClick={() => setConfirmRestore(null)} style={smallButton('#6b7280')}>Cancel</button>
+            </div>
+          ) : (
+            <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+              <button onClick={() => compare(checkpoint)} style={smallButton(comparing?.id === checkpoint.id ? '#d97706' : '#3b82f6')}>
+                {comparing?.id === checkpoint.id ? 'Hide changes' : 'Compare'}
+              </button>
+              <button onClick={() => setConfirmRestore(checkpoint.id)} style={smallButton('#10b981')}>
+                Restore
+              </button>
+              {manager && (
+                <button onClick={() => exportCheckpoint(checkpoint)} style={smallButton('#8b5cf6')}>
+                  Export .c3d
+                </button>
+              )}
+              <button onClick={() => remove(checkpoint)} style={smallButton('#ef4444')}>
+                Delete
+              </button>
+            </div>
+          )}
+
+          {comparing?.id === checkpoint.id && (
+            <div style={{ fontSize: '11px', fontFamily: 'monospace' }}>
+              <DiffView diff={comparing.diff} />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+// src/components/CrashRecoveryPrompt.jsx
+// Offers, on page load, the unsaved changes of sessions that closed unexpectedly
+
+import React, { useState, useEffect } from 'react';
+import { Assembly } from '../types/assemblyModels';
+import { recoverySystem } from '../utils/recoverySystem';
+import { discardJournal } from '../utils/saveJournal';
+import { storage } from '../utils/storageManager';
+
+const smallButton = (background) => ({
+  padding: '4px 8px',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  fontSize: '11px',
+  cursor: 'pointer'
+});
+
+/**
+ * Lists every journal a crashed session left, whether it was journaling
+ * a library project or the default session, and replays the one picked
+ * into the open assembly. `assembly` is the assembly open now; it stops
+ * journaling when a replayed one takes its place through `onRestore`.
+ */
+export function CrashRecoveryPrompt({ assembly, onRestore }) {
+  const [offers, setOffers] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    // IndexedDB loads in the background; the journals are there once it has
+    storage.ready().then(() => {
+      if (!cancelled) setOffers(recoverySystem.checkJournals());
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const dismiss = (offer) => {
+    setOffers(current => current.filter(o => o.assemblyId !== offer.assemblyId));
+  };
+
+  const restore = async (offer) => {
+    dismiss(offer);
+    const restored = await Assembly.load(offer.assemblyId, { replayJournal: true });
+    if (!restored?.isRecovered) {
+      setMessage({ text: `The unsaved changes of "${offer.name || offer.assemblyId}" could not be restored.`, error: true });
+      return;
+    }
+    if (assembly && assembly !== restored) assembly.stopJournal();
+    // The replayed changes are not saved yet, so keep offering them
+    restored.startJournal({ saved: false });
+    if (onRestore) onRestore(restored);
+    setMessage({ text: `Restored "${restored.name}"` });
+  };
+
+  const discard = (offer) => {
+    dismiss(offer);
+    discardJournal(offer.assemblyId);
+  };
+
+  if (offers.length === 0 && !message) return null;
+
+  return (
+    <div style={{
+      fontSize: '12px',
+      marginBottom: '15px',
+      padding: '8px',
+      borderRadius: '4px',
+      background: 'rgba(251, 191, 36, 0.2)',
+      border: '1px solid #fbbf24'
+    }}>
+      {message && (
+        <div style={{
+          marginBottom: offers.length > 0 ? '8px' : 0,
+          color: message.error ? '#fecaca' : 'white'
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      {offers.map(offer => (
+        <div key={offer.assemblyId} style={{ marginBottom: '8px' }}>
+          <div style={{ marginBottom: '6px' }}>
+            "{offer.name || 'Untitled'}" was closed unexpectedly with {offer.unsavedChanges} unsaved
+            {' '}change{offer.unsavedChanges === 1 ? '' : 's'}
+            {offer.lastChange ? ` (last at ${new Date(offer.lastChange).toLocaleString()})` : ''}.
+          </div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={() => restore(offer)} style={smallButton('#10b981')}>
+              Restore changes
+            </button>
+            <button onClick={() => discard(offer)} style={smallButton('#6b7280')}>
+              Discard
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
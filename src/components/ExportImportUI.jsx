@@ -2,6 +2,7 @@
 // Visual export/import interface component
 
 import React, { useState, useRef } from 'react';
+import { checkpointManager } from '../utils/checkpointManager';
 
 export function ExportImportUI({
   manager,
@@ -16,13 +17,18 @@ export function ExportImportUI({
     includeHistory: true,
     includeValidation: true,
     includeSuggestions: false,
-    compress: true
+    includeCheckpoints: true,
+    includeBridges: false,
+    firmness: 0,
+    compress: true,
+    dpi: 150
   });
   const [importing, setImporting] = useState(false);
   const [exporting, setExporting] = useState(false);
   const [importResult, setImportResult] = useState(null);
   const [exportResult, setExportResult] = useState(null);
   const [error, setError] = useState(null);
+  const [pastedPattern, setPastedPattern] = useState('');
   
   const fileInputRef = useRef(null);
   
@@ -42,6 +48,11 @@ export function ExportImportUI({
       description: '2D vector diagram for documentation',
       features: ['Visual representation', 'Scalable graphics', 'Print-ready']
     },
+    png: {
+      icon: '🖼️',
+      description: 'Image of the assembly diagram',
+      features: ['Choose the resolution', 'Thumbnails for catalogues', 'Opens anywhere']
+    },
     pdf: {
       icon: '📑',
       description: 'Professional pattern document',
@@ -50,7 +61,17 @@ export function ExportImportUI({
     obj: {
       icon: '🎲',
       description: '3D model for viewing or printing',
-      features: ['3D geometry', 'Compatible with 3D software', 'Printable']
+      features: ['Round-by-round shape', 'Colours via MTL', 'Compatible with 3D software']
+    },
+    stl: {
+      icon: '🖨️',
+      description: 'Binary mesh for 3D printing',
+      features: ['Slicer ready', 'Real piece shapes', 'Per-piece colours']
+    },
+    glb: {
+      icon: '🧊',
+      description: 'glTF scene for rendering and AR',
+      features: ['Materials and colours', 'Piece transforms kept', 'Web and Blender ready']
     },
     csv: {
       icon: '📊',
@@ -76,10 +97,17 @@ export function ExportImportUI({
     try {
       // Prepare data
       const exportData = {
+        // The undo stack saved with the assembly, so the file reopens with it
+        undoHistory: assembly.undoHistory,
         ...additionalData,
         includeHistory: exportOptions.includeHistory,
         includeValidation: exportOptions.includeValidation,
-        includeSuggestions: exportOptions.includeSuggestions
+        includeSuggestions: exportOptions.includeSuggestions,
+        checkpoints: exportOptions.includeCheckpoints ? checkpointManager.exportAll(assembly.id) : [],
+        includeBridges: exportOptions.includeBridges,
+        firmness: exportOptions.firmness,
+        compress: exportOptions.compress,
+        dpi: exportOptions.dpi
       };
       
       // Export
@@ -87,6 +115,7 @@ export function ExportImportUI({
       
       // Download file
       manager.download(result.content, result.filename, result.mimeType);
+      result.files?.forEach(file => manager.download(file.content, file.filename, file.mimeType));
       
       setExportResult({
         format: selectedFormat,
@@ -109,26 +138,44 @@ export function ExportImportUI({
   
   const handleImport = async (file) => {
     if (!manager || !file) return;
-    
+    await runImport(file.name, () => manager.import(file, 'auto'));
+  };
+  
+  const handlePasteImport = async () => {
+    if (!manager || !pastedPattern.trim()) return;
+    const imported = await runImport('Pasted pattern', () => manager.importText(pastedPattern, 'pattern'));
+    if (imported) setPastedPattern('');
+  };
+  
+  const runImport = async (filename, importer) => {
     setImporting(true);
     setError(null);
     
     try {
-      // Import file
-      const result = await manager.import(file, 'auto');
+      const result = await importer();
+      
+      // Checkpoints carried in the file go back under the project's id
+      const restored = result.checkpoints?.length
+        ? checkpointManager.importAll(result.assembly.id, result.checkpoints)
+        : null;
       
       setImportResult({
-        filename: file.name,
+        filename,
         pieces: result.assembly.pieces.size,
         connections: result.assembly.connections.size,
         hasHistory: !!result.history,
+        checkpoints: restored?.imported || 0,
+        migratedFrom: result.metadata?.migratedFrom || null,
+        notes: result.assembly.metadata?.notes?.length || 0,
         timestamp: new Date()
       });
       
       onImportComplete?.(result);
+      return true;
       
     } catch (err) {
       setError(`Import failed: ${err.message}`);
+      return false;
     } finally {
       setImporting(false);
     }
@@ -239,6 +286,17 @@ export function ExportImportUI({
               />
               Include undo/redo history
             </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+              <input
+                type="checkbox"
+                checked={exportOptions.includeCheckpoints}
+                onChange={(e) => setExportOptions({
+                  ...exportOptions,
+                  includeCheckpoints: e.target.checked
+                })}
+              />
+              Include checkpoints
+            </label>
             <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
               <input
                 type="checkbox"
@@ -272,6 +330,53 @@ export function ExportImportUI({
               />
               Compress file
             </label>
+            {['obj', 'stl', 'glb'].includes(selectedFormat) && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+                <input
+                  type="checkbox"
+                  checked={exportOptions.includeBridges}
+                  onChange={(e) => setExportOptions({
+                    ...exportOptions,
+                    includeBridges: e.target.checked
+                  })}
+                />
+                Include yarn bridges
+              </label>
+            )}
+            {['obj', 'stl', 'glb'].includes(selectedFormat) && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+                Stuffing
+                <input
+                  type="range"
+                  min={0}
+                  max={100}
+                  step={5}
+                  value={Math.round(exportOptions.firmness * 100)}
+                  onChange={(e) => setExportOptions({
+                    ...exportOptions,
+                    firmness: Number(e.target.value) / 100
+                  })}
+                  style={{ flex: 1 }}
+                />
+                {exportOptions.firmness > 0 ? `${Math.round(exportOptions.firmness * 100)}%` : 'None'}
+              </label>
+            )}
+            {selectedFormat === 'png' && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+                Resolution
+                <select
+                  value={exportOptions.dpi}
+                  onChange={(e) => setExportOptions({
+                    ...exportOptions,
+                    dpi: Number(e.target.value)
+                  })}
+                >
+                  <option value={72}>72 DPI (screen)</option>
+                  <option value={150}>150 DPI</option>
+                  <option value={300}>300 DPI (print)</option>
+                </select>
+              </label>
+            )}
           </div>
         </div>
       )}
@@ -350,18 +455,53 @@ export function ExportImportUI({
           {importing ? 'Importing...' : 'Drop file here or click to browse'}
         </h3>
         <p style={{ margin: 0, fontSize: '13px', color: '#666' }}>
-          Supported formats: .c3d, .json, .pattern, .csv, .c3d-backup
+          Supported formats: .c3d, .json, .pattern, .txt, .md, .csv, .c3d-backup
         </p>
       </div>
       
       <input
         ref={fileInputRef}
         type="file"
-        accept=".c3d,.json,.pattern,.txt,.csv,.c3d-backup"
+        accept=".c3d,.json,.pattern,.txt,.md,.markdown,.csv,.c3d-backup"
         onChange={handleFileSelect}
         style={{ display: 'none' }}
       />
       
+      {/* Paste Pattern */}
+      <div style={{ marginBottom: '20px' }}>
+        <textarea
+          value={pastedPattern}
+          onChange={(e) => setPastedPattern(e.target.value)}
+          placeholder={'Or paste a written pattern, e.g.\n\nHEAD\nRnd 1: 6 sc in MR (6)\nRnd 2: inc x6 (12)\n\nARMS (make 2)\nRnd 1-4: sc around (6)'}
+          rows={6}
+          style={{
+            width: '100%',
+            boxSizing: 'border-box',
+            padding: '10px',
+            border: '1px solid #ddd',
+            borderRadius: '6px',
+            fontFamily: 'monospace',
+            fontSize: '12px'
+          }}
+        />
+        <button
+          onClick={handlePasteImport}
+          disabled={importing || !pastedPattern.trim()}
+          style={{
+            marginTop: '8px',
+            padding: '8px 16px',
+            background: importing || !pastedPattern.trim() ? '#ccc' : '#2196F3',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            cursor: importing || !pastedPattern.trim() ? 'not-allowed' : 'pointer',
+            fontSize: '13px'
+          }}
+        >
+          Import pasted pattern
+        </button>
+      </div>
+      
       {/* Import Result */}
       {importResult && (
         <div style={{
@@ -378,6 +518,9 @@ export function ExportImportUI({
             <strong>Pieces:</strong> {importResult.pieces}<br />
             <strong>Connections:</strong> {importResult.connections}<br />
             {importResult.hasHistory && <span>✓ History included<br /></span>}
+            {importResult.checkpoints > 0 && <span>✓ {importResult.checkpoints} checkpoint{importResult.checkpoints === 1 ? '' : 's'} restored<br /></span>}
+            {importResult.migratedFrom && <span>✓ Upgraded from format {importResult.migratedFrom}<br /></span>}
+            {importResult.notes > 0 && <span>✓ {importResult.notes} notes kept<br /></span>}
             <strong>Imported:</strong> {importResult.timestamp.toLocaleTimeString()}
           </div>
         </div>
@@ -475,7 +618,8 @@ export function ExportImportUI({
           background: '#FFEBEE',
           borderRadius: '6px',
           color: '#C62828',
-          fontSize: '13px'
+          fontSize: '13px',
+          whiteSpace: 'pre-line'
         }}>
           ⚠️ {error}
         </div>
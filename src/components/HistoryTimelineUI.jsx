@@ -1,21 +1,33 @@
 // src/components/HistoryTimelineUI.jsx
 // Visual timeline component for assembly history
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { PLAYBACK_SPEEDS, capturePlaybackFrames, packPlaybackFrames } from '../utils/timelinePlayback';
+import { RestorePanel } from './RestorePanel';
 
 export function HistoryTimelineUI({
   timelineData = {},
   onJumpTo,
+  onJumpToNode,
+  onSwitchBranch,
   onToggleBookmark,
   onFilterChange,
   onExport,
   onSessionRename,
+  restorePoints = [],
+  onPreviewRestorePoint,
+  onRestore,
+  playback = null,
+  playbackView = null,
+  getRenderTarget,
   displayMode = 'compact'
 }) {
   const [expandedGroups, setExpandedGroups] = useState(new Set());
   const [selectedSession, setSelectedSession] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
   const [showStats, setShowStats] = useState(false);
+  const [showRestore, setShowRestore] = useState(false);
+  const [showPlayback, setShowPlayback] = useState(false);
   
   const {
     timeline = [],
@@ -24,7 +36,10 @@ export function HistoryTimelineUI({
     milestones = [],
     bookmarks = [],
     stats = {},
-    currentSessionId
+    currentSessionId,
+    branches = [],
+    currentBranchId,
+    graph = null
   } = timelineData;
   
   // Format timestamp
@@ -127,6 +142,40 @@ export function HistoryTimelineUI({
           >
             📈
           </button>
+          {playback && (
+            <button
+              onClick={() => setShowPlayback(!showPlayback)}
+              title="Watch the build"
+              style={{
+                padding: '4px 8px',
+                background: showPlayback ? '#4a5568' : '#2d3748',
+                color: '#cbd5e0',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '10px'
+              }}
+            >
+              🎬
+            </button>
+          )}
+          {restorePoints.length > 0 && (
+            <button
+              onClick={() => setShowRestore(!showRestore)}
+              title="Restore an autosave"
+              style={{
+                padding: '4px 8px',
+                background: showRestore ? '#4a5568' : '#2d3748',
+                color: '#cbd5e0',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '10px'
+              }}
+            >
+              🕘
+            </button>
+          )}
           <button
             onClick={() => onExport && onExport('json')}
             style={{
@@ -213,6 +262,27 @@ export function HistoryTimelineUI({
         </div>
       )}
       
+      {/* Playback Panel */}
+      {showPlayback && playback && (
+        <PlaybackPanel
+          playback={playback}
+          playbackView={playbackView}
+          getRenderTarget={getRenderTarget}
+        />
+      )}
+      
+      {/* Restore Panel */}
+      {showRestore && restorePoints.length > 0 && (
+        <RestorePanel
+          restorePoints={restorePoints}
+          onPreview={onPreviewRestorePoint}
+          onRestore={(key) => {
+            if (onRestore) onRestore(key);
+            setShowRestore(false);
+          }}
+        />
+      )}
+      
       {/* Sessions */}
       {sessions.length > 0 && (
         <div style={{ marginBottom: '15px' }}>
@@ -273,6 +343,39 @@ export function HistoryTimelineUI({
         </div>
       )}
       
+      {/* Branches */}
+      {branches.length > 1 && (
+        <div style={{ marginBottom: '15px' }}>
+          <div style={{ fontSize: '11px', marginBottom: '8px', color: '#a0aec0' }}>
+            Branches
+          </div>
+          <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+            {branches.map(branch => (
+              <button
+                key={branch.id}
+                onClick={() => onSwitchBranch && onSwitchBranch(branch.id)}
+                title={`${branch.length} actions`}
+                style={{
+                  padding: '4px 8px',
+                  background: branch.id === currentBranchId 
+                    ? '#9f7aea' 
+                    : branch.isActive 
+                    ? '#553c9a' 
+                    : '#2d3748',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '10px'
+                }}
+              >
+                {branch.name} ({branch.length})
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      
       {/* Timeline */}
       <div style={{ marginBottom: '10px' }}>
         <div style={{ fontSize: '11px', marginBottom: '8px', color: '#a0aec0' }}>
@@ -280,7 +383,9 @@ export function HistoryTimelineUI({
         </div>
         
         {/* Display based on mode */}
-        {displayMode === 'compact' && groupedTimeline && groupedTimeline.length > 0 ? (
+        {displayMode === 'graph' && graph && graph.nodes.length > 0 ? (
+          <HistoryGraph graph={graph} onJumpToNode={onJumpToNode} getActionColor={getActionColor} />
+        ) : displayMode === 'compact' && groupedTimeline && groupedTimeline.length > 0 ? (
           // Grouped view
           <div style={{ position: 'relative' }}>
             {groupedTimeline.map((group, index) => (
@@ -374,6 +479,203 @@ export function HistoryTimelineUI({
   );
 }
 
+// Tree of every branch: one lane per branch, one row per step
+const LANE_WIDTH = 24;
+const ROW_HEIGHT = 22;
+
+function HistoryGraph({ graph, onJumpToNode, getActionColor }) {
+  const x = lane => 12 + lane * LANE_WIDTH;
+  const y = row => 10 + row * ROW_HEIGHT;
+  const width = x(graph.lanes) + 4;
+  
+  return (
+    <div style={{ display: 'flex' }}>
+      <svg width={width} height={y(graph.rows) + 12} style={{ flexShrink: 0 }}>
+        {graph.edges.map(edge => (
+          <path
+            key={`${edge.from}-${edge.to}`}
+            d={`M${x(edge.fromLane)} ${y(edge.fromRow)} C${x(edge.fromLane)} ${y(edge.toRow) - 8} ${x(edge.toLane)} ${y(edge.fromRow) + 8} ${x(edge.toLane)} ${y(edge.toRow)}`}
+            stroke={edge.isOnActiveBranch ? '#cbd5e0' : '#4a5568'}
+            strokeWidth={edge.isOnActiveBranch ? 2 : 1}
+            fill="none"
+          />
+        ))}
+        <circle cx={x(0)} cy={y(0)} r={4} fill={graph.currentId === null ? '#4299e1' : '#718096'}
+          style={{ cursor: 'pointer' }} onClick={() => onJumpToNode && onJumpToNode('root')} />
+        {graph.nodes.map(node => (
+          <circle
+            key={node.id}
+            cx={x(node.lane)}
+            cy={y(node.row)}
+            r={node.isCurrent ? 6 : 4}
+            fill={getActionColor(node.type)}
+            stroke={node.isCurrent ? 'white' : 'none'}
+            opacity={node.isOnActiveBranch ? 1 : 0.6}
+            style={{ cursor: 'pointer' }}
+            onClick={() => onJumpToNode && onJumpToNode(node.id)}
+          >
+            <title>{node.description}</title>
+          </circle>
+        ))}
+      </svg>
+      <div style={{ position: 'relative', flex: 1, height: y(graph.rows) + 12 }}>
+        {graph.nodes.filter(node => node.isOnActiveBranch).map(node => (
+          <div
+            key={node.id}
+            onClick={() => onJumpToNode && onJumpToNode(node.id)}
+            style={{
+              position: 'absolute',
+              top: y(node.row) - 7,
+              left: 4,
+              fontSize: '10px',
+              cursor: 'pointer',
+              color: node.isCurrent ? 'white' : '#a0aec0',
+              whiteSpace: 'nowrap'
+            }}
+          >
+            {node.description}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const playbackButton = (active = false) => ({
+  padding: '4px 8px',
+  background: active ? '#4a5568' : '#2d3748',
+  color: '#cbd5e0',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '11px'
+});
+
+// Scrub through the assembly's construction; the 3D view follows playbackView
+function PlaybackPanel({ playback, playbackView, getRenderTarget }) {
+  const [state, setState] = useState(() => playback.getState());
+  const [exporting, setExporting] = useState(false);
+  
+  useEffect(() => {
+    setState(playback.getState());
+    return playback.onChange(setState);
+  }, [playback]);
+  
+  const last = state.count - 1;
+  const canExport = Boolean(playbackView && getRenderTarget);
+  
+  const exportFrames = () => {
+    setExporting(true);
+    try {
+      const frames = capturePlaybackFrames(getRenderTarget(), playback, playbackView);
+      if (frames.length === 0) return;
+      const blob = new Blob([packPlaybackFrames(frames)], { type: 'application/zip' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `assembly-build-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } finally {
+      setExporting(false);
+    }
+  };
+  
+  return (
+    <div style={{
+      marginBottom: '15px',
+      padding: '10px',
+      background: 'rgba(159, 122, 234, 0.1)',
+      borderRadius: '6px',
+      border: '1px solid #9f7aea'
+    }}>
+      <div style={{ fontSize: '11px', marginBottom: '8px', color: '#d6bcfa' }}>
+        Watch the build
+      </div>
+      
+      <div style={{ position: 'relative' }}>
+        <input
+          type="range"
+          min={0}
+          max={last}
+          value={state.index}
+          onChange={(e) => playback.seek(Number(e.target.value))}
+          disabled={last === 0}
+          style={{ width: '100%' }}
+        />
+        {/* Marker ticks under the slider */}
+        <div style={{ position: 'relative', height: '6px' }}>
+          {last > 0 && state.markers.map(marker => (
+            <div
+              key={marker.id}
+              title={marker.label}
+              style={{
+                position: 'absolute',
+                left: `${(marker.step / last) * 100}%`,
+                width: '2px',
+                height: '6px',
+                background: marker.kind === 'milestone' ? '#fbbf24' : marker.kind === 'checkpoint' ? '#48bb78' : '#f6e05e'
+              }}
+            />
+          ))}
+        </div>
+      </div>
+      
+      <div style={{ fontSize: '10px', color: '#a0aec0', margin: '4px 0 8px' }}>
+        Step {state.index} of {last}: {state.step.description}
+        {state.step.timestamp && ` • ${new Date(state.step.timestamp).toLocaleTimeString()}`}
+      </div>
+      
+      <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+        <button onClick={() => playback.seek(0)} title="First step" style={playbackButton()}>⏮</button>
+        <button onClick={() => playback.stepBack()} title="Previous step" style={playbackButton()}>◀</button>
+        <button onClick={() => playback.toggle()} title={state.playing ? 'Pause' : 'Play'} style={playbackButton(state.playing)}>
+          {state.playing ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => playback.stepForward()} title="Next step" style={playbackButton()}>▶▶</button>
+        <button onClick={() => playback.seek(last)} title="Last step" style={playbackButton()}>⏭</button>
+        <select
+          value={state.speed}
+          onChange={(e) => playback.setSpeed(Number(e.target.value))}
+          style={{ marginLeft: 'auto', background: '#2d3748', color: '#cbd5e0', border: 'none', borderRadius: '4px', fontSize: '11px' }}
+        >
+          {PLAYBACK_SPEEDS.map(speed => (
+            <option key={speed} value={speed}>{speed}×</option>
+          ))}
+        </select>
+      </div>
+      
+      {state.markers.length > 0 && (
+        <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '8px' }}>
+          {state.markers.map(marker => (
+            <button
+              key={marker.id}
+              onClick={() => playback.jumpToMarker(marker.id)}
+              style={{
+                ...playbackButton(marker.step === state.index),
+                fontSize: '9px',
+                border: `1px solid ${marker.kind === 'milestone' ? '#fbbf24' : '#4a5568'}`
+              }}
+            >
+              {marker.kind === 'bookmark' ? '★ ' : marker.kind === 'checkpoint' ? '⚑ ' : ''}{marker.label}
+            </button>
+          ))}
+        </div>
+      )}
+      
+      {canExport && (
+        <button
+          onClick={exportFrames}
+          disabled={exporting || last === 0}
+          style={{ ...playbackButton(), width: '100%', marginTop: '8px', fontSize: '10px' }}
+        >
+          {exporting ? 'Rendering frames…' : `🖼 Export ${state.count} frames (.zip)`}
+        </button>
+      )}
+    </div>
+  );
+}
+
 // Timeline entry component
 function TimelineEntry({ entry, isBookmarked, onJumpTo, onToggleBookmark, compact = false }) {
   const getActionColor = (type) => {
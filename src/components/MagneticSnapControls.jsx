@@ -7,11 +7,13 @@ export function MagneticSnapControls({
   snapEnabled,
   snapDistance,
   snapStrength,
+  snapTwist = 0,
   isSnapping,
   snapStats,
   onToggleSnap,
   onSnapDistanceChange,
   onSnapStrengthChange,
+  onSnapTwistChange,
   onClearConnections
 }) {
   return (
@@ -148,6 +150,38 @@ export function MagneticSnapControls({
         </label>
       </div>
       
+      {/* Twist Control */}
+      {onSnapTwistChange && (
+        <div style={{ 
+          marginBottom: '10px',
+          opacity: snapEnabled ? 1 : 0.5,
+          pointerEvents: snapEnabled ? 'auto' : 'none'
+        }}>
+          <label style={{ fontSize: '11px' }}>
+            <div style={{ 
+              display: 'flex', 
+              justifyContent: 'space-between',
+              marginBottom: '3px'
+            }}>
+              <span>Twist at Joint</span>
+              <span style={{ color: '#00ff00' }}>{Math.round((snapTwist * 180) / Math.PI)}°</span>
+            </div>
+            <input 
+              type="range"
+              min="-180"
+              max="180"
+              step="15"
+              value={Math.round((snapTwist * 180) / Math.PI)}
+              onChange={(e) => onSnapTwistChange((parseFloat(e.target.value) * Math.PI) / 180)}
+              style={{ 
+                width: '100%',
+                accentColor: '#00ffff'
+              }}
+            />
+          </label>
+        </div>
+      )}
+      
       {/* Visual Indicators */}
       <div style={{
         marginBottom: '10px',
@@ -225,6 +259,7 @@ export function MagneticSnapControls({
         <div>🎯 Drag pieces near each other</div>
         <div>⚡ Auto-snaps when close</div>
         <div>🔗 Compatible points connect</div>
+        <div>🔄 Pieces turn to face their joint</div>
         <div>✨ Visual feedback shows targets</div>
       </div>
     </div>
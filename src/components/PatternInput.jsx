@@ -1,11 +1,33 @@
-import React, { useState } from 'react';
-import { parsePattern, validatePattern, patternTemplates } from '../lib/simpleParser';
+import React, { useState, useRef, useEffect } from 'react';
+import { parsePatternWithDiagnostics, validatePattern, patternTemplates, locateSource } from '../lib/simpleParser';
 
-export function PatternInput({ onPatternParsed, isDisabled }) {
+/**
+ * `highlight` is the source of a stitch picked in the viewer; its
+ * instruction token is selected and shown on its line. `hoverHighlight`,
+ * the source of the stitch under the pointer, is shown on its line
+ * instead while there is one.
+ */
+export function PatternInput({ onPatternParsed, isDisabled, highlight = null, hoverHighlight = null }) {
   const [text, setText] = useState(patternTemplates.sphere);
   const [errors, setErrors] = useState([]);
   const [warnings, setWarnings] = useState([]);
   const [parsedRounds, setParsedRounds] = useState(null);
+  const textareaRef = useRef(null);
+
+  const shown = hoverHighlight || highlight;
+  const located = shown ? locateSource(text, shown) : null;
+  const hovering = Boolean(located) && shown === hoverHighlight;
+
+  // Select the token when a new stitch is picked (not while typing)
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    const found = textarea && highlight ? locateSource(textarea.value, highlight) : null;
+    if (!found) return;
+    textarea.setSelectionRange(found.offset, found.offset + found.end - found.start);
+    // Bring the line into view
+    const lineHeight = textarea.scrollHeight / Math.max(1, textarea.value.split('\n').length);
+    textarea.scrollTop = Math.max(0, (highlight.line - 2) * lineHeight);
+  }, [highlight]);
   
   const handleParse = () => {
     // Clear previous errors
@@ -14,11 +36,11 @@ export function PatternInput({ onPatternParsed, isDisabled }) {
     
     try {
       // Parse the pattern
-      const rounds = parsePattern(text);
+      const { rounds, diagnostics } = parsePatternWithDiagnostics(text);
       console.log('Parsed rounds:', rounds);
       
       // Validate
-      const validation = validatePattern(rounds);
+      const validation = validatePattern(rounds, diagnostics);
       
       if (!validation.valid) {
         setErrors(validation.errors);
@@ -127,6 +149,7 @@ export function PatternInput({ onPatternParsed, isDisabled }) {
       
       {/* Pattern textarea */}
       <textarea
+        ref={textareaRef}
         value={text}
         onChange={(e) => setText(e.target.value)}
         placeholder="Enter your crochet pattern...
@@ -147,6 +170,31 @@ Round 3: [sc, inc] x6 (18)"
         }}
       />
       
+      {/* Stitch picked in the viewer */}
+      {located && (
+        <div style={{
+          marginTop: '6px',
+          padding: '6px 10px',
+          background: hovering ? 'rgba(255, 255, 255, 0.15)' : 'rgba(236, 72, 153, 0.2)',
+          borderLeft: `3px solid ${hovering ? '#ffffff' : '#ec4899'}`,
+          borderRadius: '4px',
+          fontFamily: '"Courier New", monospace',
+          fontSize: '13px',
+          whiteSpace: 'pre-wrap'
+        }}>
+          <span style={{ opacity: 0.7 }}>Line {shown.line}: </span>
+          {located.lineText.slice(0, located.start)}
+          <mark style={{
+            background: hovering ? '#ffffff' : '#ec4899',
+            color: hovering ? '#1f2937' : 'white',
+            borderRadius: '2px'
+          }}>
+            {located.lineText.slice(located.start, located.end)}
+          </mark>
+          {located.lineText.slice(located.end)}
+        </div>
+      )}
+
       {/* Parse button */}
       <button
         onClick={handleParse}
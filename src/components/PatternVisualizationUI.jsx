@@ -16,12 +16,15 @@ export function PatternVisualizationUI({
   const [chart, setChart] = useState(null);
   const [selectedRound, setSelectedRound] = useState(null);
   const [zoomLevel, setZoomLevel] = useState(1);
+  const [notation, setNotation] = useState('jis');
+  const [fromRound, setFromRound] = useState('');
+  const [toRound, setToRound] = useState('');
   
   useEffect(() => {
     if (pattern.length > 0 && visualizer) {
       generateChart();
     }
-  }, [pattern, chartType, showLegend, showCounts, interactive]);
+  }, [pattern, chartType, showLegend, showCounts, interactive, notation, fromRound, toRound]);
   
   const generateChart = () => {
     if (!visualizer) return;
@@ -31,7 +34,10 @@ export function PatternVisualizationUI({
         type: chartType,
         showLegend,
         showCounts,
-        interactive
+        interactive,
+        notation,
+        fromRound: fromRound === '' ? null : parseInt(fromRound, 10),
+        toRound: toRound === '' ? null : parseInt(toRound, 10)
       });
       setChart(newChart);
     } catch (error) {
@@ -551,6 +557,39 @@ export function PatternVisualizationUI({
             Interactive
           </label>
           
+          {chartType === 'symbol' && (
+            <>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '5px', fontSize: '13px' }}>
+                Symbols
+                <select value={notation} onChange={(e) => setNotation(e.target.value)}>
+                  <option value="jis">JIS</option>
+                  <option value="cyc">CYC</option>
+                </select>
+              </label>
+              
+              <label style={{ display: 'flex', alignItems: 'center', gap: '5px', fontSize: '13px' }}>
+                Rounds
+                <input
+                  type="number"
+                  min="1"
+                  value={fromRound}
+                  placeholder="first"
+                  onChange={(e) => setFromRound(e.target.value)}
+                  style={{ width: '55px' }}
+                />
+                –
+                <input
+                  type="number"
+                  min="1"
+                  value={toRound}
+                  placeholder="last"
+                  onChange={(e) => setToRound(e.target.value)}
+                  style={{ width: '55px' }}
+                />
+              </label>
+            </>
+          )}
+          
           <div style={{ marginLeft: 'auto', display: 'flex', gap: '5px' }}>
             <button
               onClick={() => handleExport('svg')}
@@ -566,6 +605,20 @@ export function PatternVisualizationUI({
             >
               Export SVG
             </button>
+            <button
+              onClick={() => handleExport('png')}
+              style={{
+                padding: '6px 12px',
+                background: '#FF9800',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              Export PNG
+            </button>
             <button
               onClick={() => handleExport('json')}
               style={{
@@ -0,0 +1,389 @@
+// src/components/ProjectLibraryUI.jsx
+// Saved assemblies with thumbnails: search, tag, open, rename, duplicate, delete
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { projectLibrary } from '../utils/projectLibrary';
+import { storage } from '../utils/storageManager';
+import { getTierLimits } from '../utils/tierEnforcement';
+import { discardJournal } from '../utils/saveJournal';
+
+const smallButton = (background) => ({
+  padding: '4px 8px',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  fontSize: '11px',
+  cursor: 'pointer'
+});
+
+const inputStyle = {
+  padding: '8px',
+  background: 'rgba(255, 255, 255, 0.1)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '4px',
+  color: 'white',
+  fontSize: '13px'
+};
+
+export function ProjectLibraryUI({ assembly, tier = 'freemium', onOpen, getThumbnail }) {
+  const [projects, setProjects] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+  const [query, setQuery] = useState('');
+  const [activeTags, setActiveTags] = useState([]);
+  const [sort, setSort] = useState('modified');
+  const [renaming, setRenaming] = useState(null);
+  const [tagging, setTagging] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [journalOffer, setJournalOffer] = useState(null);
+
+  const limit = getTierLimits(tier).maxSaves;
+
+  const refresh = useCallback(() => {
+    setProjects(projectLibrary.search(query, { tags: activeTags, sort }));
+    setAllTags(projectLibrary.allTags());
+  }, [query, activeTags, sort]);
+
+  useEffect(() => {
+    refresh();
+    // IndexedDB loads in the background; list again once it has
+    storage.ready().then(refresh);
+  }, [refresh]);
+
+  const report = (result, success) => {
+    setMessage(result.success ? { text: success } : { text: result.message || 'Something went wrong.', error: true });
+    refresh();
+  };
+
+  const saveCurrent = () => {
+    if (!assembly) return;
+    const result = projectLibrary.save(assembly, { thumbnail: getThumbnail ? getThumbnail() : null });
+    report(result, `Saved "${assembly.name}"`);
+  };
+
+  // Journal the opened project from its first change, or right away when
+  // it holds replayed changes; the one it replaces stops
+  const finishOpen = (project, opened, journalOptions = {}) => {
+    if (assembly && assembly !== opened) assembly.stopJournal();
+    if (journalOptions.saved === false) opened.startJournal(journalOptions);
+    else opened.journalChanges(journalOptions);
+    if (onOpen) onOpen(opened);
+    setMessage({ text: `Opened "${project.name}"` });
+  };
+
+  const openProject = async (project) => {
+    const opened = await projectLibrary.open(project.id);
+    if (!opened) {
+      setMessage({ text: `"${project.name}" could not be opened.`, error: true });
+      return;
+    }
+    // Work from a session that crashed: ask before the journal is replaced
+    if (opened.pendingJournal) {
+      setJournalOffer({ project, opened, journal: opened.pendingJournal });
+      return;
+    }
+    finishOpen(project, opened);
+  };
+
+  const replayJournal = async () => {
+    const { project, opened } = journalOffer;
+    setJournalOffer(null);
+    const replayed = await projectLibrary.open(project.id, { replayJournal: true });
+    if (replayed?.isRecovered) {
+      // The replayed changes are not saved yet, so keep offering them
+      finishOpen(project, replayed, { saved: false });
+      return;
+    }
+    finishOpen(project, opened);
+    setMessage({ text: 'The unsaved changes could not be restored.', error: true });
+  };
+
+  const dropJournal = () => {
+    const { project, opened } = journalOffer;
+    setJournalOffer(null);
+    discardJournal(project.id);
+    finishOpen(project, opened);
+  };
+
+  const finishRename = (project, name) => {
+    setRenaming(null);
+    if (name.trim() === project.name) return;
+    const result = projectLibrary.rename(project.id, name);
+    if (result.success && assembly?.id === project.id) assembly.name = result.project.name;
+    report(result, 'Renamed');
+  };
+
+  const addTags = (project, text) => {
+    setTagging(null);
+    if (!text.trim()) return;
+    report(projectLibrary.setTags(project.id, [...project.tags, ...text.split(',')]), 'Tags updated');
+  };
+
+  const deleteProject = (project) => {
+    if (confirm(`Delete "${project.name}"? Its backups are deleted too.`)) {
+      report(projectLibrary.delete(project.id), `Deleted "${project.name}"`);
+    }
+  };
+
+  const toggleTag = (tag) => {
+    setActiveTags(activeTags.includes(tag) ? activeTags.filter(t => t !== tag) : [...activeTags, tag]);
+  };
+
+  const total = projectLibrary.list().length;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '8px',
+      padding: '15px',
+      marginTop: '20px'
+    }}>
+      <h2 style={{
+        fontSize: '18px',
+        margin: '0 0 5px 0',
+        color: '#fbbf24'
+      }}>
+        📚 Project Library
+      </h2>
+      <div style={{ fontSize: '11px', opacity: 0.7, marginBottom: '12px' }}>
+        {total} of {limit} saves used
+      </div>
+
+      {/* Save Current Assembly */}
+      {assembly && (
+        <button
+          onClick={saveCurrent}
+          disabled={limit === 0}
+          style={{
+            width: '100%',
+            padding: '8px 16px',
+            marginBottom: '12px',
+            background: limit === 0 ? '#6b7280' : 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            fontWeight: '600',
+            cursor: limit === 0 ? 'not-allowed' : 'pointer'
+          }}
+        >
+          💾 Save "{assembly.name}"
+        </button>
+      )}
+      {limit === 0 && (
+        <div style={{ fontSize: '12px', marginBottom: '12px', opacity: 0.8 }}>
+          Upgrade to Pro to save projects.
+        </div>
+      )}
+
+      {message && (
+        <div style={{
+          fontSize: '12px',
+          marginBottom: '10px',
+          padding: '6px 8px',
+          borderRadius: '4px',
+          background: message.error ? 'rgba(239, 68, 68, 0.3)' : 'rgba(16, 185, 129, 0.2)'
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      {journalOffer && (
+        <div style={{
+          fontSize: '12px',
+          marginBottom: '10px',
+          padding: '8px',
+          borderRadius: '4px',
+          background: 'rgba(251, 191, 36, 0.2)',
+          border: '1px solid #fbbf24'
+        }}>
+          <div style={{ marginBottom: '6px' }}>
+            "{journalOffer.project.name}" was closed unexpectedly with {journalOffer.journal.unsavedChanges} unsaved
+            {' '}change{journalOffer.journal.unsavedChanges === 1 ? '' : 's'}
+            {journalOffer.journal.lastChange ? ` (last at ${new Date(journalOffer.journal.lastChange).toLocaleString()})` : ''}.
+          </div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={replayJournal} style={smallButton('#10b981')}>
+              Restore changes
+            </button>
+            <button onClick={dropJournal} style={smallButton('#6b7280')}>
+              Open last save
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Search and Sort */}
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+        <input
+          type="search"
+          placeholder="Search projects, pieces, tags"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          style={{ ...inputStyle, padding: '6px' }}
+        >
+          <option value="modified">Recent</option>
+          <option value="created">Created</option>
+          <option value="name">Name</option>
+        </select>
+      </div>
+
+      {allTags.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '10px' }}>
+          {allTags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              style={{
+                ...smallButton(activeTags.includes(tag) ? '#6366f1' : 'rgba(0, 0, 0, 0.3)'),
+                borderRadius: '10px'
+              }}
+            >
+              #{tag} {count}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Project List */}
+      <div style={{ maxHeight: '320px', overflowY: 'auto' }}>
+        {projects.map(project => (
+          <div
+            key={project.id}
+            style={{
+              display: 'flex',
+              gap: '8px',
+              padding: '8px',
+              marginBottom: '6px',
+              background: assembly?.id === project.id ? 'rgba(251, 191, 36, 0.15)' : 'rgba(0, 0, 0, 0.2)',
+              borderRadius: '4px',
+              fontSize: '13px'
+            }}
+          >
+            <ProjectThumbnail project={project} />
+            <div style={{ flex: 1, minWidth: 0 }}>
+              {renaming === project.id ? (
+                <input
+                  autoFocus
+                  defaultValue={project.name}
+                  onBlur={(e) => finishRename(project, e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') e.target.blur();
+                    if (e.key === 'Escape') setRenaming(null);
+                  }}
+                  style={{ ...inputStyle, padding: '2px 4px', width: '100%' }}
+                />
+              ) : (
+                <div
+                  onDoubleClick={() => setRenaming(project.id)}
+                  title="Double-click to rename"
+                  style={{ fontWeight: '600', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                >
+                  {project.name}
+                </div>
+              )}
+              <div style={{ fontSize: '11px', opacity: 0.7 }}>
+                {project.pieceCount} pieces • {project.connectionCount} connections
+              </div>
+              <div style={{ fontSize: '11px', opacity: 0.5 }}>
+                Modified {new Date(project.lastModified).toLocaleString()}
+              </div>
+
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '3px', margin: '4px 0' }}>
+                {project.tags.map(tag => (
+                  <span
+                    key={tag}
+                    onClick={() => report(projectLibrary.removeTag(project.id, tag), 'Tag removed')}
+                    title="Remove tag"
+                    style={{
+                      fontSize: '10px',
+                      padding: '1px 6px',
+                      background: 'rgba(99, 102, 241, 0.4)',
+                      borderRadius: '8px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    #{tag} ✕
+                  </span>
+                ))}
+                {tagging === project.id ? (
+                  <input
+                    autoFocus
+                    placeholder="tag, tag"
+                    onBlur={(e) => addTags(project, e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') e.target.blur();
+                      if (e.key === 'Escape') setTagging(null);
+                    }}
+                    style={{ ...inputStyle, padding: '1px 4px', fontSize: '10px', width: '80px' }}
+                  />
+                ) : (
+                  <span
+                    onClick={() => setTagging(project.id)}
+                    style={{ fontSize: '10px', padding: '1px 6px', opacity: 0.7, cursor: 'pointer' }}
+                  >
+                    + tag
+                  </span>
+                )}
+              </div>
+
+              <div style={{ display: 'flex', gap: '5px' }}>
+                <button onClick={() => openProject(project)} style={smallButton('#10b981')}>
+                  Open
+                </button>
+                <button
+                  onClick={() => report(projectLibrary.duplicate(project.id, { tier }), `Duplicated "${project.name}"`)}
+                  disabled={total >= limit}
+                  style={{ ...smallButton('#6366f1'), opacity: total >= limit ? 0.5 : 1 }}
+                >
+                  Duplicate
+                </button>
+                <button onClick={() => deleteProject(project)} style={smallButton('#ef4444')}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {projects.length === 0 && (
+        <div style={{
+          padding: '20px',
+          textAlign: 'center',
+          opacity: 0.6,
+          fontSize: '13px'
+        }}>
+          {total === 0 ? 'No saved projects yet.' : 'No projects match your search.'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ProjectThumbnail({ project }) {
+  const src = project.hasThumbnail ? projectLibrary.getThumbnail(project.id) : null;
+
+  return (
+    <div style={{
+      width: '56px',
+      height: '56px',
+      flexShrink: 0,
+      borderRadius: '4px',
+      background: 'rgba(0, 0, 0, 0.3)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      overflow: 'hidden',
+      fontSize: '24px'
+    }}>
+      {src ? (
+        <img src={src} alt="" style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+      ) : '🧸'}
+    </div>
+  );
+}
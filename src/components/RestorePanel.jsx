@@ -0,0 +1,157 @@
+// src/components/RestorePanel.jsx
+// Point-in-time restore of an assembly's autosaves, shared by the history
+// timeline and the safety check
+
+import React, { useState, useMemo } from 'react';
+
+// Pick an autosave on a slider and see the project as it was before restoring
+export function RestorePanel({ restorePoints, onPreview, onRestore }) {
+  const [index, setIndex] = useState(restorePoints.length - 1);
+  const [confirming, setConfirming] = useState(false);
+  const point = restorePoints[Math.min(index, restorePoints.length - 1)];
+  const preview = useMemo(() => (onPreview && point ? onPreview(point.key) : null), [onPreview, point]);
+  const pieces = preview ? (Array.isArray(preview.pieces) ? preview.pieces : Object.values(preview.pieces || {})) : [];
+  
+  return (
+    <div style={{
+      marginBottom: '15px',
+      padding: '10px',
+      background: 'rgba(72, 187, 120, 0.1)',
+      borderRadius: '6px',
+      border: '1px solid #48bb78'
+    }}>
+      <div style={{ fontSize: '11px', marginBottom: '8px', color: '#9ae6b4' }}>
+        Restore autosave
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={restorePoints.length - 1}
+        value={Math.min(index, restorePoints.length - 1)}
+        onChange={(e) => {
+          setIndex(Number(e.target.value));
+          setConfirming(false);
+        }}
+        style={{ width: '100%' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#a0aec0' }}>
+        <span>{new Date(point.timestamp).toLocaleString()}</span>
+        <span>{point.ageText || point.reason}</span>
+      </div>
+      
+      {preview ? (
+        <div style={{ marginTop: '8px' }}>
+          <BackupPreview pieces={pieces} connections={preview.connections || []} />
+          <div style={{ fontSize: '10px', marginTop: '6px' }}>
+            {preview.name || 'Untitled'}: {pieces.length} pieces, {(preview.connections || []).length} connections
+          </div>
+          <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '6px' }}>
+            {pieces.map(piece => (
+              <span
+                key={piece.id}
+                style={{
+                  padding: '2px 6px',
+                  borderRadius: '3px',
+                  fontSize: '9px',
+                  background: 'rgba(255, 255, 255, 0.08)',
+                  borderLeft: `3px solid ${piece.color || '#718096'}`
+                }}
+              >
+                {piece.name || piece.type}
+              </span>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div style={{ marginTop: '8px', fontSize: '10px', color: '#f56565' }}>
+          This autosave cannot be read.
+        </div>
+      )}
+      
+      <div style={{ display: 'flex', gap: '6px', marginTop: '10px' }}>
+        {confirming ? (
+          <>
+            <button
+              onClick={() => onRestore(point.key)}
+              style={{
+                flex: 1,
+                padding: '6px',
+                background: '#48bb78',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '10px'
+              }}
+            >
+              Replace current project
+            </button>
+            <button
+              onClick={() => setConfirming(false)}
+              style={{
+                padding: '6px',
+                background: '#2d3748',
+                color: '#cbd5e0',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '10px'
+              }}
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={() => setConfirming(true)}
+            disabled={!preview}
+            style={{
+              flex: 1,
+              padding: '6px',
+              background: preview ? '#2f855a' : '#2d3748',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: preview ? 'pointer' : 'default',
+              fontSize: '10px'
+            }}
+          >
+            Restore this version
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Pieces on a circle with their connections, as in the SVG export
+function BackupPreview({ pieces, connections }) {
+  const size = 140;
+  const radius = pieces.length > 1 ? 48 : 0;
+  const positions = new Map(pieces.map((piece, index) => {
+    const angle = (index / pieces.length) * 2 * Math.PI;
+    return [piece.id, { x: size / 2 + Math.cos(angle) * radius, y: 60 + Math.sin(angle) * radius }];
+  }));
+  
+  return (
+    <svg width="100%" height={120} viewBox={`0 0 ${size} 120`} style={{ background: 'rgba(0, 0, 0, 0.3)', borderRadius: '4px' }}>
+      {connections.map(conn => {
+        const from = positions.get(conn.piece1Id);
+        const to = positions.get(conn.piece2Id);
+        if (!from || !to) return null;
+        return (
+          <line key={conn.id} x1={from.x} y1={from.y} x2={to.x} y2={to.y}
+            stroke="#a0aec0" strokeWidth={1} strokeDasharray="3,3" />
+        );
+      })}
+      {pieces.map(piece => {
+        const { x, y } = positions.get(piece.id);
+        return (
+          <circle key={piece.id} cx={x} cy={y} r={10} fill={piece.color || '#718096'} stroke="#1a202c">
+            <title>{piece.name}</title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
+}
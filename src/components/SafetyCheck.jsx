@@ -1,8 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { RestorePanel } from './RestorePanel';
+import { checkRestorePoints, restoreAutosave } from '../utils/autosaveRestore';
 
-export function SafetyCheck() {
+// `assembly` is the open assembly, whose autosaves can be previewed and
+// restored here; `onRestored` is told when one has replaced its state
+export function SafetyCheck({ assembly, onRestored }) {
   const [checkResults, setCheckResults] = useState({});
   const [overallStatus, setOverallStatus] = useState('checking');
+  const [autosaves, setAutosaves] = useState({ points: [], unreadable: [] });
+  const [restoreMessage, setRestoreMessage] = useState(null);
+  
+  const refreshAutosaves = useCallback(() => {
+    const checked = checkRestorePoints(assembly);
+    setAutosaves(checked);
+    return checked;
+  }, [assembly]);
+  
+  useEffect(() => {
+    refreshAutosaves();
+    setRestoreMessage(null);
+  }, [refreshAutosaves]);
+  
+  const previewAutosave = useCallback((key) => assembly.previewBackup(key), [assembly]);
+  
+  const restore = (key) => {
+    const result = restoreAutosave(assembly, key);
+    setRestoreMessage({ text: result.message, error: !result.success });
+    refreshAutosaves();
+    if (result.success && onRestored) onRestored(assembly);
+  };
   
   // Safety check categories
   const checkCategories = {
@@ -69,6 +95,13 @@ export function SafetyCheck() {
           description: 'Local storage save/load functional',
           critical: true
         },
+        {
+          id: 'func-5',
+          name: 'Autosave Restore',
+          test: () => refreshAutosaves().unreadable.length === 0,
+          description: 'Every autosave of the open project can be read back',
+          critical: false
+        },
 
         {
             id: 'func-4',
@@ -363,6 +396,39 @@ export function SafetyCheck() {
         </div>
       ))}
       
+      {/* Autosaves */}
+      <div style={{
+        marginBottom: '15px',
+        padding: '10px',
+        background: 'rgba(0, 0, 0, 0.2)',
+        borderRadius: '6px'
+      }}>
+        <h3 style={{
+          fontSize: '14px',
+          marginBottom: '10px',
+          color: '#6366f1'
+        }}>
+          Autosaves
+        </h3>
+        {restoreMessage && (
+          <div style={{ fontSize: '12px', marginBottom: '8px', color: restoreMessage.error ? '#fecaca' : 'white' }}>
+            {restoreMessage.text}
+          </div>
+        )}
+        {autosaves.points.length > 0 ? (
+          <RestorePanel
+            key={`${assembly.id}-${autosaves.points.length}`}
+            restorePoints={autosaves.points}
+            onPreview={previewAutosave}
+            onRestore={restore}
+          />
+        ) : (
+          <div style={{ fontSize: '12px', opacity: 0.8 }}>
+            No autosaves of this project yet. Saving it makes one.
+          </div>
+        )}
+      </div>
+      
       {/* Actions */}
       <div style={{
         display: 'flex',
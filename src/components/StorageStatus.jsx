@@ -0,0 +1,98 @@
+// src/components/StorageStatus.jsx
+// Tells the user when a save could not be written or storage is nearly full
+
+import React, { useEffect, useState } from 'react';
+import { storage } from '../utils/storageManager';
+
+const WARN_PERCENT = 80;
+
+export function StorageStatus() {
+  const [error, setError] = useState(storage.lastError);
+  const [estimate, setEstimate] = useState(() => storage.estimate());
+
+  useEffect(() => {
+    const unsubscribe = storage.onError(nextError => {
+      setError(nextError);
+      setEstimate(storage.estimate());
+    });
+    // IndexedDB loads in the background and knows its quota afterwards
+    storage.ready().then(() => setEstimate(storage.estimate()));
+    return unsubscribe;
+  }, []);
+
+  const nearlyFull = estimate.percentUsed >= WARN_PERCENT;
+  if (!error && !nearlyFull) return null;
+
+  const dismiss = () => {
+    storage.clearError();
+    setError(null);
+  };
+
+  return (
+    <div
+      role="alert"
+      style={{
+        position: 'fixed',
+        top: '10px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: error ? 'rgba(127, 29, 29, 0.95)' : 'rgba(120, 53, 15, 0.95)',
+        color: 'white',
+        padding: '10px 14px',
+        borderRadius: '8px',
+        maxWidth: '480px',
+        fontSize: '13px',
+        zIndex: 1001,
+        border: `1px solid ${error ? '#ef4444' : '#f59e0b'}`,
+        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.4)'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: '10px' }}>
+        <span>{error ? '⚠️' : '💾'}</span>
+        <div style={{ flex: 1 }}>
+          <strong>{error ? 'Save failed' : 'Storage almost full'}</strong>
+          <div style={{ marginTop: '4px' }}>
+            {error
+              ? error.message
+              : `${Math.round(estimate.percentUsed)}% of browser storage is used. Old backups will be removed to make room.`}
+          </div>
+          {error?.evicted?.length > 0 && (
+            <div style={{ marginTop: '4px', opacity: 0.8 }}>
+              Removed {error.evicted.length} old backup{error.evicted.length > 1 ? 's' : ''} first.
+            </div>
+          )}
+          {Number.isFinite(estimate.quota) && (
+            <div style={{
+              marginTop: '8px',
+              height: '4px',
+              background: 'rgba(255, 255, 255, 0.2)',
+              borderRadius: '2px'
+            }}>
+              <div style={{
+                width: `${estimate.percentUsed}%`,
+                height: '100%',
+                background: error ? '#ef4444' : '#f59e0b',
+                borderRadius: '2px'
+              }} />
+            </div>
+          )}
+        </div>
+        {error && (
+          <button
+            onClick={dismiss}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: 'white',
+              cursor: 'pointer',
+              fontSize: '14px'
+            }}
+            aria-label="Dismiss"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
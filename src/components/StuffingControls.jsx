@@ -0,0 +1,77 @@
+// src/components/StuffingControls.jsx
+// Firmness slider with the piece's size unstuffed and stuffed
+
+import React, { useState, useMemo } from 'react';
+import { PieceFactory } from '../models/pieceFactory';
+import { solvePieceShape } from '../models/shapeSolver';
+import { isStuffable, DEFAULT_FIRMNESS } from '../models/stuffingSimulator';
+
+const firmnessLabel = (firmness) => {
+  if (firmness <= 0) return 'Unstuffed';
+  if (firmness < 0.35) return 'Lightly stuffed';
+  if (firmness < 0.7) return 'Stuffed';
+  return 'Firmly stuffed';
+};
+
+const formatSize = (size) => `${size.width.toFixed(1)} × ${size.height.toFixed(1)} cm`;
+
+export function StuffingControls({ pattern }) {
+  const [firmness, setFirmness] = useState(DEFAULT_FIRMNESS);
+
+  const stuffable = useMemo(() => isStuffable(solvePieceShape(pattern)), [pattern]);
+  const unstuffed = useMemo(() => new PieceFactory().measurePiece(pattern), [pattern]);
+  const stuffed = useMemo(
+    () => (stuffable && firmness > 0 ? new PieceFactory({ firmness }).measurePiece(pattern) : unstuffed),
+    [pattern, firmness, stuffable, unstuffed]
+  );
+
+  if (!unstuffed) return null;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '8px',
+      padding: '15px',
+      marginTop: '20px'
+    }}>
+      <h2 style={{
+        fontSize: '18px',
+        margin: '0 0 12px 0',
+        color: '#fbbf24'
+      }}>
+        🧸 Stuffing
+      </h2>
+
+      <label style={{ display: 'block', fontSize: '14px', opacity: 0.9, marginBottom: '5px' }}>
+        Firmness: {firmnessLabel(firmness)}
+      </label>
+      <input
+        type="range"
+        min={0}
+        max={100}
+        step={10}
+        value={Math.round(firmness * 100)}
+        onChange={(e) => setFirmness(Number(e.target.value) / 100)}
+        disabled={!stuffable}
+        style={{ width: '100%' }}
+      />
+
+      {stuffable ? (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginTop: '10px' }}>
+          <div style={{ padding: '8px', background: 'rgba(0, 0, 0, 0.2)', borderRadius: '6px', textAlign: 'center' }}>
+            <div style={{ fontSize: '11px', opacity: 0.7 }}>As crocheted</div>
+            <div style={{ fontSize: '14px', fontWeight: '600' }}>{formatSize(unstuffed)}</div>
+          </div>
+          <div style={{ padding: '8px', background: 'rgba(16, 185, 129, 0.2)', borderRadius: '6px', textAlign: 'center' }}>
+            <div style={{ fontSize: '11px', opacity: 0.7 }}>{firmnessLabel(firmness)}</div>
+            <div style={{ fontSize: '14px', fontWeight: '600' }}>{formatSize(stuffed)}</div>
+          </div>
+        </div>
+      ) : (
+        <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '8px' }}>
+          Open at both ends, so this piece holds no stuffing ({formatSize(unstuffed)}).
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+// src/components/TransformGizmoControls.jsx
+// UI controls for the move/rotate/scale gizmo
+
+import React, { useState } from 'react';
+
+const MODES = [
+  { key: 'translate', label: '↔ Move' },
+  { key: 'rotate', label: '⟳ Rotate' },
+  { key: 'scale', label: '⤢ Scale' }
+];
+
+// What a blank numeric entry starts from in each mode
+const EMPTY_VALUES = {
+  translate: { x: '', y: '', z: '' },
+  rotate: { x: '', y: '', z: '' },
+  scale: { x: '', y: '', z: '' }
+};
+
+const AXIS_COLORS = { x: '#ef4444', y: '#22c55e', z: '#3b82f6' };
+
+export function TransformGizmoControls({
+  mode,
+  space,
+  pivot,
+  snapAngles,
+  rotationSnap,
+  selection,
+  isTransforming,
+  lastResult,
+  onModeChange,
+  onToggleSpace,
+  onPivotChange,
+  onToggleAngleSnap,
+  onRotationSnapChange,
+  onApplyNumeric
+}) {
+  const [values, setValues] = useState(EMPTY_VALUES);
+  const current = MODES.find(entry => entry.key === mode) || MODES[0];
+  const hasSelection = selection.length > 0;
+
+  const handleApply = () => {
+    onApplyNumeric(values[mode]);
+    setValues(prev => ({ ...prev, [mode]: EMPTY_VALUES[mode] }));
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '10px',
+      right: '10px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      color: 'white',
+      padding: '15px',
+      borderRadius: '8px',
+      minWidth: '220px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      zIndex: 1000,
+      border: '1px solid rgba(251, 191, 36, 0.3)'
+    }}>
+      <h3 style={{
+        margin: '0 0 10px 0',
+        fontSize: '14px',
+        color: '#fbbf24'
+      }}>
+        🧭 Transform
+      </h3>
+
+      {/* Status */}
+      <div style={{
+        padding: '5px',
+        background: isTransforming ? '#00ff00' : (hasSelection ? '#0080ff' : '#666'),
+        borderRadius: '4px',
+        textAlign: 'center',
+        marginBottom: '10px',
+        transition: 'all 0.3s'
+      }}>
+        {isTransforming
+          ? '✋ Transforming...'
+          : (hasSelection ? `${selection.length} piece${selection.length === 1 ? '' : 's'} selected` : 'Select pieces to transform')}
+      </div>
+
+      {/* Mode */}
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '10px' }}>
+        {MODES.map(entry => (
+          <button
+            key={entry.key}
+            onClick={() => onModeChange(entry.key)}
+            style={{
+              flex: 1,
+              padding: '5px',
+              background: mode === entry.key ? '#fbbf24' : 'rgba(255, 255, 255, 0.1)',
+              color: mode === entry.key ? 'black' : 'white',
+              border: '1px solid #fbbf24',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '11px'
+            }}
+          >
+            {entry.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Space and pivot */}
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '10px' }}>
+        <button
+          onClick={onToggleSpace}
+          title="Handles along the world axes or the active piece's own axes"
+          style={{
+            flex: 1,
+            padding: '5px',
+            background: 'rgba(255, 255, 255, 0.1)',
+            color: 'white',
+            border: '1px solid #555',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '11px'
+          }}
+        >
+          {space === 'local' ? '📦 Local' : '🌐 World'}
+        </button>
+        <select
+          value={pivot}
+          onChange={(e) => onPivotChange(e.target.value)}
+          title="Point the selection turns and scales about"
+          style={{
+            flex: 1,
+            padding: '5px',
+            background: 'rgba(255, 255, 255, 0.1)',
+            color: 'white',
+            border: '1px solid #555',
+            borderRadius: '4px',
+            fontSize: '11px'
+          }}
+        >
+          <option value="center">Pivot: centre</option>
+          <option value="active">Pivot: active piece</option>
+        </select>
+      </div>
+
+      {/* Angle snapping */}
+      <div style={{ marginBottom: '10px' }}>
+        <label style={{
+          display: 'flex',
+          alignItems: 'center',
+          cursor: 'pointer'
+        }}>
+          <input
+            type="checkbox"
+            checked={snapAngles}
+            onChange={onToggleAngleSnap}
+            style={{ marginRight: '8px' }}
+          />
+          <span>Snap angles</span>
+        </label>
+        <div style={{
+          marginTop: '5px',
+          opacity: snapAngles ? 1 : 0.5,
+          pointerEvents: snapAngles ? 'auto' : 'none'
+        }}>
+          <label style={{ fontSize: '11px' }}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              marginBottom: '3px'
+            }}>
+              <span>Angle Step</span>
+              <span style={{ color: '#00ff00' }}>{rotationSnap}°</span>
+            </div>
+            <input
+              type="range"
+              min="5"
+              max="90"
+              step="5"
+              value={rotationSnap}
+              onChange={(e) => onRotationSnapChange(parseFloat(e.target.value))}
+              style={{
+                width: '100%',
+                accentColor: '#fbbf24'
+              }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {/* Numeric entry */}
+      <div style={{
+        marginBottom: '10px',
+        padding: '8px',
+        background: 'rgba(255, 255, 255, 0.05)',
+        borderRadius: '4px',
+        opacity: hasSelection ? 1 : 0.5,
+        pointerEvents: hasSelection ? 'auto' : 'none'
+      }}>
+        <div style={{ color: '#888', marginBottom: '5px', fontSize: '10px' }}>
+          {mode === 'translate' && 'Move by'}
+          {mode === 'rotate' && 'Rotate by (degrees)'}
+          {mode === 'scale' && 'Scale by (factor)'}
+          {space === 'local' ? ' along local axes' : ''}
+        </div>
+        <div style={{ display: 'flex', gap: '4px', marginBottom: '6px' }}>
+          {['x', 'y', 'z'].map(axis => (
+            <label key={axis} style={{ flex: 1, display: 'flex', alignItems: 'center', gap: '3px' }}>
+              <span style={{ color: AXIS_COLORS[axis], fontWeight: 'bold' }}>{axis.toUpperCase()}</span>
+              <input
+                type="number"
+                step={mode === 'rotate' ? rotationSnap : 0.1}
+                value={values[mode][axis]}
+                placeholder={mode === 'scale' ? '1' : '0'}
+                onChange={(e) => setValues(prev => ({ ...prev, [mode]: { ...prev[mode], [axis]: e.target.value } }))}
+                onKeyDown={(e) => { if (e.key === 'Enter') handleApply(); }}
+                style={{
+                  width: '100%',
+                  padding: '3px',
+                  background: 'rgba(0, 0, 0, 0.3)',
+                  color: 'white',
+                  border: '1px solid #555',
+                  borderRadius: '3px',
+                  fontSize: '11px'
+                }}
+              />
+            </label>
+          ))}
+        </div>
+        <button
+          onClick={handleApply}
+          style={{
+            width: '100%',
+            padding: '6px',
+            background: 'rgba(251, 191, 36, 0.8)',
+            color: 'black',
+            border: '1px solid #fbbf24',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '11px'
+          }}
+        >
+          Apply {current.label.split(' ')[1]}
+        </button>
+        {lastResult && !lastResult.success && (
+          <div style={{ marginTop: '5px', fontSize: '10px', color: '#ff6b6b' }}>
+            {lastResult.error || lastResult.reason}
+          </div>
+        )}
+      </div>
+
+      {/* Instructions */}
+      <div style={{
+        marginTop: '10px',
+        paddingTop: '10px',
+        borderTop: '1px solid #333',
+        fontSize: '10px',
+        color: '#888'
+      }}>
+        <div>🎯 Drag an arrow, ring or box handle</div>
+        <div>⬜ Centre box scales evenly</div>
+        <div>↩️ Each change is one undo step</div>
+      </div>
+    </div>
+  );
+}
+
+export default TransformGizmoControls;
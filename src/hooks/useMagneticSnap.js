@@ -4,11 +4,13 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { MagneticSnapManager } from '../utils/magneticSnapManager';
 
-export function useMagneticSnap(scene, assembly, dragDropManager) {
+// `undoRedo` (optional UndoRedoSystem) records each snap as one undo step
+export function useMagneticSnap(scene, assembly, dragDropManager, undoRedo = null) {
   const managerRef = useRef(null);
   const [snapEnabled, setSnapEnabled] = useState(true);
   const [snapDistance, setSnapDistance] = useState(1.0);
   const [snapStrength, setSnapStrength] = useState(0.2);
+  const [snapTwist, setSnapTwist] = useState(0); // radians about the joint
   const [isSnapping, setIsSnapping] = useState(false);
   const [snapStats, setSnapStats] = useState({
     registeredPieces: 0,
@@ -22,14 +24,15 @@ export function useMagneticSnap(scene, assembly, dragDropManager) {
     if (!scene || !assembly) return;
     
     // Create manager
-    const manager = new MagneticSnapManager(scene, assembly);
+    const manager = new MagneticSnapManager(scene, assembly, { undoRedo });
     managerRef.current = manager;
     
     // Set initial config
     manager.updateConfig({
       enabled: snapEnabled,
       snapDistance: snapDistance,
-      snapStrength: snapStrength
+      snapStrength: snapStrength,
+      twist: snapTwist
     });
     
     // Listen for drag events if drag & drop manager exists
@@ -45,8 +48,9 @@ export function useMagneticSnap(scene, assembly, dragDropManager) {
           const pullStrength = 1 - (snapInfo.distance / snapDistance);
           const magneticPull = pullStrength * snapStrength;
           
-          // Adjust position toward snap point
+          // Adjust position and turn toward the snap
           mesh.position.lerp(snapInfo.snapPosition, magneticPull);
+          mesh.quaternion.slerp(snapInfo.snapQuaternion, magneticPull);
         }
       };
       
@@ -82,7 +86,7 @@ export function useMagneticSnap(scene, assembly, dragDropManager) {
         managerRef.current = null;
       }
     };
-  }, [scene, assembly, dragDropManager, snapEnabled, snapDistance, snapStrength]);
+  }, [scene, assembly, dragDropManager, undoRedo, snapEnabled, snapDistance, snapStrength, snapTwist]);
   
   // Register a piece for magnetic snap
   const registerSnapPiece = useCallback((mesh, pieceData) => {
@@ -125,6 +129,14 @@ export function useMagneticSnap(scene, assembly, dragDropManager) {
     }
   }, []);
   
+  // Update the twist about the joint (radians)
+  const updateSnapTwist = useCallback((twist) => {
+    setSnapTwist(twist);
+    if (managerRef.current) {
+      managerRef.current.updateConfig({ twist });
+    }
+  }, []);
+  
   // Manually trigger snap check
   const checkForSnap = useCallback((mesh, position) => {
     if (managerRef.current) {
@@ -199,6 +211,7 @@ export function useMagneticSnap(scene, assembly, dragDropManager) {
     snapEnabled,
     snapDistance,
     snapStrength,
+    snapTwist,
     isSnapping,
     snapStats,
     
@@ -208,6 +221,7 @@ export function useMagneticSnap(scene, assembly, dragDropManager) {
     toggleSnap,
     updateSnapDistance,
     updateSnapStrength,
+    updateSnapTwist,
     checkForSnap,
     executeManualSnap,
     getCompatiblePoints,
@@ -0,0 +1,135 @@
+// src/hooks/useTransformGizmo.js
+// React hook for the move/rotate/scale gizmo
+
+import { useEffect, useRef, useState, useCallback } from 'react';
+import { TransformGizmo } from '../utils/transformGizmo';
+
+// `undoRedo` (optional UndoRedoSystem) records each change as one undo step;
+// `dragDropManager` is paused while a handle is dragged
+export function useTransformGizmo(camera, renderer, scene, assembly, undoRedo = null, dragDropManager = null) {
+  const managerRef = useRef(null);
+  const [mode, setMode] = useState('translate');
+  const [space, setSpace] = useState('world');
+  const [pivot, setPivot] = useState('center');
+  const [snapAngles, setSnapAngles] = useState(true);
+  const [rotationSnap, setRotationSnap] = useState(15); // degrees
+  const [selection, setSelection] = useState([]);
+  const [isTransforming, setIsTransforming] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+
+  // Initialize transform gizmo
+  useEffect(() => {
+    if (!camera || !renderer || !scene) return;
+
+    // Create manager
+    const manager = new TransformGizmo(camera, renderer, scene, { assembly, undoRedo, dragDropManager });
+    managerRef.current = manager;
+
+    const handleStart = () => setIsTransforming(true);
+    const handleEnd = () => setIsTransforming(false);
+    window.addEventListener('piece-transformstart', handleStart);
+    window.addEventListener('piece-transformend', handleEnd);
+
+    return () => {
+      window.removeEventListener('piece-transformstart', handleStart);
+      window.removeEventListener('piece-transformend', handleEnd);
+      manager.dispose();
+      managerRef.current = null;
+    };
+  }, [camera, renderer, scene, assembly, undoRedo, dragDropManager]);
+
+  // Keep the gizmo's settings in step with the controls
+  useEffect(() => {
+    if (managerRef.current) {
+      managerRef.current.updateConfig({
+        mode,
+        space,
+        pivot,
+        snapAngles,
+        rotationSnap: (rotationSnap * Math.PI) / 180
+      });
+    }
+  }, [mode, space, pivot, snapAngles, rotationSnap, camera, renderer, scene]);
+
+  // Register a mesh the gizmo can be attached to
+  const registerTransformPiece = useCallback((mesh, pieceData) => {
+    if (managerRef.current) {
+      managerRef.current.registerPiece(mesh, pieceData);
+    }
+  }, []);
+
+  const unregisterTransformPiece = useCallback((pieceId) => {
+    if (managerRef.current) {
+      managerRef.current.unregisterPiece(pieceId);
+      setSelection([...managerRef.current.selection]);
+    }
+  }, []);
+
+  // Attach to the selected pieces (e.g. from MultiSelectManager); the first
+  // is the active piece
+  const attachGizmo = useCallback((pieceIds) => {
+    if (managerRef.current) {
+      setSelection([...managerRef.current.attach(pieceIds)]);
+    }
+  }, []);
+
+  const detachGizmo = useCallback(() => {
+    if (managerRef.current) {
+      managerRef.current.detach();
+    }
+    setSelection([]);
+  }, []);
+
+  const toggleSpace = useCallback(() => {
+    setSpace(current => (current === 'world' ? 'local' : 'world'));
+  }, []);
+
+  const toggleAngleSnap = useCallback(() => {
+    setSnapAngles(current => !current);
+  }, []);
+
+  // Type in a change for the current mode ({ x, y, z })
+  const applyNumeric = useCallback((values) => {
+    if (!managerRef.current) return null;
+    const result = managerRef.current.applyNumeric(values, mode);
+    setLastResult(result);
+    return result;
+  }, [mode]);
+
+  // Move the meshes back in line with the assembly after undo or redo
+  const syncFromAssembly = useCallback(() => {
+    if (managerRef.current) {
+      managerRef.current.syncFromAssembly();
+    }
+  }, []);
+
+  return {
+    // State
+    mode,
+    space,
+    pivot,
+    snapAngles,
+    rotationSnap,
+    selection,
+    isTransforming,
+    lastResult,
+
+    // Methods
+    registerTransformPiece,
+    unregisterTransformPiece,
+    attachGizmo,
+    detachGizmo,
+    setMode,
+    toggleSpace,
+    setPivot,
+    toggleAngleSnap,
+    setRotationSnap,
+    applyNumeric,
+    syncFromAssembly,
+
+    // Reference to manager (for advanced use)
+    manager: managerRef.current
+  };
+}
+
+export default useTransformGizmo;
@@ -2,7 +2,17 @@
 // React hook for undo/redo functionality
 
 import { useEffect, useRef, useState, useCallback } from 'react';
-import { UndoRedoSystem, createAction } from '../utils/undoRedoSystem';
+import { UndoRedoSystem } from '../utils/undoRedoSystem';
+import { snapshotPiece, connectionRecord } from '../utils/assemblyCommands';
+
+// Give the system the assembly's own undo stack, the one saved with it, or
+// an empty one. Another project's commands must never apply to it: a
+// duplicated or reopened project has the same piece ids.
+function attachAssembly(system, assembly) {
+  system.setAssembly(assembly);
+  const saved = assembly?.undoHistory;
+  if (!saved || !system.restore(saved).success) system.clear();
+}
 
 export function useUndoRedo(assembly, options = {}) {
   const systemRef = useRef(null);
@@ -11,14 +21,35 @@ export function useUndoRedo(assembly, options = {}) {
   const [history, setHistory] = useState([]);
   const [currentAction, setCurrentAction] = useState(null);
   
+  // The system outlives re-renders; opening another assembly swaps in that
+  // assembly's history. Its callbacks read the latest assembly and options
+  // from refs.
+  const assemblyRef = useRef(assembly);
+  const optionsRef = useRef(options);
+  const maxHistorySize = options.maxHistorySize || 50;
+  
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+  
+  // Update history display
+  const updateHistory = useCallback(() => {
+    if (systemRef.current) {
+      const recentHistory = systemRef.current.getHistory(10);
+      setHistory(recentHistory);
+    }
+  }, []);
+  
   // Initialize undo/redo system
   useEffect(() => {
-    const system = new UndoRedoSystem(options.maxHistorySize || 50);
+    const system = new UndoRedoSystem(maxHistorySize, { assembly: assemblyRef.current });
     systemRef.current = system;
     
-    // Set callbacks
+    // Set callbacks; onChange lets the viewer rebuild meshes from the assembly
     system.setCallbacks({
       onHistoryChange: (state) => {
+        // Kept on the assembly so that saving it saves the stack too
+        if (assemblyRef.current) assemblyRef.current.undoHistory = system.toJSON();
         setCanUndo(state.canUndo);
         setCanRedo(state.canRedo);
         setCurrentAction(state.currentAction);
@@ -26,177 +57,127 @@ export function useUndoRedo(assembly, options = {}) {
       },
       onUndo: (action) => {
         console.log('Undid:', action.description);
+        optionsRef.current.onChange?.(action);
       },
       onRedo: (action) => {
         console.log('Redid:', action.description);
+        optionsRef.current.onChange?.(action);
       }
     });
+    attachAssembly(system, assemblyRef.current);
     
     return () => {
       // Cleanup if needed
     };
-  }, [options.maxHistorySize]);
+  }, [maxHistorySize, updateHistory]);
   
-  // Update history display
-  const updateHistory = useCallback(() => {
-    if (systemRef.current) {
-      const recentHistory = systemRef.current.getHistory(10);
-      setHistory(recentHistory);
+  // Commands apply to whichever assembly is open, with its own history
+  useEffect(() => {
+    assemblyRef.current = assembly;
+    if (systemRef.current && systemRef.current.assembly !== assembly) {
+      attachAssembly(systemRef.current, assembly);
     }
-  }, []);
+  }, [assembly]);
   
   // Record add piece action
-  const recordAddPiece = useCallback((piece, mesh) => {
+  const recordAddPiece = useCallback((piece) => {
     if (!systemRef.current || !assembly) return;
     
-    const action = createAction(
-      'add_piece',
-      { 
-        pieceId: piece.id,
-        pieceData: { ...piece },
-        meshId: mesh?.uuid
-      },
-      // Undo function
-      (data) => {
-        assembly.removePiece(data.pieceId);
-        if (mesh && mesh.parent) {
-          mesh.parent.remove(mesh);
-        }
-      },
-      // Redo function
-      (data) => {
-        assembly.addPiece(data.pieceData);
-        if (mesh && mesh.parent) {
-          mesh.parent.add(mesh);
-        }
-      },
+    systemRef.current.recordCommand(
+      { type: 'add_piece', piece: snapshotPiece(piece), connections: [] },
       `Add ${piece.name || piece.id}`
     );
-    
-    systemRef.current.recordAction(action);
   }, [assembly]);
   
-  // Record remove piece action
-  const recordRemovePiece = useCallback((piece, mesh) => {
+  // Record remove piece action (pass the connections the piece had)
+  const recordRemovePiece = useCallback((piece, connections = []) => {
     if (!systemRef.current || !assembly) return;
     
-    const action = createAction(
-      'remove_piece',
+    systemRef.current.recordCommand(
       {
+        type: 'remove_piece',
         pieceId: piece.id,
-        pieceData: { ...piece },
-        meshId: mesh?.uuid,
-        parent: mesh?.parent
-      },
-      // Undo function
-      (data) => {
-        assembly.addPiece(data.pieceData);
-        if (mesh && data.parent) {
-          data.parent.add(mesh);
-        }
-      },
-      // Redo function
-      (data) => {
-        assembly.removePiece(data.pieceId);
-        if (mesh && mesh.parent) {
-          mesh.parent.remove(mesh);
-        }
+        piece: snapshotPiece(piece),
+        connections: connections.map(connectionRecord)
       },
       `Remove ${piece.name || piece.id}`
     );
-    
-    systemRef.current.recordAction(action);
   }, [assembly]);
   
   // Record move piece action
   const recordMovePiece = useCallback((piece, oldPosition, newPosition) => {
     if (!systemRef.current || !assembly) return;
     
-    const action = createAction(
-      'move_piece',
+    systemRef.current.recordCommand(
       {
+        type: 'move_piece',
         pieceId: piece.id,
-        oldPosition: { ...oldPosition },
-        newPosition: { ...newPosition }
-      },
-      // Undo function
-      (data) => {
-        assembly.updatePiecePosition(data.pieceId, data.oldPosition);
-      },
-      // Redo function
-      (data) => {
-        assembly.updatePiecePosition(data.pieceId, data.newPosition);
+        from: { x: oldPosition.x, y: oldPosition.y, z: oldPosition.z },
+        to: { x: newPosition.x, y: newPosition.y, z: newPosition.z }
       },
       `Move ${piece.name || piece.id}`
     );
-    
-    systemRef.current.recordAction(action);
   }, [assembly]);
   
   // Record connection action
   const recordConnect = useCallback((connection) => {
     if (!systemRef.current || !assembly) return;
     
-    const action = createAction(
-      'connect',
-      {
-        connectionId: connection.id,
-        piece1Id: connection.piece1Id,
-        point1Id: connection.point1Id,
-        piece2Id: connection.piece2Id,
-        point2Id: connection.point2Id
-      },
-      // Undo function
-      (data) => {
-        assembly.disconnect(data.connectionId);
-      },
-      // Redo function
-      (data) => {
-        assembly.connect(
-          data.piece1Id,
-          data.point1Id,
-          data.piece2Id,
-          data.point2Id
-        );
-      },
+    systemRef.current.recordCommand(
+      { type: 'connect', connection: connectionRecord(connection) },
       `Connect ${connection.piece1Id} to ${connection.piece2Id}`
     );
-    
-    systemRef.current.recordAction(action);
   }, [assembly]);
   
   // Record disconnection action
   const recordDisconnect = useCallback((connection) => {
     if (!systemRef.current || !assembly) return;
     
-    const action = createAction(
-      'disconnect',
-      {
-        connectionId: connection.id,
-        piece1Id: connection.piece1Id,
-        point1Id: connection.point1Id,
-        piece2Id: connection.piece2Id,
-        point2Id: connection.point2Id
-      },
-      // Undo function
-      (data) => {
-        assembly.connect(
-          data.piece1Id,
-          data.point1Id,
-          data.piece2Id,
-          data.point2Id
-        );
-      },
-      // Redo function
-      (data) => {
-        assembly.disconnect(data.connectionId);
-      },
+    systemRef.current.recordCommand(
+      { type: 'disconnect', connection: connectionRecord(connection) },
       `Disconnect ${connection.piece1Id} from ${connection.piece2Id}`
     );
+  }, [assembly]);
+  
+  // Record a change to piece fields, e.g. { color: '#ff0000' }
+  const recordModifyPiece = useCallback((piece, before, after) => {
+    if (!systemRef.current || !assembly) return;
     
-    systemRef.current.recordAction(action);
+    systemRef.current.recordCommand(
+      { type: 'modify_piece', pieceId: piece.id, before, after },
+      `Modify ${piece.name || piece.id}`
+    );
   }, [assembly]);
   
+  // Apply a command to the assembly and record it
+  const execute = useCallback((command, description) => {
+    if (systemRef.current) {
+      const result = systemRef.current.execute(command, description);
+      if (result.success) {
+        updateHistory();
+      }
+      return result;
+    }
+    return { success: false, reason: 'System not initialized' };
+  }, [updateHistory]);
+  
+  // Undo stack to save with the project
+  const saveHistory = useCallback(() => {
+    return systemRef.current ? systemRef.current.toJSON() : null;
+  }, []);
+  
+  // Restore a saved undo stack after opening the project
+  const restoreHistory = useCallback((data) => {
+    if (systemRef.current) {
+      const result = systemRef.current.restore(data);
+      if (result.success) {
+        updateHistory();
+      }
+      return result;
+    }
+    return { success: false, reason: 'System not initialized' };
+  }, [updateHistory]);
+  
   // Perform undo
   const undo = useCallback(() => {
     if (systemRef.current) {
@@ -236,10 +217,10 @@ export function useUndoRedo(assembly, options = {}) {
     }
   }, [updateHistory]);
   
-  // Jump to specific history point
-  const jumpTo = useCallback((index) => {
+  // Jump to an index on the active branch, or to any action id
+  const jumpTo = useCallback((target) => {
     if (systemRef.current) {
-      const result = systemRef.current.jumpTo(index);
+      const result = systemRef.current.jumpTo(target);
       if (result.success) {
         updateHistory();
       }
@@ -248,6 +229,23 @@ export function useUndoRedo(assembly, options = {}) {
     return { success: false, reason: 'System not initialized' };
   }, [updateHistory]);
   
+  // Make another branch active and move to its latest action
+  const switchBranch = useCallback((branchId) => {
+    if (systemRef.current) {
+      const result = systemRef.current.switchBranch(branchId);
+      if (result.success) {
+        updateHistory();
+      }
+      return result;
+    }
+    return { success: false, reason: 'System not initialized' };
+  }, [updateHistory]);
+  
+  // Every action in every branch, for drawing the history tree
+  const getTree = useCallback(() => {
+    return systemRef.current ? systemRef.current.getTree() : null;
+  }, []);
+  
   // Clear history
   const clearHistory = useCallback(() => {
     if (systemRef.current) {
@@ -267,6 +265,9 @@ export function useUndoRedo(assembly, options = {}) {
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Text fields keep their own undo
+      if (e.target?.closest?.('input, textarea, [contenteditable="true"]')) return;
+      
       // Ctrl/Cmd + Z for undo
       if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
         e.preventDefault();
@@ -299,16 +300,24 @@ export function useUndoRedo(assembly, options = {}) {
     recordMovePiece,
     recordConnect,
     recordDisconnect,
+    recordModifyPiece,
     
     // Control methods
+    execute,
     undo,
     redo,
     beginBatch,
     endBatch,
     jumpTo,
+    switchBranch,
     clearHistory,
     
+    // Persistence
+    saveHistory,
+    restoreHistory,
+    
     // Utility
+    getTree,
     getStats,
     system: systemRef.current
   };
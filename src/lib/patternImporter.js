@@ -0,0 +1,316 @@
+// src/lib/patternImporter.js
+import { parsePatternDocument, parseLine } from './patternParser';
+import { readPaletteEntry } from './yarnColors';
+
+/**
+ * Third-party pattern importer
+ * Splits a written pattern (blog/Ravelry text, text copied out of a PDF,
+ * Markdown) into its pieces by heading, reads "make 2" multiplicity, hands
+ * each piece's round lines to the grammar parser (which expands "Rnd 5-8")
+ * and keeps every line it could not use as a note.
+ */
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+const COUNT = '(\\d+|one|two|three|four|five|six|seven|eight|nine|ten)';
+
+// "(make 2)", "[Make two, one for each side]", "(x2)", "(2x)"
+const BRACKETED_COUNT = new RegExp(`[([]\\s*(?:(?:make|mk)\\s+${COUNT}\\b[^)\\]]*|x\\s*(\\d+)|(\\d+)\\s*x)\\s*[)\\]]`, 'i');
+// "- make 2", "make 2", "x2" at the end of a heading
+const TRAILING_COUNT = new RegExp(`(?:[-–—:,]\\s*)?(?:(?:make|mk)\\s+${COUNT}|x\\s*(\\d+))\\s*\\.?$`, 'i');
+// "Make 2." on its own line under a heading
+const MAKE_LINE = new RegExp(`^(?:make|mk)\\s+${COUNT}\\b`, 'i');
+
+const MATERIALS_SECTION = /^(materials?|supplies|you('| wi)ll need|what you('| wi)ll need|what you need|tools|yarns?|notions|hooks?)\b/i;
+// Sections that are pieces only if they actually contain rounds
+const GENERIC_SECTION = /^(instructions?|pattern|directions|the pattern)\b/i;
+// "Notes: work in continuous rounds." — a note given on its own line
+const INLINE_NOTE = /^(?:pattern\s+)?notes?\s*:\s*(\S.*)$/i;
+const NOTES_SECTION = /^(notes?|pattern notes|abbreviations|stitches used|special stitches|stitch guide|gauge|tension|sizes?|finished size|finishing|assembly|assembling|to assemble|making up|difficulty|skill level|copyright|terms|designer|about)\b/i;
+
+const TYPE_KEYWORDS = [
+  [/\bheads?\b/, 'head'],
+  [/\b(body|bodies|torso)\b/, 'body'],
+  [/\barms?\b/, 'arm'],
+  [/\blegs?\b/, 'leg'],
+  [/\bhands?\b/, 'hand'],
+  [/\b(foot|feet)\b/, 'foot'],
+  [/\b(ears?|tails?|hats?|nose|snout|muzzle|wings?|horns?|eyes?|mane|scarf|beak|fins?|antlers?)\b/, 'accessory']
+];
+
+const PAGE_LINE = /^(page\s+\d+(\s+of\s+\d+)?|\d+\s*\/\s*\d+)$/i;
+const RULE_LINE = /^[-=_*~#]{3,}$/;
+const STATED_ONLY = /^[([]\s*\d+\s*(sts?|stitches)?\s*[)\]]\.?$/i;
+
+function readCount(value) {
+  if (!value) return null;
+  const number = NUMBER_WORDS[value.toLowerCase()] ?? parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Undo the usual damage from copying text out of a PDF or web page
+ */
+export function normalizePatternText(text) {
+  return String(text)
+    .replace(/\r\n?|\f/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .replace(/\ufb01/g, 'fi')
+    .replace(/\ufb02/g, 'fl')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    // Words hyphenated across a line break: "in-\ncrease"
+    .replace(/([a-z])-\n([a-z]+)/g, '$1$2\n');
+}
+
+/**
+ * Strip Markdown list markers, blockquotes and whole-line emphasis
+ */
+function cleanLine(line) {
+  let text = line.trim()
+    .replace(/^>\s*/, '')
+    .replace(/^[-*+•·▪◦]\s+/, '');
+
+  const emphasis = text.match(/^(\*\*|__|\*|_)(.+)\1(:?)$/);
+  if (emphasis) text = emphasis[2].trim() + emphasis[3];
+
+  return text.replace(/\*\*|__/g, '').trim();
+}
+
+/**
+ * If a line is a heading, return { name, count }
+ */
+function readHeading(rawLine) {
+  const raw = rawLine.trim();
+  const markdown = raw.match(/^#{1,6}\s+(.+?)\s*#*$/);
+  const bold = raw.match(/^(\*\*|__)([^*_]+)\1:?$/);
+
+  let text = markdown ? cleanLine(markdown[1]) : bold ? bold[2].trim() : cleanLine(raw);
+  if (!text || text.length > 60) return null;
+
+  let count = 1;
+  const bracketed = text.match(BRACKETED_COUNT);
+  const trailing = !bracketed && text.match(TRAILING_COUNT);
+  const countMatch = bracketed || trailing;
+  if (countMatch) {
+    count = readCount(countMatch[1] || countMatch[2] || countMatch[3]) || 1;
+    text = text.replace(countMatch[0], ' ');
+  }
+  text = text.replace(/\s*:\s*$/, '').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  // A heading never looks like a round
+  if (parseLine(text).label) return null;
+
+  const words = text.split(' ');
+  const isCaps = /^[A-Z][A-Z\s&'/()-]*$/.test(text) && text.length >= 2;
+  const isTitledWithColon = /:\s*$/.test(raw) && words.length <= 4 && /^[A-Z][A-Za-z\s&'/-]*$/.test(text);
+
+  // "FO" or "SC AROUND" in capitals are instructions, not headings
+  const isInstruction = !countMatch && parseLine(text).hasStitches;
+
+  if (markdown || bold || ((isCaps || isTitledWithColon) && !isInstruction) || (countMatch && words.length <= 4)) {
+    return { name: text, count };
+  }
+  return null;
+}
+
+function classifySection(name) {
+  if (MATERIALS_SECTION.test(name)) return 'materials';
+  if (NOTES_SECTION.test(name)) return 'notes';
+  if (GENERIC_SECTION.test(name)) return 'generic';
+  return 'piece';
+}
+
+function isRoundLine(text) {
+  const parsed = parseLine(text);
+  return Boolean(parsed.label) || (parsed.hasStitches && parsed.statedCount !== null);
+}
+
+function isColorChange(text) {
+  const parsed = parseLine(text);
+  return !parsed.hasStitches && parsed.nodes.some(node => node.type === 'color');
+}
+
+// A wrapped round continues onto the next line ("sc in next 3 sts,\ninc (18)")
+function continuesRound(previous, text) {
+  if (parseLine(text).label) return false;
+  if (STATED_ONLY.test(text)) return true;
+  if (/[,;*([]$|\b(and|in|from|to|rep|repeat|then)$/i.test(previous)) return true;
+  return /^[a-z]/.test(text) && parseLine(previous).statedCount === null;
+}
+
+/**
+ * Title-case a heading ("LEFT ARM" -> "Left Arm")
+ */
+function toTitle(name) {
+  if (name !== name.toUpperCase()) return name;
+  return name.toLowerCase().replace(/\b([a-z])/g, letter => letter.toUpperCase());
+}
+
+export function pieceTypeFromName(name) {
+  const lower = name.toLowerCase();
+  const match = TYPE_KEYWORDS.find(([pattern]) => pattern.test(lower));
+  return match ? match[1] : 'custom';
+}
+
+/**
+ * Singular piece name for one copy of a "make N" section
+ */
+function singularName(name) {
+  return name
+    .replace(/\bFeet\b/, 'Foot')
+    .replace(/\bfeet\b/, 'foot')
+    .replace(/\b(\w+[^s\W])s\b$/, '$1');
+}
+
+/**
+ * Names for each copy: "Left Arm"/"Right Arm" for pairs, "Ear 1".."Ear 3" otherwise
+ */
+export function copyNames(name, count) {
+  if (count <= 1) return [name];
+  const single = singularName(name);
+  if (count === 2) return [`Left ${single}`, `Right ${single}`];
+  return Array.from({ length: count }, (_, i) => `${single} ${i + 1}`);
+}
+
+/**
+ * Split a written pattern into title, materials, yarn palette, notes and pieces.
+ * Each piece has { name, type, count, rounds, palette, notes, diagnostics, line };
+ * rounds are the grammar parser's rounds (legacy fields plus stitchList).
+ */
+export function importPatternDocument(text) {
+  const lines = normalizePatternText(text).split('\n');
+  const sections = [];
+  let current = { name: null, kind: 'preamble', count: 1, line: 1, entries: [] };
+  sections.push(current);
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const trimmed = rawLine.trim();
+    if (!trimmed || RULE_LINE.test(trimmed) || PAGE_LINE.test(trimmed)) return;
+
+    const heading = readHeading(rawLine);
+    if (heading) {
+      current = {
+        name: toTitle(heading.name),
+        kind: classifySection(heading.name),
+        count: heading.count,
+        line: lineNumber,
+        entries: []
+      };
+      sections.push(current);
+      return;
+    }
+
+    const textLine = cleanLine(rawLine);
+    if (!textLine) return;
+
+    // "Make 2." straight under a piece heading
+    const make = textLine.match(MAKE_LINE);
+    if (make && current.entries.every(entry => !entry.isRound)) {
+      current.count = readCount(make[1]) || current.count;
+      return;
+    }
+
+    const note = textLine.match(INLINE_NOTE);
+    if (note) {
+      current.entries.push({ text: note[1].trim(), line: lineNumber, isRound: false, isNote: true });
+      return;
+    }
+
+    const previous = current.entries[current.entries.length - 1];
+    if (previous?.isRound && continuesRound(previous.text, textLine)) {
+      previous.text = `${previous.text} ${textLine}`;
+      return;
+    }
+
+    const isRound = isRoundLine(textLine);
+    // ...and so does a sentence ("Stuff the legs firmly\nwith fiberfill.")
+    if (previous && !previous.isRound && !isRound && !/[.!?:]$/.test(previous.text) && /^[a-z]/.test(textLine)) {
+      previous.text = `${previous.text} ${textLine}`;
+      return;
+    }
+
+    current.entries.push({ text: textLine, line: lineNumber, isRound });
+  });
+
+  const document = { title: null, materials: [], palette: {}, notes: [], pieces: [], diagnostics: [] };
+
+  // "Color B: white" may sit under materials, notes or the piece itself
+  sections.forEach(section => section.entries.forEach(entry => {
+    const color = entry.isRound ? null : readPaletteEntry(entry.text);
+    if (color) document.palette[color.key] = color.color;
+  }));
+
+  sections.forEach((section, index) => {
+    const hasRounds = section.entries.some(entry => entry.isRound);
+
+    // Labelled notes are notes whatever section they sit in; a piece keeps
+    // its own with it
+    const isPiece = hasRounds && section.kind !== 'notes' && section.kind !== 'materials';
+    if (!isPiece) {
+      section.entries.filter(entry => entry.isNote).forEach(entry => {
+        document.notes.push({ section: section.name, text: entry.text, line: entry.line });
+      });
+      section.entries = section.entries.filter(entry => !entry.isNote);
+    }
+
+    if (section.kind === 'preamble' && section.entries.length > 0 && !section.entries[0].isRound) {
+      document.title = section.entries.shift().text;
+    }
+
+    // With nothing above it, a first heading without rounds is the title
+    const isFirstHeading = index === 1 && sections[0].entries.length === 0 && !document.title;
+    if (isFirstHeading && section.kind === 'piece' && !hasRounds) {
+      document.title = section.name;
+      section.name = null;
+      section.kind = 'notes';
+    }
+
+    if (section.kind === 'materials') {
+      document.materials.push(...section.entries.map(entry => entry.text));
+      return;
+    }
+
+    if (!isPiece) {
+      section.entries.forEach(entry => {
+        document.notes.push({ section: section.name, text: entry.text, line: entry.line });
+      });
+      if (section.kind === 'piece' && section.entries.length === 0) {
+        document.diagnostics.push({
+          severity: 'warning',
+          message: `"${section.name}" has no rounds; kept as a heading only`,
+          line: section.line,
+          column: 1,
+          round: null
+        });
+      }
+      return;
+    }
+
+    // Feed only the round lines (and "Change to B." between them) to the
+    // grammar parser, at their original line numbers so its diagnostics
+    // point into the pasted document
+    const roundText = new Array(lines.length).fill('');
+    section.entries.filter(entry => entry.isRound || isColorChange(entry.text)).forEach(entry => {
+      roundText[entry.line - 1] = entry.text;
+    });
+    const { rounds, diagnostics } = parsePatternDocument(roundText.join('\n'));
+
+    const name = section.name || document.title || `Piece ${document.pieces.length + 1}`;
+    document.pieces.push({
+      name,
+      type: pieceTypeFromName(name),
+      count: section.count,
+      rounds,
+      palette: { ...document.palette },
+      notes: section.entries.filter(entry => !entry.isRound).map(entry => entry.text),
+      diagnostics,
+      line: section.line
+    });
+  });
+
+  return document;
+}
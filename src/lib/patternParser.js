@@ -0,0 +1,1113 @@
+// src/lib/patternParser.js
+
+/**
+ * Grammar-based crochet pattern parser
+ * Tokenizes each line, builds a small syntax tree (stitch phrases, bracketed
+ * and starred repeats) and evaluates it against the previous round so every
+ * round gets an exact stitch list instead of a guessed total.
+ */
+
+import { isColorKey, isColorName, normalizeColorRef, readPaletteEntry } from './yarnColors';
+
+const TOKEN_RULES = [
+  ['space', /^\s+/],
+  ['times', /^[x×](?=\s*\d)/i],
+  ['number', /^\d+/],
+  ['word', /^[a-z][a-z0-9]*/i],
+  ['open', /^[[({]/],
+  ['close', /^[\])}]/],
+  ['star', /^\*/],
+  ['comma', /^[,;]/],
+  ['colon', /^:/],
+  ['dash', /^[-–—]/],
+  ['other', /^./]
+];
+
+// Base stitches worked one-into-one unless a count or target says otherwise
+const BASIC_STITCHES = {
+  sc: 'sc',
+  hdc: 'hdc',
+  dc: 'dc',
+  tr: 'tr',
+  dtr: 'dtr'
+};
+
+const LABEL_WORD = /^(rounds?|rnds?|rows?|r)(\d+)?$/i;
+const TOG_WORD = /^(sc|hdc|dc|tr)(\d)tog$/i;
+const FILLER_WORDS = new Set([
+  'st', 'sts', 'stitch', 'stitches', 'the', 'of', 'a', 'and', 'from', 'hook',
+  'nd', 'rd', 'th', 'to', 'loop', 'loops', 'only', 'both', 'space', 'sp'
+]);
+const COUNT_SUFFIX_WORDS = new Set(['st', 'sts', 'stitch', 'stitches']);
+const FILL_WORDS = new Set(['around', 'across', 'remaining', 'end']);
+// "change to B in last st" — where the new yarn is pulled through
+const CHANGE_POSITION_WORDS = new Set(['the', 'last', 'final', 'st', 'stitch', 'yo', 'yarn', 'over', 'of', 'loop']);
+
+/**
+ * Split one line into tokens carrying 1-based line/column positions
+ */
+export function tokenizeLine(text, line = 1) {
+  const tokens = [];
+  let offset = 0;
+
+  while (offset < text.length) {
+    const rest = text.slice(offset);
+    for (const [type, regex] of TOKEN_RULES) {
+      const match = rest.match(regex);
+      if (!match) continue;
+
+      if (type !== 'space') {
+        tokens.push({
+          type,
+          value: type === 'word' ? match[0].toLowerCase() : match[0],
+          raw: match[0],
+          line,
+          column: offset + 1
+        });
+      }
+      offset += match[0].length;
+      break;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Tokenize a full pattern, one token array per source line
+ */
+export function tokenize(text) {
+  return text.split('\n').map((lineText, index) => tokenizeLine(lineText, index + 1));
+}
+
+/**
+ * Parse a full pattern into rounds with stitch lists, the yarn palette
+ * ("Color B: white") and diagnostics
+ */
+export function parsePatternDocument(text) {
+  const diagnostics = [];
+  const rounds = [];
+  const palette = {};
+  const lines = text.split('\n');
+  let previousCount = 0;
+  let lastRoundNumber = 0;
+  let color = null; // yarn in use, carried from round to round
+
+  lines.forEach((lineText, index) => {
+    const lineNumber = index + 1;
+    const trimmed = lineText.trim();
+    if (!trimmed || trimmed.startsWith('//') || trimmed.startsWith('#')) return;
+
+    const parsed = parseLine(lineText, lineNumber);
+
+    // Palette entries ("Color B: white"); "MC: pink" would otherwise read
+    // as a magic circle
+    if (!parsed.label && (!parsed.hasStitches || /^\W*MC\s*[:=–—-]/.test(trimmed))) {
+      const entry = readPaletteEntry(trimmed);
+      if (entry) {
+        palette[entry.key] = entry.color;
+        return;
+      }
+    }
+
+    // Lines that are neither labelled nor contain stitches are colour
+    // changes ("Change to B.") or notes ("Stuff firmly.")
+    if (!parsed.label && !parsed.hasStitches && parsed.statedCount === null) {
+      diagnostics.push(...parsed.diagnostics);
+      const changes = parsed.nodes.filter(node => node.type === 'color');
+      if (changes.length > 0) {
+        color = changes[changes.length - 1].color;
+      } else {
+        diagnostics.push(createDiagnostic('warning', `Ignored line: "${trimmed}"`, lineNumber, 1));
+      }
+      return;
+    }
+
+    diagnostics.push(...parsed.diagnostics);
+
+    const from = parsed.label ? parsed.label.from : lastRoundNumber + 1;
+    const to = parsed.label ? parsed.label.to : from;
+
+    for (let roundNumber = from; roundNumber <= to; roundNumber++) {
+      const round = evaluateRound(parsed, {
+        roundNumber,
+        previousCount,
+        isFirst: rounds.length === 0,
+        text: trimmed,
+        line: lineNumber,
+        color
+      });
+
+      diagnostics.push(...round.diagnostics);
+      rounds.push(round);
+      previousCount = round.stitches;
+      lastRoundNumber = roundNumber;
+      color = round.endColor;
+    }
+  });
+
+  return { rounds, diagnostics, palette };
+}
+
+/**
+ * Parse a single line into its label, syntax tree and stated stitch count
+ */
+export function parseLine(lineText, lineNumber = 1) {
+  const tokens = tokenizeLine(lineText, lineNumber);
+  const diagnostics = [];
+
+  const label = readLabel(tokens);
+  const stated = readStatedCount(tokens);
+
+  const stream = createStream(tokens, diagnostics);
+  const nodes = parseSequence(stream, []);
+
+  while (stream.peek()) {
+    const token = stream.next();
+    diagnostics.push(createDiagnostic('warning', `Unexpected "${token.raw}"`, token.line, token.column));
+  }
+
+  return {
+    label,
+    nodes,
+    statedCount: stated ? stated.value : null,
+    statedToken: stated ? stated.token : null,
+    hasStitches: containsStitches(nodes),
+    line: lineNumber,
+    diagnostics
+  };
+}
+
+// ==================== LINE PREFIX / SUFFIX ====================
+
+function readLabel(tokens) {
+  const first = tokens[0];
+  if (!first) return null;
+
+  let index = 0;
+  let from = null;
+
+  if (first.type === 'word') {
+    const match = first.value.match(LABEL_WORD);
+    if (!match) return null;
+    // A bare "r" only counts as a label when a number follows
+    if (match[2]) {
+      from = parseInt(match[2], 10);
+      index = 1;
+    } else if (tokens[1]?.type === 'number') {
+      from = parseInt(tokens[1].value, 10);
+      index = 2;
+    } else {
+      return null;
+    }
+  } else if (first.type === 'number' && isRangeOrColon(tokens, 1)) {
+    from = parseInt(first.value, 10);
+    index = 1;
+  } else {
+    return null;
+  }
+
+  let to = from;
+  const rangeSep = tokens[index];
+  if (rangeSep && (rangeSep.type === 'dash' || rangeSep.value === 'to') &&
+      tokens[index + 1]?.type === 'number') {
+    to = parseInt(tokens[index + 1].value, 10);
+    index += 2;
+  }
+
+  if (tokens[index]?.type === 'colon' || tokens[index]?.value === '.') {
+    index += 1;
+  } else if (tokens[index]?.type === 'open') {
+    // "Rnd 5 (B):" — drop the colon and leave the bracket for the sequence
+    const close = tokens.findIndex((token, i) => i > index && token.type === 'close');
+    if (close > index && close <= index + 4 && tokens[close + 1]?.type === 'colon') {
+      tokens.splice(close + 1, 1);
+    }
+  }
+
+  const labelToken = first;
+  tokens.splice(0, index);
+
+  return {
+    kind: /^row/i.test(labelToken.value) ? 'row' : 'round',
+    from,
+    to: Math.max(from, to),
+    token: labelToken
+  };
+}
+
+function isRangeOrColon(tokens, index) {
+  const token = tokens[index];
+  if (!token) return false;
+  if (token.type === 'colon') return true;
+  return token.type === 'dash' && tokens[index + 1]?.type === 'number' &&
+    tokens[index + 2]?.type === 'colon';
+}
+
+// Strips a trailing "(18)", "[18 sts]", "- 18 sts" or "= 18" off the token list
+function readStatedCount(tokens) {
+  const n = tokens.length;
+  if (n === 0) return null;
+
+  let end = n;
+  if (tokens[end - 1].type === 'other' && tokens[end - 1].value === '.') end -= 1;
+
+  const last = tokens[end - 1];
+  if (!last) return null;
+
+  if (last.type === 'close') {
+    let cursor = end - 2;
+    if (tokens[cursor]?.type === 'word' && COUNT_SUFFIX_WORDS.has(tokens[cursor].value)) cursor -= 1;
+    const numberToken = tokens[cursor];
+    if (numberToken?.type === 'number' && tokens[cursor - 1]?.type === 'open') {
+      tokens.splice(cursor - 1);
+      return { value: parseInt(numberToken.value, 10), token: numberToken };
+    }
+    return null;
+  }
+
+  let cursor = end - 1;
+  const hasSuffix = last.type === 'word' && COUNT_SUFFIX_WORDS.has(last.value);
+  if (hasSuffix) cursor -= 1;
+  const numberToken = tokens[cursor];
+  if (numberToken?.type !== 'number' || cursor === 0) return null;
+
+  const separator = tokens[cursor - 1];
+  const isSeparated = separator.type === 'dash' ||
+    (separator.type === 'other' && separator.value === '=') ||
+    (separator.type === 'comma' && hasSuffix);
+  if (!isSeparated) return null;
+
+  tokens.splice(cursor - 1);
+  return { value: parseInt(numberToken.value, 10), token: numberToken };
+}
+
+// ==================== SYNTAX TREE ====================
+
+function createStream(tokens, diagnostics) {
+  let position = 0;
+  return {
+    diagnostics,
+    peek: (offset = 0) => tokens[position + offset],
+    next: () => tokens[position++],
+    position: () => position,
+    isWord: (value, offset = 0) => {
+      const token = tokens[position + offset];
+      return token?.type === 'word' && (Array.isArray(value) ? value.includes(token.value) : token.value === value);
+    }
+  };
+}
+
+// "6 times", "rep 6 times", "repeat 5 more times" after a run of stitches
+function isRepeatClause(stream) {
+  return (stream.peek()?.type === 'number' && stream.isWord('times', 1)) || stream.isWord(['rep', 'repeat']);
+}
+
+function parseSequence(stream, terminators) {
+  const nodes = [];
+  // Where the run a bare "rep N times" repeats begins
+  let runStart = 0;
+
+  while (stream.peek()) {
+    const token = stream.peek();
+    const position = stream.position();
+
+    if (terminators.includes(token.type)) break;
+    // "rep from *" ends a starred run that was never closed
+    if (terminators.includes('star') && stream.isWord(['rep', 'repeat'])) break;
+
+    if (token.type === 'comma' || token.type === 'other') {
+      stream.next();
+      continue;
+    }
+
+    if (isRepeatClause(stream)) {
+      nodes.push(...wrapRepeatedRun(stream, nodes.splice(runStart), token));
+      runStart = nodes.length;
+    } else {
+      parseSequenceItem(stream, nodes, token);
+    }
+
+    // Every pass must use up a token, or the loop would never end
+    if (stream.position() === position) {
+      stream.diagnostics.push(createDiagnostic('warning', `Unexpected "${token.raw}"`, token.line, token.column));
+      stream.next();
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * "sc, inc; rep 6 times" or "[sc, inc] rep 6 times": the stitches since the
+ * last repeat are worked the given number of times in all
+ */
+function wrapRepeatedRun(stream, run, token) {
+  let repeat;
+  if (token.type === 'number') {
+    repeat = parseRepeat(stream, false);
+  } else {
+    stream.next();
+    repeat = readRepeatClause(stream);
+  }
+
+  if (!containsStitches(run)) {
+    stream.diagnostics.push(createDiagnostic('warning', 'Nothing to repeat', token.line, token.column));
+    return run;
+  }
+
+  // A lone group written without its own count takes this one
+  const only = run.length === 1 ? run[0] : null;
+  if (only?.type === 'group' && only.repeat?.count === 1 && !only.repeat.fill) {
+    return [{ ...only, repeat }];
+  }
+  return [{ type: 'group', children: run, repeat, token }];
+}
+
+// One stitch phrase, group or colour change onto `nodes`
+function parseSequenceItem(stream, nodes, token) {
+  if (token.type === 'open') {
+    nodes.push(parseBracketGroup(stream));
+    return;
+  }
+
+  if (token.type === 'star') {
+    nodes.push(parseStarGroup(stream));
+    return;
+  }
+
+  const colorChange = readColorClause(stream);
+  if (colorChange) {
+    nodes.push(colorChange);
+    return;
+  }
+
+  if (token.type === 'number' || token.type === 'word') {
+    const phrase = parseStitchPhrase(stream);
+    if (phrase) {
+      const repeat = parseRepeat(stream, false);
+      nodes.push(repeat ? { type: 'group', children: [phrase], repeat, token } : phrase);
+    }
+    return;
+  }
+
+  // Stray close, colon, "x" without a count...
+  stream.diagnostics.push(createDiagnostic('warning', `Unexpected "${token.raw}"`, token.line, token.column));
+  stream.next();
+}
+
+function parseBracketGroup(stream) {
+  // "(B)", "(in white)" — a colour change written as a remark
+  const offset = stream.isWord('in', 1) ? 2 : 1;
+  const ref = readColorRef(stream, offset, true);
+  if (ref && stream.peek(offset + ref.length)?.type === 'close') {
+    const open = stream.next();
+    for (let i = 0; i < offset + ref.length; i++) stream.next();
+    return { type: 'color', color: ref.color, token: open };
+  }
+
+  const open = stream.next();
+  const diagnosticCount = stream.diagnostics.length;
+  const children = parseSequence(stream, ['close']);
+
+  if (stream.peek()?.type === 'close') {
+    stream.next();
+  } else {
+    stream.diagnostics.push(createDiagnostic('error', `Unclosed "${open.raw}"`, open.line, open.column));
+  }
+
+  const repeat = parseRepeat(stream, false);
+
+  // "(brim)" or "(stuff as you go)" — a remark, not a group of stitches
+  if (!repeat && !containsStitches(children)) {
+    stream.diagnostics.length = diagnosticCount;
+    return { type: 'note', token: open };
+  }
+
+  return { type: 'group', children, repeat: repeat || { count: 1 }, token: open };
+}
+
+function parseStarGroup(stream) {
+  const star = stream.next();
+  const children = parseSequence(stream, ['star']);
+
+  if (stream.peek()?.type === 'star') {
+    stream.next();
+  }
+
+  const repeat = parseRepeat(stream, true);
+  if (!repeat) {
+    stream.diagnostics.push(createDiagnostic('warning', 'Starred section has no repeat count', star.line, star.column));
+  }
+
+  return { type: 'group', children, repeat: repeat || { count: 1 }, token: star };
+}
+
+/**
+ * Reads "change to B", "switch to color 2", "with white" or "color A" as a
+ * colour change for the stitches that follow
+ */
+function readColorClause(stream) {
+  const token = stream.peek();
+  let offset = -1;
+
+  if (stream.isWord(['change', 'changing', 'switch', 'switching'])) {
+    offset = stream.isWord('to', 1) ? 2 : 1;
+  } else if (stream.isWord(['with', 'using'])) {
+    offset = 1;
+  } else if (stream.isWord(['color', 'colour'])) {
+    offset = 0;
+  }
+  if (offset < 0) return null;
+
+  const ref = readColorRef(stream, offset, true);
+  if (!ref) return null;
+  for (let i = 0; i < offset + ref.length; i++) stream.next();
+
+  if (stream.isWord('in') && CHANGE_POSITION_WORDS.has(stream.peek(1)?.value)) {
+    stream.next();
+    while (CHANGE_POSITION_WORDS.has(stream.peek()?.value)) stream.next();
+  }
+
+  return { type: 'color', color: ref.color, token };
+}
+
+/**
+ * A yarn reference at `offset`: "color B", "CC2", "B" or "white".
+ * "MC" doubles as magic circle, so it only counts where a colour is expected.
+ */
+function readColorRef(stream, offset, allowMC) {
+  const token = stream.peek(offset);
+  if (token?.type !== 'word') return null;
+
+  if (['color', 'colour'].includes(token.value)) {
+    const key = stream.peek(offset + 1);
+    if (key?.type !== 'word' && key?.type !== 'number') return null;
+    return { color: normalizeColorRef(key.raw), length: 2 };
+  }
+
+  if (isColorKey(token.raw) && (allowMC || token.raw !== 'MC')) {
+    return { color: token.raw, length: 1 };
+  }
+
+  if (isColorName(token.value)) {
+    return { color: token.value, length: 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Reads "x6", "6 times", "around", or "rep from * 5 more times"
+ */
+function parseRepeat(stream, allowRep) {
+  const token = stream.peek();
+  if (!token) return null;
+
+  if (token.type === 'times' && stream.peek(1)?.type === 'number') {
+    stream.next();
+    return { count: parseInt(stream.next().value, 10) };
+  }
+
+  if (token.type === 'number' && stream.isWord('times', 1)) {
+    stream.next();
+    stream.next();
+    return { count: parseInt(token.value, 10) };
+  }
+
+  if (stream.isWord(['around', 'across'])) {
+    stream.next();
+    return { fill: true };
+  }
+
+  if (allowRep) {
+    // Allow an optional comma before "rep"
+    const offset = stream.peek()?.type === 'comma' ? 1 : 0;
+    if (stream.isWord(['rep', 'repeat'], offset)) {
+      for (let i = 0; i <= offset; i++) stream.next();
+      return readRepeatClause(stream);
+    }
+  }
+
+  return null;
+}
+
+function readRepeatClause(stream) {
+  let count = null;
+  let more = false;
+  let fill = false;
+
+  while (stream.peek()) {
+    const token = stream.peek();
+    if (token.type === 'comma' || token.type === 'close') break;
+
+    if (token.type === 'number') {
+      count = parseInt(token.value, 10);
+    } else if (token.type === 'times' && stream.peek(1)?.type === 'number') {
+      stream.next();
+      count = parseInt(stream.peek().value, 10);
+    } else if (token.type === 'word') {
+      if (token.value === 'more') more = true;
+      if (FILL_WORDS.has(token.value)) fill = true;
+    }
+    stream.next();
+  }
+
+  if (count !== null) {
+    return { count: more ? count + 1 : count };
+  }
+
+  return fill ? { fill: true } : { count: 1 };
+}
+
+/**
+ * One stitch instruction: [count] stitch [modifiers] [in target] [count]
+ */
+function parseStitchPhrase(stream) {
+  const start = stream.peek();
+  let count = null;
+
+  if (start.type === 'number') {
+    // "6" followed by "times" is handled by the caller's repeat parsing
+    if (stream.isWord('times', 1)) return null;
+    count = parseInt(stream.next().value, 10);
+  }
+
+  const stitch = readStitch(stream);
+
+  if (!stitch) {
+    if (count !== null) {
+      // A bare number such as "12" describes the round total only
+      return { type: 'count', value: count, token: start };
+    }
+    const token = stream.next();
+    if (!FILLER_WORDS.has(token.value)) {
+      stream.diagnostics.push(createDiagnostic('warning', `Unknown stitch "${token.raw}"`, token.line, token.column));
+    }
+    return null;
+  }
+
+  const phrase = {
+    type: 'stitch',
+    ...stitch,
+    count,
+    target: null,
+    loop: 'both',
+    color: null,
+    token: start,
+    endColumn: start.column
+  };
+
+  readPhraseModifiers(stream, phrase);
+  return phrase;
+}
+
+function readStitch(stream) {
+  const token = stream.peek();
+  if (token?.type !== 'word') return null;
+
+  const value = token.value;
+  const tog = value.match(TOG_WORD);
+
+  if (tog) {
+    stream.next();
+    return { stitch: tog[1], kind: 'decrease', consumes: parseInt(tog[2], 10) };
+  }
+
+  if (BASIC_STITCHES[value]) {
+    stream.next();
+    // "hdc inc" / "dc dec" name the stitch used for the shaping
+    if (stream.isWord(['inc', 'increase'])) {
+      stream.next();
+      return { stitch: BASIC_STITCHES[value], kind: 'increase' };
+    }
+    if (stream.isWord(['dec', 'decrease', 'invdec'])) {
+      stream.next();
+      return { stitch: BASIC_STITCHES[value], kind: 'decrease', consumes: 2 };
+    }
+    return { stitch: BASIC_STITCHES[value], kind: 'normal' };
+  }
+
+  switch (value) {
+    case 'inc':
+    case 'increase':
+      stream.next();
+      return { stitch: 'sc', kind: 'increase' };
+    case 'dec':
+    case 'decrease':
+    case 'invdec':
+      stream.next();
+      return { stitch: 'sc', kind: 'decrease', consumes: 2 };
+    case 'inv':
+      if (!stream.isWord(['dec', 'decrease'], 1)) return null;
+      stream.next();
+      stream.next();
+      return { stitch: 'sc', kind: 'decrease', consumes: 2 };
+    case 'ch':
+    case 'chain':
+      stream.next();
+      return { stitch: 'ch', kind: 'chain' };
+    case 'sl':
+    case 'slst':
+    case 'ss':
+      stream.next();
+      if (stream.isWord(['st', 'stitch'])) stream.next();
+      return { stitch: 'sl', kind: 'slip' };
+    case 'mr':
+    case 'mc':
+      stream.next();
+      return { stitch: 'MR', kind: 'ring' };
+    case 'magic':
+      if (!stream.isWord(['ring', 'circle', 'loop'], 1)) return null;
+      stream.next();
+      stream.next();
+      return { stitch: 'MR', kind: 'ring' };
+    case 'join':
+      stream.next();
+      return { stitch: 'join', kind: 'join' };
+    case 'turn':
+      stream.next();
+      return { stitch: 'turn', kind: 'turn' };
+    case 'fo':
+      stream.next();
+      return { stitch: 'FO', kind: 'fasten' };
+    case 'fasten':
+      stream.next();
+      if (stream.isWord('off')) stream.next();
+      return { stitch: 'FO', kind: 'fasten' };
+    case 'sk':
+    case 'skip':
+      stream.next();
+      return { stitch: 'sk', kind: 'skip' };
+    default:
+      return null;
+  }
+}
+
+function readPhraseModifiers(stream, phrase) {
+  while (stream.peek()) {
+    const token = stream.peek();
+
+    if (token.type !== 'word' && token.type !== 'number') break;
+
+    if (token.type === 'number') {
+      // "sc 6" / "inc 6" — a trailing count, unless it starts a new repeat
+      // ("6 times") or the next phrase ("MR 6sc")
+      if (phrase.count !== null || stream.isWord('times', 1) || isStitchWord(stream.peek(1))) break;
+      phrase.count = parseInt(stream.next().value, 10);
+      continue;
+    }
+
+    const value = token.value;
+
+    if (['in', 'into', 'with', 'using'].includes(value)) {
+      // "sc in B" / "sc with white" name the yarn rather than a target
+      const ref = readColorRef(stream, 1, false);
+      if (ref) {
+        for (let i = 0; i <= ref.length; i++) stream.next();
+        phrase.color = ref.color;
+        continue;
+      }
+      if (value === 'with' || value === 'using') break;
+      stream.next();
+      phrase.target = readTarget(stream, phrase);
+      continue;
+    }
+
+    // Tapestry shorthand: "sc B, sc 2 C"
+    if (isColorKey(token.raw) && token.raw !== 'MC') {
+      stream.next();
+      phrase.color = token.raw;
+      continue;
+    }
+
+    if (value === 'blo' || value === 'flo') {
+      stream.next();
+      phrase.loop = value === 'blo' ? 'back' : 'front';
+      continue;
+    }
+
+    if (value === 'back' || value === 'front') {
+      stream.next();
+      phrase.loop = value;
+      continue;
+    }
+
+    if (value === 'around' || value === 'across') {
+      stream.next();
+      phrase.target = phrase.target || { type: 'each' };
+      continue;
+    }
+
+    if (value === 'to' && stream.isWord('join', 1)) {
+      stream.next();
+      stream.next();
+      phrase.kind = phrase.kind === 'slip' ? 'join' : phrase.kind;
+      continue;
+    }
+
+    if (FILLER_WORDS.has(value)) {
+      stream.next();
+      continue;
+    }
+
+    break;
+  }
+}
+
+function readTarget(stream, phrase) {
+  const target = { type: 'next', count: null };
+  let sawNext = false;
+  let sawEach = false;
+
+  while (stream.peek()) {
+    const token = stream.peek();
+    if (!['word', 'number'].includes(token.type)) break;
+    if (token.type === 'number' && stream.isWord('times', 1)) break;
+
+    if (token.type === 'number') {
+      if (sawNext) target.count = parseInt(token.value, 10);
+      stream.next();
+      continue;
+    }
+
+    const value = token.value;
+
+    if (value === 'next') {
+      sawNext = true;
+    } else if (value === 'each' || value === 'every' || value === 'all') {
+      sawEach = true;
+    } else if (FILL_WORDS.has(value)) {
+      sawEach = true;
+    } else if (value === 'same') {
+      target.type = 'same';
+    } else if (value === 'ring' || value === 'mr' || value === 'circle') {
+      target.type = 'ring';
+    } else if (value === 'magic') {
+      target.type = 'ring';
+    } else if (value === 'blo' || value === 'flo') {
+      phrase.loop = value === 'blo' ? 'back' : 'front';
+    } else if (value === 'back' || value === 'front') {
+      phrase.loop = value;
+    } else if (value === 'first' || value === 'last' || value === 'ch' || value === 'chain') {
+      // Specific single stitch, e.g. "in 2nd ch from hook"
+    } else if (!FILLER_WORDS.has(value)) {
+      break;
+    }
+    stream.next();
+  }
+
+  if (target.type === 'same' || target.type === 'ring') return target;
+  if (sawNext && target.count !== null) return target;
+  if (sawEach) return { type: 'each' };
+  return target;
+}
+
+function isStitchWord(token) {
+  if (token?.type !== 'word') return false;
+  return Boolean(BASIC_STITCHES[token.value]) || TOG_WORD.test(token.value) ||
+    ['inc', 'dec', 'invdec', 'ch', 'sl', 'slst'].includes(token.value);
+}
+
+function containsStitches(nodes) {
+  return nodes.some(node => {
+    if (node.type === 'group') return containsStitches(node.children);
+    return node.type === 'stitch' || node.type === 'count';
+  });
+}
+
+// ==================== EVALUATION ====================
+
+/**
+ * Expand the syntax tree into the list of stitches worked for one round
+ */
+function evaluateRound(parsed, { roundNumber, previousCount, isFirst, text, line, color = null }) {
+  const diagnostics = [];
+  const context = {
+    available: isFirst ? 0 : previousCount,
+    isFirst,
+    consumed: 0,
+    stitchList: [],
+    diagnostics,
+    roundNumber,
+    color
+  };
+
+  evaluateNodes(parsed.nodes, context);
+
+  const computedCount = context.stitchList.reduce((sum, op) => sum + op.produces, 0);
+  const resolved = context.stitchList.some(op => op.produces > 0 || op.consumes > 0);
+
+  let stitches;
+  if (resolved) {
+    stitches = computedCount;
+  } else if (parsed.statedCount !== null) {
+    stitches = parsed.statedCount;
+  } else {
+    stitches = previousCount || 6;
+    diagnostics.push(createDiagnostic('warning', `No stitches recognized, assuming ${stitches}`, line, 1, roundNumber));
+  }
+
+  if (resolved && parsed.statedCount !== null && parsed.statedCount !== computedCount) {
+    const token = parsed.statedToken;
+    diagnostics.push(createDiagnostic(
+      'warning',
+      `Round ${roundNumber}: stated total (${parsed.statedCount}) does not match the ${computedCount} stitches worked`,
+      token.line,
+      token.column,
+      roundNumber
+    ));
+  }
+
+  if (resolved && !isFirst && context.consumed !== context.available) {
+    diagnostics.push(createDiagnostic(
+      'warning',
+      `Round ${roundNumber}: works into ${context.consumed} of ${context.available} stitches from the previous round`,
+      line,
+      1,
+      roundNumber
+    ));
+  }
+
+  return {
+    round: roundNumber,
+    stitches,
+    instruction: text,
+    hasIncrease: context.stitchList.some(op => op.kind === 'increase'),
+    hasDecrease: context.stitchList.some(op => op.kind === 'decrease'),
+    original: text,
+    kind: parsed.label?.kind || 'round',
+    stitchList: context.stitchList,
+    statedCount: parsed.statedCount,
+    computedCount: resolved ? computedCount : null,
+    color: roundColor(context.stitchList, color),
+    endColor: context.color,
+    line,
+    diagnostics
+  };
+}
+
+// The yarn a whole round is worked in, or null for a mixed (tapestry) round
+function roundColor(stitchList, startColor) {
+  const worked = stitchList.filter(op => op.produces > 0);
+  const colors = new Set((worked.length > 0 ? worked : stitchList).map(op => op.color));
+  if (colors.size === 0) return startColor;
+  return colors.size === 1 ? [...colors][0] : null;
+}
+
+function evaluateNodes(nodes, context) {
+  for (const node of nodes) {
+    if (node.type === 'group') {
+      evaluateGroup(node, context);
+    } else if (node.type === 'stitch') {
+      evaluateStitch(node, context);
+    } else if (node.type === 'count') {
+      evaluateCount(node, context);
+    } else if (node.type === 'color') {
+      context.color = node.color;
+    }
+  }
+}
+
+function evaluateGroup(node, context) {
+  if (!node.repeat.fill) {
+    for (let i = 0; i < node.repeat.count; i++) {
+      evaluateNodes(node.children, context);
+    }
+    return;
+  }
+
+  // "rep from * around": keep going while stitches remain, and stop if an
+  // iteration does not consume anything (it would never finish)
+  let guard = 0;
+  while (context.consumed < context.available && guard < 1000) {
+    const before = context.consumed;
+    evaluateNodes(node.children, context);
+    if (context.consumed === before) break;
+    guard++;
+  }
+}
+
+function evaluateStitch(node, context) {
+  const source = {
+    line: node.token.line,
+    column: node.token.column,
+    text: node.token.raw
+  };
+  const remaining = Math.max(0, context.available - context.consumed);
+  const color = node.color || context.color;
+  const push = (op) => {
+    context.stitchList.push({ stitch: node.stitch, loop: node.loop, color, source, ...op });
+    context.consumed += op.consumes;
+  };
+
+  switch (node.kind) {
+    case 'ring':
+      push({ kind: 'ring', consumes: 0, produces: 0, into: null });
+      if (node.count) {
+        // "MR 6" style shorthand
+        for (let i = 0; i < node.count; i++) {
+          context.stitchList.push({ stitch: 'sc', loop: node.loop, color, source, kind: 'normal', consumes: 0, produces: 1, into: 'ring' });
+        }
+      }
+      return;
+
+    case 'chain': {
+      const chains = node.count || 1;
+      // Foundation chains make the stitches of the first row; later turning
+      // chains do not count towards the round total
+      for (let i = 0; i < chains; i++) {
+        push({ kind: 'chain', consumes: 0, produces: context.isFirst ? 1 : 0, into: null });
+      }
+      return;
+    }
+
+    case 'join':
+    case 'turn':
+    case 'fasten':
+      push({ kind: node.kind, consumes: 0, produces: 0, into: null });
+      return;
+
+    case 'slip':
+      if (!node.target) {
+        push({ kind: 'join', consumes: 0, produces: 0, into: null });
+        return;
+      }
+      break;
+
+    case 'skip':
+      push({ kind: 'skip', consumes: node.count || 1, produces: 0, into: 'previous' });
+      return;
+
+    default:
+      break;
+  }
+
+  if (node.kind === 'increase') {
+    const increases = resolveTargetCount(node, context, remaining, 1) ?? (node.count || 1);
+    for (let i = 0; i < increases; i++) {
+      push({ kind: 'increase', consumes: context.isFirst ? 0 : 1, produces: 2, into: intoFor(node, context) });
+    }
+    return;
+  }
+
+  if (node.kind === 'decrease') {
+    const size = node.consumes || 2;
+    const decreases = resolveTargetCount(node, context, remaining, size) ?? (node.count || 1);
+    for (let i = 0; i < decreases; i++) {
+      push({ kind: 'decrease', consumes: size, produces: 1, into: 'previous' });
+    }
+    return;
+  }
+
+  // Plain stitches (and slip stitches worked into something)
+  const kind = node.kind === 'slip' ? 'slip' : 'normal';
+  const target = node.target;
+  const perTarget = node.count || 1;
+
+  if (target?.type === 'ring' || (context.isFirst && !target)) {
+    for (let i = 0; i < perTarget; i++) {
+      push({ kind, consumes: 0, produces: 1, into: context.isFirst ? 'ring' : 'previous' });
+    }
+    return;
+  }
+
+  if (target?.type === 'same') {
+    push({ kind: perTarget > 1 ? 'increase' : kind, consumes: 0, produces: perTarget, into: 'same' });
+    return;
+  }
+
+  if (target?.type === 'each' || (target?.type === 'next' && target.count !== null)) {
+    const targets = target.type === 'each' ? remaining : target.count;
+    if (target.type === 'each' && context.isFirst) {
+      context.diagnostics.push(createDiagnostic('warning', '"each" used with no previous round', source.line, source.column, context.roundNumber));
+    }
+    for (let i = 0; i < targets; i++) {
+      push({ kind: perTarget > 1 ? 'increase' : kind, consumes: 1, produces: perTarget, into: 'previous' });
+    }
+    return;
+  }
+
+  if (target?.type === 'next') {
+    // "2 sc in next" — several stitches into a single stitch
+    push({ kind: perTarget > 1 ? 'increase' : kind, consumes: 1, produces: perTarget, into: 'previous' });
+    return;
+  }
+
+  // "6 sc" / "2sc" — one stitch into each of the next N
+  for (let i = 0; i < perTarget; i++) {
+    push({ kind, consumes: 1, produces: 1, into: 'previous' });
+  }
+}
+
+// How many increases/decreases "inc in each", "dec around", "inc in next 3" describe
+function resolveTargetCount(node, context, remaining, size) {
+  const target = node.target;
+  if (!target) return null;
+  if (target.type === 'each') return Math.floor(remaining / size);
+  if (target.type === 'next' && target.count !== null) return Math.floor(target.count / size);
+  return null;
+}
+
+function intoFor(node, context) {
+  if (context.isFirst || node.target?.type === 'ring') return 'ring';
+  if (node.target?.type === 'same') return 'same';
+  return 'previous';
+}
+
+/**
+ * A bare total ("12") — distribute the increases or decreases evenly
+ */
+function evaluateCount(node, context) {
+  const target = node.value;
+  const available = context.available;
+  const source = { line: node.token.line, column: node.token.column, text: node.token.raw };
+  const push = (op) => {
+    context.stitchList.push({ stitch: 'sc', loop: 'both', color: context.color, source, ...op });
+    context.consumed += op.consumes;
+  };
+
+  if (context.isFirst || available === 0) {
+    for (let i = 0; i < target; i++) push({ kind: 'normal', consumes: 0, produces: 1, into: 'ring' });
+    return;
+  }
+
+  if (target >= available) {
+    const increases = Math.min(target - available, available);
+    distribute(available, increases).forEach(isShaped => {
+      push(isShaped
+        ? { kind: 'increase', consumes: 1, produces: 2, into: 'previous' }
+        : { kind: 'normal', consumes: 1, produces: 1, into: 'previous' });
+    });
+    return;
+  }
+
+  const decreases = Math.min(available - target, Math.floor(available / 2));
+  distribute(available - decreases, decreases).forEach(isShaped => {
+    push(isShaped
+      ? { kind: 'decrease', stitch: 'sc', consumes: 2, produces: 1, into: 'previous' }
+      : { kind: 'normal', consumes: 1, produces: 1, into: 'previous' });
+  });
+}
+
+// Spread `shaped` flags evenly over `slots` positions
+function distribute(slots, shaped) {
+  const flags = new Array(slots).fill(false);
+  if (shaped <= 0) return flags;
+  const step = slots / shaped;
+  for (let i = 0; i < shaped; i++) {
+    flags[Math.min(slots - 1, Math.floor((i + 1) * step) - 1)] = true;
+  }
+  return flags;
+}
+
+function createDiagnostic(severity, message, line, column, round = null) {
+  return { severity, message, line, column, round };
+}
+
+/**
+ * Format a diagnostic as "Line 3, col 18: message"
+ */
+export function formatDiagnostic(diagnostic) {
+  return `Line ${diagnostic.line}, col ${diagnostic.column}: ${diagnostic.message}`;
+}
@@ -1,92 +1,58 @@
+import { parsePatternDocument, formatDiagnostic } from './patternParser';
+
+/**
+ * Parse pattern text into rounds
+ * Each round keeps the legacy {round, stitches, instruction} shape and adds the
+ * grammar parser's stitchList, statedCount/computedCount and diagnostics.
+ */
 export function parsePattern(text) {
+  return parsePatternWithDiagnostics(text).rounds;
+}
+
+/**
+ * Parse pattern text, also returning line/column diagnostics for the whole text
+ */
+export function parsePatternWithDiagnostics(text) {
   console.log('Parsing pattern:', text);
-  
-  const lines = text.split('\n').filter(line => line.trim());
-  const rounds = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Skip empty lines or comments
-    if (!line || line.startsWith('//')) continue;
-    
-    // Extract all numbers from the line
-    const numbers = line.match(/\d+/g)?.map(Number) || [];
-    
-    // Determine stitch count
-    let stitchCount = 0;
-    let roundNumber = i + 1;
-    
-    // Check for round number explicitly stated
-    if (line.toLowerCase().includes('round') && numbers.length > 0) {
-      roundNumber = numbers[0];
-      numbers.shift(); // Remove round number from array
-    }
-    
-    // Pattern detection
-    if (line.toLowerCase().includes('mr') || line.toLowerCase().includes('magic ring')) {
-      // Magic ring - first number is stitch count
-      stitchCount = numbers[0] || 6;
-    } 
-    else if (line.includes('inc') && line.includes('each')) {
-      // "inc in each" or "2 sc in each" - doubles previous round
-      const prevCount = rounds[rounds.length - 1]?.stitches || 6;
-      stitchCount = prevCount * 2;
-    }
-    else if (line.includes('inc')) {
-      // Has increases - look for final count in parentheses
-      // E.g., "[sc, inc] x6 (18)" - take the 18
-      const parenMatch = line.match(/\((\d+)\)/);
-      if (parenMatch) {
-        stitchCount = parseInt(parenMatch[1]);
-      } else {
-        // Estimate based on previous round + 6
-        const prevCount = rounds[rounds.length - 1]?.stitches || 0;
-        stitchCount = prevCount + 6;
-      }
-    }
-    else if (line.includes('dec')) {
-      // Has decreases - look for final count
-      const parenMatch = line.match(/\((\d+)\)/);
-      if (parenMatch) {
-        stitchCount = parseInt(parenMatch[1]);
-      } else {
-        // Estimate decrease by 6
-        const prevCount = rounds[rounds.length - 1]?.stitches || 12;
-        stitchCount = Math.max(6, prevCount - 6);
-      }
-    }
-    else {
-      // Default: take the last/largest number as stitch count
-      stitchCount = numbers[numbers.length - 1] || 6;
-    }
-    
-    // Detect if this round has increases or decreases
-    const hasIncrease = line.toLowerCase().includes('inc');
-    const hasDecrease = line.toLowerCase().includes('dec');
-    
-    rounds.push({
-      round: roundNumber,
-      stitches: stitchCount,
-      instruction: line,
-      hasIncrease,
-      hasDecrease,
-      original: line
-    });
-    
-    console.log(`Parsed Round ${roundNumber}: ${stitchCount} stitches`);
-  }
-  
-  return rounds;
+
+  const { rounds, diagnostics } = parsePatternDocument(text);
+
+  rounds.forEach(round => {
+    console.log(`Parsed Round ${round.round}: ${round.stitches} stitches`);
+  });
+
+  return { rounds, diagnostics };
+}
+
+/**
+ * Where a stitch's source ({ line, column, text }) sits in the text, or
+ * null when the text no longer reads the same there
+ */
+export function locateSource(text, source) {
+  if (!source?.line || !source.text) return null;
+  const lines = text.split('\n');
+  const lineText = lines[source.line - 1];
+  if (lineText === undefined) return null;
+  const start = source.column - 1;
+  if (lineText.substr(start, source.text.length) !== source.text) return null;
+  const offset = lines.slice(0, source.line - 1).reduce((sum, line) => sum + line.length + 1, 0) + start;
+  return { lineText, start, end: start + source.text.length, offset };
 }
 
 /**
  * Validate parsed pattern
  */
-export function validatePattern(rounds) {
+export function validatePattern(rounds, diagnostics = null) {
   const errors = [];
   const warnings = [];
   
+  // Parser diagnostics (stated vs. computed totals, unknown stitches, ...)
+  const parserDiagnostics = diagnostics || (rounds || []).flatMap(r => r.diagnostics || []);
+  parserDiagnostics.forEach(diagnostic => {
+    const target = diagnostic.severity === 'error' ? errors : warnings;
+    target.push(formatDiagnostic(diagnostic));
+  });
+  
   if (!rounds || rounds.length === 0) {
     errors.push('No valid rounds found in pattern');
     return { valid: false, errors, warnings };
@@ -0,0 +1,129 @@
+// src/lib/yarnColors.js
+
+/**
+ * Yarn colour references used in written patterns
+ * Patterns name yarns by key ("MC", "CC2", "color B") or by plain colour
+ * ("in white"). Stitches keep the reference; it is resolved to a hex value
+ * against the pattern's palette ("Color B: white") only when drawing.
+ */
+
+export const NAMED_COLORS = {
+  white: '#ffffff',
+  cream: '#f5ecd7',
+  ivory: '#fffff0',
+  beige: '#d8c3a5',
+  tan: '#c8a27a',
+  brown: '#8b5a2b',
+  black: '#222222',
+  grey: '#9e9e9e',
+  gray: '#9e9e9e',
+  red: '#d32f2f',
+  orange: '#f57c00',
+  yellow: '#fbc02d',
+  green: '#388e3c',
+  mint: '#98d8c1',
+  teal: '#00897b',
+  blue: '#1e88e5',
+  navy: '#1a237e',
+  purple: '#7b1fa2',
+  lilac: '#c8a2c8',
+  pink: '#f48fb1',
+  peach: '#ffcba4',
+  gold: '#d4a017',
+  silver: '#c0c0c0'
+};
+
+// Written in capitals in patterns; lower-case "a" is an ordinary word
+const COLOR_KEY = /^(MC|CC\d*|[A-H])$/;
+const HEX_COLOR = /#(?:[0-9a-f]{6}|[0-9a-f]{3})\b/i;
+
+// Fallbacks for keys the pattern never defines. "MC" and "A" are the main
+// colour, so they follow the piece colour.
+const CONTRAST_COLORS = ['#ffffff', '#333333', '#e53935', '#1e88e5', '#fdd835', '#43a047', '#8e24aa'];
+
+/**
+ * True for a yarn key as written in a pattern ("MC", "CC1", "B")
+ */
+export function isColorKey(raw) {
+  return typeof raw === 'string' && COLOR_KEY.test(raw);
+}
+
+/**
+ * True for a word naming a colour ("white", "Navy")
+ */
+export function isColorName(word) {
+  return typeof word === 'string' && namedColor(word.toLowerCase()) !== null;
+}
+
+/**
+ * Canonical form of a reference: keys upper-case, names lower-case
+ */
+export function normalizeColorRef(raw) {
+  if (typeof raw !== 'string' || !raw) return null;
+  if (HEX_COLOR.test(raw) && raw.trim().startsWith('#')) return raw.trim().toLowerCase();
+  return /^(mc|cc\d*|[a-h])$/i.test(raw) ? raw.toUpperCase() : raw.toLowerCase();
+}
+
+/**
+ * Hex colour for a reference. Palette entries win, then named colours and
+ * hex values; keys nobody defined get a stable contrast colour. A null
+ * reference (or the main colour key) resolves to `fallback`.
+ */
+export function resolveYarnColor(ref, palette = {}, fallback = null) {
+  if (!ref) return fallback;
+  if (palette?.[ref]) return palette[ref];
+  if (ref.startsWith('#')) return ref;
+  if (namedColor(ref)) return namedColor(ref);
+  if (ref === 'MC' || ref === 'A') return fallback;
+
+  const cc = ref.match(/^CC(\d*)$/);
+  const slot = cc ? Math.max(0, parseInt(cc[1] || '1', 10) - 1) : ref.charCodeAt(0) - 'B'.charCodeAt(0);
+  return CONTRAST_COLORS[slot % CONTRAST_COLORS.length] || fallback;
+}
+
+/**
+ * Human label for a reference, e.g. "Main color", "Color B", "White"
+ */
+export function describeColorRef(ref) {
+  if (!ref || ref === 'MC') return 'Main color';
+  if (isColorKey(ref)) return `Color ${ref}`;
+  if (ref.startsWith('#')) return ref;
+  return ref.charAt(0).toUpperCase() + ref.slice(1);
+}
+
+/**
+ * Read a palette line such as "Color A: white", "Yarn MC - pink (#f4a0b0)",
+ * "CC2 = navy" or "White (B)". Returns { key, color } or null.
+ */
+export function readPaletteEntry(text) {
+  const line = text.replace(/^[\s*•-]+/, '').trim();
+
+  // A bare key needs punctuation after it so "A white bow" stays a note
+  const named = line.match(/^(?:colou?r|yarn)\s+(MC|CC\d*|[A-H])\b\s*[:=–—-]?\s*(.+)$/i);
+  const keyed = line.match(/^(MC|CC\d*|[A-H])\s*[:=–—-]\s*(.+)$/);
+  const suffixed = line.match(/^(.+?)\s*[([]\s*(?:colou?r\s+)?(MC|CC\d*|[A-H])\s*[)\]]\.?$/i);
+
+  let key = null;
+  let description = null;
+  if (named || keyed) {
+    [, key, description] = named || keyed;
+  } else if (suffixed && isColorKey(suffixed[2].toUpperCase())) {
+    [, description, key] = suffixed;
+  }
+  if (!key) return null;
+
+  const color = colorFromDescription(description);
+  return color ? { key: key.toUpperCase(), color } : null;
+}
+
+// "#f4a0b0", or the first colour word in "worsted weight light pink yarn"
+function colorFromDescription(description) {
+  const hex = description.match(HEX_COLOR);
+  if (hex) return hex[0].toLowerCase();
+  const word = description.toLowerCase().match(/[a-z]+/g)?.find(w => namedColor(w));
+  return word ? namedColor(word) : null;
+}
+
+function namedColor(word) {
+  return Object.hasOwn(NAMED_COLORS, word) ? NAMED_COLORS[word] : null;
+}
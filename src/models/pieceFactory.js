@@ -2,6 +2,9 @@
 
 import * as THREE from 'three';
 import { toSafeVector3 } from '../utils/safeTypes';
+import { CrochetPattern } from '../types/patternModel';
+import { solvePieceShape, segmentsFor, roundRadius, DEFAULT_GAUGE, SCENE_UNITS_PER_CM } from './shapeSolver';
+import { stuffGeometry, isStuffable, measureGeometry } from './stuffingSimulator';
 
 /**
  * D1: Piece Factory - Generates 3D meshes from piece templates
@@ -9,7 +12,15 @@ import { toSafeVector3 } from '../utils/safeTypes';
  */
 
 export class PieceFactory {
-  constructor() {
+  /**
+   * `gauge` ({ stitchesPer10cm, roundsPer10cm }) and `unitsPerCm` size the
+   * solved shapes; see shapeSolver. A `firmness` above 0 stuffs closed
+   * pieces; see stuffingSimulator.
+   */
+  constructor({ gauge = DEFAULT_GAUGE, unitsPerCm = SCENE_UNITS_PER_CM, firmness = 0 } = {}) {
+    this.gauge = gauge;
+    this.unitsPerCm = unitsPerCm;
+    this.firmness = firmness;
     this.materials = this.createMaterials();
     this.geometryCache = new Map();
   }
@@ -49,7 +60,7 @@ export class PieceFactory {
     group.name = `piece_${piece.id}`;
     
     // Create main body from pattern
-    const bodyMesh = this.createBodyFromPattern(piece.rounds || piece.pattern, piece.color);
+    const bodyMesh = this.createBodyFromPattern(piece.rounds || piece.pattern, piece.color, piece.palette);
     group.add(bodyMesh);
     
     // Add connection point indicators
@@ -71,64 +82,156 @@ export class PieceFactory {
   }
 
   /**
-   * Create body mesh from crochet pattern
+   * Create body mesh from crochet pattern. Stripes and colourwork in the
+   * pattern become vertex colours; `palette` overrides the pattern's own.
    */
-  createBodyFromPattern(pattern, color = '#fbbf24') {
-    if (!pattern || pattern.length === 0) {
+  createBodyFromPattern(pattern, color = '#fbbf24', palette = {}) {
+    const geometry = this.createRevolvedGeometry(pattern, 24, { color, palette });
+    
+    if (!geometry) {
       // Fallback to simple sphere
       return this.createDefaultShape(color);
     }
-
-    // Generate vertices from pattern
-    const shape = new THREE.CylinderGeometry(0.1, 0.1, 0.1, 8, pattern.length);
-    const vertices = shape.attributes.position;
-    
-    // Modify vertices based on pattern
-    for (let roundIndex = 0; roundIndex < pattern.length; roundIndex++) {
-      const round = pattern[roundIndex];
-      const radius = this.calculateRadius(round.stitches);
-      const y = (roundIndex / pattern.length - 0.5) * 2; // Normalize to -1 to 1
-      
-      // Update vertices for this round
-      for (let i = 0; i < 8; i++) {
-        const angle = (i / 8) * Math.PI * 2;
-        const vertexIndex = roundIndex * 8 + i;
-        
-        if (vertexIndex * 3 < vertices.count * 3) {
-          vertices.setXYZ(
-            vertexIndex,
-            Math.cos(angle) * radius,
-            y,
-            Math.sin(angle) * radius
-          );
-        }
-      }
-    }
-    
-    // Update normals
-    shape.computeVertexNormals();
     
-    // Create mesh
+    // Vertex colours already carry the piece colour for uncoloured stitches
+    const hasVertexColors = Boolean(geometry.attributes.color);
     const material = new THREE.MeshPhongMaterial({
-      color: new THREE.Color(color),
+      color: hasVertexColors ? 0xffffff : new THREE.Color(color),
+      vertexColors: hasVertexColors,
       shininess: 30,
       flatShading: false
     });
     
-    const mesh = new THREE.Mesh(shape, material);
+    const mesh = new THREE.Mesh(geometry, material);
     return mesh;
   }
 
   /**
-   * Calculate radius from stitch count
+   * Revolve the solved profile of a pattern (see shapeSolver) into a lathe
+   * geometry, with one profile point per round and about one segment per
+   * stitch. Ruffled rounds wave along the surface normal, and pieces that
+   * hold stuffing are stuffed at the factory's firmness.
+   * Shared by the viewer and the 3D exporters so both show the same shape.
+   * Pass `colors` ({ color, palette }) to get a `color` attribute when the
+   * pattern changes yarn. Returns null when the pattern has no rounds.
+   */
+  createRevolvedGeometry(pattern, radialSegments = 24, colors = null) {
+    // Round sizes come from the shared stitch model, whatever form the pattern is in
+    const model = CrochetPattern.from(pattern);
+    const shape = solvePieceShape(model, { gauge: this.gauge, unitsPerCm: this.unitsPerCm });
+    
+    if (!shape) {
+      return null;
+    }
+    
+    const profile = shape.profile.map(point => new THREE.Vector2(point.radius, point.y));
+    const profileRounds = shape.profile.map(point => model.rounds[point.round]);
+    const segments = segmentsFor(shape, radialSegments);
+    
+    let lathe = new THREE.LatheGeometry(profile, segments);
+    if (shape.ruffleWaves > 0) {
+      lathe = this.applyRuffles(lathe, shape, segments);
+    }
+    if (this.firmness > 0 && isStuffable(shape)) {
+      stuffGeometry(lathe, { firmness: this.firmness });
+    }
+    
+    if (!colors || !model.hasColorChanges()) {
+      return lathe;
+    }
+    
+    return this.applyStitchColors(lathe, model, profileRounds, segments, colors);
+  }
+
+  /**
+   * Wave ruffled rounds in and out of the surface. Each profile point moves
+   * along the profile's normal by its round's amplitude, ruffleWaves times
+   * around the piece.
+   */
+  applyRuffles(lathe, shape, segments) {
+    const points = shape.profile;
+    const position = lathe.attributes.position;
+    const normals = points.map((point, j) => {
+      const before = points[Math.max(0, j - 1)];
+      const after = points[Math.min(points.length - 1, j + 1)];
+      const dr = after.radius - before.radius;
+      const dy = after.y - before.y;
+      const length = Math.hypot(dr, dy) || 1;
+      return { r: dy / length, y: -dr / length };
+    });
+    
+    for (let i = 0; i <= segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      const wave = Math.sin(angle * shape.ruffleWaves);
+      points.forEach((point, j) => {
+        // Points on the axis stay put so the piece stays closed
+        const amplitude = point.radius > 0 ? shape.rounds[point.round].ruffle * wave : 0;
+        if (!amplitude) return;
+        const radius = point.radius + amplitude * normals[j].r;
+        const index = i * points.length + j;
+        position.setXYZ(index, radius * Math.sin(angle), point.y + amplitude * normals[j].y, radius * Math.cos(angle));
+      });
+    }
+    
+    position.needsUpdate = true;
+    lathe.computeVertexNormals();
+    return lathe;
+  }
+
+  /**
+   * Colour each lathe face from the stitch it covers. Faces are split apart
+   * (non-indexed) so stripes stay crisp instead of blending across rounds.
+   * Each band between two profile points shows the upper point's round.
+   */
+  applyStitchColors(lathe, pattern, profileRounds, segments, { color = '#fbbf24', palette = {} }) {
+    const geometry = lathe.toNonIndexed();
+    lathe.dispose();
+    
+    const bands = profileRounds.length - 1;
+    const cache = new Map();
+    const linear = (ref) => {
+      // THREE.Color converts hex to the linear working colour space
+      if (!cache.has(ref)) cache.set(ref, new THREE.Color(pattern.resolveColor(ref, color, palette)));
+      return cache.get(ref);
+    };
+    
+    const values = new Float32Array(geometry.attributes.position.count * 3);
+    for (let face = 0; face < values.length / 9; face++) {
+      const quad = Math.floor(face / 2);
+      const round = profileRounds[(quad % bands) + 1];
+      const segment = Math.floor(quad / bands);
+      const stitch = round.stitches[Math.floor(((segment + 0.5) / segments) * round.count)];
+      const faceColor = linear(stitch?.color || round.color || null);
+      for (let vertex = 0; vertex < 3; vertex++) {
+        faceColor.toArray(values, face * 9 + vertex * 3);
+      }
+    }
+    
+    geometry.setAttribute('color', new THREE.BufferAttribute(values, 3));
+    return geometry;
+  }
+
+  /**
+   * Finished size of a piece in cm ({ width, height, depth }, height along
+   * its axis), stuffed at the factory's firmness. Null without rounds.
+   */
+  measurePiece(pattern) {
+    const geometry = this.createRevolvedGeometry(pattern);
+    if (!geometry) return null;
+    const size = measureGeometry(geometry);
+    geometry.dispose();
+    return {
+      width: size.width / this.unitsPerCm,
+      height: size.height / this.unitsPerCm,
+      depth: size.depth / this.unitsPerCm
+    };
+  }
+
+  /**
+   * Radius of a round of this many stitches at the factory's gauge
    */
   calculateRadius(stitches) {
-    // Approximate radius based on stitches
-    // Real crochet: circumference = stitches * stitch_width
-    // radius = circumference / (2 * PI)
-    const stitchWidth = 0.05; // Approximate width per stitch
-    const circumference = stitches * stitchWidth;
-    return circumference / (2 * Math.PI);
+    return roundRadius(stitches, this.gauge, this.unitsPerCm);
   }
 
   /**
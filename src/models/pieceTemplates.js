@@ -64,7 +64,8 @@ class PieceTemplate {
       piece.addConnectionPoint(
         cp.name,
         cp.position,
-        cp.compatible
+        cp.compatible,
+        { normal: cp.normal, up: cp.up }
       );
     });
 
@@ -123,9 +124,9 @@ export const HEAD_TEMPLATE = new PieceTemplate({
     { round: 7, stitches: 36, instruction: 'sc around' },
     { round: 8, stitches: 36, instruction: 'sc around' },
     { round: 9, stitches: 36, instruction: 'sc around' },
-    { round: 10, stitches: 30, instruction: '(3sc, dec) x6' },
-    { round: 11, stitches: 24, instruction: '(2sc, dec) x6' },
-    { round: 12, stitches: 18, instruction: '(sc, dec) x6' }
+    { round: 10, stitches: 30, instruction: '(4sc, dec) x6' },
+    { round: 11, stitches: 24, instruction: '(3sc, dec) x6' },
+    { round: 12, stitches: 18, instruction: '(2sc, dec) x6' }
   ],
   tier: 'freemium'
 });
@@ -145,21 +146,25 @@ export const BODY_TEMPLATE = new PieceTemplate({
     {
       name: 'left_shoulder',
       position: { x: -0.8, y: 0.7, z: 0 },
+      normal: { x: -1, y: 0, z: 0 },
       compatible: [CONNECTION_TYPES.SHOULDER, CONNECTION_TYPES.JOINT]
     },
     {
       name: 'right_shoulder',
       position: { x: 0.8, y: 0.7, z: 0 },
+      normal: { x: 1, y: 0, z: 0 },
       compatible: [CONNECTION_TYPES.SHOULDER, CONNECTION_TYPES.JOINT]
     },
     {
       name: 'left_hip',
       position: { x: -0.5, y: -0.8, z: 0 },
+      normal: { x: 0, y: -1, z: 0 },
       compatible: [CONNECTION_TYPES.HIP, CONNECTION_TYPES.JOINT]
     },
     {
       name: 'right_hip',
       position: { x: 0.5, y: -0.8, z: 0 },
+      normal: { x: 0, y: -1, z: 0 },
       compatible: [CONNECTION_TYPES.HIP, CONNECTION_TYPES.JOINT]
     }
   ],
@@ -174,8 +179,8 @@ export const BODY_TEMPLATE = new PieceTemplate({
     { round: 8, stitches: 30, instruction: 'sc around' },
     { round: 9, stitches: 30, instruction: 'sc around' },
     { round: 10, stitches: 24, instruction: '(3sc, dec) x6' },
-    { round: 11, stitches: 18, instruction: '(sc, dec) x6' },
-    { round: 12, stitches: 12, instruction: '(dec) x6' }
+    { round: 11, stitches: 18, instruction: '(2sc, dec) x6' },
+    { round: 12, stitches: 12, instruction: '(sc, dec) x6' }
   ],
   tier: 'freemium'
 });
@@ -281,7 +286,7 @@ export const FOOT_TEMPLATE = new PieceTemplate({
   ],
   pattern: [
     { round: 1, stitches: 6, instruction: 'MR 6sc' },
-    { round: 2, stitches: 8, instruction: 'sc, inc, sc, inc, sc, inc, sc, inc' },
+    { round: 2, stitches: 8, instruction: '2sc, inc, 2sc, inc' },
     { round: 3, stitches: 8, instruction: 'sc around' },
     { round: 4, stitches: 8, instruction: 'sc around' },
     { round: 5, stitches: 8, instruction: 'sc around' }
@@ -334,7 +339,7 @@ export const TAIL_TEMPLATE = new PieceTemplate({
     { round: 3, stitches: 6, instruction: 'sc around' },
     { round: 4, stitches: 6, instruction: 'sc around' },
     { round: 5, stitches: 6, instruction: 'sc around' },
-    { round: 6, stitches: 4, instruction: '(dec) x2' }
+    { round: 6, stitches: 4, instruction: '(sc, dec) x2' }
   ],
   tier: 'studio',
   isCustom: true
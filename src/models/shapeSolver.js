@@ -0,0 +1,175 @@
+// src/models/shapeSolver.js
+
+import { CrochetPattern } from '../types/patternModel';
+
+/**
+ * Amigurumi shape solver
+ * Works out the profile a piece takes from its stitches: each round is a
+ * ring of fabric whose circumference is its stitch count times the stitch
+ * width, sitting one stitch height (measured along the fabric) beyond the
+ * previous round. When a round grows exactly as fast as it rises the
+ * fabric lies flat; slower growth cups it upward into walls, decreases
+ * turn it inward, and growth faster than the fabric can span ruffles it.
+ */
+
+// Stitch heights relative to sc. A flat circle takes 6 increases a round
+// in sc, 8 in hdc and 12 in dc, so its rounds rise by that much more.
+export const STITCH_HEIGHTS = {
+  sc: 1,
+  hdc: 4 / 3,
+  dc: 2,
+  tr: 8 / 3,
+  dtr: 10 / 3,
+  ch: 1,
+  sl: 0.3
+};
+
+// Worsted yarn on an amigurumi hook (sc, per 10 cm)
+export const DEFAULT_GAUGE = {
+  stitchesPer10cm: 20,
+  roundsPer10cm: 21
+};
+
+// Scene units per centimetre: a 36-stitch ball is about 2 units across
+export const SCENE_UNITS_PER_CM = 0.35;
+
+// How far the fabric stretches past the flat rate before it ruffles (share of the round height)
+const FLAT_TOLERANCE = 0.1;
+// Growth below this share of the round height reads as a straight wall
+const STRAIGHT_TOLERANCE = 0.1;
+// A ruffle wave spans about this many stitch heights
+const RUFFLE_WAVELENGTH = 4;
+// Rounds this small are drawn shut at the start or end of a piece
+const CLOSING_COUNT = 8;
+
+/**
+ * Stitch width and sc height in scene units for a gauge
+ */
+export function stitchSize(gauge = DEFAULT_GAUGE, unitsPerCm = SCENE_UNITS_PER_CM) {
+  const { stitchesPer10cm, roundsPer10cm } = { ...DEFAULT_GAUGE, ...gauge };
+  return {
+    width: (10 / stitchesPer10cm) * unitsPerCm,
+    height: (10 / roundsPer10cm) * unitsPerCm
+  };
+}
+
+/**
+ * Radius of a ring of stitches laid out in a circle
+ */
+export function roundRadius(stitches, gauge = DEFAULT_GAUGE, unitsPerCm = SCENE_UNITS_PER_CM) {
+  return (stitches * stitchSize(gauge, unitsPerCm).width) / (2 * Math.PI);
+}
+
+/**
+ * Height of one round in sc heights: the average of its stitches
+ */
+export function roundHeight(round) {
+  if (!round.stitches.length) return 1;
+  const total = round.stitches.reduce((sum, stitch) => sum + (STITCH_HEIGHTS[stitch.type] ?? 1), 0);
+  return total / round.stitches.length;
+}
+
+/**
+ * How a round behaves given its growth per unit of height: 'flat',
+ * 'cupping', 'straight', 'decreasing' or 'ruffling'
+ */
+export function classifyGrowth(growth) {
+  if (growth > 1 + FLAT_TOLERANCE) return 'ruffling';
+  if (growth >= 1 - FLAT_TOLERANCE) return 'flat';
+  if (growth > STRAIGHT_TOLERANCE) return 'cupping';
+  if (growth >= -STRAIGHT_TOLERANCE) return 'straight';
+  return 'decreasing';
+}
+
+/**
+ * Solve the profile of a piece. Returns null for a pattern without rounds,
+ * otherwise:
+ *   rounds   one entry per round: { number, count, radius, targetRadius,
+ *            y, height, behaviour, ruffle } (ruffle is the wave amplitude)
+ *   profile  points from the start of the piece to its end, { radius, y,
+ *            round }, with a point on the axis where it is drawn shut
+ *   ruffleWaves  waves around a ruffled round (0 without ruffles)
+ * Heights are centred on y = 0.
+ */
+export function solvePieceShape(pattern, options = {}) {
+  const { gauge = DEFAULT_GAUGE, unitsPerCm = SCENE_UNITS_PER_CM } = options;
+  const rounds = CrochetPattern.from(pattern).rounds;
+  if (rounds.length === 0) return null;
+
+  const size = stitchSize(gauge, unitsPerCm);
+  const first = rounds[0];
+  const last = rounds[rounds.length - 1];
+  const closedStart = first.startsWithRing || first.count <= CLOSING_COUNT;
+  const closedEnd = rounds.length > 1 && last.count <= CLOSING_COUNT;
+
+  // Walk the rounds along the fabric, each one stitch height further out
+  const solved = [];
+  let radius = 0;
+  let y = 0;
+  rounds.forEach((round, index) => {
+    const height = roundHeight(round) * size.height;
+    const targetRadius = roundRadius(round.count, gauge, unitsPerCm);
+
+    // An open start is a foundation chain: the first round only sets the ring
+    if (index === 0 && !closedStart) {
+      radius = targetRadius;
+      solved.push({ number: round.number, count: round.count, radius, targetRadius, y, height, behaviour: 'straight', ruffle: 0 });
+      return;
+    }
+
+    const growth = (targetRadius - radius) / height;
+    const behaviour = classifyGrowth(growth);
+
+    // The fabric stretches a little but cannot reach much further than its
+    // own height: the surplus ruffles (or puckers, when decreasing)
+    const reach = height * (1 + FLAT_TOLERANCE);
+    const next = Math.min(Math.max(targetRadius, radius - reach), radius + reach);
+    const step = next - radius;
+    y += Math.sqrt(Math.max(0, height * height - step * step));
+    radius = next;
+
+    solved.push({ number: round.number, count: round.count, radius, targetRadius, y, height, behaviour, ruffle: 0 });
+  });
+
+  // One wave count for the whole piece, set by its widest ruffle
+  const ruffled = solved.filter(round => round.behaviour === 'ruffling' && round.targetRadius > round.radius);
+  const widest = Math.max(0, ...ruffled.map(round => round.radius));
+  const ruffleWaves = ruffled.length
+    ? Math.max(3, Math.round((2 * Math.PI * widest) / (RUFFLE_WAVELENGTH * size.height)))
+    : 0;
+
+  // A ring of length C waving k times with amplitude A is about
+  // 2πr(1 + (Ak / 2r)²) long, so the surplus sets the amplitude
+  ruffled.forEach(round => {
+    round.ruffle = ((2 * round.radius) / ruffleWaves) * Math.sqrt(round.targetRadius / round.radius - 1);
+  });
+
+  // Centre the piece on its mid-height
+  const top = solved[solved.length - 1].y;
+  const offset = top / 2;
+  solved.forEach(round => { round.y -= offset; });
+
+  const profile = solved.map((round, index) => ({ radius: round.radius, y: round.y, round: index }));
+  if (closedStart) profile.unshift({ radius: 0, y: -offset, round: 0 });
+  if (closedEnd) profile.push({ radius: 0, y: solved[solved.length - 1].y, round: rounds.length - 1 });
+
+  return {
+    rounds: solved,
+    profile,
+    closedStart,
+    closedEnd,
+    ruffleWaves,
+    height: top,
+    maxRadius: Math.max(...solved.map(round => round.radius)),
+    stitchWidth: size.width
+  };
+}
+
+/**
+ * Segments around the piece: about one per stitch of its widest round and
+ * enough for every ruffle wave to be seen, within [minimum, maximum]
+ */
+export function segmentsFor(shape, minimum = 24, maximum = 96) {
+  const widest = Math.max(...shape.rounds.map(round => round.count));
+  return Math.min(maximum, Math.max(minimum, widest, shape.ruffleWaves * 4));
+}
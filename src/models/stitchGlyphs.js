@@ -0,0 +1,181 @@
+// src/models/stitchGlyphs.js
+
+import * as THREE from 'three';
+import { CrochetPattern } from '../types/patternModel';
+import { solvePieceShape, stitchSize, STITCH_HEIGHTS, DEFAULT_GAUGE, SCENE_UNITS_PER_CM } from './shapeSolver';
+
+/**
+ * Stitch glyphs
+ * Draws every stitch of a piece as its own small glyph, one InstancedMesh per
+ * stitch type, laid out around the rounds of the solved shape. Each instance
+ * remembers which stitch it is, so a raycast hit can be traced back to its
+ * round, its index in the round and the pattern text that made it.
+ */
+
+export const GLYPH_COLORS = {
+  stitch: '#fbbf24',
+  increase: '#f59e0b',
+  decrease: '#60a5fa',
+  hovered: '#ffffff',
+  selected: '#ec4899'
+};
+
+// Legacy token for a stitch with no source text
+const SHAPING_TOKENS = { increase: 'inc', decrease: 'dec' };
+
+/**
+ * Geometry for one stitch type, standing along +Y and as tall as the stitch
+ */
+function createGlyphGeometry(type, size) {
+  const width = size.width * 0.35;
+  if (type === 'ch') return new THREE.TorusGeometry(width * 0.8, width * 0.3, 6, 12);
+  if (type === 'sl') return new THREE.SphereGeometry(width * 0.6, 8, 6);
+
+  const height = (STITCH_HEIGHTS[type] ?? 1) * size.height;
+  return new THREE.CapsuleGeometry(width, Math.max(height - 2 * width, width * 0.2), 3, 8);
+}
+
+function stitchInfo(stitch, round, roundIndex) {
+  return {
+    roundIndex,
+    round: round.number,
+    index: stitch.index,
+    count: round.count,
+    type: stitch.type,
+    shaping: stitch.shaping,
+    group: stitch.group,
+    targets: [...stitch.targets],
+    token: stitch.source?.text || SHAPING_TOKENS[stitch.shaping] || stitch.type,
+    source: stitch.source ? { ...stitch.source } : null,
+    instruction: round.instruction
+  };
+}
+
+function baseColor(pattern, stitch, round, color) {
+  if (stitch.shaping === 'increase') return GLYPH_COLORS.increase;
+  if (stitch.shaping === 'decrease') return GLYPH_COLORS.decrease;
+  return pattern.resolveColor(stitch.color || round.color, color);
+}
+
+/**
+ * Build the glyphs for a pattern. Options: `rounds` (how many rounds to
+ * show, all by default), `gauge`, `unitsPerCm` and `color` (the piece's
+ * yarn). Returns a group of InstancedMeshes, or an empty group for a
+ * pattern without rounds; see pickStitch and highlightStitches.
+ */
+export function createStitchGlyphs(pattern, options = {}) {
+  const { rounds = Infinity, gauge = DEFAULT_GAUGE, unitsPerCm = SCENE_UNITS_PER_CM, color = GLYPH_COLORS.stitch } = options;
+  const model = CrochetPattern.from(pattern);
+  const group = new THREE.Group();
+  group.name = 'stitch_glyphs';
+  group.userData = { stitchCount: 0 };
+
+  const shape = solvePieceShape(model, { gauge, unitsPerCm });
+  if (!shape) return group;
+  const size = stitchSize(gauge, unitsPerCm);
+
+  // Gather the placement of every stitch, by type
+  const byType = new Map();
+  const offset = shape.closedStart ? 1 : 0;
+  model.rounds.slice(0, rounds).forEach((round, roundIndex) => {
+    const point = shape.profile[roundIndex + offset];
+    const previous = shape.profile[roundIndex + offset - 1] || null;
+    // Fabric runs from the previous round up to this one
+    const dr = previous ? point.radius - previous.radius : 0;
+    const dy = previous ? point.y - previous.y : 1;
+    const along = Math.hypot(dr, dy) || 1;
+    const midRadius = previous ? (point.radius + previous.radius) / 2 : point.radius;
+    const midY = previous ? (point.y + previous.y) / 2 : point.y - size.height / 2;
+
+    round.stitches.forEach(stitch => {
+      const angle = ((stitch.index + 0.5) / round.count) * Math.PI * 2;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const up = new THREE.Vector3((dr / along) * cos, dy / along, (dr / along) * sin);
+      const out = new THREE.Vector3((dy / along) * cos, -dr / along, (dy / along) * sin);
+      const tangent = new THREE.Vector3().crossVectors(up, out);
+      const matrix = new THREE.Matrix4().makeBasis(tangent, up, out);
+      matrix.setPosition(midRadius * cos, midY, midRadius * sin);
+
+      if (!byType.has(stitch.type)) byType.set(stitch.type, []);
+      byType.get(stitch.type).push({
+        matrix,
+        info: stitchInfo(stitch, round, roundIndex),
+        color: baseColor(model, stitch, round, color)
+      });
+    });
+  });
+
+  byType.forEach((placed, type) => {
+    const material = new THREE.MeshPhongMaterial({ color: 0xffffff, shininess: 60 });
+    const mesh = new THREE.InstancedMesh(createGlyphGeometry(type, size), material, placed.length);
+    mesh.name = `stitches_${type}`;
+    const tint = new THREE.Color();
+    placed.forEach((entry, i) => {
+      mesh.setMatrixAt(i, entry.matrix);
+      mesh.setColorAt(i, tint.set(entry.color));
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+    mesh.computeBoundingSphere();
+    mesh.userData = {
+      stitches: placed.map(entry => entry.info),
+      baseColors: mesh.instanceColor.array.slice()
+    };
+    group.add(mesh);
+  });
+
+  group.userData.stitchCount = Array.from(byType.values()).reduce((sum, placed) => sum + placed.length, 0);
+  group.userData.height = shape.height;
+  return group;
+}
+
+/**
+ * Stitch under a raycaster, or null: the info recorded when the glyph was
+ * built ({ round, index, count, type, shaping, token, source, ... })
+ */
+export function pickStitch(group, raycaster) {
+  const hit = raycaster.intersectObject(group, true).find(intersection => intersection.instanceId !== undefined);
+  if (!hit) return null;
+  return hit.object.userData.stitches[hit.instanceId] || null;
+}
+
+// Whether two picked stitches are the same stitch, even from glyphs built apart
+export const sameStitch = (a, b) => Boolean(a && b && a.roundIndex === b.roundIndex && a.index === b.index);
+
+/**
+ * Recolour the hovered and selected stitches (either may be null); every
+ * other stitch goes back to its own colour
+ */
+export function highlightStitches(group, { hovered = null, selected = null } = {}) {
+  const tint = new THREE.Color();
+  group.children.forEach(mesh => {
+    if (!mesh.isInstancedMesh) return;
+    mesh.instanceColor.array.set(mesh.userData.baseColors);
+    mesh.userData.stitches.forEach((info, i) => {
+      if (sameStitch(info, selected)) mesh.setColorAt(i, tint.set(GLYPH_COLORS.selected));
+      else if (sameStitch(info, hovered)) mesh.setColorAt(i, tint.set(GLYPH_COLORS.hovered));
+    });
+    mesh.instanceColor.needsUpdate = true;
+  });
+}
+
+/**
+ * One-line description of a picked stitch, e.g.
+ * "Round 3, stitch 2 of 18: inc (increase)"
+ */
+export function describeStitch(info) {
+  const shaping = info.shaping !== 'none' ? ` (${info.shaping})` : '';
+  return `Round ${info.round}, stitch ${info.index + 1} of ${info.count}: ${info.token}${shaping}`;
+}
+
+/**
+ * Free the glyphs' geometries and materials
+ */
+export function disposeStitchGlyphs(group) {
+  group.children.forEach(mesh => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    if (mesh.dispose) mesh.dispose();
+  });
+}
@@ -0,0 +1,204 @@
+// src/models/stuffingSimulator.js
+
+import * as THREE from 'three';
+
+/**
+ * Stuffing simulation
+ * A soft-body "stuff" pass over a piece mesh, run on the CPU. Every step
+ * the stuffing pushes each vertex outward along its normal, then the
+ * fabric pulls back: no stitch may stretch past what the yarn gives (more
+ * for firmer stuffing) or bunch up much. Open rims are sewn onto another
+ * piece, so they stay where they are. The piece settles into the rounder
+ * shape the fabric allows.
+ */
+
+// Firmness of a typical amigurumi, stuffed until it holds its shape
+export const DEFAULT_FIRMNESS = 0.6;
+
+// How far a stitch stretches, lightly to firmly stuffed
+const MIN_STRETCH = 0.03;
+const MAX_STRETCH = 0.2;
+// How far a stitch may bunch up
+const MAX_COMPRESSION = 0.1;
+// Outward push per step, as a share of the average stitch edge
+const PRESSURE_STEP = 0.1;
+// Fabric passes per pressure step, and once the stuffing is in
+const CONSTRAINT_PASSES = 6;
+const SETTLE_PASSES = 40;
+
+/**
+ * Whether a solved shape (see shapeSolver) holds stuffing: at least one end
+ * drawn shut. A tube open at both ends does not.
+ */
+export function isStuffable(shape) {
+  return Boolean(shape && (shape.closedStart || shape.closedEnd));
+}
+
+/**
+ * Stitch stretch allowed at a firmness (0 to 1)
+ */
+export function stretchFor(firmness) {
+  const clamped = Math.min(1, Math.max(0, firmness));
+  return MIN_STRETCH + (MAX_STRETCH - MIN_STRETCH) * clamped;
+}
+
+// Merge vertices that share a position (lathe seams and poles, split faces)
+function weld(position) {
+  const lookup = new Map();
+  const points = [];
+  const vertexOf = new Int32Array(position.count);
+  for (let i = 0; i < position.count; i++) {
+    const x = position.getX(i);
+    const y = position.getY(i);
+    const z = position.getZ(i);
+    const key = `${Math.round(x * 1e6)},${Math.round(y * 1e6)},${Math.round(z * 1e6)}`;
+    if (!lookup.has(key)) {
+      lookup.set(key, points.length);
+      points.push(new THREE.Vector3(x, y, z));
+    }
+    vertexOf[i] = lookup.get(key);
+  }
+  return { points, vertexOf };
+}
+
+function weldedTriangles(geometry, vertexOf) {
+  const index = geometry.index;
+  const count = index ? index.count : geometry.attributes.position.count;
+  const triangles = [];
+  for (let t = 0; t < count; t += 3) {
+    const [a, b, c] = [0, 1, 2].map(k => vertexOf[index ? index.getX(t + k) : t + k]);
+    if (a !== b && b !== c && a !== c) triangles.push([a, b, c]);
+  }
+  return triangles;
+}
+
+// Edges with their rest length; edges of one triangle only lie on an open rim
+function buildEdges(points, triangles) {
+  const edges = new Map();
+  triangles.forEach(triangle => {
+    for (let k = 0; k < 3; k++) {
+      const a = Math.min(triangle[k], triangle[(k + 1) % 3]);
+      const b = Math.max(triangle[k], triangle[(k + 1) % 3]);
+      const key = a * points.length + b;
+      const edge = edges.get(key);
+      if (edge) edge.faces++;
+      else edges.set(key, { a, b, rest: points[a].distanceTo(points[b]), faces: 1 });
+    }
+  });
+  return Array.from(edges.values());
+}
+
+// Signed volume enclosed by the triangles (positive when they face outward)
+function enclosedVolume(points, triangles) {
+  const cross = new THREE.Vector3();
+  return triangles.reduce((sum, [a, b, c]) => (
+    sum + points[a].dot(cross.crossVectors(points[b], points[c])) / 6
+  ), 0);
+}
+
+function vertexNormals(points, triangles, sign) {
+  const normals = points.map(() => new THREE.Vector3());
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  triangles.forEach(([a, b, c]) => {
+    // Unnormalized: larger faces weigh more
+    ab.subVectors(points[b], points[a]);
+    ac.subVectors(points[c], points[a]);
+    const face = ab.cross(ac).multiplyScalar(sign);
+    normals[a].add(face);
+    normals[b].add(face);
+    normals[c].add(face);
+  });
+  normals.forEach(normal => normal.normalize());
+  return normals;
+}
+
+/**
+ * Stuff a piece geometry in place. `firmness` runs from 0 (unstuffed) to 1
+ * (as firm as the yarn allows). Returns what happened:
+ *   { geometry, stuffed, closed, pinned, iterations, volumeBefore, volumeAfter }
+ * The volumes are only given for closed pieces.
+ */
+export function stuffGeometry(geometry, options = {}) {
+  const { firmness = DEFAULT_FIRMNESS, iterations = 80 } = options;
+  const position = geometry.attributes.position;
+  const { points, vertexOf } = weld(position);
+  const triangles = weldedTriangles(geometry, vertexOf);
+  const edges = buildEdges(points, triangles);
+
+  const pinned = new Uint8Array(points.length);
+  edges.filter(edge => edge.faces === 1).forEach(edge => {
+    pinned[edge.a] = 1;
+    pinned[edge.b] = 1;
+  });
+  const pinnedCount = pinned.reduce((sum, flag) => sum + flag, 0);
+  const closed = pinnedCount === 0;
+
+  // Faces wound either way round: push along whichever side holds more volume
+  const volumeBefore = enclosedVolume(points, triangles);
+  const sign = volumeBefore < 0 ? -1 : 1;
+  const result = { geometry, stuffed: false, closed, pinned: pinnedCount, iterations: 0, volumeBefore: null, volumeAfter: null };
+  if (closed) result.volumeBefore = Math.abs(volumeBefore);
+  if (firmness <= 0 || edges.length === 0) return result;
+
+  const stretch = stretchFor(firmness);
+  const push = PRESSURE_STEP * (edges.reduce((sum, edge) => sum + edge.rest, 0) / edges.length);
+  const delta = new THREE.Vector3();
+
+  const relax = () => edges.forEach(({ a, b, rest }) => {
+    delta.subVectors(points[b], points[a]);
+    const length = delta.length();
+    const target = Math.min(Math.max(length, rest * (1 - MAX_COMPRESSION)), rest * (1 + stretch));
+    if (length === 0 || target === length) return;
+
+    // Pinned ends stay put; the other end takes the whole correction
+    const weightA = pinned[a] ? 0 : (pinned[b] ? 1 : 0.5);
+    const weightB = pinned[b] ? 0 : (pinned[a] ? 1 : 0.5);
+    delta.multiplyScalar((length - target) / length);
+    points[a].addScaledVector(delta, weightA);
+    points[b].addScaledVector(delta, -weightB);
+  });
+
+  for (let step = 0; step < iterations; step++) {
+    const normals = vertexNormals(points, triangles, sign);
+    points.forEach((point, i) => {
+      if (!pinned[i]) point.addScaledVector(normals[i], push);
+    });
+    for (let pass = 0; pass < CONSTRAINT_PASSES; pass++) relax();
+  }
+
+  // Let the fabric settle once the stuffing is in
+  for (let pass = 0; pass < SETTLE_PASSES; pass++) relax();
+
+  // Write back, with normals smoothed across seams
+  const normals = vertexNormals(points, triangles, sign);
+  let normal = geometry.attributes.normal;
+  if (!normal) {
+    normal = new THREE.BufferAttribute(new Float32Array(position.count * 3), 3);
+    geometry.setAttribute('normal', normal);
+  }
+  for (let i = 0; i < position.count; i++) {
+    const point = points[vertexOf[i]];
+    const n = normals[vertexOf[i]];
+    position.setXYZ(i, point.x, point.y, point.z);
+    normal.setXYZ(i, n.x, n.y, n.z);
+  }
+  position.needsUpdate = true;
+  normal.needsUpdate = true;
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+
+  result.stuffed = true;
+  result.iterations = iterations;
+  if (closed) result.volumeAfter = Math.abs(enclosedVolume(points, triangles));
+  return result;
+}
+
+/**
+ * Width (x), height (y) and depth (z) of a geometry's bounding box
+ */
+export function measureGeometry(geometry) {
+  geometry.computeBoundingBox();
+  const size = geometry.boundingBox.getSize(new THREE.Vector3());
+  return { width: size.x, height: size.y, depth: size.z };
+}
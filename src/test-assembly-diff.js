@@ -0,0 +1,217 @@
+// src/test-assembly-diff.js
+// Test suite for structural diff and three-way merge of assemblies
+
+import * as THREE from 'three';
+import {
+  diffAssemblies,
+  diffRounds,
+  diffHighlights,
+  highlightDiffInScene,
+  mergeAssemblies,
+  connectionKey,
+  DIFF_COLORS
+} from './utils/assemblyDiff.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { storage, MemoryBackend } from './utils/storageManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== ASSEMBLY DIFF TEST ===\n');
+
+function makePiece(id, color = '#a0522d') {
+  const piece = new CrochetPiece({
+    id,
+    name: id,
+    type: 'body',
+    color,
+    rounds: [
+      { round: 1, stitches: 6, instruction: '6 sc in magic ring' },
+      { round: 2, stitches: 12, instruction: 'inc x6' }
+    ]
+  });
+  piece.position = { x: 0, y: 0, z: 0 };
+  piece.addConnectionPoint('top', { x: 0, y: 1, z: 0 }, ['bottom']);
+  piece.addConnectionPoint('bottom', { x: 0, y: -1, z: 0 }, ['top']);
+  return piece;
+}
+
+// Both copies are loaded from the same saved design, as two people would
+const clone = data => JSON.parse(JSON.stringify(data));
+function fromData(data) {
+  const assembly = Assembly.fromRecoveredData(clone(data));
+  assembly.history = [];
+  return assembly;
+}
+
+storage.setBackend(new MemoryBackend());
+
+const original = new Assembly('pro');
+original.id = 'bear';
+original.name = 'Bear';
+['head', 'body', 'arm'].forEach(id => original.addPiece(makePiece(id)));
+original.connect('head', 'head-bottom', 'body', 'body-top');
+const base = original.toSafeData();
+
+// Test 1: Diff
+console.log('TEST 1: Diff');
+console.log('------------');
+
+check('Same data gives an empty diff', diffAssemblies(base, clone(base)).identical);
+check('Loading and saving changes nothing', diffAssemblies(base, fromData(base).toSafeData()).identical);
+
+const edited = fromData(base);
+edited.name = 'Teddy';
+edited.addPiece(makePiece('ear'));
+edited.removePiece('arm');
+edited.updatePiece('body', { color: '#ffffff' });
+edited.pieces.get('head').rounds[1] = { round: 2, stitches: 12, instruction: '[inc] x6' };
+edited.pieces.get('head').rounds.push({ round: 3, stitches: 18, instruction: '[sc, inc] x6' });
+edited.updatePiecePosition('head', { x: 0, y: 2, z: 0 });
+const headBody = edited.connections[0].id;
+edited.disconnect(headBody);
+edited.connect('ear', 'ear-bottom', 'head', 'head-top');
+const diff = diffAssemblies(base, edited.toSafeData());
+
+check('Name change', diff.name?.from === 'Bear' && diff.name?.to === 'Teddy');
+check('Added and removed pieces', diff.pieces.added.map(p => p.id).join() === 'ear' && diff.pieces.removed.map(p => p.id).join() === 'arm');
+check('Modified pieces with their fields', JSON.stringify(diff.pieces.modified.map(m => [m.id, m.changes.map(c => c.field)])) ===
+  JSON.stringify([['head', ['position']], ['body', ['color']]]), JSON.stringify(diff.pieces.modified.map(m => [m.id, m.changes.map(c => c.field)])));
+check('Field values before and after', diff.pieces.modified[1].changes[0].from === '#a0522d' && diff.pieces.modified[1].changes[0].to === '#ffffff');
+const headRounds = diff.pieces.modified[0].rounds;
+check('Round edits', headRounds.length === 2 && headRounds[0].change === 'modified' && headRounds[0].round === 2 &&
+  headRounds[0].fields.join() === 'instruction' && headRounds[1].change === 'added' && headRounds[1].to.stitches === 18);
+check('Connection changes', diff.connections.added.length === 1 && diff.connections.removed.length === 1 &&
+  diff.connections.removed[0].point1Id === 'head-bottom');
+check('Occupancy alone is not a change', !diff.pieces.modified.some(m => m.changes.some(c => c.field === 'connectionPoints')));
+check('Summary counts', JSON.stringify(diff.summary) === JSON.stringify({
+  piecesAdded: 1, piecesRemoved: 1, piecesModified: 2, roundsChanged: 2, connectionsAdded: 1, connectionsRemoved: 1
+}), JSON.stringify(diff.summary));
+
+check('Connections match by their points', connectionKey({ id: 'a', piece1Id: 'p', point1Id: 'p-top', piece2Id: 'q', point2Id: 'q-bottom' }) ===
+  connectionKey({ id: 'b', piece1Id: 'q', point1Id: 'q-bottom', piece2Id: 'p', point2Id: 'p-top' }));
+check('Removed rounds', diffRounds([{ stitches: 6 }, { stitches: 12 }], [{ stitches: 6 }])[0].change === 'removed');
+
+// Imported .c3d projects keep pieces in a Map and connections in a Set
+const imported = {
+  assembly: {
+    id: 'bear',
+    name: 'Bear',
+    pieces: new Map(base.pieces.map(p => [p.id, p])),
+    connections: new Set(base.connections)
+  }
+};
+check('Imported projects compare like saved data', diffAssemblies(base, imported).identical);
+
+// Test 2: Highlighting
+console.log('\nTEST 2: Highlighting');
+console.log('--------------------');
+
+const highlights = diffHighlights(diff);
+check('Pieces highlighted by state', highlights.get('ear') === 'added' && highlights.get('arm') === 'removed' &&
+  highlights.get('body') === 'modified' && highlights.get('head') === 'modified');
+
+const meshes = new Map(['head', 'body', 'ear'].map(id => {
+  const group = new THREE.Group();
+  group.add(new THREE.Mesh(new THREE.SphereGeometry(1), new THREE.MeshPhongMaterial({ color: 0xffffff })));
+  return [id, group];
+}));
+const emissive = id => meshes.get(id).children[0].material.emissive.getHex();
+const clear = highlightDiffInScene(meshes, highlights);
+check('Meshes tinted by state', emissive('ear') === DIFF_COLORS.added && emissive('body') === DIFF_COLORS.modified);
+clear();
+check('Clearing restores the materials', emissive('ear') === 0 && meshes.get('ear').children[0].material.emissiveIntensity === 1);
+
+const dragged = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+dragged.userData.pieceId = 'ear';
+highlightDiffInScene([dragged], highlights);
+check('Meshes found by userData.pieceId', dragged.material.emissive.getHex() === DIFF_COLORS.added);
+
+// Test 3: Merge
+console.log('\nTEST 3: Merge');
+console.log('-------------');
+
+const ours = fromData(base);
+ours.updatePiece('body', { color: '#ffffff' });
+ours.addPiece(makePiece('ear'));
+ours.connect('ear', 'ear-bottom', 'head', 'head-top');
+ours.pieces.get('head').rounds[0] = { round: 1, stitches: 6, instruction: 'magic ring, 6 sc' };
+
+const theirs = fromData(base);
+theirs.updatePiecePosition('head', { x: 1, y: 0, z: 0 });
+theirs.addPiece(makePiece('tail'));
+theirs.connect('tail', 'tail-top', 'body', 'body-bottom');
+theirs.removePiece('arm');
+theirs.pieces.get('head').rounds.push({ round: 3, stitches: 18, instruction: '[sc, inc] x6' });
+
+const clean = mergeAssemblies(base, ours.toSafeData(), theirs.toSafeData());
+const merged = clean.merged;
+const mergedPiece = id => merged.pieces.find(p => p.id === id);
+check('Separate changes merge without conflicts', clean.conflicts.length === 0, JSON.stringify(clean.conflicts));
+check('Pieces from both sides', merged.pieces.map(p => p.id).join() === 'head,body,ear,tail', merged.pieces.map(p => p.id).join());
+check('Field changes from both sides', mergedPiece('body').color === '#ffffff' && mergedPiece('head').position.x === 1);
+check('Round changes from both sides', mergedPiece('head').rounds.length === 3 &&
+  mergedPiece('head').rounds[0].instruction === 'magic ring, 6 sc' && mergedPiece('head').rounds[2].stitches === 18);
+check('Connections from both sides', merged.connections.length === 3);
+check('Occupancy follows merged connections', mergedPiece('tail').connectionPoints[0].isOccupied &&
+  mergedPiece('tail').connectionPoints[0].connectedTo === 'body-bottom' && !mergedPiece('ear').connectionPoints[0].isOccupied);
+check('Changes taken from the other side listed', ['piece-added', 'piece-removed', 'piece-field', 'round', 'connection-added']
+  .every(type => clean.applied.some(a => a.type === type)), clean.applied.map(a => a.type).join());
+check('Merge recorded in history', merged.history[merged.history.length - 1].action === 'merge');
+
+const restored = Assembly.fromRecoveredData(merged);
+check('Merged data loads as an assembly', restored.pieces.size === 4 && restored.connections.length === 3 &&
+  restored.connections.every(c => restored.pieces.get(c.piece1Id).connectionPoints.find(p => p.id === c.point1Id).connectedTo === c.point2Id));
+
+// Conflicts
+const oursConflict = fromData(base);
+oursConflict.name = 'Brown Bear';
+oursConflict.updatePiece('body', { color: '#000000' });
+oursConflict.pieces.get('head').rounds[1] = { round: 2, stitches: 12, instruction: 'ours' };
+oursConflict.updatePiece('arm', { color: '#123456' });
+oursConflict.addPiece(makePiece('ear'));
+oursConflict.connect('ear', 'ear-bottom', 'head', 'head-top');
+
+const theirsConflict = fromData(base);
+theirsConflict.name = 'Polar Bear';
+theirsConflict.updatePiece('body', { color: '#ffffff' });
+theirsConflict.pieces.get('head').rounds[1] = { round: 2, stitches: 12, instruction: 'theirs' };
+theirsConflict.removePiece('arm');
+theirsConflict.addPiece(makePiece('hat'));
+theirsConflict.connect('hat', 'hat-bottom', 'head', 'head-top');
+
+const conflicted = mergeAssemblies(base, oursConflict.toSafeData(), theirsConflict.toSafeData());
+const types = conflicted.conflicts.map(c => c.type).sort().join();
+check('Conflicts listed', types === 'connection,name,piece-field,piece-removed,round', types);
+check('Conflicts keep our side until resolved', conflicted.merged.name === 'Brown Bear' &&
+  conflicted.merged.pieces.find(p => p.id === 'body').color === '#000000' &&
+  conflicted.merged.pieces.some(p => p.id === 'arm') && conflicted.conflicts.every(c => !c.resolved));
+check('Conflicts show both sides', conflicted.conflicts.find(c => c.type === 'piece-field').theirs === '#ffffff' &&
+  conflicted.conflicts.find(c => c.type === 'round').base.instruction === 'inc x6');
+check('Hat added without its clashing connection', conflicted.merged.pieces.some(p => p.id === 'hat') &&
+  conflicted.merged.connections.filter(c => [c.point1Id, c.point2Id].includes('head-top')).length === 1);
+
+const resolutions = Object.fromEntries(conflicted.conflicts.map(c => [c.id, 'theirs']));
+const resolved = mergeAssemblies(base, oursConflict.toSafeData(), theirsConflict.toSafeData(), { resolutions });
+const resolvedPiece = id => resolved.merged.pieces.find(p => p.id === id);
+check('Resolutions choose their side', resolved.conflicts.every(c => c.resolved && c.resolution === 'theirs') &&
+  resolved.merged.name === 'Polar Bear' && resolvedPiece('body').color === '#ffffff' &&
+  resolvedPiece('head').rounds[1].instruction === 'theirs' && !resolvedPiece('arm'));
+check('Resolved connection swapped', resolved.merged.connections.some(c => c.point1Id === 'hat-bottom') &&
+  !resolved.merged.connections.some(c => c.point1Id === 'ear-bottom'));
+
+// A connection to a piece the other side removed cannot be kept
+const oursOrphan = fromData(base);
+oursOrphan.connect('arm', 'arm-top', 'body', 'body-bottom');
+const theirsOrphan = fromData(base);
+theirsOrphan.removePiece('arm');
+const orphan = mergeAssemblies(base, oursOrphan.toSafeData(), theirsOrphan.toSafeData());
+check('Connecting a piece is not a change to it', orphan.conflicts.length === 0 && !orphan.merged.pieces.some(p => p.id === 'arm'),
+  JSON.stringify(orphan.conflicts));
+check('Connections to missing pieces skipped', orphan.skipped.length === 1 &&
+  !orphan.merged.connections.some(c => c.piece1Id === 'arm') && !orphan.merged.pieces.find(p => p.id === 'body').connectionPoints[1].isOccupied);
+
+oursOrphan.updatePiece('arm', { color: '#00ff00' });
+const kept = mergeAssemblies(base, oursOrphan.toSafeData(), theirsOrphan.toSafeData(), { resolutions: { 'piece:arm': 'ours' } });
+check('Keeping a changed piece keeps its connection', kept.conflicts[0].type === 'piece-removed' &&
+  kept.merged.connections.some(c => c.piece1Id === 'arm') && kept.skipped.length === 0);
+
+summary('ASSEMBLY DIFF');
@@ -0,0 +1,184 @@
+// src/test-backups.js
+// Test suite for snapshot + delta backups and point-in-time restore
+
+import { diffJSON, applyDelta } from './utils/jsonDelta.js';
+import { RecoverySystem } from './utils/recoverySystem.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { storage, MemoryBackend } from './utils/storageManager.js';
+import { checkRestorePoints, restoreAutosave } from './utils/autosaveRestore.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== BACKUPS TEST ===\n');
+
+function makePiece(id, color = '#a0522d') {
+  const piece = new CrochetPiece({ id, name: id, type: 'body', color, rounds: [{ round: 1, stitches: 6 }] });
+  piece.position = { x: 0, y: 0, z: 0 };
+  piece.addConnectionPoint('top', { x: 0, y: 1, z: 0 }, ['bottom']);
+  piece.addConnectionPoint('bottom', { x: 0, y: -1, z: 0 }, ['top']);
+  return piece;
+}
+
+const roundTrips = (from, to) => JSON.stringify(applyDelta(from, diffJSON(from, to))) === JSON.stringify(to);
+
+storage.setBackend(new MemoryBackend());
+
+// Test 1: Deltas
+console.log('TEST 1: Deltas');
+console.log('--------------');
+
+check('Changed and added keys', roundTrips({ a: 1, b: { c: 2 } }, { a: 3, b: { c: 2, d: [1] } }));
+check('Removed keys', roundTrips({ a: 1, b: 2 }, { a: 1 }));
+check('Arrays that grow and shrink', roundTrips([1, 2, 3], [1, 5, 3, 4]) && roundTrips([1, 2, 3, 4], [1, 2]));
+check('Nested arrays shrink', roundTrips({ list: [{ x: 1 }, { x: 2 }] }, { list: [{ x: 9 }] }));
+check('Root values replaced', roundTrips({ a: 1 }, [1, 2]) && roundTrips('text', null));
+check('Equal values give no operations', diffJSON({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }).length === 0);
+
+const source = { a: { b: 1 } };
+applyDelta(source, [{ path: ['a', 'b'], value: 2 }]);
+check('Input left unchanged', source.a.b === 1);
+
+let mismatch = null;
+try {
+  applyDelta({ a: 1 }, [{ path: ['missing', 'b'], value: 2 }]);
+} catch (error) {
+  mismatch = error;
+}
+check('Delta for another value fails', mismatch?.code === 'DELTA_MISMATCH');
+
+// Test 2: Backup chain
+console.log('\nTEST 2: Backup chain');
+console.log('--------------------');
+
+const recovery = new RecoverySystem();
+const manager = recovery.backupManager;
+const assembly = new Assembly('pro');
+assembly.id = 'bear';
+assembly.name = 'Bear';
+
+const states = [];
+const keys = [];
+const chain = ['head', 'neck', 'body', 'hips', 'leg', 'foot'];
+chain.forEach((id, index) => {
+  assembly.addPiece(makePiece(id));
+  if (index > 0) assembly.connect(id, `${id}-top`, chain[index - 1], `${chain[index - 1]}-bottom`);
+  keys.push(manager.createBackup('bear', assembly.toSafeData()));
+  // While it is the newest, a backup is a full snapshot
+  states.push(JSON.stringify(manager.restoreFromBackup(keys[index])));
+});
+
+const backups = manager.getBackups('bear');
+check('One backup per save', backups.length === 6 && keys.every(Boolean));
+check('Newest backup is a snapshot', backups[0].kind === 'snapshot' && backups[0].key === keys[5]);
+check('Older backups are deltas', backups.slice(1).every(b => b.kind === 'delta'), backups.map(b => b.kind).join(','));
+check('Deltas are smaller than snapshots', backups.slice(1).every(b => b.size < backups[0].size / 2),
+  backups.map(b => b.size).join(','));
+check('Backup list carries no data', !('data' in backups[0]) && backups[0].reason === 'auto_backup');
+
+const restored = keys.map(key => manager.restoreFromBackup(key));
+check('Every backup restores its own state', restored.every((data, i) => data.pieces.length === i + 1 &&
+  data.connections.length === i && JSON.stringify(data) === states[i]));
+check('Restore returns clean data', restored[0].id === 'bear' && restored[0].name === 'Bear' && Array.isArray(restored[0].history));
+
+const middle = manager.restoreAt('bear', backups[3].timestamp);
+check('Restore at a backup time', middle.key === keys[2] && middle.data.pieces.length === 3);
+check('Restore between backups takes the earlier one', manager.restoreAt('bear', backups[3].timestamp + 0.5).key === keys[2]);
+check('Nothing before the first backup', manager.restoreAt('bear', backups[5].timestamp - 1) === null);
+
+// Test 3: Snapshots, pruning and eviction
+console.log('\nTEST 3: Snapshots, pruning and eviction');
+console.log('---------------------------------------');
+
+manager.snapshotEvery = 3;
+manager.maxBackups = 8;
+const cat = { id: 'cat', name: 'Cat', pieces: [], connections: [], history: [] };
+const catKeys = [];
+for (let i = 0; i < 10; i++) {
+  cat.pieces.push(makePiece(`cat-${i}`).toSafeData());
+  catKeys.push(manager.createBackup('cat', cat, 'auto_backup'));
+}
+const catBackups = manager.getBackups('cat');
+check('Pruned to maxBackups', catBackups.length === 8 && storage.getItem(catKeys[0]) === null);
+check('Full snapshot kept every snapshotEvery backups', catBackups.map(b => b.kind[0]).join('') === 'ssddsdds',
+  catBackups.map(b => b.kind[0]).join(''));
+check('Backups left after pruning restore', catKeys.slice(2).every((key, i) => manager.restoreFromBackup(key)?.pieces.length === i + 3));
+
+// The storage manager evicts the oldest backups first when space runs out
+storage.removeItem(catKeys[2]);
+storage.removeItem(catKeys[3]);
+check('Evicting the oldest leaves the rest restorable', catKeys.slice(4).every(key => manager.restoreFromBackup(key) !== null));
+
+storage.removeItem(catKeys[8]);
+check('A delta without its newer backup is not restored', manager.restoreFromBackup(catKeys[7]) === null &&
+  manager.restoreFromBackup(catKeys[9]) !== null);
+
+// Backups written before deltas
+const dogPieces = ['dog-head', 'dog-body'].map(id => makePiece(id).toSafeData());
+storage.setItem('backup_dog_1000', JSON.stringify({ originalId: 'dog', timestamp: 1000, version: '7.0', data: { id: 'dog', name: 'Dog', pieces: dogPieces } }));
+check('Old full backups still restore', manager.restoreFromBackup('backup_dog_1000')?.pieces.length === 2);
+const dogKey = manager.createBackup('dog', { id: 'dog', name: 'Dog', pieces: [...dogPieces, makePiece('dog-tail').toSafeData()] });
+check('Old backups become deltas of the next one', manager.getBackups('dog')[1].kind === 'delta' &&
+  manager.restoreFromBackup('backup_dog_1000')?.pieces.length === 2 && manager.restoreFromBackup(dogKey).pieces.length === 3);
+
+manager.clearBackups('cat');
+check('Clear removes all backups', manager.getBackups('cat').length === 0);
+
+// Test 4: Restoring an assembly
+console.log('\nTEST 4: Restoring an assembly');
+console.log('-----------------------------');
+
+const fox = new Assembly('pro');
+fox.id = 'fox';
+fox.name = 'Fox';
+['head', 'body', 'tail'].forEach(id => {
+  fox.addPiece(makePiece(id, '#d2691e'));
+  fox.createBackup('auto_backup');
+});
+const points = fox.getRestorePoints();
+check('Restore points oldest first', points.length === 3 && points[0].timestamp < points[2].timestamp &&
+  points[0].ageText === 'Just now');
+check('Preview leaves the assembly alone', fox.previewBackup(points[0].key).pieces.length === 1 && fox.pieces.size === 3);
+
+fox.removePiece('tail');
+fox.updatePiece('head', { color: '#000000' });
+const result = fox.restoreBackup(points[1].key);
+check('Restore replaces the state', result.success && fox.pieces.size === 2 && fox.pieces.get('head').color === '#d2691e');
+check('Assembly keeps its identity', fox.id === 'fox' && fox.name === 'Fox' && fox.currentTier === 'pro');
+check('Current state backed up first', fox.getRestorePoints().some(p => p.reason === 'pre-restore' && p.key === result.backup) &&
+  fox.previewBackup(result.backup).pieces.length === 2 && fox.previewBackup(result.backup).pieces[0].color === '#000000');
+check('Restore can be undone', fox.restoreBackup(result.backup).success && fox.pieces.get('head').color === '#000000');
+check('Unknown backups are not restored', fox.restoreBackup('backup_fox_1').success === false && fox.pieces.size === 2);
+
+// Test 5: Restoring from the safety check
+console.log('\nTEST 5: Restoring from the safety check');
+console.log('---------------------------------------');
+
+const owl = new Assembly('pro');
+owl.id = 'owl';
+owl.name = 'Owl';
+['body', 'wing'].forEach(id => {
+  owl.addPiece(makePiece(id, '#8b4513'));
+  owl.createBackup('auto_backup');
+});
+const checked = checkRestorePoints(owl);
+check('Autosaves listed and all readable', checked.points.length === 2 && checked.unreadable.length === 0);
+check('No assembly, no autosaves', checkRestorePoints(null).points.length === 0);
+
+owl.addPiece(makePiece('beak', '#ffd700'));
+const restoredOwl = restoreAutosave(owl, checked.points[0].key);
+check('Picked autosave restored', restoredOwl.success && owl.pieces.size === 1 && restoredOwl.message.startsWith('Restored'));
+const afterRestore = checkRestorePoints(owl);
+check('Replaced version offered as an autosave', afterRestore.points.length === 3 &&
+  owl.previewBackup(afterRestore.points[2].key).pieces.length === 3);
+
+const missing = restoreAutosave(owl, 'backup_owl_1');
+check('Missing autosave reported', !missing.success && missing.reason === 'NOT_FOUND' && owl.pieces.size === 1);
+
+// Older autosaves are deltas from the newest one, so they break with it
+storage.setItem(afterRestore.points[2].key, '{broken');
+const damaged = checkRestorePoints(owl);
+check('Unreadable autosave found by the check', damaged.unreadable.includes(afterRestore.points[1].key));
+const failed = restoreAutosave(owl, afterRestore.points[1].key);
+check('Unreadable autosave not restored', !failed.success && failed.reason === 'UNREADABLE' && owl.pieces.size === 1,
+  failed.message);
+
+summary('BACKUPS');
@@ -0,0 +1,117 @@
+// src/test-c3d-container.js
+// Test suite for DEFLATE compression and the .c3d / .c3d-backup container
+
+import { deflateRaw, inflateRaw, deflate, inflate, crc32 } from './utils/deflate.js';
+import { packC3D, unpackC3D, isC3DContainer, C3D_HEADER_SIZE } from './utils/c3dContainer.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== C3D CONTAINER TEST ===\n');
+
+function errorCode(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.code || error.message;
+  }
+}
+
+const encode = text => new TextEncoder().encode(text);
+const sameBytes = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+// Test 1: DEFLATE
+console.log('TEST 1: Deflate');
+console.log('---------------');
+
+const json = JSON.stringify({
+  pieces: Array.from({ length: 40 }, (_, i) => ({
+    id: `piece-${i}`, type: 'sphere', position: { x: i, y: 0, z: 0 }, color: '#ff6b6b'
+  }))
+});
+const compressed = deflateRaw(encode(json));
+check('Round-trips text', new TextDecoder().decode(inflateRaw(compressed)) === json);
+check('Actually compresses JSON', compressed.length < json.length / 3, `${compressed.length} of ${json.length}`);
+
+const noise = Uint8Array.from({ length: 5000 }, (_, i) => (i * 2654435761) >>> 24);
+check('Round-trips incompressible data', sameBytes(inflateRaw(deflateRaw(noise)), noise));
+check('Round-trips empty input', inflateRaw(deflateRaw(new Uint8Array(0))).length === 0);
+check('Stored level round-trips', sameBytes(inflateRaw(deflateRaw(noise, 0)), noise));
+check('zlib wrapper round-trips', sameBytes(inflate(deflate(noise)), noise));
+check('CRC-32 check value', crc32(encode('123456789')) === 0xcbf43926);
+check('Truncated stream is rejected', errorCode(() => inflateRaw(compressed.subarray(0, 20))) !== null);
+
+// Test 2: Container
+console.log('\nTEST 2: Container');
+console.log('-----------------');
+
+const packed = packC3D(json, { kind: 'backup' });
+const unpacked = unpackC3D(packed);
+check('Starts with magic', isC3DContainer(packed) && String.fromCharCode(...packed.subarray(0, 4)) === 'C3DZ');
+check('Unpacks to original text', unpacked.text === json);
+check('Header records kind and version', unpacked.header.kind === 'backup' && unpacked.header.version === 1);
+check('Unicode survives', unpackC3D(packC3D('Teddy 🧸 – ½ size')).text === 'Teddy 🧸 – ½ size');
+
+check('Truncated file', errorCode(() => unpackC3D(packed.subarray(0, packed.length - 10))) === 'TRUNCATED');
+check('Truncated header', errorCode(() => unpackC3D(packed.subarray(0, 10))) === 'TRUNCATED');
+
+const tampered = packed.slice();
+tampered[C3D_HEADER_SIZE + 40] ^= 0x5a;
+const tamperedCode = errorCode(() => unpackC3D(tampered));
+check('Tampered data', tamperedCode === 'CHECKSUM_MISMATCH' || tamperedCode === 'CORRUPT', tamperedCode);
+
+const stored = packC3D('{"a":1}');
+const storedTampered = stored.slice();
+storedTampered[C3D_HEADER_SIZE + 5] = 0x32;
+check('Tampered uncompressed data', errorCode(() => unpackC3D(storedTampered)) === 'CHECKSUM_MISMATCH');
+
+const future = packed.slice();
+future[4] = 9;
+check('Newer container version', errorCode(() => unpackC3D(future)) === 'UNSUPPORTED_VERSION');
+check('Not a container', errorCode(() => unpackC3D(encode(json))) === 'NOT_C3D');
+
+// Test 3: Manager
+console.log('\nTEST 3: Export Manager');
+console.log('----------------------');
+
+const manager = new ExportImportManager();
+check('Plain alphanumeric JSON is not "compressed"', !manager.isCompressed('{"abc":123}') && !manager.isCompressed('abcd1234'));
+check('Legacy base64 still decodes', manager.decompress(btoa(encodeURIComponent(json))) === json);
+check('Plain text passes through', manager.decompress('abcd1234') === 'abcd1234');
+
+const assembly = {
+  id: 'assembly-1',
+  name: 'Bear',
+  pieces: new Map([
+    ['p1', { id: 'p1', type: 'head', color: '#ffcc00', metadata: {},
+      connectionPoints: new Map([['neck', { id: 'neck', name: 'neck', position: { x: 0, y: -1, z: 0 } }]]) }],
+    ['p2', { id: 'p2', type: 'body', color: '#ffcc00', metadata: {},
+      connectionPoints: new Map([['top', { id: 'top', name: 'top', position: { x: 0, y: 1, z: 0 } }]]) }]
+  ]),
+  connections: new Set([{ fromPiece: 'p1', fromPoint: 'neck', toPiece: 'p2', toPoint: 'top' }])
+};
+
+const project = await manager.export(assembly, 'json');
+check('Project export is a container', project.compressed && isC3DContainer(project.content));
+
+const imported = await manager.import(Object.assign(new Blob([project.content]), { name: 'bear.c3d' }));
+check('Project file imports', imported.assembly.pieces.size === 2 && imported.assembly.name === 'Bear');
+
+const backup = await manager.export(assembly, 'backup');
+check('Backup is packed once', unpackC3D(backup.content).text.startsWith('{'));
+
+const pattern = await manager.export(assembly, 'pattern');
+check('Text formats stay readable', typeof pattern.content === 'string' && !pattern.compressed);
+
+const uncompressed = await manager.export(assembly, 'json', { compress: false });
+check('Compression can be turned off', typeof uncompressed.content === 'string');
+
+let importError = null;
+try {
+  await manager.import(Object.assign(new Blob([project.content.subarray(0, 30)]), { name: 'bear.c3d' }));
+} catch (error) {
+  importError = error;
+}
+check('Truncated import explains itself', importError?.code === 'TRUNCATED' && /truncated/i.test(importError.message));
+
+summary('C3D CONTAINER');
@@ -0,0 +1,174 @@
+// src/test-checkpoints.js
+// Test suite for named checkpoints of a design
+
+import { CheckpointManager, checkpointManager } from './utils/checkpointManager.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { HistoryTimelineManager } from './utils/historyTimelineManager.js';
+import { ProjectLibrary } from './utils/projectLibrary.js';
+import { recoverySystem } from './utils/recoverySystem.js';
+import { validateProject } from './types/projectSchema.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { storage, MemoryBackend } from './utils/storageManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== CHECKPOINTS TEST ===\n');
+
+function makePiece(id, name, stitches = 6) {
+  const piece = new CrochetPiece({ id, name, type: 'body', rounds: [{ round: 1, stitches }] });
+  piece.position = { x: 0, y: 0, z: 0 };
+  piece.addConnectionPoint('top', { x: 0, y: 1, z: 0 }, ['bottom']);
+  piece.addConnectionPoint('bottom', { x: 0, y: -1, z: 0 }, ['top']);
+  return piece;
+}
+
+storage.setBackend(new MemoryBackend());
+
+const bunny = new Assembly('pro');
+bunny.id = 'bunny';
+bunny.name = 'Bunny';
+bunny.addPiece(makePiece('head', 'Head'));
+bunny.addPiece(makePiece('body', 'Body'));
+bunny.addPiece(makePiece('arm', 'Arm'));
+bunny.connect('head', 'head-bottom', 'body', 'body-top');
+bunny.connect('arm', 'arm-top', 'body', 'body-bottom');
+
+// Test 1: Creating checkpoints
+console.log('TEST 1: Creating checkpoints');
+console.log('----------------------------');
+
+const v1 = checkpointManager.create(bunny, ' v1 ', { note: 'before resizing arms' });
+check('Checkpoint created', v1.success && v1.checkpoint.name === 'v1' && v1.checkpoint.note === 'before resizing arms');
+check('Summary recorded', v1.checkpoint.pieceCount === 3 && v1.checkpoint.connectionCount === 2 && v1.checkpoint.historyLength === 5);
+check('Empty names refused', checkpointManager.create(bunny, '  ').reason === 'INVALID_NAME');
+check('Duplicate names refused', checkpointManager.create(bunny, 'V1').reason === 'DUPLICATE_NAME');
+
+bunny.updatePiece('arm', { rounds: [{ round: 1, stitches: 12 }] });
+bunny.updatePiecePosition('head', { x: 0, y: 3, z: 0 });
+const v2 = checkpointManager.create(bunny, 'v2', { note: 'bigger arms' });
+check('Checkpoints listed oldest first', checkpointManager.list('bunny').map(c => c.name).join(',') === 'v1,v2');
+check('Saved with the project', new CheckpointManager().list('bunny').length === 2 &&
+  storage.keys('checkpoint_bunny_').length === 2);
+check('Snapshot is the full assembly', checkpointManager.load('bunny', v1.checkpoint.id).pieces.length === 3 &&
+  checkpointManager.load('bunny', v1.checkpoint.id).pieces.find(p => p.id === 'arm').rounds[0].stitches === 6);
+check('Unknown checkpoints give null', checkpointManager.load('bunny', 'nope') === null && checkpointManager.get('other', v1.checkpoint.id) === null);
+
+// Test 2: Comparing
+console.log('\nTEST 2: Comparing');
+console.log('-----------------');
+
+bunny.removePiece('arm');
+const sinceV1 = checkpointManager.compare(bunny, v1.checkpoint.id);
+check('Removed pieces since the checkpoint', sinceV1.pieces.removed.map(p => p.id).join(',') === 'arm');
+check('Moved pieces since the checkpoint', sinceV1.pieces.modified.some(p => p.id === 'head' && p.changes.some(c => c.field === 'position')));
+check('Removed connections since the checkpoint', sinceV1.connections.removed.length === 1);
+
+const sinceV2 = checkpointManager.compare(bunny, v2.checkpoint.id);
+check('Each checkpoint compared on its own', !sinceV2.pieces.modified.some(p => p.id === 'head'));
+check('Same state is identical', (() => {
+  const now = checkpointManager.create(bunny, 'now');
+  const diff = checkpointManager.compare(bunny, now.checkpoint.id);
+  checkpointManager.delete('bunny', now.checkpoint.id);
+  return diff.identical;
+})());
+
+// Test 3: Restoring
+console.log('\nTEST 3: Restoring');
+console.log('-----------------');
+
+const backupsBefore = recoverySystem.backupManager.getBackups('bunny').length;
+const restored = bunny.restoreCheckpoint(v1.checkpoint.id);
+check('Restore brings the design back', restored.success && bunny.pieces.size === 3 && bunny.connections.length === 2);
+check('Restored values match the checkpoint', bunny.pieces.get('arm').rounds[0].stitches === 6 && bunny.pieces.get('head').position.y === 0);
+check('Current state backed up first', Boolean(restored.backup) &&
+  recoverySystem.backupManager.getBackups('bunny').length === backupsBefore + 1);
+check('Restore recorded in history', bunny.history[bunny.history.length - 1].action === 'recovered');
+check('Restored pieces can be joined again', bunny.disconnect(bunny.connections[1].id) &&
+  bunny.connect('arm', 'arm-top', 'body', 'body-bottom').success !== false);
+check('Checkpoints kept after a restore', checkpointManager.list('bunny').length === 2);
+check('Unknown checkpoint not restored', bunny.restoreCheckpoint('nope').success === false && bunny.pieces.size === 3);
+
+// Test 4: Rename, delete, export
+console.log('\nTEST 4: Rename, delete, export');
+console.log('------------------------------');
+
+const renamed = checkpointManager.rename('bunny', v2.checkpoint.id, 'v2 – big arms', 'arms doubled');
+check('Rename', renamed.success && checkpointManager.get('bunny', v2.checkpoint.id).name === 'v2 – big arms' &&
+  checkpointManager.get('bunny', v2.checkpoint.id).note === 'arms doubled');
+check('Rename to a taken name refused', checkpointManager.rename('bunny', v2.checkpoint.id, 'v1').reason === 'DUPLICATE_NAME');
+
+const manager = new ExportImportManager();
+const exported = await checkpointManager.export('bunny', v2.checkpoint.id, manager);
+check('Exported as a .c3d file', exported.filename === 'Bunny_v2_big_arms.c3d' && exported.compressed);
+const reimported = manager.parseJSON(manager.decompress(exported.content));
+check('Export holds the checkpoint', reimported.assembly.pieces.size === 3 &&
+  reimported.assembly.pieces.get('arm').rounds[0].stitches === 12 && reimported.assembly.id === 'bunny');
+check('Export includes the history', reimported.history.length === v2.checkpoint.historyLength);
+check('Unknown checkpoint not exported', await checkpointManager.export('bunny', 'nope', manager) === null);
+
+check('Delete', checkpointManager.delete('bunny', v1.checkpoint.id).success &&
+  checkpointManager.list('bunny').length === 1 && storage.keys('checkpoint_bunny_').length === 1);
+check('Deleting twice reported', checkpointManager.delete('bunny', v1.checkpoint.id).reason === 'NOT_FOUND');
+
+// Test 5: Timeline and library
+console.log('\nTEST 5: Timeline and library');
+console.log('----------------------------');
+
+const timeline = new HistoryTimelineManager(null);
+timeline.setCheckpoints(checkpointManager.list('bunny'));
+const markers = timeline.getPlaybackMarkers();
+check('Checkpoints shown as timeline markers', markers.length === 1 && markers[0].kind === 'checkpoint' &&
+  markers[0].label === 'v2 – big arms');
+check('Timeline data carries checkpoints', timeline.getTimelineData().checkpoints.length === 1);
+
+const library = new ProjectLibrary();
+library.save(bunny);
+library.delete('bunny');
+check('Deleting the project deletes its checkpoints', checkpointManager.list('bunny').length === 0 &&
+  storage.keys('checkpoint_bunny_').length === 0);
+
+// Test 6: Checkpoints in project files and copies
+console.log('\nTEST 6: Checkpoints in project files and copies');
+console.log('-----------------------------------------------');
+
+const bear = new Assembly('pro');
+bear.id = 'bear';
+bear.name = 'Bear';
+bear.addPiece(makePiece('head', 'Head'));
+bear.addPiece(makePiece('body', 'Body'));
+const bearV1 = checkpointManager.create(bear, 'v1', { note: 'two pieces' });
+bear.addPiece(makePiece('ear', 'Ear'));
+checkpointManager.create(bear, 'v2');
+
+const carried = checkpointManager.exportAll('bear');
+check('Every checkpoint listed with its snapshot', carried.map(c => c.name).join(',') === 'v1,v2' &&
+  carried[0].assembly.pieces.length === 2 && carried[1].assembly.pieces.length === 3);
+
+const projectFile = await manager.export(bear, 'json', { includeHistory: true, checkpoints: carried, compress: false });
+const written = JSON.parse(projectFile.content);
+check('Project file holds the checkpoints', written.checkpoints.length === 2 && written.checkpoints[0].note === 'two pieces');
+check('Project file with checkpoints is valid', validateProject(written).valid);
+check('Checkpoint without a snapshot rejected',
+  !validateProject({ ...written, checkpoints: [{ id: 'cp-1', name: 'v1', createdAt: 1 }] }).valid);
+
+checkpointManager.deleteAll('bear');
+const reopened = manager.parseJSON(projectFile.content);
+check('Import returns the checkpoints', reopened.checkpoints.length === 2);
+const reimportedAll = checkpointManager.importAll(reopened.assembly.id, reopened.checkpoints);
+check('Checkpoints restored on import', reimportedAll.success && reimportedAll.imported === 2 &&
+  checkpointManager.list('bear').map(c => c.name).join(',') === 'v1,v2');
+check('Restored snapshot matches the original', checkpointManager.load('bear', bearV1.checkpoint.id).pieces.length === 2 &&
+  checkpointManager.get('bear', bearV1.checkpoint.id).note === 'two pieces');
+check('Importing again skips what is there', checkpointManager.importAll('bear', reopened.checkpoints).skipped === 2 &&
+  checkpointManager.list('bear').length === 2);
+check('Files without checkpoints import none', manager.parseJSON(JSON.stringify({ ...written, checkpoints: undefined })).checkpoints.length === 0);
+
+library.save(bear);
+const bearCopy = library.duplicate('bear');
+check('Duplicate copies the checkpoints', bearCopy.success &&
+  checkpointManager.list(bearCopy.project.id).map(c => c.name).join(',') === 'v1,v2' &&
+  checkpointManager.load(bearCopy.project.id, bearV1.checkpoint.id).pieces.length === 2);
+library.delete('bear');
+check('Copy keeps its checkpoints when the original goes', checkpointManager.list('bear').length === 0 &&
+  checkpointManager.list(bearCopy.project.id).length === 2);
+
+summary('CHECKPOINTS');
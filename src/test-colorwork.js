@@ -0,0 +1,151 @@
+// src/test-colorwork.js
+// Test suite for stripes and colourwork across parser, model, mesh, chart and yarn estimate
+
+import { parsePatternDocument } from './lib/patternParser.js';
+import { readPaletteEntry, resolveYarnColor } from './lib/yarnColors.js';
+import { importPatternDocument } from './lib/patternImporter.js';
+import { CrochetPattern } from './types/patternModel.js';
+import { PieceFactory } from './models/pieceFactory.js';
+import { buildExportMeshes, meshesToGLB, meshesToOBJ } from './utils/meshExporter.js';
+import { renderSymbolChart } from './utils/symbolChart.js';
+import { YarnCalculator } from './utils/yarnCalculator.js';
+import { InstructionsGenerator } from './utils/instructionsGenerator.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { normalizeAssembly } from './utils/projectMigrations.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== COLORWORK TEST ===\n');
+
+const colorsOf = round => round.stitchList.filter(op => op.produces > 0).map(op => op.color || '-').join(',');
+
+const striped = `Color A: white
+Color B - pink (#f4a0b0)
+Rnd 1: 6 sc in MR (6)
+Rnd 2: inc x6 (12)
+Change to B.
+Rnd 3: sc around (12)
+Rnd 4 (A): sc around (12)
+Rnd 5: [sc in B, sc A] x6 (12)
+Rnd 6: sc around, change to C in last st (12)
+Rnd 7: dec x6 (6)`;
+
+// Test 1: Pattern grammar
+console.log('TEST 1: Pattern grammar');
+console.log('-----------------------');
+
+const parsed = parsePatternDocument(striped);
+const [p1, , p3, p4, p5, p6, p7] = parsed.rounds;
+check('Palette lines read', parsed.palette.A === '#ffffff' && parsed.palette.B === '#f4a0b0', JSON.stringify(parsed.palette));
+check('"MC: pink" is a palette line', parsePatternDocument('MC: pink\nRnd 1: 6 sc in MR').palette.MC === '#f48fb1');
+check('No diagnostics', parsed.diagnostics.length === 0, parsed.diagnostics.map(d => d.message).join('; '));
+check('"MR" rounds stay uncoloured', p1.stitchList[0].into === 'ring' && p1.color === null);
+check('Colour change carries into the next round', p3.color === 'B');
+check('"Rnd 4 (A):" labels the round colour', p4.color === 'A' && p4.stitches === 12);
+check('Per-stitch colours in a tapestry round', p5.color === null && colorsOf(p5).startsWith('B,A,B,A'), colorsOf(p5));
+check('Change at the end of a round', p6.color === 'A' && p7.color === 'C');
+check('"in white" names a yarn, not a target', colorsOf(parsePatternDocument('Rnd 1: 6 sc in MR\nRnd 2: sc in white around').rounds[1]).split(',')[0] === 'white');
+check('Palette entry forms', readPaletteEntry('Yarn MC - worsted light pink')?.color === '#f48fb1' &&
+  readPaletteEntry('White (B)')?.key === 'B' && readPaletteEntry('A white bow on top') === null);
+check('Undefined keys get a contrast colour', resolveYarnColor('C') === '#333333' && resolveYarnColor('MC', {}, '#123456') === '#123456');
+
+// Test 2: Pattern model
+console.log('\nTEST 2: Pattern model');
+console.log('---------------------');
+
+const pattern = CrochetPattern.fromText(striped);
+const usage = pattern.getColorUsage();
+check('Colour usage in order of first use', usage.map(u => u.color ?? '-').join(',') === '-,B,A,C', usage.map(u => u.color).join(','));
+check('Usage counts stitches', usage.reduce((sum, u) => sum + u.stitches, 0) === pattern.getTotalStitches());
+check('Detects colour changes', pattern.hasColorChanges() && !CrochetPattern.fromText('Rnd 1: 6 sc in MR\nRnd 2: inc x6').hasColorChanges());
+check('Resolves against the palette', pattern.resolveColor('B') === '#f4a0b0' && pattern.resolveColor(null, '#ff0000') === '#ff0000');
+const restored = CrochetPattern.from(JSON.parse(JSON.stringify(pattern.toSafeData())));
+check('Safe data keeps colours and palette', restored.rounds[4].stitches[0].color === 'B' && restored.palette.B === '#f4a0b0');
+const legacy = CrochetPattern.from(pattern.toLegacyRounds());
+check('Legacy rounds keep stripes', legacy.rounds.map(r => r.color ?? '-').join(',') === pattern.rounds.map(r => r.color ?? '-').join(','),
+  legacy.rounds.map(r => r.color).join(','));
+
+// Test 3: Mesh colours
+console.log('\nTEST 3: Mesh colours');
+console.log('--------------------');
+
+const factory = new PieceFactory();
+const stripes = 'Rnd 1: 6 sc in MR (6)\nRnd 2: inc x6 (12)\nRnd 3: sc around (12)\nChange to B.\nRnd 4: sc around (12)\nRnd 5: sc around (12)';
+const body = factory.createBodyFromPattern(stripes, '#ff0000', { B: '#0000ff' });
+const colorAttribute = body.geometry.attributes.color;
+check('Striped piece gets vertex colours', Boolean(colorAttribute) && body.material.vertexColors === true);
+const faceColor = face => [colorAttribute.getX(face * 3), colorAttribute.getY(face * 3), colorAttribute.getZ(face * 3)].join(',');
+check('Bands follow the rounds', faceColor(0) === '1,0,0' && faceColor(2 * 4 - 1) === '0,0,1', `${faceColor(0)} / ${faceColor(7)}`);
+check('Plain piece keeps one material colour', !factory.createBodyFromPattern('Rnd 1: 6 sc in MR\nRnd 2: inc x6').geometry.attributes.color);
+const tapestry = factory.createRevolvedGeometry('Rnd 1: 6 sc in MR\nRnd 2: inc x6\nRnd 3: [sc B, sc] x6', 8, { color: '#ffffff' });
+check('Tapestry rounds get a segment per stitch', tapestry.attributes.position.count / 3 === 2 * 12 * 3, String(tapestry.attributes.position.count / 3));
+
+const assembly = new Assembly('pro');
+const piece = new CrochetPiece({ id: 'stripy', type: 'body', color: '#ff0000', rounds: parsePatternDocument(stripes).rounds, palette: { B: '#0000ff' } });
+assembly.pieces.set(piece.id, piece);
+const meshes = buildExportMeshes(assembly);
+check('Export meshes carry vertex colours', meshes[0].colors?.length === meshes[0].positions.length);
+const glb = meshesToGLB(meshes);
+const json = JSON.parse(new TextDecoder().decode(glb.subarray(20, 20 + new DataView(glb.buffer).getUint32(12, true))));
+check('glTF COLOR_0 with a white base', json.meshes[0].primitives[0].attributes.COLOR_0 !== undefined &&
+  json.materials[0].pbrMetallicRoughness.baseColorFactor.slice(0, 3).join(',') === '1,1,1');
+const objColors = new Set(meshesToOBJ(meshes).obj.split('\n').filter(l => l.startsWith('v ')).map(l => l.split(' ').slice(4).join(' ')));
+check('OBJ vertex colours per stripe', objColors.has('1 0 0') && objColors.has('0 0 1'), [...objColors].join(' | '));
+check('Palette survives normalizing', normalizeAssembly(assembly).pieces[0].palette.B === '#0000ff');
+
+// Test 4: Symbol chart
+console.log('\nTEST 4: Symbol chart');
+console.log('--------------------');
+
+const chart = renderSymbolChart(striped, { baseColor: '#336699' });
+check('Stitches sit on yarn dots', (chart.svg.match(/<circle class="yarn"/g) || []).length === pattern.getTotalStitches());
+check('Legend lists each yarn', /Color B \(#f4a0b0\)/.test(chart.svg) && /Main color \(#336699\)/.test(chart.svg) && /Color C/.test(chart.svg));
+const single = renderSymbolChart(striped, { fromRound: 3, toRound: 3 });
+check('Single-yarn range has no yarn legend', !/class="yarn"/.test(single.svg));
+check('"yarn" colouring strokes in the yarn', /stroke="#f4a0b0"/.test(renderSymbolChart(striped, { colorBy: 'yarn' }).svg));
+
+// Test 5: Yarn estimate
+console.log('\nTEST 5: Yarn estimate');
+console.log('---------------------');
+
+const calculator = new YarnCalculator();
+const requirement = calculator.calculateYarnRequirement(striped, { baseColor: '#336699' });
+const plainTotal = calculator.calculateYarnRequirement(pattern.toStitchTokens());
+check('One entry per colour', requirement.colors.map(c => c.color ?? '-').join(',') === '-,B,A,C');
+check('Colours add up to the total', Math.abs(requirement.colors.reduce((sum, c) => sum + c.consumption.centimeters, 0) - requirement.consumption.centimeters) <= 4);
+check('Total unchanged by colours', requirement.consumption.centimeters === plainTotal.consumption.centimeters);
+check('Skeins bought per colour', requirement.skeins.recommended === 5 && requirement.colors[0].skeins.recommended === 2,
+  String(requirement.skeins.recommended));
+check('Colour hex resolved', requirement.colors[1].hex === '#f4a0b0' && requirement.colors[0].hex === '#336699');
+const cost = calculator.calculateProjectCost(requirement);
+const list = calculator.generateShoppingList({ yarnRequirement: requirement, cost });
+check('Shopping list line per colour', list.yarn.length === 4 && list.yarn[1].item.endsWith('Color B') && list.yarn[1].color === '#f4a0b0');
+check('Single-colour list unchanged', calculator.generateShoppingList({ yarnRequirement: plainTotal, cost }).yarn.length === 1);
+
+// Test 6: Instructions and import
+console.log('\nTEST 6: Instructions and import');
+console.log('-------------------------------');
+
+const generator = new InstructionsGenerator();
+const plain = new Assembly('pro');
+plain.pieces.set('a', new CrochetPiece({ id: 'a', color: '#ff0000', rounds: parsePatternDocument('Rnd 1: 6 sc in MR\nRnd 2: inc x6').rounds }));
+plain.pieces.set('b', new CrochetPiece({ id: 'b', color: '#00ff00', rounds: parsePatternDocument('Rnd 1: 6 sc in MR').rounds }));
+check('Differently coloured pieces are not colour changes', !generator.hasColorChanges(plain));
+check('Stripes within a piece are', generator.hasColorChanges(assembly));
+const materials = generator.analyzeMaterials(assembly);
+check('Materials list each yarn', materials.yarn.map(y => y.color).join(',') === '#ff0000,#0000ff', materials.yarn.map(y => y.color).join(','));
+
+const imported = importPatternDocument(`STRIPED BALL
+
+MATERIALS
+- Color A: white
+- Color B: navy
+
+BALL
+Rnd 1: 6 sc in MR (6)
+Rnd 2: inc x6 (12)
+Change to B.
+Rnd 3: sc around (12)`);
+check('Materials define the palette', imported.palette.B === '#1a237e' && imported.pieces[0].palette.A === '#ffffff');
+check('Colour change lines reach the rounds', imported.pieces[0].rounds[2].color === 'B' && imported.pieces[0].notes.length === 1);
+
+summary('COLORWORK');
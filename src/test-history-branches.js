@@ -0,0 +1,122 @@
+// src/test-history-branches.js
+// Test suite for the branching undo history and its timeline
+
+import { UndoRedoSystem, HISTORY_ROOT } from './utils/undoRedoSystem.js';
+import { snapshotPiece } from './utils/assemblyCommands.js';
+import { HistoryTimelineManager } from './utils/historyTimelineManager.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== HISTORY BRANCHES TEST ===\n');
+
+const assembly = new Assembly('pro');
+const system = new UndoRedoSystem(50, { assembly });
+const piece = new CrochetPiece({ id: 'head', name: 'Head', type: 'head', color: '#ff0000' });
+piece.position = { x: 0, y: 0, z: 0 };
+const headX = () => assembly.pieces.get('head')?.position.x;
+const move = x => system.execute({ type: 'move_piece', pieceId: 'head', to: { x, y: 0, z: 0 } }).id;
+
+// Test 1: Branching instead of truncating
+console.log('TEST 1: Branching instead of truncating');
+console.log('---------------------------------------');
+
+const added = system.execute({ type: 'add_piece', piece: snapshotPiece(piece) }).id;
+const first = move(1);
+const firstNext = move(2);
+system.undo();
+system.undo();
+const second = move(10);
+check('New action after undo keeps the old redo path', system.nodes.has(first) && system.nodes.has(firstNext));
+check('Active branch is the new one', system.history.map(a => a.id).join(',') === [added, second].join(','));
+check('Redo stack follows the new branch', !system.canRedo() && system.canUndo());
+const branches = system.getBranches();
+check('Two branches', branches.length === 2 && branches.find(b => b.isCurrent).forkId === added,
+  branches.map(b => `${b.id}:${b.length}`).join(','));
+check('State says which branch', system.getState().currentBranchId === branches.find(b => b.isCurrent).id &&
+  system.getState().branchCount === 2);
+
+// Test 2: Jumping across branches
+console.log('\nTEST 2: Jumping across branches');
+console.log('-------------------------------');
+
+check('Jump to a node in another branch', system.jumpTo(firstNext).success && headX() === 2);
+check('That branch becomes active', system.history.map(a => a.id).join(',') === [added, first, firstNext].join(',') &&
+  system.currentIndex === 2);
+check('Undo walks back along it', system.undo().success && headX() === 1);
+const main = system.getBranches().find(b => b.id === 'main');
+const other = system.getBranches().find(b => b.id !== 'main');
+check('Switch branch goes to its tip', system.switchBranch(other.id).success && headX() === 10 && system.currentId === second);
+check('Switch back', system.switchBranch(main.id).success && headX() === 2 && system.currentId === main.tipId);
+check('Jump by index stays on the active branch', system.jumpTo(1).success && headX() === 1);
+check('Jump to the start', system.jumpTo(HISTORY_ROOT).success && assembly.pieces.size === 0 && !system.canUndo());
+check('Redo from the start follows the last used branch', system.redo().success && system.redo().success && headX() === 1);
+check('Unknown targets refused', !system.jumpTo('nope').success && !system.switchBranch('nope').success);
+
+// A fork off a fork
+system.jumpTo(first);
+const third = move(5);
+const tree = system.getTree();
+check('Tree lists every action once', tree.nodes.length === 5 && new Set(tree.nodes.map(n => n.id)).size === 5);
+check('Depths follow the parents', tree.nodes.find(n => n.id === third).depth === 2 &&
+  tree.nodes.find(n => n.id === second).depth === 1);
+check('Three branches', system.getBranches().length === 3);
+
+// Test 3: Limits and saving
+console.log('\nTEST 3: Limits and saving');
+console.log('-------------------------');
+
+const small = new UndoRedoSystem(4, { assembly: new Assembly('pro') });
+small.execute({ type: 'add_piece', piece: snapshotPiece(piece) });
+const keep = small.execute({ type: 'move_piece', pieceId: 'head', to: { x: 1, y: 0, z: 0 } }).id;
+small.undo();
+small.execute({ type: 'move_piece', pieceId: 'head', to: { x: 2, y: 0, z: 0 } });
+small.execute({ type: 'move_piece', pieceId: 'head', to: { x: 3, y: 0, z: 0 } });
+small.execute({ type: 'move_piece', pieceId: 'head', to: { x: 4, y: 0, z: 0 } });
+check('Old branches pruned before the active one', small.nodes.size === 4 && !small.nodes.has(keep) &&
+  small.history.length === 4, String(small.nodes.size));
+small.execute({ type: 'move_piece', pieceId: 'head', to: { x: 5, y: 0, z: 0 } });
+check('Then the oldest action on the active branch', small.history.length === 4 && small.history[0].type === 'move_piece');
+check('Empty branches dropped', small.getBranches().length === 1);
+
+system.jumpTo(second);
+const saved = JSON.parse(JSON.stringify(system.toJSON()));
+check('Saved with every branch', saved.entries.length === 5 && saved.currentId === second && saved.branches.length === 3);
+const reloaded = new UndoRedoSystem(50, { assembly });
+check('Restored tree', reloaded.restore(saved).success && reloaded.currentId === second &&
+  reloaded.getBranches().length === 3 && reloaded.history.length === 2);
+check('Other branches reachable after reload', reloaded.jumpTo(third).success && headX() === 5);
+reloaded.undo();
+const forked = reloaded.execute({ type: 'move_piece', pieceId: 'head', to: { x: 6, y: 0, z: 0 } });
+check('New branch ids do not clash after reload', forked.success && reloaded.getBranches().length === 4 &&
+  !saved.branches.some(b => b.id === reloaded.getState().currentBranchId));
+
+const linear = {
+  version: '2.0',
+  currentIndex: 0,
+  entries: saved.entries.slice(0, 2).map(({ id, type, description, timestamp, command }) => ({ id, type, description, timestamp, command }))
+};
+const old = new UndoRedoSystem(50, { assembly: new Assembly('pro') });
+check('Linear 2.0 stacks still load', old.restore(linear).success && old.history.length === 2 && old.currentIndex === 0);
+check('Broken trees refused', !old.restore({ ...saved, entries: saved.entries.slice(1) }).success);
+
+// Test 4: Timeline
+console.log('\nTEST 4: Timeline');
+console.log('----------------');
+
+const timeline = new HistoryTimelineManager(system);
+const data = timeline.getTimelineData();
+check('Timeline lists the branches', data.branches.length >= 3 && data.currentBranchId === system.getState().currentBranchId);
+check('Graph has a lane per branch', data.graph.lanes === data.branches.length &&
+  data.graph.nodes.length === system.nodes.size && data.graph.edges.length === system.nodes.size);
+check('Fork edges change lane', data.graph.edges.some(edge => edge.fromLane !== edge.toLane));
+let updates = 0;
+timeline.setCallbacks({ onTimelineUpdate: () => updates++ });
+const target = system.getBranches().find(b => !b.isCurrent);
+check('Timeline switches branches', timeline.switchBranch(target.id).success &&
+  timeline.getTimelineData().currentBranchId === target.id && updates > 0);
+check('Timeline entries follow the active branch', timeline.timeline.map(e => e.id).join(',') === system.history.map(a => a.id).join(','));
+check('Timeline jumps to any node', timeline.jumpToNode(second).success && headX() === 10);
+check('Branches can be renamed', timeline.renameBranch(target.id, 'Long ears') &&
+  timeline.getTimelineData().branches.find(b => b.id === target.id).name === 'Long ears');
+
+summary('HISTORY BRANCHES');
@@ -0,0 +1,135 @@
+// src/test-history-replay.js
+// Test suite for replaying Assembly.history to rebuild projects during recovery
+
+import { replayHistory } from './utils/historyReplay.js';
+import { RecoverySystem } from './utils/recoverySystem.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { storage } from './utils/storageManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== HISTORY REPLAY TEST ===\n');
+
+function makePiece(id) {
+  const piece = new CrochetPiece({ id, name: id, type: 'body', color: '#a0522d', rounds: [{ round: 1, stitches: 6 }] });
+  piece.position = { x: 0, y: 0, z: 0 };
+  piece.addConnectionPoint('top', { x: 0, y: 1, z: 0 }, ['bottom']);
+  piece.addConnectionPoint('bottom', { x: 0, y: -1, z: 0 }, ['top']);
+  return piece;
+}
+
+const describeAssembly = data => JSON.stringify({
+  pieces: data.pieces.map(p => [p.id, p.color, p.position?.x ?? 0, p.position?.y ?? 0,
+    p.connectionPoints.map(point => `${point.id}:${point.isOccupied ? point.connectedTo : '-'}`)]).sort(),
+  connections: data.connections.map(c => `${c.id}=${c.point1Id}>${c.point2Id}`).sort(),
+  locked: [...data.locked].sort()
+});
+
+// Build some work the normal way
+const assembly = new Assembly('pro');
+['head', 'body', 'arm', 'tail'].forEach(id => assembly.addPiece(makePiece(id)));
+assembly.connect('head', 'head-bottom', 'body', 'body-top');
+const armConnection = assembly.connect('arm', 'arm-top', 'body', 'body-bottom').connection;
+assembly.updatePiecePosition('head', { x: 0, y: 3, z: 0 });
+assembly.updatePiece('body', { color: '#ffffff' });
+assembly.disconnect(armConnection.id);
+assembly.removePiece('tail');
+assembly.lockPiece('head');
+const live = {
+  pieces: [...assembly.pieces.values()],
+  connections: assembly.connections,
+  locked: assembly.locked
+};
+
+// Test 1: Replay
+console.log('TEST 1: Replay');
+console.log('--------------');
+
+// Live actions can share a millisecond, so the copy gets fixed, strictly
+// increasing timestamps for the cut-off below
+const history = JSON.parse(JSON.stringify(assembly.history))
+  .map((entry, index) => ({ ...entry, timestamp: 1000 + index * 10 }));
+const replay = replayHistory(history);
+check('Replay reproduces the assembly', describeAssembly(replay) === describeAssembly(live), `${describeAssembly(replay)}\n    ${describeAssembly(live)}`);
+check('Every action applied', replay.applied === history.length && replay.skipped.length === 0,
+  JSON.stringify(replay.skipped));
+check('Pieces keep their patterns', replay.pieces.find(p => p.id === 'body').rounds[0].stitches === 6);
+check('Replay is deterministic', JSON.stringify(replayHistory(history)) === JSON.stringify(replay));
+const before = JSON.stringify(history);
+replayHistory(history);
+check('History untouched', JSON.stringify(history) === before);
+
+const early = replayHistory(history, { until: history[4].timestamp });
+check('Replay up to a point in time', early.applied === 5 && early.pieces.length === 4 &&
+  early.connections.length === 1, `${early.applied} applied, ${early.pieces.length} pieces`);
+const beforeRemove = replayHistory(history, { until: history[history.length - 3].timestamp });
+check('Cut-off before a removal keeps the piece', beforeRemove.pieces.some(p => p.id === 'tail') &&
+  beforeRemove.applied === history.length - 2);
+
+// Test 2: Actions that no longer apply
+console.log('\nTEST 2: Actions that no longer apply');
+console.log('------------------------------------');
+
+const broken = [
+  { action: 'add_piece', pieceId: 'a', timestamp: 1 },
+  { action: 'move', pieceId: 'ghost', newPosition: { x: 1, y: 0, z: 0 }, timestamp: 2 },
+  { action: 'add_piece', pieceId: 'a', timestamp: 3 },
+  { action: 'connect', data: { piece1Id: 'a', point1Id: 'a-top', piece2Id: 'b', point2Id: 'b-bottom' }, timestamp: 4 },
+  { action: 'teleport', pieceId: 'a', timestamp: 5 },
+  { action: 'backup_created', timestamp: 6 },
+  null,
+  { action: 'move', pieceId: 'a', newPosition: { x: 2, y: 0, z: 0 }, timestamp: 7 }
+];
+const partial = replayHistory(broken);
+check('Applicable actions still applied', partial.applied === 2 && partial.pieces[0].position.x === 2);
+check('Skipped actions reported with reasons', partial.skipped.map(s => s.index).join(',') === '1,2,3,4,6' &&
+  /ghost not found/.test(partial.skipped[0].reason) && /already exists/.test(partial.skipped[1].reason),
+  JSON.stringify(partial.skipped));
+check('Bookkeeping entries ignored quietly', !partial.skipped.some(s => s.action === 'backup_created'));
+check('Pieces without data become placeholders', partial.placeholders.join(',') === 'a' && partial.pieces[0].recovered === true);
+
+// Older histories: add entries without a snapshot take piece data from a salvaged copy
+const legacy = [
+  { action: 'add_piece', pieceId: 'head', timestamp: 1 },
+  { action: 'add_piece', pieceId: 'body', timestamp: 2 },
+  { action: 'connect', data: { piece1Id: 'head', point1Id: 'head-bottom', piece2Id: 'body', point2Id: 'body-top' }, timestamp: 3 },
+  { action: 'connect', data: { piece1Id: 'head', point1Id: 'head-bottom', piece2Id: 'body', point2Id: 'body-top' }, timestamp: 4 }
+];
+const salvaged = replayHistory(legacy, { knownPieces: [makePiece('head'), makePiece('body')].map(p => p.toSafeData()) });
+check('Known pieces fill in old add entries', salvaged.placeholders.length === 0 && salvaged.pieces[0].connectionPoints.length === 2);
+check('Old connections get stable ids', salvaged.connections[0].id === 'conn-replay-2');
+check('Connecting a used point is skipped', salvaged.skipped.length === 1 && /in use/.test(salvaged.skipped[0].reason));
+
+// Test 3: Recovery
+console.log('\nTEST 3: Recovery');
+console.log('----------------');
+
+const recovery = new RecoverySystem();
+const rebuilt = recovery.rebuildFromHistory(history, 'assembly-1', { name: 'Bear' });
+check('Rebuild returns replayed data', rebuilt.name === 'Bear' && rebuilt.pieces.length === 3 && rebuilt.connections.length === 1 &&
+  rebuilt.replay.applied === history.length);
+check('Nothing to replay gives no rebuild', recovery.rebuildFromHistory([{ action: 'teleport' }], 'assembly-1') === null);
+
+const restored = Assembly.fromRecoveredData(rebuilt);
+check('Recovered assembly keeps positions', restored.pieces.get('head').position.y === 3 && restored.locked.has('head'));
+check('Recovered assembly keeps connections', restored.connections.length === 1 &&
+  restored.pieces.get('body').connectionPoints[0].connectedTo === 'head-bottom');
+
+// A save whose pieces were lost but whose history survived
+storage.setItem('assembly_bear-1', JSON.stringify({ id: 'bear-1', name: 'Bear', pieces: 'corrupted', history }));
+const result = await recovery.recoverAssembly('bear-1', { skipOriginal: true });
+check('Recovery chain uses the history', result.success && result.data.recoveryInfo.finalStrategy === 'history_rebuild' &&
+  result.data.pieces.length === 3, result.message);
+check('Stored history keeps what replay needs', result.data.replay.placeholders.length === 0 &&
+  describeAssembly(result.data) === describeAssembly(live), describeAssembly(result.data));
+check('Skipped actions surfaced', Array.isArray(result.data.recoveryInfo.skippedActions));
+
+storage.setItem('assembly_bear-2', JSON.stringify({
+  id: 'bear-2',
+  pieces: [{ id: 'head' }],
+  connections: [{ piece1Id: 'head', piece2Id: 'gone' }, { piece1Id: 'head', piece2Id: 'head' }],
+  history: 'corrupted'
+}));
+const salvage = recovery.tryPartialRestore('bear-2');
+check('Partial restore drops dangling connections', salvage.connections.length === 1);
+
+summary('HISTORY REPLAY');
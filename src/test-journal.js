@@ -0,0 +1,265 @@
+// src/test-journal.js
+// Test suite for the write-ahead save journal and replay after a crash
+
+import {
+  SaveJournal,
+  journalKeys,
+  readJournal,
+  journaledAssemblyIds,
+  findUncleanJournal,
+  replayJournal,
+  discardJournal
+} from './utils/saveJournal.js';
+import { recoverySystem } from './utils/recoverySystem.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { storage, MemoryBackend } from './utils/storageManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== SAVE JOURNAL TEST ===\n');
+
+function makePiece(id) {
+  const piece = new CrochetPiece({ id, name: id, type: 'body', rounds: [{ round: 1, stitches: 6 }] });
+  piece.position = { x: 0, y: 0, z: 0 };
+  piece.addConnectionPoint('top', { x: 0, y: 1, z: 0 }, ['bottom']);
+  piece.addConnectionPoint('bottom', { x: 0, y: -1, z: 0 }, ['top']);
+  return piece;
+}
+
+function makeAssembly(id, pieceIds) {
+  const assembly = new Assembly('pro');
+  assembly.id = id;
+  assembly.name = id;
+  pieceIds.forEach(pieceId => assembly.addPiece(makePiece(`${id}-${pieceId}`)));
+  return assembly;
+}
+
+// A page that crashed: its session id differs from this page's
+const CRASHED = { sessionId: 'crashed-session' };
+
+storage.setBackend(new MemoryBackend());
+
+// Test 1: Writing entries
+console.log('TEST 1: Writing entries');
+console.log('-----------------------');
+
+const bear = makeAssembly('bear', ['head', 'body']);
+bear.save();
+const journal = bear.startJournal({ ...CRASHED, compactEvery: 5 });
+const keys = journalKeys('bear');
+
+check('Starting writes a snapshot and an open session', JSON.parse(storage.getItem(keys.snapshot)).state.pieces.length === 2 &&
+  JSON.parse(storage.getItem(keys.session)).clean === false);
+check('Nothing unsaved yet', journal.unsavedChanges === 0 && findUncleanJournal('bear') === null);
+check('Starting twice keeps the same journal', bear.startJournal() === journal);
+
+bear.addPiece(makePiece('bear-arm'));
+bear.connect('bear-arm', 'bear-arm-top', 'bear-body', 'bear-body-bottom');
+check('Each change written under its own key', storage.keys(keys.entryPrefix).length === 2);
+check('Entries keep the history entry', readJournal('bear').entries.map(r => r.entry.action).join(',') === 'add_piece,connect');
+check('History still recorded', bear.history.length === 4);
+check('Unsaved changes counted', journal.unsavedChanges === 2);
+
+const offer = findUncleanJournal('bear');
+check('Unclean journal found from another page', offer?.unsavedChanges === 2 && offer.startedAt > 0 && offer.lastChange > 0);
+check('Own session not treated as a crash', findUncleanJournal('bear', CRASHED) === null);
+
+// Test 2: Compaction
+console.log('\nTEST 2: Compaction');
+console.log('------------------');
+
+bear.updatePiecePosition('bear-arm', { x: 1, y: 2, z: 3 });
+bear.lockPiece('bear-head');
+bear.updatePiece('bear-arm', { name: 'Left Arm' });
+const snapshot = JSON.parse(storage.getItem(keys.snapshot));
+check('Entries folded into a snapshot after compactEvery', storage.keys(keys.entryPrefix).length === 0 && snapshot.seq === 5);
+check('Snapshot holds the current state', snapshot.state.pieces.length === 3 && snapshot.state.connections.length === 1 &&
+  snapshot.state.locked.includes('bear-head'));
+check('Compaction keeps the unsaved count', findUncleanJournal('bear')?.unsavedChanges === 5);
+
+bear.addPiece(makePiece('bear-leg'));
+check('Entries continue after the snapshot', readJournal('bear').entries.map(r => r.seq).join(',') === '6');
+
+const saved = bear.save();
+check('Saving compacts and marks everything saved', saved.success && journal.unsavedChanges === 0 &&
+  storage.keys(keys.entryPrefix).length === 0 && JSON.parse(storage.getItem(keys.snapshot)).savedSeq === 6);
+check('Nothing offered after a save', findUncleanJournal('bear') === null);
+
+// Test 3: Replay after a crash
+console.log('\nTEST 3: Replay after a crash');
+console.log('----------------------------');
+
+bear.addPiece(makePiece('bear-tail'));
+bear.connect('bear-tail', 'bear-tail-top', 'bear-leg', 'bear-leg-bottom');
+bear.updatePiecePosition('bear-tail', { x: 0, y: -4, z: 1 });
+// The tab dies here: no close(), no save
+
+const loaded = await Assembly.load('bear');
+check('Load opens the last save', loaded.pieces.size === 4 && !loaded.pieces.has('bear-tail'));
+check('Load offers the journal', loaded.pendingJournal?.unsavedChanges === 3);
+
+const replayed = await Assembly.load('bear', { replayJournal: true });
+check('Replay restores unsaved pieces', replayed.pieces.size === 5 && replayed.pieces.has('bear-tail'));
+check('Replay restores connections and positions', replayed.connections.length === 2 &&
+  replayed.pieces.get('bear-tail').position.y === -4);
+check('Replay keeps earlier work', replayed.pieces.get('bear-arm').name === 'Left Arm' && replayed.locked.has('bear-head'));
+check('Replay marked as journal recovery', replayed.isRecovered && replayed.recoveryInfo.finalStrategy === 'journal_replay');
+
+const recovery = await recoverySystem.recoverAssembly('bear');
+check('Recovery uses the journal only when asked', recovery.success && recovery.attempts[0].strategy === 'ORIGINAL');
+
+// Starting the replayed copy unsaved keeps the changes on offer
+replayed.startJournal({ sessionId: 'second-session', saved: false });
+check('Replayed changes stay unsaved', findUncleanJournal('bear')?.unsavedChanges === 3 &&
+  readJournal('bear').snapshot.state.pieces.length === 5);
+replayed.stopJournal();
+check('Closing cleanly ends the offer', findUncleanJournal('bear') === null &&
+  JSON.parse(storage.getItem(keys.session)).clean === true);
+
+// Test 4: Damaged and interrupted journals
+console.log('\nTEST 4: Damaged and interrupted journals');
+console.log('----------------------------------------');
+
+const owl = makeAssembly('owl', ['body']);
+owl.save();
+const owlJournal = owl.startJournal(CRASHED);
+const owlKeys = journalKeys('owl');
+owl.addPiece(makePiece('owl-wing'));
+owl.addPiece(makePiece('owl-beak'));
+
+// A compaction cut short leaves entries the snapshot already covers
+storage.setItem(owlKeys.entry(0), JSON.stringify({ seq: 0, timestamp: 1, entry: { action: 'add_piece', pieceId: 'owl-ghost' } }));
+storage.setItem(owlKeys.entry(9), '{"seq": 9, "entr');
+const owlRead = readJournal('owl');
+check('Covered and half-written entries ignored', owlRead.entries.map(r => r.seq).join(',') === '1,2');
+
+const owlData = replayJournal(findUncleanJournal('owl'));
+check('Replay applies the entries on the snapshot', owlData.pieces.length === 3 && owlData.replay.applied === 2 &&
+  owlData.replay.skipped.length === 0);
+
+// A full disk: the failed entry is folded into a snapshot instead
+const realSetItem = storage.setItem.bind(storage);
+storage.setItem = (key, value) => (key.includes('_entry_')
+  ? { success: false, code: 'STORAGE_QUOTA_EXCEEDED', message: 'Storage is full' }
+  : realSetItem(key, value));
+owl.addPiece(makePiece('owl-foot'));
+storage.setItem = realSetItem;
+check('Failed write compacts instead', owlJournal.lastError === null &&
+  readJournal('owl').snapshot.state.pieces.length === 4 && readJournal('owl').entries.length === 0);
+check('Change still counted as unsaved', findUncleanJournal('owl')?.unsavedChanges === 3);
+
+// Restoring a backup replaces the state wholesale, so it is snapshotted
+const restorePoint = owl.getRestorePoints()[0];
+owl.restoreBackup(restorePoint.key);
+check('Restoring a backup compacts the journal', readJournal('owl').snapshot.state.pieces.length === owl.pieces.size &&
+  readJournal('owl').entries.length === 0);
+
+// Test 5: Discarding
+console.log('\nTEST 5: Discarding');
+console.log('------------------');
+
+discardJournal('owl');
+check('Discard removes every journal key', storage.keys('journal_owl_').length === 0);
+check('Nothing offered after discarding', findUncleanJournal('owl') === null &&
+  (await Assembly.load('owl')).pendingJournal === null);
+
+const fox = makeAssembly('fox', ['head']);
+fox.save();
+new SaveJournal(fox, CRASHED).start();
+recoverySystem.clearRecoveryData('fox');
+check('Clearing recovery data removes the journal', storage.keys('journal_fox_').length === 0);
+
+// Test 6: Journals found on page load
+console.log('\nTEST 6: Journals found on page load');
+console.log('-----------------------------------');
+
+// The default session: journaled, never saved to the library
+const sketch = makeAssembly('sketch', ['head']);
+sketch.startJournal(CRASHED);
+sketch.addPiece(makePiece('sketch-body'));
+sketch.connect('sketch-head', 'sketch-head-bottom', 'sketch-body', 'sketch-body-top');
+// The tab dies here
+
+const scratch = makeAssembly('scratch', []);
+scratch.startJournal(CRASHED);
+scratch.addPiece(makePiece('scratch-body'));
+scratch.stopJournal();
+
+check('Journaled assemblies listed', ['sketch', 'scratch'].every(id => journaledAssemblyIds().includes(id)));
+const offers = recoverySystem.checkJournals();
+check('Crashed unsaved session offered', offers.length === 1 && offers[0].assemblyId === 'sketch' &&
+  offers[0].name === 'sketch' && offers[0].unsavedChanges === 2);
+check('Cleanly closed unsaved journal removed', storage.keys('journal_scratch_').length === 0);
+check('Closed journal of a saved project removed', storage.keys('journal_bear_').length === 0);
+
+const restoredSketch = await Assembly.load('sketch', { replayJournal: true });
+check('Unsaved session replayed', restoredSketch?.isRecovered && restoredSketch.pieces.size === 2 &&
+  restoredSketch.connections.length === 1 && restoredSketch.id === 'sketch');
+
+discardJournal('sketch');
+check('Nothing offered once discarded', recoverySystem.checkJournals().length === 0);
+
+// This page's journal with every change saved, and another tab's
+const live = makeAssembly('live', ['head']);
+live.save();
+live.startJournal();
+const otherTab = makeAssembly('other-tab', ['head']);
+otherTab.save();
+otherTab.startJournal({ sessionId: 'other-tab-session' });
+recoverySystem.checkJournals();
+check("This page's journal kept", storage.keys('journal_live_').length > 0);
+check("Another tab's journal with nothing unsaved removed", storage.keys('journal_other-tab_').length === 0);
+otherTab.addPiece(makePiece('other-tab-body'));
+check('Its next change brings it back', recoverySystem.checkJournal('other-tab')?.unsavedChanges === 1 &&
+  replayJournal(findUncleanJournal('other-tab')).pieces.length === 2);
+
+// Test 7: Starting on the first change
+console.log('\nTEST 7: Starting on the first change');
+console.log('------------------------------------');
+
+const idle = makeAssembly('idle', ['head']);
+idle.journalChanges(CRASHED);
+check('Unchanged assembly leaves no journal', !idle.journal && storage.keys('journal_idle_').length === 0);
+
+idle.updatePiece('idle-head', { color: '#000000' });
+check('First change starts the journal', Boolean(idle.journal) && journaledAssemblyIds().includes('idle'));
+check('First change counted as unsaved', recoverySystem.checkJournal('idle')?.unsavedChanges === 1);
+idle.addPiece(makePiece('idle-body'));
+const idleReplay = replayJournal(findUncleanJournal('idle'));
+check('Changes replayed once each', idleReplay.pieces.length === 2 &&
+  idleReplay.pieces.find(p => p.id === 'idle-head').color === '#000000' && idleReplay.replay.applied === 1);
+
+idle.save();
+idle.journalChanges({ compactEvery: 1 });
+check('Arming again keeps the running journal', idle.journal.compactEvery === 100 && idle.journalOptions === CRASHED);
+idle.stopJournal();
+idle.addPiece(makePiece('idle-tail'));
+check('Stopped journal does not restart', !idle.journal);
+
+// Test 8: Leaving and coming back to the page
+console.log('\nTEST 8: Leaving and coming back to the page');
+console.log('-------------------------------------------');
+
+// Stands in for the browser window, which sends pagehide and pageshow
+globalThis.window = new EventTarget();
+const pageEvent = (type, persisted) => Object.assign(new Event(type), { persisted });
+
+const kite = makeAssembly('kite', ['body']);
+kite.startJournal(CRASHED);
+kite.addPiece(makePiece('kite-tail'));
+window.dispatchEvent(pageEvent('pagehide', true));
+check('Leaving the page marks the session clean', readJournal('kite').session.clean && !findUncleanJournal('kite'));
+
+window.dispatchEvent(pageEvent('pageshow', false));
+check('A fresh page load leaves it clean', readJournal('kite').session.clean);
+
+window.dispatchEvent(pageEvent('pageshow', true));
+kite.addPiece(makePiece('kite-bow'));
+check('Coming back from the page cache reopens it', !readJournal('kite').session.clean &&
+  findUncleanJournal('kite')?.unsavedChanges === 2 && replayJournal(findUncleanJournal('kite')).pieces.length === 3);
+
+kite.stopJournal();
+window.dispatchEvent(pageEvent('pageshow', true));
+check('Stopped journals stop following the page', readJournal('kite').session.clean);
+delete globalThis.window;
+
+summary('SAVE JOURNAL');
@@ -0,0 +1,170 @@
+// src/test-magnetic-snap.js
+// Test suite for magnetic snapping with connection point frames
+
+import * as THREE from 'three';
+import { MagneticSnapManager } from './utils/magneticSnapManager.js';
+import { pointFrame, snapTransform, toRotation, toQuaternion } from './utils/connectionFrames.js';
+import { UndoRedoSystem } from './utils/undoRedoSystem.js';
+import { snapshotPiece } from './utils/assemblyCommands.js';
+import { normalizeAssembly } from './utils/projectMigrations.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { BODY_TEMPLATE, ARM_TEMPLATE } from './models/pieceTemplates.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== MAGNETIC SNAP TEST ===\n');
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+
+// A template piece with a fixed id; points get a snap type for compatibility
+function fromTemplate(template, id, types) {
+  const piece = new CrochetPiece({ id, name: id, type: template.type });
+  template.connectionPoints.forEach(cp => {
+    piece.addConnectionPoint(cp.name, cp.position, cp.compatible, { normal: cp.normal, up: cp.up });
+  });
+  piece.position = { x: 0, y: 0, z: 0 };
+  piece.rotation = { x: 0, y: 0, z: 0 };
+  piece.connectionPoints.forEach(point => { point.type = types[point.name] || point.name; });
+  return piece;
+}
+
+const point = (piece, name) => piece.connectionPoints.find(p => p.name === name);
+
+// A point's position and frame in world space for a mesh
+function worldFrame(mesh, data) {
+  mesh.updateMatrixWorld(true);
+  const { normal, up } = pointFrame(data);
+  return {
+    position: mesh.localToWorld(new THREE.Vector3(data.position.x, data.position.y, data.position.z)),
+    normal: normal.applyQuaternion(mesh.quaternion),
+    up: up.applyQuaternion(mesh.quaternion)
+  };
+}
+
+function setup(options = {}) {
+  const scene = new THREE.Scene();
+  const body = fromTemplate(BODY_TEMPLATE, 'body', { right_shoulder: 'shoulder', left_shoulder: 'shoulder' });
+  const arm = fromTemplate(ARM_TEMPLATE, 'arm', { shoulder_joint: 'joint' });
+  const bodyMesh = new THREE.Group();
+  const armMesh = new THREE.Group();
+  armMesh.position.set(2, 1.5, 0);
+  scene.add(bodyMesh, armMesh);
+  scene.updateMatrixWorld(true);
+  const manager = new MagneticSnapManager(scene, options.assembly || null, { undoRedo: options.undoRedo });
+  manager.updateConfig({ visualFeedback: false, snapDistance: 3 });
+  manager.registerPiece(bodyMesh, body);
+  manager.registerPiece(armMesh, arm);
+  return { scene, body, arm, bodyMesh, armMesh, manager };
+}
+
+// Test 1: Connection point frames
+console.log('TEST 1: Connection point frames');
+console.log('-------------------------------');
+
+const { body, arm } = setup();
+const shoulder = point(body, 'right_shoulder');
+const joint = point(arm, 'shoulder_joint');
+check('Points carry a normal and an up', ['normal', 'up'].every(key => shoulder[key] && joint[key]));
+check('Shoulders face sideways', close(shoulder.normal.x, 1) && close(point(body, 'left_shoulder').normal.x, -1));
+check('Other points face out from the centre', close(joint.normal.y, 1) && close(point(arm, 'wrist').normal.y, -1));
+const frame = pointFrame({ position: { x: 0, y: 0, z: 0 } });
+check('Older points get a frame', close(frame.normal.y, 1) && close(frame.up.length(), 1) && close(frame.normal.dot(frame.up), 0) &&
+  close(pointFrame({ position: { x: 2, y: 0, z: 0 } }).normal.x, 1));
+check('Ups across the normal, towards the front', close(shoulder.up.z, 1) && close(joint.up.z, 1));
+const bent = pointFrame({ position: { x: 1, y: 0, z: 0 }, normal: { x: 2, y: 0, z: 0 }, up: { x: 1, y: 1, z: 0 } });
+check('Given frames are tidied up', close(bent.normal.x, 1) && close(bent.up.y, 1) && close(bent.up.x, 0));
+const saved = body.toSafeData().connectionPoints.find(p => p.name === 'right_shoulder');
+const normalized = normalizeAssembly({ pieces: [body], connections: [] }).pieces[0].connectionPoints.find(p => p.name === 'right_shoulder');
+check('Frames saved with the piece', close(saved.normal.x, 1) && close(saved.up.z, 1) && close(normalized.normal.x, 1) && close(normalized.up.z, 1));
+
+// Test 2: Snapping
+console.log('\nTEST 2: Snapping');
+console.log('----------------');
+
+let rig = setup();
+let snap = rig.manager.updateSnapDetection(rig.armMesh, rig.armMesh.position);
+check('Snap found', snap?.movingPoint.id === 'arm-shoulder_joint' && snap?.targetPoint.id === 'body-right_shoulder',
+  snap ? `${snap.movingPoint.id} → ${snap.targetPoint.id}` : 'none');
+
+rig.armMesh.position.copy(snap.snapPosition);
+rig.armMesh.quaternion.copy(snap.snapQuaternion);
+let moving = worldFrame(rig.armMesh, joint);
+let target = worldFrame(rig.bodyMesh, shoulder);
+check('Points meet', moving.position.distanceTo(target.position) < 1e-6);
+check('Points face each other', close(moving.normal.dot(target.normal), -1));
+check('Ups agree', close(moving.up.dot(target.up), 1));
+const wrist = worldFrame(rig.armMesh, point(arm, 'wrist'));
+check('Arm reaches out from the shoulder', wrist.position.x > target.position.x + 1.5 && close(wrist.position.y, target.position.y),
+  wrist.position.toArray().map(v => v.toFixed(2)).join(','));
+check('Rotation given as Euler angles', close(snap.snapRotation.z, Math.PI / 2) &&
+  toQuaternion(snap.snapRotation).angleTo(snap.snapQuaternion) < 1e-6);
+
+rig = setup();
+rig.manager.updateConfig({ twist: Math.PI / 2 });
+snap = rig.manager.updateSnapDetection(rig.armMesh, rig.armMesh.position);
+rig.armMesh.position.copy(snap.snapPosition);
+rig.armMesh.quaternion.copy(snap.snapQuaternion);
+moving = worldFrame(rig.armMesh, joint);
+check('Twist turns the piece about the joint', close(moving.normal.dot(target.normal), -1) && close(moving.up.dot(target.up), 0) &&
+  close(new THREE.Vector3().crossVectors(target.up, moving.up).dot(target.normal), 1) && snap.twist === Math.PI / 2);
+
+rig = setup();
+rig.bodyMesh.rotation.set(0, Math.PI / 2, 0);
+rig.bodyMesh.position.set(1, 0, 0);
+rig.armMesh.position.set(1, 1.5, -2);
+snap = rig.manager.updateSnapDetection(rig.armMesh, rig.armMesh.position);
+rig.armMesh.position.copy(snap.snapPosition);
+rig.armMesh.quaternion.copy(snap.snapQuaternion);
+moving = worldFrame(rig.armMesh, joint);
+target = worldFrame(rig.bodyMesh, shoulder);
+check('Follows a turned target piece', moving.position.distanceTo(target.position) < 1e-6 &&
+  close(moving.normal.dot(target.normal), -1) && close(target.normal.z, -1));
+
+rig = setup();
+rig.manager.updateConfig({ alignOrientation: false });
+snap = rig.manager.updateSnapDetection(rig.armMesh, rig.armMesh.position);
+check('Orientation can be left alone', snap.snapQuaternion.angleTo(new THREE.Quaternion()) < 1e-9 &&
+  close(snap.snapPosition.x, 0.8) && close(snap.snapPosition.y, -0.3) &&
+  snap.snapPosition.equals(rig.manager.calculateSnapPosition(snap.movingPoint, snap.targetPoint, rig.armMesh.position, rig.bodyMesh.position)));
+
+const scaled = snapTransform(joint, shoulder, {}, { movingScale: { x: 2, y: 2, z: 2 } });
+check('Scaled pieces still meet', close(scaled.position.x, 0.8 + 2) && close(scaled.position.y, 0.7));
+
+// Test 3: Undo
+console.log('\nTEST 3: Undo');
+console.log('------------');
+
+const assembly = new Assembly('pro');
+const undoRedo = new UndoRedoSystem(50, { assembly });
+rig = setup({ assembly, undoRedo });
+undoRedo.execute({ type: 'add_piece', piece: snapshotPiece(rig.body) });
+undoRedo.execute({ type: 'add_piece', piece: snapshotPiece(rig.arm) });
+snap = rig.manager.updateSnapDetection(rig.armMesh, rig.armMesh.position);
+const recorded = rig.manager.recordSnap(snap);
+const placed = assembly.pieces.get('arm');
+check('Snap recorded as one step', recorded.success && recorded.command.type === 'batch' && recorded.command.commands.length === 3 &&
+  undoRedo.getHistory().length === 3, recorded.reason || '');
+check('Piece moved, turned and connected', close(placed.position.x, snap.snapPosition.x) && close(placed.rotation.z, Math.PI / 2) &&
+  assembly.connections.length === 1 && rig.manager.activeConnections.size === 1);
+undoRedo.undo();
+check('One undo takes it all back', placed.position.x === 0 && placed.rotation.z === 0 && assembly.connections.length === 0);
+undoRedo.redo();
+check('Redo snaps it again', close(assembly.pieces.get('arm').rotation.z, Math.PI / 2) && assembly.connections.length === 1);
+
+const turned = undoRedo.execute({ type: 'rotate_piece', pieceId: 'body', to: toRotation(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), 1)) });
+check('Rotations undoable on their own', turned.success && close(assembly.pieces.get('body').rotation.y, 1) &&
+  undoRedo.undo() !== false && assembly.pieces.get('body').rotation.y === 0);
+
+// The animated snap ends where it was aimed and records itself
+globalThis.requestAnimationFrame = callback => setTimeout(callback, 16);
+const assembly2 = new Assembly('pro');
+const undoRedo2 = new UndoRedoSystem(50, { assembly: assembly2 });
+rig = setup({ assembly: assembly2, undoRedo: undoRedo2 });
+undoRedo2.execute({ type: 'add_piece', piece: snapshotPiece(rig.body) });
+undoRedo2.execute({ type: 'add_piece', piece: snapshotPiece(rig.arm) });
+snap = rig.manager.updateSnapDetection(rig.armMesh, rig.armMesh.position);
+const finished = await new Promise(resolve => rig.manager.executeSnap(rig.armMesh, snap, resolve));
+check('Animated snap lands turned', rig.armMesh.position.distanceTo(snap.snapPosition) < 1e-9 &&
+  rig.armMesh.quaternion.angleTo(snap.snapQuaternion) < 1e-6);
+check('Animated snap recorded', finished.result?.success && assembly2.connections.length === 1 && undoRedo2.canUndo());
+
+summary('MAGNETIC SNAP');
@@ -0,0 +1,127 @@
+// src/test-mesh-export.js
+// Test suite for OBJ, STL and glTF export of revolved piece meshes
+
+import { HEAD_TEMPLATE, BODY_TEMPLATE } from './models/pieceTemplates.js';
+import { PieceFactory } from './models/pieceFactory.js';
+import { CrochetPattern } from './types/patternModel.js';
+import { buildExportMeshes, meshesToOBJ, meshesToSTL, meshesToGLB } from './utils/meshExporter.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== MESH EXPORT TEST ===\n');
+
+const head = HEAD_TEMPLATE.createPiece({ color: '#fde68a' });
+head.id = 'piece-head';
+head.position = { x: 0, y: 2, z: 0 };
+head.connectionPoints.forEach(point => { point.pieceId = head.id; });
+
+const body = BODY_TEMPLATE.createPiece({ color: '#60a5fa' });
+body.id = 'piece-body';
+body.rotation = { x: 0, y: 0, z: Math.PI / 2 };
+
+const neck = head.connectionPoints.find(p => p.name === 'neck');
+const top = body.connectionPoints.find(p => p.name === 'neck' || p.name === 'top') || body.connectionPoints[0];
+
+const assembly = {
+  name: 'Bear',
+  pieces: new Map([[head.id, head], [body.id, body]]),
+  connections: [{ piece1Id: head.id, point1Id: neck.id, piece2Id: body.id, point2Id: top.id }]
+};
+
+// Test 1: Geometry matches the viewer
+console.log('TEST 1: Revolved Geometry');
+console.log('-------------------------');
+
+const factory = new PieceFactory();
+const meshes = buildExportMeshes(assembly);
+const headMesh = meshes.find(m => m.pieceId === head.id);
+const counts = CrochetPattern.from(head.rounds).getRoundCounts();
+
+let maxRadius = 0;
+for (let i = 0; i < headMesh.positions.length; i += 3) {
+  maxRadius = Math.max(maxRadius, Math.hypot(headMesh.positions[i], headMesh.positions[i + 2]));
+}
+check('Widest ring matches widest round', Math.abs(maxRadius - factory.calculateRadius(Math.max(...counts))) < 1e-4,
+  `${maxRadius} vs ${factory.calculateRadius(Math.max(...counts))}`);
+check('Same vertex count as viewer mesh',
+  headMesh.positions.length === factory.createBodyFromPattern(head.rounds).geometry.attributes.position.array.length);
+check('Degenerate pole triangles removed', (() => {
+  for (let i = 0; i < headMesh.indices.length; i += 3) {
+    const [a, b, c] = [0, 1, 2].map(k => headMesh.indices[i + k]);
+    if (a === b || b === c || a === c) return false;
+  }
+  return true;
+})());
+check('No bridges unless asked', meshes.every(m => m.kind === 'piece'));
+check('Bridges on request', buildExportMeshes(assembly, { includeBridges: true }).filter(m => m.kind === 'bridge').length === 1);
+
+// Test 2: Writers
+console.log('\nTEST 2: Writers');
+console.log('---------------');
+
+const { obj, mtl } = meshesToOBJ(meshes, { mtlFilename: 'bear.mtl' });
+const vertexLines = obj.split('\n').filter(line => line.startsWith('v '));
+check('OBJ has every vertex', vertexLines.length === meshes.reduce((sum, m) => sum + m.positions.length / 3, 0));
+check('OBJ has normals and materials', obj.includes('\nvn ') && obj.includes('usemtl piece_1') && obj.includes('mtllib bear.mtl'));
+check('MTL has piece colours', mtl.includes('newmtl piece_2') && /Kd 0\.37\d* 0\.64\d* 0\.98/.test(mtl), mtl.split('\n').find(l => l.startsWith('Kd')));
+
+const headVertex = vertexLines[0].split(' ').slice(1, 4).map(Number);
+check('OBJ bakes piece position', Math.abs(headVertex[1] - (2 + headMesh.positions[1])) < 1e-4);
+
+const stl = meshesToSTL(meshes);
+const stlView = new DataView(stl.buffer);
+const triangles = stlView.getUint32(80, true);
+check('STL size matches triangle count', stl.length === 84 + triangles * 50 &&
+  triangles === meshes.reduce((sum, m) => sum + m.indices.length / 3, 0));
+check('STL facets carry colour', (stlView.getUint16(84 + 48, true) & 0x8000) !== 0);
+
+// Rotated body: the facet normals should still point away from the piece centre
+let outward = 0;
+let total = 0;
+const bodyStart = 84 + (headMesh.indices.length / 3) * 50;
+for (let offset = bodyStart; offset < stl.length; offset += 50) {
+  const n = [0, 4, 8].map(k => stlView.getFloat32(offset + k, true));
+  const v = [12, 16, 20].map(k => stlView.getFloat32(offset + k, true));
+  // Rotated 90° about z, the lathe axis now lies along x; the body sits at the origin
+  if (n[0] * v[0] + n[1] * v[1] + n[2] * v[2] > 0) outward++;
+  total++;
+}
+check('Rotation applied with outward normals', outward / total > 0.95, `${outward}/${total}`);
+
+const glb = meshesToGLB(meshes, { title: 'Bear' });
+const glbView = new DataView(glb.buffer);
+const jsonLength = glbView.getUint32(12, true);
+const gltf = JSON.parse(new TextDecoder().decode(glb.subarray(20, 20 + jsonLength)));
+check('GLB header', glbView.getUint32(0, true) === 0x46546c67 && glbView.getUint32(4, true) === 2 &&
+  glbView.getUint32(8, true) === glb.length);
+check('GLB chunks are aligned', jsonLength % 4 === 0 && glbView.getUint32(20 + jsonLength, true) % 4 === 0);
+check('glTF has a node per piece', gltf.nodes.length === 3 && gltf.nodes[0].children.length === 2);
+check('glTF keeps piece transforms', gltf.nodes[1].translation?.[1] === 2 && gltf.nodes[2].rotation?.length === 4);
+check('glTF accessors fit the buffer', gltf.accessors.every(accessor => {
+  const view = gltf.bufferViews[accessor.bufferView];
+  const size = accessor.type === 'VEC3' ? 12 : 4;
+  return view.byteOffset % 4 === 0 && accessor.count * size === view.byteLength &&
+    view.byteOffset + view.byteLength <= gltf.buffers[0].byteLength;
+}));
+check('glTF materials are linear colours', gltf.materials[1].pbrMetallicRoughness.baseColorFactor[0] < 0.2);
+
+// Test 3: Export manager
+console.log('\nTEST 3: Export Manager');
+console.log('----------------------');
+
+const manager = new ExportImportManager();
+check('STL and glTF formats registered', manager.exportFormats.has('stl') && manager.exportFormats.has('glb'));
+
+const objResult = await manager.export(assembly, 'obj', { includeBridges: true });
+check('OBJ export ships its MTL', objResult.files?.[0]?.filename.endsWith('.mtl') &&
+  objResult.content.includes(`mtllib ${objResult.files[0].filename}`));
+check('OBJ export includes bridge on request', objResult.content.includes('o yarn_bridge_1'));
+check('OBJ export is not compressed', typeof objResult.content === 'string' && !objResult.compressed);
+
+const stlResult = await manager.export(assembly, 'stl');
+check('STL export is binary', stlResult.content instanceof Uint8Array && stlResult.filename.endsWith('.stl'));
+
+const glbResult = await manager.export(assembly, 'glb');
+check('glTF export is binary', glbResult.content instanceof Uint8Array && glbResult.mimeType === 'model/gltf-binary');
+
+summary('MESH EXPORT');
@@ -0,0 +1,136 @@
+// src/test-pattern-import.js
+// Test suite for importing third-party written patterns
+
+import { importPatternDocument, normalizePatternText, copyNames, pieceTypeFromName } from './lib/patternImporter.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== PATTERN IMPORT TEST ===\n');
+
+const counts = piece => piece.rounds.map(r => r.stitches).join(',');
+
+// Ravelry/blog style: capitals headings, materials, notes, ranges, "make 2"
+const bunny = `BUNNY AMIGURUMI
+by Jane Doe
+
+MATERIALS
+- Worsted weight yarn in white
+- 3.5 mm hook
+
+NOTES
+Work in continuous rounds. Do not join.
+
+HEAD
+Rnd 1: 6 sc in MR (6)
+Rnd 2: inc x6 (12)
+Rnd 3: [sc, inc] x6 (18)
+Rnd 4-7: sc around (18)
+Insert safety eyes between rnd 5 and 6.
+Rnd 8: [sc, dec] x6 (12)
+Rnd 9: dec x6 (6)
+Fasten off.
+
+ARMS (make 2)
+Rnd 1: 6 sc in MR (6)
+Rnd 2-5: sc around (6)
+Stuff lightly.
+
+ASSEMBLY
+Sew the head to the body.`;
+
+// Test 1: Sections
+console.log('TEST 1: Sections');
+console.log('----------------');
+
+const doc = importPatternDocument(bunny);
+check('Reads the title', doc.title === 'Bunny Amigurumi', doc.title);
+check('Collects materials', doc.materials.length === 2 && doc.materials[1] === '3.5 mm hook');
+check('Splits into pieces', doc.pieces.map(p => p.name).join('|') === 'Head|Arms');
+check('Infers piece types', doc.pieces.map(p => p.type).join('|') === 'head|arm');
+check('Expands round ranges', counts(doc.pieces[0]) === '6,12,18,18,18,18,18,12,6', counts(doc.pieces[0]));
+check('Range rounds are numbered', doc.pieces[1].rounds.map(r => r.round).join(',') === '1,2,3,4,5');
+check('Reads "make 2"', doc.pieces[1].count === 2);
+check('Keeps piece notes', doc.pieces[0].notes.join('|') === 'Insert safety eyes between rnd 5 and 6.|Fasten off.');
+check('Keeps document notes', doc.notes.map(n => n.section).join('|') === '|Notes|Assembly',
+  doc.notes.map(n => n.section).join('|'));
+check('No parser diagnostics', doc.pieces.every(p => p.diagnostics.length === 0));
+
+// Test 2: Markdown and PDF text
+console.log('\nTEST 2: Markdown and PDF text');
+console.log('-----------------------------');
+
+const markdown = importPatternDocument(`# Little Whale
+
+## You will need
+* Blue yarn
+
+## Body
+1. **Rnd 1:** 6 sc in MR (6)
+2. **Rnd 2:** inc x6 (12)
+
+**Fins** (x2)
+- R1: MR 4 sc (4)
+- R2-3: sc around (4)`);
+check('Markdown title', markdown.title === 'Little Whale', markdown.title);
+check('Markdown materials section', markdown.materials[0] === 'Blue yarn');
+check('Bold heading with (x2)', markdown.pieces[1]?.name === 'Fins' && markdown.pieces[1].count === 2);
+check('Markdown round lines', counts(markdown.pieces[1]) === '4,4,4', counts(markdown.pieces[1]));
+
+const pdf = importPatternDocument('LEGS\r\nMake 2.\r\nRnd 1: 6 sc in MR (6)\r\nRnd 2: [sc, inc] x3,\r\n(9)\fPage 2 of 4\r\nRnd 3: sc around (9)\r\nStuff the legs firm-\r\nly with fiberfill.');
+check('"Make 2." line under heading', pdf.pieces[0].count === 2);
+check('Wrapped round joined', counts(pdf.pieces[0]) === '6,9,9', counts(pdf.pieces[0]));
+check('Page footer dropped', pdf.pieces[0].notes.length === 1, JSON.stringify(pdf.pieces[0].notes));
+check('Wrapped sentence rejoined', pdf.pieces[0].notes[0] === 'Stuff the legs firmly with fiberfill.', pdf.pieces[0].notes[0]);
+check('Ligatures normalised', normalizePatternText('ﬁnish') === 'finish');
+
+// Blog patterns often write repeats as "rep N times"
+const blog = importPatternDocument(`Simple Ball
+
+Materials:
+Worsted yarn
+Notes: work in continuous rounds.
+4 mm hook
+
+BALL:
+Rnd 1: 6 sc in MR (6)
+Rnd 2: inc x6 (12)
+Rnd 3: sc, inc; rep 6 times (18)
+Rnd 4: sc in next 2 sts, inc; rep 6 times (24)
+Note: stuff as you go.`);
+check('"rep N times" rounds imported', counts(blog.pieces[0]) === '6,12,18,24', counts(blog.pieces[0]));
+check('Inline "Notes:" filed under notes', blog.notes.some(note => note.text === 'work in continuous rounds.') &&
+  blog.materials.join('|') === 'Worsted yarn|4 mm hook', blog.materials.join('|'));
+check('A piece keeps its own notes', blog.pieces[0].notes.join('|') === 'stuff as you go.', blog.pieces[0].notes.join('|'));
+
+check('Pair names', copyNames('Arms', 2).join('|') === 'Left Arm|Right Arm');
+check('Numbered names', copyNames('Feet', 4).join('|') === 'Foot 1|Foot 2|Foot 3|Foot 4');
+check('Unknown piece type', pieceTypeFromName('Carrot') === 'custom');
+
+// Test 3: Manager import
+console.log('\nTEST 3: Manager import');
+console.log('----------------------');
+
+const manager = new ExportImportManager();
+const result = await manager.importText(bunny, 'pattern');
+const pieces = Array.from(result.assembly.pieces.values());
+check('One piece per copy', pieces.length === 3, String(pieces.length));
+check('Copies named left/right', pieces.map(p => p.name).join('|') === 'Head|Left Arm|Right Arm');
+check('Unique piece ids', new Set(pieces.map(p => p.id)).size === 3);
+check('Template connection points', pieces[1].connectionPoints.some(p => p.name === 'shoulder_joint'));
+check('Rounds on the piece', pieces[0].rounds.length === 9 && pieces[0].metadata.roundCount === 9);
+check('Assembly named from title', result.assembly.name === 'Bunny Amigurumi');
+check('Notes kept on assembly', result.assembly.metadata.notes.length === 3);
+
+const file = Object.assign(new Blob([bunny]), { name: 'bunny.md' });
+const fromFile = await manager.import(file);
+check('Markdown file import', fromFile.assembly.pieces.size === 3);
+
+const ownDump = await manager.export({
+  id: 'a', name: 'Dump',
+  pieces: new Map([['p1', { id: 'p1', type: 'sphere', metadata: { pattern: ['MR', 'sc', 'sc'] } }]]),
+  connections: new Set()
+}, 'pattern');
+const reimported = await manager.importText(ownDump.content, 'pattern');
+check('Own .pattern dumps still import', reimported.assembly.pieces.get('piece_1')?.type === 'sphere');
+
+summary('PATTERN IMPORT');
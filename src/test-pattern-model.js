@@ -0,0 +1,86 @@
+// src/test-pattern-model.js
+// Test suite for the shared round/stitch model
+
+import { CrochetPattern, countStitchTokens } from './types/patternModel.js';
+import { HEAD_TEMPLATE } from './models/pieceTemplates.js';
+import { PatternVisualizer } from './utils/patternVisualizer.js';
+import { InstructionsGenerator } from './utils/instructionsGenerator.js';
+import { YarnCalculator } from './utils/yarnCalculator.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== PATTERN MODEL TEST ===\n');
+
+const text = `Round 1: 6 sc in magic ring
+Round 2: inc x6 (12)
+Round 3: [sc, inc] x6 (18)
+Round 4: sc in blo around (18)
+Round 5: [sc, dec] x6 (12)`;
+
+// Test 1: Building the model
+console.log('TEST 1: Model From Text');
+console.log('-----------------------');
+
+const model = CrochetPattern.fromText(text);
+check('Round counts', model.getRoundCounts().join(',') === '6,12,18,18,12', model.getRoundCounts().join(','));
+check('First round worked into ring', model.rounds[0].startsWithRing &&
+  model.rounds[0].stitches.every(s => s.target === null));
+check('Increase pairs share a parent', model.rounds[1].stitches[0].target === 0 &&
+  model.rounds[1].stitches[1].target === 0 && model.rounds[1].stitches[2].target === 1);
+check('Decrease has two parents', model.rounds[4].stitches[1].targets.join(',') === '1,2');
+check('Loop recorded per stitch', model.rounds[3].stitches.every(s => s.loop === 'back'));
+check('Shaping counts', model.rounds[2].increases === 6 && model.rounds[4].decreases === 6);
+
+// Test 2: Converters
+console.log('\nTEST 2: Converters');
+console.log('------------------');
+
+const tokens = model.toStitchTokens();
+check('Tokens start with MR', tokens[0] === 'MR');
+check('Token count matches model', countStitchTokens(tokens) === model.getTotalStitches());
+
+const fromTokens = CrochetPattern.fromStitchTokens(tokens);
+check('Tokens round-trip', fromTokens.getRoundCounts().join(',') === model.getRoundCounts().join(','),
+  fromTokens.getRoundCounts().join(','));
+
+const legacy = model.toLegacyRounds();
+check('Legacy rounds keep shape', legacy[2].round === 3 && legacy[2].stitches === 18 && legacy[2].hasIncrease);
+
+const fromLegacy = CrochetPattern.fromLegacyRounds(legacy);
+check('Legacy rounds round-trip', fromLegacy.getRoundCounts().join(',') === model.getRoundCounts().join(','));
+
+const countsOnly = CrochetPattern.fromLegacyRounds([
+  { round: 1, stitches: 6 },
+  { round: 2, stitches: 12 },
+  { round: 3, stitches: 15 }
+]);
+check('Counts without instructions', countsOnly.getRoundCounts().join(',') === '6,12,15');
+
+const restored = CrochetPattern.fromSafeData(JSON.parse(JSON.stringify(model.toSafeData())));
+check('Safe data round-trip', restored.rounds[4].stitches[1].targets.join(',') === '1,2');
+
+const head = CrochetPattern.from(HEAD_TEMPLATE.pattern);
+check('Template counts agree with instructions',
+  head.getRoundCounts().join(',') === HEAD_TEMPLATE.pattern.map(r => r.stitches).join(','),
+  head.getRoundCounts().join(','));
+
+// Test 3: Consumers agree
+console.log('\nTEST 3: Consumers Agree');
+console.log('-----------------------');
+
+const visualizer = new PatternVisualizer();
+const written = visualizer.visualizePattern(text, { type: 'written' });
+check('Visualizer rounds', written.rounds.map(r => r.count).join(',') === '6,12,18,18,12',
+  written.rounds.map(r => r.count).join(','));
+
+const generator = new InstructionsGenerator();
+const steps = generator.convertPatternToSteps(tokens);
+check('Instruction rounds', steps.map(s => s.stitchCount).join(',') === '6,12,18,18,12',
+  steps.map(s => s.stitchCount).join(','));
+
+const calculator = new YarnCalculator();
+const fromText = calculator.calculateYarnRequirement(text);
+const fromModelTokens = calculator.calculateYarnRequirement(tokens);
+check('Yarn estimate same for text and tokens',
+  fromText.consumption.centimeters === fromModelTokens.consumption.centimeters);
+
+summary('PATTERN MODEL');
@@ -0,0 +1,124 @@
+// src/test-pattern-parser.js
+// Test suite for the grammar-based pattern parser
+
+import { parsePatternDocument, tokenizeLine } from './lib/patternParser.js';
+import { parsePattern, validatePattern, patternTemplates } from './lib/simpleParser.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== PATTERN PARSER TEST ===\n');
+
+function counts(text) {
+  return parsePatternDocument(text).rounds.map(r => r.stitches);
+}
+
+// Test 1: Tokenizer
+console.log('TEST 1: Tokenizer');
+console.log('-----------------');
+
+const tokens = tokenizeLine('Round 3: [sc, inc] x6 (18)', 3);
+check('Splits label, brackets and repeat', tokens.map(t => t.type).join(' ') ===
+  'word number colon open word comma word close times number open number close');
+check('Tracks columns', tokens.find(t => t.value === '18').column === 24);
+check('Keeps line numbers', tokens.every(t => t.line === 3));
+check('Reads sc2tog as one word', tokenizeLine('sc2tog').length === 1);
+
+// Test 2: Repeats and groups
+console.log('\nTEST 2: Repeats and Groups');
+console.log('--------------------------');
+
+const sphere = counts(patternTemplates.sphere);
+check('Sphere template', sphere.join(',') === '6,12,18,24,30,36', sphere.join(','));
+
+const withDecrease = counts(patternTemplates.withDecrease);
+check('Decrease template', withDecrease.join(',') === '6,12,18,24,18,12,6', withDecrease.join(','));
+
+const nested = counts(`Round 1: 6 sc in MR
+Round 2: inc x6
+Round 3: [sc, [inc] x2] x4`);
+check('Nested brackets', nested[2] === 20, String(nested[2]));
+
+const starred = counts(`Rnd 1: 6 sc in MR
+Rnd 2: *inc* x6
+Rnd 3: *2 sc, inc; rep from * around`);
+check('Starred repeats', starred.join(',') === '6,12,16', starred.join(','));
+
+const moreTimes = counts(`R1: MR 6sc
+R2: *sc in next st, 2 sc in next st; rep from * 2 more times`);
+check('"rep from * N more times"', moreTimes[1] === 9, String(moreTimes[1]));
+
+// "rep N times" without a bracket or star repeats the run before it
+const repTimes = parsePatternDocument(`Rnd 1: 6 sc in MR
+Rnd 2: inc x6 (12)
+Rnd 3: sc, inc; rep 6 times (18)
+Rnd 4: sc in next 2 sts, inc; rep 6 times (24)
+Rnd 5: [sc 3, inc] rep 6 times (30)
+Rnd 6: sc 4, inc, 6 times (36)
+Rnd 7: sc 4, dec; repeat 5 more times (30)`);
+const repCounts = repTimes.rounds.map(r => r.stitches);
+check('"rep N times" forms', repCounts.join(',') === '6,12,18,24,30,36,30', repCounts.join(','));
+check('No warnings for "rep N times"', repTimes.diagnostics.length === 0, repTimes.diagnostics.map(d => d.message).join('; '));
+const nothing = parsePatternDocument('Rnd 1: 6 sc in MR\nRnd 2: rep 6 times');
+check('Repeat of nothing is reported, not looped on', nothing.diagnostics.some(d => d.message === 'Nothing to repeat'));
+
+// Test 3: Stitch types and targets
+console.log('\nTEST 3: Stitch Types and Targets');
+console.log('--------------------------------');
+
+const tog = parsePatternDocument(`Round 1: 6 sc in magic ring
+Round 2: 2 sc in each (12)
+Round 3: (sc2tog) x6 (6)`).rounds;
+check('sc2tog decreases', tog[2].stitches === 6);
+check('sc2tog consumes two stitches', tog[2].stitchList.every(op => op.consumes === 2));
+
+const inNext = parsePatternDocument(`Round 1: 6 sc in MR
+Round 2: 2 hdc in next, sc in next 2, 3 dc in next, sc in next 2 (9)`).rounds;
+check('"N st in next" increases', inNext[1].stitches === 9);
+check('Stitch types preserved', inNext[1].stitchList.some(op => op.stitch === 'hdc') &&
+  inNext[1].stitchList.some(op => op.stitch === 'dc'));
+
+const loops = parsePatternDocument(`Round 1: 6 sc in MR
+Round 2: sc in blo around`).rounds;
+check('Back loop recorded', loops[1].stitchList.every(op => op.loop === 'back'));
+
+// Test 4: Ranges and legacy input
+console.log('\nTEST 4: Ranges and Legacy Input');
+console.log('-------------------------------');
+
+const cone = parsePatternDocument(patternTemplates.cone).rounds;
+check('Round ranges expand', cone.length === 8 && cone[7].round === 8);
+check('Range rounds keep count', cone.slice(3).every(r => r.stitches === 18));
+
+const simple = counts(patternTemplates.simple);
+check('Bare totals distribute shaping', simple.join(',') === '6,12,18,24,30', simple.join(','));
+
+const legacy = parsePattern(patternTemplates.sphere);
+check('Legacy round shape', legacy.every(r =>
+  typeof r.round === 'number' && typeof r.stitches === 'number' && r.instruction));
+
+// Test 5: Diagnostics
+console.log('\nTEST 5: Diagnostics');
+console.log('-------------------');
+
+const mismatch = parsePatternDocument(`Round 1: 6 sc in MR
+Round 2: [sc, inc] x3 (12)`);
+const diagnostic = mismatch.diagnostics.find(d => d.message.includes('stated total'));
+check('Reports stated/computed mismatch', Boolean(diagnostic));
+check('Mismatch points at the total', diagnostic?.line === 2 && diagnostic?.column === 24,
+  diagnostic ? `${diagnostic.line}:${diagnostic.column}` : 'none');
+check('Uses the computed count', mismatch.rounds[1].stitches === 9 &&
+  mismatch.rounds[1].statedCount === 12);
+
+const underWorked = parsePatternDocument(`Round 1: 6 sc in MR
+Round 2: inc x6
+Round 3: [sc, inc] x5 (15)`);
+check('Reports unworked stitches', underWorked.diagnostics.some(d => d.message.includes('10 of 12')));
+
+const notes = parsePatternDocument(`Round 1: 6 sc in MR
+Stuff firmly.
+Round 2: inc around (12)`);
+check('Notes are skipped, not rounds', notes.rounds.length === 2);
+
+const validation = validatePattern(mismatch.rounds);
+check('validatePattern surfaces diagnostics', validation.warnings.some(w => w.startsWith('Line 2, col 24')));
+
+summary('PATTERN PARSER');
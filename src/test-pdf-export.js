@@ -0,0 +1,104 @@
+// src/test-pdf-export.js
+// Test suite for the dependency-free PDF writer and PDF exports
+
+import { PDFDocument, measureText, wrapText } from './utils/pdfWriter.js';
+import { parsePathData, parseSVG } from './utils/svgParser.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { PatternVisualizer } from './utils/patternVisualizer.js';
+import { Assembly } from './types/assemblyModels.js';
+import { HEAD_TEMPLATE, BODY_TEMPLATE } from './models/pieceTemplates.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== PDF EXPORT TEST ===\n');
+
+function asText(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+  return text;
+}
+
+/**
+ * Checks every xref entry points at the "N 0 obj" it claims to
+ */
+function xrefIsValid(text) {
+  const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)?.[1]);
+  if (!text.startsWith('xref', startxref)) return false;
+  const [, , count] = text.slice(startxref).match(/xref\n(\d+) (\d+)\n/);
+  const entries = text.slice(startxref).split('\n').slice(3, 2 + Number(count));
+  return entries.every((entry, i) => text.startsWith(`${i + 1} 0 obj`, Number(entry.slice(0, 10))));
+}
+
+// Test 1: Writer basics
+console.log('TEST 1: PDF Writer');
+console.log('------------------');
+
+const doc = new PDFDocument({ title: 'Test (1)' });
+doc.addPage();
+doc.heading('Hello');
+doc.paragraph('A paragraph with (parentheses) and a backslash \\ in it.');
+doc.addPage();
+doc.rect(50, 50, 100, 40, { fill: '#ff0000' });
+const text = asText(doc.toBytes());
+
+check('Starts with PDF header', text.startsWith('%PDF-1.4'));
+check('Ends with EOF marker', text.endsWith('%%EOF\n'));
+check('Page count', /\/Count 2\b/.test(text));
+check('Cross-reference offsets are exact', xrefIsValid(text));
+check('Strings are escaped', text.includes('\\(parentheses\\)') && text.includes('backslash \\\\ in'));
+check('Stream lengths match', [...text.matchAll(/<< \/Length (\d+) >>\nstream\n/g)]
+  .every(m => text.startsWith('\nendstream', m.index + m[0].length + Number(m[1]))));
+
+check('Measures Helvetica', Math.abs(measureText('Hello', 10) - 22.78) < 0.01, String(measureText('Hello', 10)));
+const wrapped = wrapText('one two three four five six seven', 60, 10);
+check('Wraps to width', wrapped.length > 1 && wrapped.every(line => measureText(line, 10) <= 60));
+
+// Test 2: SVG subset
+console.log('\nTEST 2: SVG Subset');
+console.log('------------------');
+
+const circle = parsePathData('M10,10 m-3,0 a3,3 0 1,0 6,0 a3,3 0 1,0 -6,0');
+check('Relative arcs become curves', circle[1].type === 'M' && circle[1].x === 7 &&
+  circle.slice(2).every(s => s.type === 'C'));
+check('Arc ends where it should', Math.abs(circle[circle.length - 1].x - 7) < 1e-9);
+
+const parsed = parseSVG('<?xml version="1.0"?><svg width="200" height="100"><g transform="translate(5,5)"><text x="1" y="2">A &amp; B</text></g></svg>');
+check('Parses size and nesting', parsed.width === 200 && parsed.children[0].children[0].children[0].text === 'A & B');
+
+const svgDoc = new PDFDocument();
+svgDoc.addPage();
+svgDoc.drawSVG('<svg width="100" height="100"><circle cx="50" cy="50" r="10" fill="#00ff00"/></svg>', 50, 50, 200, 200);
+check('SVG shapes become path operators', /0 1 0 rg[^]* c[^]* f/.test(asText(svgDoc.toBytes())));
+
+// Test 3: Exports
+console.log('\nTEST 3: Exports');
+console.log('---------------');
+
+const assembly = new Assembly('pro');
+assembly.name = 'Test Doll';
+const head = HEAD_TEMPLATE.createPiece({ color: '#fde68a' });
+head.id = 'piece-head';
+const body = BODY_TEMPLATE.createPiece({ color: '#60a5fa' });
+body.id = 'piece-body';
+assembly.pieces.set(head.id, head);
+assembly.pieces.set(body.id, body);
+
+const manager = new ExportImportManager();
+const result = await manager.export(assembly, 'pdf');
+const pdf = asText(result.content);
+
+check('Returns binary content', result.content instanceof Uint8Array && result.mimeType === 'application/pdf');
+check('Not compressed', !result.compressed);
+check('Valid cross-reference table', xrefIsValid(pdf));
+const pageCount = Number(pdf.match(/\/Count (\d+)/)?.[1]);
+check('Title, piece and assembly pages', pageCount >= 4, String(pageCount));
+check('Includes round table', pdf.includes('(Instructions) Tj') && pdf.includes('(Materials) Tj'));
+check('Includes page footer', pdf.includes(`(Page ${pageCount} of ${pageCount}) Tj`));
+
+const visualizer = new PatternVisualizer();
+const chart = visualizer.visualizePattern(`Round 1: 6 sc in MR
+Round 2: inc x6 (12)`, { type: 'symbol' });
+const chartPdf = visualizer.exportChart(chart, 'pdf');
+check('Chart exports as PDF bytes', chartPdf.content instanceof Uint8Array &&
+  asText(chartPdf.content).startsWith('%PDF-') && xrefIsValid(asText(chartPdf.content)));
+
+summary('PDF EXPORT');
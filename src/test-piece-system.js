@@ -1,6 +1,7 @@
 // src/test-piece-system.js
 
 import { Assembly } from './types/assemblyModels.js';
+import { storage } from './utils/storageManager.js';
 import { 
   HEAD_TEMPLATE, 
   BODY_TEMPLATE,
@@ -123,7 +124,7 @@ console.log(`Save assembly: ${saveResult.success ? '✓' : '✗'}`);
 
 if (saveResult.success) {
   // Check saved data structure
-  const savedData = localStorage.getItem(`assembly_${assembly.id}`);
+  const savedData = storage.getItem(`assembly_${assembly.id}`);
   if (savedData) {
     const parsed = JSON.parse(savedData);
     console.log(`Saved pieces: ${parsed.pieces.length}`);
@@ -0,0 +1,166 @@
+// src/test-png-export.js
+// Test suite for the pure-JS SVG rasterizer and PNG encoder
+
+import { rasterizeSVG, encodePNG, svgToPNG } from './utils/rasterizer.js';
+import { inflate, crc32 } from './utils/deflate.js';
+import { PatternVisualizer } from './utils/patternVisualizer.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { Assembly } from './types/assemblyModels.js';
+import { HEAD_TEMPLATE, BODY_TEMPLATE } from './models/pieceTemplates.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== PNG EXPORT TEST ===\n');
+
+function thrown(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Read chunks back and undo the scanline filters
+function decodePNG(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    const crcOK = (crc32(bytes.subarray(offset + 4, offset + 8 + length)) >>> 0) === view.getUint32(offset + 8 + length);
+    chunks.push({ type, data, crcOK });
+    offset += 12 + length;
+  }
+
+  const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+  const width = header.getUint32(0);
+  const height = header.getUint32(4);
+  const channels = chunks[0].data[9] === 6 ? 4 : 3;
+  const idat = chunks.filter(c => c.type === 'IDAT').map(c => Array.from(c.data)).flat();
+  const raw = inflate(new Uint8Array(idat));
+  const stride = width * channels;
+  const pixels = new Uint8Array(height * stride);
+
+  for (let y = 0; y < height; y++) {
+    const type = raw[y * (stride + 1)];
+    for (let i = 0; i < stride; i++) {
+      const value = raw[y * (stride + 1) + 1 + i];
+      const left = i >= channels ? pixels[y * stride + i - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + i] : 0;
+      const upLeft = y > 0 && i >= channels ? pixels[(y - 1) * stride + i - channels] : 0;
+      const p = left + up - upLeft;
+      const [pa, pb, pc] = [left, up, upLeft].map(v => Math.abs(p - v));
+      const paeth = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      const predicted = [0, left, up, (left + up) >> 1, paeth][type];
+      pixels[y * stride + i] = (value + predicted) & 255;
+    }
+  }
+
+  return { chunks, width, height, channels, pixels, rawLength: raw.length };
+}
+
+const pixelAt = (image, x, y) => Array.from(image.data.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+const svgOf = (body, width = 20, height = 20) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${body}</svg>`;
+
+// Test 1: PNG encoding
+console.log('TEST 1: PNG encoding');
+console.log('--------------------');
+
+const gradient = { width: 7, height: 5, data: new Uint8ClampedArray(7 * 5 * 4) };
+for (let i = 0; i < 35; i++) gradient.data.set([i * 7, 255 - i * 3, (i * 37) % 256, i % 3 === 0 ? 128 : 255], i * 4);
+const png = encodePNG(gradient, { dpi: 300 });
+const decoded = decodePNG(png);
+check('PNG signature', png[0] === 137 && String.fromCharCode(...png.subarray(1, 4)) === 'PNG');
+check('Chunk order', decoded.chunks.map(c => c.type).join(',') === 'IHDR,pHYs,IDAT,IEND');
+check('Chunk CRCs valid', decoded.chunks.every(c => c.crcOK));
+check('Header size', decoded.width === 7 && decoded.height === 5);
+check('Alpha kept when needed', decoded.channels === 4);
+check('DPI in pHYs', new DataView(decoded.chunks[1].data.buffer, decoded.chunks[1].data.byteOffset).getUint32(0) === 11811);
+check('Pixels round-trip exactly', decoded.pixels.every((v, i) => v === gradient.data[i]));
+
+const opaque = decodePNG(svgToPNG(svgOf('<rect width="20" height="20" fill="#336699"/>')).bytes);
+check('Opaque images written as RGB', opaque.channels === 3 && opaque.rawLength === 20 * (1 + 20 * 3));
+
+// Test 2: Rasterizing
+console.log('\nTEST 2: Rasterizing');
+console.log('-------------------');
+
+const rect = rasterizeSVG(svgOf('<rect x="5" y="5" width="10" height="10" fill="#ff0000"/>'));
+check('Filled rect', pixelAt(rect, 10, 10).join(',') === '255,0,0,255');
+check('Background outside shapes', pixelAt(rect, 2, 2).join(',') === '255,255,255,255');
+
+const half = rasterizeSVG(svgOf('<rect x="5.5" y="0" width="10" height="20" fill="#000000"/>'));
+check('Anti-aliased edge', Math.abs(pixelAt(half, 5, 10)[0] - 128) <= 2, String(pixelAt(half, 5, 10)[0]));
+
+const circle = rasterizeSVG(svgOf('<circle cx="50" cy="50" r="30" fill="#000000"/>', 100, 100));
+let ink = 0;
+for (let i = 0; i < circle.data.length; i += 4) ink += (255 - circle.data[i]) / 255;
+check('Circle area', Math.abs(ink - Math.PI * 900) / (Math.PI * 900) < 0.02, ink.toFixed(1));
+
+const ring = rasterizeSVG(svgOf('<path d="M0 0 H20 V20 H0 Z M5 5 H15 V15 H5 Z" fill="#000000" fill-rule="evenodd"/>'));
+check('Even-odd hole', pixelAt(ring, 10, 10)[0] === 255 && pixelAt(ring, 2, 2)[0] === 0);
+
+const line = rasterizeSVG(svgOf('<line x1="0" y1="10" x2="20" y2="10" stroke="#000000" stroke-width="2"/>'));
+check('Stroked line', pixelAt(line, 10, 9)[0] === 0 && pixelAt(line, 10, 12)[0] === 255);
+
+const dashed = rasterizeSVG(svgOf('<line x1="0" y1="10" x2="20" y2="10" stroke="#000000" stroke-width="2" stroke-dasharray="5,5"/>'));
+check('Dashed line has gaps', pixelAt(dashed, 2, 10)[0] === 0 && pixelAt(dashed, 7, 10)[0] === 255);
+
+const faded = rasterizeSVG(svgOf('<rect width="20" height="20" fill="#000000" opacity="0.5"/>'));
+check('Opacity blends', Math.abs(pixelAt(faded, 10, 10)[0] - 128) <= 1);
+
+const clear = rasterizeSVG(svgOf('<rect x="0" y="0" width="5" height="5" fill="#00ff00"/>'), { background: null });
+check('Transparent background', pixelAt(clear, 15, 15)[3] === 0 && pixelAt(clear, 2, 2)[3] === 255);
+
+const text = rasterizeSVG(svgOf('<text x="2" y="30" font-size="20">Hi</text>', 40, 40));
+let textInk = 0;
+for (let y = 14; y < 31; y++) for (let x = 0; x < 40; x++) textInk += pixelAt(text, x, y)[0] < 128 ? 1 : 0;
+check('Text is drawn', textInk > 20, String(textInk));
+
+const rotated = rasterizeSVG(svgOf('<g transform="rotate(90 10 10)"><rect x="0" y="8" width="20" height="4" fill="#000000"/></g>'));
+check('Transforms applied', pixelAt(rotated, 10, 2)[0] === 0 && pixelAt(rotated, 2, 10)[0] === 255);
+
+// Test 3: Resolution
+console.log('\nTEST 3: Resolution');
+console.log('------------------');
+
+const square = svgOf('<rect width="20" height="10" fill="#000000"/>', 40, 20);
+check('96 DPI is one pixel per unit', rasterizeSVG(square).width === 40);
+check('300 DPI scales up', rasterizeSVG(square, { dpi: 300 }).width === 125 && rasterizeSVG(square, { dpi: 300 }).height === 63);
+const thumb = rasterizeSVG(square, { width: 64, height: 64 });
+check('Thumbnail fits the box', thumb.width === 64 && thumb.height === 32);
+check('Oversized image refused', thrown(() => rasterizeSVG(square, { dpi: 200000 }))?.code === 'IMAGE_TOO_LARGE');
+
+// Test 4: Charts and diagrams
+console.log('\nTEST 4: Charts and diagrams');
+console.log('---------------------------');
+
+const visualizer = new PatternVisualizer();
+const chart = visualizer.visualizePattern('Rnd 1: 6 sc in MR (6)\nRnd 2: inc x6 (12)\nRnd 3: [sc, inc] x6 (18)', { type: 'symbol' });
+const chartPNG = visualizer.exportChart(chart, 'png', { dpi: 192 });
+check('Chart exports real PNG bytes', chartPNG.data instanceof Uint8Array && chartPNG.data[1] === 0x50 && !chartPNG.requiresCanvas);
+check('Chart DPI applied', chartPNG.dpi === 192 && chartPNG.width === Math.round(Number(chart.svg.match(/width="(\d+)"/)[1]) * 2));
+const rangePNG = visualizer.exportAsPNG(chart, { fromRound: 3, toRound: 3, width: 128, height: 128 });
+check('Chart thumbnail of a round range', Math.max(rangePNG.width, rangePNG.height) === 128);
+
+const assembly = new Assembly('pro');
+assembly.name = 'Bear';
+const head = HEAD_TEMPLATE.createPiece({ color: '#a0522d' });
+head.id = 'piece-head';
+const body = BODY_TEMPLATE.createPiece({ color: '#a0522d' });
+body.id = 'piece-body';
+assembly.pieces.set(head.id, head);
+assembly.pieces.set(body.id, body);
+const manager = new ExportImportManager();
+const diagram = await manager.export(assembly, 'png', { dpi: 72 });
+check('Assembly diagram as PNG', diagram.mimeType === 'image/png' && diagram.filename.endsWith('.png'));
+check('Diagram at 72 DPI', diagram.width === 600 && diagram.height === 450);
+const diagramPixels = decodePNG(diagram.content);
+check('Diagram decodes', diagramPixels.width === 600 && diagramPixels.chunks.every(c => c.crcOK));
+const thumbnail = await manager.export(assembly, 'png', { thumbnailSize: 160 });
+check('Diagram thumbnail', thumbnail.width === 160 && thumbnail.height === 120);
+
+summary('PNG EXPORT');
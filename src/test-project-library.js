@@ -0,0 +1,137 @@
+// src/test-project-library.js
+// Test suite for the project library of saved assemblies
+
+import { ProjectLibrary, LIBRARY_INDEX_KEY } from './utils/projectLibrary.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { storage, MemoryBackend } from './utils/storageManager.js';
+import { safeStorageSet } from './utils/safeSerialize.js';
+import { getUsageTracker, getTierLimits } from './utils/tierEnforcement.js';
+import { recoverySystem } from './utils/recoverySystem.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== PROJECT LIBRARY TEST ===\n');
+
+let nextId = 0;
+function makeAssembly(name, pieceNames, tier = 'pro') {
+  const assembly = new Assembly(tier);
+  assembly.id = `assembly-test-${++nextId}`;
+  assembly.name = name;
+  pieceNames.forEach(pieceName => {
+    assembly.addPiece(new CrochetPiece({ id: `${assembly.id}-${pieceName}`, name: pieceName, type: 'body', rounds: [] }));
+  });
+  return assembly;
+}
+
+storage.setBackend(new MemoryBackend());
+const library = new ProjectLibrary();
+
+// Test 1: Saving and listing
+console.log('TEST 1: Saving and listing');
+console.log('--------------------------');
+
+const bear = makeAssembly('Teddy Bear', ['head', 'body', 'ear']);
+const saved = library.save(bear, { thumbnail: 'data:image/jpeg;base64,AAAA', tags: ['Animals', ' bears ', 'animals'] });
+check('Save through the library', saved.success && saved.project.pieceCount === 3, saved.message);
+check('Tags normalized', saved.project.tags.join(',') === 'animals,bears');
+check('Thumbnail stored apart', library.getThumbnail(bear.id) === 'data:image/jpeg;base64,AAAA' &&
+  saved.project.hasThumbnail && !storage.getItem(LIBRARY_INDEX_KEY).includes('base64'));
+
+const whale = makeAssembly('Blue Whale', ['body', 'tail', 'fin']);
+library.save(whale, { tags: 'animals, ocean' });
+const octopus = makeAssembly('Octopus', ['head', 'tentacle']);
+library.save(octopus);
+
+check('All projects listed', library.list().length === 3);
+check('Newest first by default', library.list()[0].id === octopus.id);
+check('Sorted by name', library.list({ sort: 'name' }).map(p => p.name).join(',') === 'Blue Whale,Octopus,Teddy Bear');
+check('Entries carry metadata', library.get(whale.id).connectionCount === 0 && library.get(whale.id).lastModified > 0 &&
+  library.get(whale.id).createdAt > 0);
+
+bear.addPiece(new CrochetPiece({ id: `${bear.id}-arm`, name: 'arm', type: 'arm', rounds: [] }));
+const resaved = library.save(bear);
+check('Saving again updates the entry', resaved.success && library.get(bear.id).pieceCount === 4 && library.list().length === 3);
+check('Saving again keeps tags and created time', library.get(bear.id).tags.join(',') === 'animals,bears' &&
+  library.get(bear.id).createdAt === saved.project.createdAt);
+
+// Saves made before the library existed
+const legacy = makeAssembly('Old Bunny', ['head']);
+safeStorageSet(`assembly_${legacy.id}`, legacy.toSafeData());
+check('Older saves picked up', library.get(legacy.id)?.name === 'Old Bunny' && library.list().length === 4);
+
+// Test 2: Searching and tags
+console.log('\nTEST 2: Searching and tags');
+console.log('--------------------------');
+
+check('Search by name', library.search('whale').map(p => p.id).join(',') === whale.id);
+check('Search by piece name', library.search('TENTACLE').map(p => p.id).join(',') === octopus.id);
+check('Search by tag text', library.search('ocean').length === 1);
+check('Every word must match', library.search('bear arm').length === 1 && library.search('bear fin').length === 0);
+check('Filter by tags', library.search('', { tags: ['animals'] }).length === 2 &&
+  library.search('', { tags: ['animals', 'ocean'] }).length === 1);
+check('Tag counts', JSON.stringify(library.allTags()) ===
+  JSON.stringify([{ tag: 'animals', count: 2 }, { tag: 'bears', count: 1 }, { tag: 'ocean', count: 1 }]));
+
+library.addTag(octopus.id, 'Ocean');
+library.removeTag(whale.id, 'ocean');
+check('Add and remove tags', library.get(octopus.id).tags.join(',') === 'ocean' && library.get(whale.id).tags.join(',') === 'animals');
+check('Unknown projects reported', library.setTags('nope', ['x']).reason === 'NOT_FOUND');
+
+// Test 3: Rename, duplicate, open, delete
+console.log('\nTEST 3: Rename, duplicate, open, delete');
+console.log('---------------------------------------');
+
+const renamed = library.rename(whale.id, '  Humpback Whale ');
+check('Rename updates the index', renamed.success && library.get(whale.id).name === 'Humpback Whale');
+check('Empty names refused', library.rename(whale.id, '   ').reason === 'INVALID_NAME');
+
+const opened = await library.open(whale.id);
+check('Open loads the saved assembly', opened instanceof Assembly && opened.name === 'Humpback Whale' && opened.pieces.size === 3);
+check('Opening unknown projects gives null', await library.open('nope') === null);
+
+const copy = library.duplicate(bear.id, { tier: 'pro' });
+check('Duplicate gets a new id and name', copy.success && copy.project.id !== bear.id && copy.project.name === 'Teddy Bear (copy)');
+check('Duplicate keeps pieces, tags and thumbnail', copy.project.pieceCount === 4 && copy.project.tags.join(',') === 'animals,bears' &&
+  library.getThumbnail(copy.project.id) === library.getThumbnail(bear.id));
+const copyOpened = await library.open(copy.project.id);
+check('Duplicate opens on its own', copyOpened.id === copy.project.id && copyOpened.pieces.size === 4);
+
+storage.setItem(`timeline_${copy.project.id}`, '{}');
+recoverySystem.createSafetyBackup(copy.project.id, copyOpened.toSafeData(), 'manual');
+const removed = library.delete(copy.project.id);
+check('Delete removes the project', removed.success && library.get(copy.project.id) === null &&
+  storage.getItem(`assembly_${copy.project.id}`) === null);
+check('Delete removes thumbnail, timeline and backups', library.getThumbnail(copy.project.id) === null &&
+  storage.getItem(`timeline_${copy.project.id}`) === null && storage.keys(`backup_${copy.project.id}_`).length === 0);
+check('Other projects untouched', library.list().length === 4 && library.getThumbnail(bear.id) !== null);
+
+// Test 4: Tier save limits
+console.log('\nTEST 4: Tier save limits');
+console.log('------------------------');
+
+const limit = getTierLimits('pro').maxSaves;
+check('Remaining saves count stored projects', library.remainingSaves('pro') === limit - 4);
+check('Freemium cannot save', library.remainingSaves('freemium') === 0 &&
+  library.save(makeAssembly('Free', ['head'], 'freemium')).reason === 'SAVE_LIMIT_EXCEEDED');
+
+for (let i = library.list().length; i < limit; i++) {
+  library.save(makeAssembly(`Filler ${i}`, ['head']));
+}
+check('Library fills up to the limit', library.list().length === limit && library.remainingSaves('pro') === 0);
+
+const extra = library.save(makeAssembly('One Too Many', ['head']));
+check('New project refused when full', !extra.success && extra.reason === 'SAVE_LIMIT_EXCEEDED' && library.list().length === limit);
+check('Upgrade prompt offered', Boolean(extra.upgradePrompt));
+check('Duplicate refused when full', library.duplicate(bear.id, { tier: 'pro' }).reason === 'SAVE_LIMIT_EXCEEDED');
+
+const again = library.save(bear);
+check('Saving an existing project still allowed', again.success, again.message);
+check('Session save count follows the library', getUsageTracker('pro').savesUsed === limit);
+
+library.delete(octopus.id);
+const afterDelete = library.save(makeAssembly('Room Again', ['head']));
+check('Deleting frees a save', afterDelete.success && library.list().length === limit);
+
+const studio = library.save(makeAssembly('Studio Project', ['head'], 'studio'));
+check('Higher tiers have more saves', studio.success && library.remainingSaves('studio') === getTierLimits('studio').maxSaves - limit - 1);
+
+summary('PROJECT LIBRARY');
@@ -0,0 +1,185 @@
+// src/test-project-schema.js
+// Test suite for the project file schema, validator and format migrations
+
+import { validateProject, PROJECT_FORMAT, CURRENT_FORMAT_VERSION } from './types/projectSchema.js';
+import { migrateProject, detectFormatVersion } from './utils/projectMigrations.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== PROJECT SCHEMA TEST ===\n');
+
+function thrown(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const point = (id, x = 0) => ({ id, name: id, position: { x, y: 0, z: 0 }, compatible: [] });
+
+function currentProject() {
+  return {
+    format: PROJECT_FORMAT,
+    version: CURRENT_FORMAT_VERSION,
+    assembly: {
+      id: 'asm-1',
+      name: 'Bunny',
+      pieces: [
+        {
+          id: 'head', name: 'Head', type: 'head', color: '#ffaa00',
+          position: { x: 0, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 },
+          rounds: [{ round: 1, stitches: 6, instruction: 'MR 6 sc' }],
+          connectionPoints: [point('neck')]
+        },
+        {
+          id: 'body', name: 'Body', type: 'body', color: '#ffaa00',
+          position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 },
+          rounds: [],
+          connectionPoints: [point('top'), point('left-arm', -1)]
+        }
+      ],
+      connections: [
+        { id: 'c1', piece1Id: 'head', point1Id: 'neck', piece2Id: 'body', point2Id: 'top', timestamp: 1 }
+      ]
+    }
+  };
+}
+
+// Test 1: Validator
+console.log('TEST 1: Validator');
+console.log('-----------------');
+
+check('Current project is valid', validateProject(currentProject()).valid,
+  JSON.stringify(validateProject(currentProject()).errors));
+
+const broken = currentProject();
+broken.assembly.pieces[0].color = 'orange';
+broken.assembly.pieces[1].position.y = 'up';
+delete broken.assembly.pieces[1].name;
+broken.assembly.pieces[0].rounds[0].stitches = -2;
+broken.assembly.connections[0].point2Id = 'nowhere';
+const result = validateProject(broken);
+const paths = result.errors.map(e => e.path);
+check('Reports every violation', result.errors.length === 5, JSON.stringify(paths));
+check('Path to bad colour', paths.includes('assembly.pieces[0].color'));
+check('Path to bad vector component', paths.includes('assembly.pieces[1].position.y'));
+check('Path to missing field', paths.includes('assembly.pieces[1].name'));
+check('Path to bad round', paths.includes('assembly.pieces[0].rounds[0].stitches'));
+check('Dangling connection point', paths.includes('assembly.connections[0].point2Id'));
+
+const duplicate = currentProject();
+duplicate.assembly.pieces[1].id = 'head';
+check('Duplicate piece ids', validateProject(duplicate).errors.some(e => /duplicate piece id/.test(e.message)));
+check('Non-object root', validateProject([]).errors[0]?.path === '(root)');
+
+// Test 2: Migrations
+console.log('\nTEST 2: Migrations');
+console.log('------------------');
+
+// 1.x: raw Assembly.toSafeData() snapshot, no version
+const v1 = {
+  id: 'old', name: 'Old bear', lastModified: 1700000000000,
+  pieces: [
+    { id: 'h', name: 'Head', type: 'head', color: '#a0522d', connectionPoints: [point('neck')], metadata: {} },
+    { id: 'b', name: 'Body', type: 'body', color: 'not-a-colour', connectionPoints: [point('top')], metadata: {} }
+  ],
+  connections: [{ id: 'x', piece1Id: 'h', point1Id: 'neck', piece2Id: 'b', point2Id: 'top', timestamp: 5 }],
+  history: []
+};
+check('Unversioned snapshot detected as 1.x', detectFormatVersion(v1) === '1.0.0');
+const fromV1 = migrateProject(v1);
+check('1.x runs both migrations', fromV1.applied.length === 2);
+check('1.x result validates', validateProject(fromV1.data).valid, JSON.stringify(validateProject(fromV1.data).errors));
+check('1.x keeps connection', fromV1.data.assembly.connections[0].point2Id === 'top');
+check('1.x bad colour replaced', /^#[0-9a-f]{6}$/i.test(fromV1.data.assembly.pieces[1].color));
+
+// 2.x: Map-entry connection points, from/to connections referring to point names
+const v2 = {
+  version: '2.0.0',
+  timestamp: '2024-01-01T00:00:00.000Z',
+  assembly: {
+    id: 'asm', name: 'Cat',
+    pieces: [
+      { id: 'h', type: 'head', position: { x: 0, y: 1, z: 0, __safe: true }, rotation: { x: 0, y: 0, z: 0 },
+        scale: { x: 1, y: 1, z: 1 }, color: '#000',
+        connectionPoints: [[0, { id: 'p-neck', name: 'neck', position: { x: 0, y: -1, z: 0 } }]], metadata: {} },
+      { id: 'b', type: 'body', position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 },
+        scale: { x: 1, y: 1, z: 1 }, color: '#fff',
+        connectionPoints: [['top', { name: 'top', position: { x: 0, y: 1, z: 0 } }]], metadata: {} }
+    ],
+    connections: [{ fromPiece: 'h', fromPoint: 'neck', toPiece: 'b', toPoint: 'top', metadata: {} }],
+    groups: []
+  }
+};
+const fromV2 = migrateProject(v2);
+const migratedPieces = fromV2.data.assembly.pieces;
+check('2.x runs one migration', fromV2.applied.length === 1 && fromV2.fromVersion === '2.0.0');
+check('2.x result validates', validateProject(fromV2.data).valid, JSON.stringify(validateProject(fromV2.data).errors));
+check('Map entries become point arrays', Array.isArray(migratedPieces[0].connectionPoints) &&
+  migratedPieces[0].connectionPoints[0].id === 'p-neck');
+check('Entry key used when point has no id', migratedPieces[1].connectionPoints[0].id === 'top');
+check('Point names resolved to ids', fromV2.data.assembly.connections[0].point1Id === 'p-neck');
+check('Connected points marked occupied', migratedPieces[0].connectionPoints[0].isOccupied === true);
+check('Missing piece name filled in', migratedPieces[0].name === 'Head');
+check('Safe-type markers dropped', !('__safe' in migratedPieces[0].position));
+
+const current = migrateProject(currentProject());
+check('Current format passes through', current.applied.length === 0);
+check('Newer major is refused', thrown(() => migrateProject({ ...currentProject(), version: '4.0.0' }))?.code === 'UNSUPPORTED_VERSION');
+check('Non-project rejected', thrown(() => migrateProject({ hello: 'world' }))?.code === 'INVALID_PROJECT');
+
+// Test 3: Import and export
+console.log('\nTEST 3: Import and export');
+console.log('-------------------------');
+
+const manager = new ExportImportManager();
+const asFile = (content, name) => Object.assign(new Blob([content]), { name });
+
+const v2Import = await manager.import(asFile(JSON.stringify(v2), 'cat.c3d'));
+check('Imports 2.x file', v2Import.assembly.pieces.size === 2);
+check('Import reports migration', v2Import.metadata.migratedFrom === '2.0.0');
+check('Imported connection set', v2Import.assembly.connections.size === 1);
+
+const invalid = currentProject();
+invalid.assembly.pieces[0].scale = null;
+let importError = null;
+try {
+  await manager.import(asFile(JSON.stringify(invalid), 'bad.c3d'));
+} catch (error) {
+  importError = error;
+}
+check('Invalid file rejected', importError?.code === 'INVALID_PROJECT');
+check('Error lists the path', /assembly\.pieces\[0\]\.scale/.test(importError?.message || ''));
+
+// Live assembly with connection points as a Map and legacy from/to connections
+const live = {
+  id: 'live', name: 'Live',
+  pieces: new Map([
+    ['h', { id: 'h', type: 'head', color: '#123456', position: { x: 0, y: 1, z: 0 },
+      rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 },
+      connectionPoints: new Map([['neck', point('neck')]]), metadata: {} }],
+    ['b', { id: 'b', name: 'Body', type: 'body', color: '#654321', position: { x: 0, y: 0, z: 0 },
+      rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 },
+      rounds: [{ round: 1, stitches: 6, instruction: 'MR 6 sc' }],
+      connectionPoints: [point('top')], metadata: {} }]
+  ]),
+  connections: new Set([{ fromPiece: 'h', fromPoint: 'neck', toPiece: 'b', toPoint: 'top' }])
+};
+
+const exported = await manager.export(live, 'json', { compress: false });
+const written = JSON.parse(exported.content);
+check('Export writes current format', written.format === PROJECT_FORMAT && written.version === CURRENT_FORMAT_VERSION);
+check('Export validates against schema', validateProject(written).valid, JSON.stringify(validateProject(written).errors));
+
+const packed = await manager.export(live, 'json');
+const roundTrip = await manager.import(asFile(packed.content, 'live.c3d'));
+check('Compressed round-trip', roundTrip.assembly.pieces.get('b').rounds[0].stitches === 6);
+check('Round-trip needs no migration', roundTrip.metadata.migratedFrom === null);
+
+const backup = await manager.export(live, 'backup');
+const restored = await manager.import(asFile(backup.content, 'live.c3d-backup'));
+check('Backup keeps pieces', restored.assembly.pieces.size === 2);
+
+summary('PROJECT SCHEMA');
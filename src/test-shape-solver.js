@@ -0,0 +1,120 @@
+// src/test-shape-solver.js
+// Test suite for the amigurumi shape solver and the meshes built from it
+
+import { solvePieceShape, stitchSize, roundRadius, roundHeight, classifyGrowth, segmentsFor, STITCH_HEIGHTS, DEFAULT_GAUGE } from './models/shapeSolver.js';
+import { PieceFactory } from './models/pieceFactory.js';
+import { HEAD_TEMPLATE } from './models/pieceTemplates.js';
+import { CrochetPattern } from './types/patternModel.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== SHAPE SOLVER TEST ===\n');
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+
+const FLAT_CIRCLE = 'Rnd 1: 6 sc in MR\nRnd 2: inc x6\nRnd 3: (sc, inc) x6\nRnd 4: (2 sc, inc) x6';
+const DC_CIRCLE = 'Rnd 1: 12 dc in MR\nRnd 2: dc inc x12\nRnd 3: (dc, dc inc) x12';
+const BOWL = 'Rnd 1: 6 sc in MR\nRnd 2: inc x6\nRnd 3: (2 sc, inc) x4\nRnd 4: (3 sc, inc) x4\nRnd 5: (4 sc, inc) x4';
+const RUFFLE = 'Rnd 1: 6 sc in MR\nRnd 2: inc x6\nRnd 3: inc x12\nRnd 4: inc x24';
+const TUBE = 'Rnd 1: ch 20, join\nRnd 2: sc around\nRnd 3: sc around';
+
+// Test 1: Gauge and stitches
+console.log('TEST 1: Gauge and stitches');
+console.log('--------------------------');
+
+const size = stitchSize();
+check('Stitch size from gauge', close(size.width, 0.5 * 0.35) && close(size.height, (10 / 21) * 0.35));
+check('Tighter gauge, smaller stitches', stitchSize({ stitchesPer10cm: 30 }).width < size.width &&
+  stitchSize({ stitchesPer10cm: 30 }).height === size.height);
+check('Round radius from circumference', close(roundRadius(36), (36 * size.width) / (2 * Math.PI)));
+check('Taller stitches, taller rounds', STITCH_HEIGHTS.sc < STITCH_HEIGHTS.hdc && STITCH_HEIGHTS.hdc < STITCH_HEIGHTS.dc &&
+  STITCH_HEIGHTS.dc < STITCH_HEIGHTS.tr);
+const mixed = CrochetPattern.from('Rnd 1: 6 sc in MR\nRnd 2: (sc, dc) x6').rounds[1];
+check('Mixed rounds average their stitches', close(roundHeight(mixed), 1.5));
+check('Growth classified', classifyGrowth(1) === 'flat' && classifyGrowth(0.5) === 'cupping' && classifyGrowth(0) === 'straight' &&
+  classifyGrowth(-1) === 'decreasing' && classifyGrowth(1.5) === 'ruffling');
+
+// Test 2: Flat, cupping and ruffling
+console.log('\nTEST 2: Flat, cupping and ruffling');
+console.log('----------------------------------');
+
+const flat = solvePieceShape(FLAT_CIRCLE);
+check('Six increases a round lie flat in sc', flat.rounds.every(round => round.behaviour === 'flat') && close(flat.height, 0),
+  flat.rounds.map(r => r.behaviour).join(','));
+check('Twelve lie flat in dc', solvePieceShape(DC_CIRCLE).rounds.every(round => round.behaviour === 'flat'));
+check('Twelve in sc ruffle', solvePieceShape('Rnd 1: 6 sc in MR\nRnd 2: inc x6\nRnd 3: inc x12').rounds[2].behaviour === 'ruffling');
+
+const bowl = solvePieceShape(BOWL);
+check('Fewer increases cup upward', bowl.rounds.slice(2).every(round => round.behaviour === 'cupping') && bowl.height > 0);
+check('Cupped rounds keep their size', bowl.rounds.every(round => close(round.radius, round.targetRadius)));
+check('Each cupped round one stitch height along the fabric', bowl.rounds.slice(2).every((round, i) => {
+  const previous = bowl.rounds[i + 1];
+  return close(Math.hypot(round.radius - previous.radius, round.y - previous.y), round.height, 1e-9);
+}));
+
+const ruffle = solvePieceShape(RUFFLE);
+check('Ruffled rounds held to what the fabric spans', ruffle.rounds.slice(2).every(round =>
+  round.radius < round.targetRadius && close(round.radius - ruffle.rounds[round.number - 2].radius, round.height * 1.1)));
+check('Surplus becomes waves', ruffle.ruffleWaves >= 3 && ruffle.rounds[3].ruffle > ruffle.rounds[2].ruffle &&
+  ruffle.rounds[1].ruffle === 0);
+check('Wave amplitude takes up the surplus', ruffle.rounds.slice(2).every(round => {
+  const length = 2 * Math.PI * round.radius * (1 + ((round.ruffle * ruffle.ruffleWaves) / (2 * round.radius)) ** 2);
+  return close(length, 2 * Math.PI * round.targetRadius, 1e-9);
+}));
+
+// Test 3: Whole pieces
+console.log('\nTEST 3: Whole pieces');
+console.log('--------------------');
+
+const head = solvePieceShape(HEAD_TEMPLATE.createPiece().rounds);
+const behaviours = head.rounds.map(round => round.behaviour);
+check('Head increases, walls, then decreases', behaviours.slice(0, 6).every(b => b === 'flat') &&
+  behaviours.slice(6, 9).every(b => b === 'straight') && behaviours.slice(9).every(b => b === 'decreasing'), behaviours.join(','));
+check('Decreases curve inward', head.rounds[11].radius < head.rounds[8].radius && head.rounds[11].y >= head.rounds[8].y);
+check('Centred on its mid-height', close(head.profile[0].y, -head.height / 2) && close(head.rounds[11].y, head.height / 2));
+check('Magic ring closes the start', head.closedStart && head.profile[0].radius === 0 && head.profile.length === 13);
+check('Open top left open', !head.closedEnd && head.profile[head.profile.length - 1].radius > 0);
+
+const ball = solvePieceShape('Rnd 1: 6 sc in MR\nRnd 2: inc x6\nRnd 3: sc around\nRnd 4: dec x6');
+check('Small last round drawn shut', ball.closedEnd && ball.profile[ball.profile.length - 1].radius === 0);
+
+const tube = solvePieceShape(TUBE);
+check('Chain start stays open', !tube.closedStart && tube.profile[0].radius > 0 && tube.profile.length === 3);
+check('Even rounds rise straight', tube.rounds.slice(1).every(round => round.behaviour === 'straight') &&
+  close(tube.height, 2 * size.height));
+check('Empty pattern has no shape', solvePieceShape('') === null);
+
+// Test 4: Meshes
+console.log('\nTEST 4: Meshes');
+console.log('--------------');
+
+const factory = new PieceFactory();
+const headGeometry = factory.createRevolvedGeometry(HEAD_TEMPLATE.createPiece().rounds);
+const positions = headGeometry.attributes.position;
+let widest = 0;
+let lowest = Infinity;
+let highest = -Infinity;
+for (let i = 0; i < positions.count; i++) {
+  widest = Math.max(widest, Math.hypot(positions.getX(i), positions.getZ(i)));
+  lowest = Math.min(lowest, positions.getY(i));
+  highest = Math.max(highest, positions.getY(i));
+}
+check('Mesh follows the solved profile', close(widest, head.maxRadius, 1e-5) && close(highest - lowest, head.height, 1e-5));
+check('A segment per stitch of the widest round', positions.count === (36 + 1) * 13);
+check('Segments bounded', segmentsFor({ rounds: [{ count: 500 }], ruffleWaves: 0 }) === 96 &&
+  segmentsFor({ rounds: [{ count: 6 }], ruffleWaves: 0 }, 8) === 8);
+
+const ruffleGeometry = factory.createRevolvedGeometry(RUFFLE);
+const outer = ruffle.profile.length - 1;
+const ruffleSegments = segmentsFor(ruffle);
+const edgeHeights = [];
+for (let i = 0; i <= ruffleSegments; i++) edgeHeights.push(ruffleGeometry.attributes.position.getY(i * ruffle.profile.length + outer));
+check('Ruffled edge waves up and down', close(Math.max(...edgeHeights), ruffle.rounds[3].ruffle, 1e-3) &&
+  close(Math.min(...edgeHeights), -ruffle.rounds[3].ruffle, 1e-3));
+check('Ruffled mesh stays closed at the centre', close(ruffleGeometry.attributes.position.getX(0), 0) &&
+  close(ruffleGeometry.attributes.position.getZ(0), 0));
+
+const tight = new PieceFactory({ gauge: { ...DEFAULT_GAUGE, stitchesPer10cm: 28, roundsPer10cm: 30 } });
+check('Factory gauge sizes the piece', tight.calculateRadius(36) < factory.calculateRadius(36) &&
+  close(factory.calculateRadius(36), roundRadius(36)));
+
+summary('SHAPE SOLVER');
@@ -0,0 +1,115 @@
+// src/test-stitch-glyphs.js
+// Test suite for the stitch-level view: instanced glyphs and picking
+
+import * as THREE from 'three';
+import { createStitchGlyphs, pickStitch, highlightStitches, describeStitch, sameStitch, GLYPH_COLORS } from './models/stitchGlyphs.js';
+import { parsePatternWithDiagnostics, locateSource } from './lib/simpleParser.js';
+import { CrochetPattern } from './types/patternModel.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== STITCH GLYPHS TEST ===\n');
+
+const TEXT = 'Rnd 1: 6 sc in MR\nRnd 2: inc x6\nRnd 3: (sc, inc) x6\nRnd 4: (hdc, dc) x9\nRnd 5: (sc, dec) x6';
+
+// Aim a ray from outside the piece straight at a stitch's glyph
+function rayAt(group, info) {
+  const mesh = group.children.find(child => child.userData.stitches.includes(info));
+  const matrix = new THREE.Matrix4();
+  mesh.getMatrixAt(mesh.userData.stitches.indexOf(info), matrix);
+  const centre = new THREE.Vector3().setFromMatrixPosition(matrix).applyMatrix4(group.matrixWorld);
+  const out = new THREE.Vector3().setFromMatrixColumn(matrix, 2).normalize();
+  return new THREE.Raycaster(centre.clone().addScaledVector(out, 2), out.negate());
+}
+
+const instanceColor = (group, info) => {
+  const mesh = group.children.find(child => child.userData.stitches.includes(info));
+  const color = new THREE.Color();
+  mesh.getColorAt(mesh.userData.stitches.indexOf(info), color);
+  return `#${color.getHexString()}`;
+};
+
+const allStitches = group => group.children.flatMap(mesh => mesh.userData.stitches);
+
+// Test 1: Instanced glyphs
+console.log('TEST 1: Instanced glyphs');
+console.log('------------------------');
+
+// The same rounds the pattern input hands to the viewer
+const { rounds } = parsePatternWithDiagnostics(TEXT);
+const model = CrochetPattern.from(rounds);
+const glyphs = createStitchGlyphs(rounds);
+const meshes = glyphs.children;
+check('One InstancedMesh per stitch type', meshes.every(mesh => mesh.isInstancedMesh) &&
+  meshes.map(mesh => mesh.name).sort().join(',') === 'stitches_dc,stitches_hdc,stitches_sc', meshes.map(m => m.name).join(','));
+const totals = model.getStitchTotals();
+check('An instance for every stitch', meshes.every(mesh => mesh.count === totals[mesh.name.replace('stitches_', '')]) &&
+  glyphs.userData.stitchCount === model.getTotalStitches());
+const heightOf = name => {
+  const mesh = meshes.find(m => m.name === name);
+  mesh.geometry.computeBoundingBox();
+  return mesh.geometry.boundingBox.max.y - mesh.geometry.boundingBox.min.y;
+};
+check('Taller stitches, taller glyphs', heightOf('stitches_sc') < heightOf('stitches_hdc') && heightOf('stitches_hdc') < heightOf('stitches_dc'));
+const round3 = allStitches(glyphs).filter(info => info.round === 3);
+check('Stitches spread evenly around the round', round3.length === 18 && new Set(round3.map(info => info.index)).size === 18);
+check('Shaping coloured', instanceColor(glyphs, round3.find(info => info.shaping === 'increase')) === GLYPH_COLORS.increase &&
+  instanceColor(glyphs, allStitches(glyphs).find(info => info.shaping === 'decrease')) === GLYPH_COLORS.decrease &&
+  instanceColor(glyphs, round3.find(info => info.shaping === 'none')) === GLYPH_COLORS.stitch);
+check('Only the rounds built so far', createStitchGlyphs(rounds, { rounds: 2 }).userData.stitchCount === 18);
+check('Nothing for an empty pattern', createStitchGlyphs('').children.length === 0);
+
+// Test 2: Picking
+console.log('\nTEST 2: Picking');
+console.log('---------------');
+
+glyphs.updateMatrixWorld(true);
+const target = round3.find(info => info.index === 6);
+const picked = pickStitch(glyphs, rayAt(glyphs, target));
+check('Ray finds the stitch it was aimed at', picked === target, picked ? describeStitch(picked) : 'nothing');
+check('Round and index of the stitch', picked?.round === 3 && picked?.index === 6 && picked?.count === 18);
+const lines = TEXT.split('\n');
+check('Instruction token traced to the text', picked?.source?.line === 3 &&
+  lines[2].substr(picked.source.column - 1, picked.source.text.length) === picked.token && picked.token === 'sc',
+  JSON.stringify(picked?.source));
+const increase = round3.find(info => info.shaping === 'increase');
+check('Increases point at "inc"', pickStitch(glyphs, rayAt(glyphs, increase))?.token === 'inc');
+check('Described for the viewer', describeStitch(increase) === `Round 3, stitch ${increase.index + 1} of 18: inc (increase)`);
+
+glyphs.position.set(1, 2, 3);
+glyphs.scale.setScalar(2.5);
+glyphs.updateMatrixWorld(true);
+const dc = allStitches(glyphs).find(info => info.type === 'dc');
+check('Picking follows the group transform', pickStitch(glyphs, rayAt(glyphs, dc)) === dc);
+const rebuilt = allStitches(createStitchGlyphs(rounds)).find(info => info.round === 3 && info.index === 6);
+check('Same stitch across rebuilt glyphs', rebuilt !== target && sameStitch(rebuilt, target) &&
+  !sameStitch(target, increase) && !sameStitch(target, null));
+check('Empty space picks nothing', pickStitch(glyphs, new THREE.Raycaster(new THREE.Vector3(50, 50, 50), new THREE.Vector3(0, 1, 0))) === null);
+
+// Test 3: Highlighting
+console.log('\nTEST 3: Highlighting');
+console.log('--------------------');
+
+highlightStitches(glyphs, { hovered: dc, selected: increase });
+check('Hovered and selected stitches lit', instanceColor(glyphs, dc) === GLYPH_COLORS.hovered &&
+  instanceColor(glyphs, increase) === GLYPH_COLORS.selected);
+check('Others keep their colour', instanceColor(glyphs, target) === GLYPH_COLORS.stitch);
+const hoveredToken = locateSource(TEXT, dc.source);
+const selectedToken = locateSource(TEXT, increase.source);
+check('Hovered stitch found in the pattern text', hoveredToken?.lineText === lines[dc.source.line - 1] &&
+  TEXT.slice(hoveredToken.offset, hoveredToken.offset + hoveredToken.end - hoveredToken.start) === dc.token &&
+  dc.token === 'dc');
+check('Hovered and selected stitches point at their own tokens', selectedToken &&
+  selectedToken.offset !== hoveredToken.offset && selectedToken.lineText.slice(selectedToken.start, selectedToken.end) === 'inc');
+check('Edited text no longer located', locateSource(TEXT.replace('(hdc, dc)', '(hdc, tr)'), dc.source) === null);
+
+highlightStitches(glyphs);
+check('Cleared highlight restores colours', instanceColor(glyphs, increase) === GLYPH_COLORS.increase &&
+  instanceColor(glyphs, dc) === GLYPH_COLORS.stitch);
+
+const legacy = createStitchGlyphs([{ round: 1, stitches: 6, instruction: '6 sc in magic ring' }, { round: 2, stitches: 12, instruction: '2 sc in each (12)' }]);
+check('Saved patterns still described', allStitches(legacy).every(info => info.token && describeStitch(info).startsWith(`Round ${info.round}`)));
+const striped = createStitchGlyphs('Rnd 1: 6 sc in MR\nChange to B.\nRnd 2: sc around', { color: '#ff0000' });
+check('Colourwork shown in its yarn', allStitches(striped).filter(info => info.round === 2).every(info => instanceColor(striped, info) !== '#ff0000') &&
+  allStitches(striped).filter(info => info.round === 1).every(info => instanceColor(striped, info) === '#ff0000'));
+
+summary('STITCH GLYPHS');
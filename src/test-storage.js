@@ -0,0 +1,268 @@
+// src/test-storage.js
+// Test suite for the storage backends, quota handling and backup eviction
+
+import {
+  storage,
+  StorageManager,
+  MemoryBackend,
+  LocalStorageBackend,
+  IndexedDBBackend,
+  byteSize
+} from './utils/storageManager.js';
+import { RecoverySystem } from './utils/recoverySystem.js';
+import { UndoRedoSystem } from './utils/undoRedoSystem.js';
+import { snapshotPiece } from './utils/assemblyCommands.js';
+import { HistoryTimelineManager } from './utils/historyTimelineManager.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== STORAGE TEST ===\n');
+
+// A Storage-like object that throws like a browser when full
+function createWebStorage(limit) {
+  const items = new Map();
+  const size = () => Array.from(items).reduce((total, [key, value]) => total + byteSize(key, value), 0);
+  return {
+    items,
+    get length() { return items.size; },
+    key: index => Array.from(items.keys())[index] ?? null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      const before = items.get(key);
+      items.set(key, value);
+      if (size() > limit) {
+        if (before === undefined) items.delete(key); else items.set(key, before);
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+    },
+    removeItem: key => items.delete(key)
+  };
+}
+
+// Just enough of IndexedDB for one object store; full makes writes abort
+function createFakeIndexedDB() {
+  const fake = { records: new Map(), full: false, failOpen: false };
+  const db = {
+    transaction() {
+      const tx = {};
+      const writes = [];
+      let cursorRequest = null;
+      tx.objectStore = () => ({
+        put: (value, key) => writes.push(() => fake.records.set(key, value)),
+        delete: key => writes.push(() => fake.records.delete(key)),
+        openCursor: () => {
+          cursorRequest = { result: null, onsuccess: null };
+          return cursorRequest;
+        }
+      });
+      setTimeout(() => {
+        if (cursorRequest) {
+          Array.from(fake.records).forEach(([key, value]) => {
+            cursorRequest.result = { key, value, continue: () => {} };
+            cursorRequest.onsuccess();
+          });
+          cursorRequest.result = null;
+          cursorRequest.onsuccess();
+        }
+        if (writes.length > 0 && fake.full) {
+          tx.error = { name: 'QuotaExceededError' };
+          tx.onabort();
+          return;
+        }
+        writes.forEach(write => write());
+        tx.oncomplete();
+      });
+      return tx;
+    }
+  };
+  fake.indexedDB = {
+    open() {
+      const request = { result: null, error: null };
+      setTimeout(() => {
+        if (fake.failOpen) {
+          request.error = new Error('Blocked');
+          request.onerror();
+          return;
+        }
+        request.result = { ...db, createObjectStore: () => {} };
+        request.onupgradeneeded?.();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+  return fake;
+}
+
+const backupKey = (assemblyId, timestamp) => `backup_${assemblyId}_${timestamp}`;
+
+// Test 1: Memory backend and eviction
+console.log('TEST 1: Memory backend and eviction');
+console.log('-----------------------------------');
+
+const memory = new StorageManager(new MemoryBackend());
+check('Writes and reads', memory.setItem('a', 'hello').success && memory.getItem('a') === 'hello' && memory.getItem('b') === null);
+check('Usage is estimated', memory.estimate().usage === byteSize('a', 'hello') && memory.estimate().quota === Infinity);
+memory.removeItem('a');
+check('Removing frees space', memory.estimate().usage === 0 && memory.keys().length === 0);
+
+const value = 'x'.repeat(100);
+const limited = new StorageManager(new MemoryBackend({ quota: byteSize(backupKey('bear', 1000), value) * 5 }));
+limited.setItem(backupKey('bear', 1000), value);
+limited.setItem(backupKey('bear', 2000), value);
+limited.setItem(backupKey('bear', 3000), value);
+limited.setItem(backupKey('cat', 1500), value);
+const errors = [];
+limited.onError(error => errors.push(error));
+const squeezed = limited.setItem('assembly_bear', 'y'.repeat(250));
+check('Full storage evicts old backups', squeezed.success && squeezed.evicted.join(',') === [backupKey('bear', 1000), backupKey('bear', 2000)].join(','),
+  JSON.stringify(squeezed.evicted));
+check('Newest backup of each assembly kept longest', limited.getItem(backupKey('bear', 3000)) !== null &&
+  limited.getItem(backupKey('cat', 1500)) !== null);
+const tooBig = limited.setItem('assembly_bear', 'z'.repeat(1000));
+check('Write that cannot fit is refused', !tooBig.success && tooBig.code === 'STORAGE_QUOTA_EXCEEDED' &&
+  limited.keys('backup_').length === 0 && limited.getItem('assembly_bear').startsWith('y'));
+check('Failure reported with a message for the user', errors.length === 1 && /Storage is full/.test(errors[0].message) &&
+  limited.lastError === errors[0]);
+check('Writing a backup never evicts itself', (() => {
+  const own = new StorageManager(new MemoryBackend({ quota: 100 }));
+  return !own.setItem(backupKey('bear', 1), 'x'.repeat(200)).success;
+})());
+
+// Test 2: localStorage backend
+console.log('\nTEST 2: localStorage backend');
+console.log('----------------------------');
+
+const webStorage = createWebStorage(byteSize(backupKey('bear', 1000), value) * 3);
+const local = new StorageManager(new LocalStorageBackend(webStorage));
+local.setItem(backupKey('bear', 1000), value);
+local.setItem(backupKey('bear', 2000), value);
+check('Keys listed by prefix', local.keys('backup_bear').length === 2 && local.keys('assembly_').length === 0);
+const localSave = local.setItem('assembly_bear', 'x'.repeat(150));
+check('Browser quota errors evict backups', localSave.success && localSave.evicted.length === 1 && webStorage.items.size === 2);
+const localFail = local.setItem('assembly_cat', 'x'.repeat(2000));
+check('And are reported when nothing is left', !localFail.success && localFail.code === 'STORAGE_QUOTA_EXCEEDED');
+check('Other errors are reported too', (() => {
+  const broken = new StorageManager(new LocalStorageBackend({ ...webStorage, setItem: () => { throw new Error('Disabled'); } }));
+  const result = broken.setItem('a', 'b');
+  return !result.success && result.code === 'STORAGE_WRITE_FAILED' && /Disabled/.test(result.message);
+})());
+
+// Test 3: IndexedDB backend
+console.log('\nTEST 3: IndexedDB backend');
+console.log('-------------------------');
+
+const fake = createFakeIndexedDB();
+fake.records.set('assembly_old', 'from-idb');
+const legacy = createWebStorage(Infinity);
+legacy.setItem('assembly_legacy', 'from-localStorage');
+legacy.setItem('theme', 'dark');
+const idbBackend = new IndexedDBBackend({ indexedDB: fake.indexedDB, legacy, navigatorStorage: null });
+const idb = new StorageManager(idbBackend);
+check('Legacy saves readable before the database opens', idb.getItem('assembly_legacy') === 'from-localStorage');
+idb.setItem('assembly_new', 'early');
+await idb.ready();
+check('Database contents loaded', idb.getItem('assembly_old') === 'from-idb' && idb.getItem('assembly_new') === 'early');
+await idb.flush();
+check('Legacy saves moved out of localStorage', fake.records.get('assembly_legacy') === 'from-localStorage' &&
+  legacy.getItem('assembly_legacy') === null && legacy.getItem('theme') === 'dark');
+check('Early writes reach the database', fake.records.get('assembly_new') === 'early');
+
+idb.removeItem('assembly_old');
+await idb.flush();
+check('Removals reach the database', !fake.records.has('assembly_old') && idb.getItem('assembly_old') === null);
+
+const idbErrors = [];
+idb.onError(error => idbErrors.push(error));
+fake.full = true;
+check('Writes return at once', idb.setItem('assembly_new', 'late').success && idb.getItem('assembly_new') === 'late');
+await idb.flush();
+check('Refused writes rolled back', idb.getItem('assembly_new') === 'early' && fake.records.get('assembly_new') === 'early');
+check('Refused writes reported', idbErrors.length === 1 && idbErrors[0].code === 'STORAGE_QUOTA_EXCEEDED' && idbErrors[0].key === 'assembly_new');
+fake.full = false;
+
+const quotaFake = createFakeIndexedDB();
+const estimated = new StorageManager(new IndexedDBBackend({
+  indexedDB: quotaFake.indexedDB,
+  legacy: null,
+  navigatorStorage: { estimate: () => Promise.resolve({ usage: 400, quota: 1000 }) }
+}));
+await estimated.ready();
+const estimate = estimated.estimate();
+check('Quota taken from the browser estimate', estimate.quota === 1000 && estimate.available === 600 && estimate.percentUsed === 40);
+check('Writes over the quota refused up front', !estimated.setItem('assembly_big', 'x'.repeat(400)).success &&
+  estimated.getItem('assembly_big') === null);
+
+const blocked = createFakeIndexedDB();
+blocked.failOpen = true;
+const fallback = new StorageManager(new IndexedDBBackend({ indexedDB: blocked.indexedDB, legacy: null, navigatorStorage: null }));
+fallback.setItem('assembly_kept', 'safe');
+await fallback.ready();
+check('Falls back when IndexedDB cannot open', fallback.backendName !== 'indexedDB' && fallback.getItem('assembly_kept') === 'safe');
+
+// Test 4: Saves, backups and the timeline
+console.log('\nTEST 4: Saves, backups and the timeline');
+console.log('---------------------------------------');
+
+function makeAssembly(id) {
+  const assembly = new Assembly('pro');
+  assembly.id = id;
+  assembly.name = id;
+  const piece = new CrochetPiece({ id: `${id}-head`, name: 'Head', type: 'head', color: '#ff0000', rounds: [{ round: 1, stitches: 6 }] });
+  assembly.addPiece(piece);
+  return assembly;
+}
+
+storage.setBackend(new MemoryBackend());
+const bear = makeAssembly('bear');
+const saved = bear.save();
+check('Assembly saves through the storage manager', saved.success && storage.getItem('assembly_bear') !== null &&
+  storage.keys('backup_bear_').length === 1, JSON.stringify(saved));
+const loaded = await Assembly.load('bear');
+check('And loads back', loaded && loaded.pieces.has('bear-head'));
+
+const recovery = new RecoverySystem();
+const saveSize = storage.estimate().usage;
+storage.setBackend(new MemoryBackend());
+for (let i = 0; i < 3; i++) {
+  recovery.backupManager.createBackup('cat', { id: 'cat', pieces: [], timestamp: i });
+  await new Promise(resolve => setTimeout(resolve, 2));
+}
+const evictedBackups = storage.keys('backup_cat_').length;
+storage.backend.quota = storage.estimate().usage + saveSize / 2;
+const squeezedSave = makeAssembly('bear').save();
+check('Saving makes room by removing old backups', squeezedSave.success && storage.keys('backup_cat_').length < evictedBackups,
+  `${storage.keys('backup_cat_').length} of ${evictedBackups}`);
+
+storage.setBackend(new MemoryBackend({ quota: 200 }));
+const saveErrors = [];
+const unsubscribe = storage.onError(error => saveErrors.push(error));
+const failedSave = makeAssembly('bear').save();
+check('Save that cannot be written says why', !failedSave.success && failedSave.code === 'STORAGE_QUOTA_EXCEEDED' &&
+  /could not be saved/.test(failedSave.message), JSON.stringify(failedSave));
+check('UI listeners hear about it', saveErrors.some(error => error.key === 'assembly_bear'));
+const failedBackup = recovery.createSafetyBackup('bear', { id: 'bear' }, 'test');
+check('Backups that cannot be written say why', !failedBackup.success && failedBackup.code === 'STORAGE_QUOTA_EXCEEDED');
+unsubscribe();
+
+storage.setBackend(new MemoryBackend());
+const fox = new Assembly('pro');
+const system = new UndoRedoSystem(50, { assembly: fox });
+const head = new CrochetPiece({ id: 'head', name: 'Head', type: 'head', color: '#ff0000' });
+head.position = { x: 0, y: 0, z: 0 };
+system.execute({ type: 'add_piece', piece: snapshotPiece(head) });
+system.execute({ type: 'move_piece', pieceId: 'head', to: { x: 2, y: 0, z: 0 } });
+const timeline = new HistoryTimelineManager(system);
+timeline.toggleBookmark(system.history[1].id);
+check('Timeline saved', timeline.saveToStorage('fox').success && storage.getItem('timeline_fox') !== null);
+
+const reopened = new UndoRedoSystem(50, { assembly: fox });
+const reopenedTimeline = new HistoryTimelineManager(reopened);
+check('Timeline loaded with its undo history', reopenedTimeline.loadFromStorage('fox').success &&
+  reopened.history.length === 2 && reopenedTimeline.timeline.length === 2 && reopenedTimeline.bookmarks.has(system.history[1].id));
+check('Undo works after loading', reopened.undo().success && fox.pieces.get('head').position.x === 0);
+check('Missing timeline reported', !reopenedTimeline.loadFromStorage('nope').success);
+
+summary('STORAGE');
@@ -0,0 +1,144 @@
+// src/test-stuffing.js
+// Test suite for the stuffing simulation and stuffed sizes
+
+import * as THREE from 'three';
+import { stuffGeometry, stretchFor, isStuffable, measureGeometry, DEFAULT_FIRMNESS } from './models/stuffingSimulator.js';
+import { solvePieceShape } from './models/shapeSolver.js';
+import { PieceFactory } from './models/pieceFactory.js';
+import { HEAD_TEMPLATE } from './models/pieceTemplates.js';
+import { buildExportMeshes } from './utils/meshExporter.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { InstructionsGenerator } from './utils/instructionsGenerator.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== STUFFING TEST ===\n');
+
+const BALL = 'Rnd 1: 6 sc in MR\nRnd 2: inc x6\nRnd 3: (sc, inc) x6\nRnd 4: (2 sc, inc) x6\nRnd 5-8: sc around\nRnd 9: (2 sc, dec) x6\nRnd 10: (sc, dec) x6\nRnd 11: dec x6';
+const STRIPED_BALL = BALL.replace('Rnd 5-8: sc around', 'Rnd 5-6: sc around\nChange to B.\nRnd 7-8: sc around');
+const TUBE = 'Rnd 1: ch 20, join\nRnd 2-4: sc around';
+
+const plain = new PieceFactory();
+
+// Test 1: Closed pieces
+console.log('TEST 1: Closed pieces');
+console.log('---------------------');
+
+check('Stretch grows with firmness', stretchFor(0) < stretchFor(0.5) && stretchFor(0.5) < stretchFor(1) && stretchFor(2) === stretchFor(1));
+check('Pieces with a closed end hold stuffing', isStuffable(solvePieceShape(BALL)) &&
+  isStuffable(solvePieceShape(HEAD_TEMPLATE.createPiece().rounds)) && !isStuffable(solvePieceShape(TUBE)));
+
+const ball = plain.createRevolvedGeometry(BALL);
+const before = measureGeometry(ball);
+const result = stuffGeometry(ball, { firmness: DEFAULT_FIRMNESS });
+const after = measureGeometry(ball);
+check('Closed piece stuffed', result.stuffed && result.closed && result.pinned === 0);
+check('Stuffing fills it out', result.volumeAfter > result.volumeBefore * 1.3,
+  `${result.volumeBefore.toFixed(3)} → ${result.volumeAfter.toFixed(3)}`);
+check('Flat ends bulge into a rounder piece', after.height / after.width > 1.5 * (before.height / before.width) &&
+  after.height / after.width < 1.1, `${(before.height / before.width).toFixed(2)} → ${(after.height / after.width).toFixed(2)}`);
+check('Stays round about its axis', Math.abs(after.width - after.depth) < after.width * 0.02);
+
+const stretches = [];
+const positions = ball.attributes.position;
+const restBall = plain.createRevolvedGeometry(BALL);
+const restPositions = restBall.attributes.position;
+for (let t = 0; t < ball.index.count; t += 3) {
+  for (let k = 0; k < 3; k++) {
+    const i = ball.index.getX(t + k);
+    const j = ball.index.getX(t + ((k + 1) % 3));
+    const rest = new THREE.Vector3().fromBufferAttribute(restPositions, i).distanceTo(new THREE.Vector3().fromBufferAttribute(restPositions, j));
+    if (rest > 1e-6) {
+      stretches.push(new THREE.Vector3().fromBufferAttribute(positions, i).distanceTo(new THREE.Vector3().fromBufferAttribute(positions, j)) / rest);
+    }
+  }
+}
+check('No stitch stretched past the yarn', Math.max(...stretches) < 1 + stretchFor(DEFAULT_FIRMNESS) + 0.02,
+  Math.max(...stretches).toFixed(3));
+check('Fabric does not bunch up', Math.min(...stretches) > 0.88, Math.min(...stretches).toFixed(3));
+check('Normals point outward', (() => {
+  const normal = ball.attributes.normal;
+  let outward = 0;
+  for (let i = 0; i < positions.count; i++) {
+    if (normal.getX(i) * positions.getX(i) + normal.getY(i) * positions.getY(i) + normal.getZ(i) * positions.getZ(i) > 0) outward++;
+  }
+  return outward / positions.count > 0.95;
+})());
+
+const firm = plain.createRevolvedGeometry(BALL);
+const soft = plain.createRevolvedGeometry(BALL);
+check('Firmer stuffing, fuller piece', stuffGeometry(firm, { firmness: 1 }).volumeAfter > stuffGeometry(soft, { firmness: 0.2 }).volumeAfter);
+const untouched = plain.createRevolvedGeometry(BALL);
+const unstuffed = stuffGeometry(untouched, { firmness: 0 });
+check('Zero firmness leaves it as crocheted', !unstuffed.stuffed &&
+  untouched.attributes.position.array.every((value, i) => value === restPositions.array[i]));
+
+// Test 2: Open pieces
+console.log('\nTEST 2: Open pieces');
+console.log('-------------------');
+
+const head = plain.createRevolvedGeometry(HEAD_TEMPLATE.createPiece().rounds);
+const headRest = head.attributes.position.array.slice();
+const headResult = stuffGeometry(head, { firmness: DEFAULT_FIRMNESS });
+const rings = solvePieceShape(HEAD_TEMPLATE.createPiece().rounds).profile.length;
+let rimFixed = true;
+for (let i = rings - 1; i < head.attributes.position.count; i += rings) {
+  for (let k = 0; k < 3; k++) {
+    if (Math.abs(head.attributes.position.array[i * 3 + k] - headRest[i * 3 + k]) > 1e-9) rimFixed = false;
+  }
+}
+check('Open rim sewn in place', !headResult.closed && headResult.pinned === 36 && rimFixed);
+check('Open pocket still fills out', measureGeometry(head).height > 2 * new THREE.Box3().setFromArray(headRest).getSize(new THREE.Vector3()).y);
+check('Volume only given for closed pieces', headResult.volumeBefore === null && headResult.volumeAfter === null);
+
+const tube = new PieceFactory({ firmness: 1 }).createRevolvedGeometry(TUBE);
+check('Tube open at both ends not stuffed', tube.attributes.position.array.every((value, i) =>
+  value === plain.createRevolvedGeometry(TUBE).attributes.position.array[i]));
+
+// Test 3: Factory and sizes
+console.log('\nTEST 3: Factory and sizes');
+console.log('-------------------------');
+
+const stuffedFactory = new PieceFactory({ firmness: DEFAULT_FIRMNESS });
+const sizeBefore = plain.measurePiece(BALL);
+const sizeAfter = stuffedFactory.measurePiece(BALL);
+check('Sizes in cm', Math.abs(sizeBefore.width - (24 * 0.5) / Math.PI) < 0.01, sizeBefore.width.toFixed(3));
+check('Stuffed size larger', sizeAfter.width > sizeBefore.width && sizeAfter.height > 1.5 * sizeBefore.height);
+
+const striped = stuffedFactory.createRevolvedGeometry(STRIPED_BALL, 24, { color: '#ff0000', palette: { B: '#0000ff' } });
+check('Colourwork pieces stuffed too', Boolean(striped.attributes.color) && Math.abs(measureGeometry(striped).height / stuffedFactory.unitsPerCm - sizeAfter.height) < 0.05);
+check('Split faces stay joined', (() => {
+  const corners = new Map();
+  const p = striped.attributes.position;
+  const restStriped = plain.createRevolvedGeometry(STRIPED_BALL, 24, { color: '#ff0000', palette: { B: '#0000ff' } }).attributes.position;
+  for (let i = 0; i < p.count; i++) {
+    const key = [restStriped.getX(i), restStriped.getY(i), restStriped.getZ(i)].map(v => v.toFixed(6)).join(',');
+    const moved = [p.getX(i), p.getY(i), p.getZ(i)].join(',');
+    if (corners.has(key) && corners.get(key) !== moved) return false;
+    corners.set(key, moved);
+  }
+  return true;
+})());
+
+const assembly = {
+  name: 'Ball',
+  pieces: new Map([['ball', { id: 'ball', name: 'Ball', type: 'body', color: '#fbbf24', rounds: BALL, position: { x: 0, y: 0, z: 0 } }]]),
+  connections: []
+};
+const exported = buildExportMeshes(assembly, { firmness: DEFAULT_FIRMNESS });
+const exportedHeight = Math.max(...exported[0].positions.filter((_, i) => i % 3 === 1)) * 2;
+check('Exports can be stuffed', Math.abs(exportedHeight / stuffedFactory.unitsPerCm - sizeAfter.height) < 0.1);
+check('Export options carry firmness', new ExportImportManager().getMeshOptions({ metadata: { options: { firmness: 0.4 } } }).firmness === 0.4);
+
+const generator = new InstructionsGenerator();
+const size = generator.estimateSize(assembly);
+const flatSize = generator.estimateSize(assembly, 0);
+const [width, height] = size.match(/[\d.]+/g).map(Number);
+check('Finished size is the stuffed size', size.endsWith('(stuffed)') && Math.abs(width - sizeAfter.width) <= 0.25 &&
+  Math.abs(height - sizeAfter.height) <= 0.25, size);
+check('Unstuffed size on request', !flatSize.includes('stuffed') && Number(flatSize.match(/[\d.]+/g)[1]) < height, flatSize);
+generator.firmness = 0;
+check('Overview shows the size at the chosen firmness', generator.generateOverview(assembly).content.finalSize === flatSize);
+check('Positions used without patterns', generator.estimateSize({ pieces: new Map([['a', { id: 'a', position: { x: 0, y: 0, z: 0 } }]]) }) ===
+  'Approximately 10cm x 10cm x 10cm');
+
+summary('STUFFING');
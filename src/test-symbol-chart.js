@@ -0,0 +1,110 @@
+// src/test-symbol-chart.js
+// Test suite for the JIS/CYC symbol chart layout and SVG renderer
+
+import { layoutSymbolChart, renderSymbolChart, renderSymbolChartSVG } from './utils/symbolChart.js';
+import { PatternVisualizer } from './utils/patternVisualizer.js';
+import { parseSVG } from './utils/svgParser.js';
+import { PDFDocument } from './utils/pdfWriter.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== SYMBOL CHART TEST ===\n');
+
+const samePoint = (a, b) => Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.y - b.y) < 1e-6;
+const angleGap = (a, b) => Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+const viewBoxOf = svg => svg.match(/viewBox="([^"]+)"/)[1].split(' ').map(Number);
+const roundsIn = svg => [...new Set([...svg.matchAll(/class="stitch" data-round="(\d+)"/g)].map(m => m[1]))];
+
+const ball = `Rnd 1: 6 sc in MR (6)
+Rnd 2: inc x6 (12)
+Rnd 3: [sc, inc] x6 (18)
+Rnd 4: [2 sc, inc] x6 (24)
+Rnd 5: sc in blo around (24)
+Rnd 6: [2 sc, dec] x6, join (18)`;
+
+// Test 1: Radial placement
+console.log('TEST 1: Radial placement');
+console.log('------------------------');
+
+const radial = layoutSymbolChart(ball);
+const [r1, r2, r3, , r5, r6] = radial.rounds;
+check('Rounds laid out radially', radial.kind === 'radial' && radial.rounds.length === 6);
+check('Magic ring detected', radial.startsWithRing === true);
+check('Radius grows outwards', radial.rounds.every((r, i) => i === 0 || r.radius > radial.rounds[i - 1].radius));
+
+// Both stitches of an increase grow out of the same parent
+const incPairs = r2.stitches.filter(s => s.shaping === 'increase');
+check('Increase stitches marked', incPairs.length === 12, String(incPairs.length));
+check('Increase fans from one parent', samePoint(r2.stitches[0].bases[0], r2.stitches[1].bases[0]) &&
+  samePoint(r2.stitches[0].bases[0], r1.stitches[0].top));
+check('Increase children straddle their parent',
+  angleGap(r2.stitches[0].angle, r1.stitches[0].angle) < r2.angleStep &&
+  angleGap(r2.stitches[1].angle, r1.stitches[0].angle) < r2.angleStep);
+
+// A decrease has one base per stitch worked together
+const decrease = r6.stitches.find(s => s.shaping === 'decrease');
+check('Decrease converges from two parents', decrease?.bases.length === 2 &&
+  !samePoint(decrease.bases[0], decrease.bases[1]) &&
+  decrease.targets.every((t, i) => samePoint(decrease.bases[i], r5.stitches[t].top)));
+check('Decrease sits between its parents',
+  decrease.targets.every(t => angleGap(decrease.angle, r5.stitches[t].angle) < r5.angleStep * 1.5));
+
+// Plain stitches sit directly over their parent
+const plain = r3.stitches.find(s => s.shaping === 'none');
+check('Plain stitch over its parent', angleGap(plain.angle, r2.stitches[plain.targets[0]].angle) < r3.angleStep * 0.75);
+
+// Test 2: SVG output
+console.log('\nTEST 2: SVG output');
+console.log('------------------');
+
+const jis = renderSymbolChart(ball, { notation: 'jis' });
+const cyc = renderSymbolChart(ball, { notation: 'cyc' });
+check('One group per stitch', (jis.svg.match(/class="stitch"/g) || []).length === 6 + 12 + 18 + 24 + 24 + 18);
+check('Round starts marked', (jis.svg.match(/class="round-start"/g) || []).length === 6);
+check('Magic ring drawn', /stroke="#E91E63"/.test(jis.svg));
+check('Legend included', /class="legend"/.test(jis.svg));
+check('Notations differ', jis.svg !== cyc.svg && /data-notation="cyc"/.test(cyc.svg));
+check('SVG parses', parseSVG(jis.svg)?.children?.length > 0);
+
+const zoomed = renderSymbolChartSVG(radial, { fromRound: 3, toRound: 4 });
+check('Range shows only its rounds', roundsIn(zoomed).join(',') === '3,4', roundsIn(zoomed).join(','));
+check('Round below the range anchors it', /class="anchors"/.test(zoomed));
+check('Range zooms the view box', viewBoxOf(zoomed)[2] < viewBoxOf(jis.svg)[2] ||
+  viewBoxOf(zoomed)[3] < viewBoxOf(jis.svg)[3]);
+
+// Test 3: Flat pieces
+console.log('\nTEST 3: Flat pieces');
+console.log('-------------------');
+
+const flat = layoutSymbolChart(`Row 1: ch 6
+Row 2: sc across, ch 1, turn (6)
+Row 3: sc, inc, sc, sc2tog, sc, ch 1, turn (6)
+Row 4: dc across (6)`);
+check('Rows chart chosen for rows', flat.kind === 'rows');
+check('Rows alternate direction', flat.rounds[1].direction === -flat.rounds[2].direction,
+  flat.rounds.map(r => r.direction).join(','));
+check('Rows stack upwards', flat.rounds[3].stitches[0].top.y < flat.rounds[1].stitches[0].top.y);
+const rowInc = flat.rounds[2].stitches.filter(s => s.shaping === 'increase');
+check('Row increase shares a base', rowInc.length === 2 && samePoint(rowInc[0].bases[0], rowInc[1].bases[0]));
+check('Row decrease has two bases', flat.rounds[2].stitches.some(s => s.shaping === 'decrease' && s.bases.length === 2));
+check('Layout can be forced', layoutSymbolChart(ball, { layout: 'rows' }).kind === 'rows');
+
+// Test 4: Visualizer and export
+console.log('\nTEST 4: Visualizer and export');
+console.log('-----------------------------');
+
+const visualizer = new PatternVisualizer();
+const chart = visualizer.visualizePattern(ball, { type: 'symbol', notation: 'cyc' });
+check('Visualizer uses the renderer', chart.type === 'symbol' && /data-layout="radial"/.test(chart.svg));
+check('Visualizer keeps notation', chart.options.notation === 'cyc');
+check('Per-round symbols', chart.rounds[1].symbols.length === 12 && chart.rounds[1].symbols[0].shaping === 'increase');
+
+const exported = visualizer.exportAsSVG(chart, { fromRound: 5, toRound: 6 });
+check('Export renders a range', roundsIn(exported).join(',') === '5,6', roundsIn(exported).join(','));
+check('Export keeps chart notation', /data-notation="cyc"/.test(exported));
+check('Plain export is the chart', visualizer.exportAsSVG(chart) === chart.svg);
+
+const pdf = new PDFDocument();
+const drawn = pdf.drawSVG(chart.svg, 50, 100, 300, 300);
+check('Chart draws into a PDF', drawn?.height > 0 && drawn.height <= 300);
+
+summary('SYMBOL CHART');
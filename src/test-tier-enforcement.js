@@ -2,6 +2,7 @@
 // Run this in your browser console or as a separate test file
 
 import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { storage } from './utils/storageManager.js';
 
 console.log('=== TIER ENFORCEMENT TEST SUITE ===\n');
 
@@ -184,9 +185,9 @@ console.log('Safe data structure:', debugData);
 console.log('Has name?', debugData.name);
 console.log('Has pieces?', debugData.pieces);
 
-// Check what's actually in localStorage after save
+// Check what's actually in storage after save
 testDebug.save();
-const stored = localStorage.getItem(`assembly_${testDebug.id}`);
+const stored = storage.getItem(`assembly_${testDebug.id}`);
 if (stored) {
   const parsed = JSON.parse(stored);
   console.log('Stored data has name?', parsed.name);
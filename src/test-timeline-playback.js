@@ -0,0 +1,228 @@
+// src/test-timeline-playback.js
+// Test suite for timeline playback ("watch the build") and frame export
+
+import * as THREE from 'three';
+import { buildPlaybackSteps, TimelinePlayback, PlaybackScene, capturePlaybackFrames, packPlaybackFrames } from './utils/timelinePlayback.js';
+import { createZip } from './utils/zipWriter.js';
+import { crc32 } from './utils/deflate.js';
+import { HistoryTimelineManager } from './utils/historyTimelineManager.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== TIMELINE PLAYBACK TEST ===\n');
+
+function makePiece(id, name) {
+  const piece = new CrochetPiece({ id, name, type: 'body', color: '#a0522d', rounds: [{ round: 1, stitches: 6 }, { round: 2, stitches: 12 }] });
+  piece.position = { x: 0, y: 0, z: 0 };
+  piece.addConnectionPoint('top', { x: 0, y: 1, z: 0 }, ['bottom']);
+  piece.addConnectionPoint('bottom', { x: 0, y: -1, z: 0 }, ['top']);
+  return piece;
+}
+
+// Build a small figure with one history entry per change, a second apart
+const assembly = new Assembly('pro');
+const start = Date.now() - 60000;
+let clock = start;
+const realNow = Date.now;
+Date.now = () => (clock += 1000);
+assembly.addPiece(makePiece('head', 'Head'));
+assembly.addPiece(makePiece('body', 'Body'));
+assembly.connect('head', 'head-bottom', 'body', 'body-top');
+assembly.updatePiecePosition('head', { x: 0, y: 2, z: 0 });
+assembly.addPiece(makePiece('arm', 'Arm'));
+assembly.connect('arm', 'arm-top', 'body', 'body-bottom');
+assembly.createBackup('manual');
+assembly.updatePiece('arm', { name: 'Left Arm' });
+assembly.removePiece('arm');
+Date.now = realNow;
+
+// Test 1: Steps
+console.log('TEST 1: Steps');
+console.log('-------------');
+
+const steps = buildPlaybackSteps(assembly.history);
+check('One step per replayable change plus the start', steps.length === 9, `got ${steps.length}`);
+check('Notes give no step', !steps.some(step => step.action === 'backup_created'));
+check('Start is empty', steps[0].state.pieces.length === 0 && steps[0].description === 'Start');
+check('Steps describe the change', steps[3].description === 'Join Head to Body' && steps[8].description === 'Remove Left Arm');
+check('Each step holds the assembly at that point', steps[3].state.connections.length === 1 && steps[5].state.pieces.length === 3 &&
+  steps[8].state.pieces.length === 2 && steps[8].state.connections.length === 1);
+check('Moves replayed', steps[4].state.pieces.find(p => p.id === 'head').position.y === 2 &&
+  steps[2].state.pieces.find(p => p.id === 'head').position.y === 0);
+check('Changed pieces listed', steps[6].changed.join(',') === 'arm,body');
+check('Earlier steps not changed by later ones', steps[7].state.pieces.find(p => p.id === 'arm').name === 'Left Arm' &&
+  steps[6].state.pieces.find(p => p.id === 'arm').name === 'Arm');
+
+const legacy = buildPlaybackSteps([
+  { action: 'add_piece', pieceId: 'a', piece: makePiece('a', 'A').toSafeData() },
+  { action: 'add_piece', pieceId: 'b', piece: makePiece('b', 'B').toSafeData() },
+  { action: 'add_piece', pieceId: 'c', piece: makePiece('c', 'C').toSafeData() },
+  { action: 'connect', data: { piece1Id: 'a', point1Id: 'a-top', piece2Id: 'b', point2Id: 'b-bottom' } },
+  { action: 'connect', data: { piece1Id: 'b', point1Id: 'b-top', piece2Id: 'c', point2Id: 'c-bottom' } },
+  { action: 'move', pieceId: 'missing', newPosition: { x: 1, y: 0, z: 0 } }
+]);
+check('Connections without ids stay apart', legacy[legacy.length - 1].state.connections.length === 2);
+check('Entries that cannot be replayed skipped', legacy.length === 6);
+
+// Test 2: Playback controls
+console.log('\nTEST 2: Playback controls');
+console.log('-------------------------');
+
+// Hand-driven clock
+const pending = [];
+const timers = {
+  set: (fn, ms) => {
+    pending.push({ fn, ms });
+    return pending.length;
+  },
+  clear: id => {
+    if (pending[id - 1]) pending[id - 1].cancelled = true;
+  }
+};
+const tick = () => {
+  const next = pending.find(timer => !timer.cancelled && !timer.ran);
+  if (!next) return null;
+  next.ran = true;
+  next.fn();
+  return next.ms;
+};
+
+const playback = new TimelinePlayback(assembly.history, { stepDuration: 500, timers });
+const seen = [];
+playback.onChange(state => seen.push(state.index));
+
+check('Opens on the finished assembly', playback.index === 8 && playback.current.state.pieces.length === 2);
+playback.seek(3);
+playback.stepForward();
+playback.stepBack();
+playback.stepBack();
+check('Seek and step', playback.index === 2 && seen.join(',') === '3,4,3,2');
+check('Seeking clamps to the steps', playback.seek(-5).index === 0 && playback.seek(99).index === 8);
+
+playback.play();
+check('Playing from the end starts over', playback.playing && playback.index === 0);
+check('Steps advance on the timer', tick() === 500 && playback.index === 1);
+playback.setSpeed(4);
+check('Speed shortens the step time', tick() === 125 && playback.index === 2);
+playback.pause();
+check('Pause stops the timer', !playback.playing && tick() === null && playback.index === 2);
+
+playback.play();
+while (tick() !== null);
+check('Stops at the last step', !playback.playing && playback.index === 8);
+playback.toggle();
+playback.toggle();
+check('Toggle plays and pauses', !playback.playing && playback.index === 0);
+
+// Test 3: Markers
+console.log('\nTEST 3: Markers');
+console.log('---------------');
+
+const timeline = new HistoryTimelineManager(null);
+const bookmarked = timeline.addAction({ id: 'undo-3', type: 'connect', description: 'Join head', timestamp: steps[3].timestamp });
+timeline.addAction({ id: 'undo-5', type: 'add_piece', description: 'Add arm', timestamp: steps[5].timestamp });
+timeline.toggleBookmark(bookmarked.id);
+timeline.milestones.push({ id: 'milestone_10', name: 'Getting Started', icon: '🌱', timestamp: steps[6].timestamp + 1 });
+
+const markers = timeline.getPlaybackMarkers();
+check('Timeline lists bookmarks and milestones', markers.length === 2 && markers[0].kind === 'bookmark' &&
+  markers[1].label === '🌱 Getting Started');
+check('Timeline data carries the markers', timeline.getTimelineData().markers.length === 2);
+
+playback.setMarkers(markers);
+check('Markers placed on the step current at their time', playback.markers[0].step === 3 && playback.markers[1].step === 6);
+playback.play();
+const marked = playback.jumpToMarker('milestone_10');
+check('Jump to a marker pauses there', !playback.playing && marked.index === 6 && playback.index === 6);
+check('Unknown markers ignored', playback.jumpToMarker('nope') === null && playback.index === 6);
+
+// Test 4: 3D view
+console.log('\nTEST 4: 3D view');
+console.log('---------------');
+
+const scene = new THREE.Scene();
+const view = new PlaybackScene(scene, { radialSegments: 8 });
+const stop = view.follow(playback);
+check('View added to the scene', scene.children.includes(view.group));
+check('Follows the playback', view.pieceCount === 3 && view.bridges.children.length === 2);
+
+const headMesh = view.meshes.get('head').mesh;
+playback.seek(7);
+check('Meshes kept between steps', view.meshes.get('head').mesh === headMesh);
+check('Changed pieces highlighted', view.meshes.get('arm').mesh.material.emissive.getHex() === 0xfbbf24 &&
+  headMesh.material.emissive.getHex() === 0);
+const position = new THREE.Vector3().setFromMatrixPosition(headMesh.matrix);
+check('Pieces placed where they were', position.y === 2);
+
+playback.seek(8);
+check('Removed pieces leave the scene', view.pieceCount === 2 && !view.meshes.has('arm') && view.bridges.children.length === 1);
+playback.seek(0);
+check('Start shows nothing', view.pieceCount === 0 && view.bridges.children.length === 0);
+
+stop();
+playback.seek(5);
+check('Unsubscribed view stays put', view.pieceCount === 0);
+
+// Test 5: Frame export
+console.log('\nTEST 5: Frame export');
+console.log('--------------------');
+
+// A renderer that draws each frame as its piece count
+const pngOf = text => `data:image/png;base64,${btoa(`PNG:${text}`)}`;
+const renderer = {
+  rendered: 0,
+  render() {
+    this.rendered++;
+  },
+  domElement: { toDataURL: () => pngOf(view.pieceCount) }
+};
+const camera = new THREE.PerspectiveCamera();
+
+const frames = capturePlaybackFrames({ renderer, scene, camera }, playback, view);
+check('One frame per step', frames.length === 9 && frames[0].name === 'step-000.png' && frames[8].name === 'step-008.png');
+check('Frames show their step', frames[3].dataUrl === pngOf(2) && frames[5].dataUrl === pngOf(3));
+check('Frames captioned', frames[3].caption === 'Join Head to Body');
+check('View returned to the current step', view.pieceCount === playback.current.state.pieces.length && playback.index === 5);
+
+const sparse = capturePlaybackFrames({ renderer, scene, camera }, playback, view, { every: 3 });
+check('Every n-th step plus the last', sparse.map(f => f.step).join(',') === '0,3,6,8');
+check('No renderer, no frames', capturePlaybackFrames({}, playback, view).length === 0);
+
+// Read a stored zip back through its central directory
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  if (view.getUint32(end, true) !== 0x06054b50) return null;
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) return null;
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    files.push({ name, data, crcMatches: crc32(data) === crc, localMatches: view.getUint32(local, true) === 0x04034b50 });
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+const zip = readZip(createZip([{ name: 'a.txt', data: 'hello' }, { name: 'ünï.bin', data: new Uint8Array([1, 2, 3]) }]));
+check('Zip entries read back', zip?.length === 2 && new TextDecoder().decode(zip[0].data) === 'hello' && zip[1].name === 'ünï.bin');
+check('Zip checksums and headers valid', zip.every(file => file.crcMatches && file.localMatches));
+
+const packed = readZip(packPlaybackFrames(frames, { title: 'Bear' }));
+check('Frames packed with captions', packed.length === 10 && packed[9].name === 'captions.txt');
+check('Frame bytes decoded from data URLs', new TextDecoder().decode(packed[3].data) === 'PNG:2');
+const captions = new TextDecoder().decode(packed[9].data);
+check('Captions list every frame', captions.startsWith('Bear: 9 steps') && captions.includes('step-003.png  Join Head to Body'));
+
+view.dispose();
+check('Dispose removes the view', !scene.children.includes(view.group) && view.pieceCount === 0);
+playback.dispose();
+
+summary('TIMELINE PLAYBACK');
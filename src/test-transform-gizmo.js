@@ -0,0 +1,216 @@
+// src/test-transform-gizmo.js
+// Test suite for the transform gizmo: handles, dragging, numeric entry and undo
+
+import * as THREE from 'three';
+import { TransformGizmo } from './utils/transformGizmo.js';
+import { UndoRedoSystem } from './utils/undoRedoSystem.js';
+import { snapshotPiece } from './utils/assemblyCommands.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== TRANSFORM GIZMO TEST ===\n');
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+const closeVector = (v, x, y, z) => close(v.x, x) && close(v.y, y) && close(v.z, z);
+const show = v => [v.x, v.y, v.z].map(n => n.toFixed(3)).join(',');
+const degrees = THREE.MathUtils.degToRad;
+
+// Two pieces at (1,0,0) and (3,0,0), seen from above and in front
+function setup(options = {}) {
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+  camera.position.set(2, 6, 10);
+  camera.lookAt(2, 0, 0);
+  camera.updateMatrixWorld(true);
+  const gizmo = new TransformGizmo(camera, null, scene, options);
+  const meshes = ['a', 'b'].map((id, i) => {
+    const mesh = new THREE.Group();
+    mesh.position.set(1 + 2 * i, 0, 0);
+    scene.add(mesh);
+    gizmo.registerPiece(mesh, { id });
+    return mesh;
+  });
+  gizmo.attach(['a', 'b']);
+  return { scene, camera, gizmo, meshes };
+}
+
+// Ray from the camera through a world point
+const rayTo = (camera, point) =>
+  new THREE.Ray(camera.position.clone(), point.clone().sub(camera.position).normalize());
+
+// Ray through a point on a gizmo axis, `reach` handle lengths from the pivot
+const alongAxis = (gizmo, axis, reach) =>
+  rayTo(gizmo.camera, gizmo.root.position.clone().addScaledVector(gizmo.axisDirection(axis), reach * gizmo.root.scale.x));
+
+// Ray through a point on a ring, `angle` radians round from where it starts
+function aroundRing(gizmo, axis, angle) {
+  const direction = gizmo.axisDirection(axis);
+  const from = gizmo.axisDirection(axis === 'x' ? 'y' : 'x');
+  const point = from.applyAxisAngle(direction, angle).multiplyScalar(gizmo.root.scale.x);
+  return rayTo(gizmo.camera, point.add(gizmo.root.position));
+}
+
+// Test 1: Handles
+console.log('TEST 1: Handles');
+console.log('---------------');
+
+let rig = setup();
+check('Handles for each mode, the current one shown', rig.gizmo.handles.translate.visible &&
+  !rig.gizmo.handles.rotate.visible && !rig.gizmo.handles.scale.visible &&
+  rig.gizmo.handles.scale.children.some(handle => handle.name === 'scale_xyz'));
+check('Gizmo sits at the centre of the selection', rig.gizmo.root.visible && closeVector(rig.gizmo.root.position, 2, 0, 0));
+rig.gizmo.setPivot('active');
+check('Or at the active piece', closeVector(rig.gizmo.root.position, 1, 0, 0));
+rig.gizmo.setPivot('center');
+
+const raycaster = new THREE.Raycaster();
+raycaster.ray.copy(alongAxis(rig.gizmo, 'x', 1.1));
+check('Arrow picked under the pointer', JSON.stringify(rig.gizmo.pickHandle(raycaster)) === '{"mode":"translate","axis":"x"}');
+rig.gizmo.setMode('rotate');
+raycaster.ray.copy(aroundRing(rig.gizmo, 'y', 1));
+check('Ring picked in rotate mode', rig.gizmo.pickHandle(raycaster)?.axis === 'y');
+raycaster.ray.copy(rayTo(rig.camera, new THREE.Vector3(-20, 0, 0)));
+check('Empty space picks nothing', rig.gizmo.pickHandle(raycaster) === null);
+rig.gizmo.detach();
+check('Hidden with nothing selected', !rig.gizmo.root.visible && rig.gizmo.setMode('bend') === false);
+
+// Test 2: Dragging
+console.log('\nTEST 2: Dragging');
+console.log('----------------');
+
+rig = setup();
+let { gizmo, meshes } = rig;
+let length = gizmo.root.scale.x;
+gizmo.beginTransform({ mode: 'translate', axis: 'x' }, alongAxis(gizmo, 'x', 1.1));
+gizmo.updateTransform(alongAxis(gizmo, 'x', 1.1 + 2 / length));
+check('Arrow moves the selection along its axis', closeVector(meshes[0].position, 3, 0, 0) &&
+  closeVector(meshes[1].position, 5, 0, 0), show(meshes[0].position));
+gizmo.cancelTransform();
+check('Cancelled drag puts the pieces back', closeVector(meshes[0].position, 1, 0, 0) && gizmo.transform === null);
+
+meshes[0].rotation.set(0, 0, Math.PI / 2);
+gizmo.setSpace('local');
+check('Local axes follow the active piece', closeVector(gizmo.axisDirection('x'), 0, 1, 0));
+gizmo.beginTransform({ mode: 'translate', axis: 'x' }, alongAxis(gizmo, 'x', 1.1));
+gizmo.updateTransform(alongAxis(gizmo, 'x', 1.1 + 1 / length));
+check('Local arrow moves along the piece\'s own axis', closeVector(meshes[0].position, 1, 1, 0) &&
+  closeVector(meshes[1].position, 3, 1, 0), show(meshes[0].position));
+gizmo.cancelTransform();
+meshes[0].rotation.set(0, 0, 0);
+gizmo.setSpace('world');
+
+gizmo.setMode('rotate');
+gizmo.beginTransform({ mode: 'rotate', axis: 'y' }, aroundRing(gizmo, 'y', 0));
+let change = gizmo.updateTransform(aroundRing(gizmo, 'y', degrees(40)));
+check('Rotation snaps to 15°', close(change.angle, degrees(45)), `${THREE.MathUtils.radToDeg(change.angle)}°`);
+const expected = new THREE.Vector3(-1, 0, 0).applyAxisAngle(new THREE.Vector3(0, 1, 0), degrees(45)).add(new THREE.Vector3(2, 0, 0));
+check('Pieces turn about the pivot', meshes[0].position.distanceTo(expected) < 1e-6 &&
+  close(meshes[0].quaternion.angleTo(new THREE.Quaternion()), degrees(45)), show(meshes[0].position));
+for (let angle = 60; angle <= 210; angle += 30) gizmo.updateTransform(aroundRing(gizmo, 'y', degrees(angle)));
+check('Turns past half a turn', close(gizmo.updateTransform(aroundRing(gizmo, 'y', degrees(210))).angle, degrees(210)));
+gizmo.cancelTransform();
+gizmo.updateConfig({ snapAngles: false });
+gizmo.beginTransform({ mode: 'rotate', axis: 'y' }, aroundRing(gizmo, 'y', 0));
+check('Free rotation without snapping', close(gizmo.updateTransform(aroundRing(gizmo, 'y', degrees(40))).angle, degrees(40)));
+gizmo.cancelTransform();
+
+gizmo.setMode('scale');
+length = gizmo.root.scale.x;
+gizmo.beginTransform({ mode: 'scale', axis: 'x' }, alongAxis(gizmo, 'x', 1.1));
+gizmo.updateTransform(alongAxis(gizmo, 'x', 2.2));
+check('Box stretches pieces and spacing along its axis', closeVector(meshes[0].scale, 2, 1, 1) &&
+  closeVector(meshes[0].position, 0, 0, 0) && closeVector(meshes[1].position, 4, 0, 0), show(meshes[1].position));
+gizmo.cancelTransform();
+
+meshes[1].rotation.set(0, 0, Math.PI / 2);
+gizmo.beginTransform({ mode: 'scale', axis: 'x' }, alongAxis(gizmo, 'x', 1.1));
+gizmo.updateTransform(alongAxis(gizmo, 'x', 2.2));
+check('A turned piece stretches along its own matching axis', closeVector(meshes[1].scale, 1, 2, 1), show(meshes[1].scale));
+gizmo.cancelTransform();
+meshes[1].rotation.set(0, 0, 0);
+
+const right = gizmo.screenRight();
+gizmo.beginTransform({ mode: 'scale', axis: 'xyz' }, rayTo(rig.camera, gizmo.root.position));
+gizmo.updateTransform(rayTo(rig.camera, gizmo.root.position.clone().addScaledVector(right, length / 2)));
+check('Centre box scales evenly', closeVector(meshes[0].scale, 1.5, 1.5, 1.5), show(meshes[0].scale));
+gizmo.updateTransform(rayTo(rig.camera, gizmo.root.position.clone().addScaledVector(right, -5 * length)));
+check('Never scaled to nothing', closeVector(meshes[0].scale, 0.05, 0.05, 0.05));
+gizmo.cancelTransform();
+
+// Test 3: Numeric entry
+console.log('\nTEST 3: Numeric entry');
+console.log('---------------------');
+
+rig = setup();
+({ gizmo, meshes } = rig);
+gizmo.applyNumeric({ x: 1, y: '', z: 'abc' }, 'translate');
+check('Typed move, blanks left alone', closeVector(meshes[0].position, 2, 0, 0) && closeVector(meshes[1].position, 4, 0, 0));
+gizmo.applyNumeric({ y: 90 }, 'rotate');
+check('Typed rotation about the pivot', closeVector(meshes[0].position, 3, 0, 1) && closeVector(meshes[1].position, 3, 0, -1),
+  `${show(meshes[0].position)} / ${show(meshes[1].position)}`);
+gizmo.setSpace('local');
+gizmo.applyNumeric({ x: 2 }, 'translate');
+check('Typed move along local axes', closeVector(meshes[0].position, 3, 0, -1) && closeVector(meshes[1].position, 3, 0, -3),
+  show(meshes[0].position));
+gizmo.applyNumeric({ z: 3 }, 'scale');
+check('Typed scale', closeVector(meshes[0].scale, 1, 1, 3) && closeVector(meshes[1].scale, 1, 1, 3), show(meshes[0].scale));
+gizmo.detach();
+check('Nothing selected, nothing to do', gizmo.applyNumeric({ x: 1 }).success === false);
+
+// Test 4: Undo
+console.log('\nTEST 4: Undo');
+console.log('------------');
+
+const assembly = new Assembly('pro');
+const undoRedo = new UndoRedoSystem(50, { assembly });
+rig = setup({ assembly, undoRedo });
+({ gizmo, meshes } = rig);
+['a', 'b'].forEach((id, i) => {
+  const piece = new CrochetPiece({ id, name: id });
+  piece.position = { x: 1 + 2 * i, y: 0, z: 0 };
+  undoRedo.execute({ type: 'add_piece', piece: snapshotPiece(piece) });
+});
+
+length = gizmo.root.scale.x;
+gizmo.beginTransform({ mode: 'translate', axis: 'z' }, alongAxis(gizmo, 'z', 1.1));
+gizmo.updateTransform(alongAxis(gizmo, 'z', 1.1 + 1 / length));
+let result = gizmo.endTransform();
+check('Drag recorded as one step', result.success && result.command.type === 'batch' &&
+  result.command.commands.length === 2 && undoRedo.getHistory().length === 3, result.reason || '');
+check('Pieces moved in the assembly', close(assembly.pieces.get('a').position.z, 1) && close(assembly.pieces.get('b').position.z, 1));
+
+result = gizmo.applyNumeric({ y: 90, z: 0 }, 'rotate');
+check('Rotation recorded with the moves it causes', result.success &&
+  result.command.commands.map(command => command.type).join(',') === 'move_piece,rotate_piece,move_piece,rotate_piece' &&
+  close(assembly.pieces.get('b').rotation.y, Math.PI / 2) && undoRedo.getHistory().at(-1).description === 'Rotate 2 pieces');
+result = gizmo.applyNumeric({ x: 2 }, 'scale');
+check('Scale recorded', result.success && assembly.pieces.get('a').scale.z === 2 &&
+  result.command.commands.some(command => command.type === 'scale_piece'));
+
+undoRedo.undo();
+gizmo.syncFromAssembly();
+check('Undo takes back the scale', assembly.pieces.get('a').scale.z === 1 && close(meshes[0].scale.z, 1));
+undoRedo.undo();
+undoRedo.undo();
+gizmo.syncFromAssembly();
+check('Undo takes back the rotation and the drag', closeVector(meshes[0].position, 1, 0, 0) &&
+  closeVector(meshes[1].position, 3, 0, 0) && meshes[1].quaternion.angleTo(new THREE.Quaternion()) < 1e-9);
+undoRedo.redo();
+gizmo.syncFromAssembly();
+check('Redo moves them again', closeVector(meshes[0].position, 1, 0, 1) && closeVector(meshes[1].position, 3, 0, 1));
+
+const steps = undoRedo.getHistory().length;
+gizmo.setMode('translate');
+gizmo.beginTransform({ mode: 'translate', axis: 'x' }, alongAxis(gizmo, 'x', 1.1));
+check('A drag that goes nowhere records nothing', gizmo.endTransform().success === false && undoRedo.getHistory().length === steps);
+
+// A piece the assembly no longer has makes the whole batch fail
+const ghost = new THREE.Group();
+gizmo.registerPiece(ghost, { id: 'ghost' });
+gizmo.attach(['a', 'ghost']);
+const refused = gizmo.applyNumeric({ x: 1 }, 'translate');
+check('Refused change leaves everything where it was', !refused.success && refused.code === 'COMMAND_TARGET_MISSING' &&
+  closeVector(meshes[0].position, 1, 0, 1) && closeVector(ghost.position, 0, 0, 0) &&
+  close(assembly.pieces.get('a').position.x, 1) && undoRedo.getHistory().length === steps, refused.error || '');
+
+summary('TRANSFORM GIZMO');
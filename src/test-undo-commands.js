@@ -0,0 +1,256 @@
+// src/test-undo-commands.js
+// Test suite for serializable undo/redo commands and saving the undo stack
+
+import { UndoRedoSystem } from './utils/undoRedoSystem.js';
+import { commandRegistry, createCommandRegistry, snapshotPiece } from './utils/assemblyCommands.js';
+import { ExportImportManager } from './utils/exportImportManager.js';
+import { Assembly, CrochetPiece } from './types/assemblyModels.js';
+import { ProjectLibrary } from './utils/projectLibrary.js';
+import { storage, MemoryBackend } from './utils/storageManager.js';
+import { check, summary } from './testHarness.js';
+
+console.log('=== UNDO COMMANDS TEST ===\n');
+
+function makePiece(id, color) {
+  const piece = new CrochetPiece({ id, name: id, type: 'body', color });
+  piece.position = { x: 0, y: 0, z: 0 };
+  piece.addConnectionPoint('top', { x: 0, y: 1, z: 0 }, ['bottom']);
+  piece.addConnectionPoint('bottom', { x: 0, y: -1, z: 0 }, ['top']);
+  return piece;
+}
+
+// Pieces, positions, colours and connections, ignoring ids of history entries
+function stateOf(assembly) {
+  return JSON.stringify({
+    pieces: [...assembly.pieces.values()].map(p => [p.id, p.color, p.position?.x, p.position?.y,
+      p.connectionPoints.map(point => `${point.id}:${point.isOccupied ? point.connectedTo : '-'}`)]).sort(),
+    connections: assembly.connections.map(c => `${c.id}=${c.point1Id}>${c.point2Id}`).sort()
+  });
+}
+
+const assembly = new Assembly('pro');
+const system = new UndoRedoSystem(50, { assembly });
+const states = [stateOf(assembly)];
+const run = (command, description) => {
+  const result = system.execute(command, description);
+  states.push(stateOf(assembly));
+  return result;
+};
+
+// Test 1: Commands and inverses
+console.log('TEST 1: Commands and inverses');
+console.log('-----------------------------');
+
+run({ type: 'add_piece', piece: snapshotPiece(makePiece('head', '#ff0000')) });
+run({ type: 'add_piece', piece: snapshotPiece(makePiece('body', '#00ff00')) });
+const moved = run({ type: 'move_piece', pieceId: 'head', to: { x: 0, y: 2, z: 0 } });
+check('Move captures the start position', moved.command.from.y === 0 && assembly.pieces.get('head').position.y === 2);
+const connected = run({
+  type: 'connect',
+  connection: { piece1Id: 'head', point1Id: 'head-bottom', piece2Id: 'body', point2Id: 'body-top' }
+});
+const connectionId = connected.command.connection.id;
+check('Connect assigns a stable id', Boolean(connectionId) && assembly.connections[0].id === connectionId);
+run({ type: 'modify_piece', pieceId: 'head', after: { color: '#0000ff' } });
+const removed = run({ type: 'remove_piece', pieceId: 'body' });
+check('Remove captures the piece and its connections', removed.command.piece.color === '#00ff00' &&
+  removed.command.connections.length === 1 && assembly.connections.length === 0);
+check('Removing frees the other end', !assembly.pieces.get('head').connectionPoints[1].isOccupied);
+check('Descriptions from the command', system.getState().currentAction.description === 'Remove body');
+
+let undoneAll = true;
+for (let i = states.length - 2; i >= 0; i--) {
+  undoneAll = system.undo().success && stateOf(assembly) === states[i] && undoneAll;
+}
+check('Every undo restores the previous state', undoneAll && assembly.pieces.size === 0);
+let redoneAll = true;
+for (let i = 1; i < states.length; i++) {
+  redoneAll = system.redo().success && stateOf(assembly) === states[i] && redoneAll;
+}
+check('Every redo restores the next state', redoneAll);
+system.undo();
+check('Undone remove reconnects with the same id', assembly.connections.length === 1 && assembly.connections[0].id === connectionId &&
+  assembly.pieces.get('body').connectionPoints[0].connectedTo === 'head-bottom');
+system.redo();
+
+const failedMove = system.execute({ type: 'move_piece', pieceId: 'missing', to: { x: 1, y: 1, z: 1 } });
+check('Commands on missing pieces fail', !failedMove.success && failedMove.code === 'COMMAND_TARGET_MISSING');
+const twice = commandRegistry.invert(commandRegistry.invert(moved.command));
+check('Inverse of an inverse is the command', twice.type === 'move_piece' && twice.from.y === 0 && twice.to.y === 2);
+
+// Test 2: Batches
+console.log('\nTEST 2: Batches');
+console.log('---------------');
+
+const before = stateOf(assembly);
+system.beginBatch('Arrange');
+system.execute({ type: 'move_piece', pieceId: 'head', to: { x: 5, y: 0, z: 0 } });
+system.execute({ type: 'modify_piece', pieceId: 'head', after: { color: '#ffff00' } });
+system.endBatch();
+check('Batched commands recorded as one action', system.getState().currentAction.type === 'batch' &&
+  system.getState().currentAction.command.commands.length === 2);
+const arranged = stateOf(assembly);
+system.undo();
+check('Batch undoes together', stateOf(assembly) === before);
+system.redo();
+check('Batch redoes together', stateOf(assembly) === arranged);
+
+const partial = system.execute({
+  type: 'batch',
+  commands: [
+    { type: 'move_piece', pieceId: 'head', to: { x: 9, y: 9, z: 9 } },
+    { type: 'remove_piece', pieceId: 'missing' }
+  ]
+});
+check('Failed batch rolls back', !partial.success && stateOf(assembly) === arranged);
+
+const calls = [];
+system.beginBatch('Legacy');
+system.recordAction({ type: 'modify_piece', undo: () => calls.push('undo'), redo: () => calls.push('redo') });
+system.endBatch();
+system.undo();
+system.redo();
+check('Closure actions still batch', calls.join(',') === 'undo,redo');
+
+// Test 3: Saving the stack
+console.log('\nTEST 3: Saving the stack');
+console.log('------------------------');
+
+check('Closure actions are not saved', system.toJSON().entries.length === 0 && system.toJSON().currentIndex === -1);
+system.undo();
+system.undo();
+const saved = system.toJSON();
+check('Stack saved up to the next closure action', saved.entries.length === 7 && saved.currentIndex === 5 &&
+  saved.entries[6].type === 'batch', `${saved.entries.length} @ ${saved.currentIndex}`);
+
+const fresh = new Assembly('pro');
+const freshSystem = new UndoRedoSystem(50, { assembly: fresh });
+freshSystem.execute({ type: 'add_piece', piece: snapshotPiece(makePiece('ear', '#ffffff')) });
+freshSystem.execute({ type: 'move_piece', pieceId: 'ear', to: { x: 1, y: 0, z: 0 } });
+freshSystem.execute({ type: 'move_piece', pieceId: 'ear', to: { x: 2, y: 0, z: 0 } });
+freshSystem.undo();
+const json = JSON.parse(JSON.stringify(freshSystem.toJSON()));
+check('Saved stack is plain JSON', json.entries.length === 3 && json.currentIndex === 1 && json.entries[0].command.piece.id === 'ear');
+
+const reloaded = new UndoRedoSystem(50, { assembly: fresh });
+check('Restored stack', reloaded.restore(json).success && reloaded.canUndo() && reloaded.canRedo());
+reloaded.redo();
+check('Redo after restore', fresh.pieces.get('ear').position.x === 2);
+reloaded.undo();
+reloaded.undo();
+reloaded.undo();
+check('Undo after restore', fresh.pieces.size === 0 && !reloaded.canUndo());
+const trimmed = new UndoRedoSystem(2, { assembly: fresh });
+trimmed.restore(json);
+check('Restore keeps the newest entries', trimmed.history.length === 2 && trimmed.currentIndex === 0);
+
+const unknown = { ...json, entries: [...json.entries, { id: 'paint', parentId: json.currentId, type: 'paint', command: { type: 'paint' } }] };
+check('Unknown commands refused', !new UndoRedoSystem().restore(unknown).success);
+check('fromJSON throws on bad data', (() => {
+  try {
+    UndoRedoSystem.fromJSON({ entries: 'nope' });
+    return false;
+  } catch (error) {
+    return error.code === 'INVALID_HISTORY';
+  }
+})());
+const registry = createCommandRegistry().register('paint', { apply: () => {}, invert: command => command });
+check('Custom commands can be registered', new UndoRedoSystem(50, { registry }).restore(unknown).success);
+
+// Test 4: Project files
+console.log('\nTEST 4: Project files');
+console.log('---------------------');
+
+const project = new Assembly('pro');
+project.name = 'Bear';
+const projectSystem = new UndoRedoSystem(50, { assembly: project });
+projectSystem.execute({ type: 'add_piece', piece: snapshotPiece(makePiece('head', '#a0522d')) });
+projectSystem.execute({ type: 'add_piece', piece: snapshotPiece(makePiece('body', '#a0522d')) });
+projectSystem.execute({
+  type: 'connect',
+  connection: { piece1Id: 'head', point1Id: 'head-bottom', piece2Id: 'body', point2Id: 'body-top' }
+});
+projectSystem.execute({ type: 'move_piece', pieceId: 'body', to: { x: 0, y: -2, z: 0 } });
+
+const manager = new ExportImportManager();
+const file = await manager.export(project, 'json', { undoHistory: projectSystem, compress: false });
+check('Undo stack written to the project file', JSON.parse(file.content).undo?.entries.length === 4);
+const opened = manager.parseJSON(file.content);
+check('Opened project has the stack', opened.undo?.currentIndex === 3);
+
+// Rebuild the assembly the way Assembly.load does
+const reopened = new Assembly('pro');
+opened.assembly.pieces.forEach(data => {
+  const piece = new CrochetPiece(data);
+  piece.position = data.position;
+  reopened.pieces.set(piece.id, piece);
+});
+reopened.connections = [...opened.assembly.connections];
+const reopenedSystem = UndoRedoSystem.fromJSON(opened.undo, { assembly: reopened });
+reopenedSystem.undo();
+reopenedSystem.undo();
+check('Undo across a reload', reopened.pieces.get('body').position.y === 0 && reopened.connections.length === 0 &&
+  !reopened.pieces.get('head').connectionPoints[1].isOccupied);
+reopenedSystem.redo();
+check('Redo across a reload', reopened.connections[0]?.id === project.connections[0].id);
+
+const broken = JSON.parse(file.content);
+broken.undo.entries[0].command = 'add_piece';
+check('Malformed stack rejected on open', (() => {
+  try {
+    manager.parseJSON(JSON.stringify(broken));
+    return false;
+  } catch (error) {
+    return error.code === 'INVALID_PROJECT';
+  }
+})());
+
+const plainConnect = new Assembly('pro');
+plainConnect.addPiece(makePiece('a', '#ffffff'));
+plainConnect.addPiece(makePiece('b', '#ffffff'));
+const connectResult = plainConnect.connect('a', 'a-top', 'b', 'b-bottom');
+check('Assembly.connect makes one connection', plainConnect.connections.length === 1 && connectResult.connection?.id === plainConnect.connections[0].id);
+check('Assembly.disconnect frees both points', plainConnect.disconnect(connectResult.connection.id) &&
+  plainConnect.connections.length === 0 && !plainConnect.pieces.get('b').connectionPoints[1].isOccupied);
+
+// Test 5: Stack saved with the project
+console.log('\nTEST 5: Stack saved with the project');
+console.log('-----------------------------------');
+
+storage.setBackend(new MemoryBackend());
+const library = new ProjectLibrary();
+const fox = new Assembly('pro');
+fox.name = 'Fox';
+const foxSystem = new UndoRedoSystem(50, { assembly: fox });
+foxSystem.execute({ type: 'add_piece', piece: snapshotPiece(makePiece('head', '#d2691e')) });
+foxSystem.execute({ type: 'move_piece', pieceId: 'head', to: { x: 3, y: 0, z: 0 } });
+fox.undoHistory = foxSystem.toJSON();
+const foxSaved = library.save(fox);
+check('Stack stored apart from the assembly data', foxSaved.success &&
+  JSON.parse(storage.getItem(`undo_${fox.id}`)).entries.length === 2 && !storage.getItem(`assembly_${fox.id}`).includes('"entries"'),
+foxSaved.message);
+
+const reopenedFox = await library.open(fox.id);
+const reopenedFoxSystem = new UndoRedoSystem(50, { assembly: reopenedFox });
+check('Opening restores the stack', reopenedFox.undoHistory?.entries.length === 2 &&
+  reopenedFoxSystem.restore(reopenedFox.undoHistory).success && reopenedFoxSystem.undo().success &&
+  reopenedFox.pieces.get('head').position.x === 0);
+
+const foxCopy = library.duplicate(fox.id);
+const openedCopy = await library.open(foxCopy.project.id);
+check('Duplicate carries the stack', openedCopy.undoHistory?.entries.length === 2 &&
+  openedCopy.undoHistory.entries[0].command.piece.id === 'head');
+
+const plainSaved = new Assembly('pro');
+library.save(plainSaved);
+check('Assemblies without commands open with no stack', (await library.open(plainSaved.id)).undoHistory === null &&
+  storage.getItem(`undo_${plainSaved.id}`) === null);
+
+reopenedFox.replaceWith(fox.toSafeData(), 'pre-restore', 'backup_restore');
+check('Replacing the state drops the stack', reopenedFox.undoHistory === null);
+
+library.delete(fox.id);
+check('Deleting the project deletes its stack', storage.getItem(`undo_${fox.id}`) === null &&
+  storage.getItem(`undo_${foxCopy.project.id}`) !== null);
+
+summary('UNDO COMMANDS');
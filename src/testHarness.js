@@ -0,0 +1,21 @@
+// src/testHarness.js
+// Pass/fail checks shared by the src/test-*.js scripts; each script runs in
+// its own process, so the counts are per script
+
+let passed = 0;
+let failed = 0;
+
+export function check(name, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ✗ ${name}${detail ? ` — ${detail}` : ''}`);
+  }
+}
+
+// Closing line, e.g. "=== STORAGE: 12 passed, 0 failed ==="
+export function summary(title) {
+  console.log(`\n=== ${title}: ${passed} passed, ${failed} failed ===`);
+}
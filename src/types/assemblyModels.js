@@ -1,6 +1,6 @@
 // src/types/assemblyModels.js
-import { toSafeVector3, toSafeColor, createSafePieceData } from '../utils/safeTypes';
-import { safeLocalStorageSet, safeLocalStorageGet } from '../utils/safeSerialize';
+import { toSafeVector3, toSafeColor, createSafePieceData, createPieceSnapshot } from '../utils/safeTypes';
+import { safeStorageSet, safeLocalStorageGet } from '../utils/safeSerialize';
 import { isValidConnection, validateAssembly } from '../utils/assemblyValidator';
 import { 
   guardedAddPiece, 
@@ -16,6 +16,23 @@ import {
   recoverAssembly, 
   recoverySystem 
 } from '../utils/recoverySystem';
+import { SaveJournal } from '../utils/saveJournal';
+import { checkpointManager } from '../utils/checkpointManager';
+import { toSafeFrame } from '../utils/connectionFrames';
+import { storage } from '../utils/storageManager';
+
+// Undo stacks are stored apart from the assembly: its data is cleaned
+// down to whitelisted fields, which would strip the commands
+const UNDO_PREFIX = 'undo_';
+
+function readUndoHistory(assemblyId) {
+  try {
+    return JSON.parse(storage.getItem(`${UNDO_PREFIX}${assemblyId}`) || 'null');
+  } catch (error) {
+    console.error(`Undo history of ${assemblyId} is damaged:`, error);
+    return null;
+  }
+}
 
 /**
  * CrochetPiece class - represents a modular piece
@@ -27,6 +44,7 @@ export class CrochetPiece {
     this.type = data.type || 'custom'; // head, body, arm, leg, etc.
     this.rounds = data.rounds || [];
     this.color = toSafeColor(data.color);
+    this.palette = { ...(data.palette || {}) }; // yarn keys used in the rounds, e.g. { B: '#ffffff' }
     this.mesh = null; // THREE.Group - never saved
     this.connectionPoints = data.connectionPoints || [];
     this.isCustom = data.isCustom || false; // Track if this is a custom piece
@@ -37,12 +55,14 @@ export class CrochetPiece {
     };
   }
   
-  // Add connection point
-  addConnectionPoint(name, position, compatible = []) {
+  // Add connection point; `frame` ({ normal, up }) is the way it faces,
+  // out from the piece's centre unless given (see connectionFrames)
+  addConnectionPoint(name, position, compatible = [], frame = {}) {
     const point = {
       id: `${this.id}-${name}`,
       name,
       position: toSafeVector3(position),
+      ...toSafeFrame({ position, ...frame }),
       compatible,
       isOccupied: false,
       pieceId: this.id
@@ -70,6 +90,44 @@ export class Assembly {
     this.locked = new Set();
     this.currentTier = tier;
     this.usageTracker = getUsageTracker(tier);
+    this.journal = null; // SaveJournal while changes are being journaled
+    this.journalOptions = null; // startJournal() options once the first change is to start it
+    this.undoHistory = null; // UndoRedoSystem.toJSON() of its undo stack, saved with it
+  }
+  
+  // Add a history entry, writing it to the journal when one is running
+  // or starting the journal with it when journalChanges() asked for that
+  recordHistory(entry) {
+    this.history.push(entry);
+    if (this.journal) this.journal.append(entry);
+    else if (this.journalOptions) this.startJournal({ ...this.journalOptions, pending: 1 });
+  }
+  
+  // Start journaling at the first change, so an assembly nobody edits
+  // leaves no journal behind. A running journal is left as it is.
+  journalChanges(options = {}) {
+    if (!this.journal) this.journalOptions = options;
+  }
+  
+  // Journal every change from now on, so a crash between saves loses
+  // nothing. Start it once any journal left by a crash has been replayed
+  // or discarded, since starting replaces it.
+  startJournal(options = {}) {
+    if (!this.journal) this.journal = new SaveJournal(this, options).start(options);
+    return this.journal;
+  }
+  
+  // Stop journaling and mark the session clean
+  stopJournal() {
+    if (this.journal) this.journal.close();
+    this.journal = null;
+    this.journalOptions = null;
+  }
+  
+  // The whole state was replaced: snapshot it into the journal
+  journalReplacement() {
+    if (this.journal) this.journal.compact();
+    else if (this.journalOptions) this.startJournal({ ...this.journalOptions, pending: 1 });
   }
   
   // Validation method
@@ -96,20 +154,21 @@ updatePiecePosition(pieceId, newPosition) {
   }
   
   // Ensure the position is safe (no Three.js objects)
-  const safePosition = toSafeVector3(
-    newPosition.x || 0,
-    newPosition.y || 0,
-    newPosition.z || 0
-  );
+  const safePosition = toSafeVector3({
+    x: newPosition.x || 0,
+    y: newPosition.y || 0,
+    z: newPosition.z || 0
+  });
+  const oldPosition = piece.position;
   
   // Update the piece position
   piece.position = safePosition;
   
   // Add to history
-  this.history.push({
+  this.recordHistory({
     action: 'move',
     pieceId: pieceId,
-    oldPosition: piece.position,
+    oldPosition,
     newPosition: safePosition,
     timestamp: Date.now()
   });
@@ -161,9 +220,10 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
   // Direct add piece method (called by guardedAddPiece internally)
   _directAddPiece(piece) {
     this.pieces.set(piece.id, piece);
-    this.history.push({
+    this.recordHistory({
       action: 'add_piece',
       pieceId: piece.id,
+      piece: createPieceSnapshot(piece), // lets recovery replay the history
       timestamp: Date.now()
     });
     return true;
@@ -197,13 +257,12 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
       return result;
     }
     
-    this._performConnection(piece1Id, point1Id, piece2Id, point2Id);
-    
-    return result;
+    // guardedConnect already made the connection through _directConnect
+    return { ...result, connection: this.connections[this.connections.length - 1] };
   }
   
-  // Internal method to perform connection
-  _performConnection(piece1Id, point1Id, piece2Id, point2Id) {
+  // Internal method to perform connection; undo/redo passes the original id
+  _performConnection(piece1Id, point1Id, piece2Id, point2Id, connectionId = null) {
     const piece1 = this.pieces.get(piece1Id);
     const piece2 = this.pieces.get(piece2Id);
     const point1 = piece1.connectionPoints.find(p => p.id === point1Id);
@@ -214,8 +273,9 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
     point2.isOccupied = true;
     point2.connectedTo = point1Id;
     
+    const id = connectionId || `conn-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
     this.connections.push({
-      id: `conn-${Date.now()}`,
+      id,
       piece1Id,
       point1Id,
       piece2Id,
@@ -223,9 +283,10 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
       timestamp: Date.now()
     });
     
-    this.history.push({
+    this.recordHistory({
       action: 'connect',
       data: {
+        connectionId: id,
         piece1Id,
         point1Id,
         piece2Id,
@@ -237,6 +298,56 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
     return true;
   }
   
+  // Change piece fields such as color or rounds
+  updatePiece(pieceId, changes) {
+    const piece = this.pieces.get(pieceId);
+    if (!piece) return false;
+    
+    Object.assign(piece, JSON.parse(JSON.stringify(changes)));
+    this.recordHistory({
+      action: 'modify_piece',
+      pieceId,
+      changes: JSON.parse(JSON.stringify(changes)),
+      timestamp: Date.now()
+    });
+    
+    return true;
+  }
+  
+  // Remove a connection and free both of its points
+  disconnect(connectionId) {
+    const connection = this.connections.find(conn => conn.id === connectionId);
+    if (!connection) return false;
+    
+    if (this.locked.has(connection.piece1Id) || this.locked.has(connection.piece2Id)) {
+      console.warn('One or both pieces are locked');
+      return false;
+    }
+    
+    [[connection.piece1Id, connection.point1Id], [connection.piece2Id, connection.point2Id]].forEach(([pieceId, pointId]) => {
+      const point = this.pieces.get(pieceId)?.connectionPoints.find(p => p.id === pointId);
+      if (point) {
+        point.isOccupied = false;
+        point.connectedTo = null;
+      }
+    });
+    
+    this.connections = this.connections.filter(conn => conn !== connection);
+    this.recordHistory({
+      action: 'disconnect',
+      data: {
+        connectionId,
+        piece1Id: connection.piece1Id,
+        point1Id: connection.point1Id,
+        piece2Id: connection.piece2Id,
+        point2Id: connection.point2Id
+      },
+      timestamp: Date.now()
+    });
+    
+    return true;
+  }
+  
   // Remove piece with usage tracker update
   removePiece(pieceId) {
     if (this.locked.has(pieceId)) {
@@ -261,7 +372,7 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
     });
     
     this.pieces.delete(pieceId);
-    this.history.push({
+    this.recordHistory({
       action: 'remove_piece',
       pieceId,
       timestamp: Date.now()
@@ -277,7 +388,7 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
   // Lock/unlock pieces
   lockPiece(pieceId) {
     this.locked.add(pieceId);
-    this.history.push({
+    this.recordHistory({
       action: 'lock_piece',
       pieceId,
       timestamp: Date.now()
@@ -286,7 +397,7 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
   
   unlockPiece(pieceId) {
     this.locked.delete(pieceId);
-    this.history.push({
+    this.recordHistory({
       action: 'unlock_piece',
       pieceId,
       timestamp: Date.now()
@@ -346,24 +457,29 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
     
     try {
       const safeData = this.toSafeData();
-      const success = safeLocalStorageSet(`assembly_${this.id}`, safeData);
+      const written = safeStorageSet(`assembly_${this.id}`, safeData);
       
-      if (success) {
+      if (written.success) {
+        if (this.journal) this.journal.markSaved();
+        this.saveUndoHistory();
         console.log('Assembly saved successfully');
-        return { ...result, saved: true, backup: backup.backupKey };
+        return { ...result, saved: true, backup: backup.backupKey, evicted: written.evicted };
       }
       
+      // code and message say why (e.g. STORAGE_QUOTA_EXCEEDED) for the UI
       if (backup.success) {
         console.warn('Save failed, backup available:', backup.backupKey);
         return { 
           success: false, 
           reason: 'SAVE_FAILED_BACKUP_AVAILABLE',
+          code: written.code,
+          message: written.message,
           backup: backup.backupKey,
           restore: backup.restore
         };
       }
       
-      return { success: false, reason: 'SAVE_FAILED' };
+      return { success: false, reason: 'SAVE_FAILED', code: written.code, message: written.message };
     } catch (error) {
       console.error('Save error:', error);
       
@@ -381,9 +497,30 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
     }
   }
   
+  // Store the undo stack next to the save; it only fits the saved state
+  saveUndoHistory() {
+    const key = `${UNDO_PREFIX}${this.id}`;
+    if (!this.undoHistory?.entries?.length) {
+      storage.removeItem(key);
+      return { success: true };
+    }
+    return storage.setItem(key, JSON.stringify(this.undoHistory));
+  }
+  
   // ENHANCED LOAD with recovery fallback chain
   static async load(assemblyId, options = {}) {
     try {
+      // Changes a session that closed uncleanly journaled after its last
+      // save; replayed when asked for, otherwise offered on the assembly
+      const journal = recoverySystem.checkJournal(assemblyId);
+      if (journal && options.replayJournal) {
+        const replayed = await recoverAssembly(assemblyId, options);
+        if (replayed.success && replayed.data) {
+          console.log('Assembly rebuilt from journal:', replayed.message);
+          return Assembly.fromRecoveredData(replayed.data);
+        }
+      }
+      
       const data = safeLocalStorageGet(`assembly_${assemblyId}`);
       
       if (data && !data.corrupted) {
@@ -395,6 +532,9 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
           if (Array.isArray(data.pieces)) {
             data.pieces.forEach(pieceData => {
               const piece = new CrochetPiece(pieceData);
+              ['position', 'rotation', 'scale'].forEach(field => {
+                if (pieceData[field]) piece[field] = toSafeVector3(pieceData[field]);
+              });
               assembly.pieces.set(piece.id, piece);
             });
           } else if (typeof data.pieces === 'object') {
@@ -417,6 +557,10 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
           }
         }
         
+        // Recovered states differ from the save, so only a clean load
+        // gets the undo stack saved with it
+        assembly.undoHistory = readUndoHistory(assemblyId);
+        assembly.pendingJournal = journal;
         console.log('Assembly loaded successfully');
         return assembly;
       }
@@ -426,6 +570,7 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
       
       if (recovery.success && recovery.data) {
         const assembly = Assembly.fromRecoveredData(recovery.data);
+        assembly.pendingJournal = journal;
         console.log('Assembly recovered successfully:', recovery.message);
         return assembly;
       }
@@ -471,6 +616,9 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
               ...pieceData,
               recovered: true
             });
+            ['position', 'rotation', 'scale'].forEach(field => {
+              if (pieceData[field]) piece[field] = toSafeVector3(pieceData[field]);
+            });
             assembly.pieces.set(piece.id, piece);
           }
         });
@@ -541,6 +689,7 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
           this.connections = recoveredAssembly.connections;
           this.history = recoveredAssembly.history;
           this.locked = recoveredAssembly.locked;
+          this.journalReplacement();
           
           console.log('Assembly restored from backup after failed operation');
           
@@ -577,6 +726,65 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
     };
   }
   
+  // Autosaves this assembly can go back to, oldest first
+  getRestorePoints() {
+    return recoverySystem.backupManager.getBackups(this.id)
+      .map(b => ({
+        key: b.key,
+        timestamp: b.timestamp,
+        reason: b.reason,
+        ageText: this.formatAge(Date.now() - b.timestamp)
+      }))
+      .reverse();
+  }
+  
+  // Saved data of the assembly at a backup, for previewing it; this
+  // assembly is left as it is
+  previewBackup(backupKey) {
+    return recoverySystem.backupManager.restoreFromBackup(backupKey);
+  }
+  
+  // Replace the current state with a backup. The current state is backed
+  // up first, so a restore can itself be undone by restoring that.
+  restoreBackup(backupKey) {
+    const data = recoverySystem.backupManager.restoreFromBackup(backupKey);
+    if (!data) return { success: false, reason: 'Backup could not be read' };
+    
+    const backup = this.replaceWith(data, 'pre-restore', 'backup_restore');
+    return { success: true, restoredFrom: backupKey, backup: backup.backupKey };
+  }
+  
+  // Go back to a named checkpoint, backing up the current state first
+  restoreCheckpoint(checkpointId) {
+    const data = checkpointManager.load(this.id, checkpointId);
+    if (!data) return { success: false, reason: 'Checkpoint could not be read' };
+    
+    const backup = this.replaceWith(data, 'pre-checkpoint', 'checkpoint_restore');
+    return { success: true, restoredFrom: checkpointId, backup: backup.backupKey };
+  }
+  
+  // Replace the current state with saved data after backing it up
+  replaceWith(data, backupReason, strategy) {
+    const backup = createSafetyBackup(this.id, this.toSafeData(), backupReason);
+    const restored = Assembly.fromRecoveredData({
+      ...data,
+      id: this.id,
+      currentTier: this.currentTier,
+      recoveryInfo: { finalStrategy: strategy }
+    });
+    
+    this.name = restored.name || this.name;
+    this.pieces = restored.pieces;
+    this.connections = restored.connections;
+    this.history = restored.history;
+    this.locked = restored.locked;
+    // Undoing commands recorded against the replaced state would corrupt it
+    this.undoHistory = null;
+    if (this.usageTracker) this.usageTracker.piecesUsed = this.pieces.size;
+    this.journalReplacement();
+    return backup;
+  }
+  
   // Format age in human-readable format
   formatAge(milliseconds) {
     const seconds = Math.floor(milliseconds / 1000);
@@ -595,7 +803,7 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
     const backup = createSafetyBackup(this.id, this.toSafeData(), reason);
     
     if (backup.success) {
-      this.history.push({
+      this.recordHistory({
         action: 'backup_created',
         reason,
         backupKey: backup.backupKey,
@@ -613,7 +821,7 @@ _directConnect(piece1Id, point1Id, piece2Id, point2Id) {
   clearBackups() {
     recoverySystem.backupManager.clearBackups(this.id);
     
-    this.history.push({
+    this.recordHistory({
       action: 'backups_cleared',
       timestamp: Date.now()
     });
@@ -0,0 +1,505 @@
+// src/types/patternModel.js
+import { parsePatternDocument } from '../lib/patternParser';
+import { resolveYarnColor } from '../lib/yarnColors';
+
+/**
+ * Canonical round/stitch model
+ * One structure shared by the parser, 3D mesh, symbol chart, yarn estimate and
+ * written instructions. Every stitch records its type, the stitch(es) of the
+ * previous round it was worked into, its shaping, loop and colour.
+ */
+
+// Tokens that mark a position in the work but do not create a stitch
+export const MARKER_TOKENS = ['MR', 'join', 'sl', 'turn', 'FO', 'ch'];
+
+// Instructions that already carry their "Round 3:" label
+const LABELLED_LINE = /^\s*(rounds?|rnds?|rows?|r)\s*\d/i;
+
+const SHAPING_TOKENS = {
+  increase: 'inc',
+  decrease: 'dec'
+};
+
+/**
+ * Count the stitches a list of legacy tokens produces ('inc' makes 2, 'dec' 1)
+ */
+export function countStitchTokens(tokens) {
+  let count = 0;
+
+  for (const token of tokens) {
+    if (token === 'inc') {
+      count += 2;
+    } else if (!MARKER_TOKENS.includes(token)) {
+      count += 1;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Flat legacy tokens for any pattern representation (token arrays pass through)
+ */
+export function toStitchTokens(pattern) {
+  if (Array.isArray(pattern) && pattern.every(token => typeof token === 'string')) {
+    return pattern;
+  }
+  return CrochetPattern.from(pattern).toStitchTokens();
+}
+
+/**
+ * A single worked stitch
+ */
+export class Stitch {
+  constructor(data) {
+    this.index = data.index;
+    this.type = data.type || 'sc';
+    this.shaping = data.shaping || 'none'; // none, increase, decrease
+    this.targets = data.targets || []; // indices into the previous round ([] = ring/chain)
+    this.color = data.color || null; // null = piece colour
+    this.loop = data.loop || 'both'; // both, front, back
+    this.group = data.group ?? data.index; // stitches made by the same instruction share a group
+    this.source = data.source || null; // { line, column, text }
+  }
+
+  // Parent stitch in the previous round, or null when worked into a ring/chain
+  get target() {
+    return this.targets.length > 0 ? this.targets[0] : null;
+  }
+
+  toSafeData() {
+    return {
+      index: this.index,
+      type: this.type,
+      shaping: this.shaping,
+      targets: [...this.targets],
+      color: this.color,
+      loop: this.loop,
+      group: this.group,
+      source: this.source ? { ...this.source } : null
+    };
+  }
+}
+
+/**
+ * One round (or row) of stitches
+ */
+export class PatternRound {
+  constructor(data) {
+    this.number = data.number;
+    this.kind = data.kind || 'round'; // round or row
+    this.instruction = data.instruction || '';
+    this.color = data.color || null;
+    this.stitches = (data.stitches || []).map(s => (s instanceof Stitch ? s : new Stitch(s)));
+    this.markers = data.markers || []; // [{ token: 'join', position }]
+    this.startsWithRing = data.startsWithRing || false;
+    this.statedCount = data.statedCount ?? null;
+    this.source = data.source || null;
+  }
+
+  get count() {
+    return this.stitches.length;
+  }
+
+  get increases() {
+    return countGroups(this.stitches, 'increase');
+  }
+
+  get decreases() {
+    return countGroups(this.stitches, 'decrease');
+  }
+
+  /**
+   * Legacy flat tokens for this round: 'sc', 'inc', 'dec', 'MR', 'join'...
+   */
+  toTokens() {
+    const tokens = [];
+    if (this.startsWithRing) tokens.push('MR');
+
+    let position = 0;
+    while (position < this.stitches.length) {
+      this.markers
+        .filter(m => m.position === position)
+        .forEach(m => tokens.push(m.token));
+
+      const first = this.stitches[position];
+      let end = position + 1;
+      while (end < this.stitches.length && this.stitches[end].group === first.group) end++;
+      const size = end - position;
+
+      if (first.shaping === 'increase') {
+        // 'inc' covers two stitches; a bigger cluster adds the extra stitches
+        tokens.push(SHAPING_TOKENS.increase);
+        for (let i = 2; i < size; i++) tokens.push(first.type);
+      } else if (first.shaping === 'decrease') {
+        for (let i = 0; i < size; i++) tokens.push(SHAPING_TOKENS.decrease);
+      } else {
+        for (let i = 0; i < size; i++) tokens.push(first.type);
+      }
+
+      position = end;
+    }
+
+    this.markers
+      .filter(m => m.position >= this.stitches.length)
+      .forEach(m => tokens.push(m.token));
+
+    return tokens;
+  }
+
+  /**
+   * Legacy {round, stitches, instruction} object used by the viewer and templates
+   */
+  toLegacy() {
+    return {
+      round: this.number,
+      stitches: this.count,
+      instruction: this.instruction,
+      hasIncrease: this.increases > 0,
+      hasDecrease: this.decreases > 0,
+      color: this.color
+    };
+  }
+
+  toSafeData() {
+    return {
+      number: this.number,
+      kind: this.kind,
+      instruction: this.instruction,
+      color: this.color,
+      stitches: this.stitches.map(s => s.toSafeData()),
+      markers: this.markers.map(m => ({ ...m })),
+      startsWithRing: this.startsWithRing,
+      statedCount: this.statedCount,
+      source: this.source ? { ...this.source } : null
+    };
+  }
+}
+
+/**
+ * A full pattern for one piece
+ */
+export class CrochetPattern {
+  constructor(rounds = [], palette = {}) {
+    this.rounds = rounds.map(r => (r instanceof PatternRound ? r : new PatternRound(r)));
+    this.palette = { ...palette }; // yarn key -> hex, e.g. { B: '#ffffff' }
+  }
+
+  // ==================== CONVERTERS (IN) ====================
+
+  /**
+   * Accept any representation used around the app and return a CrochetPattern:
+   * pattern text, parsed/legacy round objects, flat stitch tokens or saved data
+   */
+  static from(input) {
+    if (input instanceof CrochetPattern) return input;
+    if (!input) return new CrochetPattern();
+    if (typeof input === 'string') return CrochetPattern.fromText(input);
+    if (Array.isArray(input?.rounds)) return CrochetPattern.fromSafeData(input);
+    if (!Array.isArray(input) || input.length === 0) return new CrochetPattern();
+
+    if (typeof input[0] === 'string') return CrochetPattern.fromStitchTokens(input);
+    if (Array.isArray(input[0]?.stitchList)) return CrochetPattern.fromParsedRounds(input);
+    return CrochetPattern.fromLegacyRounds(input);
+  }
+
+  static fromText(text) {
+    const { rounds, palette } = parsePatternDocument(text);
+    const pattern = CrochetPattern.fromParsedRounds(rounds);
+    pattern.palette = palette;
+    return pattern;
+  }
+
+  /**
+   * Build from the grammar parser's rounds, resolving which stitch of the
+   * previous round each new stitch is worked into
+   */
+  static fromParsedRounds(parsedRounds) {
+    const rounds = [];
+    let previousCount = 0;
+
+    parsedRounds.forEach(parsed => {
+      const stitches = [];
+      const markers = [];
+      let pointer = 0;
+      let lastTargets = [];
+      let startsWithRing = false;
+
+      parsed.stitchList.forEach((op, group) => {
+        if (op.kind === 'ring') {
+          if (stitches.length === 0) startsWithRing = true;
+          else markers.push({ token: 'MR', position: stitches.length });
+          return;
+        }
+
+        if (op.into === 'ring' && stitches.length === 0 && rounds.length === 0) {
+          startsWithRing = true;
+        }
+
+        let targets = [];
+        if (op.into === 'same') {
+          targets = lastTargets;
+        } else if (op.consumes > 0 && previousCount > 0) {
+          for (let i = 0; i < op.consumes; i++) {
+            targets.push((pointer + i) % previousCount);
+          }
+          pointer += op.consumes;
+        }
+        if (targets.length > 0) lastTargets = targets;
+
+        if (op.produces === 0) {
+          const token = markerToken(op);
+          if (token) markers.push({ token, position: stitches.length });
+          return;
+        }
+
+        const shaping = shapingFor(op);
+        for (let i = 0; i < op.produces; i++) {
+          stitches.push(new Stitch({
+            index: stitches.length,
+            type: op.kind === 'chain' ? 'ch' : op.stitch,
+            shaping,
+            targets: op.kind === 'decrease' ? [...targets] : targets.slice(0, 1),
+            color: op.color || null,
+            loop: op.loop,
+            group,
+            source: op.source
+          }));
+        }
+      });
+
+      rounds.push(new PatternRound({
+        number: parsed.round,
+        kind: parsed.kind,
+        instruction: parsed.instruction,
+        color: parsed.color || null,
+        stitches,
+        markers,
+        startsWithRing,
+        statedCount: parsed.statedCount ?? null,
+        source: parsed.line ? { line: parsed.line } : null
+      }));
+
+      previousCount = stitches.length;
+    });
+
+    return new CrochetPattern(rounds);
+  }
+
+  /**
+   * Build from {round, stitches, instruction} objects (templates, saved pieces).
+   * Instructions are parsed; rounds whose instruction cannot be read fall back
+   * to their stitch count with evenly spread shaping.
+   */
+  static fromLegacyRounds(legacyRounds) {
+    const toLine = (r, useCount) => {
+      if (!useCount && r.instruction && LABELLED_LINE.test(r.instruction)) return r.instruction;
+      const body = useCount || !r.instruction ? String(r.stitches) : r.instruction;
+      return `Round ${r.round}: ${body}`;
+    };
+
+    let parsed = parsePatternDocument(legacyRounds.map(r => toLine(r, false)).join('\n')).rounds;
+    const unreadable = new Set();
+    parsed.forEach((round, i) => {
+      if (round.computedCount === null && legacyRounds[i]) unreadable.add(i);
+    });
+
+    if (unreadable.size > 0) {
+      parsed = parsePatternDocument(
+        legacyRounds.map((r, i) => toLine(r, unreadable.has(i))).join('\n')
+      ).rounds;
+    }
+
+    parsed.forEach((round, i) => {
+      const legacy = legacyRounds[i];
+      if (!legacy) return;
+      round.instruction = legacy.instruction || round.instruction;
+      round.color = legacy.color || round.color || null;
+      if (legacy.color) round.stitchList.forEach(op => { op.color = op.color || legacy.color; });
+    });
+
+    return CrochetPattern.fromParsedRounds(parsed);
+  }
+
+  /**
+   * Build from a flat token list (['MR', 'sc', ..., 'inc', 'dec', 'join']).
+   * A round ends on 'join'/'sl'/'turn' or once the previous round is used up.
+   */
+  static fromStitchTokens(tokens) {
+    const parsedRounds = [];
+    let current = null;
+    let previousCount = 0;
+    let consumed = 0;
+    let produced = 0;
+
+    const startRound = () => {
+      current = {
+        round: parsedRounds.length + 1,
+        kind: 'round',
+        instruction: '',
+        stitchList: [],
+        statedCount: null
+      };
+      consumed = 0;
+      produced = 0;
+    };
+
+    const endRound = () => {
+      if (!current || current.stitchList.length === 0) return;
+      current.instruction = current.stitchList.map(op => op.token).join(', ');
+      parsedRounds.push(current);
+      previousCount = produced || previousCount;
+      current = null;
+    };
+
+    for (const token of tokens) {
+      if (!current) startRound();
+      const isFirst = parsedRounds.length === 0;
+      const op = tokenToOperation(token, isFirst);
+      current.stitchList.push(op);
+      consumed += op.consumes;
+      produced += op.produces;
+
+      if (['join', 'sl', 'turn', 'FO'].includes(token)) {
+        endRound();
+      } else if (isFirst ? produced >= 6 : (previousCount > 0 && consumed >= previousCount)) {
+        endRound();
+      }
+    }
+    endRound();
+
+    return CrochetPattern.fromParsedRounds(parsedRounds);
+  }
+
+  static fromSafeData(data) {
+    return new CrochetPattern(data.rounds || [], data.palette || {});
+  }
+
+  // ==================== CONVERTERS (OUT) ====================
+
+  toLegacyRounds() {
+    return this.rounds.map(r => r.toLegacy());
+  }
+
+  toStitchTokens() {
+    return this.rounds.flatMap(r => r.toTokens());
+  }
+
+  toRoundTokens() {
+    return this.rounds.map(r => r.toTokens());
+  }
+
+  toSafeData() {
+    return {
+      rounds: this.rounds.map(r => r.toSafeData()),
+      palette: { ...this.palette }
+    };
+  }
+
+  // ==================== QUERIES ====================
+
+  getRoundCounts() {
+    return this.rounds.map(r => r.count);
+  }
+
+  getTotalStitches() {
+    return this.rounds.reduce((sum, r) => sum + r.count, 0);
+  }
+
+  /**
+   * Stitches per type, e.g. { sc: 120, hdc: 6 }
+   */
+  getStitchTotals() {
+    const totals = {};
+    this.rounds.forEach(r => {
+      r.stitches.forEach(s => {
+        totals[s.type] = (totals[s.type] || 0) + 1;
+      });
+    });
+    return totals;
+  }
+
+  forEachStitch(callback) {
+    this.rounds.forEach((round, roundIndex) => {
+      round.stitches.forEach(stitch => callback(stitch, round, roundIndex));
+    });
+  }
+
+  // ==================== COLOURWORK ====================
+
+  /**
+   * Yarns in order of first use, e.g.
+   * [{ color: null, stitches: 60, rounds: [1, 2, 3] }, { color: 'B', stitches: 18, rounds: [4] }].
+   * A null colour is the piece's own colour.
+   */
+  getColorUsage() {
+    const usage = new Map();
+    this.forEachStitch((stitch, round) => {
+      const color = stitch.color || round.color || null;
+      if (!usage.has(color)) usage.set(color, { color, stitches: 0, rounds: [] });
+      const entry = usage.get(color);
+      entry.stitches += 1;
+      if (entry.rounds[entry.rounds.length - 1] !== round.number) entry.rounds.push(round.number);
+    });
+    return Array.from(usage.values());
+  }
+
+  hasColorChanges() {
+    return this.getColorUsage().length > 1;
+  }
+
+  /**
+   * Hex colour for a stitch colour reference, using this pattern's palette
+   * (and an optional override palette); null resolves to `fallback`
+   */
+  resolveColor(ref, fallback = null, palette = {}) {
+    return resolveYarnColor(ref, { ...this.palette, ...palette }, fallback);
+  }
+}
+
+// ==================== HELPERS ====================
+
+function shapingFor(op) {
+  if (op.kind === 'increase') return 'increase';
+  if (op.kind === 'decrease') return 'decrease';
+  return 'none';
+}
+
+function markerToken(op) {
+  switch (op.kind) {
+    case 'join': return op.stitch === 'sl' ? 'sl' : 'join';
+    case 'turn': return 'turn';
+    case 'fasten': return 'FO';
+    case 'chain': return 'ch';
+    default: return null;
+  }
+}
+
+function tokenToOperation(token, isFirst) {
+  const base = { stitch: token, token, loop: 'both', source: null, into: isFirst ? 'ring' : 'previous' };
+
+  switch (token) {
+    case 'MR':
+      return { ...base, kind: 'ring', consumes: 0, produces: 0, into: null };
+    case 'inc':
+      return { ...base, stitch: 'sc', kind: 'increase', consumes: isFirst ? 0 : 1, produces: 2 };
+    case 'dec':
+      return { ...base, stitch: 'sc', kind: 'decrease', consumes: 2, produces: 1 };
+    case 'join':
+      return { ...base, kind: 'join', consumes: 0, produces: 0, into: null };
+    case 'sl':
+      return { ...base, kind: 'join', consumes: 0, produces: 0, into: null };
+    case 'turn':
+      return { ...base, kind: 'turn', consumes: 0, produces: 0, into: null };
+    case 'FO':
+      return { ...base, kind: 'fasten', consumes: 0, produces: 0, into: null };
+    case 'ch':
+      return { ...base, kind: 'chain', consumes: 0, produces: isFirst ? 1 : 0, into: null };
+    default:
+      return { ...base, kind: 'normal', consumes: isFirst ? 0 : 1, produces: 1 };
+  }
+}
+
+function countGroups(stitches, shaping) {
+  return new Set(stitches.filter(s => s.shaping === shaping).map(s => s.group)).size;
+}
@@ -0,0 +1,299 @@
+// src/types/projectSchema.js
+// JSON schema and validator for .c3d project files
+
+/**
+ * PROJECT_SCHEMA describes the current (3.x) file layout in JSON Schema
+ * (draft-07) terms so other tools can validate files too. validateProject()
+ * checks a parsed file against it with a small built-in interpreter, then
+ * checks references the schema cannot express (connections must point at
+ * existing pieces and points, ids must be unique).
+ */
+
+export const PROJECT_FORMAT = 'crochet-3d';
+export const CURRENT_FORMAT_VERSION = '3.1.0';
+
+const vector3 = {
+  type: 'object',
+  required: ['x', 'y', 'z'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    z: { type: 'number' }
+  }
+};
+
+export const PROJECT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://crochet-3d.app/schemas/project-3.json',
+  title: 'Crochet 3D project',
+  type: 'object',
+  required: ['format', 'version', 'assembly'],
+  properties: {
+    format: { const: PROJECT_FORMAT },
+    version: { type: 'string', pattern: '^3\\.\\d+\\.\\d+$' },
+    timestamp: { type: 'string' },
+    assembly: { $ref: '#/definitions/assembly' },
+    history: { type: 'array' },
+    undo: { $ref: '#/definitions/undoHistory' },
+    checkpoints: { type: 'array', items: { $ref: '#/definitions/checkpoint' } },
+    validation: { type: ['object', 'null'] },
+    suggestions: { type: ['array', 'null'] },
+    settings: { type: 'object' },
+    metadata: { type: 'object' }
+  },
+  definitions: {
+    vector3,
+    assembly: {
+      type: 'object',
+      required: ['id', 'name', 'pieces', 'connections'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        pieces: { type: 'array', items: { $ref: '#/definitions/piece' } },
+        connections: { type: 'array', items: { $ref: '#/definitions/connection' } },
+        groups: { type: 'array' },
+        metadata: { type: 'object' }
+      }
+    },
+    piece: {
+      type: 'object',
+      required: ['id', 'name', 'type', 'color', 'position', 'rotation', 'scale', 'rounds', 'connectionPoints'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        type: { type: 'string', minLength: 1 },
+        color: { type: 'string', pattern: '^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$' },
+        position: { $ref: '#/definitions/vector3' },
+        rotation: { $ref: '#/definitions/vector3' },
+        scale: { $ref: '#/definitions/vector3' },
+        rounds: { type: 'array', items: { $ref: '#/definitions/round' } },
+        palette: { type: 'object' },
+        connectionPoints: { type: 'array', items: { $ref: '#/definitions/connectionPoint' } },
+        isCustom: { type: 'boolean' },
+        metadata: { type: 'object' }
+      }
+    },
+    round: {
+      type: 'object',
+      required: ['round', 'stitches'],
+      properties: {
+        round: { type: 'integer', minimum: 1 },
+        stitches: { type: 'integer', minimum: 0 },
+        instruction: { type: 'string' },
+        color: { type: ['string', 'null'] }
+      }
+    },
+    connectionPoint: {
+      type: 'object',
+      required: ['id', 'name', 'position'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        position: { $ref: '#/definitions/vector3' },
+        normal: { $ref: '#/definitions/vector3' },
+        up: { $ref: '#/definitions/vector3' },
+        compatible: { type: 'array', items: { type: 'string' } },
+        isOccupied: { type: 'boolean' },
+        connectedTo: { type: ['string', 'null'] }
+      }
+    },
+    connection: {
+      type: 'object',
+      required: ['id', 'piece1Id', 'point1Id', 'piece2Id', 'point2Id'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        piece1Id: { type: 'string' },
+        point1Id: { type: 'string' },
+        piece2Id: { type: 'string' },
+        point2Id: { type: 'string' },
+        timestamp: { type: 'number' }
+      }
+    },
+    undoHistory: {
+      type: 'object',
+      required: ['version', 'currentIndex', 'entries'],
+      properties: {
+        version: { type: 'string' },
+        currentIndex: { type: 'integer', minimum: -1 },
+        currentId: { type: ['string', 'null'] },
+        activeChild: { type: ['string', 'null'] },
+        entries: { type: 'array', items: { $ref: '#/definitions/undoEntry' } },
+        branches: { type: 'array' },
+        stats: { type: 'object' }
+      }
+    },
+    checkpoint: {
+      type: 'object',
+      required: ['id', 'name', 'createdAt', 'assembly'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        note: { type: 'string' },
+        createdAt: { type: 'number' },
+        assemblyName: { type: 'string' },
+        pieceCount: { type: 'integer', minimum: 0 },
+        connectionCount: { type: 'integer', minimum: 0 },
+        historyLength: { type: 'integer', minimum: 0 },
+        // Assembly.toSafeData() snapshot, as the checkpoint was stored
+        assembly: {
+          type: 'object',
+          required: ['pieces', 'connections'],
+          properties: {
+            pieces: { type: 'array' },
+            connections: { type: 'array' }
+          }
+        }
+      }
+    },
+    undoEntry: {
+      type: 'object',
+      required: ['type', 'command'],
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        timestamp: { type: 'number' },
+        parentId: { type: ['string', 'null'] },
+        branchId: { type: 'string' },
+        activeChild: { type: ['string', 'null'] },
+        command: {
+          type: 'object',
+          required: ['type'],
+          properties: { type: { type: 'string', minLength: 1 } }
+        }
+      }
+    }
+  }
+};
+
+// ==================== VALIDATION ====================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(ref, root) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+}
+
+/**
+ * Check a value against a schema node, collecting every violation
+ */
+function checkNode(value, schema, path, root, errors) {
+  if (schema.$ref) {
+    checkNode(value, resolveRef(schema.$ref, root), path, root, errors);
+    return;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `"${value}" does not match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => checkNode(item, schema.items, `${path}[${index}]`, root, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) checkNode(value[key], propertySchema, `${path}.${key}`, root, errors);
+    });
+  }
+}
+
+/**
+ * Cross-references the schema cannot express
+ */
+function checkReferences(data, errors) {
+  const pieces = data?.assembly?.pieces;
+  if (!Array.isArray(pieces)) return;
+
+  const pieceIds = new Map();
+  pieces.forEach((piece, index) => {
+    if (!piece || typeof piece.id !== 'string') return;
+    if (pieceIds.has(piece.id)) {
+      errors.push({ path: `assembly.pieces[${index}].id`, message: `duplicate piece id "${piece.id}"` });
+    } else {
+      pieceIds.set(piece.id, piece);
+    }
+  });
+
+  const connections = data.assembly.connections;
+  if (!Array.isArray(connections)) return;
+
+  connections.forEach((connection, index) => {
+    if (!connection) return;
+    [['piece1Id', 'point1Id'], ['piece2Id', 'point2Id']].forEach(([pieceKey, pointKey]) => {
+      const piece = pieceIds.get(connection[pieceKey]);
+      if (!piece) {
+        errors.push({
+          path: `assembly.connections[${index}].${pieceKey}`,
+          message: `refers to missing piece "${connection[pieceKey]}"`
+        });
+      } else if (Array.isArray(piece.connectionPoints) &&
+                 !piece.connectionPoints.some(point => point?.id === connection[pointKey])) {
+        errors.push({
+          path: `assembly.connections[${index}].${pointKey}`,
+          message: `refers to missing connection point "${connection[pointKey]}" on piece "${piece.id}"`
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Validate a parsed project file. Returns { valid, errors: [{ path, message }] }
+ */
+export function validateProject(data, schema = PROJECT_SCHEMA) {
+  const errors = [];
+  checkNode(data, schema, '$', schema, errors);
+  checkReferences(data, errors);
+
+  // Report paths relative to the file root
+  errors.forEach(error => {
+    error.path = error.path.replace(/^\$\.?/, '') || '(root)';
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+export function formatValidationError(error) {
+  return `${error.path}: ${error.message}`;
+}
@@ -0,0 +1,316 @@
+// src/utils/assemblyCommands.js
+
+/**
+ * Serializable assembly commands
+ * Each undoable edit is a plain JSON object ({ type, ...fields }) whose
+ * inverse has the same shape, so an undo stack can be saved with the project
+ * and replayed after a reload. A CommandRegistry maps each type to the code
+ * that applies it to an Assembly.
+ *
+ *   add_piece     { piece, connections }         ↔ remove_piece
+ *   remove_piece  { pieceId, piece, connections } ↔ add_piece
+ *   move_piece    { pieceId, from, to }
+ *   rotate_piece  { pieceId, from, to }           (Euler angles)
+ *   scale_piece   { pieceId, from, to }
+ *   connect       { connection }                  ↔ disconnect
+ *   disconnect    { connection }                  ↔ connect
+ *   modify_piece  { pieceId, before, after }
+ *   batch         { commands }
+ */
+
+import { CrochetPiece } from '../types/assemblyModels';
+import { createPieceSnapshot } from './safeTypes';
+
+// Set after construction, since CrochetPiece does not take them
+const RESTORED_FIELDS = ['position', 'rotation', 'scale', 'metadata'];
+
+function commandError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function requirePiece(assembly, pieceId) {
+  const piece = assembly.pieces.get(pieceId);
+  if (!piece) throw commandError(`Piece ${pieceId} not found`, 'COMMAND_TARGET_MISSING');
+  return piece;
+}
+
+function pieceLabel(command) {
+  return command.piece?.name || command.piece?.id || command.pieceId;
+}
+
+// Commands store pieces as full snapshots
+export const snapshotPiece = createPieceSnapshot;
+
+/**
+ * Connection fields a command needs to recreate it with the same id
+ */
+export function connectionRecord(connection) {
+  const { id, piece1Id, point1Id, piece2Id, point2Id } = connection;
+  return { id, piece1Id, point1Id, piece2Id, point2Id };
+}
+
+function restorePiece(snapshot) {
+  const data = clone(snapshot);
+  const piece = new CrochetPiece(data);
+  RESTORED_FIELDS.forEach(field => {
+    if (data[field] !== undefined) piece[field] = data[field];
+  });
+  return piece;
+}
+
+function applyConnect(assembly, connection) {
+  if (assembly.connections.some(conn => conn.id === connection.id)) {
+    throw commandError(`Connection ${connection.id} already exists`, 'COMMAND_CONFLICT');
+  }
+  const ends = [[connection.piece1Id, connection.point1Id], [connection.piece2Id, connection.point2Id]];
+  ends.forEach(([pieceId, pointId]) => {
+    const point = requirePiece(assembly, pieceId).connectionPoints.find(p => p.id === pointId);
+    if (!point) throw commandError(`Connection point ${pointId} not found`, 'COMMAND_TARGET_MISSING');
+    if (point.isOccupied) throw commandError(`Connection point ${pointId} is in use`, 'COMMAND_CONFLICT');
+  });
+  assembly._performConnection(connection.piece1Id, connection.point1Id, connection.piece2Id, connection.point2Id, connection.id);
+}
+
+function applyDisconnect(assembly, connection) {
+  if (!assembly.disconnect(connection.id)) {
+    throw commandError(`Could not disconnect ${connection.id}`, 'COMMAND_TARGET_MISSING');
+  }
+}
+
+function connectionsOf(assembly, pieceId) {
+  return assembly.connections
+    .filter(conn => conn.piece1Id === pieceId || conn.piece2Id === pieceId)
+    .map(connectionRecord);
+}
+
+const BUILT_IN_COMMANDS = {
+  add_piece: {
+    apply(assembly, command) {
+      if (assembly.pieces.has(command.piece.id)) {
+        throw commandError(`Piece ${command.piece.id} already exists`, 'COMMAND_CONFLICT');
+      }
+      // Restores a piece the user already had, so tier limits are not
+      // checked again; the usage count still follows the piece
+      assembly._directAddPiece(restorePiece(command.piece));
+      if (assembly.usageTracker) assembly.usageTracker.piecesUsed++;
+      (command.connections || []).forEach(connection => applyConnect(assembly, connection));
+    },
+    invert: command => ({
+      type: 'remove_piece',
+      pieceId: command.piece.id,
+      piece: command.piece,
+      connections: command.connections || []
+    }),
+    describe: command => `Add ${pieceLabel(command)}`
+  },
+
+  remove_piece: {
+    capture(assembly, command) {
+      const piece = requirePiece(assembly, command.pieceId);
+      return { ...command, piece: snapshotPiece(piece), connections: connectionsOf(assembly, command.pieceId) };
+    },
+    apply(assembly, command) {
+      requirePiece(assembly, command.pieceId);
+      if (assembly.locked.has(command.pieceId)) {
+        throw commandError(`Piece ${command.pieceId} is locked`, 'PIECE_LOCKED');
+      }
+      connectionsOf(assembly, command.pieceId).forEach(connection => applyDisconnect(assembly, connection));
+      assembly.removePiece(command.pieceId);
+    },
+    invert: command => ({ type: 'add_piece', piece: command.piece, connections: command.connections || [] }),
+    describe: command => `Remove ${pieceLabel(command)}`
+  },
+
+  move_piece: {
+    capture(assembly, command) {
+      const { x = 0, y = 0, z = 0 } = requirePiece(assembly, command.pieceId).position || {};
+      return { ...command, from: { x, y, z } };
+    },
+    apply(assembly, command) {
+      requirePiece(assembly, command.pieceId);
+      assembly.updatePiecePosition(command.pieceId, command.to);
+    },
+    invert: command => ({ type: 'move_piece', pieceId: command.pieceId, from: command.to, to: command.from }),
+    describe: command => `Move ${command.pieceId}`
+  },
+
+  rotate_piece: {
+    capture(assembly, command) {
+      const { x = 0, y = 0, z = 0 } = requirePiece(assembly, command.pieceId).rotation || {};
+      return { ...command, from: { x, y, z } };
+    },
+    apply(assembly, command) {
+      requirePiece(assembly, command.pieceId);
+      const { x = 0, y = 0, z = 0 } = command.to;
+      assembly.updatePiece(command.pieceId, { rotation: { x, y, z } });
+    },
+    invert: command => ({ type: 'rotate_piece', pieceId: command.pieceId, from: command.to, to: command.from }),
+    describe: command => `Rotate ${command.pieceId}`
+  },
+
+  scale_piece: {
+    capture(assembly, command) {
+      const { x = 1, y = 1, z = 1 } = requirePiece(assembly, command.pieceId).scale || {};
+      return { ...command, from: { x, y, z } };
+    },
+    apply(assembly, command) {
+      requirePiece(assembly, command.pieceId);
+      const { x = 1, y = 1, z = 1 } = command.to;
+      assembly.updatePiece(command.pieceId, { scale: { x, y, z } });
+    },
+    invert: command => ({ type: 'scale_piece', pieceId: command.pieceId, from: command.to, to: command.from }),
+    describe: command => `Scale ${command.pieceId}`
+  },
+
+  connect: {
+    capture: (assembly, command) => ({
+      ...command,
+      connection: {
+        ...command.connection,
+        id: command.connection.id || `conn-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`
+      }
+    }),
+    apply: (assembly, command) => applyConnect(assembly, command.connection),
+    invert: command => ({ type: 'disconnect', connection: command.connection }),
+    describe: command => `Connect ${command.connection.piece1Id} to ${command.connection.piece2Id}`
+  },
+
+  disconnect: {
+    capture(assembly, command) {
+      const id = command.connection?.id ?? command.connectionId;
+      const connection = assembly.connections.find(conn => conn.id === id);
+      if (!connection) throw commandError(`Connection ${id} not found`, 'COMMAND_TARGET_MISSING');
+      return { type: command.type, connection: connectionRecord(connection) };
+    },
+    apply: (assembly, command) => applyDisconnect(assembly, command.connection),
+    invert: command => ({ type: 'connect', connection: command.connection }),
+    describe: command => `Disconnect ${command.connection.piece1Id} from ${command.connection.piece2Id}`
+  },
+
+  modify_piece: {
+    capture(assembly, command) {
+      const piece = requirePiece(assembly, command.pieceId);
+      const before = {};
+      Object.keys(command.after).forEach(field => {
+        before[field] = clone(piece[field]) ?? null;
+      });
+      return { ...command, before };
+    },
+    apply(assembly, command) {
+      requirePiece(assembly, command.pieceId);
+      if ('id' in command.after) throw commandError('A piece id cannot be modified', 'INVALID_COMMAND');
+      assembly.updatePiece(command.pieceId, command.after);
+    },
+    invert: command => ({ type: 'modify_piece', pieceId: command.pieceId, before: command.after, after: command.before }),
+    describe: command => `Modify ${command.pieceId}`
+  },
+
+  batch: {
+    // Later commands see the state left by earlier ones
+    execute(assembly, command, registry) {
+      const done = [];
+      try {
+        command.commands.forEach(child => done.push(registry.execute(assembly, child)));
+      } catch (error) {
+        done.reverse().forEach(child => registry.apply(assembly, registry.invert(child)));
+        throw error;
+      }
+      return { ...command, commands: done };
+    },
+    apply(assembly, command, registry) {
+      const applied = [];
+      try {
+        command.commands.forEach(child => {
+          registry.apply(assembly, child);
+          applied.push(child);
+        });
+      } catch (error) {
+        // Leave the assembly as it was before the batch
+        applied.reverse().forEach(child => registry.apply(assembly, registry.invert(child)));
+        throw error;
+      }
+    },
+    invert: (command, registry) => ({
+      type: 'batch',
+      commands: command.commands.map(child => registry.invert(child)).reverse()
+    }),
+    describe: command => `${command.commands.length} actions`
+  }
+};
+
+/**
+ * Maps command types to { apply, invert, capture?, execute?, describe? }.
+ * capture(assembly, command) fills in the state a command needs to be
+ * undone (a removed piece, a move's start position) before it runs.
+ */
+export class CommandRegistry {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  register(type, handler) {
+    if (typeof handler?.apply !== 'function' || typeof handler.invert !== 'function') {
+      throw new Error(`Command "${type}" needs apply and invert functions`);
+    }
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  getHandler(command) {
+    const handler = this.handlers.get(command?.type);
+    if (!handler) throw commandError(`Unknown command type: ${command?.type}`, 'UNKNOWN_COMMAND');
+    return handler;
+  }
+
+  // Complete a command against the current state, apply it, and return it
+  execute(assembly, command) {
+    const handler = this.getHandler(command);
+    if (handler.execute) return handler.execute(assembly, command, this);
+
+    const complete = handler.capture ? handler.capture(assembly, command) : command;
+    handler.apply(assembly, complete, this);
+    return complete;
+  }
+
+  apply(assembly, command) {
+    this.getHandler(command).apply(assembly, command, this);
+  }
+
+  invert(command) {
+    return this.getHandler(command).invert(command, this);
+  }
+
+  describe(command) {
+    return this.getHandler(command).describe?.(command) || null;
+  }
+
+  /**
+   * True when every command (including batch children) has a known type
+   */
+  canReplay(command) {
+    if (!this.has(command?.type)) return false;
+    return command.type !== 'batch' ||
+      (Array.isArray(command.commands) && command.commands.every(child => this.canReplay(child)));
+  }
+}
+
+/**
+ * Registry with the built-in commands for every UndoRedoSystem action type
+ */
+export function createCommandRegistry() {
+  const registry = new CommandRegistry();
+  Object.entries(BUILT_IN_COMMANDS).forEach(([type, handler]) => registry.register(type, handler));
+  return registry;
+}
+
+export const commandRegistry = createCommandRegistry();
@@ -0,0 +1,404 @@
+// src/utils/assemblyDiff.js
+// Structural diff and three-way merge of saved assemblies
+
+/**
+ * Works on Assembly.toSafeData() output, and on imported projects whose
+ * pieces are a Map and connections a Set. Pieces are matched by id.
+ * Connections are matched by the points they join, since two copies that
+ * make the same connection give it different ids.
+ */
+
+// Piece fields compared one by one; rounds are compared round by round
+const PIECE_FIELDS = ['name', 'type', 'color', 'palette', 'position', 'rotation', 'scale', 'isCustom', 'connectionPoints'];
+
+export const DIFF_COLORS = {
+  added: 0x10b981,
+  removed: 0xef4444,
+  modified: 0xf59e0b
+};
+
+// JSON with sorted keys, so key order never counts as a change
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+function same(a, b) {
+  return canonical(a) === canonical(b);
+}
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Occupancy follows from the connections, so it is left out of comparisons
+function pointShape(points) {
+  return (points || []).map(point => {
+    const shape = { ...point };
+    delete shape.isOccupied;
+    delete shape.connectedTo;
+    return shape;
+  });
+}
+
+function fieldValue(piece, field) {
+  return field === 'connectionPoints' ? pointShape(piece[field]) : piece[field];
+}
+
+function samePiece(a, b) {
+  return PIECE_FIELDS.every(field => same(fieldValue(a, field), fieldValue(b, field))) &&
+    same(a.rounds || [], b.rounds || []);
+}
+
+function connectionEnds(conn) {
+  return {
+    piece1Id: conn.piece1Id ?? conn.fromPiece,
+    point1Id: conn.point1Id ?? conn.fromPoint,
+    piece2Id: conn.piece2Id ?? conn.toPiece,
+    point2Id: conn.point2Id ?? conn.toPoint
+  };
+}
+
+/**
+ * Key for a connection that does not depend on its id or direction
+ */
+export function connectionKey(conn) {
+  const ends = connectionEnds(conn);
+  return [`${ends.piece1Id}:${ends.point1Id}`, `${ends.piece2Id}:${ends.point2Id}`].sort().join('|');
+}
+
+function list(collection) {
+  if (!collection) return [];
+  if (collection instanceof Map || collection instanceof Set) return [...collection.values()];
+  return Array.isArray(collection) ? collection : Object.values(collection);
+}
+
+/**
+ * Pieces, connections and locked ids of saved or imported assembly data,
+ * keyed for comparison
+ */
+export function normalizeForDiff(data = {}) {
+  const source = data.assembly && !data.pieces ? data.assembly : data;
+  return {
+    id: source.id,
+    name: source.name,
+    pieces: new Map(list(source.pieces).filter(p => p && p.id).map(p => [p.id, p])),
+    connections: new Map(list(source.connections).filter(Boolean).map(c => [connectionKey(c), c])),
+    locked: new Set(list(source.locked))
+  };
+}
+
+/**
+ * Round-by-round changes between two patterns
+ */
+export function diffRounds(from = [], to = []) {
+  const changes = [];
+  for (let i = 0; i < Math.max(from.length, to.length); i++) {
+    const before = from[i];
+    const after = to[i];
+    const round = after?.round ?? before?.round ?? i + 1;
+    if (before === undefined) {
+      changes.push({ index: i, round, change: 'added', to: after });
+    } else if (after === undefined) {
+      changes.push({ index: i, round, change: 'removed', from: before });
+    } else if (!same(before, after)) {
+      const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !same(before[field], after[field]));
+      changes.push({ index: i, round, change: 'modified', from: before, to: after, fields });
+    }
+  }
+  return changes;
+}
+
+/**
+ * What changed from one version of an assembly to another
+ */
+export function diffAssemblies(fromData, toData) {
+  const from = normalizeForDiff(fromData);
+  const to = normalizeForDiff(toData);
+
+  const added = [...to.pieces.values()].filter(p => !from.pieces.has(p.id));
+  const removed = [...from.pieces.values()].filter(p => !to.pieces.has(p.id));
+  const modified = [];
+  to.pieces.forEach((after, id) => {
+    const before = from.pieces.get(id);
+    if (!before) return;
+    const changes = PIECE_FIELDS
+      .filter(field => !same(fieldValue(before, field), fieldValue(after, field)))
+      .map(field => ({ field, from: before[field], to: after[field] }));
+    const rounds = diffRounds(before.rounds, after.rounds);
+    if (changes.length > 0 || rounds.length > 0) {
+      modified.push({ id, name: after.name, changes, rounds });
+    }
+  });
+
+  const connections = {
+    added: [...to.connections.entries()].filter(([key]) => !from.connections.has(key)).map(([, c]) => c),
+    removed: [...from.connections.entries()].filter(([key]) => !to.connections.has(key)).map(([, c]) => c)
+  };
+  const locked = {
+    added: [...to.locked].filter(id => !from.locked.has(id)),
+    removed: [...from.locked].filter(id => !to.locked.has(id))
+  };
+  const name = from.name !== to.name ? { from: from.name, to: to.name } : null;
+
+  const summary = {
+    piecesAdded: added.length,
+    piecesRemoved: removed.length,
+    piecesModified: modified.length,
+    roundsChanged: modified.reduce((sum, m) => sum + m.rounds.length, 0),
+    connectionsAdded: connections.added.length,
+    connectionsRemoved: connections.removed.length
+  };
+
+  return {
+    name,
+    pieces: { added, removed, modified },
+    connections,
+    locked,
+    summary,
+    identical: !name && Object.values(summary).every(n => n === 0) &&
+      locked.added.length === 0 && locked.removed.length === 0
+  };
+}
+
+/**
+ * Map of piece id to 'added', 'removed' or 'modified' for highlighting.
+ * Pieces whose connections changed count as modified.
+ */
+export function diffHighlights(diff) {
+  const highlights = new Map();
+  diff.pieces.added.forEach(p => highlights.set(p.id, 'added'));
+  diff.pieces.removed.forEach(p => highlights.set(p.id, 'removed'));
+  diff.pieces.modified.forEach(p => highlights.set(p.id, 'modified'));
+  [...diff.connections.added, ...diff.connections.removed].forEach(conn => {
+    const { piece1Id, piece2Id } = connectionEnds(conn);
+    [piece1Id, piece2Id].forEach(id => {
+      if (!highlights.has(id)) highlights.set(id, 'modified');
+    });
+  });
+  return highlights;
+}
+
+/**
+ * Tint piece meshes by their diff state. `meshes` is a Map of piece id to
+ * Object3D, or a list of objects with userData.pieceId as the drag and
+ * drop manager sets. Returns a function that puts the materials back.
+ */
+export function highlightDiffInScene(meshes, highlights, colors = DIFF_COLORS) {
+  const entries = meshes instanceof Map
+    ? [...meshes.entries()]
+    : list(meshes).map(mesh => [mesh.userData?.pieceId, mesh]);
+  const saved = [];
+
+  entries.forEach(([pieceId, object]) => {
+    const state = highlights.get(pieceId);
+    if (!state || !object) return;
+    const tint = (mesh) => {
+      const material = mesh.material;
+      if (!material?.emissive) return;
+      saved.push({ material, emissive: material.emissive.getHex(), intensity: material.emissiveIntensity });
+      material.emissive.setHex(colors[state]);
+      material.emissiveIntensity = 0.4;
+    };
+    if (typeof object.traverse === 'function') object.traverse(tint);
+    else tint(object);
+  });
+
+  return () => {
+    saved.reverse().forEach(({ material, emissive, intensity }) => {
+      material.emissive.setHex(emissive);
+      material.emissiveIntensity = intensity;
+    });
+  };
+}
+
+/**
+ * Three-way merge of two versions that both started from base. Changes
+ * made on one side only are applied; when both sides changed the same
+ * thing differently the conflict is listed and `resolutions[conflict.id]`
+ * ('ours' or 'theirs') decides, keeping ours by default. Run the merge
+ * again with the user's choices to resolve conflicts.
+ *
+ * Returns { merged, conflicts, applied, skipped }: merged is assembly
+ * data like Assembly.toSafeData(), applied lists the changes taken from
+ * theirs, and skipped the connections that could not be kept.
+ */
+export function mergeAssemblies(baseData, oursData, theirsData, { resolutions = {} } = {}) {
+  const base = normalizeForDiff(baseData);
+  const ours = normalizeForDiff(oursData);
+  const theirs = normalizeForDiff(theirsData);
+  const conflicts = [];
+  const applied = [];
+  const skipped = [];
+
+  const choose = (conflict) => {
+    const resolution = resolutions[conflict.id] === 'theirs' ? 'theirs' : 'ours';
+    conflicts.push({ ...conflict, resolution, resolved: conflict.id in resolutions });
+    return resolution;
+  };
+
+  // A value changed on one side wins; changed on both is a conflict
+  const mergeValue = (id, details, baseValue, oursValue, theirsValue, compare = same) => {
+    if (compare(oursValue, theirsValue)) return oursValue;
+    if (compare(baseValue, oursValue)) {
+      applied.push({ id, ...details });
+      return theirsValue;
+    }
+    if (compare(baseValue, theirsValue)) return oursValue;
+    const resolution = choose({ id, ...details, base: baseValue, ours: oursValue, theirs: theirsValue });
+    return resolution === 'theirs' ? theirsValue : oursValue;
+  };
+
+  const name = mergeValue('name', { type: 'name' }, base.name, ours.name, theirs.name);
+
+  // Pieces, in our order with theirs' new pieces after
+  const pieces = [];
+  const ids = [...new Set([...ours.pieces.keys(), ...theirs.pieces.keys(), ...base.pieces.keys()])];
+  ids.forEach(pieceId => {
+    const b = base.pieces.get(pieceId);
+    const o = ours.pieces.get(pieceId);
+    const t = theirs.pieces.get(pieceId);
+    const id = `piece:${pieceId}`;
+
+    if (!o && !t) return;
+    if (!b && o && t && !samePiece(o, t)) {
+      const resolution = choose({ id, type: 'piece-added', pieceId, name: o.name, ours: o, theirs: t });
+      pieces.push(copy(resolution === 'theirs' ? t : o));
+      return;
+    }
+    if (!b) {
+      if (!o) applied.push({ id, type: 'piece-added', pieceId, name: t.name });
+      pieces.push(copy(o || t));
+      return;
+    }
+    if (!o || !t) {
+      // Removed on one side: fine unless the other side changed it
+      const kept = o || t;
+      if (samePiece(b, kept)) {
+        if (!t) applied.push({ id, type: 'piece-removed', pieceId, name: b.name });
+        return;
+      }
+      const resolution = choose({ id, type: 'piece-removed', pieceId, name: b.name, base: b, ours: o || null, theirs: t || null });
+      const winner = resolution === 'theirs' ? t : o;
+      if (winner) pieces.push(copy(winner));
+      return;
+    }
+
+    const piece = copy(o);
+    PIECE_FIELDS.forEach(field => {
+      const value = mergeValue(`${id}:${field}`, { type: 'piece-field', pieceId, name: o.name, field },
+        b[field], o[field], t[field],
+        field === 'connectionPoints' ? (x, y) => same(pointShape(x), pointShape(y)) : same);
+      if (value === undefined) delete piece[field];
+      else piece[field] = copy(value);
+    });
+
+    const rounds = [];
+    const count = Math.max(b.rounds?.length || 0, o.rounds?.length || 0, t.rounds?.length || 0);
+    for (let i = 0; i < count; i++) {
+      const round = mergeValue(`${id}:round:${i}`, { type: 'round', pieceId, name: o.name, index: i },
+        b.rounds?.[i], o.rounds?.[i], t.rounds?.[i]);
+      if (round !== undefined) rounds.push(copy(round));
+    }
+    if (rounds.length > 0 || o.rounds) piece.rounds = rounds;
+    pieces.push(piece);
+  });
+
+  // Connections: kept if both sides have them or one side added them
+  const pieceIds = new Set(pieces.map(p => p.id));
+  const candidates = [];
+  new Set([...base.connections.keys(), ...ours.connections.keys(), ...theirs.connections.keys()]).forEach(key => {
+    const inBase = base.connections.has(key);
+    const inOurs = ours.connections.has(key);
+    const inTheirs = theirs.connections.has(key);
+    if (inOurs && inTheirs) {
+      candidates.push({ key, conn: ours.connections.get(key), side: 'both' });
+    } else if (!inBase && inOurs) {
+      candidates.push({ key, conn: ours.connections.get(key), side: 'ours' });
+    } else if (!inBase && inTheirs) {
+      candidates.push({ key, conn: theirs.connections.get(key), side: 'theirs' });
+    } else if (inBase && inOurs !== inTheirs && inOurs) {
+      applied.push({ id: `connection:${key}`, type: 'connection-removed', key });
+    }
+  });
+
+  const alive = candidates.filter(candidate => {
+    const { piece1Id, piece2Id } = connectionEnds(candidate.conn);
+    if (pieceIds.has(piece1Id) && pieceIds.has(piece2Id)) return true;
+    skipped.push({ key: candidate.key, connection: candidate.conn, reason: 'A piece it joins is not in the merged assembly' });
+    return false;
+  });
+
+  // Both sides connecting the same point to different places conflict
+  const byPoint = new Map();
+  alive.forEach(candidate => {
+    const ends = connectionEnds(candidate.conn);
+    [`${ends.piece1Id}:${ends.point1Id}`, `${ends.piece2Id}:${ends.point2Id}`].forEach(point => {
+      if (!byPoint.has(point)) byPoint.set(point, []);
+      byPoint.get(point).push(candidate);
+    });
+  });
+  const dropped = new Set();
+  byPoint.forEach((users, point) => {
+    const ourUse = users.find(u => u.side !== 'theirs' && !dropped.has(u.key));
+    const theirUse = users.find(u => u.side === 'theirs' && !dropped.has(u.key));
+    if (!ourUse || !theirUse) return;
+    const resolution = choose({ id: `point:${point}`, type: 'connection', point, ours: ourUse.conn, theirs: theirUse.conn });
+    dropped.add(resolution === 'theirs' ? ourUse.key : theirUse.key);
+  });
+
+  const connections = alive.filter(c => !dropped.has(c.key)).map(c => {
+    if (c.side === 'theirs') applied.push({ id: `connection:${c.key}`, type: 'connection-added', key: c.key });
+    return copy(c.conn);
+  });
+
+  // Points are occupied by exactly the merged connections
+  const occupied = new Map();
+  connections.forEach(conn => {
+    const ends = connectionEnds(conn);
+    occupied.set(`${ends.piece1Id}:${ends.point1Id}`, ends.point2Id);
+    occupied.set(`${ends.piece2Id}:${ends.point2Id}`, ends.point1Id);
+  });
+  pieces.forEach(piece => {
+    (piece.connectionPoints || []).forEach(point => {
+      const other = occupied.get(`${piece.id}:${point.id}`);
+      point.isOccupied = other !== undefined;
+      if (other !== undefined) point.connectedTo = other;
+      else delete point.connectedTo;
+    });
+  });
+
+  // Locked pieces merge like connections
+  const locked = [...new Set([...ours.locked, ...theirs.locked])].filter(id => {
+    if (!pieceIds.has(id)) return false;
+    const removedByOne = base.locked.has(id) && (!ours.locked.has(id) || !theirs.locked.has(id));
+    return !removedByOne;
+  });
+
+  const source = oursData.assembly && !oursData.pieces ? oursData.assembly : oursData;
+  const merged = {
+    id: source.id,
+    name,
+    pieces,
+    connections,
+    history: [
+      ...list(source.history),
+      {
+        action: 'merge',
+        data: { mergedFrom: theirs.id, applied: applied.length, conflicts: conflicts.length },
+        timestamp: Date.now()
+      }
+    ],
+    locked,
+    currentTier: source.currentTier,
+    lastModified: Date.now()
+  };
+
+  return { merged, conflicts, applied, skipped };
+}
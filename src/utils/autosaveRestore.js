@@ -0,0 +1,34 @@
+// src/utils/autosaveRestore.js
+// Checking and restoring the open assembly's autosaves, as the safety check does
+
+/**
+ * Restore points of an assembly, oldest first, and which of them cannot be
+ * read back. A delta backup whose chain is broken reads as nothing.
+ */
+export function checkRestorePoints(assembly) {
+  if (!assembly) return { points: [], unreadable: [] };
+
+  const points = assembly.getRestorePoints();
+  const unreadable = points.filter(point => !assembly.previewBackup(point.key)).map(point => point.key);
+  return { points, unreadable };
+}
+
+/**
+ * Replace the assembly's state with one of its autosaves. The state being
+ * replaced is backed up first and becomes a restore point of its own.
+ */
+export function restoreAutosave(assembly, backupKey) {
+  const point = assembly.getRestorePoints().find(p => p.key === backupKey);
+  if (!point) {
+    return { success: false, reason: 'NOT_FOUND', message: 'This autosave no longer exists.' };
+  }
+
+  const result = assembly.restoreBackup(backupKey);
+  if (!result.success) {
+    return { ...result, reason: 'UNREADABLE', message: 'This autosave cannot be read.' };
+  }
+  return {
+    ...result,
+    message: `Restored the autosave of ${new Date(point.timestamp).toLocaleString()}. The replaced version was kept as an autosave.`
+  };
+}
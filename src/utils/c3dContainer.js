@@ -0,0 +1,141 @@
+// src/utils/c3dContainer.js
+// Binary container for .c3d project files and .c3d-backup backups
+
+import { deflateRaw, inflateRaw, crc32 } from './deflate';
+
+/**
+ * Layout (little-endian, 20-byte header):
+ *   0  "C3DZ" magic
+ *   4  container version
+ *   5  flags (bit 0: payload is DEFLATE-compressed)
+ *   6  kind (0 project, 1 backup)
+ *   7  reserved
+ *   8  uncompressed length
+ *  12  payload length
+ *  16  CRC-32 of the uncompressed data
+ *  20  payload
+ */
+
+export const C3D_MAGIC = 'C3DZ';
+export const C3D_CONTAINER_VERSION = 1;
+export const C3D_HEADER_SIZE = 20;
+
+const FLAG_DEFLATE = 1;
+const KINDS = ['project', 'backup'];
+
+function containerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toBytes(content) {
+  if (content instanceof Uint8Array) return content;
+  if (content instanceof ArrayBuffer) return new Uint8Array(content);
+  if (ArrayBuffer.isView(content)) return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+  return null;
+}
+
+/**
+ * True when the content starts with the container magic
+ */
+export function isC3DContainer(content) {
+  const bytes = toBytes(content);
+  if (!bytes || bytes.length < C3D_MAGIC.length) return false;
+  for (let i = 0; i < C3D_MAGIC.length; i++) {
+    if (bytes[i] !== C3D_MAGIC.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Pack text (usually JSON) into a compressed, checksummed container
+ */
+export function packC3D(text, options = {}) {
+  const { kind = 'project', level = 6 } = options;
+  const data = new TextEncoder().encode(text);
+  const compressed = deflateRaw(data, level);
+
+  // Tiny files can grow when deflated; store those as-is
+  const useDeflate = compressed.length < data.length;
+  const payload = useDeflate ? compressed : data;
+
+  const output = new Uint8Array(C3D_HEADER_SIZE + payload.length);
+  const view = new DataView(output.buffer);
+  for (let i = 0; i < C3D_MAGIC.length; i++) output[i] = C3D_MAGIC.charCodeAt(i);
+  output[4] = C3D_CONTAINER_VERSION;
+  output[5] = useDeflate ? FLAG_DEFLATE : 0;
+  output[6] = Math.max(0, KINDS.indexOf(kind));
+  view.setUint32(8, data.length, true);
+  view.setUint32(12, payload.length, true);
+  view.setUint32(16, crc32(data), true);
+  output.set(payload, C3D_HEADER_SIZE);
+
+  return output;
+}
+
+/**
+ * Read the header without touching the payload
+ */
+export function readC3DHeader(content) {
+  const bytes = toBytes(content);
+  if (!bytes || !isC3DContainer(bytes)) {
+    throw containerError('NOT_C3D', 'Not a Crochet 3D file: missing C3DZ header');
+  }
+  if (bytes.length < C3D_HEADER_SIZE) {
+    throw containerError('TRUNCATED',
+      `File is truncated: header has ${bytes.length} of ${C3D_HEADER_SIZE} bytes`);
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return {
+    version: bytes[4],
+    compressed: (bytes[5] & FLAG_DEFLATE) !== 0,
+    kind: KINDS[bytes[6]] || 'unknown',
+    length: view.getUint32(8, true),
+    payloadLength: view.getUint32(12, true),
+    checksum: view.getUint32(16, true)
+  };
+}
+
+/**
+ * Unpack and verify a container, returning { text, header }.
+ * Errors carry a code: NOT_C3D, TRUNCATED, UNSUPPORTED_VERSION, CORRUPT or
+ * CHECKSUM_MISMATCH.
+ */
+export function unpackC3D(content) {
+  const bytes = toBytes(content);
+  const header = readC3DHeader(bytes);
+
+  if (header.version > C3D_CONTAINER_VERSION) {
+    throw containerError('UNSUPPORTED_VERSION',
+      `File uses container version ${header.version}; this app reads up to version ${C3D_CONTAINER_VERSION}. Please update Crochet 3D.`);
+  }
+
+  const available = bytes.length - C3D_HEADER_SIZE;
+  if (available < header.payloadLength) {
+    throw containerError('TRUNCATED',
+      `File is truncated: expected ${header.payloadLength} bytes of data but found ${available}`);
+  }
+  if (available > header.payloadLength) {
+    throw containerError('CORRUPT',
+      `File is damaged: ${available - header.payloadLength} unexpected bytes after the data`);
+  }
+
+  const payload = bytes.subarray(C3D_HEADER_SIZE);
+  let data = payload;
+  if (header.compressed) {
+    try {
+      data = inflateRaw(payload, header.length);
+    } catch (error) {
+      throw containerError('CORRUPT', `File is damaged and cannot be decompressed: ${error.message}`);
+    }
+  }
+
+  if (data.length !== header.length || crc32(data) !== header.checksum) {
+    throw containerError('CHECKSUM_MISMATCH',
+      'File failed its integrity check: it has been modified or damaged since it was saved');
+  }
+
+  return { text: new TextDecoder().decode(data), header };
+}
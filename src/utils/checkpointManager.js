@@ -0,0 +1,209 @@
+// src/utils/checkpointManager.js
+// Named checkpoints ("v1 – before resizing arms") of a design
+
+import { safeStorageSet, safeLocalStorageGet, toStorableData } from './safeSerialize';
+import { storage } from './storageManager';
+import { diffAssemblies } from './assemblyDiff';
+
+const INDEX_PREFIX = 'checkpoints_';
+const SNAPSHOT_PREFIX = 'checkpoint_';
+
+function checkpointError(reason, message) {
+  return { success: false, reason, message };
+}
+
+const snapshotKey = (projectId, checkpointId) => `${SNAPSHOT_PREFIX}${projectId}_${checkpointId}`;
+
+// File name part: letters, digits, dashes and underscores only
+const fileSafe = text => String(text).trim().replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '') || 'checkpoint';
+
+/**
+ * Checkpoints of each project. Every checkpoint is a full snapshot of the
+ * assembly under its own key, so it stays restorable however far the
+ * design moves on; the per-project index holds what is listed. Unlike
+ * backups they are never pruned, and they go only when deleted or when
+ * their project is.
+ */
+export class CheckpointManager {
+  constructor(store = storage) {
+    this.storage = store;
+  }
+
+  readIndex(projectId) {
+    try {
+      const parsed = JSON.parse(this.storage.getItem(`${INDEX_PREFIX}${projectId}`) || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.error(`Checkpoint list of ${projectId} is damaged:`, error);
+      return [];
+    }
+  }
+
+  writeIndex(projectId, checkpoints) {
+    return this.storage.setItem(`${INDEX_PREFIX}${projectId}`, JSON.stringify(checkpoints));
+  }
+
+  /**
+   * Checkpoints of a project, oldest first
+   */
+  list(projectId) {
+    return this.readIndex(projectId).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  get(projectId, checkpointId) {
+    return this.readIndex(projectId).find(c => c.id === checkpointId) || null;
+  }
+
+  /**
+   * Snapshot the assembly as a named checkpoint
+   */
+  create(assembly, name, { note = '' } = {}) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return checkpointError('INVALID_NAME', 'Checkpoint name cannot be empty.');
+
+    const checkpoints = this.readIndex(assembly.id);
+    if (checkpoints.some(c => c.name.toLowerCase() === trimmed.toLowerCase())) {
+      return checkpointError('DUPLICATE_NAME', `There is already a checkpoint called "${trimmed}".`);
+    }
+
+    const now = Date.now();
+    let id = `cp-${now}`;
+    for (let n = 1; checkpoints.some(c => c.id === id); n++) id = `cp-${now}-${n}`;
+
+    const data = assembly.toSafeData();
+    const written = safeStorageSet(snapshotKey(assembly.id, id), data);
+    if (!written.success) return { ...written, reason: 'SAVE_FAILED' };
+
+    const checkpoint = {
+      id,
+      name: trimmed,
+      note: String(note || '').trim(),
+      createdAt: now,
+      assemblyName: assembly.name,
+      pieceCount: data.pieces.length,
+      connectionCount: data.connections.length,
+      historyLength: data.history.length
+    };
+    const indexed = this.writeIndex(assembly.id, [...checkpoints, checkpoint]);
+    if (!indexed.success) {
+      this.storage.removeItem(snapshotKey(assembly.id, id));
+      return { ...indexed, reason: 'SAVE_FAILED' };
+    }
+    return { success: true, checkpoint };
+  }
+
+  /**
+   * Saved assembly data of a checkpoint, or null
+   */
+  load(projectId, checkpointId) {
+    if (!this.get(projectId, checkpointId)) return null;
+    const data = safeLocalStorageGet(snapshotKey(projectId, checkpointId));
+    return data && !data.corrupted ? data : null;
+  }
+
+  rename(projectId, checkpointId, name, note) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return checkpointError('INVALID_NAME', 'Checkpoint name cannot be empty.');
+
+    const checkpoints = this.readIndex(projectId);
+    const checkpoint = checkpoints.find(c => c.id === checkpointId);
+    if (!checkpoint) return checkpointError('NOT_FOUND', `Checkpoint ${checkpointId} not found.`);
+    if (checkpoints.some(c => c.id !== checkpointId && c.name.toLowerCase() === trimmed.toLowerCase())) {
+      return checkpointError('DUPLICATE_NAME', `There is already a checkpoint called "${trimmed}".`);
+    }
+
+    checkpoint.name = trimmed;
+    if (note !== undefined) checkpoint.note = String(note || '').trim();
+    const written = this.writeIndex(projectId, checkpoints);
+    return written.success ? { success: true, checkpoint } : written;
+  }
+
+  delete(projectId, checkpointId) {
+    const checkpoints = this.readIndex(projectId);
+    if (!checkpoints.some(c => c.id === checkpointId)) {
+      return checkpointError('NOT_FOUND', `Checkpoint ${checkpointId} not found.`);
+    }
+    this.storage.removeItem(snapshotKey(projectId, checkpointId));
+    this.writeIndex(projectId, checkpoints.filter(c => c.id !== checkpointId));
+    return { success: true };
+  }
+
+  // Every checkpoint of a project, e.g. when the project is deleted
+  deleteAll(projectId) {
+    this.storage.keys(`${SNAPSHOT_PREFIX}${projectId}_`).forEach(key => this.storage.removeItem(key));
+    this.storage.removeItem(`${INDEX_PREFIX}${projectId}`);
+  }
+
+  /**
+   * Every checkpoint of a project with its snapshot, for the checkpoints
+   * section of a .c3d file: [{ ...listed fields, assembly }]
+   */
+  exportAll(projectId) {
+    return this.list(projectId)
+      .map(checkpoint => ({ ...checkpoint, assembly: this.load(projectId, checkpoint.id) }))
+      .filter(checkpoint => checkpoint.assembly);
+  }
+
+  /**
+   * Store checkpoints written by exportAll() under a project, e.g. after
+   * importing its file or duplicating it. Ones whose id or name the project
+   * already has are skipped.
+   */
+  importAll(projectId, checkpoints = []) {
+    const index = this.readIndex(projectId);
+    const imported = [];
+    let skipped = 0;
+
+    for (const { assembly, ...checkpoint } of checkpoints) {
+      const name = String(checkpoint.name || '').trim();
+      const taken = index.some(c => c.id === checkpoint.id || c.name.toLowerCase() === name.toLowerCase());
+      if (!checkpoint.id || !name || !assembly || taken) {
+        skipped++;
+        continue;
+      }
+
+      const written = safeStorageSet(snapshotKey(projectId, checkpoint.id), { ...assembly, id: projectId });
+      if (!written.success) return { ...written, reason: 'SAVE_FAILED', imported: imported.length };
+      const entry = { ...checkpoint, name };
+      index.push(entry);
+      imported.push(entry);
+    }
+
+    if (imported.length > 0) {
+      const indexed = this.writeIndex(projectId, index);
+      if (!indexed.success) {
+        imported.forEach(c => this.storage.removeItem(snapshotKey(projectId, c.id)));
+        return { ...indexed, reason: 'SAVE_FAILED', imported: 0 };
+      }
+    }
+    return { success: true, imported: imported.length, skipped };
+  }
+
+  /**
+   * What changed from the checkpoint to the assembly as it is now. The
+   * current state is cleaned the way the snapshot was when stored.
+   */
+  compare(assembly, checkpointId) {
+    const data = this.load(assembly.id, checkpointId);
+    if (!data) return null;
+    const current = toStorableData(assembly.toSafeData(), `assembly_${assembly.id}`);
+    return diffAssemblies(data, current || assembly.toSafeData());
+  }
+
+  /**
+   * A checkpoint as a .c3d project file through an ExportImportManager.
+   * The file is named after the project and the checkpoint.
+   */
+  async export(projectId, checkpointId, manager, options = {}) {
+    const checkpoint = this.get(projectId, checkpointId);
+    const data = checkpoint && this.load(projectId, checkpointId);
+    if (!data) return null;
+
+    const result = await manager.export({ ...data, id: projectId }, 'json', { includeHistory: true, ...options });
+    result.filename = `${fileSafe(data.name || checkpoint.assemblyName || 'assembly')}_${fileSafe(checkpoint.name)}.c3d`;
+    return result;
+  }
+}
+
+// Export singleton instance
+export const checkpointManager = new CheckpointManager();
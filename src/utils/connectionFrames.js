@@ -0,0 +1,111 @@
+// src/utils/connectionFrames.js
+
+import * as THREE from 'three';
+import { toSafeVector3 } from './safeTypes';
+
+/**
+ * Connection point frames
+ * Each connection point faces along its `normal` (out of the piece) and has
+ * an `up` direction across the seam, both in the piece's own space. Two
+ * points join when their normals face each other and their ups agree, so a
+ * frame fixes how a snapped piece is turned as well as where it goes.
+ */
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const WORLD_FORWARD = new THREE.Vector3(0, 0, 1);
+
+function toVector(value) {
+  return new THREE.Vector3(Number(value?.x) || 0, Number(value?.y) || 0, Number(value?.z) || 0);
+}
+
+/**
+ * Normal for a point with none: straight out from the piece's centre
+ */
+export function defaultNormal(position) {
+  const normal = toVector(position);
+  return normal.lengthSq() > 1e-12 ? normal.normalize() : WORLD_UP.clone();
+}
+
+/**
+ * Up for a normal with none: the piece's front (+Z) where it can be, so
+ * joined pieces keep facing forward; +Y for points on the front or back
+ */
+export function defaultUp(normal) {
+  const reference = Math.abs(normal.z) > 0.9 ? WORLD_UP : WORLD_FORWARD;
+  return reference.clone().addScaledVector(normal, -reference.dot(normal)).normalize();
+}
+
+/**
+ * { normal, up } of a connection point as unit vectors, with up made
+ * perpendicular to the normal. Points saved before frames get defaults.
+ */
+export function pointFrame(point) {
+  const normal = point?.normal ? toVector(point.normal) : null;
+  const facing = normal && normal.lengthSq() > 1e-12 ? normal.normalize() : defaultNormal(point?.position);
+
+  const up = point?.up ? toVector(point.up) : null;
+  if (up) up.addScaledVector(facing, -up.dot(facing));
+  return { normal: facing, up: up && up.lengthSq() > 1e-12 ? up.normalize() : defaultUp(facing) };
+}
+
+/**
+ * Plain { normal, up } for storing on a connection point
+ */
+export function toSafeFrame(point) {
+  const { normal, up } = pointFrame(point);
+  return { normal: toSafeVector3(normal), up: toSafeVector3(up) };
+}
+
+// Rotation that takes the frame's axes (across, up, normal) to the world axes
+function frameBasis(normal, up) {
+  const across = new THREE.Vector3().crossVectors(up, normal);
+  return new THREE.Matrix4().makeBasis(across, up, normal);
+}
+
+/**
+ * Piece rotation ({ x, y, z } Euler angles in radians) as a quaternion
+ */
+export function toQuaternion(rotation) {
+  const { x, y, z } = toVector(rotation);
+  return new THREE.Quaternion().setFromEuler(new THREE.Euler(x, y, z));
+}
+
+/**
+ * Quaternion as a plain piece rotation ({ x, y, z } Euler angles)
+ */
+export function toRotation(quaternion) {
+  const euler = new THREE.Euler().setFromQuaternion(quaternion);
+  return toSafeVector3({ x: euler.x, y: euler.y, z: euler.z });
+}
+
+/**
+ * Where the moving piece goes, and how it turns, to join `movingPoint` to
+ * `targetPoint`: the normals end up facing each other and the ups agree,
+ * after turning the moving piece `twist` radians about the joint.
+ * `target` is the target piece's placement ({ position, quaternion,
+ * scale }); `movingScale` the moving piece's scale. Returns
+ * { position, quaternion } for the moving piece.
+ */
+export function snapTransform(movingPoint, targetPoint, target = {}, options = {}) {
+  const { twist = 0, movingScale = null } = options;
+  const targetQuaternion = target.quaternion || new THREE.Quaternion();
+
+  const moving = pointFrame(movingPoint);
+  const fixed = pointFrame(targetPoint);
+  const targetNormal = fixed.normal.applyQuaternion(targetQuaternion);
+  const targetUp = fixed.up.applyQuaternion(targetQuaternion).applyAxisAngle(targetNormal, twist);
+
+  const desired = frameBasis(targetNormal.clone().negate(), targetUp);
+  const current = frameBasis(moving.normal, moving.up);
+  const quaternion = new THREE.Quaternion().setFromRotationMatrix(desired.multiply(current.transpose()));
+
+  const targetWorld = toVector(targetPoint.position)
+    .multiply(target.scale ? toVector(target.scale) : new THREE.Vector3(1, 1, 1))
+    .applyQuaternion(targetQuaternion)
+    .add(toVector(target.position));
+  const movingOffset = toVector(movingPoint.position)
+    .multiply(movingScale ? toVector(movingScale) : new THREE.Vector3(1, 1, 1))
+    .applyQuaternion(quaternion);
+
+  return { position: targetWorld.sub(movingOffset), quaternion };
+}
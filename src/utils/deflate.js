@@ -0,0 +1,660 @@
+// src/utils/deflate.js
+// Dependency-free DEFLATE (RFC 1951), zlib wrapper (RFC 1950) and checksums
+
+/**
+ * Synchronous compressor/decompressor used for project files, backups and
+ * PNG image data. Compression is LZ77 with hash chains; each block picks
+ * whichever of stored, fixed-Huffman or dynamic-Huffman encoding is smallest.
+ */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const WINDOW_SIZE = 32768;
+const HASH_SIZE = 1 << 15;
+const MAX_MATCH = 258;
+const MIN_MATCH = 3;
+const BLOCK_TOKENS = 32768;
+const CHAIN_BY_LEVEL = [0, 4, 8, 16, 32, 64, 128, 256, 1024, 4096];
+
+// Symbol lookups for match lengths (3..258) and distances (1..32768)
+const LENGTH_SYMBOL = new Uint8Array(MAX_MATCH + 1);
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+  const end = code + 1 < LENGTH_BASE.length ? LENGTH_BASE[code + 1] : MAX_MATCH + 1;
+  for (let length = LENGTH_BASE[code]; length < end; length++) LENGTH_SYMBOL[length] = code;
+}
+LENGTH_SYMBOL[MAX_MATCH] = 28;
+
+const DIST_SYMBOL = new Uint8Array(WINDOW_SIZE + 1);
+for (let code = 0; code < DIST_BASE.length; code++) {
+  const end = code + 1 < DIST_BASE.length ? DIST_BASE[code + 1] : WINDOW_SIZE + 1;
+  for (let distance = DIST_BASE[code]; distance < end; distance++) DIST_SYMBOL[distance] = code;
+}
+
+const FIXED_LITERAL_LENGTHS = Array.from({ length: 288 }, (_, symbol) =>
+  symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8
+);
+const FIXED_DISTANCE_LENGTHS = new Array(30).fill(5);
+
+// ==================== CHECKSUMS ====================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (ISO-HDLC, as used by zip and PNG). Pass the previous value to
+ * checksum data in pieces.
+ */
+export function crc32(bytes, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i += 5552) {
+    const end = Math.min(i + 5552, bytes.length);
+    for (let j = i; j < end; j++) {
+      a += bytes[j];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// ==================== HUFFMAN CODES ====================
+
+function huffmanLengths(frequencies) {
+  const lengths = new Array(frequencies.length).fill(0);
+  let nodes = [];
+  frequencies.forEach((frequency, symbol) => {
+    if (frequency > 0) nodes.push({ frequency, symbols: [symbol] });
+  });
+
+  if (nodes.length === 1) {
+    lengths[nodes[0].symbols[0]] = 1;
+    return lengths;
+  }
+
+  while (nodes.length > 1) {
+    nodes.sort((a, b) => a.frequency - b.frequency);
+    const [a, b] = nodes.splice(0, 2);
+    a.symbols.forEach(symbol => lengths[symbol]++);
+    b.symbols.forEach(symbol => lengths[symbol]++);
+    nodes.push({ frequency: a.frequency + b.frequency, symbols: a.symbols.concat(b.symbols) });
+  }
+
+  return lengths;
+}
+
+/**
+ * Huffman code lengths capped at maxBits. Flattening the frequencies until
+ * the tree fits is not optimal but always terminates and stays close.
+ */
+function limitedCodeLengths(frequencies, maxBits) {
+  let current = frequencies.slice();
+  for (;;) {
+    const lengths = huffmanLengths(current);
+    if (Math.max(...lengths) <= maxBits) return lengths;
+    current = current.map(f => (f > 0 ? (f >> 1) | 1 : 0));
+  }
+}
+
+function reverseBits(value, length) {
+  let result = 0;
+  for (let i = 0; i < length; i++) {
+    result = (result << 1) | (value & 1);
+    value >>>= 1;
+  }
+  return result;
+}
+
+/**
+ * Canonical codes for a set of lengths, pre-reversed for LSB-first output
+ */
+function canonicalCodes(lengths) {
+  const counts = new Array(16).fill(0);
+  lengths.forEach(length => { if (length) counts[length]++; });
+
+  const next = new Array(16).fill(0);
+  let code = 0;
+  for (let bits = 1; bits < 16; bits++) {
+    code = (code + counts[bits - 1]) << 1;
+    next[bits] = code;
+  }
+
+  return lengths.map(length => (length ? reverseBits(next[length]++, length) : 0));
+}
+
+/**
+ * Run-length encode code lengths with the 16/17/18 repeat symbols
+ */
+function encodeCodeLengths(lengths) {
+  const symbols = [];
+  let i = 0;
+
+  while (i < lengths.length) {
+    const length = lengths[i];
+    let run = 1;
+    while (i + run < lengths.length && lengths[i + run] === length) run++;
+    i += run;
+
+    if (length === 0) {
+      while (run >= 11) {
+        const count = Math.min(run, 138);
+        symbols.push({ symbol: 18, bits: 7, extra: count - 11 });
+        run -= count;
+      }
+      if (run >= 3) {
+        symbols.push({ symbol: 17, bits: 3, extra: run - 3 });
+        run = 0;
+      }
+    } else {
+      symbols.push({ symbol: length, bits: 0, extra: 0 });
+      run--;
+      while (run >= 3) {
+        const count = Math.min(run, 6);
+        symbols.push({ symbol: 16, bits: 2, extra: count - 3 });
+        run -= count;
+      }
+    }
+
+    while (run-- > 0) symbols.push({ symbol: length, bits: 0, extra: 0 });
+  }
+
+  return symbols;
+}
+
+// ==================== BIT I/O ====================
+
+class BitWriter {
+  constructor(capacity = 1024) {
+    this.buffer = new Uint8Array(Math.max(capacity, 64));
+    this.length = 0;
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  pushByte(byte) {
+    if (this.length === this.buffer.length) {
+      const grown = new Uint8Array(this.buffer.length * 2);
+      grown.set(this.buffer);
+      this.buffer = grown;
+    }
+    this.buffer[this.length++] = byte;
+  }
+
+  writeBits(value, count) {
+    this.bits |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.pushByte(this.bits & 0xff);
+      this.bits >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) {
+      this.pushByte(this.bits & 0xff);
+      this.bits = 0;
+      this.bitCount = 0;
+    }
+  }
+
+  finish() {
+    this.alignToByte();
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+class BitReader {
+  constructor(bytes, offset = 0) {
+    this.bytes = bytes;
+    this.position = offset;
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  need(count) {
+    while (this.bitCount < count) {
+      if (this.position >= this.bytes.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      this.bits |= this.bytes[this.position++] << this.bitCount;
+      this.bitCount += 8;
+    }
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+    this.need(count);
+    const value = this.bits & ((1 << count) - 1);
+    this.bits >>>= count;
+    this.bitCount -= count;
+    return value;
+  }
+
+  alignToByte() {
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+}
+
+// ==================== COMPRESSION ====================
+
+/**
+ * Greedy LZ77 over the whole input: tokenLengths[i] is 0 for a literal
+ * (tokenValues[i] = byte) or the match length (tokenValues[i] = distance)
+ */
+function findMatches(data, level) {
+  const maxChain = CHAIN_BY_LEVEL[level];
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const previous = new Int32Array(WINDOW_SIZE);
+  const tokenLengths = new Uint16Array(data.length);
+  const tokenValues = new Uint16Array(data.length);
+  const tokenStarts = new Uint32Array(data.length + 1);
+  let count = 0;
+
+  const hashAt = i => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & (HASH_SIZE - 1);
+  const insert = i => {
+    const hash = hashAt(i);
+    previous[i & (WINDOW_SIZE - 1)] = head[hash];
+    head[hash] = i;
+  };
+
+  let i = 0;
+  while (i < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (i + MIN_MATCH <= data.length) {
+      let candidate = head[hashAt(i)];
+      let chain = maxChain;
+      const limit = Math.min(MAX_MATCH, data.length - i);
+
+      while (candidate >= 0 && i - candidate <= WINDOW_SIZE && chain-- > 0) {
+        if (data[candidate + bestLength] === data[i + bestLength]) {
+          let length = 0;
+          while (length < limit && data[candidate + length] === data[i + length]) length++;
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = i - candidate;
+            if (length === limit) break;
+          }
+        }
+        const next = previous[candidate & (WINDOW_SIZE - 1)];
+        if (next >= candidate) break; // slot reused by a newer position
+        candidate = next;
+      }
+      insert(i);
+    }
+
+    tokenStarts[count] = i;
+    if (bestLength >= MIN_MATCH) {
+      tokenLengths[count] = bestLength;
+      tokenValues[count] = bestDistance;
+      for (let j = i + 1; j < i + bestLength && j + MIN_MATCH <= data.length; j++) insert(j);
+      i += bestLength;
+    } else {
+      tokenLengths[count] = 0;
+      tokenValues[count] = data[i];
+      i++;
+    }
+    count++;
+  }
+
+  tokenStarts[count] = data.length;
+  return { tokenLengths, tokenValues, tokenStarts, count };
+}
+
+function writeTokens(writer, tokens, from, to, literalLengths, literalCodes, distanceLengths, distanceCodes) {
+  for (let t = from; t < to; t++) {
+    const length = tokens.tokenLengths[t];
+    if (length === 0) {
+      const literal = tokens.tokenValues[t];
+      writer.writeBits(literalCodes[literal], literalLengths[literal]);
+    } else {
+      const lengthCode = LENGTH_SYMBOL[length];
+      writer.writeBits(literalCodes[257 + lengthCode], literalLengths[257 + lengthCode]);
+      writer.writeBits(length - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+
+      const distance = tokens.tokenValues[t];
+      const distanceCode = DIST_SYMBOL[distance];
+      writer.writeBits(distanceCodes[distanceCode], distanceLengths[distanceCode]);
+      writer.writeBits(distance - DIST_BASE[distanceCode], DIST_EXTRA[distanceCode]);
+    }
+  }
+  writer.writeBits(literalCodes[256], literalLengths[256]);
+}
+
+function writeBlock(writer, data, tokens, from, to, isFinal) {
+  const literalFrequencies = new Array(286).fill(0);
+  const distanceFrequencies = new Array(30).fill(0);
+  let extraBits = 0;
+
+  for (let t = from; t < to; t++) {
+    const length = tokens.tokenLengths[t];
+    if (length === 0) {
+      literalFrequencies[tokens.tokenValues[t]]++;
+    } else {
+      const lengthCode = LENGTH_SYMBOL[length];
+      const distanceCode = DIST_SYMBOL[tokens.tokenValues[t]];
+      literalFrequencies[257 + lengthCode]++;
+      distanceFrequencies[distanceCode]++;
+      extraBits += LENGTH_EXTRA[lengthCode] + DIST_EXTRA[distanceCode];
+    }
+  }
+  literalFrequencies[256] = 1;
+
+  // Keep both trees complete: some inflaters reject single-code trees
+  const ensureTwoCodes = (frequencies) => {
+    for (let symbol = 0; frequencies.filter(f => f > 0).length < 2; symbol++) {
+      if (frequencies[symbol] === 0) frequencies[symbol] = 1;
+    }
+  };
+  ensureTwoCodes(literalFrequencies);
+  ensureTwoCodes(distanceFrequencies);
+
+  const literalLengths = limitedCodeLengths(literalFrequencies, 15);
+  const distanceLengths = limitedCodeLengths(distanceFrequencies, 15);
+
+  let literalCount = 286;
+  while (literalCount > 257 && literalLengths[literalCount - 1] === 0) literalCount--;
+  let distanceCount = 30;
+  while (distanceCount > 1 && distanceLengths[distanceCount - 1] === 0) distanceCount--;
+
+  const codeLengthSymbols = encodeCodeLengths(
+    literalLengths.slice(0, literalCount).concat(distanceLengths.slice(0, distanceCount))
+  );
+  const codeLengthFrequencies = new Array(19).fill(0);
+  codeLengthSymbols.forEach(entry => codeLengthFrequencies[entry.symbol]++);
+  ensureTwoCodes(codeLengthFrequencies);
+  const codeLengthLengths = limitedCodeLengths(codeLengthFrequencies, 7);
+
+  let codeLengthCount = 19;
+  while (codeLengthCount > 4 && codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) codeLengthCount--;
+
+  // Size each encoding in bits and use the smallest
+  const payloadBits = (lengths, distances) => {
+    let bits = extraBits;
+    literalFrequencies.forEach((f, s) => { bits += f * lengths[s]; });
+    distanceFrequencies.forEach((f, s) => { bits += f * distances[s]; });
+    return bits;
+  };
+
+  let dynamicBits = 3 + 5 + 5 + 4 + codeLengthCount * 3 + payloadBits(literalLengths, distanceLengths);
+  codeLengthSymbols.forEach(entry => { dynamicBits += codeLengthLengths[entry.symbol] + entry.bits; });
+  const fixedBits = 3 + payloadBits(FIXED_LITERAL_LENGTHS, FIXED_DISTANCE_LENGTHS);
+  const rawStart = tokens.tokenStarts[from];
+  const rawEnd = tokens.tokenStarts[to];
+  const storedBits = (rawEnd - rawStart) * 8 + Math.ceil((rawEnd - rawStart + 1) / 65535) * (3 + 7 + 32);
+
+  if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+    let start = rawStart;
+    do {
+      const end = Math.min(start + 65535, rawEnd);
+      writer.writeBits(isFinal && end === rawEnd ? 1 : 0, 1);
+      writer.writeBits(0, 2);
+      writer.alignToByte();
+      const size = end - start;
+      writer.writeBits(size & 0xffff, 16);
+      writer.writeBits(~size & 0xffff, 16);
+      for (let i = start; i < end; i++) writer.pushByte(data[i]);
+      start = end;
+    } while (start < rawEnd);
+  } else if (fixedBits <= dynamicBits) {
+    writer.writeBits(isFinal ? 1 : 0, 1);
+    writer.writeBits(1, 2);
+    writeTokens(writer, tokens, from, to,
+      FIXED_LITERAL_LENGTHS, canonicalCodes(FIXED_LITERAL_LENGTHS),
+      FIXED_DISTANCE_LENGTHS, canonicalCodes(FIXED_DISTANCE_LENGTHS));
+  } else {
+    writer.writeBits(isFinal ? 1 : 0, 1);
+    writer.writeBits(2, 2);
+    writer.writeBits(literalCount - 257, 5);
+    writer.writeBits(distanceCount - 1, 5);
+    writer.writeBits(codeLengthCount - 4, 4);
+    for (let i = 0; i < codeLengthCount; i++) {
+      writer.writeBits(codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+    }
+
+    const codeLengthCodes = canonicalCodes(codeLengthLengths);
+    codeLengthSymbols.forEach(entry => {
+      writer.writeBits(codeLengthCodes[entry.symbol], codeLengthLengths[entry.symbol]);
+      if (entry.bits) writer.writeBits(entry.extra, entry.bits);
+    });
+
+    writeTokens(writer, tokens, from, to,
+      literalLengths, canonicalCodes(literalLengths),
+      distanceLengths, canonicalCodes(distanceLengths));
+  }
+}
+
+/**
+ * Raw DEFLATE stream. level 0 stores, 1-9 trade speed for size (default 6).
+ */
+export function deflateRaw(data, level = 6) {
+  level = Math.max(0, Math.min(9, Math.round(level)));
+  const writer = new BitWriter(Math.ceil(data.length / 2) + 64);
+
+  if (level === 0 || data.length === 0) {
+    let start = 0;
+    do {
+      const end = Math.min(start + 65535, data.length);
+      writer.writeBits(end === data.length ? 1 : 0, 1);
+      writer.writeBits(0, 2);
+      writer.alignToByte();
+      writer.writeBits((end - start) & 0xffff, 16);
+      writer.writeBits(~(end - start) & 0xffff, 16);
+      for (let i = start; i < end; i++) writer.pushByte(data[i]);
+      start = end;
+    } while (start < data.length);
+    return writer.finish();
+  }
+
+  const tokens = findMatches(data, level);
+  for (let from = 0; from < tokens.count; from += BLOCK_TOKENS) {
+    const to = Math.min(from + BLOCK_TOKENS, tokens.count);
+    writeBlock(writer, data, tokens, from, to, to === tokens.count);
+  }
+
+  return writer.finish();
+}
+
+/**
+ * zlib stream (2-byte header, DEFLATE data, Adler-32), as PNG requires
+ */
+export function deflate(data, level = 6) {
+  const body = deflateRaw(data, level);
+  const output = new Uint8Array(body.length + 6);
+  output[0] = 0x78;
+  output[1] = 0x9c;
+  output.set(body, 2);
+  const checksum = adler32(data);
+  output[output.length - 4] = checksum >>> 24;
+  output[output.length - 3] = (checksum >>> 16) & 0xff;
+  output[output.length - 2] = (checksum >>> 8) & 0xff;
+  output[output.length - 1] = checksum & 0xff;
+  return output;
+}
+
+// ==================== DECOMPRESSION ====================
+
+/**
+ * Canonical decoding table in the style of zlib's "puff": counts per length
+ * and symbols ordered by code
+ */
+function buildDecoder(lengths) {
+  const counts = new Uint16Array(16);
+  lengths.forEach(length => counts[length]++);
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let bits = 1; bits < 15; bits++) offsets[bits + 1] = offsets[bits] + counts[bits];
+
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((length, symbol) => {
+    if (length) symbols[offsets[length]++] = symbol;
+  });
+
+  return { counts, symbols };
+}
+
+function decodeSymbol(reader, decoder) {
+  let code = 0;
+  let first = 0;
+  let index = 0;
+  for (let bits = 1; bits < 16; bits++) {
+    code |= reader.readBits(1);
+    const count = decoder.counts[bits];
+    if (code - first < count) return decoder.symbols[index + code - first];
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw new Error('Invalid Huffman code in compressed data');
+}
+
+const FIXED_LITERAL_DECODER = buildDecoder(FIXED_LITERAL_LENGTHS);
+const FIXED_DISTANCE_DECODER = buildDecoder(new Array(30).fill(5));
+
+function inflateStream(bytes, offset, sizeHint) {
+  const reader = new BitReader(bytes, offset);
+  let output = new Uint8Array(Math.max(sizeHint || bytes.length * 4, 1024));
+  let length = 0;
+
+  const ensure = (extra) => {
+    if (length + extra <= output.length) return;
+    let size = output.length * 2;
+    while (size < length + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(output.subarray(0, length));
+    output = grown;
+  };
+
+  let isFinal = 0;
+  while (!isFinal) {
+    isFinal = reader.readBits(1);
+    const type = reader.readBits(2);
+
+    if (type === 0) {
+      reader.alignToByte();
+      if (reader.position + 4 > bytes.length) throw new Error('Unexpected end of compressed data');
+      const size = bytes[reader.position] | (bytes[reader.position + 1] << 8);
+      const check = bytes[reader.position + 2] | (bytes[reader.position + 3] << 8);
+      if ((size ^ 0xffff) !== check) throw new Error('Stored block length is corrupt');
+      reader.position += 4;
+      if (reader.position + size > bytes.length) throw new Error('Unexpected end of compressed data');
+      ensure(size);
+      output.set(bytes.subarray(reader.position, reader.position + size), length);
+      length += size;
+      reader.position += size;
+      continue;
+    }
+
+    let literalDecoder = FIXED_LITERAL_DECODER;
+    let distanceDecoder = FIXED_DISTANCE_DECODER;
+
+    if (type === 2) {
+      const literalCount = reader.readBits(5) + 257;
+      const distanceCount = reader.readBits(5) + 1;
+      const codeLengthCount = reader.readBits(4) + 4;
+      if (literalCount > 286 || distanceCount > 30) throw new Error('Invalid block header in compressed data');
+
+      const codeLengthLengths = new Array(19).fill(0);
+      for (let i = 0; i < codeLengthCount; i++) codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+      const codeLengthDecoder = buildDecoder(codeLengthLengths);
+
+      const lengths = [];
+      while (lengths.length < literalCount + distanceCount) {
+        const symbol = decodeSymbol(reader, codeLengthDecoder);
+        if (symbol < 16) {
+          lengths.push(symbol);
+        } else if (symbol === 16) {
+          if (lengths.length === 0) throw new Error('Invalid code length repeat in compressed data');
+          const previous = lengths[lengths.length - 1];
+          for (let r = 3 + reader.readBits(2); r > 0; r--) lengths.push(previous);
+        } else {
+          const zeros = symbol === 17 ? 3 + reader.readBits(3) : 11 + reader.readBits(7);
+          for (let r = 0; r < zeros; r++) lengths.push(0);
+        }
+      }
+      if (lengths.length > literalCount + distanceCount) throw new Error('Invalid code lengths in compressed data');
+
+      literalDecoder = buildDecoder(lengths.slice(0, literalCount));
+      distanceDecoder = buildDecoder(lengths.slice(literalCount));
+    } else if (type !== 1) {
+      throw new Error('Invalid block type in compressed data');
+    }
+
+    for (;;) {
+      const symbol = decodeSymbol(reader, literalDecoder);
+      if (symbol < 256) {
+        ensure(1);
+        output[length++] = symbol;
+      } else if (symbol === 256) {
+        break;
+      } else {
+        const lengthCode = symbol - 257;
+        if (lengthCode >= 29) throw new Error('Invalid length code in compressed data');
+        const matchLength = LENGTH_BASE[lengthCode] + reader.readBits(LENGTH_EXTRA[lengthCode]);
+        const distanceCode = decodeSymbol(reader, distanceDecoder);
+        if (distanceCode >= 30) throw new Error('Invalid distance code in compressed data');
+        const distance = DIST_BASE[distanceCode] + reader.readBits(DIST_EXTRA[distanceCode]);
+        if (distance > length) throw new Error('Back-reference before start of data');
+
+        ensure(matchLength);
+        for (let k = 0; k < matchLength; k++) {
+          output[length] = output[length - distance];
+          length++;
+        }
+      }
+    }
+  }
+
+  return { data: output.slice(0, length), end: reader.position };
+}
+
+/**
+ * Decompress a raw DEFLATE stream. Throws on truncated or malformed input.
+ */
+export function inflateRaw(bytes, sizeHint = 0) {
+  return inflateStream(bytes, 0, sizeHint).data;
+}
+
+/**
+ * Decompress a zlib stream, verifying its header and Adler-32
+ */
+export function inflate(bytes, sizeHint = 0) {
+  if (bytes.length < 6) throw new Error('Unexpected end of compressed data');
+  const cmf = bytes[0];
+  const flags = bytes[1];
+  if ((cmf & 0x0f) !== 8 || ((cmf << 8) | flags) % 31 !== 0 || flags & 0x20) {
+    throw new Error('Invalid zlib header');
+  }
+
+  const { data, end } = inflateStream(bytes, 2, sizeHint);
+  if (end + 4 > bytes.length) throw new Error('Unexpected end of compressed data');
+  const stored = ((bytes[end] << 24) | (bytes[end + 1] << 16) | (bytes[end + 2] << 8) | bytes[end + 3]) >>> 0;
+  if (stored !== adler32(data)) throw new Error('Adler-32 checksum mismatch');
+  return data;
+}
@@ -2,12 +2,24 @@
 // D14: Comprehensive export/import system
 
 import { toSafeVector3, toSafeColor, createSafePieceData } from './safeTypes';
+import { PDFDocument } from './pdfWriter';
+import { svgToPNG } from './rasterizer';
+import { PatternVisualizer } from './patternVisualizer';
+import { YarnCalculator } from './yarnCalculator';
+import { CrochetPattern } from '../types/patternModel';
+import { packC3D, unpackC3D, isC3DContainer } from './c3dContainer';
+import { buildExportMeshes, meshesToOBJ, meshesToSTL, meshesToGLB } from './meshExporter';
+import { PROJECT_FORMAT, CURRENT_FORMAT_VERSION, validateProject, formatValidationError } from '../types/projectSchema';
+import { migrateProject, canMigrate, normalizeAssembly } from './projectMigrations';
+import { importPatternDocument, copyNames } from '../lib/patternImporter';
+import { CrochetPiece } from '../types/assemblyModels';
+import { PIECE_LIBRARY, CONNECTION_TYPES } from '../models/pieceTemplates';
 
 export class ExportImportManager {
   constructor() {
     this.exportFormats = new Map();
     this.importParsers = new Map();
-    this.version = '2.0.0';
+    this.version = CURRENT_FORMAT_VERSION;
     this.compressionEnabled = true;
     
     this.initializeFormats();
@@ -21,6 +33,7 @@ export class ExportImportManager {
       extension: '.c3d',
       mimeType: 'application/json',
       description: 'Complete project with all data',
+      compressible: true,
       exporter: (data) => this.exportJSON(data)
     });
     
@@ -42,6 +55,15 @@ export class ExportImportManager {
       exporter: (data) => this.exportSVG(data)
     });
     
+    // PNG format - Raster diagram and thumbnails
+    this.exportFormats.set('png', {
+      name: 'PNG Image',
+      extension: '.png',
+      mimeType: 'image/png',
+      description: 'Diagram image at a chosen DPI',
+      exporter: (data) => this.exportPNG(data)
+    });
+    
     // PDF format - Printable instructions
     this.exportFormats.set('pdf', {
       name: 'PDF Instructions',
@@ -60,6 +82,24 @@ export class ExportImportManager {
       exporter: (data) => this.exportOBJ(data)
     });
     
+    // STL format - 3D printing
+    this.exportFormats.set('stl', {
+      name: '3D Print (STL)',
+      extension: '.stl',
+      mimeType: 'model/stl',
+      description: 'Binary STL mesh for slicers',
+      exporter: (data) => this.exportSTL(data)
+    });
+    
+    // glTF binary format - rendering and AR
+    this.exportFormats.set('glb', {
+      name: '3D Scene (glTF)',
+      extension: '.glb',
+      mimeType: 'model/gltf-binary',
+      description: 'glTF 2.0 scene with materials',
+      exporter: (data) => this.exportGLB(data)
+    });
+    
     // CSV format - Data export
     this.exportFormats.set('csv', {
       name: 'CSV Data',
@@ -75,6 +115,7 @@ export class ExportImportManager {
       extension: '.c3d-backup',
       mimeType: 'application/octet-stream',
       description: 'Complete backup with history',
+      compressible: true,
       exporter: (data) => this.exportBackup(data)
     });
   }
@@ -88,7 +129,7 @@ export class ExportImportManager {
     
     // Pattern parser
     this.importParsers.set('pattern', {
-      extensions: ['.pattern', '.txt'],
+      extensions: ['.pattern', '.txt', '.md', '.markdown'],
       parser: (content) => this.parsePattern(content)
     });
     
@@ -137,49 +178,42 @@ export class ExportImportManager {
       exportData.suggestions = assembly.suggestions;
     }
     
+    // Undo stack, from an UndoRedoSystem or its toJSON() output
+    if (options.undoHistory) {
+      exportData.undo = typeof options.undoHistory.toJSON === 'function'
+        ? options.undoHistory.toJSON()
+        : options.undoHistory;
+    }
+    
+    // Named checkpoints, as CheckpointManager.exportAll() lists them
+    if (options.checkpoints?.length) {
+      exportData.checkpoints = options.checkpoints;
+    }
+    
     // Generate export
     const result = await formatter.exporter(exportData);
     
-    // Compress if enabled
-    if (this.compressionEnabled && format !== 'svg' && format !== 'pdf') {
-      result.content = this.compress(result.content);
+    // Project files are packed into the compressed container; backups
+    // always are, by exportBackup itself
+    const shouldCompress = this.compressionEnabled && options.compress !== false && formatter.compressible;
+    if (shouldCompress && !result.compressed) {
+      result.content = this.compress(result.content, format === 'backup' ? 'backup' : 'project');
       result.compressed = true;
+      result.mimeType = 'application/octet-stream';
     }
     
     return result;
   }
   
   exportJSON(data) {
-    const json = {
-      version: data.metadata.version,
+    const json = this.serializeProject(data, {
       timestamp: data.metadata.timestamp,
-      assembly: {
-        id: data.assembly.id,
-        name: data.assembly.name,
-        pieces: Array.from(data.assembly.pieces.values()).map(p => ({
-          id: p.id,
-          type: p.type,
-          position: toSafeVector3(p.position),
-          rotation: toSafeVector3(p.rotation),
-          scale: toSafeVector3(p.scale),
-          color: toSafeColor(p.color),
-          connectionPoints: Array.from(p.connectionPoints.entries()),
-          metadata: p.metadata
-        })),
-        connections: Array.from(data.assembly.connections).map(c => ({
-          fromPiece: c.fromPiece,
-          fromPoint: c.fromPoint,
-          toPiece: c.toPiece,
-          toPoint: c.toPoint,
-          metadata: c.metadata
-        })),
-        groups: data.assembly.groups || [],
-        metadata: data.assembly.metadata
-      },
       history: data.history,
+      undo: data.undo,
+      checkpoints: data.checkpoints,
       validation: data.validation,
       suggestions: data.suggestions
-    };
+    });
     
     return {
       content: JSON.stringify(json, null, 2),
@@ -256,10 +290,11 @@ export class ExportImportManager {
     pattern += '-'.repeat(30) + '\n';
     let step = 1;
     for (const conn of assembly.connections) {
-      const fromPiece = assembly.pieces.get(conn.fromPiece);
-      const toPiece = assembly.pieces.get(conn.toPiece);
+      const ends = this.getConnectionEnds(conn);
+      const fromPiece = assembly.pieces.get(ends.fromPiece);
+      const toPiece = assembly.pieces.get(ends.toPiece);
       pattern += `${step}. Connect ${fromPiece?.type} to ${toPiece?.type}\n`;
-      pattern += `   From: ${conn.fromPoint} To: ${conn.toPoint}\n`;
+      pattern += `   From: ${ends.fromPoint} To: ${ends.toPoint}\n`;
       step++;
     }
     
@@ -311,8 +346,9 @@ export class ExportImportManager {
     
     // Draw connections
     for (const conn of assembly.connections) {
-      const fromIndex = pieces.findIndex(p => p.id === conn.fromPiece);
-      const toIndex = pieces.findIndex(p => p.id === conn.toPiece);
+      const ends = this.getConnectionEnds(conn);
+      const fromIndex = pieces.findIndex(p => p.id === ends.fromPiece);
+      const toIndex = pieces.findIndex(p => p.id === ends.toPiece);
       
       if (fromIndex >= 0 && toIndex >= 0) {
         const fromAngle = fromIndex * angleStep;
@@ -329,7 +365,7 @@ export class ExportImportManager {
     
     // Footer
     svg += `  <text x="${centerX}" y="${height - 10}" text-anchor="middle" font-size="10" fill="#666">`;
-    svg += `Pieces: ${pieces.length} | Connections: ${assembly.connections.size}</text>\n`;
+    svg += `Pieces: ${pieces.length} | Connections: ${this.getConnectionList(assembly).length}</text>\n`;
     
     svg += `</svg>`;
     
@@ -340,69 +376,169 @@ export class ExportImportManager {
     };
   }
   
-  exportPDF(data) {
-    // PDF generation would require a library like jsPDF
-    // This is a placeholder that returns structured data for PDF generation
+  /**
+   * The SVG diagram rasterized without a canvas. Options: dpi (default 96),
+   * or thumbnailSize to fit the image inside a square of that many pixels.
+   */
+  exportPNG(data) {
+    const assembly = data.assembly;
+    const options = data.metadata?.options || {};
+    const size = options.thumbnailSize;
+    const image = svgToPNG(this.exportSVG(data).content, size ? { width: size, height: size } : { dpi: options.dpi });
+    
     return {
-      content: {
-        title: data.assembly.name || 'Crochet Pattern',
-        sections: [
-          { type: 'header', content: 'Pattern Information' },
-          { type: 'metadata', content: data.metadata },
-          { type: 'materials', content: this.extractMaterials(data.assembly) },
-          { type: 'instructions', content: this.extractInstructions(data.assembly) },
-          { type: 'diagram', content: 'SVG_PLACEHOLDER' },
-          { type: 'footer', content: `Generated: ${new Date().toISOString()}` }
-        ]
-      },
-      filename: `${data.assembly.name || 'pattern'}_${Date.now()}.pdf`,
-      mimeType: 'application/pdf',
-      requiresLibrary: 'jsPDF'
+      content: image.bytes,
+      filename: `${assembly.name || 'diagram'}_${Date.now()}.png`,
+      mimeType: 'image/png',
+      width: image.width,
+      height: image.height,
+      dpi: image.dpi
     };
   }
   
-  exportOBJ(data) {
+  exportPDF(data) {
     const assembly = data.assembly;
-    let obj = '# OBJ file generated by Crochet 3D\n';
-    obj += `# Assembly: ${assembly.name || 'Untitled'}\n`;
-    obj += `# Date: ${new Date().toISOString()}\n\n`;
+    const title = assembly.name || 'Crochet Pattern';
+    const pieces = Array.from(assembly.pieces.values());
+    const connections = this.getConnectionList(assembly);
+    const doc = new PDFDocument({ title, subject: 'Crochet pattern', creator: `Crochet 3D v${this.version}` });
+    const visualizer = new PatternVisualizer();
+    const calculator = new YarnCalculator();
     
-    let vertexOffset = 1;
+    // Title and overview
+    doc.addPage();
+    doc.heading(title);
+    doc.paragraph(`Pieces: ${pieces.length}  |  Connections: ${connections.length}  |  ` +
+      `Generated: ${new Date(data.metadata.timestamp).toLocaleDateString()}`, { size: 10, color: '#555555' });
     
-    // Export each piece as a simple sphere for now
-    for (const piece of assembly.pieces.values()) {
-      obj += `# Piece: ${piece.id} (${piece.type})\n`;
-      
-      // Generate sphere vertices (simplified)
-      const pos = piece.position || { x: 0, y: 0, z: 0 };
-      const scale = piece.scale || { x: 1, y: 1, z: 1 };
+    // Materials
+    const patterns = pieces.map(piece => CrochetPattern.from(
+      piece.metadata?.pattern?.length ? piece.metadata.pattern : piece.rounds
+    ));
+    const materials = this.extractMaterials(assembly);
+    const totalMeters = patterns.reduce((sum, pattern) => {
+      const tokens = pattern.toStitchTokens();
+      return sum + (tokens.length > 0 ? calculator.calculateYarnRequirement(tokens).consumption.meters : 0);
+    }, 0);
+    
+    doc.heading('Materials', 2);
+    materials.forEach(material => {
+      doc.paragraph(`\u2022 Yarn, colour ${material.color}`, { indent: 10, after: 0 });
+    });
+    if (totalMeters > 0) {
+      doc.paragraph(`\u2022 Approx. ${Math.ceil(totalMeters)} m of worsted weight yarn in total`, { indent: 10, after: 0 });
+    }
+    ['Appropriate crochet hook', 'Stitch markers', 'Yarn needle', 'Fiberfill stuffing'].forEach(item => {
+      doc.paragraph(`\u2022 ${item}`, { indent: 10, after: 0 });
+    });
+    doc.cursorY += 8;
+    
+    // One section per piece: round table, then its symbol chart
+    pieces.forEach((piece, index) => {
+      const pattern = patterns[index];
+      doc.addPage();
+      doc.heading(`Piece ${index + 1}: ${piece.name || piece.type}`, 2);
       
-      // Add 8 vertices for a simple cube representation
-      obj += `v ${pos.x - scale.x} ${pos.y - scale.y} ${pos.z - scale.z}\n`;
-      obj += `v ${pos.x + scale.x} ${pos.y - scale.y} ${pos.z - scale.z}\n`;
-      obj += `v ${pos.x + scale.x} ${pos.y + scale.y} ${pos.z - scale.z}\n`;
-      obj += `v ${pos.x - scale.x} ${pos.y + scale.y} ${pos.z - scale.z}\n`;
-      obj += `v ${pos.x - scale.x} ${pos.y - scale.y} ${pos.z + scale.z}\n`;
-      obj += `v ${pos.x + scale.x} ${pos.y - scale.y} ${pos.z + scale.z}\n`;
-      obj += `v ${pos.x + scale.x} ${pos.y + scale.y} ${pos.z + scale.z}\n`;
-      obj += `v ${pos.x - scale.x} ${pos.y + scale.y} ${pos.z + scale.z}\n`;
+      if (pattern.rounds.length === 0) {
+        doc.paragraph('No round-by-round pattern recorded for this piece.', { color: '#777777' });
+        return;
+      }
       
-      // Add faces
-      obj += `f ${vertexOffset} ${vertexOffset+1} ${vertexOffset+2} ${vertexOffset+3}\n`;
-      obj += `f ${vertexOffset+4} ${vertexOffset+5} ${vertexOffset+6} ${vertexOffset+7}\n`;
-      obj += `f ${vertexOffset} ${vertexOffset+1} ${vertexOffset+5} ${vertexOffset+4}\n`;
-      obj += `f ${vertexOffset+2} ${vertexOffset+3} ${vertexOffset+7} ${vertexOffset+6}\n`;
-      obj += `f ${vertexOffset} ${vertexOffset+3} ${vertexOffset+7} ${vertexOffset+4}\n`;
-      obj += `f ${vertexOffset+1} ${vertexOffset+2} ${vertexOffset+6} ${vertexOffset+5}\n`;
+      doc.table(
+        [
+          { header: 'Round', key: 'round', width: 55 },
+          { header: 'Instructions', key: 'instruction', width: doc.contentWidth - 125 },
+          { header: 'Stitches', key: 'count', width: 70, align: 'right' }
+        ],
+        pattern.rounds.map(round => ({
+          round: String(round.number),
+          instruction: round.instruction || round.toTokens().join(', '),
+          count: String(round.count)
+        }))
+      );
       
-      vertexOffset += 8;
-      obj += '\n';
-    }
+      const chart = visualizer.generateSymbolChart(pattern);
+      const chartSize = Math.min(300, doc.contentWidth);
+      doc.ensureSpace(chartSize + 30);
+      doc.heading('Symbol chart', 3);
+      const drawn = doc.drawSVG(chart.svg, doc.margin + (doc.contentWidth - chartSize) / 2, doc.cursorY, chartSize, chartSize);
+      doc.cursorY += drawn.height + 10;
+    });
+    
+    // Assembly diagram and steps
+    doc.addPage();
+    doc.heading('Assembly', 2);
+    const diagram = this.exportSVG(data).content;
+    const diagramHeight = doc.contentWidth * 0.75;
+    doc.drawSVG(diagram, doc.margin, doc.cursorY, doc.contentWidth, diagramHeight);
+    doc.cursorY += diagramHeight + 12;
+    
+    const pointName = (piece, pointId) => piece?.connectionPoints?.find(p => p.id === pointId)?.name || pointId;
+    connections.forEach((conn, index) => {
+      const ends = this.getConnectionEnds(conn);
+      const fromPiece = assembly.pieces.get(ends.fromPiece);
+      const toPiece = assembly.pieces.get(ends.toPiece);
+      doc.paragraph(`${index + 1}. Join ${fromPiece?.name || fromPiece?.type} (${pointName(fromPiece, ends.fromPoint)}) to ` +
+        `${toPiece?.name || toPiece?.type} (${pointName(toPiece, ends.toPoint)})`, { after: 2 });
+    });
+    
+    // Running header and footer on every page
+    doc.forEachPage((index, total) => {
+      if (index > 0) {
+        doc.text(title, doc.margin, 30, { size: 8, color: '#888888' });
+        doc.line(doc.margin, 36, doc.width - doc.margin, 36, { color: '#cccccc', width: 0.5 });
+      }
+      doc.line(doc.margin, doc.height - 38, doc.width - doc.margin, doc.height - 38, { color: '#cccccc', width: 0.5 });
+      doc.text(`Crochet 3D v${this.version}`, doc.margin, doc.height - 25, { size: 8, color: '#888888' });
+      doc.text(`Page ${index + 1} of ${total}`, doc.width - doc.margin, doc.height - 25, {
+        size: 8, color: '#888888', align: 'right'
+      });
+    });
+    
+    return {
+      content: doc.toBytes(),
+      filename: `${assembly.name || 'pattern'}_${Date.now()}.pdf`,
+      mimeType: 'application/pdf'
+    };
+  }
+  
+  exportOBJ(data) {
+    const assembly = data.assembly;
+    const basename = `${assembly.name || 'model'}_${Date.now()}`;
+    const meshes = buildExportMeshes(assembly, this.getMeshOptions(data));
+    const { obj, mtl } = meshesToOBJ(meshes, {
+      title: assembly.name || 'Untitled',
+      mtlFilename: `${basename}.mtl`
+    });
     
     return {
       content: obj,
-      filename: `${assembly.name || 'model'}_${Date.now()}.obj`,
-      mimeType: 'model/obj'
+      filename: `${basename}.obj`,
+      mimeType: 'model/obj',
+      // Companion material library referenced by mtllib
+      files: [{ content: mtl, filename: `${basename}.mtl`, mimeType: 'model/mtl' }]
+    };
+  }
+  
+  exportSTL(data) {
+    const assembly = data.assembly;
+    const meshes = buildExportMeshes(assembly, this.getMeshOptions(data));
+    
+    return {
+      content: meshesToSTL(meshes, { title: assembly.name || 'Untitled' }),
+      filename: `${assembly.name || 'model'}_${Date.now()}.stl`,
+      mimeType: 'model/stl'
+    };
+  }
+  
+  exportGLB(data) {
+    const assembly = data.assembly;
+    const meshes = buildExportMeshes(assembly, this.getMeshOptions(data));
+    
+    return {
+      content: meshesToGLB(meshes, { title: assembly.name || 'Crochet Assembly' }),
+      filename: `${assembly.name || 'model'}_${Date.now()}.glb`,
+      mimeType: 'model/gltf-binary'
     };
   }
   
@@ -411,7 +547,8 @@ export class ExportImportManager {
     let csv = 'Piece ID,Type,Position X,Position Y,Position Z,Color,Pattern,Connections\n';
     
     for (const piece of assembly.pieces.values()) {
-      const connections = Array.from(assembly.connections)
+      const connections = this.getConnectionList(assembly)
+        .map(c => this.getConnectionEnds(c))
         .filter(c => c.fromPiece === piece.id || c.toPiece === piece.id)
         .length;
       
@@ -433,23 +570,23 @@ export class ExportImportManager {
   }
   
   exportBackup(data) {
-    const backup = {
-      version: this.version,
+    const backup = this.serializeProject(data, {
       timestamp: new Date().toISOString(),
-      assembly: data.assembly,
       history: data.history || [],
+      undo: data.undo,
+      checkpoints: data.checkpoints,
       validation: data.validation || {},
       suggestions: data.suggestions || [],
       settings: data.settings || {},
       metadata: {
         pieceCount: data.assembly.pieces.size,
-        connectionCount: data.assembly.connections.size,
+        connectionCount: this.getConnectionList(data.assembly).length,
         compressed: true
       }
-    };
+    });
     
     const json = JSON.stringify(backup);
-    const compressed = this.compress(json);
+    const compressed = this.compress(json, 'backup');
     
     return {
       content: compressed,
@@ -475,12 +612,23 @@ export class ExportImportManager {
     // Read file content
     const content = await this.readFile(file);
     
-    // Decompress if needed
-    const decompressed = this.isCompressed(content) ? 
-      this.decompress(content) : content;
+    // Unpack containers (throws a clear error if truncated or tampered with)
+    const decompressed = this.decompress(content);
+    
+    return this.importText(decompressed, format);
+  }
+  
+  /**
+   * Import text that is already in memory, e.g. a pattern pasted from a blog
+   */
+  async importText(text, format = 'pattern') {
+    const parser = this.importParsers.get(format);
+    if (!parser) {
+      throw new Error(`Unknown import format: ${format}`);
+    }
     
     // Parse content
-    const result = await parser.parser(decompressed);
+    const result = await parser.parser(text);
     
     // Validate imported data
     this.validateImport(result);
@@ -492,11 +640,25 @@ export class ExportImportManager {
   }
   
   parseJSON(content) {
-    const data = JSON.parse(content);
+    let raw;
+    try {
+      raw = JSON.parse(content);
+    } catch (error) {
+      const invalid = new Error(`Invalid project file: ${error.message}`);
+      invalid.code = 'INVALID_PROJECT';
+      throw invalid;
+    }
     
-    // Check version compatibility
-    if (!this.isVersionCompatible(data.version)) {
-      console.warn(`Version mismatch: file ${data.version}, current ${this.version}`);
+    // Upgrade older files, then check the result against the schema
+    const { data, fromVersion, applied } = migrateProject(raw);
+    const { valid, errors } = validateProject(data);
+    if (!valid) {
+      const shown = errors.slice(0, 10).map(formatValidationError);
+      if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+      const invalid = new Error(`Invalid project file:\n${shown.join('\n')}`);
+      invalid.code = 'INVALID_PROJECT';
+      invalid.errors = errors;
+      throw invalid;
     }
     
     // Reconstruct assembly
@@ -511,10 +673,7 @@ export class ExportImportManager {
     
     // Restore pieces
     for (const piece of data.assembly.pieces) {
-      assembly.pieces.set(piece.id, {
-        ...piece,
-        connectionPoints: new Map(piece.connectionPoints)
-      });
+      assembly.pieces.set(piece.id, piece);
     }
     
     // Restore connections
@@ -525,16 +684,94 @@ export class ExportImportManager {
     return {
       assembly,
       history: data.history,
+      undo: data.undo || null,
+      checkpoints: data.checkpoints || [],
       validation: data.validation,
       suggestions: data.suggestions,
+      settings: data.settings,
       metadata: {
         version: data.version,
-        timestamp: data.timestamp
+        timestamp: data.timestamp,
+        migratedFrom: applied.length > 0 ? fromVersion : null,
+        migrations: applied
       }
     };
   }
   
   parsePattern(content) {
+    // Our own .pattern dumps keep their simple PIECE/Pattern layout
+    if (/^CROCHET PATTERN:/m.test(content) && /^PIECE \d+:/m.test(content)) {
+      return this.parseLegacyPattern(content);
+    }
+    
+    const document = importPatternDocument(content);
+    const assembly = {
+      id: `imported_${Date.now()}`,
+      name: document.title || 'Imported Pattern',
+      pieces: new Map(),
+      connections: new Set(),
+      metadata: {
+        materials: document.materials,
+        notes: document.notes
+      }
+    };
+    
+    for (const piece of this.createImportedPieces(document)) {
+      assembly.pieces.set(piece.id, piece);
+    }
+    
+    return {
+      assembly,
+      metadata: {
+        source: 'pattern-text',
+        diagnostics: [
+          ...document.diagnostics,
+          ...document.pieces.flatMap(piece => piece.diagnostics)
+        ]
+      }
+    };
+  }
+  
+  /**
+   * One CrochetPiece per copy of each piece in an imported document, with the
+   * connection points of the matching template so they can be assembled
+   */
+  createImportedPieces(document) {
+    const templates = Object.values(PIECE_LIBRARY).flat();
+    const stamp = Date.now();
+    const pieces = [];
+    
+    document.pieces.forEach((section, sectionIndex) => {
+      const template = section.type !== 'accessory' && templates.find(t => t.type === section.type);
+      const pattern = CrochetPattern.fromParsedRounds(section.rounds);
+      
+      copyNames(section.name, section.count).forEach((name, copyIndex) => {
+        const piece = new CrochetPiece({
+          id: `imported-${stamp}-${sectionIndex + 1}-${copyIndex + 1}`,
+          name,
+          type: section.type,
+          color: template?.defaultColor,
+          rounds: section.rounds.map(round => ({ ...round })),
+          palette: section.palette,
+          stitchCount: pattern.getTotalStitches(),
+          roundCount: section.rounds.length
+        });
+        
+        const points = template?.connectionPoints || [
+          { name: 'universal', position: { x: 0, y: 0, z: 0 }, compatible: [CONNECTION_TYPES.UNIVERSAL] }
+        ];
+        points.forEach(cp => piece.addConnectionPoint(cp.name, cp.position, cp.compatible));
+        
+        piece.metadata.notes = section.notes;
+        piece.metadata.importedFrom = { heading: section.name, line: section.line, copy: copyIndex + 1, of: section.count };
+        pieces.push(piece);
+      });
+    });
+    
+    return pieces;
+  }
+  
+  parseLegacyPattern(content) {
     const lines = content.split('\n');
     const assembly = {
       id: `imported_${Date.now()}`,
@@ -607,7 +844,7 @@ export class ExportImportManager {
   }
   
   parseBackup(content) {
-    // Decompress first
+    // Usually already unpacked by import(); accept raw containers too
     const decompressed = this.decompress(content);
     return this.parseJSON(decompressed);
   }
@@ -625,6 +862,44 @@ export class ExportImportManager {
     };
   }
   
+  /**
+   * Current-format (3.x) project document shared by .c3d files and backups
+   */
+  serializeProject(data, extra = {}) {
+    return {
+      format: PROJECT_FORMAT,
+      version: this.version,
+      ...extra,
+      assembly: normalizeAssembly(data.assembly)
+    };
+  }
+  
+  getConnectionList(assembly) {
+    return Array.from(assembly.connections || []);
+  }
+  
+  /**
+   * Both ends of a connection, whether it uses the assembly model's
+   * piece1Id/point1Id or the older fromPiece/fromPoint fields
+   */
+  getConnectionEnds(conn) {
+    return {
+      fromPiece: conn.piece1Id ?? conn.fromPiece,
+      fromPoint: conn.point1Id ?? conn.fromPoint,
+      toPiece: conn.piece2Id ?? conn.toPiece,
+      toPoint: conn.point2Id ?? conn.toPoint
+    };
+  }
+  
+  getMeshOptions(data) {
+    const options = data.metadata?.options || {};
+    return {
+      includeBridges: Boolean(options.includeBridges),
+      radialSegments: options.radialSegments || 24,
+      firmness: Number(options.firmness) || 0
+    };
+  }
+  
   detectFormat(filename) {
     const extension = filename.split('.').pop().toLowerCase();
     
@@ -638,46 +913,64 @@ export class ExportImportManager {
   }
   
   async readFile(file) {
+    // Read raw bytes: project files and backups are binary containers
+    if (typeof file.arrayBuffer === 'function') {
+      return new Uint8Array(await file.arrayBuffer());
+    }
+    
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
+      reader.onload = (e) => resolve(new Uint8Array(e.target.result));
       reader.onerror = reject;
-      reader.readAsText(file);
+      reader.readAsArrayBuffer(file);
     });
   }
   
-  compress(content) {
-    // Simple compression using btoa (base64)
-    // In production, use a proper compression library
-    try {
-      return btoa(encodeURIComponent(content));
-    } catch (e) {
-      return content;
-    }
+  compress(content, kind = 'project') {
+    return packC3D(content, { kind });
   }
   
+  /**
+   * Turn file content into text: unpacks containers, decodes legacy base64
+   * files and passes plain text through
+   */
   decompress(content) {
-    // Simple decompression using atob
-    try {
-      return decodeURIComponent(atob(content));
-    } catch (e) {
-      return content;
+    if (this.isCompressed(content)) {
+      return unpackC3D(content).text;
+    }
+    
+    const text = typeof content === 'string' ? content : new TextDecoder().decode(content);
+    
+    if (this.isLegacyCompressed(text)) {
+      return decodeURIComponent(atob(text.trim()));
     }
+    
+    return text;
   }
   
   isCompressed(content) {
-    // Check if content appears to be base64 encoded
+    return isC3DContainer(content);
+  }
+  
+  isLegacyCompressed(content) {
+    // Files from before the container were base64(encodeURIComponent(json)),
+    // so they always decode to an escaped "{" or "[" first
+    if (typeof content !== 'string') return false;
+    const trimmed = content.trim();
+    if (trimmed.length < 8 || trimmed.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(trimmed)) {
+      return false;
+    }
+    
     try {
-      return /^[A-Za-z0-9+/=]+$/.test(content.replace(/\s/g, ''));
+      return /^%(7B|5B)/i.test(atob(trimmed.slice(0, 8)));
     } catch {
       return false;
     }
   }
   
   isVersionCompatible(version) {
-    const [major] = version.split('.');
-    const [currentMajor] = this.version.split('.');
-    return major === currentMajor;
+    // Older formats are upgraded on import; only newer ones can't be read
+    return canMigrate(version);
   }
   
   validateImport(data) {
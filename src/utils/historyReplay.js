@@ -0,0 +1,197 @@
+// src/utils/historyReplay.js
+
+/**
+ * Deterministic replay of Assembly.history
+ * Rebuilds pieces, connections and locks by applying the recorded actions
+ * in order to an empty assembly. Works on plain data (no CrochetPiece or
+ * Three.js objects) and uses only what the entries carry, so the same
+ * history always gives the same result. Actions that no longer apply (a
+ * move of a piece that was never added, a connection to a point in use)
+ * are skipped and reported instead of aborting the replay.
+ */
+
+// Bookkeeping entries that do not change the assembly
+const NOTE_ACTIONS = new Set(['recovered', 'recovery', 'backup_created', 'backups_cleared']);
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function toVector(value) {
+  return { x: Number(value?.x) || 0, y: Number(value?.y) || 0, z: Number(value?.z) || 0 };
+}
+
+// Piece data known from elsewhere (a damaged save, a backup), by id
+function indexPieces(pieces) {
+  const known = new Map();
+  const list = Array.isArray(pieces) ? pieces : Object.values(pieces || {});
+  list.forEach(piece => {
+    if (piece && piece.id) known.set(piece.id, piece);
+  });
+  return known;
+}
+
+function freePoint(state, pieceId, pointId) {
+  const point = state.pieces.get(pieceId)?.connectionPoints.find(p => p.id === pointId);
+  if (point) {
+    point.isOccupied = false;
+    point.connectedTo = null;
+  }
+}
+
+const REPLAY_HANDLERS = {
+  add_piece(state, entry) {
+    if (!entry.pieceId) return 'Entry has no piece id';
+    if (state.pieces.has(entry.pieceId)) return `Piece ${entry.pieceId} already exists`;
+
+    const source = entry.piece || state.knownPieces.get(entry.pieceId);
+    const piece = source
+      ? copy(source)
+      : { id: entry.pieceId, name: entry.pieceName || 'Recovered Piece', type: 'custom' };
+    piece.id = entry.pieceId;
+    piece.connectionPoints = (piece.connectionPoints || []).map(point => ({ ...point, isOccupied: false, connectedTo: null }));
+    if (!source) {
+      piece.recovered = true;
+      state.placeholders.push(entry.pieceId);
+    }
+    state.pieces.set(piece.id, piece);
+    return null;
+  },
+
+  move(state, entry) {
+    const piece = state.pieces.get(entry.pieceId);
+    if (!piece) return `Piece ${entry.pieceId} not found`;
+    piece.position = toVector(entry.newPosition);
+    return null;
+  },
+
+  modify_piece(state, entry) {
+    const piece = state.pieces.get(entry.pieceId);
+    if (!piece) return `Piece ${entry.pieceId} not found`;
+    if (!entry.changes || 'id' in entry.changes) return 'Entry has no usable changes';
+    Object.assign(piece, copy(entry.changes));
+    return null;
+  },
+
+  connect(state, entry, index) {
+    const data = entry.data || {};
+    const ends = [[data.piece1Id, data.point1Id], [data.piece2Id, data.point2Id]];
+    const points = [];
+    for (const [pieceId, pointId] of ends) {
+      const piece = state.pieces.get(pieceId);
+      if (!piece) return `Piece ${pieceId} not found`;
+      const point = piece.connectionPoints.find(p => p.id === pointId);
+      if (!point) return `Connection point ${pointId} not found`;
+      if (point.isOccupied) return `Connection point ${pointId} is in use`;
+      points.push(point);
+    }
+
+    // Older entries have no connection id; derive one from the position
+    const id = data.connectionId || `conn-replay-${index}`;
+    if (state.connections.some(conn => conn.id === id)) return `Connection ${id} already exists`;
+
+    points[0].isOccupied = true;
+    points[0].connectedTo = data.point2Id;
+    points[1].isOccupied = true;
+    points[1].connectedTo = data.point1Id;
+    state.connections.push({
+      id,
+      piece1Id: data.piece1Id,
+      point1Id: data.point1Id,
+      piece2Id: data.piece2Id,
+      point2Id: data.point2Id,
+      timestamp: entry.timestamp
+    });
+    return null;
+  },
+
+  disconnect(state, entry) {
+    const connection = state.connections.find(conn => conn.id === entry.data?.connectionId);
+    if (!connection) return `Connection ${entry.data?.connectionId} not found`;
+    freePoint(state, connection.piece1Id, connection.point1Id);
+    freePoint(state, connection.piece2Id, connection.point2Id);
+    state.connections = state.connections.filter(conn => conn !== connection);
+    return null;
+  },
+
+  remove_piece(state, entry) {
+    if (!state.pieces.has(entry.pieceId)) return `Piece ${entry.pieceId} not found`;
+    state.connections
+      .filter(conn => conn.piece1Id === entry.pieceId || conn.piece2Id === entry.pieceId)
+      .forEach(conn => {
+        freePoint(state, conn.piece1Id, conn.point1Id);
+        freePoint(state, conn.piece2Id, conn.point2Id);
+      });
+    state.connections = state.connections.filter(conn => conn.piece1Id !== entry.pieceId && conn.piece2Id !== entry.pieceId);
+    state.pieces.delete(entry.pieceId);
+    state.locked.delete(entry.pieceId);
+    return null;
+  },
+
+  lock_piece(state, entry) {
+    if (!state.pieces.has(entry.pieceId)) return `Piece ${entry.pieceId} not found`;
+    state.locked.add(entry.pieceId);
+    return null;
+  },
+
+  unlock_piece(state, entry) {
+    state.locked.delete(entry.pieceId);
+    return null;
+  }
+};
+
+/**
+ * Replay history entries in order.
+ *
+ * Options:
+ *   knownPieces - piece data (array or id map) for add_piece entries
+ *                 written before entries carried the piece itself
+ *   until       - stop before the first entry after this timestamp. Entries
+ *                 share a timestamp when made in the same millisecond, and
+ *                 a cut-off cannot fall between them: all are replayed
+ *   from        - assembly data ({ pieces, connections, locked }) to replay
+ *                 onto instead of an empty assembly
+ *
+ * Returns { pieces, connections, locked, applied, skipped, placeholders },
+ * where skipped lists { index, action, reason } for each entry left out
+ * and placeholders the ids of pieces rebuilt without their data.
+ */
+export function replayHistory(history, options = {}) {
+  const start = options.from || {};
+  const state = {
+    pieces: new Map((Array.isArray(start.pieces) ? start.pieces : []).map(piece => [piece.id, copy(piece)])),
+    connections: (Array.isArray(start.connections) ? start.connections : []).map(copy),
+    locked: new Set(Array.isArray(start.locked) ? start.locked : []),
+    knownPieces: indexPieces(options.knownPieces),
+    placeholders: []
+  };
+  const skipped = [];
+  let applied = 0;
+
+  (Array.isArray(history) ? history : []).some((entry, index) => {
+    if (options.until !== undefined && entry?.timestamp > options.until) return true;
+    if (!entry || typeof entry.action !== 'string') {
+      skipped.push({ index, action: null, reason: 'Not a history entry' });
+      return false;
+    }
+    if (NOTE_ACTIONS.has(entry.action)) return false;
+
+    const handler = REPLAY_HANDLERS[entry.action];
+    const reason = handler ? handler(state, entry, index) : `Unknown action "${entry.action}"`;
+    if (reason) {
+      skipped.push({ index, action: entry.action, reason });
+    } else {
+      applied++;
+    }
+    return false;
+  });
+
+  return {
+    pieces: Array.from(state.pieces.values()),
+    connections: state.connections,
+    locked: Array.from(state.locked),
+    applied,
+    skipped,
+    placeholders: state.placeholders
+  };
+}
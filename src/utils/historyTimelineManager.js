@@ -2,6 +2,7 @@
 // D9: Visual history timeline for assembly actions
 
 import { toSafeVector3 } from './safeTypes';
+import { storage } from './storageManager';
 
 export class HistoryTimelineManager {
   constructor(undoRedoSystem) {
@@ -16,11 +17,13 @@ export class HistoryTimelineManager {
       animateTransitions: true
     };
     
-    // Timeline data
+    // Timeline data; the tree holds every branch of the undo history
     this.timeline = [];
+    this.tree = null;
     this.sessions = [];
     this.milestones = [];
     this.bookmarks = new Set();
+    this.checkpoints = []; // named snapshots, kept by the CheckpointManager
     
     // Filtering
     this.filters = {
@@ -80,6 +83,8 @@ export class HistoryTimelineManager {
       description: action.description,
       timestamp: action.timestamp || Date.now(),
       sessionId: this.currentSessionId,
+      parentId: action.parentId ?? null,
+      branchId: action.branchId || 'main',
       data: action.data,
       thumbnail: null,
       tags: this.generateTags(action),
@@ -132,6 +137,77 @@ export class HistoryTimelineManager {
       entry.isCurrent = index === currentIndex;
       entry.isFuture = index > currentIndex;
     });
+    
+    this.tree = this.undoRedoSystem.getTree ? this.undoRedoSystem.getTree() : null;
+  }
+  
+  /**
+   * Lay the history tree out for drawing: one lane per branch, one row per
+   * step from the start, with an edge from each action to the next
+   */
+  getTreeLayout() {
+    if (!this.tree) return null;
+    
+    const lanes = new Map(this.tree.branches.map((branch, index) => [branch.id, index]));
+    const nodes = this.tree.nodes.map(node => ({
+      ...node,
+      lane: lanes.get(node.branchId) ?? 0,
+      row: node.depth + 1,
+      isBookmarked: this.bookmarks.has(node.id)
+    }));
+    const positions = new Map(nodes.map(node => [node.id, node]));
+    const edges = nodes.map(node => {
+      const parent = positions.get(node.parentId);
+      return {
+        from: node.parentId ?? this.tree.rootId,
+        to: node.id,
+        fromLane: parent ? parent.lane : 0,
+        fromRow: parent ? parent.row : 0,
+        toLane: node.lane,
+        toRow: node.row,
+        isOnActiveBranch: node.isOnActiveBranch
+      };
+    });
+    
+    return {
+      nodes,
+      edges,
+      lanes: this.tree.branches.length,
+      rows: nodes.reduce((max, node) => Math.max(max, node.row), 0),
+      currentId: this.tree.currentId
+    };
+  }
+  
+  // Move the assembly to any action in any branch
+  jumpToNode(nodeId) {
+    if (!this.undoRedoSystem) return { success: false, reason: 'No undo history' };
+    const result = this.undoRedoSystem.jumpTo(nodeId);
+    this.refreshFromHistory();
+    return result;
+  }
+  
+  // Make a branch active and move to its latest action
+  switchBranch(branchId) {
+    if (!this.undoRedoSystem) return { success: false, reason: 'No undo history' };
+    const result = this.undoRedoSystem.switchBranch(branchId);
+    this.refreshFromHistory();
+    return result;
+  }
+  
+  // Rename a branch for display
+  renameBranch(branchId, name) {
+    const branch = this.undoRedoSystem?.branches?.get(branchId);
+    if (!branch) return false;
+    branch.name = name;
+    this.refreshFromHistory();
+    return true;
+  }
+  
+  refreshFromHistory() {
+    this.syncWithUndoRedo();
+    if (this.callbacks.onTimelineUpdate) {
+      this.callbacks.onTimelineUpdate(this.getTimelineData());
+    }
   }
   
   // Generate tags for action
@@ -309,6 +385,26 @@ export class HistoryTimelineManager {
     }
   }
   
+  // Checkpoints of the project, to show alongside bookmarks
+  setCheckpoints(checkpoints) {
+    this.checkpoints = Array.isArray(checkpoints) ? checkpoints : [];
+    if (this.callbacks.onTimelineUpdate) {
+      this.callbacks.onTimelineUpdate(this.getTimelineData());
+    }
+  }
+  
+  // Bookmarks, milestones and checkpoints with their times, for placing on a playback
+  getPlaybackMarkers() {
+    const bookmarks = this.timeline
+      .filter(entry => this.bookmarks.has(entry.id))
+      .map(entry => ({ id: entry.id, kind: 'bookmark', label: entry.description, timestamp: entry.timestamp }));
+    const milestones = this.milestones
+      .map(milestone => ({ id: milestone.id, kind: 'milestone', label: `${milestone.icon} ${milestone.name}`, timestamp: milestone.timestamp }));
+    const checkpoints = this.checkpoints
+      .map(checkpoint => ({ id: checkpoint.id, kind: 'checkpoint', label: checkpoint.name, timestamp: checkpoint.createdAt }));
+    return [...bookmarks, ...milestones, ...checkpoints];
+  }
+  
   // Get timeline data
   getTimelineData() {
     const filtered = this.getFilteredTimeline();
@@ -320,7 +416,12 @@ export class HistoryTimelineManager {
       milestones: this.milestones,
       bookmarks: Array.from(this.bookmarks),
       stats: this.getStatistics(),
-      currentSessionId: this.currentSessionId
+      currentSessionId: this.currentSessionId,
+      branches: this.tree ? this.tree.branches : [],
+      currentBranchId: this.undoRedoSystem?.getState ? this.undoRedoSystem.getState().currentBranchId : null,
+      graph: this.getTreeLayout(),
+      checkpoints: this.checkpoints,
+      markers: this.getPlaybackMarkers()
     };
   }
   
@@ -378,6 +479,47 @@ export class HistoryTimelineManager {
     ].join('\n');
   }
   
+  // Save sessions, milestones, bookmarks and the undo tree for a project.
+  // Returns the storage result; on failure it carries a message for the user
+  saveToStorage(projectId) {
+    const data = {
+      version: '1.0',
+      savedAt: Date.now(),
+      sessions: this.sessions,
+      milestones: this.milestones,
+      bookmarks: Array.from(this.bookmarks),
+      undo: this.undoRedoSystem?.toJSON ? this.undoRedoSystem.toJSON() : null
+    };
+    return storage.setItem(`timeline_${projectId}`, JSON.stringify(data));
+  }
+  
+  // Load what saveToStorage wrote, once the assembly is back in its saved state
+  loadFromStorage(projectId) {
+    const stored = storage.getItem(`timeline_${projectId}`);
+    if (!stored) return { success: false, reason: 'No saved timeline' };
+    
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch (error) {
+      return { success: false, reason: `Saved timeline is damaged: ${error.message}` };
+    }
+    
+    if (data.undo && this.undoRedoSystem?.restore) {
+      const restored = this.undoRedoSystem.restore(data.undo);
+      if (!restored.success) return restored;
+    }
+    
+    this.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+    this.milestones = Array.isArray(data.milestones) ? data.milestones : [];
+    this.bookmarks = new Set(data.bookmarks || []);
+    this.stats.sessionCount = this.sessions.length;
+    this.currentSessionId = this.createSession();
+    
+    this.refreshFromHistory();
+    return { success: true };
+  }
+  
   // Set callbacks
   setCallbacks(callbacks) {
     Object.assign(this.callbacks, callbacks);
@@ -1,7 +1,11 @@
 // src/utils/instructionsGenerator.js
 // D15: Automatic step-by-step instructions generation
 
+import * as THREE from 'three';
 import { toSafeVector3 } from './safeTypes';
+import { CrochetPattern, countStitchTokens, toStitchTokens } from '../types/patternModel';
+import { PieceFactory } from '../models/pieceFactory';
+import { DEFAULT_FIRMNESS } from '../models/stuffingSimulator';
 
 export class InstructionsGenerator {
   constructor() {
@@ -11,6 +15,7 @@ export class InstructionsGenerator {
     this.language = 'en';
     this.includeImages = true;
     this.includeVideos = false;
+    this.firmness = DEFAULT_FIRMNESS; // how firmly the finished size assumes pieces are stuffed
     
     this.initializeInstructionTypes();
     this.initializeTemplates();
@@ -83,13 +88,15 @@ export class InstructionsGenerator {
       difficulty = this.currentDifficulty,
       includeImages = this.includeImages,
       includeVideos = this.includeVideos,
-      language = this.language
+      language = this.language,
+      firmness = this.firmness
     } = options;
     
     // Update settings
     this.currentDifficulty = difficulty;
     this.includeImages = includeImages;
     this.includeVideos = includeVideos;
+    this.firmness = firmness;
     this.language = language;
     
     // Generate base instructions
@@ -220,7 +227,7 @@ export class InstructionsGenerator {
     const steps = [];
     
     for (const [index, piece] of Array.from(assembly.pieces.values()).entries()) {
-      const pattern = piece.metadata?.pattern || [];
+      const pattern = this.getPieceStitches(piece);
       
       if (pattern.length > 0) {
         steps.push({
@@ -328,7 +335,7 @@ export class InstructionsGenerator {
     const steps = [];
     
     for (const [index, piece] of pieces.entries()) {
-      const pattern = piece.metadata?.pattern || this.commonPatterns[piece.type] || [];
+      const pattern = this.getPieceStitches(piece, this.commonPatterns[piece.type]);
       
       steps.push({
         stepNumber: index + 1,
@@ -406,7 +413,7 @@ export class InstructionsGenerator {
     
     // Time for pieces
     for (const piece of assembly.pieces.values()) {
-      const pattern = piece.metadata?.pattern || [];
+      const pattern = this.getPieceStitches(piece);
       totalMinutes += this.estimatePieceTime(pattern);
     }
     
@@ -448,7 +455,7 @@ export class InstructionsGenerator {
     
     // Check piece patterns
     for (const piece of assembly.pieces.values()) {
-      const pattern = piece.metadata?.pattern || [];
+      const pattern = this.getPieceStitches(piece);
       for (const stitch of pattern) {
         const info = this.stitchInfo[stitch];
         if (info && info.difficulty > maxDifficulty) {
@@ -466,7 +473,42 @@ export class InstructionsGenerator {
     return 'advanced';
   }
   
-  estimateSize(assembly) {
+  /**
+   * Finished size from the piece meshes where they sit, stuffed at
+   * `firmness` (0 = unstuffed). Falls back to the spread of the piece
+   * positions when no piece has a pattern.
+   */
+  estimateSize(assembly, firmness = this.firmness) {
+    const factory = new PieceFactory({ firmness });
+    const bounds = new THREE.Box3();
+    
+    for (const piece of assembly.pieces.values()) {
+      const geometry = factory.createRevolvedGeometry(this.getPiecePattern(piece));
+      if (!geometry) continue;
+      
+      const position = toSafeVector3(piece.position) || { x: 0, y: 0, z: 0 };
+      const rotation = toSafeVector3(piece.rotation) || { x: 0, y: 0, z: 0 };
+      geometry.applyMatrix4(new THREE.Matrix4().compose(
+        new THREE.Vector3(position.x, position.y, position.z),
+        new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z)),
+        new THREE.Vector3(1, 1, 1)
+      ));
+      geometry.computeBoundingBox();
+      bounds.union(geometry.boundingBox);
+      geometry.dispose();
+    }
+    
+    if (bounds.isEmpty()) {
+      return this.estimateSizeFromPositions(assembly);
+    }
+    
+    // Scene units to cm, to the nearest half centimetre
+    const size = bounds.getSize(new THREE.Vector3()).divideScalar(factory.unitsPerCm);
+    const [width, height, depth] = size.toArray().map(value => Math.round(value * 2) / 2);
+    return `Approximately ${width}cm x ${height}cm x ${depth}cm${firmness > 0 ? ' (stuffed)' : ''}`;
+  }
+  
+  estimateSizeFromPositions(assembly) {
     // Calculate bounding box
     let minX = Infinity, maxX = -Infinity;
     let minY = Infinity, maxY = -Infinity;
@@ -490,19 +532,28 @@ export class InstructionsGenerator {
   }
   
   analyzeMaterials(assembly) {
-    const colors = new Set();
-    let totalYarn = 0;
+    const colors = new Map(); // hex -> yards
     
     for (const piece of assembly.pieces.values()) {
-      if (piece.color) colors.add(piece.color);
-      const pattern = piece.metadata?.pattern || [];
-      totalYarn += pattern.length * 2; // Rough estimate
+      const pieceYarn = this.getPieceStitches(piece).length * 2; // Rough estimate
+      const pattern = this.getPiecePattern(piece);
+      const usage = pattern.getColorUsage();
+      const stitches = usage.reduce((sum, entry) => sum + entry.stitches, 0);
+      
+      // Stripes and colourwork split the piece's yarn by stitches worked
+      if (usage.length === 0) usage.push({ color: null, stitches: 1 });
+      usage.forEach(entry => {
+        const hex = pattern.resolveColor(entry.color, piece.color, piece.palette);
+        if (!hex) return;
+        const share = stitches > 0 ? entry.stitches / stitches : 1;
+        colors.set(hex, (colors.get(hex) || 0) + pieceYarn * share);
+      });
     }
     
     return {
-      yarn: Array.from(colors).map(color => ({
+      yarn: Array.from(colors.entries()).map(([color, yards]) => ({
         color,
-        amount: `${Math.ceil(totalYarn / colors.size)} yards`,
+        amount: `${Math.ceil(yards)} yards`,
         weight: 'Worsted weight (4)'
       })),
       hook: 'Size H/8 (5.0mm) crochet hook',
@@ -520,31 +571,25 @@ export class InstructionsGenerator {
     };
   }
   
+  // Stitch tokens for a piece, from its token pattern or its parsed rounds
+  getPieceStitches(piece, fallback = []) {
+    if (piece.metadata?.pattern?.length) return toStitchTokens(piece.metadata.pattern);
+    if (piece.rounds?.length) return toStitchTokens(piece.rounds);
+    return fallback;
+  }
+  
+  // Round/stitch model for a piece, with its stripes and colour changes
+  getPiecePattern(piece) {
+    if (piece.metadata?.pattern?.length) return CrochetPattern.from(piece.metadata.pattern);
+    return CrochetPattern.from(piece.rounds || []);
+  }
+  
   groupPatternIntoRounds(pattern) {
-    const rounds = [];
-    const roundSize = 6; // Default round size
-    
-    for (let i = 0; i < pattern.length; i += roundSize) {
-      rounds.push(pattern.slice(i, i + roundSize));
-    }
-    
-    return rounds;
+    return CrochetPattern.from(pattern).toRoundTokens();
   }
   
   calculateStitchCount(round) {
-    let count = 0;
-    
-    for (const stitch of round) {
-      if (stitch === 'inc') {
-        count += 2;
-      } else if (stitch === 'dec') {
-        count -= 1;
-      } else if (stitch !== 'ch' && stitch !== 'turn') {
-        count += 1;
-      }
-    }
-    
-    return count;
+    return countStitchTokens(round);
   }
   
   describePiece(piece) {
@@ -621,7 +666,7 @@ export class InstructionsGenerator {
     const techniques = new Set();
     
     for (const piece of assembly.pieces.values()) {
-      const pattern = piece.metadata?.pattern || [];
+      const pattern = this.getPieceStitches(piece);
       for (const stitch of pattern) {
         if (this.stitchInfo[stitch]) {
           techniques.add(stitch);
@@ -671,25 +716,25 @@ export class InstructionsGenerator {
   
   hasComplexPattern(assembly) {
     for (const piece of assembly.pieces.values()) {
-      const pattern = piece.metadata?.pattern || [];
+      const pattern = this.getPieceStitches(piece);
       if (pattern.length > 20) return true;
     }
     return false;
   }
   
+  // True when any piece switches yarn part-way (stripes, tapestry rounds)
   hasColorChanges(assembly) {
-    const colors = new Set();
     for (const piece of assembly.pieces.values()) {
-      if (piece.color) colors.add(piece.color);
+      if (this.getPiecePattern(piece).hasColorChanges()) return true;
     }
-    return colors.size > 1;
+    return false;
   }
   
   extractTechniques(assembly) {
     const techniques = new Set();
     
     for (const piece of assembly.pieces.values()) {
-      const pattern = piece.metadata?.pattern || [];
+      const pattern = this.getPieceStitches(piece);
       for (const stitch of pattern) {
         if (this.stitchInfo[stitch]) {
           techniques.add(stitch);
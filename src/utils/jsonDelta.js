@@ -0,0 +1,96 @@
+// src/utils/jsonDelta.js
+
+/**
+ * Deltas between JSON values
+ * A delta is a list of operations that turns one value into another:
+ *
+ *   { path, value }   set the value at path (added or changed)
+ *   { path, remove }  delete an object key
+ *   { path, length }  shorten an array
+ *
+ * Paths are arrays of object keys and array indexes. Arrays are compared
+ * by index, which keeps deltas small for the append-mostly arrays in an
+ * assembly (history, pieces, connections).
+ */
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deltaError(message) {
+  const error = new Error(message);
+  error.code = 'DELTA_MISMATCH';
+  return error;
+}
+
+/**
+ * Operations that turn `from` into `to`
+ */
+export function diffJSON(from, to, path = [], ops = []) {
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const shared = Math.min(from.length, to.length);
+    for (let i = 0; i < shared; i++) diffJSON(from[i], to[i], [...path, i], ops);
+    for (let i = shared; i < to.length; i++) ops.push({ path: [...path, i], value: copy(to[i]) });
+    if (to.length < from.length) ops.push({ path, length: to.length });
+    return ops;
+  }
+
+  if (isObject(from) && isObject(to)) {
+    Object.keys(from).forEach(key => {
+      if (!(key in to)) ops.push({ path: [...path, key], remove: true });
+    });
+    Object.keys(to).forEach(key => {
+      if (key in from) {
+        diffJSON(from[key], to[key], [...path, key], ops);
+      } else {
+        ops.push({ path: [...path, key], value: copy(to[key]) });
+      }
+    });
+    return ops;
+  }
+
+  if (from !== to) ops.push({ path, value: copy(to) });
+  return ops;
+}
+
+/**
+ * Apply operations from diffJSON to a copy of value
+ */
+export function applyDelta(value, ops) {
+  let result = copy(value);
+
+  ops.forEach(op => {
+    if (op.path.length === 0) {
+      if ('length' in op && Array.isArray(result)) {
+        result.length = op.length;
+      } else {
+        result = copy(op.value);
+      }
+      return;
+    }
+
+    let parent = result;
+    for (const segment of op.path.slice(0, -1)) {
+      parent = parent?.[segment];
+    }
+    const last = op.path[op.path.length - 1];
+    if (parent === null || typeof parent !== 'object') {
+      throw deltaError(`Delta does not match: nothing at ${op.path.slice(0, -1).join('.')}`);
+    }
+
+    if (op.remove) {
+      delete parent[last];
+    } else if ('length' in op) {
+      if (!Array.isArray(parent[last])) throw deltaError(`Delta does not match: ${op.path.join('.')} is not a list`);
+      parent[last].length = op.length;
+    } else {
+      parent[last] = copy(op.value);
+    }
+  });
+
+  return result;
+}
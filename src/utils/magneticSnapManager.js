@@ -3,11 +3,14 @@
 
 import * as THREE from 'three';
 import { toSafeVector3 } from './safeTypes';
+import { pointFrame, snapTransform, toRotation } from './connectionFrames';
 
 export class MagneticSnapManager {
-  constructor(scene, assembly) {
+  // `options.undoRedo` (an UndoRedoSystem) makes each snap one undoable step
+  constructor(scene, assembly, options = {}) {
     this.scene = scene;
     this.assembly = assembly;
+    this.undoRedo = options.undoRedo || null;
     
     // Snap configuration
     this.config = {
@@ -16,7 +19,9 @@ export class MagneticSnapManager {
       snapStrength: 0.2,  // How strongly pieces pull together (0-1)
       visualFeedback: true,
       autoConnect: true,  // Automatically create connection when snapped
-      snapPreview: true   // Show preview of where piece will snap
+      snapPreview: true,  // Show preview of where piece will snap
+      alignOrientation: true, // Turn the piece so the points face each other
+      twist: 0            // Extra turn about the joint, in radians
     };
     
     // Connection point tracking
@@ -56,12 +61,15 @@ export class MagneticSnapManager {
       
       // Transform to world space
       mesh.localToWorld(worldPos);
+      const frame = pointFrame(point);
       
       return {
         id: point.id,
         type: point.type,
         worldPosition: worldPos,
         localPosition: point.position,
+        localNormal: frame.normal,
+        localUp: frame.up,
         compatible: point.compatible || [],
         occupied: point.occupied || false,
         pieceId: pieceData.id,
@@ -144,16 +152,15 @@ export class MagneticSnapManager {
           
           if (distance < minDistance) {
             minDistance = distance;
+            const transform = this.calculateSnapTransform(movingPoint, targetPoint, targetMesh.position);
             closestSnap = {
               movingPoint: movingPoint,
               targetPoint: targetPoint,
               distance: distance,
-              snapPosition: this.calculateSnapPosition(
-                movingPoint,
-                targetPoint,
-                newPosition,
-                targetMesh.position
-              )
+              snapPosition: transform.position,
+              snapQuaternion: transform.quaternion,
+              snapRotation: toRotation(transform.quaternion),
+              twist: this.config.twist
             };
           }
         }
@@ -189,40 +196,42 @@ export class MagneticSnapManager {
     return false;
   }
   
+  // World position of a point with its piece at `piecePosition`, turned
+  // and scaled as its mesh is
+  pointWorldPosition(point, piecePosition) {
+    const local = new THREE.Vector3(point.localPosition.x, point.localPosition.y, point.localPosition.z);
+    if (point.mesh) local.multiply(point.mesh.scale).applyQuaternion(point.mesh.quaternion);
+    return local.add(new THREE.Vector3(piecePosition.x, piecePosition.y, piecePosition.z));
+  }
+  
   // Calculate distance between potential snap points
   calculateSnapDistance(movingPoint, targetPoint, movingPosition, targetPosition) {
-    // Calculate where the moving point would be in world space
-    const movingWorldPos = new THREE.Vector3(
-      movingPosition.x + movingPoint.localPosition.x,
-      movingPosition.y + movingPoint.localPosition.y,
-      movingPosition.z + movingPoint.localPosition.z
-    );
-    
-    // Calculate target point world position
-    const targetWorldPos = new THREE.Vector3(
-      targetPosition.x + targetPoint.localPosition.x,
-      targetPosition.y + targetPoint.localPosition.y,
-      targetPosition.z + targetPoint.localPosition.z
-    );
+    return this.pointWorldPosition(movingPoint, movingPosition)
+      .distanceTo(this.pointWorldPosition(targetPoint, targetPosition));
+  }
+  
+  // Position and turn ({ position, quaternion }) that join the two points.
+  // With alignOrientation the points end up facing each other, turned
+  // `twist` radians about the joint; otherwise the piece keeps its turn.
+  calculateSnapTransform(movingPoint, targetPoint, targetPosition, twist = this.config.twist) {
+    if (!this.config.alignOrientation) {
+      const quaternion = movingPoint.mesh ? movingPoint.mesh.quaternion.clone() : new THREE.Quaternion();
+      const position = this.pointWorldPosition(targetPoint, targetPosition)
+        .sub(this.pointWorldPosition(movingPoint, { x: 0, y: 0, z: 0 }));
+      return { position, quaternion };
+    }
     
-    return movingWorldPos.distanceTo(targetWorldPos);
+    const frameOf = point => ({ position: point.localPosition, normal: point.localNormal, up: point.localUp });
+    return snapTransform(frameOf(movingPoint), frameOf(targetPoint), {
+      position: targetPosition,
+      quaternion: targetPoint.mesh?.quaternion,
+      scale: targetPoint.mesh?.scale
+    }, { twist, movingScale: movingPoint.mesh?.scale });
   }
   
   // Calculate the position where piece should snap to
   calculateSnapPosition(movingPoint, targetPoint, movingPosition, targetPosition) {
-    // Calculate offset to align connection points
-    const offset = new THREE.Vector3(
-      targetPoint.localPosition.x - movingPoint.localPosition.x,
-      targetPoint.localPosition.y - movingPoint.localPosition.y,
-      targetPoint.localPosition.z - movingPoint.localPosition.z
-    );
-    
-    // New position for moving piece
-    return new THREE.Vector3(
-      targetPosition.x - movingPoint.localPosition.x + targetPoint.localPosition.x,
-      targetPosition.y - movingPoint.localPosition.y + targetPoint.localPosition.y,
-      targetPosition.z - movingPoint.localPosition.z + targetPoint.localPosition.z
-    );
+    return this.calculateSnapTransform(movingPoint, targetPoint, targetPosition).position;
   }
   
   // Execute snap animation
@@ -234,6 +243,8 @@ export class MagneticSnapManager {
     
     const startPos = mesh.position.clone();
     const endPos = snapInfo.snapPosition;
+    const startTurn = mesh.quaternion.clone();
+    const endTurn = snapInfo.snapQuaternion || startTurn;
     const duration = 300; // ms
     const startTime = Date.now();
     
@@ -244,8 +255,9 @@ export class MagneticSnapManager {
       // Easing function for smooth snap
       const easeProgress = this.easeInOutCubic(progress);
       
-      // Interpolate position
+      // Interpolate position and turn
       mesh.position.lerpVectors(startPos, endPos, easeProgress);
+      mesh.quaternion.slerpQuaternions(startTurn, endTurn, easeProgress);
       
       if (progress < 1) {
         requestAnimationFrame(animate);
@@ -257,8 +269,11 @@ export class MagneticSnapManager {
         snapInfo.movingPoint.occupied = true;
         snapInfo.targetPoint.occupied = true;
         
-        // Create connection in assembly
-        if (this.config.autoConnect && this.assembly) {
+        // Record the snap: one undoable step with an undo system,
+        // otherwise just the connection
+        if (this.undoRedo && this.assembly) {
+          snapInfo.result = this.recordSnap(snapInfo);
+        } else if (this.config.autoConnect && this.assembly) {
           this.createConnection(snapInfo);
         }
         
@@ -288,6 +303,38 @@ export class MagneticSnapManager {
       : 1 - Math.pow(-2 * t + 2, 3) / 2;
   }
   
+  // Move, turn and (with autoConnect) connect the piece as one batch, so
+  // a single undo takes the whole snap back
+  recordSnap(snapInfo) {
+    const { movingPoint, targetPoint, snapPosition, snapRotation } = snapInfo;
+    const pieceId = movingPoint.pieceId;
+    const commands = [
+      { type: 'move_piece', pieceId, to: { x: snapPosition.x, y: snapPosition.y, z: snapPosition.z } },
+      { type: 'rotate_piece', pieceId, to: { x: snapRotation.x, y: snapRotation.y, z: snapRotation.z } }
+    ];
+    if (this.config.autoConnect) {
+      commands.push({
+        type: 'connect',
+        connection: { piece1Id: pieceId, point1Id: movingPoint.id, piece2Id: targetPoint.pieceId, point2Id: targetPoint.id }
+      });
+    }
+    
+    const result = this.undoRedo.execute({ type: 'batch', commands }, `Snap ${movingPoint.id} to ${targetPoint.id}`);
+    if (result.success && this.config.autoConnect) {
+      this.activeConnections.add({
+        point1: movingPoint,
+        point2: targetPoint,
+        connectionId: result.command.commands[2].connection.id
+      });
+    }
+    return result;
+  }
+  
+  // Set the undo system snaps are recorded in (null to stop recording)
+  setUndoRedo(undoRedo) {
+    this.undoRedo = undoRedo;
+  }
+  
   // Create connection in assembly
   createConnection(snapInfo) {
     if (!this.assembly) return;
@@ -0,0 +1,443 @@
+// src/utils/meshExporter.js
+// OBJ, binary STL and glTF 2.0 (.glb) writers for the revolved piece meshes
+
+import * as THREE from 'three';
+import { PieceFactory } from '../models/pieceFactory';
+import { toSafeVector3, toSafeColor } from './safeTypes';
+
+/**
+ * buildExportMeshes() turns an assembly into plain mesh records (local
+ * positions, normals, indices, colour, optional linear vertex colours for
+ * striped pieces and a world matrix) using the same
+ * lathe geometry the viewer draws. The writers below bake or keep those
+ * transforms depending on the format.
+ */
+
+const BRIDGE_DEFAULTS = {
+  color: '#fbbf24',
+  thickness: 0.05,
+  sag: 0.1,
+  segments: 20,
+  radialSegments: 8
+};
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+
+// ==================== MESH BUILDING ====================
+
+function pieceMatrix(piece) {
+  const position = toSafeVector3(piece.position) || { x: 0, y: 0, z: 0 };
+  const rotation = toSafeVector3(piece.rotation) || { x: 0, y: 0, z: 0 };
+  const scale = piece.scale ? toSafeVector3(piece.scale) : { x: 1, y: 1, z: 1 };
+
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(position.x, position.y, position.z),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z)),
+    new THREE.Vector3(scale.x || 1, scale.y || 1, scale.z || 1)
+  );
+}
+
+/**
+ * Copy a BufferGeometry into typed arrays, dropping zero-area triangles
+ * (lathe poles produce them) so slicers don't complain
+ */
+function meshFromGeometry(geometry, record) {
+  const position = geometry.attributes.position;
+  const normal = geometry.attributes.normal;
+  const index = geometry.index;
+  const triangleCount = (index ? index.count : position.count) / 3;
+  const indices = [];
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+
+  for (let t = 0; t < triangleCount; t++) {
+    const ia = index ? index.getX(t * 3) : t * 3;
+    const ib = index ? index.getX(t * 3 + 1) : t * 3 + 1;
+    const ic = index ? index.getX(t * 3 + 2) : t * 3 + 2;
+    a.fromBufferAttribute(position, ia);
+    b.fromBufferAttribute(position, ib);
+    c.fromBufferAttribute(position, ic);
+    if (b.sub(a).cross(c.sub(a)).lengthSq() > 1e-14) {
+      indices.push(ia, ib, ic);
+    }
+  }
+
+  return {
+    ...record,
+    positions: Float32Array.from(position.array),
+    normals: Float32Array.from(normal.array),
+    colors: geometry.attributes.color ? Float32Array.from(geometry.attributes.color.array) : null,
+    indices: Uint32Array.from(indices)
+  };
+}
+
+function findConnectionPoint(piece, pointId) {
+  const points = piece?.connectionPoints;
+  if (!points) return null;
+  const list = points instanceof Map ? Array.from(points.values()) : points;
+  return list.find(point => point && (point.id === pointId || point.name === pointId)) || null;
+}
+
+/**
+ * Yarn bridge tube between two connection points, matching the viewer's
+ * sagging curve (without its random jitter, so exports are reproducible)
+ */
+function createBridgeGeometry(start, end, options) {
+  const middle = new THREE.Vector3().lerpVectors(start, end, 0.5);
+  middle.y -= options.sag;
+
+  const curve = new THREE.CatmullRomCurve3([start.clone(), middle, end.clone()]);
+  curve.tension = 0.5;
+  return new THREE.TubeGeometry(curve, options.segments, options.thickness, options.radialSegments, false);
+}
+
+/**
+ * Build exportable meshes for every piece, plus yarn bridges if requested.
+ * A `firmness` above 0 exports closed pieces stuffed.
+ */
+export function buildExportMeshes(assembly, options = {}) {
+  const { includeBridges = false, radialSegments = 24, bridge = {}, firmness = 0 } = options;
+  const bridgeOptions = { ...BRIDGE_DEFAULTS, ...bridge };
+  const factory = new PieceFactory({ firmness });
+  const meshes = [];
+  const matrices = new Map();
+
+  for (const piece of assembly.pieces.values()) {
+    const pattern = piece.rounds?.length ? piece.rounds : piece.metadata?.pattern;
+    const colors = { color: toSafeColor(piece.color), palette: piece.palette };
+    const geometry = factory.createRevolvedGeometry(pattern, radialSegments, colors) ||
+      new THREE.SphereGeometry(0.5, radialSegments, Math.max(8, radialSegments / 2));
+    const matrix = pieceMatrix(piece);
+    matrices.set(piece.id, matrix);
+
+    meshes.push(meshFromGeometry(geometry, {
+      name: piece.name || `${piece.type}_${piece.id}`,
+      kind: 'piece',
+      pieceId: piece.id,
+      color: toSafeColor(piece.color),
+      matrix
+    }));
+    geometry.dispose();
+  }
+
+  if (includeBridges) {
+    Array.from(assembly.connections || []).forEach((connection, index) => {
+      const piece1 = assembly.pieces.get(connection.piece1Id ?? connection.fromPiece);
+      const piece2 = assembly.pieces.get(connection.piece2Id ?? connection.toPiece);
+      const point1 = findConnectionPoint(piece1, connection.point1Id ?? connection.fromPoint);
+      const point2 = findConnectionPoint(piece2, connection.point2Id ?? connection.toPoint);
+      if (!point1 || !point2) return;
+
+      const p1 = toSafeVector3(point1.position);
+      const p2 = toSafeVector3(point2.position);
+      const start = new THREE.Vector3(p1.x, p1.y, p1.z).applyMatrix4(matrices.get(piece1.id));
+      const end = new THREE.Vector3(p2.x, p2.y, p2.z).applyMatrix4(matrices.get(piece2.id));
+      if (start.distanceTo(end) < 1e-6) return;
+
+      const geometry = createBridgeGeometry(start, end, bridgeOptions);
+      meshes.push(meshFromGeometry(geometry, {
+        name: `yarn_bridge_${index + 1}`,
+        kind: 'bridge',
+        color: bridgeOptions.color,
+        matrix: new THREE.Matrix4()
+      }));
+      geometry.dispose();
+    });
+  }
+
+  return meshes;
+}
+
+/**
+ * World-space positions and normals for formats without a scene graph
+ */
+function bakeMesh(mesh) {
+  const positions = new Float32Array(mesh.positions.length);
+  const normals = new Float32Array(mesh.normals.length);
+  const normalMatrix = new THREE.Matrix3().getNormalMatrix(mesh.matrix);
+  const vector = new THREE.Vector3();
+
+  for (let i = 0; i < mesh.positions.length; i += 3) {
+    vector.fromArray(mesh.positions, i).applyMatrix4(mesh.matrix).toArray(positions, i);
+    vector.fromArray(mesh.normals, i).applyMatrix3(normalMatrix).normalize().toArray(normals, i);
+  }
+
+  // A mirrored transform flips winding; swap two corners to keep faces outward
+  const indices = mesh.indices.slice();
+  if (mesh.matrix.determinant() < 0) {
+    for (let i = 0; i < indices.length; i += 3) {
+      [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+    }
+  }
+
+  return { positions, normals, indices };
+}
+
+function srgb(color) {
+  return new THREE.Color(color).getRGB({ r: 0, g: 0, b: 0 }, THREE.SRGBColorSpace);
+}
+
+// sRGB colour of one vertex, or of the whole mesh when it has no vertex colours
+function vertexSRGB(mesh, vertex) {
+  if (!mesh.colors) return srgb(mesh.color);
+  return new THREE.Color().fromArray(mesh.colors, vertex * 3).getRGB({ r: 0, g: 0, b: 0 }, THREE.SRGBColorSpace);
+}
+
+function formatFloat(value) {
+  return Number(value.toFixed(6)).toString();
+}
+
+// ==================== OBJ ====================
+
+/**
+ * Wavefront OBJ with normals, vertex colours and a companion MTL
+ */
+export function meshesToOBJ(meshes, options = {}) {
+  const { title = 'Untitled', mtlFilename = 'materials.mtl' } = options;
+  const lines = [
+    '# OBJ file generated by Crochet 3D',
+    `# Assembly: ${title}`,
+    `# Date: ${new Date().toISOString()}`,
+    `mtllib ${mtlFilename}`,
+    ''
+  ];
+  const mtl = ['# Materials generated by Crochet 3D', ''];
+  let vertexOffset = 1;
+
+  meshes.forEach((mesh, meshIndex) => {
+    const name = mesh.name.replace(/\s+/g, '_');
+    const material = `${mesh.kind}_${meshIndex + 1}`;
+    const color = srgb(mesh.color);
+    const baked = bakeMesh(mesh);
+    const colorSuffix = (vertex) => {
+      const rgb = mesh.colors ? vertexSRGB(mesh, vertex) : color;
+      return ` ${formatFloat(rgb.r)} ${formatFloat(rgb.g)} ${formatFloat(rgb.b)}`;
+    };
+
+    mtl.push(`newmtl ${material}`);
+    mtl.push(`Kd ${formatFloat(color.r)} ${formatFloat(color.g)} ${formatFloat(color.b)}`);
+    mtl.push('Ka 0 0 0', 'Ks 0.1 0.1 0.1', 'Ns 30', 'd 1', 'illum 2', '');
+
+    lines.push(`o ${name}`, `usemtl ${material}`);
+    for (let i = 0; i < baked.positions.length; i += 3) {
+      lines.push(`v ${formatFloat(baked.positions[i])} ${formatFloat(baked.positions[i + 1])} ${formatFloat(baked.positions[i + 2])}${colorSuffix(i / 3)}`);
+    }
+    for (let i = 0; i < baked.normals.length; i += 3) {
+      lines.push(`vn ${formatFloat(baked.normals[i])} ${formatFloat(baked.normals[i + 1])} ${formatFloat(baked.normals[i + 2])}`);
+    }
+    for (let i = 0; i < baked.indices.length; i += 3) {
+      const [a, b, c] = [baked.indices[i], baked.indices[i + 1], baked.indices[i + 2]].map(v => v + vertexOffset);
+      lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+    }
+    lines.push('');
+    vertexOffset += baked.positions.length / 3;
+  });
+
+  return { obj: lines.join('\n'), mtl: mtl.join('\n') };
+}
+
+// ==================== STL ====================
+
+/**
+ * Binary STL. Facet colours use the VisCAM/SolidView attribute convention
+ * (bit 15 set, 5 bits each of red, green and blue).
+ */
+export function meshesToSTL(meshes, options = {}) {
+  const { title = 'Crochet 3D' } = options;
+  const baked = meshes.map(mesh => ({ mesh, ...bakeMesh(mesh) }));
+  const triangleCount = baked.reduce((sum, b) => sum + b.indices.length / 3, 0);
+  const buffer = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  const header = `Crochet 3D binary STL: ${title}`.slice(0, 80);
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i) & 0x7f;
+  view.setUint32(80, triangleCount, true);
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const edge = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  let offset = 84;
+
+  const facetAttribute = (color) => 0x8000 |
+    (Math.round(color.r * 31) << 10) | (Math.round(color.g * 31) << 5) | Math.round(color.b * 31);
+
+  baked.forEach(({ mesh, positions, indices }) => {
+    const meshAttribute = facetAttribute(srgb(mesh.color));
+
+    for (let i = 0; i < indices.length; i += 3) {
+      // Striped pieces colour each facet from its first corner
+      const attribute = mesh.colors ? facetAttribute(vertexSRGB(mesh, indices[i])) : meshAttribute;
+      a.fromArray(positions, indices[i] * 3);
+      b.fromArray(positions, indices[i + 1] * 3);
+      c.fromArray(positions, indices[i + 2] * 3);
+      normal.subVectors(b, a).cross(edge.subVectors(c, a)).normalize();
+
+      [normal, a, b, c].forEach(vector => {
+        view.setFloat32(offset, vector.x, true);
+        view.setFloat32(offset + 4, vector.y, true);
+        view.setFloat32(offset + 8, vector.z, true);
+        offset += 12;
+      });
+      view.setUint16(offset, attribute, true);
+      offset += 2;
+    }
+  });
+
+  return bytes;
+}
+
+// ==================== glTF ====================
+
+/**
+ * glTF 2.0 binary. Each piece keeps its own node transform; materials carry
+ * the piece colour as a linear base colour, or white under COLOR_0 when the
+ * piece has stripes or colourwork.
+ */
+export function meshesToGLB(meshes, options = {}) {
+  const { title = 'Crochet Assembly' } = options;
+  const gltf = {
+    asset: { version: '2.0', generator: 'Crochet 3D' },
+    scene: 0,
+    scenes: [{ name: title, nodes: [0] }],
+    nodes: [{ name: title, children: [] }],
+    meshes: [],
+    materials: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: [{ byteLength: 0 }]
+  };
+  const chunks = [];
+  let byteLength = 0;
+
+  const addView = (array, target) => {
+    const padding = (4 - (byteLength % 4)) % 4;
+    if (padding) {
+      chunks.push(new Uint8Array(padding));
+      byteLength += padding;
+    }
+    const data = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    chunks.push(data);
+    gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: data.byteLength, target });
+    byteLength += data.byteLength;
+    return gltf.bufferViews.length - 1;
+  };
+
+  const addAccessor = (accessor) => {
+    gltf.accessors.push(accessor);
+    return gltf.accessors.length - 1;
+  };
+
+  meshes.forEach(mesh => {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < mesh.positions.length; i++) {
+      min[i % 3] = Math.min(min[i % 3], mesh.positions[i]);
+      max[i % 3] = Math.max(max[i % 3], mesh.positions[i]);
+    }
+
+    const vertexCount = mesh.positions.length / 3;
+    const position = addAccessor({
+      bufferView: addView(mesh.positions, 34962),
+      componentType: 5126,
+      count: vertexCount,
+      type: 'VEC3',
+      min,
+      max
+    });
+    const normal = addAccessor({
+      bufferView: addView(mesh.normals, 34962),
+      componentType: 5126,
+      count: vertexCount,
+      type: 'VEC3'
+    });
+    const attributes = { POSITION: position, NORMAL: normal };
+    if (mesh.colors) {
+      attributes.COLOR_0 = addAccessor({
+        bufferView: addView(mesh.colors, 34962),
+        componentType: 5126,
+        count: vertexCount,
+        type: 'VEC3'
+      });
+    }
+    const indices = addAccessor({
+      bufferView: addView(mesh.indices, 34963),
+      componentType: 5125,
+      count: mesh.indices.length,
+      type: 'SCALAR'
+    });
+
+    const color = mesh.colors ? new THREE.Color(1, 1, 1) : new THREE.Color(mesh.color); // working colour space is linear
+    gltf.materials.push({
+      name: `${mesh.name} material`,
+      pbrMetallicRoughness: {
+        baseColorFactor: [color.r, color.g, color.b, 1],
+        metallicFactor: 0,
+        roughnessFactor: 0.9
+      }
+    });
+
+    gltf.meshes.push({
+      name: mesh.name,
+      primitives: [{
+        attributes,
+        indices,
+        material: gltf.materials.length - 1,
+        mode: 4
+      }]
+    });
+
+    const translation = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    mesh.matrix.decompose(translation, rotation, scale);
+
+    const node = { name: mesh.name, mesh: gltf.meshes.length - 1 };
+    if (translation.lengthSq() > 0) node.translation = translation.toArray();
+    if (rotation.w !== 1) node.rotation = rotation.toArray();
+    if (scale.x !== 1 || scale.y !== 1 || scale.z !== 1) node.scale = scale.toArray();
+    gltf.nodes.push(node);
+    gltf.nodes[0].children.push(gltf.nodes.length - 1);
+  });
+
+  const binPadding = (4 - (byteLength % 4)) % 4;
+  if (byteLength > 0) {
+    gltf.buffers[0].byteLength = byteLength;
+  } else {
+    ['meshes', 'materials', 'accessors', 'bufferViews', 'buffers'].forEach(key => delete gltf[key]);
+  }
+
+  let json = JSON.stringify(gltf);
+  json += ' '.repeat((4 - (new TextEncoder().encode(json).length % 4)) % 4);
+  const jsonBytes = new TextEncoder().encode(json);
+  const binLength = byteLength + binPadding;
+
+  const total = 12 + 8 + jsonBytes.length + (byteLength > 0 ? 8 + binLength : 0);
+  const output = new Uint8Array(total);
+  const view = new DataView(output.buffer);
+
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+  view.setUint32(12, jsonBytes.length, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  output.set(jsonBytes, 20);
+
+  if (byteLength > 0) {
+    let offset = 20 + jsonBytes.length;
+    view.setUint32(offset, binLength, true);
+    view.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+    offset += 8;
+    chunks.forEach(chunk => {
+      output.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+  }
+
+  return output;
+}
@@ -1,6 +1,11 @@
 // src/utils/patternVisualizer.js
 // D16: Visual pattern charts and stitch diagrams
 
+import { CrochetPattern, countStitchTokens, toStitchTokens } from '../types/patternModel';
+import { PDFDocument } from './pdfWriter';
+import { svgToPNG } from './rasterizer';
+import { renderSymbolChart, renderSymbolChartSVG, layoutSymbolChart } from './symbolChart';
+
 export class PatternVisualizer {
   constructor() {
     this.stitchSymbols = new Map();
@@ -161,7 +166,7 @@ export class PatternVisualizer {
   initializeChartGenerators() {
     this.chartGenerators = {
       written: (pattern) => this.generateWrittenChart(pattern),
-      symbol: (pattern) => this.generateSymbolChart(pattern),
+      symbol: (pattern, options) => this.generateSymbolChart(options.source ?? pattern, options),
       graph: (pattern) => this.generateGraphChart(pattern),
       diagram: (pattern) => this.generateDiagram(pattern),
       '3d': (pattern) => this.generate3DVisualization(pattern)
@@ -183,13 +188,18 @@ export class PatternVisualizer {
     // Merge custom colors with defaults
     const finalColors = { ...Object.fromEntries(this.colorPalette), ...colors };
     
+    // Accept pattern text, parsed rounds or a CrochetPattern as well as tokens;
+    // the symbol chart reads stitch parents from the original
+    const source = pattern;
+    pattern = toStitchTokens(pattern);
+    
     // Generate the appropriate chart
     const generator = this.chartGenerators[type];
     if (!generator) {
       throw new Error(`Unknown chart type: ${type}`);
     }
     
-    const chart = generator(pattern);
+    const chart = generator(pattern, { ...options, source });
     
     // Add metadata
     chart.metadata = {
@@ -245,30 +255,51 @@ export class PatternVisualizer {
     return chart;
   }
   
-  generateSymbolChart(pattern) {
-    const rounds = this.groupIntoRounds(pattern);
+  /**
+   * Radial (rounds) or row (flat pieces) symbol chart. Options: notation
+   * ('jis' or 'cyc'), layout ('auto', 'radial', 'rows'), fromRound/toRound to
+   * zoom to a range of rounds, colorBy ('shaping', 'yarn' or 'none')
+   */
+  generateSymbolChart(pattern, options = {}) {
+    const model = CrochetPattern.from(pattern);
+    const chartOptions = {
+      notation: options.notation || 'jis',
+      layout: options.layout || 'auto',
+      colorBy: options.colorBy || 'shaping',
+      fromRound: options.fromRound ?? null,
+      toRound: options.toRound ?? null
+    };
+    const { svg, layout } = renderSymbolChart(model, this.getRenderOptions(chartOptions));
+    
     const chart = {
       type: 'symbol',
       title: 'Symbol Chart',
-      svg: this.createSVGChart(rounds),
-      rounds: []
+      layout: layout.kind,
+      options: chartOptions,
+      svg,
+      rounds: [],
+      model
     };
     
-    rounds.forEach((round, rIndex) => {
-      const symbols = round.map(stitch => {
-        const symbol = this.stitchSymbols.get(stitch);
+    layout.rounds.forEach((round, rIndex) => {
+      const symbols = round.stitches.map(stitch => {
+        const symbol = this.stitchSymbols.get(stitch.type);
         return {
-          stitch,
+          stitch: stitch.type,
+          shaping: stitch.shaping,
+          parents: stitch.targets,
           symbol: symbol?.symbol || '?',
-          unicode: symbol?.unicode || stitch,
+          unicode: symbol?.unicode || stitch.type,
           color: symbol?.color || '#666'
         };
       });
       
       chart.rounds.push({
-        number: rIndex + 1,
+        number: round.number,
+        written: model.rounds[rIndex].instruction,
+        count: round.stitches.length,
         symbols,
-        arrangement: this.calculateArrangement(rIndex, round.length)
+        arrangement: this.calculateArrangement(round, layout.kind)
       });
     });
     
@@ -458,74 +489,23 @@ export class PatternVisualizer {
   
   // ==================== HELPER METHODS ====================
   
-  createSVGChart(rounds) {
-    const size = 400;
-    const center = size / 2;
-    let svg = `<svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">`;
-    
-    // Background
-    svg += `<rect width="${size}" height="${size}" fill="#f9f9f9"/>`;
-    
-    // Draw rounds
-    rounds.forEach((round, rIndex) => {
-      const radius = 30 + (rIndex * 25);
-      const angleStep = (2 * Math.PI) / round.length;
-      
-      round.forEach((stitch, sIndex) => {
-        const angle = sIndex * angleStep - Math.PI / 2;
-        const x = center + Math.cos(angle) * radius;
-        const y = center + Math.sin(angle) * radius;
-        
-        const symbol = this.stitchSymbols.get(stitch);
-        if (symbol) {
-          // Draw symbol
-          svg += `<g transform="translate(${x - 10}, ${y - 10})">`;
-          svg += `<path d="${symbol.svg}" stroke="${symbol.color}" stroke-width="2" fill="none"/>`;
-          svg += `</g>`;
-        } else {
-          // Draw placeholder
-          svg += `<circle cx="${x}" cy="${y}" r="5" fill="#999"/>`;
-        }
-      });
-      
-      // Draw round circle
-      svg += `<circle cx="${center}" cy="${center}" r="${radius}" stroke="#ddd" stroke-width="1" fill="none"/>`;
-    });
-    
-    // Center point
-    svg += `<circle cx="${center}" cy="${center}" r="3" fill="#333"/>`;
-    
-    svg += `</svg>`;
-    return svg;
+  createSVGChart(pattern, options = {}) {
+    // Rounds of tokens from groupIntoRounds() or any pattern representation
+    const input = Array.isArray(pattern?.[0]) ? pattern.flat() : pattern;
+    return renderSymbolChart(input, this.getRenderOptions(options)).svg;
+  }
+  
+  getRenderOptions(options) {
+    const render = { ...options };
+    if (render.fromRound === null) delete render.fromRound;
+    if (render.toRound === null) delete render.toRound;
+    return render;
   }
   
   groupIntoRounds(pattern) {
-    const rounds = [];
-    let currentRound = [];
-    let isFirstRound = true;
-    
-    for (const stitch of pattern) {
-      currentRound.push(stitch);
-      
-      // Detect round end
-      if (stitch === 'join' || stitch === 'sl' || 
-          (isFirstRound && stitch === 'MR' && currentRound.length > 1)) {
-        rounds.push([...currentRound]);
-        currentRound = [];
-        isFirstRound = false;
-      } else if (currentRound.length >= 6 && !isFirstRound) {
-        // Default round size
-        rounds.push([...currentRound]);
-        currentRound = [];
-      }
-    }
-    
-    // Add remaining stitches
-    if (currentRound.length > 0) {
-      rounds.push(currentRound);
-    }
-    
-    return rounds;
+    // Rounds come from the shared stitch model so the chart, instructions and
+    // yarn estimate agree on where each round starts and ends
+    return CrochetPattern.from(pattern).toRoundTokens();
   }
   
   convertToWritten(round) {
@@ -553,19 +533,7 @@ export class PatternVisualizer {
   }
   
   calculateStitchCount(round) {
-    let count = 0;
-    
-    for (const stitch of round) {
-      if (stitch === 'inc') {
-        count += 2;
-      } else if (stitch === 'dec') {
-        count -= 1;
-      } else if (!['ch', 'turn', 'join', 'FO'].includes(stitch)) {
-        count += 1;
-      }
-    }
-    
-    return Math.max(0, count);
+    return countStitchTokens(round);
   }
   
   findRepeat(round) {
@@ -594,11 +562,18 @@ export class PatternVisualizer {
     return null;
   }
   
-  calculateArrangement(roundIndex, stitchCount) {
+  calculateArrangement(round, layoutKind = 'radial') {
+    if (layoutKind === 'rows') {
+      return {
+        y: round.y,
+        direction: round.direction > 0 ? 'left-to-right' : 'right-to-left'
+      };
+    }
+    
     return {
-      radius: 50 + (roundIndex * 30),
-      angleStep: 360 / stitchCount,
-      startAngle: -90 // Start at top
+      radius: round.radius,
+      angleStep: (round.angleStep * 180) / Math.PI,
+      startAngle: (round.startAngle * 180) / Math.PI
     };
   }
   
@@ -703,12 +678,12 @@ export class PatternVisualizer {
   
   // ==================== EXPORT METHODS ====================
   
-  exportChart(chart, format = 'svg') {
+  exportChart(chart, format = 'svg', options = {}) {
     switch (format) {
       case 'svg':
-        return this.exportAsSVG(chart);
+        return this.exportAsSVG(chart, options);
       case 'png':
-        return this.exportAsPNG(chart);
+        return this.exportAsPNG(chart, options);
       case 'pdf':
         return this.exportAsPDF(chart);
       case 'json':
@@ -718,7 +693,16 @@ export class PatternVisualizer {
     }
   }
   
-  exportAsSVG(chart) {
+  /**
+   * SVG for a chart; symbol charts can be re-rendered for a round range or
+   * another notation, e.g. exportAsSVG(chart, { fromRound: 5, toRound: 8 })
+   */
+  exportAsSVG(chart, options = {}) {
+    if (chart.type === 'symbol' && chart.model && Object.keys(options).length > 0) {
+      const render = this.getRenderOptions({ ...chart.options, ...options });
+      return renderSymbolChartSVG(layoutSymbolChart(chart.model, render), render);
+    }
+    
     if (chart.svg) {
       return chart.svg;
     }
@@ -727,28 +711,89 @@ export class PatternVisualizer {
     return this.createSVGFromChart(chart);
   }
   
-  exportAsPNG(chart) {
-    // Would require canvas conversion
+  /**
+   * PNG bytes for a chart, rasterized without a canvas so it also works in
+   * Node. Options: dpi, or width/height to fit a thumbnail box; symbol
+   * chart options (round range, notation) are applied as for SVG.
+   */
+  exportAsPNG(chart, options = {}) {
+    const { dpi, width, height, background, ...chartOptions } = options;
+    const image = svgToPNG(this.exportAsSVG(chart, chartOptions), { dpi, width, height, background });
     return {
       format: 'png',
-      data: chart,
-      requiresCanvas: true
+      mimeType: 'image/png',
+      data: image.bytes,
+      width: image.width,
+      height: image.height,
+      dpi: image.dpi
     };
   }
   
   exportAsPDF(chart) {
-    // Would require PDF library
+    const title = chart.title || 'Pattern Chart';
+    const doc = new PDFDocument({ title, subject: `${chart.type || 'pattern'} chart` });
+    doc.addPage();
+    doc.heading(title);
+
+    if (chart.metadata) {
+      doc.paragraph(`Difficulty: ${chart.metadata.difficulty}  |  Stitches: ${chart.metadata.patternLength}  |  ` +
+        `Unique stitches: ${chart.metadata.uniqueStitches}`, { size: 10, color: '#555555' });
+    }
+
+    // Chart drawing, scaled to the page width
+    const svg = this.exportAsSVG(chart);
+    const box = Math.min(doc.contentWidth, doc.contentBottom - doc.cursorY);
+    const drawn = doc.drawSVG(svg, doc.margin + (doc.contentWidth - box) / 2, doc.cursorY, box, box);
+    doc.cursorY += drawn.height + 16;
+
+    if (chart.legend?.length > 0) {
+      doc.heading('Legend', 2);
+      doc.table(
+        [
+          { header: 'Abbr', key: 'abbr', width: 80, font: 'bold' },
+          { header: 'Stitch', key: 'name', width: 200 },
+          { header: 'Count', key: 'count', width: 80, align: 'right' }
+        ],
+        chart.legend.map(entry => ({
+          abbr: entry.abbr,
+          name: entry.name,
+          count: String(chart.counts?.byStitch?.[entry.stitch] ?? '')
+        }))
+      );
+    }
+
+    if (chart.rounds?.length > 0) {
+      doc.heading('Rounds', 2);
+      doc.table(
+        [
+          { header: 'Round', key: 'number', width: 60 },
+          { header: 'Instructions', key: 'written', width: doc.contentWidth - 140 },
+          { header: 'Stitches', key: 'count', width: 80, align: 'right' }
+        ],
+        chart.rounds.map(round => ({
+          number: String(round.number),
+          written: round.written || (round.symbols || []).map(s => s.stitch).join(', '),
+          count: String(round.count ?? round.symbols?.length ?? '')
+        }))
+      );
+    }
+
+    doc.forEachPage((index, total) => {
+      doc.text(`Page ${index + 1} of ${total}`, doc.width / 2, doc.height - 25, { size: 8, color: '#888888', align: 'center' });
+    });
+
     return {
       format: 'pdf',
-      data: chart,
-      requiresLibrary: 'jsPDF'
+      content: doc.toBytes(),
+      filename: `${title.replace(/\s+/g, '_').toLowerCase()}.pdf`,
+      mimeType: 'application/pdf'
     };
   }
   
   createSVGFromChart(chart) {
     // Generate SVG based on chart type
     if (chart.type === 'symbol') {
-      return chart.svg || this.createSVGChart(chart.rounds);
+      return chart.svg || this.createSVGChart(chart.model || chart.rounds.map(r => r.symbols.map(s => s.stitch)));
     }
     
     // Default SVG representation
@@ -2,6 +2,7 @@
 // D7: Pay-per-use system for Pro tier overflow
 
 import { toSafeVector3 } from './safeTypes';
+import { storage } from './storageManager';
 
 export class PayPerUseManager {
   constructor() {
@@ -44,6 +45,13 @@ export class PayPerUseManager {
     };
     
     this.loadStoredData();
+    this.savedSinceLoad = false;
+    
+    // IndexedDB loads in the background; read again once it has, unless
+    // this session already saved newer data
+    storage.ready().then(() => {
+      if (!this.savedSinceLoad) this.loadStoredData();
+    });
   }
   
   // Get current billing period (month-year)
@@ -367,7 +375,7 @@ export class PayPerUseManager {
     }
   }
   
-  // Save data to localStorage (safe)
+  // Save data through the storage manager (safe)
   saveData() {
     const safeData = {
       usage: {
@@ -381,17 +389,18 @@ export class PayPerUseManager {
       config: this.config
     };
     
-    try {
-      localStorage.setItem('payPerUseData', JSON.stringify(safeData));
-    } catch (e) {
-      console.warn('Could not save pay-per-use data:', e);
+    this.savedSinceLoad = true;
+    const result = storage.setItem('payPerUseData', JSON.stringify(safeData));
+    if (!result.success) {
+      console.warn('Could not save pay-per-use data:', result.message);
     }
+    return result;
   }
   
   // Load stored data
   loadStoredData() {
     try {
-      const stored = localStorage.getItem('payPerUseData');
+      const stored = storage.getItem('payPerUseData');
       if (stored) {
         const data = JSON.parse(stored);
         Object.assign(this.usage, data.usage || {});
@@ -0,0 +1,476 @@
+// src/utils/pdfWriter.js
+// Dependency-free PDF 1.4 writer for pattern booklets and charts
+
+import { parseSVG, walkSVG, parseColor, applyMatrix, multiplyMatrix } from './svgParser';
+
+/**
+ * Produces a real binary PDF (Uint8Array) using the standard 14 fonts, so no
+ * font embedding is needed. Coordinates passed to drawing methods are in
+ * points with the origin at the TOP-LEFT of the page, like the SVGs we draw.
+ */
+
+export const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  LETTER: [612, 792]
+};
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' },
+  mono: { key: 'F3', name: 'Courier' }
+};
+
+// Glyph widths (1/1000 em) for printable ASCII 32-126, from the standard AFMs
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a slot for
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Map a JS string onto WinAnsi byte codes; unmappable characters become "?"
+ */
+function toWinAnsi(text) {
+  let result = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      result += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      result += char;
+    } else if (char === '\t') {
+      result += ' ';
+    } else {
+      result += '?';
+    }
+  }
+  return result;
+}
+
+function escapePDFString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function formatNumber(value) {
+  if (!Number.isFinite(value)) return '0';
+  const rounded = Math.round(value * 100) / 100;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+function colorOperands(color) {
+  const { r, g, b } = typeof color === 'string' ? (parseColor(color) || { r: 0, g: 0, b: 0 }) : color;
+  return [r, g, b].map(c => formatNumber(c / 255)).join(' ');
+}
+
+/**
+ * Width of a string in points for one of our fonts
+ */
+export function measureText(text, size = 12, font = 'regular') {
+  const encoded = toWinAnsi(text);
+  if (font === 'mono') return encoded.length * 0.6 * size;
+
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return total * size / 1000;
+}
+
+/**
+ * Greedy word wrap; words longer than a line are broken by character
+ */
+export function wrapText(text, maxWidth, size = 12, font = 'regular') {
+  const lines = [];
+
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, size, font) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      while (measureText(word, size, font) > maxWidth && word.length > 1) {
+        let cut = word.length - 1;
+        while (cut > 1 && measureText(word.slice(0, cut), size, font) > maxWidth) cut--;
+        lines.push(word.slice(0, cut));
+        word = word.slice(cut);
+      }
+      line = word;
+    });
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+export class PDFDocument {
+  constructor(options = {}) {
+    const [width, height] = options.size || PAGE_SIZES.A4;
+    this.width = width;
+    this.height = height;
+    this.margin = options.margin ?? 50;
+    this.info = {
+      title: options.title || 'Untitled',
+      author: options.author || '',
+      subject: options.subject || '',
+      creator: options.creator || 'Crochet 3D'
+    };
+    this.pages = [];
+    this.current = null;
+    this.cursorY = this.margin;
+  }
+
+  // ==================== PAGES ====================
+
+  addPage() {
+    this.current = { operations: [] };
+    this.pages.push(this.current);
+    this.cursorY = this.margin;
+    return this.pages.length - 1;
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  get contentBottom() {
+    return this.height - this.margin;
+  }
+
+  get contentWidth() {
+    return this.width - this.margin * 2;
+  }
+
+  /**
+   * Start a new page if fewer than `height` points remain
+   */
+  ensureSpace(height) {
+    if (!this.current || this.cursorY + height > this.contentBottom) {
+      this.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Run a callback against every page, e.g. for headers and "Page X of Y"
+   */
+  forEachPage(callback) {
+    const previous = this.current;
+    this.pages.forEach((page, index) => {
+      this.current = page;
+      callback(index, this.pages.length);
+    });
+    this.current = previous;
+  }
+
+  write(operation) {
+    if (!this.current) this.addPage();
+    this.current.operations.push(operation);
+  }
+
+  // ==================== DRAWING ====================
+
+  text(value, x, y, options = {}) {
+    const { size = 12, font = 'regular', color = '#000000', align = 'left' } = options;
+    const encoded = toWinAnsi(value);
+    const width = measureText(value, size, font);
+    const offset = align === 'center' ? width / 2 : align === 'right' ? width : 0;
+
+    this.write(`BT /${FONTS[font].key} ${formatNumber(size)} Tf ${colorOperands(color)} rg ` +
+      `${formatNumber(x - offset)} ${formatNumber(this.height - y)} Td (${escapePDFString(encoded)}) Tj ET`);
+    return width;
+  }
+
+  /**
+   * Flowing text at the cursor, wrapping and breaking pages as needed
+   */
+  paragraph(value, options = {}) {
+    const { size = 11, font = 'regular', color = '#000000', indent = 0, spacing = 1.35, after = 4 } = options;
+    const lineHeight = size * spacing;
+
+    wrapText(value, this.contentWidth - indent, size, font).forEach(line => {
+      this.ensureSpace(lineHeight);
+      this.text(line, this.margin + indent, this.cursorY + size, { size, font, color });
+      this.cursorY += lineHeight;
+    });
+    this.cursorY += after;
+  }
+
+  heading(value, level = 1) {
+    const size = level === 1 ? 20 : level === 2 ? 15 : 12;
+    this.ensureSpace(size * 2.5);
+    this.cursorY += level === 1 ? 0 : size * 0.5;
+    this.text(value, this.margin, this.cursorY + size, { size, font: 'bold' });
+    this.cursorY += size * 1.6;
+  }
+
+  line(x1, y1, x2, y2, options = {}) {
+    const { color = '#000000', width = 1 } = options;
+    this.write(`${colorOperands(color)} RG ${formatNumber(width)} w ` +
+      `${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`);
+  }
+
+  rect(x, y, width, height, options = {}) {
+    const { fill = null, stroke = '#000000', lineWidth = 1 } = options;
+    const paint = this.paintOperator(fill, stroke);
+    if (!paint) return;
+
+    let operation = '';
+    if (fill) operation += `${colorOperands(fill)} rg `;
+    if (stroke) operation += `${colorOperands(stroke)} RG ${formatNumber(lineWidth)} w `;
+    operation += `${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re ${paint}`;
+    this.write(operation);
+  }
+
+  paintOperator(fill, stroke) {
+    if (fill && stroke) return 'B';
+    if (fill) return 'f';
+    if (stroke) return 'S';
+    return null;
+  }
+
+  /**
+   * Draw a table with a header row; returns the y below the table.
+   * columns: [{ header, key, width, align, font }]
+   */
+  table(columns, rows, options = {}) {
+    const { size = 9, padding = 4, headerFill = '#e8e8e8', stripe = '#f7f7f7' } = options;
+    const lineHeight = size * 1.3;
+    const x0 = this.margin;
+    const totalWidth = columns.reduce((sum, col) => sum + col.width, 0);
+
+    const drawHeader = () => {
+      const height = lineHeight + padding * 2;
+      this.rect(x0, this.cursorY, totalWidth, height, { fill: headerFill, stroke: '#999999', lineWidth: 0.5 });
+      let x = x0;
+      columns.forEach(col => {
+        this.text(col.header, x + padding, this.cursorY + padding + size, { size, font: 'bold' });
+        x += col.width;
+      });
+      this.cursorY += height;
+    };
+
+    this.ensureSpace(lineHeight * 3 + padding * 4);
+    drawHeader();
+
+    rows.forEach((row, rowIndex) => {
+      const cells = columns.map(col => wrapText(row[col.key] ?? '', col.width - padding * 2, size, col.font || 'regular'));
+      const height = Math.max(...cells.map(lines => lines.length)) * lineHeight + padding * 2;
+
+      if (this.ensureSpace(height)) drawHeader();
+
+      this.rect(x0, this.cursorY, totalWidth, height, {
+        fill: rowIndex % 2 === 1 ? stripe : null,
+        stroke: '#cccccc',
+        lineWidth: 0.5
+      });
+
+      let x = x0;
+      columns.forEach((col, i) => {
+        cells[i].forEach((line, lineIndex) => {
+          const baseline = this.cursorY + padding + size + lineIndex * lineHeight;
+          const textX = col.align === 'right' ? x + col.width - padding : x + padding;
+          this.text(line, textX, baseline, { size, font: col.font || 'regular', align: col.align === 'right' ? 'right' : 'left' });
+        });
+        x += col.width;
+      });
+
+      this.cursorY += height;
+    });
+
+    this.cursorY += 8;
+    return this.cursorY;
+  }
+
+  // ==================== SVG ====================
+
+  /**
+   * Draw one of our SVG strings scaled to fit the given box, keeping aspect
+   */
+  drawSVG(svg, x, y, maxWidth, maxHeight) {
+    const parsed = typeof svg === 'string' ? parseSVG(svg) : svg;
+    const scale = Math.min(maxWidth / parsed.width, maxHeight / parsed.height);
+    const drawnWidth = parsed.width * scale;
+    const drawnHeight = parsed.height * scale;
+
+    // SVG space (y down) -> PDF space (y up), positioned within the page
+    const pageMatrix = [scale, 0, 0, -scale, x, this.height - y];
+
+    this.write('q');
+    this.write(`${formatNumber(x)} ${formatNumber(this.height - y - drawnHeight)} ${formatNumber(drawnWidth)} ${formatNumber(drawnHeight)} re W n`);
+
+    walkSVG(parsed, item => {
+      if (item.text !== undefined) {
+        this.drawSVGText(item, pageMatrix);
+      } else {
+        this.drawSVGShape(item, pageMatrix);
+      }
+    });
+
+    this.write('Q');
+    return { width: drawnWidth, height: drawnHeight };
+  }
+
+  drawSVGShape({ node, segments, style, matrix }, pageMatrix) {
+    // A line has no interior, whatever fill it inherits
+    const fill = node.tag === 'line' ? null : parseColor(style.fill);
+    const stroke = parseColor(style.stroke);
+    const paint = this.paintOperator(fill, stroke);
+    if (!paint) return;
+
+    const m = multiplyMatrix(pageMatrix, matrix);
+    const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    const ops = [];
+
+    if (fill) ops.push(`${colorOperands(blendOpacity(fill, style.fillOpacity ?? style.opacity))} rg`);
+    if (stroke) ops.push(`${colorOperands(blendOpacity(stroke, style.opacity))} RG ${formatNumber(style.strokeWidth * scale)} w`);
+
+    segments.forEach(segment => {
+      if (segment.type === 'Z') {
+        ops.push('h');
+      } else if (segment.type === 'C') {
+        const [x1, y1] = applyMatrix(m, segment.x1, segment.y1);
+        const [x2, y2] = applyMatrix(m, segment.x2, segment.y2);
+        const [x3, y3] = applyMatrix(m, segment.x, segment.y);
+        ops.push(`${formatNumber(x1)} ${formatNumber(y1)} ${formatNumber(x2)} ${formatNumber(y2)} ${formatNumber(x3)} ${formatNumber(y3)} c`);
+      } else {
+        const [px, py] = applyMatrix(m, segment.x, segment.y);
+        ops.push(`${formatNumber(px)} ${formatNumber(py)} ${segment.type === 'M' ? 'm' : 'l'}`);
+      }
+    });
+
+    ops.push(paint);
+    this.write(ops.join(' '));
+  }
+
+  drawSVGText({ node, text, style, matrix }, pageMatrix) {
+    const color = parseColor(style.fill);
+    if (!color) return;
+
+    const m = multiplyMatrix(pageMatrix, matrix);
+    const a = node.attributes;
+    const x = parseFloat(a.x) || 0;
+    const y = parseFloat(a.y) || 0;
+    const font = style.fontWeight === 'bold' || Number(style.fontWeight) >= 600 ? 'bold' : 'regular';
+    const width = measureText(text, style.fontSize, font);
+    const offset = style.textAnchor === 'middle' ? width / 2 : style.textAnchor === 'end' ? width : 0;
+    let baseline = y;
+    if (a['dominant-baseline'] === 'middle' || a['dominant-baseline'] === 'central') {
+      baseline += style.fontSize * 0.35;
+    }
+
+    // Text matrix un-flips glyphs inside the y-down SVG coordinate system
+    const [ox, oy] = applyMatrix(m, x - offset, baseline);
+    const tm = [m[0], m[1], -m[2], -m[3], ox, oy].map(formatNumber).join(' ');
+    this.write(`BT /${FONTS[font].key} ${formatNumber(style.fontSize)} Tf ` +
+      `${colorOperands(blendOpacity(color, style.opacity))} rg ${tm} Tm (${escapePDFString(toWinAnsi(text))}) Tj ET`);
+  }
+
+  // ==================== OUTPUT ====================
+
+  /**
+   * Serialize to PDF bytes with a correct cross-reference table
+   */
+  toBytes() {
+    if (this.pages.length === 0) this.addPage();
+
+    const objects = [];
+    const reserve = () => {
+      objects.push(null);
+      return objects.length;
+    };
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+    const fontIds = {};
+    Object.values(FONTS).forEach(font => {
+      fontIds[font.key] = reserve();
+      objects[fontIds[font.key] - 1] =
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`;
+    });
+
+    const fontResources = Object.values(FONTS).map(font => `/${font.key} ${fontIds[font.key]} 0 R`).join(' ');
+    const pageIds = [];
+
+    this.pages.forEach(page => {
+      const pageId = reserve();
+      const contentId = reserve();
+      const stream = page.operations.join('\n');
+      objects[contentId - 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+      objects[pageId - 1] = `<< /Type /Page /Parent ${pagesId} 0 R ` +
+        `/MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`;
+      pageIds.push(pageId);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const infoId = reserve();
+    const infoString = value => `(${escapePDFString(toWinAnsi(value))})`;
+    objects[infoId - 1] = `<< /Title ${infoString(this.info.title)} /Author ${infoString(this.info.author)} ` +
+      `/Subject ${infoString(this.info.subject)} /Creator ${infoString(this.info.creator)} ` +
+      `/Producer (Crochet 3D PDF Writer) /CreationDate (D:${pdfDate(new Date())}) >>`;
+
+    // Every string built above only holds char codes 0-255, so length == byte length
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+      offsets.push(output.length);
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) {
+      bytes[i] = output.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+  }
+}
+
+/**
+ * Opacity has no direct equivalent without ExtGState; blend onto white paper
+ */
+function blendOpacity(color, opacity = 1) {
+  if (opacity >= 1) return color;
+  const blend = c => Math.round(c * opacity + 255 * (1 - opacity));
+  return { r: blend(color.r), g: blend(color.g), b: blend(color.b) };
+}
+
+function pdfDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
@@ -0,0 +1,356 @@
+// src/utils/projectLibrary.js
+// Library of saved assemblies: list, open, duplicate, rename, delete, tag and search
+
+import { Assembly } from '../types/assemblyModels';
+import { safeLocalStorageGet, safeStorageSet } from './safeSerialize';
+import { storage } from './storageManager';
+import { getUsageTracker, getTierLimits } from './tierEnforcement';
+import { recoverySystem } from './recoverySystem';
+import { checkpointManager } from './checkpointManager';
+
+export const LIBRARY_INDEX_KEY = 'library_index';
+const ASSEMBLY_PREFIX = 'assembly_';
+const THUMBNAIL_PREFIX = 'thumbnail_';
+const TIMELINE_PREFIX = 'timeline_';
+const UNDO_PREFIX = 'undo_';
+
+const SORTS = {
+  modified: (a, b) => b.lastModified - a.lastModified,
+  created: (a, b) => b.createdAt - a.createdAt,
+  name: (a, b) => a.name.localeCompare(b.name)
+};
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))].sort();
+}
+
+function libraryError(reason, message) {
+  return { success: false, reason, message };
+}
+
+/**
+ * Render the 3D view and scale it down to a thumbnail data URL. WebGL
+ * clears its canvas after each frame, so the scene is rendered again
+ * right before it is copied.
+ */
+export function captureThumbnail({ renderer, scene, camera }, { size = 160, type = 'image/jpeg', quality = 0.8 } = {}) {
+  if (!renderer || typeof document === 'undefined') return null;
+
+  try {
+    if (scene && camera) renderer.render(scene, camera);
+    const source = renderer.domElement;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    // Crop the middle square of the view
+    const side = Math.min(source.width, source.height);
+    canvas.getContext('2d').drawImage(
+      source,
+      (source.width - side) / 2, (source.height - side) / 2, side, side,
+      0, 0, size, size
+    );
+    return canvas.toDataURL(type, quality);
+  } catch (error) {
+    console.error('Thumbnail capture failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Saved assemblies with their metadata. The assemblies themselves stay
+ * under their own `assembly_<id>` keys, where Assembly.save and
+ * Assembly.load expect them; the index holds what the library lists and
+ * searches, and thumbnails are stored apart so listing stays cheap.
+ * Saves made before the library existed are added to the index the first
+ * time it is read.
+ */
+export class ProjectLibrary {
+  constructor(store = storage) {
+    this.storage = store;
+  }
+
+  /**
+   * Index entries by id, picking up saved assemblies it does not know yet
+   */
+  readIndex() {
+    let index = {};
+    try {
+      const parsed = JSON.parse(this.storage.getItem(LIBRARY_INDEX_KEY) || '{}');
+      if (parsed && typeof parsed.projects === 'object') index = parsed.projects;
+    } catch (error) {
+      console.error('Library index is damaged, rebuilding it:', error);
+    }
+
+    const saved = new Set(this.storage.keys(ASSEMBLY_PREFIX).map(key => key.slice(ASSEMBLY_PREFIX.length)));
+    let changed = false;
+
+    // Entries whose save is gone
+    Object.keys(index).forEach(id => {
+      if (!saved.has(id)) {
+        delete index[id];
+        changed = true;
+      }
+    });
+
+    saved.forEach(id => {
+      if (index[id]) return;
+      const data = safeLocalStorageGet(`${ASSEMBLY_PREFIX}${id}`);
+      if (!data || data.corrupted) return;
+      index[id] = this.describe(data, {});
+      changed = true;
+    });
+
+    if (changed) this.writeIndex(index);
+    return index;
+  }
+
+  writeIndex(index) {
+    return this.storage.setItem(LIBRARY_INDEX_KEY, JSON.stringify({ version: 1, projects: index }));
+  }
+
+  /**
+   * Index entry for saved assembly data, keeping the library's own fields
+   * (tags, createdAt) from the previous entry
+   */
+  describe(data, previous = {}) {
+    const pieces = Array.isArray(data.pieces) ? data.pieces : Object.values(data.pieces || {});
+    const now = Date.now();
+    return {
+      id: data.id,
+      name: data.name || 'Untitled',
+      tags: previous.tags || [],
+      tier: data.currentTier || previous.tier || 'freemium',
+      pieceCount: pieces.length,
+      connectionCount: Array.isArray(data.connections) ? data.connections.length : 0,
+      pieceNames: pieces.map(p => p?.name).filter(Boolean),
+      createdAt: previous.createdAt || data.createdAt || data.lastModified || now,
+      lastModified: data.lastModified || now,
+      hasThumbnail: this.storage.getItem(`${THUMBNAIL_PREFIX}${data.id}`) !== null
+    };
+  }
+
+  /**
+   * Projects, most recently modified first unless `sort` says otherwise
+   * ('modified', 'created' or 'name')
+   */
+  list({ sort = 'modified' } = {}) {
+    return Object.values(this.readIndex()).sort(SORTS[sort] || SORTS.modified);
+  }
+
+  /**
+   * Projects whose name, piece names or tags contain every word of the
+   * query, and that carry every tag in `tags`
+   */
+  search(query = '', { tags = [], sort = 'modified' } = {}) {
+    const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    const required = normalizeTags(tags);
+
+    return this.list({ sort }).filter(project => {
+      if (!required.every(tag => project.tags.includes(tag))) return false;
+      const text = [project.name, ...project.pieceNames, ...project.tags].join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  /**
+   * Every tag in use with how many projects carry it
+   */
+  allTags() {
+    const counts = new Map();
+    this.list().forEach(project => {
+      project.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  get(id) {
+    return this.readIndex()[id] || null;
+  }
+
+  /**
+   * How many more projects the tier can store. Each stored project takes
+   * one of the tier's maxSaves; saving a project again does not.
+   */
+  remainingSaves(tier = 'freemium') {
+    const limit = getTierLimits(tier).maxSaves;
+    return Math.max(0, limit - this.list().length);
+  }
+
+  /**
+   * Point the session's save counter at the stored project count, so that
+   * guardedSave allows saving one more project only while there is room
+   */
+  syncSaveCount(tier, excludeId = null) {
+    const tracker = getUsageTracker(tier);
+    tracker.savesUsed = this.list().filter(p => p.id !== excludeId).length;
+    return tracker;
+  }
+
+  /**
+   * Save an assembly into the library, with an optional thumbnail data URL
+   * and tags
+   */
+  save(assembly, { thumbnail = null, tags } = {}) {
+    const previous = this.get(assembly.id);
+    this.syncSaveCount(assembly.currentTier, assembly.id);
+
+    const result = assembly.save();
+    if (!result.success) {
+      this.syncSaveCount(assembly.currentTier);
+      return result;
+    }
+
+    if (thumbnail) this.setThumbnail(assembly.id, thumbnail);
+    const index = this.readIndex();
+    index[assembly.id] = this.describe(assembly.toSafeData(), {
+      ...previous,
+      tags: tags === undefined ? previous?.tags : normalizeTags(tags)
+    });
+    this.writeIndex(index);
+    this.syncSaveCount(assembly.currentTier);
+
+    return { ...result, project: index[assembly.id] };
+  }
+
+  /**
+   * Load a saved project, recovering it from backups when the save is
+   * damaged
+   */
+  async open(id, options = {}) {
+    if (!this.get(id)) return null;
+    return Assembly.load(id, options);
+  }
+
+  /**
+   * Rename a saved project. The save itself is updated too, so opening it
+   * gives the new name.
+   */
+  rename(id, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return libraryError('INVALID_NAME', 'Project name cannot be empty.');
+
+    return this.updateSaved(id, data => ({ ...data, name: trimmed }));
+  }
+
+  /**
+   * Replace a project's tags
+   */
+  setTags(id, tags) {
+    const index = this.readIndex();
+    if (!index[id]) return libraryError('NOT_FOUND', `Project ${id} not found.`);
+
+    index[id] = { ...index[id], tags: normalizeTags(tags) };
+    const written = this.writeIndex(index);
+    return written.success ? { success: true, project: index[id] } : written;
+  }
+
+  addTag(id, tag) {
+    const project = this.get(id);
+    return project ? this.setTags(id, [...project.tags, tag]) : libraryError('NOT_FOUND', `Project ${id} not found.`);
+  }
+
+  removeTag(id, tag) {
+    const project = this.get(id);
+    const removed = normalizeTags([tag])[0];
+    return project
+      ? this.setTags(id, project.tags.filter(t => t !== removed))
+      : libraryError('NOT_FOUND', `Project ${id} not found.`);
+  }
+
+  /**
+   * Copy a saved project, with its thumbnail, undo stack and checkpoints,
+   * under a new id. The copy counts towards the tier's maxSaves.
+   */
+  duplicate(id, { name, tier } = {}) {
+    const project = this.get(id);
+    const data = project && safeLocalStorageGet(`${ASSEMBLY_PREFIX}${id}`);
+    if (!data || data.corrupted) return libraryError('NOT_FOUND', `Project ${id} not found.`);
+
+    const currentTier = tier || data.currentTier || 'freemium';
+    if (this.remainingSaves(currentTier) === 0) {
+      return libraryError('SAVE_LIMIT_EXCEEDED',
+        `Save limit reached (${getTierLimits(currentTier).maxSaves} saves). Delete a project to make room.`);
+    }
+
+    let copyId = `assembly-${Date.now()}`;
+    for (let n = 1; this.storage.getItem(`${ASSEMBLY_PREFIX}${copyId}`) !== null; n++) {
+      copyId = `assembly-${Date.now()}-${n}`;
+    }
+    const now = Date.now();
+    const copy = { ...data, id: copyId, name: name || `${project.name} (copy)`, lastModified: now };
+
+    const written = safeStorageSet(`${ASSEMBLY_PREFIX}${copyId}`, copy);
+    if (!written.success) return { ...written, reason: 'SAVE_FAILED' };
+
+    const thumbnail = this.getThumbnail(id);
+    if (thumbnail) this.setThumbnail(copyId, thumbnail);
+    const undo = this.storage.getItem(`${UNDO_PREFIX}${id}`);
+    if (undo !== null) this.storage.setItem(`${UNDO_PREFIX}${copyId}`, undo);
+    checkpointManager.importAll(copyId, checkpointManager.exportAll(id));
+
+    const index = this.readIndex();
+    index[copyId] = this.describe(copy, { tags: project.tags, createdAt: now });
+    this.writeIndex(index);
+    this.syncSaveCount(currentTier);
+    return { success: true, project: index[copyId] };
+  }
+
+  /**
+   * Delete a project with its thumbnail, timeline, undo stack, backups and
+   * checkpoints, freeing one of the tier's saves
+   */
+  delete(id) {
+    const index = this.readIndex();
+    if (!index[id]) return libraryError('NOT_FOUND', `Project ${id} not found.`);
+
+    [ASSEMBLY_PREFIX, THUMBNAIL_PREFIX, TIMELINE_PREFIX, UNDO_PREFIX].forEach(prefix => {
+      this.storage.removeItem(`${prefix}${id}`);
+    });
+    recoverySystem.clearRecoveryData(id);
+    checkpointManager.deleteAll(id);
+
+    delete index[id];
+    this.writeIndex(index);
+    return { success: true };
+  }
+
+  setThumbnail(id, dataUrl) {
+    const written = this.storage.setItem(`${THUMBNAIL_PREFIX}${id}`, dataUrl);
+    if (written.success) {
+      const index = this.readIndex();
+      if (index[id]) {
+        index[id] = { ...index[id], hasThumbnail: true };
+        this.writeIndex(index);
+      }
+    }
+    return written;
+  }
+
+  getThumbnail(id) {
+    return this.storage.getItem(`${THUMBNAIL_PREFIX}${id}`);
+  }
+
+  /**
+   * Change a saved assembly in place and refresh its index entry
+   */
+  updateSaved(id, change) {
+    const index = this.readIndex();
+    const data = index[id] && safeLocalStorageGet(`${ASSEMBLY_PREFIX}${id}`);
+    if (!data || data.corrupted) return libraryError('NOT_FOUND', `Project ${id} not found.`);
+
+    const updated = { ...change(data), lastModified: Date.now() };
+    const written = safeStorageSet(`${ASSEMBLY_PREFIX}${id}`, updated);
+    if (!written.success) return { ...written, reason: 'SAVE_FAILED' };
+
+    index[id] = this.describe(updated, index[id]);
+    this.writeIndex(index);
+    return { success: true, project: index[id] };
+  }
+}
+
+// Export singleton instance
+export const projectLibrary = new ProjectLibrary();
@@ -0,0 +1,283 @@
+// src/utils/projectMigrations.js
+// Upgrades older .c3d project and backup files to the current format
+
+import { toSafeColor } from './safeTypes';
+import { PROJECT_FORMAT, CURRENT_FORMAT_VERSION } from '../types/projectSchema';
+
+/**
+ * Format history:
+ *   1.x  Raw Assembly.toSafeData() snapshot: top-level pieces/connections,
+ *        connection points as arrays, connections as piece1Id/point1Id/...
+ *   2.x  { version, assembly } envelope written by ExportImportManager 2.0:
+ *        connection points as Map entries ([[key, point], ...]), connections
+ *        as fromPiece/fromPoint/toPiece/toPoint, no rounds
+ *   3.x  Current: envelope with format marker, connection points as arrays
+ *        and connections in the assemblyModels shape (see projectSchema.js).
+ *        3.1 adds the optional checkpoints list; 3.0 files simply have none
+ *        and need no migration
+ *
+ * Each migration upgrades exactly one major version; migrateProject() runs
+ * them in order from whatever version the file was written in.
+ */
+
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: '2.0.0',
+    description: 'Wrap 1.x assembly snapshot in the 2.x export envelope',
+    migrate: migrate1to2
+  },
+  {
+    from: 2,
+    to: '3.0.0',
+    description: 'Store connection points as arrays and connections by piece/point id',
+    migrate: migrate2to3
+  }
+];
+
+function migrationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function majorOf(version) {
+  return parseInt(String(version).split('.')[0], 10);
+}
+
+/**
+ * Work out which format version a parsed file was written in
+ */
+export function detectFormatVersion(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw migrationError('INVALID_PROJECT', 'Not a Crochet 3D project: expected a JSON object');
+  }
+
+  if (typeof data.version === 'string' && /^\d+(\.\d+)*$/.test(data.version)) {
+    return data.version;
+  }
+
+  // Unversioned files are raw 1.x snapshots
+  if (Array.isArray(data.pieces) || (data.pieces && typeof data.pieces === 'object')) {
+    return '1.0.0';
+  }
+
+  throw migrationError('INVALID_PROJECT', 'Not a Crochet 3D project: no version or pieces found');
+}
+
+/**
+ * Upgrade a parsed file to the current format.
+ * Returns { data, fromVersion, applied: [description, ...] }
+ */
+export function migrateProject(data) {
+  const fromVersion = detectFormatVersion(data);
+  const currentMajor = majorOf(CURRENT_FORMAT_VERSION);
+  let major = majorOf(fromVersion);
+
+  if (major > currentMajor) {
+    throw migrationError('UNSUPPORTED_VERSION',
+      `This file was saved by a newer version of Crochet 3D (format ${fromVersion}). Please update to open it.`);
+  }
+
+  const applied = [];
+  let current = data;
+
+  while (major < currentMajor) {
+    const migration = MIGRATIONS.find(m => m.from === major);
+    if (!migration) {
+      throw migrationError('UNSUPPORTED_VERSION', `No migration available for format ${major}.x files`);
+    }
+    current = migration.migrate(current);
+    applied.push(migration.description);
+    major = majorOf(migration.to);
+  }
+
+  return { data: current, fromVersion, applied };
+}
+
+export function canMigrate(version) {
+  const major = majorOf(version);
+  return major >= 1 && major <= majorOf(CURRENT_FORMAT_VERSION);
+}
+
+// ==================== MIGRATIONS ====================
+
+function migrate1to2(data) {
+  // Some 1.x exports wrapped the snapshot as { version: '1.x', assembly }
+  const snapshot = !data.pieces && data.assembly ? data.assembly : data;
+  const pieces = toList(snapshot.pieces);
+
+  return {
+    version: '2.0.0',
+    timestamp: new Date(snapshot.lastModified || data.timestamp || Date.now()).toISOString(),
+    assembly: {
+      id: snapshot.id,
+      name: snapshot.name,
+      pieces: pieces.map(piece => ({
+        ...piece,
+        connectionPoints: toList(piece.connectionPoints).map(point => [point.id, point])
+      })),
+      connections: toList(snapshot.connections).map(connection => ({
+        fromPiece: connection.piece1Id,
+        fromPoint: connection.point1Id,
+        toPiece: connection.piece2Id,
+        toPoint: connection.point2Id,
+        metadata: { id: connection.id, timestamp: connection.timestamp }
+      })),
+      groups: [],
+      metadata: {
+        locked: snapshot.locked || [],
+        currentTier: snapshot.currentTier
+      }
+    },
+    history: snapshot.history || [],
+    validation: null,
+    suggestions: null
+  };
+}
+
+function migrate2to3(data) {
+  return {
+    format: PROJECT_FORMAT,
+    version: '3.0.0',
+    timestamp: data.timestamp || new Date().toISOString(),
+    assembly: normalizeAssembly(data.assembly || {}),
+    history: data.history || [],
+    validation: data.validation ?? null,
+    suggestions: data.suggestions ?? null,
+    settings: data.settings || {},
+    metadata: data.metadata || {}
+  };
+}
+
+// ==================== NORMALIZATION ====================
+
+/**
+ * Maps, Sets, Map-entry arrays, plain arrays and id-keyed objects as a list
+ */
+function toList(collection) {
+  if (!collection) return [];
+  if (collection instanceof Map) return Array.from(collection.values());
+  if (collection instanceof Set) return Array.from(collection);
+  if (Array.isArray(collection)) return collection;
+  if (typeof collection === 'object') return Object.values(collection);
+  return [];
+}
+
+function plainVector(vector, fallback) {
+  const value = (key) => (Number.isFinite(vector?.[key]) ? vector[key] : fallback);
+  return { x: value('x'), y: value('y'), z: value('z') };
+}
+
+function normalizeConnectionPoints(points, pieceId) {
+  const list = points instanceof Map
+    ? Array.from(points.entries())
+    : toList(points);
+
+  return list
+    .map((entry, index) => {
+      // Map entries ([key, point]) from 2.x files and live Maps
+      const [key, point] = Array.isArray(entry) ? entry : [null, entry];
+      if (!point || typeof point !== 'object') return null;
+      const id = String(point.id ?? (typeof key === 'string' ? key : `${pieceId}-point-${index + 1}`));
+      return {
+        id,
+        name: point.name || id,
+        position: plainVector(point.position, 0),
+        ...(point.normal ? { normal: plainVector(point.normal, 0) } : {}),
+        ...(point.up ? { up: plainVector(point.up, 0) } : {}),
+        compatible: (point.compatible || []).map(String),
+        isOccupied: Boolean(point.isOccupied),
+        connectedTo: point.connectedTo ?? null
+      };
+    })
+    .filter(Boolean);
+}
+
+// Yarn keys ("B", "CC1") to hex colours; anything unreadable is dropped
+function normalizePalette(palette) {
+  if (!palette || typeof palette !== 'object') return {};
+  return Object.fromEntries(Object.entries(palette)
+    .filter(([, color]) => typeof color === 'string' && /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color)));
+}
+
+function normalizeRounds(rounds) {
+  const list = typeof rounds?.toLegacyRounds === 'function' ? rounds.toLegacyRounds() : toList(rounds);
+  return list
+    .filter(round => round && typeof round === 'object')
+    .map(round => (typeof round.toLegacy === 'function' ? round.toLegacy() : round))
+    .map((round, index) => ({
+      ...round,
+      round: Number.isInteger(round.round) && round.round > 0 ? round.round : index + 1,
+      stitches: Number.isInteger(round.stitches) && round.stitches >= 0 ? round.stitches : 0,
+      instruction: typeof round.instruction === 'string' ? round.instruction : ''
+    }));
+}
+
+/**
+ * Bring an assembly (live model or any older file layout) into the current
+ * serialized shape. Used by the 2.x migration and by the JSON exporter.
+ */
+export function normalizeAssembly(assembly) {
+  const pieces = toList(assembly.pieces).map((piece, index) => {
+    const id = String(piece.id ?? `piece-${index + 1}`);
+    const type = piece.type || 'custom';
+    return {
+      id,
+      name: piece.name || type.charAt(0).toUpperCase() + type.slice(1),
+      type,
+      color: toSafeColor(piece.color),
+      position: plainVector(piece.position, 0),
+      rotation: plainVector(piece.rotation, 0),
+      scale: plainVector(piece.scale, 1),
+      rounds: normalizeRounds(piece.rounds),
+      palette: normalizePalette(piece.palette),
+      connectionPoints: normalizeConnectionPoints(piece.connectionPoints, id),
+      isCustom: Boolean(piece.isCustom),
+      metadata: piece.metadata && typeof piece.metadata === 'object' ? { ...piece.metadata } : {}
+    };
+  });
+
+  const piecesById = new Map(pieces.map(piece => [piece.id, piece]));
+
+  // Older connections may name the point instead of giving its id
+  const resolvePoint = (pieceId, pointRef) => {
+    const points = piecesById.get(pieceId)?.connectionPoints || [];
+    const point = points.find(p => p.id === pointRef) || points.find(p => p.name === pointRef);
+    return point ? point.id : String(pointRef ?? '');
+  };
+
+  const connections = toList(assembly.connections).map((connection, index) => {
+    const piece1Id = String(connection.piece1Id ?? connection.fromPiece ?? '');
+    const piece2Id = String(connection.piece2Id ?? connection.toPiece ?? '');
+    return {
+      id: String(connection.id ?? connection.metadata?.id ?? `conn-${index + 1}`),
+      piece1Id,
+      point1Id: resolvePoint(piece1Id, connection.point1Id ?? connection.fromPoint),
+      piece2Id,
+      point2Id: resolvePoint(piece2Id, connection.point2Id ?? connection.toPoint),
+      timestamp: connection.timestamp ?? connection.metadata?.timestamp ?? 0
+    };
+  });
+
+  // Occupancy follows from the connections
+  connections.forEach(connection => {
+    [[connection.piece1Id, connection.point1Id, connection.point2Id],
+     [connection.piece2Id, connection.point2Id, connection.point1Id]].forEach(([pieceId, pointId, otherId]) => {
+      const point = piecesById.get(pieceId)?.connectionPoints.find(p => p.id === pointId);
+      if (point) {
+        point.isOccupied = true;
+        point.connectedTo = otherId;
+      }
+    });
+  });
+
+  return {
+    id: String(assembly.id ?? `assembly-${Date.now()}`),
+    name: assembly.name || 'Untitled',
+    pieces,
+    connections,
+    groups: Array.isArray(assembly.groups) ? assembly.groups : [],
+    metadata: assembly.metadata && typeof assembly.metadata === 'object' ? { ...assembly.metadata } : {}
+  };
+}
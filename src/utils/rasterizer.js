@@ -0,0 +1,612 @@
+// src/utils/rasterizer.js
+// Pure-JS SVG rasterizer and PNG encoder for chart and diagram images
+
+import { parseSVG, parseColor, parseLength, walkSVG, applyMatrix } from './svgParser';
+import { deflate, crc32 } from './deflate';
+import { measureText } from './pdfWriter';
+
+/**
+ * Draws the SVG subset we generate ourselves (see svgParser.js) into an
+ * RGBA buffer with anti-aliased scanline filling, and writes that buffer as
+ * a PNG with its resolution in a pHYs chunk. No canvas or DOM is needed, so
+ * the same code makes thumbnails in the app and in Node scripts.
+ *
+ * SVG user units are CSS pixels, i.e. 96 per inch: rendering at 300 DPI
+ * scales the drawing by 300 / 96.
+ */
+
+export const CSS_DPI = 96;
+
+const SUBSAMPLES = 4; // sub-scanlines per pixel row
+const MAX_PIXELS = 40 * 1000 * 1000;
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// 5x7 bitmap font for ASCII 32-126: five column bytes per glyph, bit 0 at
+// the top. Text is drawn as filled cells, so it follows transforms.
+const FONT_5X7 = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649552250', '0005030000',
+  '001c224100', '0041221c00', '082a1c2a08', '08083e0808', '0050300000', '0808080808', '0060600000', '2010080402',
+  '3e5149453e', '00427f4000', '4261514946', '2141454b31', '1814127f10', '2745454539', '3c4a494930', '0171090503',
+  '3649494936', '064949291e', '0036360000', '0056360000', '0814224100', '1414141414', '0041221408', '0201510906',
+  '324979413e', '7e1111117e', '7f49494936', '3e41414122', '7f4141221c', '7f49494941', '7f09090101', '3e41415132',
+  '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f0204027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '4649494931', '01017f0101', '3f4040403f', '1f2040201f', '7f2018207f',
+  '6314081463', '0304780403', '6151494543', '007f414100', '0204081020', '0041417f00', '0402010204', '4040404040',
+  '0001020400', '2054545478', '7f48444438', '3844444420', '384444487f', '3854545418', '087e090102', '0c5252523e',
+  '7f08040478', '00447d4000', '2040443d00', '007f102844', '00417f4000', '7c04180478', '7c08040478', '3844444438',
+  '7c14141408', '081414187c', '7c08040408', '4854545420', '043f444020', '3c4040207c', '1c2040201c', '3c4030403c',
+  '4428102844', '0c5050503c', '4464544c44', '0008364100', '00007f0000', '0041360800', '0804081008'
+];
+
+// Characters our charts use that the font lacks
+const TEXT_FALLBACKS = {
+  '×': 'x',
+  '–': '-',
+  '—': '-',
+  '−': '-',
+  '·': '.',
+  '•': '*',
+  '°': 'o',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '…': '...'
+};
+
+function rasterError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ==================== CANVAS ====================
+
+/**
+ * RGBA pixel buffer (non-premultiplied, same layout as canvas ImageData)
+ */
+function createCanvas(width, height, background) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const color = parseColor(background);
+  if (color) {
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = color.r;
+      data[i + 1] = color.g;
+      data[i + 2] = color.b;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function blendPixel(canvas, index, color, coverage) {
+  const data = canvas.data;
+  const destAlpha = data[index + 3] / 255;
+  const outAlpha = coverage + destAlpha * (1 - coverage);
+  if (outAlpha <= 0) return;
+  const keep = destAlpha * (1 - coverage);
+  data[index] = (color.r * coverage + data[index] * keep) / outAlpha;
+  data[index + 1] = (color.g * coverage + data[index + 1] * keep) / outAlpha;
+  data[index + 2] = (color.b * coverage + data[index + 2] * keep) / outAlpha;
+  data[index + 3] = outAlpha * 255;
+}
+
+// Add a horizontal span [a, b) of the given weight, with partial end pixels
+function addSpan(coverage, a, b, weight) {
+  const start = Math.max(0, a);
+  const end = Math.min(coverage.length, b);
+  if (end <= start) return;
+  const first = Math.floor(start);
+  const last = Math.floor(end);
+  if (first === last) {
+    coverage[first] += (end - start) * weight;
+    return;
+  }
+  coverage[first] += (first + 1 - start) * weight;
+  for (let x = first + 1; x < last; x++) coverage[x] += weight;
+  if (last < coverage.length) coverage[last] += (end - last) * weight;
+}
+
+/**
+ * Fill closed polygons ([[x, y], ...] in pixels) with anti-aliasing.
+ * Coverage is sampled on SUBSAMPLES scanlines per row and exactly along x.
+ */
+function fillPolygons(canvas, polygons, color, alpha, evenOdd = false) {
+  const edges = [];
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+
+  polygons.forEach(polygon => {
+    for (let i = 0; i < polygon.length; i++) {
+      const [x0, y0] = polygon[i];
+      const [x1, y1] = polygon[(i + 1) % polygon.length];
+      minX = Math.min(minX, x0);
+      maxX = Math.max(maxX, x0);
+      minY = Math.min(minY, y0);
+      maxY = Math.max(maxY, y0);
+      if (y0 === y1) continue;
+      const down = y1 > y0;
+      edges.push({
+        top: down ? y0 : y1,
+        bottom: down ? y1 : y0,
+        x: down ? x0 : x1,
+        slope: (x1 - x0) / (y1 - y0),
+        dir: down ? 1 : -1
+      });
+    }
+  });
+  if (edges.length === 0 || alpha <= 0) return;
+
+  const left = Math.max(0, Math.floor(minX));
+  const right = Math.min(canvas.width, Math.ceil(maxX) + 1);
+  const top = Math.max(0, Math.floor(minY));
+  const bottom = Math.min(canvas.height, Math.ceil(maxY));
+  if (right <= left || bottom <= top) return;
+
+  edges.sort((a, b) => a.top - b.top);
+  const coverage = new Float32Array(right - left);
+  const weight = 1 / SUBSAMPLES;
+  let active = [];
+  let next = 0;
+
+  for (let py = top; py < bottom; py++) {
+    coverage.fill(0);
+    let touched = false;
+
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = py + (s + 0.5) / SUBSAMPLES;
+      while (next < edges.length && edges[next].top <= sy) active.push(edges[next++]);
+      active = active.filter(edge => edge.bottom > sy);
+
+      const crossings = active
+        .filter(edge => edge.top <= sy)
+        .map(edge => ({ x: edge.x + (sy - edge.top) * edge.slope - left, dir: edge.dir }))
+        .sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += crossings[i].dir;
+        const inside = evenOdd ? (winding & 1) === 1 : winding !== 0;
+        if (inside) {
+          addSpan(coverage, crossings[i].x, crossings[i + 1].x, weight);
+          touched = true;
+        }
+      }
+    }
+
+    if (!touched) continue;
+    const rowStart = (py * canvas.width + left) * 4;
+    for (let x = 0; x < coverage.length; x++) {
+      if (coverage[x] > 0) blendPixel(canvas, rowStart + x * 4, color, Math.min(1, coverage[x]) * alpha);
+    }
+  }
+}
+
+// ==================== GEOMETRY ====================
+
+/**
+ * Path segments -> device-space polylines [{ points, closed }]
+ */
+function flattenSegments(segments, matrix) {
+  const subpaths = [];
+  let current = null;
+  let cursor = [0, 0];
+  let start = [0, 0];
+
+  const moveTo = point => {
+    current = { points: [point], closed: false };
+    subpaths.push(current);
+  };
+
+  segments.forEach(segment => {
+    if (segment.type === 'M') {
+      cursor = start = applyMatrix(matrix, segment.x, segment.y);
+      moveTo(cursor);
+    } else if (segment.type === 'L') {
+      if (!current) moveTo(cursor);
+      cursor = applyMatrix(matrix, segment.x, segment.y);
+      current.points.push(cursor);
+    } else if (segment.type === 'C') {
+      if (!current) moveTo(cursor);
+      const p1 = applyMatrix(matrix, segment.x1, segment.y1);
+      const p2 = applyMatrix(matrix, segment.x2, segment.y2);
+      const p3 = applyMatrix(matrix, segment.x, segment.y);
+      const length = distance(cursor, p1) + distance(p1, p2) + distance(p2, p3);
+      const steps = Math.max(2, Math.min(64, Math.ceil(Math.sqrt(length) * 2)));
+      const p0 = cursor;
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const u = 1 - t;
+        current.points.push([
+          u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+          u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1]
+        ]);
+      }
+      cursor = p3;
+    } else if (segment.type === 'Z' && current) {
+      current.closed = true;
+      cursor = start;
+      current = null;
+    }
+  });
+
+  return subpaths;
+}
+
+function distance(a, b) {
+  return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+function signedArea(polygon) {
+  let area = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const [x0, y0] = polygon[i];
+    const [x1, y1] = polygon[(i + 1) % polygon.length];
+    area += x0 * y1 - x1 * y0;
+  }
+  return area / 2;
+}
+
+// Stroke pieces all wind the same way so overlaps stay filled under nonzero
+function clockwise(polygon) {
+  return signedArea(polygon) < 0 ? polygon.reverse() : polygon;
+}
+
+function disc(center, radius) {
+  const sides = Math.max(8, Math.min(32, Math.ceil(radius * 4)));
+  return Array.from({ length: sides }, (_, i) => {
+    const angle = (i / sides) * 2 * Math.PI;
+    return [center[0] + Math.cos(angle) * radius, center[1] + Math.sin(angle) * radius];
+  });
+}
+
+/**
+ * Split polylines by a dash pattern given in device pixels
+ */
+function dashSubpaths(subpaths, pattern) {
+  const dashes = pattern.length % 2 === 1 ? [...pattern, ...pattern] : pattern;
+  if (dashes.length === 0 || dashes.some(d => d < 0) || dashes.every(d => d === 0)) return subpaths;
+
+  const result = [];
+  subpaths.forEach(({ points, closed }) => {
+    const line = closed ? [...points, points[0]] : points;
+    let index = 0;
+    let remaining = dashes[0];
+    let piece = [line[0]];
+
+    for (let i = 1; i < line.length; i++) {
+      let from = line[i - 1];
+      const to = line[i];
+      let length = distance(from, to);
+
+      while (length > remaining) {
+        const t = remaining / length;
+        const split = [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t];
+        if (index % 2 === 0) {
+          piece.push(split);
+          result.push({ points: piece, closed: false });
+        }
+        piece = [split];
+        from = split;
+        length -= remaining;
+        index = (index + 1) % dashes.length;
+        remaining = dashes[index];
+      }
+
+      remaining -= length;
+      if (index % 2 === 0) piece.push(to);
+    }
+
+    if (index % 2 === 0 && piece.length > 1) result.push({ points: piece, closed: false });
+  });
+
+  return result;
+}
+
+/**
+ * Outline polylines as polygons: one quad per segment, round joins, and
+ * butt, round or square caps
+ */
+function strokePolygons(subpaths, width, cap) {
+  const half = width / 2;
+  const polygons = [];
+
+  subpaths.forEach(({ points, closed }) => {
+    const line = points.filter((p, i) => i === 0 || distance(p, points[i - 1]) > 1e-6);
+    if (closed && line.length > 2 && distance(line[0], line[line.length - 1]) > 1e-6) line.push(line[0]);
+
+    if (line.length === 1) {
+      if (cap === 'round') polygons.push(clockwise(disc(line[0], half)));
+      if (cap === 'square') {
+        const [x, y] = line[0];
+        polygons.push(clockwise([[x - half, y - half], [x + half, y - half], [x + half, y + half], [x - half, y + half]]));
+      }
+      return;
+    }
+
+    for (let i = 1; i < line.length; i++) {
+      let a = line[i - 1];
+      let b = line[i];
+      const length = distance(a, b);
+      const dx = (b[0] - a[0]) / length;
+      const dy = (b[1] - a[1]) / length;
+
+      if (cap === 'square' && !closed) {
+        if (i === 1) a = [a[0] - dx * half, a[1] - dy * half];
+        if (i === line.length - 1) b = [b[0] + dx * half, b[1] + dy * half];
+      }
+
+      const nx = -dy * half;
+      const ny = dx * half;
+      polygons.push(clockwise([[a[0] + nx, a[1] + ny], [b[0] + nx, b[1] + ny], [b[0] - nx, b[1] - ny], [a[0] - nx, a[1] - ny]]));
+    }
+
+    // Joins only show on strokes wider than a pixel or so
+    if (width > 1.5) {
+      const joints = closed ? line.slice(0, -1) : line.slice(1, -1);
+      joints.forEach(point => polygons.push(clockwise(disc(point, half))));
+    }
+    if (cap === 'round' && !closed) {
+      polygons.push(clockwise(disc(line[0], half)));
+      polygons.push(clockwise(disc(line[line.length - 1], half)));
+    }
+  });
+
+  return polygons;
+}
+
+// ==================== TEXT ====================
+
+function glyphFor(char) {
+  const code = char.charCodeAt(0);
+  const hex = FONT_5X7[(code >= 32 && code <= 126 ? code : 63) - 32];
+  return Array.from({ length: 5 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+}
+
+function toFontText(text) {
+  return Array.from(text).map(char => TEXT_FALLBACKS[char] ?? char).join('');
+}
+
+/**
+ * Text as polygons: one cell per lit font pixel, transformed like any shape.
+ * A cell is a tenth of the font size, so capitals are 0.7em tall; strings
+ * are narrowed to their Helvetica width so layouts match the PDF export.
+ */
+function textPolygons({ node, text, style, matrix }) {
+  const a = node.attributes;
+  const chars = toFontText(text);
+  const bold = style.fontWeight === 'bold' || Number(style.fontWeight) >= 600;
+  const unit = style.fontSize / 10;
+  const natural = chars.length * unit * 6 - unit;
+  const width = Math.min(natural, measureText(text, style.fontSize, bold ? 'bold' : 'regular'));
+  const squeeze = natural > 0 ? width / natural : 1;
+  const advance = unit * 6 * squeeze;
+  const cellWidth = unit * squeeze * (bold ? 1.5 : 1);
+
+  let x = parseLength(a.x);
+  let baseline = parseLength(a.y);
+  if (style.textAnchor === 'middle') x -= width / 2;
+  if (style.textAnchor === 'end') x -= width;
+  if (a['dominant-baseline'] === 'middle' || a['dominant-baseline'] === 'central') {
+    baseline += style.fontSize * 0.35;
+  }
+
+  const polygons = [];
+  Array.from(chars).forEach((char, index) => {
+    const left = x + index * advance;
+    glyphFor(char).forEach((column, col) => {
+      for (let row = 0; row < 7; row++) {
+        if (!(column & (1 << row))) continue;
+        const cx = left + col * unit * squeeze;
+        const cy = baseline - (7 - row) * unit;
+        polygons.push(clockwise([
+          applyMatrix(matrix, cx, cy),
+          applyMatrix(matrix, cx + cellWidth, cy),
+          applyMatrix(matrix, cx + cellWidth, cy + unit),
+          applyMatrix(matrix, cx, cy + unit)
+        ]));
+      }
+    });
+  });
+  return polygons;
+}
+
+// ==================== RASTERIZING ====================
+
+function matrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+function drawShape(canvas, { node, segments, style, matrix }) {
+  const a = node.attributes;
+  const subpaths = flattenSegments(segments, matrix);
+
+  // A line has no interior, whatever fill it inherits
+  const fill = node.tag === 'line' ? null : parseColor(style.fill);
+  if (fill) {
+    const polygons = subpaths.filter(path => path.points.length > 2).map(path => path.points);
+    fillPolygons(canvas, polygons, fill, style.opacity * (style.fillOpacity ?? 1), a['fill-rule'] === 'evenodd');
+  }
+
+  const stroke = parseColor(style.stroke);
+  if (stroke && style.strokeWidth > 0) {
+    const scale = matrixScale(matrix);
+    const dashArray = a['stroke-dasharray'];
+    const dashed = dashArray && dashArray !== 'none'
+      ? dashSubpaths(subpaths, dashArray.split(/[\s,]+/).map(Number).filter(Number.isFinite).map(d => d * scale))
+      : subpaths;
+    const strokeOpacity = a['stroke-opacity'] !== undefined ? parseLength(a['stroke-opacity'], 1) : 1;
+    fillPolygons(canvas, strokePolygons(dashed, style.strokeWidth * scale, a['stroke-linecap'] || 'butt'),
+      stroke, style.opacity * strokeOpacity);
+  }
+}
+
+function drawText(canvas, item) {
+  const color = parseColor(item.style.fill);
+  if (color) fillPolygons(canvas, textPolygons(item), color, item.style.opacity);
+}
+
+/**
+ * Rasterize an SVG string (or parseSVG() result).
+ * Options: dpi (default 96, i.e. one pixel per SVG unit), width/height to
+ * fit the image inside a box instead, background (CSS colour or null for
+ * transparent). Returns { width, height, dpi, data } with RGBA data.
+ */
+export function rasterizeSVG(svg, options = {}) {
+  const parsed = typeof svg === 'string' ? parseSVG(svg) : svg;
+  const dpi = options.dpi || CSS_DPI;
+  let scale = dpi / CSS_DPI;
+  if (options.width || options.height) {
+    scale = Math.min(
+      options.width ? options.width / parsed.width : Infinity,
+      options.height ? options.height / parsed.height : Infinity
+    );
+  }
+
+  const width = Math.max(1, Math.round(parsed.width * scale));
+  const height = Math.max(1, Math.round(parsed.height * scale));
+  if (width * height > MAX_PIXELS) {
+    throw rasterError('IMAGE_TOO_LARGE', `A ${width}x${height} image is too large to rasterize; lower the DPI`);
+  }
+
+  const canvas = createCanvas(width, height, options.background === undefined ? '#ffffff' : options.background);
+  walkSVG(parsed, item => {
+    if (item.text !== undefined) {
+      drawText(canvas, item);
+    } else {
+      drawShape(canvas, item);
+    }
+  }, [width / parsed.width, 0, 0, height / parsed.height, 0, 0]);
+
+  return { width, height, dpi: options.width || options.height ? Math.round(CSS_DPI * scale) : dpi, data: canvas.data };
+}
+
+// ==================== PNG ====================
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Filter each scanline with whichever of the five PNG filters gives the
+ * smallest sum of absolute differences (the usual libpng heuristic)
+ */
+function filterScanlines(pixels, width, height, channels) {
+  const stride = width * channels;
+  const output = new Uint8Array(height * (stride + 1));
+  const candidate = new Uint8Array(stride);
+  let best = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    const previous = y > 0 ? row - stride : -1;
+    let bestType = 0;
+    let bestScore = Infinity;
+
+    for (let type = 0; type < 5; type++) {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const value = pixels[row + i];
+        const left = i >= channels ? pixels[row + i - channels] : 0;
+        const up = previous >= 0 ? pixels[previous + i] : 0;
+        const upLeft = previous >= 0 && i >= channels ? pixels[previous + i - channels] : 0;
+        let predicted = 0;
+        if (type === 1) predicted = left;
+        else if (type === 2) predicted = up;
+        else if (type === 3) predicted = (left + up) >> 1;
+        else if (type === 4) predicted = paeth(left, up, upLeft);
+        const filtered = (value - predicted) & 255;
+        candidate[i] = filtered;
+        score += filtered < 128 ? filtered : 256 - filtered;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestType = type;
+        best = candidate.slice();
+      }
+    }
+
+    const out = y * (stride + 1);
+    output[out] = bestType;
+    output.set(best, out + 1);
+  }
+
+  return output;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)) >>> 0);
+  return chunk;
+}
+
+/**
+ * Encode { width, height, data } RGBA pixels as PNG bytes. Fully opaque
+ * images are written as RGB. The DPI goes in the pHYs chunk.
+ */
+export function encodePNG(image, options = {}) {
+  const { width, height, data } = image;
+  const dpi = options.dpi || image.dpi || CSS_DPI;
+
+  let opaque = true;
+  for (let i = 3; i < data.length && opaque; i += 4) opaque = data[i] === 255;
+
+  const channels = opaque ? 3 : 4;
+  let pixels = data;
+  if (opaque) {
+    pixels = new Uint8Array(width * height * 3);
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+      pixels[j] = data[i];
+      pixels[j + 1] = data[i + 1];
+      pixels[j + 2] = data[i + 2];
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = opaque ? 2 : 6; // truecolour, with alpha when needed
+
+  const physical = new Uint8Array(9);
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  new DataView(physical.buffer).setUint32(0, pixelsPerMetre);
+  new DataView(physical.buffer).setUint32(4, pixelsPerMetre);
+  physical[8] = 1; // unit: metre
+
+  const chunks = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', header),
+    pngChunk('pHYs', physical),
+    pngChunk('IDAT', deflate(filterScanlines(pixels, width, height, channels), options.level ?? 6)),
+    pngChunk('IEND', new Uint8Array(0))
+  ];
+
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * Rasterize and encode in one step. Returns { bytes, width, height, dpi }.
+ */
+export function svgToPNG(svg, options = {}) {
+  const image = rasterizeSVG(svg, options);
+  return { bytes: encodePNG(image, options), width: image.width, height: image.height, dpi: image.dpi };
+}
@@ -6,13 +6,18 @@
  * Part of v7.0 Prevention Layer (Phase 0)
  */
 
-import { safeLocalStorageGet, safeLocalStorageSet } from './safeSerialize';
+import { safeLocalStorageGet, toStorableData, cleanObject } from './safeSerialize';
+import { storage, BACKUP_PREFIX, byteSize } from './storageManager';
+import { diffJSON, applyDelta } from './jsonDelta';
 import { validateAssembly } from './assemblyValidator';
+import { replayHistory } from './historyReplay';
+import { findUncleanJournal, replayJournal, discardJournal, isEmptyJournal, journaledAssemblyIds } from './saveJournal';
 
 /**
  * Recovery strategies in order of preference
  */
 const RECOVERY_STRATEGIES = {
+  JOURNAL_REPLAY: 'journal_replay',
   AUTO_BACKUP: 'auto_backup',
   HISTORY_REBUILD: 'history_rebuild',
   PARTIAL_RESTORE: 'partial_restore',
@@ -21,40 +26,61 @@ const RECOVERY_STRATEGIES = {
 
 /**
  * Auto-backup manager
+ * The newest backup of an assembly is a full snapshot; each older one is
+ * stored as a delta that turns the next newer state back into it, with a
+ * full snapshot kept every `snapshotEvery` backups. Restoring walks from
+ * the nearest newer snapshot back through the deltas. Since deltas only
+ * point at newer backups, removing the oldest backups (pruning, or the
+ * storage manager making room) never breaks the ones left.
  */
 class BackupManager {
-  constructor(maxBackups = 5) {
+  constructor(maxBackups = 200, { snapshotEvery = 20 } = {}) {
     this.maxBackups = maxBackups;
-    this.backupPrefix = 'backup_';
+    this.snapshotEvery = snapshotEvery;
+    this.backupPrefix = BACKUP_PREFIX;
+    this.lastError = null;
   }
 
   /**
    * Create a backup of assembly data
    */
-  createBackup(assemblyId, data) {
+  createBackup(assemblyId, data, reason = 'auto_backup') {
     try {
-      const timestamp = Date.now();
+      const previous = this.backupKeys(assemblyId)[0];
+      // Keys must be unique and newer than the last backup
+      let timestamp = Math.max(Date.now(), previous ? previous.timestamp + 1 : 0);
+      while (storage.getItem(`${this.backupPrefix}${assemblyId}_${timestamp}`) !== null) timestamp++;
       const backupKey = `${this.backupPrefix}${assemblyId}_${timestamp}`;
-      
-      // Store backup
-      const backupData = {
+
+      const state = toStorableData(data, backupKey);
+      if (!state) {
+        this.lastError = { code: 'INVALID_DATA', message: 'This data cannot be backed up.' };
+        return null;
+      }
+
+      const compacted = previous ? this.compactBackup(previous.key, backupKey, state) : null;
+      const record = {
         originalId: assemblyId,
         timestamp,
-        data,
         version: '7.0',
-        reason: 'auto_backup'
+        reason,
+        kind: 'snapshot',
+        deltasBehind: compacted ? compacted.deltasBehind : 0,
+        state
       };
-      
-      const success = safeLocalStorageSet(backupKey, backupData);
-      
-      if (success) {
-        // Manage backup count
-        this.pruneOldBackups(assemblyId);
-        console.log(`Backup created: ${backupKey}`);
-        return backupKey;
-      }
-      
-      return null;
+
+      // Store backup; when storage is full the oldest backups are evicted
+      const result = storage.setItem(backupKey, JSON.stringify(record));
+      this.lastError = result.success ? null : result;
+      if (!result.success) return null;
+
+      // The previous snapshot only needs its differences from this one
+      if (compacted) storage.setItem(previous.key, compacted.text);
+
+      // Manage backup count
+      this.pruneOldBackups(assemblyId);
+      console.log(`Backup created: ${backupKey}`);
+      return backupKey;
     } catch (error) {
       console.error('Backup creation failed:', error);
       return null;
@@ -62,26 +88,83 @@ class BackupManager {
   }
 
   /**
-   * Get all backups for an assembly
+   * The previous snapshot rewritten as a delta from the next state, or
+   * null when it should stay a full snapshot
+   */
+  compactBackup(previousKey, nextKey, nextState) {
+    const previous = this.readRecord(previousKey);
+    if (!previous || previous.kind !== 'snapshot') return null;
+
+    const deltasBehind = (previous.deltasBehind || 0) + 1;
+    if (deltasBehind >= this.snapshotEvery) return null;
+
+    const text = JSON.stringify({
+      originalId: previous.originalId,
+      timestamp: previous.timestamp,
+      version: previous.version,
+      reason: previous.reason,
+      kind: 'delta',
+      next: nextKey,
+      delta: diffJSON(nextState, previous.state)
+    });
+    if (text.length >= storage.getItem(previousKey).length) return null;
+
+    return { text, deltasBehind };
+  }
+
+  /**
+   * Stored record for a key, with backups from before deltas read as
+   * snapshots
+   */
+  readRecord(key) {
+    try {
+      const text = storage.getItem(key);
+      if (!text) return null;
+      const record = JSON.parse(text);
+      if (!record || typeof record !== 'object') return null;
+      if (!record.kind && record.data) {
+        return { ...record, kind: 'snapshot', state: record.data };
+      }
+      return record;
+    } catch (error) {
+      console.error(`Backup ${key} is damaged:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Backup keys for an assembly with the timestamps in their names,
+   * newest first
+   */
+  backupKeys(assemblyId) {
+    const prefix = `${this.backupPrefix}${assemblyId}_`;
+    return storage.keys(prefix)
+      .map(key => ({ key, timestamp: Number(key.slice(prefix.length)) }))
+      .filter(backup => Number.isFinite(backup.timestamp))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Get all backups for an assembly, newest first. Entries describe the
+   * backup; restoreFromBackup(key) rebuilds its data.
    */
   getBackups(assemblyId) {
     const backups = [];
     const prefix = `${this.backupPrefix}${assemblyId}_`;
     
     try {
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(prefix)) {
-          const backup = safeLocalStorageGet(key);
-          if (backup) {
-            backups.push({
-              key,
-              timestamp: backup.timestamp,
-              data: backup.data
-            });
-          }
+      storage.keys(prefix).forEach(key => {
+        const backup = this.readRecord(key);
+        if (backup) {
+          backups.push({
+            key,
+            timestamp: backup.timestamp,
+            reason: backup.reason,
+            kind: backup.kind,
+            size: byteSize(key, storage.getItem(key))
+          });
         }
-      }
+      });
       
       // Sort by timestamp (newest first)
       backups.sort((a, b) => b.timestamp - a.timestamp);
@@ -97,30 +180,54 @@ class BackupManager {
    */
   restoreFromBackup(backupKey) {
     try {
-      const backup = safeLocalStorageGet(backupKey);
-      if (backup && backup.data) {
-        console.log(`Restoring from backup: ${backupKey}`);
-        return backup.data;
+      // Follow deltas forward to the nearest snapshot
+      const chain = [];
+      const seen = new Set();
+      let record = this.readRecord(backupKey);
+      while (record && record.kind === 'delta' && !seen.has(record.next)) {
+        chain.push(record);
+        seen.add(record.next);
+        record = this.readRecord(record.next);
       }
-      return null;
+      if (!record || record.kind !== 'snapshot') {
+        if (chain.length > 0) console.warn(`Backup ${backupKey} cannot be rebuilt: a newer backup it depends on is missing`);
+        return null;
+      }
+
+      // Then apply them back from the snapshot
+      let state = record.state;
+      for (let i = chain.length - 1; i >= 0; i--) {
+        state = applyDelta(state, chain[i].delta);
+      }
+      console.log(`Restoring from backup: ${backupKey}`);
+      return cleanObject(state);
     } catch (error) {
       console.error('Restore from backup failed:', error);
       return null;
     }
   }
 
+  /**
+   * Data as it was at a point in time: the newest backup made at or
+   * before timestamp
+   */
+  restoreAt(assemblyId, timestamp) {
+    const backup = this.getBackups(assemblyId).find(b => b.timestamp <= timestamp);
+    return backup ? { key: backup.key, timestamp: backup.timestamp, data: this.restoreFromBackup(backup.key) } : null;
+  }
+
   /**
    * Remove old backups keeping only the most recent ones
    */
   pruneOldBackups(assemblyId) {
     try {
-      const backups = this.getBackups(assemblyId);
+      const backups = this.backupKeys(assemblyId);
       
       if (backups.length > this.maxBackups) {
-        // Remove oldest backups
+        // Remove oldest backups; nothing newer depends on them
         const toRemove = backups.slice(this.maxBackups);
         toRemove.forEach(backup => {
-          localStorage.removeItem(backup.key);
+          storage.removeItem(backup.key);
           console.log(`Pruned old backup: ${backup.key}`);
         });
       }
@@ -133,9 +240,9 @@ class BackupManager {
    * Clear all backups for an assembly
    */
   clearBackups(assemblyId) {
-    const backups = this.getBackups(assemblyId);
+    const backups = this.backupKeys(assemblyId);
     backups.forEach(backup => {
-      localStorage.removeItem(backup.key);
+      storage.removeItem(backup.key);
     });
     console.log(`Cleared ${backups.length} backups for assembly ${assemblyId}`);
   }
@@ -159,6 +266,20 @@ export class RecoverySystem {
     const recoveryAttempts = [];
     let recovered = null;
 
+    // Strategy 0: Replay the journal of a session that closed uncleanly.
+    // Only on request, since it is newer than the saved project.
+    if (options.replayJournal) {
+      recovered = this.tryJournalReplay(assemblyId);
+      if (recovered) {
+        recoveryAttempts.push({
+          strategy: RECOVERY_STRATEGIES.JOURNAL_REPLAY,
+          success: true,
+          data: recovered
+        });
+        return this.finalizeRecovery(recovered, recoveryAttempts);
+      }
+    }
+
     // Strategy 1: Try loading the original
     if (!options.skipOriginal) {
       recovered = this.tryLoadOriginal(assemblyId);
@@ -225,6 +346,65 @@ export class RecoverySystem {
     };
   }
 
+  /**
+   * Changes journaled after the last save by a session that did not close
+   * cleanly (a crash, a killed tab), or null when there are none
+   */
+  checkJournal(assemblyId) {
+    try {
+      const journal = findUncleanJournal(assemblyId);
+      if (!journal) return null;
+      return {
+        assemblyId,
+        name: journal.snapshot.state?.name || null,
+        unsavedChanges: journal.unsavedChanges,
+        startedAt: journal.startedAt,
+        lastChange: journal.lastChange
+      };
+    } catch (error) {
+      console.error('Journal check failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * checkJournal() for every journaled assembly, newest change first, e.g.
+   * on page load to offer what a crash left. Journals with nothing to
+   * offer, closed cleanly or with every change saved, are removed on the
+   * way so they do not pile up.
+   */
+  checkJournals() {
+    const offers = [];
+    journaledAssemblyIds().forEach(assemblyId => {
+      const offer = this.checkJournal(assemblyId);
+      if (offer) {
+        offers.push(offer);
+      } else if (isEmptyJournal(assemblyId)) {
+        discardJournal(assemblyId);
+      }
+    });
+    return offers.sort((a, b) => (b.lastChange || 0) - (a.lastChange || 0));
+  }
+
+  /**
+   * Try rebuilding from the journal snapshot and the entries after it
+   */
+  tryJournalReplay(assemblyId) {
+    try {
+      const journal = findUncleanJournal(assemblyId);
+      if (!journal) return null;
+
+      const replayed = replayJournal(journal);
+      if (replayed && this.validateData(replayed)) {
+        console.log(`Replayed journal: ${replayed.replay.applied} changes applied, ${replayed.replay.skipped.length} skipped`);
+        return { ...replayed, id: assemblyId };
+      }
+    } catch (error) {
+      console.error('Journal replay failed:', error);
+    }
+    return null;
+  }
+
   /**
    * Try loading the original assembly
    */
@@ -267,23 +447,22 @@ export class RecoverySystem {
   tryHistoryRebuild(assemblyId) {
     try {
       // Look for any data with history
-      const keys = [];
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.includes(assemblyId)) {
-          keys.push(key);
-        }
-      }
-
-      for (const key of keys) {
-        const data = safeLocalStorageGet(key);
-        if (data && data.history && data.history.length > 0) {
-          // Rebuild from history
-          const rebuilt = this.rebuildFromHistory(data.history, assemblyId);
-          if (rebuilt && this.validateData(rebuilt)) {
-            console.log('Rebuilt from history');
-            return rebuilt;
-          }
+      const keys = storage.keys().filter(key => key.includes(assemblyId));
+
+      // The longest history holds the most work
+      const candidates = keys
+        .map(key => safeLocalStorageGet(key))
+        .filter(data => data && Array.isArray(data.history) && data.history.length > 0)
+        .sort((a, b) => b.history.length - a.history.length);
+
+      for (const data of candidates) {
+        const rebuilt = this.rebuildFromHistory(data.history, assemblyId, {
+          name: data.name,
+          knownPieces: data.pieces
+        });
+        if (rebuilt && this.validateData(rebuilt)) {
+          console.log(`Rebuilt from history: ${rebuilt.replay.applied} actions applied, ${rebuilt.replay.skipped.length} skipped`);
+          return rebuilt;
         }
       }
     } catch (error) {
@@ -293,56 +472,31 @@ export class RecoverySystem {
   }
 
   /**
-   * Rebuild assembly from history actions
+   * Rebuild assembly from history actions by replaying them in order.
+   * options.knownPieces supplies piece data for entries that only name a
+   * piece; options.until stops at a point in time. Returns null when no
+   * action could be applied.
    */
-  rebuildFromHistory(history, assemblyId) {
+  rebuildFromHistory(history, assemblyId, options = {}) {
     try {
-      const rebuilt = {
+      const replay = replayHistory(history, options);
+      if (replay.applied === 0) return null;
+
+      return {
         id: assemblyId,
-        name: 'Recovered Assembly',
-        pieces: [],
-        connections: [],
-        history: history,
-        locked: [],
+        name: options.name || 'Recovered Assembly',
+        pieces: replay.pieces,
+        connections: replay.connections,
+        history: [...history],
+        locked: replay.locked,
         recovered: true,
-        recoveryTimestamp: Date.now()
-      };
-
-      // Replay history to rebuild state
-      history.forEach(action => {
-        switch (action.action) {
-          case 'add_piece':
-            if (action.pieceId && !rebuilt.pieces.find(p => p.id === action.pieceId)) {
-              rebuilt.pieces.push({
-                id: action.pieceId,
-                name: action.pieceName || 'Recovered Piece',
-                recovered: true
-              });
-            }
-            break;
-          
-          case 'connect':
-            if (action.data) {
-              rebuilt.connections.push({
-                piece1Id: action.data.piece1Id,
-                piece2Id: action.data.piece2Id,
-                point1Id: action.data.point1Id,
-                point2Id: action.data.point2Id,
-                recovered: true
-              });
-            }
-            break;
-          
-          case 'remove_piece':
-            rebuilt.pieces = rebuilt.pieces.filter(p => p.id !== action.pieceId);
-            rebuilt.connections = rebuilt.connections.filter(
-              c => c.piece1Id !== action.pieceId && c.piece2Id !== action.pieceId
-            );
-            break;
+        recoveryTimestamp: Date.now(),
+        replay: {
+          applied: replay.applied,
+          skipped: replay.skipped,
+          placeholders: replay.placeholders
         }
-      });
-
-      return rebuilt;
+      };
     } catch (error) {
       console.error('History rebuild process failed:', error);
       return null;
@@ -381,10 +535,11 @@ export class RecoverySystem {
         }
       }
 
-      // Try to salvage connections
+      // Try to salvage connections between salvaged pieces
       if (Array.isArray(data.connections)) {
+        const pieceIds = new Set(partial.pieces.map(p => p.id));
         partial.connections = data.connections.filter(c => 
-          c && c.piece1Id && c.piece2Id
+          c && pieceIds.has(c.piece1Id) && pieceIds.has(c.piece2Id)
         );
       }
 
@@ -455,11 +610,12 @@ export class RecoverySystem {
       recovered: true,
       timestamp: Date.now(),
       attempts: attempts.length,
-      finalStrategy: attempts[attempts.length - 1].strategy
+      finalStrategy: attempts[attempts.length - 1].strategy,
+      skippedActions: data.replay ? data.replay.skipped : []
     };
 
     // Create new backup of recovered data
-    this.backupManager.createBackup(data.id, data);
+    this.backupManager.createBackup(data.id, data, 'recovered');
 
     // Log recovery
     this.logRecovery(data.id, 'SUCCESS', attempts);
@@ -497,7 +653,7 @@ export class RecoverySystem {
    * Create backup before risky operation
    */
   createSafetyBackup(assemblyId, data, reason = 'safety') {
-    const backupKey = this.backupManager.createBackup(assemblyId, data);
+    const backupKey = this.backupManager.createBackup(assemblyId, data, reason);
     
     if (backupKey) {
       console.log(`Safety backup created: ${reason}`);
@@ -508,7 +664,8 @@ export class RecoverySystem {
       };
     }
 
-    return { success: false };
+    const error = this.backupManager.lastError;
+    return { success: false, code: error?.code, message: error?.message };
   }
 
   /**
@@ -530,6 +687,7 @@ export class RecoverySystem {
    */
   clearRecoveryData(assemblyId) {
     this.backupManager.clearBackups(assemblyId);
+    discardJournal(assemblyId);
     this.recoveryLog = this.recoveryLog.filter(l => l.assemblyId !== assemblyId);
     console.log(`Cleared all recovery data for ${assemblyId}`);
   }
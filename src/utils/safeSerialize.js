@@ -1,5 +1,6 @@
 // src/utils/safeSerialize.js
 import { containsThreeJS, stripThreeJS, sanitizeForStorage } from './sanitizer';
+import { storage } from './storageManager';
 
 /**
  * Whitelist of allowed keys that can be saved
@@ -13,7 +14,7 @@ const ALLOWED_KEYS = [
   'x', 'y', 'z',
   
   // Connection data
-  'position', 'normal', 'compatible', 'isOccupied',
+  'position', 'normal', 'up', 'compatible', 'isOccupied',
   'connectedTo', 'pieceId', 'connectionId',
   
   // Metadata
@@ -27,6 +28,10 @@ const ALLOWED_KEYS = [
   'pieces', 'connections', 'history', 'locked',
   'action', 'data', 'timestamp',
   
+  // History entries (needed to replay history during recovery)
+  'piece', 'changes', 'newPosition', 'rotation', 'scale', 'palette', 'isCustom',
+  'piece1Id', 'point1Id', 'piece2Id', 'point2Id',
+  
   // Tier system
   'currentTier', 'extraPiecesUsed', 'tierLimits',
   
@@ -105,44 +110,63 @@ export function safeParse(jsonString) {
 }
 
 /**
- * Safe localStorage setter - UPDATED VERSION WITH SANITIZER
+ * Data as it would be stored: sanitized, then cleaned with the whitelist.
+ * Returns null when the sanitizer rejects it.
  */
-export function safeLocalStorageSet(key, data) {
+export function toStorableData(data, key) {
   // First run through sanitizer
   const sanitized = sanitizeForStorage(data, key);
   if (!sanitized) {
     console.error(`Data for ${key} failed sanitization`);
-    return false;
+    return null;
   }
   
   // Then clean with whitelist
-  const cleaned = cleanObject(sanitized);
+  return cleanObject(sanitized);
+}
+
+/**
+ * Safe storage setter. Writes through the storage manager (IndexedDB,
+ * localStorage or memory) and returns its result: { success, evicted } or
+ * { success: false, code, message } with a message to show the user.
+ */
+export function safeStorageSet(key, data) {
+  const cleaned = toStorableData(data, key);
+  if (!cleaned) {
+    return { success: false, key, code: 'INVALID_DATA', message: 'This data cannot be saved.' };
+  }
+  
   const stringified = safeStringify(cleaned);
+  if (!stringified) {
+    return { success: false, key, code: 'INVALID_DATA', message: 'This data cannot be saved.' };
+  }
   
-  if (stringified) {
-    try {
-      localStorage.setItem(key, stringified);
-      console.log(`Saved to localStorage[${key}]:`, cleaned);
-      return true;
-    } catch (error) {
-      console.error('localStorage.setItem failed:', error);
-      return false;
-    }
+  const result = storage.setItem(key, stringified);
+  if (result.success) {
+    console.log(`Saved to ${storage.backendName}[${key}]:`, cleaned);
   }
-  return false;
+  return result;
+}
+
+/**
+ * Safe localStorage setter - UPDATED VERSION WITH SANITIZER
+ * Kept for callers that only need to know whether the write worked
+ */
+export function safeLocalStorageSet(key, data) {
+  return safeStorageSet(key, data).success;
 }
 
 /**
- * Safe localStorage getter
+ * Safe localStorage getter (reads through the storage manager)
  */
 export function safeLocalStorageGet(key) {
   try {
-    const item = localStorage.getItem(key);
+    const item = storage.getItem(key);
     if (item) {
       return safeParse(item);
     }
   } catch (error) {
-    console.error('localStorage.getItem failed:', error);
+    console.error('Storage read failed:', error);
   }
   return null;
 }
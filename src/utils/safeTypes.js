@@ -86,7 +86,7 @@ export function isSafeObject(obj) {
  * Create safe piece data (no Three.js references)
  */
 export function createSafePieceData(piece) {
-  return {
+  const data = {
     id: piece.id,
     name: piece.name,
     type: piece.type,
@@ -95,8 +95,11 @@ export function createSafePieceData(piece) {
       id: point.id,
       name: point.name,
       position: toSafeVector3(point.position),
+      ...(point.normal ? { normal: toSafeVector3(point.normal) } : {}),
+      ...(point.up ? { up: toSafeVector3(point.up) } : {}),
       compatible: [...(point.compatible || [])],
-      isOccupied: !!point.isOccupied
+      isOccupied: !!point.isOccupied,
+      pieceId: point.pieceId || piece.id
     })),
     metadata: {
       stitchCount: piece.metadata?.stitchCount || 0,
@@ -105,4 +108,34 @@ export function createSafePieceData(piece) {
     },
     __safe: 'SafePiece'
   };
-}
\ No newline at end of file
+  
+  // Pattern and placement, when the piece has them
+  if (Array.isArray(piece.rounds)) data.rounds = JSON.parse(JSON.stringify(piece.rounds));
+  if (piece.palette && Object.keys(piece.palette).length > 0) data.palette = { ...piece.palette };
+  ['position', 'rotation', 'scale'].forEach(field => {
+    if (piece[field]) data[field] = toSafeVector3(piece[field]);
+  });
+  if (piece.isCustom) data.isCustom = true;
+  return data;
+}
+// Fields a full piece copy keeps; the mesh is rebuilt from these
+const SNAPSHOT_FIELDS = ['id', 'name', 'type', 'rounds', 'color', 'palette', 'connectionPoints',
+  'position', 'rotation', 'scale', 'isCustom', 'metadata'];
+
+/**
+ * Full JSON copy of a piece, including rounds and placement, for undo
+ * commands and history replay. Points are stored free; connections made
+ * after the copy occupy them again.
+ */
+export function createPieceSnapshot(piece) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (piece[field] !== undefined) snapshot[field] = JSON.parse(JSON.stringify(piece[field]));
+  });
+  snapshot.connectionPoints = (snapshot.connectionPoints || []).map(point => ({
+    ...point,
+    isOccupied: false,
+    connectedTo: null
+  }));
+  return snapshot;
+}
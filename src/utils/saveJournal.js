@@ -0,0 +1,276 @@
+// src/utils/saveJournal.js
+// Write-ahead journal of assembly changes, so work survives a crash between saves
+
+import { toStorableData } from './safeSerialize';
+import { storage } from './storageManager';
+import { replayHistory } from './historyReplay';
+
+export const JOURNAL_PREFIX = 'journal_';
+
+// Tells this page's journals apart from ones left by a page that crashed
+const PAGE_SESSION = `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function journalKeys(assemblyId) {
+  const base = `${JOURNAL_PREFIX}${assemblyId}_`;
+  return {
+    snapshot: `${base}snapshot`,
+    session: `${base}session`,
+    entryPrefix: `${base}entry_`,
+    entry: seq => `${base}entry_${seq}`
+  };
+}
+
+const SESSION_SUFFIX = '_session';
+
+/**
+ * Ids of every assembly with a journal session marker, whether or not the
+ * assembly was ever saved
+ */
+export function journaledAssemblyIds(store = storage) {
+  return store.keys(JOURNAL_PREFIX)
+    .filter(key => key.endsWith(SESSION_SUFFIX))
+    .map(key => key.slice(JOURNAL_PREFIX.length, -SESSION_SUFFIX.length));
+}
+
+function readJSON(store, key) {
+  try {
+    const text = store.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    console.error(`Journal record ${key} is damaged:`, error);
+    return null;
+  }
+}
+
+/**
+ * Snapshot, session marker and the entries written after the snapshot,
+ * in order. Entries a crash left half-written are skipped.
+ */
+export function readJournal(assemblyId, store = storage) {
+  const keys = journalKeys(assemblyId);
+  const snapshot = readJSON(store, keys.snapshot);
+  const session = readJSON(store, keys.session);
+  const entries = store.keys(keys.entryPrefix)
+    .map(key => readJSON(store, key))
+    .filter(record => record && Number.isFinite(record.seq) && record.entry)
+    .filter(record => !snapshot || record.seq > snapshot.seq)
+    .sort((a, b) => a.seq - b.seq);
+
+  return { assemblyId, snapshot, session, entries };
+}
+
+/**
+ * What a journal left by a session that did not close cleanly holds, or
+ * null when there is nothing unsaved to offer
+ */
+export function findUncleanJournal(assemblyId, { store = storage, sessionId = PAGE_SESSION } = {}) {
+  const journal = readJournal(assemblyId, store);
+  const { session, snapshot, entries } = journal;
+  if (!session || session.clean || session.sessionId === sessionId || !snapshot) return null;
+
+  const lastSeq = entries.length > 0 ? entries[entries.length - 1].seq : snapshot.seq;
+  const unsavedChanges = lastSeq - (snapshot.savedSeq ?? 0);
+  if (unsavedChanges <= 0) return null;
+
+  return {
+    ...journal,
+    unsavedChanges,
+    startedAt: session.startedAt,
+    lastChange: entries.length > 0 ? entries[entries.length - 1].timestamp : snapshot.timestamp
+  };
+}
+
+/**
+ * Whether a journal holds nothing to offer: it was closed cleanly, or all
+ * its changes were saved. The journals this page is writing never count,
+ * as they are still filling up.
+ */
+export function isEmptyJournal(assemblyId, { store = storage, sessionId = PAGE_SESSION } = {}) {
+  const { session } = readJournal(assemblyId, store);
+  if (session?.sessionId === sessionId) return false;
+  return !findUncleanJournal(assemblyId, { store, sessionId });
+}
+
+/**
+ * Assembly data rebuilt from a journal: the snapshot with the entries
+ * after it replayed on top
+ */
+export function replayJournal(journal) {
+  const { snapshot, entries } = journal;
+  if (!snapshot?.state) return null;
+
+  const history = entries.map(record => record.entry);
+  const replay = replayHistory(history, { from: snapshot.state });
+  return {
+    ...snapshot.state,
+    pieces: replay.pieces,
+    connections: replay.connections,
+    locked: replay.locked,
+    history: [...(snapshot.state.history || []), ...history],
+    lastModified: journal.lastChange || snapshot.timestamp,
+    replay: {
+      applied: replay.applied,
+      skipped: replay.skipped,
+      placeholders: replay.placeholders
+    }
+  };
+}
+
+/**
+ * Remove every journal record of an assembly
+ */
+export function discardJournal(assemblyId, store = storage) {
+  const keys = journalKeys(assemblyId);
+  store.keys(keys.entryPrefix).forEach(key => store.removeItem(key));
+  store.removeItem(keys.snapshot);
+  store.removeItem(keys.session);
+}
+
+/**
+ * Journal for one open assembly. Each history entry is written under its
+ * own key as it happens, so a write costs the size of one change. Every
+ * `compactEvery` entries, and after each save, the entries are folded into
+ * a snapshot. The session marker stays unclean until close(), which is
+ * how the next page load knows the tab crashed. Leaving the page marks it
+ * clean too; when the browser brings the page back from its cache, it is
+ * marked unclean again.
+ */
+export class SaveJournal {
+  constructor(assembly, { store = storage, compactEvery = 100, sessionId = PAGE_SESSION } = {}) {
+    this.assembly = assembly;
+    this.store = store;
+    this.compactEvery = compactEvery;
+    this.sessionId = sessionId;
+    this.keys = journalKeys(assembly.id);
+    this.seq = 0;
+    this.savedSeq = 0;
+    this.sinceSnapshot = 0;
+    this.lastError = null;
+    this.handlePageHide = () => this.markClean();
+    this.handlePageShow = (event) => {
+      if (event.persisted) this.writeSession({ clean: false });
+    };
+  }
+
+  /**
+   * Take over the assembly's journal: snapshot the current state, which
+   * replaces whatever an earlier session left, and mark the session open.
+   * `pending` counts changes already made that the snapshot holds but no
+   * save does, e.g. the change that started the journal.
+   */
+  start({ saved = true, pending = 0 } = {}) {
+    const previous = readJournal(this.assembly.id, this.store);
+    const last = previous.entries.length > 0 ? previous.entries[previous.entries.length - 1].seq : previous.snapshot?.seq || 0;
+    this.seq = last + pending;
+    this.savedSeq = saved ? last : previous.snapshot?.savedSeq || 0;
+
+    this.writeSession({ clean: false });
+    this.compact();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+      window.addEventListener('pageshow', this.handlePageShow);
+    }
+    return this;
+  }
+
+  writeSession(fields) {
+    const session = { sessionId: this.sessionId, startedAt: this.startedAt || Date.now(), ...fields, updatedAt: Date.now() };
+    this.startedAt = session.startedAt;
+    return this.store.setItem(this.keys.session, JSON.stringify(session));
+  }
+
+  /**
+   * Write one history entry
+   */
+  append(entry) {
+    const data = toStorableData(entry, this.keys.entry(this.seq + 1));
+    if (!data) return false;
+
+    this.seq++;
+    const result = this.store.setItem(this.keys.entry(this.seq), JSON.stringify({
+      seq: this.seq,
+      timestamp: entry.timestamp || Date.now(),
+      entry: data
+    }));
+    if (!result.success) {
+      // Folding the entries into a snapshot frees their space
+      this.lastError = result;
+      return this.compact();
+    }
+
+    // Another tab loading prunes journals whose changes are all saved; the
+    // first change after a save brings this one back if it went
+    if (this.unsavedChanges === 1 && this.store.getItem(this.keys.session) === null) {
+      this.writeSession({ clean: false });
+      return this.compact();
+    }
+
+    this.sinceSnapshot++;
+    if (this.sinceSnapshot >= this.compactEvery) this.compact();
+    return true;
+  }
+
+  /**
+   * Fold the entries into a snapshot of the assembly as it is now. The
+   * snapshot is written before the entries are removed, and entries it
+   * covers are ignored, so a crash part way through loses nothing.
+   */
+  compact() {
+    const state = toStorableData(this.assembly.toSafeData(), this.keys.snapshot);
+    if (!state) return false;
+
+    const result = this.store.setItem(this.keys.snapshot, JSON.stringify({
+      seq: this.seq,
+      savedSeq: this.savedSeq,
+      timestamp: Date.now(),
+      state
+    }));
+    if (!result.success) {
+      this.lastError = result;
+      return false;
+    }
+
+    this.store.keys(this.keys.entryPrefix).forEach(key => {
+      const seq = Number(key.slice(this.keys.entryPrefix.length));
+      if (!(seq > this.seq)) this.store.removeItem(key);
+    });
+    this.sinceSnapshot = 0;
+    this.lastError = null;
+    return true;
+  }
+
+  /**
+   * Everything journaled so far is in the saved project
+   */
+  markSaved() {
+    this.savedSeq = this.seq;
+    return this.compact();
+  }
+
+  /**
+   * Number of journaled changes that are not in the saved project
+   */
+  get unsavedChanges() {
+    return this.seq - this.savedSeq;
+  }
+
+  /**
+   * Snapshot and mark the session clean, e.g. when the page is left
+   */
+  markClean() {
+    this.compact();
+    this.writeSession({ clean: true, closedAt: Date.now() });
+  }
+
+  /**
+   * Mark the session clean and stop following the page
+   */
+  close() {
+    this.markClean();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+      window.removeEventListener('pageshow', this.handlePageShow);
+    }
+  }
+}
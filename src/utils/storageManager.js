@@ -0,0 +1,512 @@
+// src/utils/storageManager.js
+
+/**
+ * Pluggable storage for saves, backups and app data
+ * IndexedDB is used when the browser has it, localStorage when it does not
+ * (or IndexedDB cannot be opened), and memory in tests. Every backend has
+ * the same synchronous getItem/setItem/removeItem/keys/estimate interface;
+ * the IndexedDB backend serves reads from a cache and writes in the
+ * background, so saving a large assembly does not block the UI.
+ *
+ * Writes that do not fit evict the oldest backups first. Writes that still
+ * fail are reported to onError listeners so the UI can tell the user.
+ */
+
+export const BACKUP_PREFIX = 'backup_';
+
+// Browsers give localStorage about 5MB per origin
+export const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+// Keys moved from localStorage into IndexedDB the first time it opens
+const MIGRATED_PREFIXES = ['assembly_', BACKUP_PREFIX, 'timeline_', 'payPerUseData'];
+
+function storageError(message, code, cause) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+function isQuotaError(error) {
+  return error?.code === 'STORAGE_QUOTA_EXCEEDED' ||
+    error?.name === 'QuotaExceededError' ||
+    error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error?.code === 22 || error?.code === 1014;
+}
+
+function quotaError(key, cause) {
+  return storageError(`Not enough storage space to save ${key}`, 'STORAGE_QUOTA_EXCEEDED', cause);
+}
+
+/**
+ * Approximate bytes a key and value take (strings are stored as UTF-16)
+ */
+export function byteSize(key, value) {
+  return ((key?.length || 0) + (value?.length || 0)) * 2;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * In-memory storage, for tests and browsers without any storage
+ */
+export class MemoryBackend {
+  constructor({ quota = Infinity } = {}) {
+    this.name = 'memory';
+    this.quota = quota;
+    this.items = new Map();
+    this.usage = 0;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    const text = String(value);
+    const previous = this.items.get(key);
+    const usage = this.usage - (previous === undefined ? 0 : byteSize(key, previous)) + byteSize(key, text);
+    if (usage > this.quota) throw quotaError(key);
+    this.items.set(key, text);
+    this.usage = usage;
+  }
+
+  removeItem(key) {
+    if (!this.items.has(key)) return;
+    this.usage -= byteSize(key, this.items.get(key));
+    this.items.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.items.keys());
+  }
+
+  estimate() {
+    return { usage: this.usage, quota: this.quota };
+  }
+}
+
+/**
+ * window.localStorage, with quota errors turned into STORAGE_QUOTA_EXCEEDED
+ */
+export class LocalStorageBackend {
+  constructor(store = globalThis.localStorage, { quota = LOCAL_STORAGE_QUOTA } = {}) {
+    this.name = 'localStorage';
+    this.store = store;
+    this.quota = quota;
+  }
+
+  getItem(key) {
+    return this.store.getItem(key);
+  }
+
+  setItem(key, value) {
+    try {
+      this.store.setItem(key, String(value));
+    } catch (error) {
+      throw isQuotaError(error) ? quotaError(key, error) : error;
+    }
+  }
+
+  removeItem(key) {
+    this.store.removeItem(key);
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.store.length; i++) {
+      const key = this.store.key(i);
+      if (key !== null) keys.push(key);
+    }
+    return keys;
+  }
+
+  estimate() {
+    const usage = this.keys().reduce((total, key) => total + byteSize(key, this.store.getItem(key)), 0);
+    return { usage, quota: this.quota };
+  }
+}
+
+/**
+ * IndexedDB with a synchronous cache in front of it.
+ * open() loads the database into the cache; until then the cache holds
+ * whatever the legacy localStorage had, so existing saves are readable at
+ * once. Writes update the cache and are queued for the database; a write
+ * the database refuses is rolled back and reported through onError.
+ */
+export class IndexedDBBackend {
+  constructor({
+    indexedDB = globalThis.indexedDB,
+    dbName = 'crochet-assembly',
+    storeName = 'keyval',
+    legacy = globalThis.localStorage,
+    quota = null,
+    navigatorStorage = globalThis.navigator?.storage
+  } = {}) {
+    this.name = 'indexedDB';
+    this.idb = indexedDB;
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.legacy = legacy;
+    this.navigatorStorage = navigatorStorage;
+    this.quota = quota;
+    this.externalUsage = 0;
+    this.db = null;
+    this.opening = null;
+    this.onError = null;
+
+    this.cache = new Map();
+    this.usage = 0;
+    this.written = new Set(); // keys changed before the database was loaded
+    this.pending = Promise.resolve();
+    this.legacyKeys = this.readLegacy();
+  }
+
+  readLegacy() {
+    const keys = [];
+    if (!this.legacy) return keys;
+    try {
+      for (let i = 0; i < this.legacy.length; i++) {
+        const key = this.legacy.key(i);
+        if (key && MIGRATED_PREFIXES.some(prefix => key.startsWith(prefix))) {
+          this.cacheSet(key, this.legacy.getItem(key));
+          keys.push(key);
+        }
+      }
+    } catch (error) {
+      console.warn('Could not read localStorage:', error);
+    }
+    return keys;
+  }
+
+  open() {
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = this.idb.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+        .then(db => {
+          this.db = db;
+          return this.loadAll();
+        })
+        .then(found => this.migrateLegacy(found))
+        .then(() => this.refreshQuota());
+    }
+    return this.opening;
+  }
+
+  // Run work(store) in a transaction; resolves when it commits
+  transaction(mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, mode);
+      const request = work(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onabort = () => reject(tx.error || request?.error);
+      tx.onerror = () => reject(tx.error || request?.error);
+    });
+  }
+
+  loadAll() {
+    const found = new Set();
+    return this.transaction('readonly', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        found.add(cursor.key);
+        if (!this.written.has(cursor.key)) this.cacheSet(cursor.key, cursor.value);
+        cursor.continue();
+      };
+      return request;
+    }).then(() => found);
+  }
+
+  // Copy legacy saves the database does not have, then free localStorage.
+  // Keys written since startup reach the database through write().
+  migrateLegacy(found) {
+    const missing = this.legacyKeys.filter(key => !found.has(key) && !this.written.has(key) && this.cache.has(key));
+    const moved = this.legacyKeys.filter(key => found.has(key) || missing.includes(key));
+    if (moved.length === 0) return null;
+    return this.transaction('readwrite', store => {
+      missing.forEach(key => store.put(this.cache.get(key), key));
+    }).then(() => {
+      moved.forEach(key => this.legacy.removeItem(key));
+      this.legacyKeys = this.legacyKeys.filter(key => !moved.includes(key));
+    }).catch(error => {
+      console.warn('Could not move localStorage saves to IndexedDB:', error);
+    });
+  }
+
+  refreshQuota() {
+    if (this.quota !== null || !this.navigatorStorage?.estimate) return null;
+    return this.navigatorStorage.estimate().then(({ usage = 0, quota = null }) => {
+      this.quota = quota;
+      this.externalUsage = Math.max(0, usage - this.usage);
+    }).catch(() => {});
+  }
+
+  cacheSet(key, value) {
+    if (this.cache.has(key)) this.usage -= byteSize(key, this.cache.get(key));
+    if (value === null || value === undefined) {
+      this.cache.delete(key);
+    } else {
+      this.cache.set(key, value);
+      this.usage += byteSize(key, value);
+    }
+  }
+
+  getItem(key) {
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  }
+
+  setItem(key, value) {
+    const text = String(value);
+    const previous = this.getItem(key);
+    const usage = this.usage - (previous === null ? 0 : byteSize(key, previous)) + byteSize(key, text);
+    if (this.quota !== null && usage + this.externalUsage > this.quota) throw quotaError(key);
+
+    this.cacheSet(key, text);
+    this.write(key, text, previous);
+  }
+
+  removeItem(key) {
+    const previous = this.getItem(key);
+    if (previous === null) return;
+    this.cacheSet(key, null);
+    this.write(key, null, previous);
+  }
+
+  write(key, value, previous) {
+    if (!this.db) this.written.add(key);
+    this.pending = this.pending
+      .then(() => this.open())
+      .then(
+        () => this.transaction('readwrite', store => (value === null ? store.delete(key) : store.put(value, key)))
+          .catch(cause => this.writeFailed(key, value, previous, cause)),
+        // The database never opened; StorageManager moves the cache to its fallback
+        () => {}
+      );
+  }
+
+  writeFailed(key, value, previous, cause) {
+    // Undo the cached write unless something newer replaced it
+    if (this.getItem(key) === value) this.cacheSet(key, previous);
+    const error = isQuotaError(cause)
+      ? quotaError(key, cause)
+      : storageError(`Could not write ${key}`, 'STORAGE_WRITE_FAILED', cause);
+    if (this.onError) this.onError(error, key);
+  }
+
+  keys() {
+    return Array.from(this.cache.keys());
+  }
+
+  estimate() {
+    return { usage: this.usage + this.externalUsage, quota: this.quota ?? Infinity };
+  }
+
+  // Resolves when queued writes have reached the database
+  flush() {
+    return this.pending;
+  }
+}
+
+/**
+ * Best backend this environment has
+ */
+export function createDefaultBackend() {
+  if (globalThis.indexedDB) return new IndexedDBBackend();
+  if (globalThis.localStorage) return new LocalStorageBackend();
+  return new MemoryBackend();
+}
+
+/**
+ * Front end for the active backend. setItem never throws: it returns
+ * { success, evicted } or { success: false, code, message, evicted }.
+ */
+export class StorageManager {
+  constructor(backend = createDefaultBackend()) {
+    this.listeners = new Set();
+    this.lastError = null;
+    this.opening = null;
+    this.setBackend(backend);
+    this.ready();
+  }
+
+  setBackend(backend) {
+    this.backend = backend;
+    this.opening = null;
+    backend.onError = (error, key) => this.reportError(error, key, []);
+    return this;
+  }
+
+  get backendName() {
+    return this.backend.name;
+  }
+
+  /**
+   * Open the backend. If IndexedDB cannot be opened, switch to
+   * localStorage (or memory), keeping anything written in the meantime.
+   */
+  ready() {
+    if (!this.opening) {
+      const backend = this.backend;
+      this.opening = backend.open
+        ? backend.open().catch(error => {
+          console.warn(`Could not open ${backend.name}, using fallback storage:`, error);
+          const fallback = globalThis.localStorage ? new LocalStorageBackend() : new MemoryBackend();
+          backend.keys().forEach(key => {
+            try {
+              fallback.setItem(key, backend.getItem(key));
+            } catch (copyError) {
+              this.reportError(copyError, key, []);
+            }
+          });
+          this.setBackend(fallback);
+          this.opening = Promise.resolve();
+        })
+        : Promise.resolve();
+    }
+    return this.opening;
+  }
+
+  getItem(key) {
+    try {
+      return this.backend.getItem(key) ?? null;
+    } catch (error) {
+      console.error(`Could not read ${key}:`, error);
+      return null;
+    }
+  }
+
+  setItem(key, value) {
+    const evicted = [];
+    for (;;) {
+      try {
+        this.backend.setItem(key, value);
+        return { success: true, evicted };
+      } catch (error) {
+        if (isQuotaError(error)) {
+          const removed = this.evictOldestBackup(key);
+          if (removed) {
+            evicted.push(removed);
+            continue;
+          }
+        }
+        return this.reportError(error, key, evicted);
+      }
+    }
+  }
+
+  removeItem(key) {
+    try {
+      this.backend.removeItem(key);
+      return true;
+    } catch (error) {
+      console.error(`Could not remove ${key}:`, error);
+      return false;
+    }
+  }
+
+  keys(prefix = '') {
+    try {
+      return this.backend.keys().filter(key => key.startsWith(prefix));
+    } catch (error) {
+      console.error('Could not list storage keys:', error);
+      return [];
+    }
+  }
+
+  /**
+   * { usage, quota, available, percentUsed } in bytes; quota is Infinity
+   * when the backend does not know it
+   */
+  estimate() {
+    const { usage, quota } = this.backend.estimate();
+    return {
+      backend: this.backend.name,
+      usage,
+      quota,
+      available: Math.max(0, quota - usage),
+      percentUsed: Number.isFinite(quota) && quota > 0 ? Math.min(100, (usage / quota) * 100) : 0
+    };
+  }
+
+  canStore(key, value) {
+    const { available } = this.estimate();
+    const previous = this.getItem(key);
+    return byteSize(key, value) - (previous === null ? 0 : byteSize(key, previous)) <= available;
+  }
+
+  /**
+   * Remove the oldest backup other than keepKey. The newest backup of
+   * each assembly goes only once every older backup is gone.
+   */
+  evictOldestBackup(keepKey) {
+    const backups = this.keys(BACKUP_PREFIX)
+      .filter(key => key !== keepKey)
+      .map(key => {
+        const match = key.slice(BACKUP_PREFIX.length).match(/^(.*)_(\d+)$/);
+        return { key, assemblyId: match ? match[1] : key, timestamp: match ? Number(match[2]) : 0 };
+      });
+    if (backups.length === 0) return null;
+
+    const newest = new Map();
+    backups.forEach(backup => {
+      if (!newest.has(backup.assemblyId) || newest.get(backup.assemblyId).timestamp < backup.timestamp) {
+        newest.set(backup.assemblyId, backup);
+      }
+    });
+    const isNewest = backup => newest.get(backup.assemblyId) === backup;
+    backups.sort((a, b) => (isNewest(a) - isNewest(b)) || (a.timestamp - b.timestamp));
+
+    const { key } = backups[0];
+    this.removeItem(key);
+    console.warn(`Storage full: removed old backup ${key}`);
+    return key;
+  }
+
+  reportError(cause, key, evicted) {
+    const code = isQuotaError(cause) ? 'STORAGE_QUOTA_EXCEEDED' : 'STORAGE_WRITE_FAILED';
+    const { usage, quota } = this.estimate();
+    const message = code === 'STORAGE_QUOTA_EXCEEDED'
+      ? `Storage is full (${formatBytes(usage)}${Number.isFinite(quota) ? ` of ${formatBytes(quota)}` : ''}), so your work could not be saved. Delete old projects or export this one to keep it.`
+      : `Your work could not be saved: ${cause?.message || 'storage is unavailable'}.`;
+    const error = { success: false, key, code, message, evicted, error: cause, timestamp: Date.now() };
+
+    this.lastError = error;
+    console.error(`Storage write failed for ${key}:`, cause?.message || cause);
+    this.listeners.forEach(listener => {
+      try {
+        listener(error);
+      } catch (listenerError) {
+        console.error('Storage error listener failed:', listenerError);
+      }
+    });
+    return error;
+  }
+
+  /**
+   * Be told when a write fails. Returns a function that unsubscribes.
+   */
+  onError(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  clearError() {
+    this.lastError = null;
+  }
+
+  flush() {
+    return this.backend.flush ? this.backend.flush() : Promise.resolve();
+  }
+}
+
+export const storage = new StorageManager();
@@ -0,0 +1,546 @@
+// src/utils/svgParser.js
+// Minimal SVG reader for the charts and diagrams we generate ourselves
+
+/**
+ * Parses the SVG subset produced by PatternVisualizer and ExportImportManager
+ * (svg, g, rect, circle, ellipse, line, polyline, polygon, path, text) into a
+ * tree, and normalizes paths to absolute M/L/C/Z segments so the PDF writer
+ * and the rasterizer can draw them without a browser.
+ */
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  gray: '#808080',
+  grey: '#808080',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  pink: '#ffc0cb',
+  brown: '#a52a2a'
+};
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Parse an SVG string into { width, height, viewBox, children }
+ */
+export function parseSVG(svg) {
+  const root = { tag: 'root', attributes: {}, children: [] };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  let match;
+  while ((match = tagPattern.exec(svg)) !== null) {
+    const parent = stack[stack.length - 1];
+    const [, cdata, closing, tag, attributeText, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      parent.children.push({ tag: '#text', text: cdata });
+    } else if (text !== undefined) {
+      if (text.trim()) parent.children.push({ tag: '#text', text: decodeEntities(text) });
+    } else if (tag && closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (tag) {
+      const node = { tag: tag.toLowerCase(), attributes: parseAttributes(attributeText || ''), children: [] };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  const svgNode = root.children.find(n => n.tag === 'svg') || { attributes: {}, children: [] };
+  const attrs = svgNode.attributes;
+  const viewBox = attrs.viewBox ? attrs.viewBox.trim().split(/[\s,]+/).map(Number) : null;
+  const width = parseLength(attrs.width) || (viewBox ? viewBox[2] : 300);
+  const height = parseLength(attrs.height) || (viewBox ? viewBox[3] : 150);
+
+  return {
+    width,
+    height,
+    viewBox: viewBox || [0, 0, width, height],
+    children: svgNode.children
+  };
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const attrPattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrPattern.exec(text)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+
+  // Inline style="fill: red; stroke-width: 2" overrides presentation attributes
+  if (attributes.style) {
+    attributes.style.split(';').forEach(rule => {
+      const [key, value] = rule.split(':').map(part => part && part.trim());
+      if (key && value) attributes[key] = value;
+    });
+  }
+
+  return attributes;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+export function parseLength(value, fallback = 0) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Parse a colour into { r, g, b } (0-255) or null for "none"
+ */
+export function parseColor(value) {
+  if (!value || value === 'none' || value === 'transparent') return null;
+
+  const color = NAMED_COLORS[value.toLowerCase()] || value.trim();
+
+  if (color.startsWith('#')) {
+    let hex = color.slice(1);
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    const number = parseInt(hex.slice(0, 6), 16);
+    if (Number.isNaN(number)) return { r: 0, g: 0, b: 0 };
+    return { r: (number >> 16) & 255, g: (number >> 8) & 255, b: number & 255 };
+  }
+
+  const rgb = color.match(/rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/i);
+  if (rgb) {
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]) };
+  }
+
+  return { r: 0, g: 0, b: 0 };
+}
+
+// ==================== TRANSFORMS ====================
+
+export function multiplyMatrix(a, b) {
+  return [
+    a[0] * b[0] + a[2] * b[1],
+    a[1] * b[0] + a[3] * b[1],
+    a[0] * b[2] + a[2] * b[3],
+    a[1] * b[2] + a[3] * b[3],
+    a[0] * b[4] + a[2] * b[5] + a[4],
+    a[1] * b[4] + a[3] * b[5] + a[5]
+  ];
+}
+
+export function applyMatrix(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Parse a transform attribute into a 2D affine matrix [a, b, c, d, e, f]
+ */
+export function parseTransform(value) {
+  if (!value) return IDENTITY;
+
+  let matrix = IDENTITY;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = pattern.exec(value)) !== null) {
+    const args = match[2].trim().split(/[\s,]+/).map(Number);
+    let next = IDENTITY;
+
+    switch (match[1]) {
+      case 'matrix':
+        next = args.slice(0, 6);
+        break;
+      case 'translate':
+        next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        next = [args[0], 0, 0, args[1] ?? args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = (args[0] || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        next = [cos, sin, -sin, cos, 0, 0];
+        if (args.length >= 3) {
+          next = multiplyMatrix(multiplyMatrix([1, 0, 0, 1, args[1], args[2]], next), [1, 0, 0, 1, -args[1], -args[2]]);
+        }
+        break;
+      }
+      case 'skewX':
+        next = [1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        next = [1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0];
+        break;
+      default:
+        break;
+    }
+
+    matrix = multiplyMatrix(matrix, next);
+  }
+
+  return matrix;
+}
+
+// ==================== PATHS ====================
+
+/**
+ * Convert path data into absolute segments: M, L, C and Z only
+ */
+export function parsePathData(d) {
+  const segments = [];
+  const tokens = (d || '').match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  let index = 0;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;
+
+  const number = () => parseFloat(tokens[index++]);
+  const hasNumber = () => index < tokens.length && !/^[a-zA-Z]$/.test(tokens[index]);
+
+  while (index < tokens.length) {
+    if (/^[a-zA-Z]$/.test(tokens[index])) {
+      command = tokens[index++];
+    } else if (!command) {
+      index++;
+      continue;
+    }
+
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (command.toUpperCase()) {
+      case 'M': {
+        x = ox + number();
+        y = oy + number();
+        startX = x;
+        startY = y;
+        segments.push({ type: 'M', x, y });
+        lastControl = null;
+        // Extra coordinate pairs after a moveto are implicit linetos
+        command = relative ? 'l' : 'L';
+        break;
+      }
+      case 'L':
+        x = ox + number();
+        y = oy + number();
+        segments.push({ type: 'L', x, y });
+        lastControl = null;
+        break;
+      case 'H':
+        x = ox + number();
+        segments.push({ type: 'L', x, y });
+        lastControl = null;
+        break;
+      case 'V':
+        y = oy + number();
+        segments.push({ type: 'L', x, y });
+        lastControl = null;
+        break;
+      case 'C': {
+        const x1 = ox + number();
+        const y1 = oy + number();
+        const x2 = ox + number();
+        const y2 = oy + number();
+        x = ox + number();
+        y = oy + number();
+        segments.push({ type: 'C', x1, y1, x2, y2, x, y });
+        lastControl = [x2, y2];
+        break;
+      }
+      case 'S': {
+        const [x1, y1] = lastControl ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        const x2 = ox + number();
+        const y2 = oy + number();
+        x = ox + number();
+        y = oy + number();
+        segments.push({ type: 'C', x1, y1, x2, y2, x, y });
+        lastControl = [x2, y2];
+        break;
+      }
+      case 'Q': {
+        const qx = ox + number();
+        const qy = oy + number();
+        const ex = ox + number();
+        const ey = oy + number();
+        segments.push(quadraticToCubic(x, y, qx, qy, ex, ey));
+        x = ex;
+        y = ey;
+        lastControl = null;
+        break;
+      }
+      case 'A': {
+        const rx = number();
+        const ry = number();
+        const rotation = number();
+        const largeArc = number();
+        const sweep = number();
+        const ex = ox + number();
+        const ey = oy + number();
+        segments.push(...arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, ex, ey));
+        x = ex;
+        y = ey;
+        lastControl = null;
+        break;
+      }
+      case 'Z':
+        segments.push({ type: 'Z' });
+        x = startX;
+        y = startY;
+        lastControl = null;
+        break;
+      default:
+        // Unsupported command: skip its numbers
+        while (hasNumber()) index++;
+        break;
+    }
+
+    // Numbers after a closepath have no command to repeat
+    if (command.toUpperCase() === 'Z' && hasNumber()) {
+      command = null;
+    }
+  }
+
+  return segments;
+}
+
+function quadraticToCubic(x0, y0, qx, qy, x, y) {
+  return {
+    type: 'C',
+    x1: x0 + (2 / 3) * (qx - x0),
+    y1: y0 + (2 / 3) * (qy - y0),
+    x2: x + (2 / 3) * (qx - x),
+    y2: y + (2 / 3) * (qy - y),
+    x,
+    y
+  };
+}
+
+/**
+ * Endpoint-parameterised elliptical arc to cubic Béziers (SVG spec F.6)
+ */
+function arcToCubics(x1, y1, rx, ry, rotationDeg, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+    return [{ type: 'L', x: x2, y: y2 }];
+  }
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const phi = rotationDeg * Math.PI / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  let factor = Math.sqrt(Math.max(0, numerator / denominator));
+  if (Boolean(largeArc) === Boolean(sweep)) factor = -factor;
+
+  const cxp = factor * (rx * y1p) / ry;
+  const cyp = factor * -(ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => {
+    const dot = ux * vx + uy * vy;
+    const length = Math.sqrt((ux * ux + uy * uy) * (vx * vx + vy * vy));
+    const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+    return sign * Math.acos(Math.min(1, Math.max(-1, dot / length)));
+  };
+
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const parts = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / parts;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const segments = [];
+
+  const point = (t) => [
+    cx + rx * Math.cos(t) * cosPhi - ry * Math.sin(t) * sinPhi,
+    cy + rx * Math.cos(t) * sinPhi + ry * Math.sin(t) * cosPhi
+  ];
+  const derivative = (t) => [
+    -rx * Math.sin(t) * cosPhi - ry * Math.cos(t) * sinPhi,
+    -rx * Math.sin(t) * sinPhi + ry * Math.cos(t) * cosPhi
+  ];
+
+  for (let i = 0; i < parts; i++) {
+    const t1 = theta1 + i * step;
+    const t2 = t1 + step;
+    const [px1, py1] = point(t1);
+    const [px2, py2] = point(t2);
+    const [dx1, dy1] = derivative(t1);
+    const [dx2, dy2] = derivative(t2);
+    segments.push({
+      type: 'C',
+      x1: px1 + k * dx1,
+      y1: py1 + k * dy1,
+      x2: px2 - k * dx2,
+      y2: py2 - k * dy2,
+      x: px2,
+      y: py2
+    });
+  }
+
+  return segments;
+}
+
+// ==================== SHAPES ====================
+
+const KAPPA = 0.5522847498;
+
+/**
+ * Normalize a shape element (rect, circle, ...) into path segments
+ */
+export function shapeToSegments(node) {
+  const a = node.attributes;
+
+  switch (node.tag) {
+    case 'path':
+      return parsePathData(a.d);
+
+    case 'rect': {
+      const x = parseLength(a.x);
+      const y = parseLength(a.y);
+      const w = parseLength(a.width);
+      const h = parseLength(a.height);
+      if (w <= 0 || h <= 0) return [];
+      return [
+        { type: 'M', x, y },
+        { type: 'L', x: x + w, y },
+        { type: 'L', x: x + w, y: y + h },
+        { type: 'L', x, y: y + h },
+        { type: 'Z' }
+      ];
+    }
+
+    case 'circle':
+    case 'ellipse': {
+      const cx = parseLength(a.cx);
+      const cy = parseLength(a.cy);
+      const rx = node.tag === 'circle' ? parseLength(a.r) : parseLength(a.rx);
+      const ry = node.tag === 'circle' ? parseLength(a.r) : parseLength(a.ry);
+      if (rx <= 0 || ry <= 0) return [];
+      const kx = rx * KAPPA;
+      const ky = ry * KAPPA;
+      return [
+        { type: 'M', x: cx + rx, y: cy },
+        { type: 'C', x1: cx + rx, y1: cy + ky, x2: cx + kx, y2: cy + ry, x: cx, y: cy + ry },
+        { type: 'C', x1: cx - kx, y1: cy + ry, x2: cx - rx, y2: cy + ky, x: cx - rx, y: cy },
+        { type: 'C', x1: cx - rx, y1: cy - ky, x2: cx - kx, y2: cy - ry, x: cx, y: cy - ry },
+        { type: 'C', x1: cx + kx, y1: cy - ry, x2: cx + rx, y2: cy - ky, x: cx + rx, y: cy },
+        { type: 'Z' }
+      ];
+    }
+
+    case 'line':
+      return [
+        { type: 'M', x: parseLength(a.x1), y: parseLength(a.y1) },
+        { type: 'L', x: parseLength(a.x2), y: parseLength(a.y2) }
+      ];
+
+    case 'polyline':
+    case 'polygon': {
+      const numbers = (a.points || '').trim().split(/[\s,]+/).map(Number).filter(Number.isFinite);
+      const segments = [];
+      for (let i = 0; i + 1 < numbers.length; i += 2) {
+        segments.push({ type: i === 0 ? 'M' : 'L', x: numbers[i], y: numbers[i + 1] });
+      }
+      if (node.tag === 'polygon' && segments.length > 0) segments.push({ type: 'Z' });
+      return segments;
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Walk the tree, resolving inherited paint and transforms for each drawable
+ * element. The callback receives { node, segments, style, matrix } for shapes
+ * and { node, text, style, matrix } for text.
+ */
+export function walkSVG(parsed, callback, initialMatrix = IDENTITY) {
+  const [vx, vy, vw, vh] = parsed.viewBox;
+  const viewMatrix = multiplyMatrix(
+    initialMatrix,
+    [parsed.width / vw, 0, 0, parsed.height / vh, -vx * parsed.width / vw, -vy * parsed.height / vh]
+  );
+
+  const defaults = {
+    fill: '#000000',
+    stroke: 'none',
+    strokeWidth: 1,
+    opacity: 1,
+    fontSize: 16,
+    fontWeight: 'normal',
+    textAnchor: 'start'
+  };
+
+  const visit = (nodes, inherited, matrix) => {
+    nodes.forEach(node => {
+      if (node.tag === '#text') return;
+      const a = node.attributes || {};
+      if (a.display === 'none' || a.visibility === 'hidden') return;
+
+      const style = {
+        fill: a.fill ?? inherited.fill,
+        stroke: a.stroke ?? inherited.stroke,
+        strokeWidth: a['stroke-width'] !== undefined ? parseLength(a['stroke-width'], 1) : inherited.strokeWidth,
+        opacity: inherited.opacity * (a.opacity !== undefined ? parseLength(a.opacity, 1) : 1),
+        fontSize: a['font-size'] !== undefined ? parseLength(a['font-size'], 16) : inherited.fontSize,
+        fontWeight: a['font-weight'] ?? inherited.fontWeight,
+        textAnchor: a['text-anchor'] ?? inherited.textAnchor
+      };
+      if (a['fill-opacity'] !== undefined) style.fillOpacity = parseLength(a['fill-opacity'], 1);
+      const nodeMatrix = multiplyMatrix(matrix, parseTransform(a.transform));
+
+      if (node.tag === 'g' || node.tag === 'svg' || node.tag === 'a') {
+        visit(node.children, style, nodeMatrix);
+      } else if (node.tag === 'text') {
+        const text = collectText(node);
+        if (text) callback({ node, text, style, matrix: nodeMatrix });
+      } else if (node.tag !== 'defs' && node.tag !== 'title' && node.tag !== 'desc') {
+        const segments = shapeToSegments(node);
+        if (segments.length > 0) callback({ node, segments, style, matrix: nodeMatrix });
+      }
+    });
+  };
+
+  visit(parsed.children, defaults, viewMatrix);
+}
+
+function collectText(node) {
+  return node.children
+    .map(child => (child.tag === '#text' ? child.text : collectText(child)))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
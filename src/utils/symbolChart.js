@@ -0,0 +1,557 @@
+// src/utils/symbolChart.js
+// Radial and row symbol charts (JIS / CYC notation) built from the stitch model
+
+import { CrochetPattern } from '../types/patternModel';
+import { describeColorRef } from '../lib/yarnColors';
+
+/**
+ * Every stitch is drawn from its parent stitch(es) in the previous round to
+ * its own position, so increases fan out of one parent and decreases
+ * converge from several. Rounds are laid out counter-clockwise from the top
+ * with each round rotated to sit over the stitches it is worked into; rows
+ * alternate direction the way they are worked (row 1 right to left).
+ * When the rounds shown change yarn, each stitch sits on a dot of its yarn
+ * colour and the legend lists the yarns.
+ */
+
+export const CHART_NOTATIONS = ['jis', 'cyc'];
+
+// Radial height of a round, relative to a single crochet
+const STITCH_HEIGHTS = {
+  sl: 0.6,
+  ch: 0.8,
+  sc: 1,
+  hdc: 1.3,
+  dc: 1.6,
+  tr: 2,
+  dtr: 2.4
+};
+
+const STITCH_NAMES = {
+  ch: 'Chain',
+  sl: 'Slip stitch',
+  sc: 'Single crochet',
+  hdc: 'Half double crochet',
+  dc: 'Double crochet',
+  tr: 'Treble crochet',
+  dtr: 'Double treble crochet'
+};
+
+const SLASHES = { dc: 1, tr: 2, dtr: 3 };
+
+const SHAPING_COLORS = {
+  increase: '#2E7D32',
+  decrease: '#C62828',
+  none: '#333333'
+};
+
+const DEFAULTS = {
+  notation: 'jis',
+  layout: 'auto',
+  spacing: 24,
+  stitchWidth: 16,
+  ringRadius: 12,
+  colorBy: 'shaping',
+  baseColor: null, // hex for stitches in the piece's own colour
+  palette: {}, // overrides the pattern's yarn palette
+  size: 400,
+  legend: true
+};
+
+const fmt = value => String(Math.round(value * 100) / 100);
+const point = (x, y) => ({ x, y });
+
+function heightOf(round) {
+  const heights = round.stitches.map(s => STITCH_HEIGHTS[s.type] ?? 1);
+  return heights.length > 0 ? Math.max(...heights) : 1;
+}
+
+function circularMean(angles) {
+  const x = angles.reduce((sum, a) => sum + Math.cos(a), 0);
+  const y = angles.reduce((sum, a) => sum + Math.sin(a), 0);
+  return Math.atan2(y, x);
+}
+
+function isFlat(pattern) {
+  return pattern.rounds.some(round =>
+    round.kind === 'row' || round.markers.some(marker => marker.token === 'turn'));
+}
+
+// Hex colour of the yarn a stitch is worked in (null = unknown piece colour)
+function yarnOf(pattern, stitch, round, settings) {
+  return pattern.resolveColor(stitch.color || round.color || null, settings.baseColor, settings.palette);
+}
+
+// ==================== LAYOUT ====================
+
+/**
+ * Position every stitch of a pattern. Returns { kind, rounds, ringRadius, ... }
+ * where each round lists stitches with their top point and parent base points.
+ */
+export function layoutSymbolChart(input, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const pattern = CrochetPattern.from(input);
+  const kind = settings.layout === 'auto' ? (isFlat(pattern) ? 'rows' : 'radial') : settings.layout;
+
+  const layout = kind === 'rows'
+    ? layoutRows(pattern, settings)
+    : layoutRadial(pattern, settings);
+
+  return { kind, ...layout };
+}
+
+function layoutRadial(pattern, settings) {
+  const direction = -1; // counter-clockwise on screen
+  const startsWithRing = pattern.rounds[0]?.startsWithRing ?? false;
+  const rounds = [];
+  let innerRadius = settings.ringRadius;
+  let previous = null;
+
+  pattern.rounds.forEach(round => {
+    const radius = innerRadius + settings.spacing * heightOf(round);
+    const count = round.stitches.length;
+    const angleStep = count > 0 ? (2 * Math.PI) / count : 0;
+
+    // Rotate the round so stitches sit over their parents
+    let startAngle = -Math.PI / 2;
+    const offsets = [];
+    round.stitches.forEach((stitch, i) => {
+      const parents = previous ? stitch.targets.map(t => previous.stitches[t]).filter(Boolean) : [];
+      if (parents.length > 0) {
+        offsets.push(circularMean(parents.map(p => p.angle)) - direction * i * angleStep);
+      }
+    });
+    if (offsets.length > 0) startAngle = circularMean(offsets);
+
+    const stitches = round.stitches.map((stitch, i) => {
+      const angle = startAngle + direction * i * angleStep;
+      const parents = previous ? stitch.targets.map(t => previous.stitches[t]).filter(Boolean) : [];
+      const bases = parents.length > 0
+        ? parents.map(p => p.top)
+        : [point(Math.cos(angle) * innerRadius, Math.sin(angle) * innerRadius)];
+
+      return {
+        index: stitch.index,
+        type: stitch.type,
+        shaping: stitch.shaping,
+        loop: stitch.loop,
+        color: stitch.color || round.color || null,
+        yarn: yarnOf(pattern, stitch, round, settings),
+        targets: [...stitch.targets],
+        angle,
+        top: point(Math.cos(angle) * radius, Math.sin(angle) * radius),
+        bases
+      };
+    });
+
+    const laidOut = {
+      number: round.number,
+      kind: round.kind,
+      inner: innerRadius,
+      radius,
+      startAngle,
+      angleStep,
+      direction,
+      markers: round.markers.map(m => ({ ...m })),
+      stitches
+    };
+    rounds.push(laidOut);
+
+    // Chain-only rounds still give the next round something to work into
+    if (count > 0) {
+      previous = laidOut;
+      innerRadius = radius;
+    }
+  });
+
+  return { ringRadius: settings.ringRadius, startsWithRing, rounds };
+}
+
+function layoutRows(pattern, settings) {
+  const width = settings.stitchWidth;
+  const rounds = [];
+  let baseline = 0;
+  let previous = null;
+  let direction = -1; // row 1 is worked right to left
+
+  pattern.rounds.forEach(round => {
+    const top = baseline - settings.spacing * heightOf(round);
+    const count = round.stitches.length;
+
+    // After turning, the first stitch goes into the last stitch of the row below
+    const parentsOf = stitch => (previous
+      ? stitch.targets.map(t => previous.stitches[previous.stitches.length - 1 - t]).filter(Boolean)
+      : []);
+
+    let startX = direction < 0 ? (count - 1) * width : 0;
+    const offsets = [];
+    round.stitches.forEach((stitch, i) => {
+      const parents = parentsOf(stitch);
+      if (parents.length > 0) {
+        const meanX = parents.reduce((sum, p) => sum + p.top.x, 0) / parents.length;
+        offsets.push(meanX - direction * i * width);
+      }
+    });
+    if (offsets.length > 0) startX = offsets.reduce((sum, x) => sum + x, 0) / offsets.length;
+
+    const stitches = round.stitches.map((stitch, i) => {
+      const x = startX + direction * i * width;
+      const parents = parentsOf(stitch);
+      return {
+        index: stitch.index,
+        type: stitch.type,
+        shaping: stitch.shaping,
+        loop: stitch.loop,
+        color: stitch.color || round.color || null,
+        yarn: yarnOf(pattern, stitch, round, settings),
+        targets: [...stitch.targets],
+        angle: -Math.PI / 2,
+        top: point(x, top),
+        bases: parents.length > 0 ? parents.map(p => p.top) : [point(x, baseline)]
+      };
+    });
+
+    const laidOut = {
+      number: round.number,
+      kind: round.kind,
+      inner: baseline,
+      y: top,
+      direction,
+      markers: round.markers.map(m => ({ ...m })),
+      stitches
+    };
+    rounds.push(laidOut);
+
+    if (count > 0) {
+      previous = laidOut;
+      baseline = top;
+      direction = -direction;
+    }
+  });
+
+  return { rounds };
+}
+
+// ==================== RENDERING ====================
+
+class Bounds {
+  constructor() {
+    this.minX = Infinity;
+    this.minY = Infinity;
+    this.maxX = -Infinity;
+    this.maxY = -Infinity;
+  }
+
+  add(x, y, pad = 0) {
+    this.minX = Math.min(this.minX, x - pad);
+    this.minY = Math.min(this.minY, y - pad);
+    this.maxX = Math.max(this.maxX, x + pad);
+    this.maxY = Math.max(this.maxY, y + pad);
+  }
+
+  get empty() {
+    return this.minX === Infinity;
+  }
+}
+
+function line(a, b, color, width = 1.4) {
+  return `<line x1="${fmt(a.x)}" y1="${fmt(a.y)}" x2="${fmt(b.x)}" y2="${fmt(b.y)}" stroke="${color}" stroke-width="${width}" stroke-linecap="round"/>`;
+}
+
+/**
+ * SVG for one stitch. The glyph's axis runs from the mean of its bases to
+ * its top; u points up the stitch and v across it.
+ */
+function stitchGlyph(stitch, notation, color) {
+  const base = point(
+    stitch.bases.reduce((sum, b) => sum + b.x, 0) / stitch.bases.length,
+    stitch.bases.reduce((sum, b) => sum + b.y, 0) / stitch.bases.length
+  );
+  const dx = stitch.top.x - base.x;
+  const dy = stitch.top.y - base.y;
+  const length = Math.hypot(dx, dy) || 1;
+  const u = point(dx / length, dy / length);
+  const v = point(-u.y, u.x);
+  const at = (origin, along, across) => point(origin.x + u.x * along + v.x * across, origin.y + u.y * along + v.y * across);
+
+  const parts = [];
+  const centre = at(stitch.top, -Math.min(6, length * 0.35), 0);
+  const legsTo = target => stitch.bases.forEach(b => parts.push(line(b, target, color, 1)));
+
+  switch (stitch.type) {
+    case 'ch': {
+      const angle = (Math.atan2(v.y, v.x) * 180) / Math.PI;
+      parts.push(`<ellipse cx="${fmt(centre.x)}" cy="${fmt(centre.y)}" rx="5" ry="2.8" transform="rotate(${fmt(angle)} ${fmt(centre.x)} ${fmt(centre.y)})" fill="none" stroke="${color}" stroke-width="1.2"/>`);
+      break;
+    }
+    case 'sl':
+      parts.push(`<circle cx="${fmt(centre.x)}" cy="${fmt(centre.y)}" r="2.4" fill="${color}"/>`);
+      break;
+    case 'sc':
+      if (stitch.shaping !== 'none') legsTo(centre);
+      if (notation === 'cyc') {
+        parts.push(line(at(centre, -4.5, 0), at(centre, 4.5, 0), color));
+        parts.push(line(at(centre, 0, -4.5), at(centre, 0, 4.5), color));
+      } else {
+        parts.push(line(at(centre, -3.5, -3.5), at(centre, 3.5, 3.5), color));
+        parts.push(line(at(centre, -3.5, 3.5), at(centre, 3.5, -3.5), color));
+      }
+      break;
+    case 'hdc':
+    case 'dc':
+    case 'tr':
+    case 'dtr': {
+      legsTo(stitch.top);
+      parts.push(line(at(stitch.top, 0, -4.5), at(stitch.top, 0, 4.5), color));
+      const slashes = SLASHES[stitch.type] || 0;
+      for (let i = 0; i < slashes; i++) {
+        const middle = at(base, length * (0.45 + i * 0.15), 0);
+        parts.push(line(at(middle, -1.5, -3.5), at(middle, 1.5, 3.5), color, 1.2));
+      }
+      break;
+    }
+    default:
+      legsTo(centre);
+      parts.push(`<circle cx="${fmt(centre.x)}" cy="${fmt(centre.y)}" r="3.5" fill="none" stroke="${color}" stroke-width="1.2"/>`);
+  }
+
+  // Back loop only: a smile under the stitch; front loop only: a frown
+  if (stitch.loop === 'back' || stitch.loop === 'front') {
+    const mark = at(base, Math.min(5, length * 0.3), 0);
+    const left = at(mark, 0, -3.5);
+    const right = at(mark, 0, 3.5);
+    const bend = at(mark, stitch.loop === 'back' ? -3 : 3, 0);
+    parts.push(`<path d="M${fmt(left.x)},${fmt(left.y)} Q${fmt(bend.x)},${fmt(bend.y)} ${fmt(right.x)},${fmt(right.y)}" fill="none" stroke="${color}" stroke-width="1"/>`);
+  }
+
+  return parts.join('');
+}
+
+function stitchColor(stitch, colorBy) {
+  if (colorBy === 'yarn') return stitch.yarn || SHAPING_COLORS.none;
+  if (colorBy === 'shaping') return SHAPING_COLORS[stitch.shaping] || SHAPING_COLORS.none;
+  return SHAPING_COLORS.none;
+}
+
+/**
+ * Round number label and an arrow along the working direction at the first stitch
+ */
+function startMarker(round, layoutKind, bounds) {
+  const first = round.stitches[0];
+  if (!first) return '';
+
+  let label;
+  let arrowFrom;
+  let arrowTo;
+  if (layoutKind === 'rows') {
+    label = point(first.top.x - round.direction * 16, first.top.y + 4);
+    arrowFrom = point(first.top.x - round.direction * 10, first.top.y - 8);
+    arrowTo = point(first.top.x + round.direction * 2, first.top.y - 8);
+  } else {
+    const outward = round.radius + 11;
+    label = point(Math.cos(first.angle) * outward, Math.sin(first.angle) * outward + 3);
+    const tangent = first.angle + round.direction * 0.5 * Math.PI;
+    const arrowBase = point(Math.cos(first.angle) * (round.radius + 4), Math.sin(first.angle) * (round.radius + 4));
+    arrowFrom = arrowBase;
+    arrowTo = point(arrowBase.x + Math.cos(tangent) * 9, arrowBase.y + Math.sin(tangent) * 9);
+  }
+
+  bounds.add(label.x, label.y, 9);
+  const head = Math.atan2(arrowTo.y - arrowFrom.y, arrowTo.x - arrowFrom.x);
+  const wing = angle => point(arrowTo.x - Math.cos(angle) * 4, arrowTo.y - Math.sin(angle) * 4);
+  const left = wing(head - 0.5);
+  const right = wing(head + 0.5);
+
+  return `<g class="round-start">` +
+    line(arrowFrom, arrowTo, '#1565C0', 1) +
+    `<path d="M${fmt(arrowTo.x)},${fmt(arrowTo.y)} L${fmt(left.x)},${fmt(left.y)} L${fmt(right.x)},${fmt(right.y)} Z" fill="#1565C0"/>` +
+    `<text x="${fmt(label.x)}" y="${fmt(label.y)}" font-size="8" fill="#1565C0" text-anchor="middle">${round.number}</text>` +
+    `</g>`;
+}
+
+// Yarn dot under a stitch, centred where the glyph is drawn
+function yarnDot(stitch) {
+  const base = point(
+    stitch.bases.reduce((sum, b) => sum + b.x, 0) / stitch.bases.length,
+    stitch.bases.reduce((sum, b) => sum + b.y, 0) / stitch.bases.length
+  );
+  const length = Math.hypot(stitch.top.x - base.x, stitch.top.y - base.y) || 1;
+  const along = Math.min(6, length * 0.35) / length;
+  const x = stitch.top.x + (base.x - stitch.top.x) * along;
+  const y = stitch.top.y + (base.y - stitch.top.y) * along;
+  return `<circle class="yarn" cx="${fmt(x)}" cy="${fmt(y)}" r="5.5" fill="${stitch.yarn || '#FFFFFF'}" stroke="#BDBDBD" stroke-width="0.5"/>`;
+}
+
+// Yarns used by the shown rounds, in order of first use
+function yarnEntries(rounds) {
+  const yarns = new Map();
+  rounds.forEach(round => round.stitches.forEach(stitch => {
+    if (!yarns.has(stitch.color)) yarns.set(stitch.color, { color: stitch.color, yarn: stitch.yarn });
+  }));
+  return Array.from(yarns.values());
+}
+
+function legendEntries(rounds) {
+  const types = new Set();
+  const loops = new Set();
+  const shapings = new Set();
+  rounds.forEach(round => round.stitches.forEach(stitch => {
+    types.add(stitch.type);
+    if (stitch.loop !== 'both') loops.add(stitch.loop);
+    if (stitch.shaping !== 'none') shapings.add(stitch.shaping);
+  }));
+
+  const entries = Array.from(types).map(type => ({
+    label: STITCH_NAMES[type] || type,
+    sample: { type, shaping: 'none', loop: 'both' }
+  }));
+  loops.forEach(loop => entries.push({
+    label: loop === 'back' ? 'Back loop only' : 'Front loop only',
+    sample: { type: 'sc', shaping: 'none', loop }
+  }));
+  shapings.forEach(shaping => entries.push({
+    label: shaping === 'increase' ? 'Increase (stitches share a parent)' : 'Decrease (parents joined)',
+    sample: { type: 'sc', shaping, loop: 'both' }
+  }));
+
+  const yarns = yarnEntries(rounds);
+  if (yarns.length > 1) {
+    yarns.forEach(yarn => entries.push({
+      label: describeColorRef(yarn.color) + (yarn.yarn ? ` (${yarn.yarn})` : ''),
+      swatch: yarn.yarn
+    }));
+  }
+  return entries;
+}
+
+function renderLegend(rounds, notation, colorBy, x, y) {
+  const entries = legendEntries(rounds);
+  let svg = `<g class="legend">`;
+  entries.forEach((entry, i) => {
+    const column = i % 2;
+    const row = Math.floor(i / 2);
+    const ox = x + column * 170;
+    const oy = y + row * 22;
+    if ('swatch' in entry) {
+      svg += `<rect class="yarn" x="${fmt(ox + 3)}" y="${fmt(oy + 1)}" width="14" height="12" fill="${entry.swatch || '#FFFFFF'}" stroke="#9E9E9E" stroke-width="0.6"${entry.swatch ? '' : ' stroke-dasharray="2,1"'}/>`;
+      svg += `<text x="${fmt(ox + 24)}" y="${fmt(oy + 9)}" font-size="9" fill="#333333">${escapeXML(entry.label)}</text>`;
+      return;
+    }
+    const sample = {
+      ...entry.sample,
+      top: point(ox + 10, oy),
+      bases: entry.sample.shaping === 'decrease'
+        ? [point(ox + 4, oy + 14), point(ox + 16, oy + 14)]
+        : [point(ox + 10, oy + 14)]
+    };
+    svg += stitchGlyph(sample, notation, stitchColor(sample, colorBy === 'yarn' ? 'none' : colorBy));
+    svg += `<text x="${fmt(ox + 24)}" y="${fmt(oy + 9)}" font-size="9" fill="#333333">${entry.label}</text>`;
+  });
+  svg += `</g>`;
+  return { svg, height: Math.ceil(entries.length / 2) * 22 };
+}
+
+/**
+ * Render a laid-out chart as SVG. fromRound/toRound limit (and zoom) the
+ * chart to a range of rounds; the round below the range is shown as anchors.
+ */
+export function renderSymbolChartSVG(layout, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const notation = CHART_NOTATIONS.includes(settings.notation) ? settings.notation : 'jis';
+  const numbers = layout.rounds.map(r => r.number);
+  const fromRound = settings.fromRound ?? Math.min(...numbers);
+  const toRound = settings.toRound ?? Math.max(...numbers);
+  const shown = layout.rounds.filter(r => r.number >= fromRound && r.number <= toRound);
+  const anchorRound = layout.rounds.filter(r => r.number < fromRound && r.stitches.length > 0).pop();
+
+  const bounds = new Bounds();
+  const hasColorwork = yarnEntries(shown).length > 1;
+  let body = '';
+
+  // Guides
+  if (layout.kind === 'radial') {
+    if (fromRound <= numbers[0]) {
+      body += layout.startsWithRing
+        ? `<circle cx="0" cy="0" r="${fmt(layout.ringRadius)}" fill="none" stroke="#E91E63" stroke-width="1.4"/>`
+        : `<circle cx="0" cy="0" r="2" fill="#333333"/>`;
+      bounds.add(0, 0, layout.ringRadius + 2);
+    }
+    shown.forEach(round => {
+      if (round.stitches.length === 0) return;
+      body += `<circle cx="0" cy="0" r="${fmt(round.radius)}" fill="none" stroke="#E0E0E0" stroke-width="0.6" stroke-dasharray="2,3"/>`;
+    });
+  }
+
+  if (anchorRound) {
+    body += `<g class="anchors">`;
+    anchorRound.stitches.forEach(stitch => {
+      body += `<circle cx="${fmt(stitch.top.x)}" cy="${fmt(stitch.top.y)}" r="1.6" fill="#BDBDBD"/>`;
+      bounds.add(stitch.top.x, stitch.top.y, 3);
+    });
+    body += `</g>`;
+  }
+
+  shown.forEach(round => {
+    body += `<g class="round" data-round="${round.number}">`;
+    round.stitches.forEach(stitch => {
+      const color = stitchColor(stitch, settings.colorBy);
+      body += `<g class="stitch" data-round="${round.number}" data-stitch="${stitch.index}" data-type="${stitch.type}">`;
+      if (hasColorwork) body += yarnDot(stitch);
+      body += stitchGlyph(stitch, notation, color);
+      body += `</g>`;
+      bounds.add(stitch.top.x, stitch.top.y, 7);
+      stitch.bases.forEach(b => bounds.add(b.x, b.y, 2));
+    });
+
+    // Join (sl st to first stitch) between the last and first stitch
+    if (layout.kind === 'radial' && round.markers.some(m => m.token === 'join') && round.stitches.length > 0) {
+      const angle = round.startAngle - round.direction * round.angleStep * 0.5;
+      body += `<circle cx="${fmt(Math.cos(angle) * round.radius)}" cy="${fmt(Math.sin(angle) * round.radius)}" r="2.2" fill="#333333"/>`;
+    }
+
+    body += startMarker(round, layout.kind, bounds);
+    body += `</g>`;
+  });
+
+  if (bounds.empty) bounds.add(0, 0, 20);
+
+  const margin = 10;
+  const minX = bounds.minX - margin;
+  let maxX = bounds.maxX + margin;
+  const minY = bounds.minY - margin;
+  let maxY = bounds.maxY + margin;
+
+  if (settings.legend) {
+    const legend = renderLegend(shown, notation, settings.colorBy, minX + 4, maxY + 8);
+    body += legend.svg;
+    maxY += legend.height + 12;
+    maxX = Math.max(maxX, minX + 350);
+  }
+
+  if (settings.title) {
+    body = `<text x="${fmt((minX + maxX) / 2)}" y="${fmt(minY - 6)}" font-size="12" font-weight="bold" text-anchor="middle" fill="#333333">${escapeXML(settings.title)}</text>` + body;
+  }
+  const top = settings.title ? minY - 22 : minY;
+
+  const viewWidth = maxX - minX;
+  const viewHeight = maxY - top;
+  const scale = settings.size / Math.max(viewWidth, viewHeight);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(viewWidth * scale)}" height="${Math.round(viewHeight * scale)}" ` +
+    `viewBox="${fmt(minX)} ${fmt(top)} ${fmt(viewWidth)} ${fmt(viewHeight)}" data-notation="${notation}" data-layout="${layout.kind}">` +
+    `<rect x="${fmt(minX)}" y="${fmt(top)}" width="${fmt(viewWidth)}" height="${fmt(viewHeight)}" fill="#FFFFFF"/>` +
+    body +
+    `</svg>`;
+}
+
+function escapeXML(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Lay out and render in one step. Returns { svg, layout }.
+ */
+export function renderSymbolChart(pattern, options = {}) {
+  const layout = layoutSymbolChart(pattern, options);
+  return { svg: renderSymbolChartSVG(layout, options), layout };
+}
@@ -284,6 +284,13 @@ export function checkLimits(operation, currentTier = 'freemium') {
   }
 }
 
+/**
+ * Limits for a tier (unknown tiers get the freemium limits)
+ */
+export function getTierLimits(tier = 'freemium') {
+  return { ...(TIER_LIMITS[tier] || TIER_LIMITS.freemium) };
+}
+
 /**
  * Generate upgrade prompt based on current tier and attempted operation
  */
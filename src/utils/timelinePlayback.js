@@ -0,0 +1,397 @@
+// src/utils/timelinePlayback.js
+// "Watch the build": step-by-step playback of an assembly's history
+
+import * as THREE from 'three';
+import { PieceFactory } from '../models/pieceFactory';
+import { replayHistory } from './historyReplay';
+import { toSafeVector3, toSafeColor } from './safeTypes';
+import { createZip } from './zipWriter';
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const EMPTY_STATE = { pieces: [], connections: [], locked: [] };
+
+function pieceName(state, pieceId) {
+  const piece = state.pieces.find(p => p.id === pieceId);
+  return piece?.name || pieceId;
+}
+
+// What a step did, in words, for captions and the scrubber
+function describeEntry(entry, before, after) {
+  const data = entry.data || {};
+  switch (entry.action) {
+    case 'add_piece': return `Add ${pieceName(after, entry.pieceId)}`;
+    case 'remove_piece': return `Remove ${pieceName(before, entry.pieceId)}`;
+    case 'move': return `Move ${pieceName(after, entry.pieceId)}`;
+    case 'modify_piece': return `Change ${pieceName(after, entry.pieceId)}`;
+    case 'connect': return `Join ${pieceName(after, data.piece1Id)} to ${pieceName(after, data.piece2Id)}`;
+    case 'disconnect': return `Separate ${pieceName(before, data.piece1Id)} from ${pieceName(before, data.piece2Id)}`;
+    case 'lock_piece': return `Lock ${pieceName(after, entry.pieceId)}`;
+    case 'unlock_piece': return `Unlock ${pieceName(after, entry.pieceId)}`;
+    default: return entry.action;
+  }
+}
+
+function changedPieces(entry) {
+  const data = entry.data || {};
+  return [entry.pieceId, data.piece1Id, data.piece2Id].filter(Boolean);
+}
+
+/**
+ * The assembly after each history entry, starting from an empty one.
+ * Step 0 is the empty start; notes and entries that cannot be replayed
+ * give no step.
+ */
+export function buildPlaybackSteps(history) {
+  const steps = [{ index: 0, action: null, description: 'Start', timestamp: null, changed: [], state: EMPTY_STATE }];
+  let state = EMPTY_STATE;
+
+  (Array.isArray(history) ? history : []).forEach((entry, historyIndex) => {
+    if (!entry || typeof entry.action !== 'string') return;
+    // Replaying one entry at a time, so older connects need their id made unique here
+    const step = entry.action === 'connect' && !entry.data?.connectionId
+      ? { ...entry, data: { ...entry.data, connectionId: `conn-replay-${historyIndex}` } }
+      : entry;
+
+    const replay = replayHistory([step], { from: state });
+    if (replay.applied === 0) return;
+
+    const next = { pieces: replay.pieces, connections: replay.connections, locked: replay.locked };
+    steps.push({
+      index: steps.length,
+      historyIndex,
+      action: entry.action,
+      description: describeEntry(entry, state, next),
+      timestamp: entry.timestamp ?? null,
+      changed: changedPieces(entry),
+      state: next
+    });
+    state = next;
+  });
+
+  return steps;
+}
+
+/**
+ * Play/pause/seek over the steps of an assembly's history. Listeners get
+ * getState() after every change; timers are injectable so the clock can
+ * be driven by hand.
+ */
+export class TimelinePlayback {
+  constructor(history, { markers = [], stepDuration = 800, speed = 1, timers = null } = {}) {
+    this.steps = buildPlaybackSteps(history);
+    this.index = this.steps.length - 1;
+    this.stepDuration = stepDuration;
+    this.speed = speed;
+    this.playing = false;
+    this.timer = null;
+    this.timers = timers || { set: (fn, ms) => setTimeout(fn, ms), clear: id => clearTimeout(id) };
+    this.listeners = new Set();
+    this.setMarkers(markers);
+  }
+
+  /**
+   * Bookmarks and milestones ({ id, kind, label, timestamp }) placed on
+   * the step that was current at their time
+   */
+  setMarkers(markers) {
+    this.markers = markers
+      .map(marker => ({ ...marker, step: this.stepAtTime(marker.timestamp) }))
+      .sort((a, b) => a.step - b.step);
+    this.notify();
+  }
+
+  get lastIndex() {
+    return this.steps.length - 1;
+  }
+
+  get current() {
+    return this.steps[this.index];
+  }
+
+  // Last step made at or before a time
+  stepAtTime(timestamp) {
+    let found = 0;
+    this.steps.forEach(step => {
+      if (step.timestamp !== null && step.timestamp <= timestamp) found = step.index;
+    });
+    return found;
+  }
+
+  seek(index) {
+    const clamped = Math.max(0, Math.min(this.lastIndex, Math.round(Number(index) || 0)));
+    if (clamped === this.index) return this.current;
+    this.index = clamped;
+    this.notify();
+    return this.current;
+  }
+
+  stepForward() {
+    return this.seek(this.index + 1);
+  }
+
+  stepBack() {
+    return this.seek(this.index - 1);
+  }
+
+  jumpToMarker(markerId) {
+    const marker = this.markers.find(m => m.id === markerId);
+    if (!marker) return null;
+    this.pause();
+    return this.seek(marker.step);
+  }
+
+  play() {
+    if (this.playing || this.lastIndex === 0) return;
+    // Playing from the end starts over
+    if (this.index >= this.lastIndex) this.index = 0;
+    this.playing = true;
+    this.notify();
+    this.schedule();
+  }
+
+  pause() {
+    if (this.timer !== null) this.timers.clear(this.timer);
+    this.timer = null;
+    if (!this.playing) return;
+    this.playing = false;
+    this.notify();
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.max(0.05, Number(speed) || 1);
+    if (this.playing) {
+      this.timers.clear(this.timer);
+      this.schedule();
+    }
+    this.notify();
+  }
+
+  schedule() {
+    this.timer = this.timers.set(() => {
+      this.timer = null;
+      this.stepForward();
+      if (this.index >= this.lastIndex) this.pause();
+      else this.schedule();
+    }, this.stepDuration / this.speed);
+  }
+
+  getState() {
+    return {
+      index: this.index,
+      count: this.steps.length,
+      step: this.current,
+      playing: this.playing,
+      speed: this.speed,
+      markers: this.markers
+    };
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  dispose() {
+    this.pause();
+    this.listeners.clear();
+  }
+}
+
+function pieceMatrix(piece) {
+  const position = toSafeVector3(piece.position) || { x: 0, y: 0, z: 0 };
+  const rotation = toSafeVector3(piece.rotation) || { x: 0, y: 0, z: 0 };
+  const scale = piece.scale ? toSafeVector3(piece.scale) : { x: 1, y: 1, z: 1 };
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(position.x, position.y, position.z),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z)),
+    new THREE.Vector3(scale.x || 1, scale.y || 1, scale.z || 1)
+  );
+}
+
+// Geometry only has to be rebuilt when the pattern or its colours change
+const shapeKey = piece => JSON.stringify([piece.rounds || piece.metadata?.pattern || [], piece.color, piece.palette]);
+
+/**
+ * Draws playback steps into a three.js scene, in a group of its own.
+ * Meshes are kept between steps and rebuilt only when a piece's shape
+ * changes; the pieces a step touched glow. The app's 3D view draws the
+ * open assembly with one too; hide it while a playback is shown.
+ */
+export class PlaybackScene {
+  constructor(scene, { radialSegments = 24, highlightColor = 0xfbbf24, bridgeColor = 0xa0aec0 } = {}) {
+    this.factory = new PieceFactory();
+    this.radialSegments = radialSegments;
+    this.highlightColor = highlightColor;
+    this.bridgeColor = bridgeColor;
+    this.meshes = new Map();
+    this.group = new THREE.Group();
+    this.group.name = 'timeline-playback';
+    this.bridges = new THREE.Group();
+    this.group.add(this.bridges);
+    this.scene = scene;
+    if (scene) scene.add(this.group);
+  }
+
+  createMesh(piece) {
+    const colors = { color: toSafeColor(piece.color), palette: piece.palette };
+    const pattern = piece.rounds?.length ? piece.rounds : piece.metadata?.pattern;
+    const geometry = this.factory.createRevolvedGeometry(pattern, this.radialSegments, colors) ||
+      new THREE.SphereGeometry(0.5, this.radialSegments, Math.max(8, this.radialSegments / 2));
+    const material = new THREE.MeshStandardMaterial({
+      color: geometry.attributes.color ? 0xffffff : toSafeColor(piece.color),
+      vertexColors: Boolean(geometry.attributes.color),
+      side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = piece.name || piece.id;
+    mesh.matrixAutoUpdate = false;
+    mesh.userData.pieceId = piece.id;
+    return mesh;
+  }
+
+  disposeMesh(mesh) {
+    this.group.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+
+  show(step) {
+    const state = step?.state || EMPTY_STATE;
+    const present = new Set();
+
+    state.pieces.forEach(piece => {
+      present.add(piece.id);
+      const key = shapeKey(piece);
+      let record = this.meshes.get(piece.id);
+      if (record && record.key !== key) {
+        this.disposeMesh(record.mesh);
+        record = null;
+      }
+      if (!record) {
+        record = { mesh: this.createMesh(piece), key };
+        this.meshes.set(piece.id, record);
+        this.group.add(record.mesh);
+      }
+      record.mesh.matrix.copy(pieceMatrix(piece));
+      record.mesh.matrixWorldNeedsUpdate = true;
+      const highlighted = step.changed?.includes(piece.id);
+      record.mesh.material.emissive.setHex(highlighted ? this.highlightColor : 0x000000);
+      record.mesh.material.emissiveIntensity = highlighted ? 0.4 : 0;
+    });
+
+    this.meshes.forEach((record, pieceId) => {
+      if (present.has(pieceId)) return;
+      this.disposeMesh(record.mesh);
+      this.meshes.delete(pieceId);
+    });
+
+    this.showBridges(state);
+  }
+
+  // Straight lines between joined connection points
+  showBridges(state) {
+    this.bridges.children.slice().forEach(line => {
+      this.bridges.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+    });
+
+    const pieces = new Map(state.pieces.map(piece => [piece.id, piece]));
+    state.connections.forEach(conn => {
+      const ends = [[conn.piece1Id, conn.point1Id], [conn.piece2Id, conn.point2Id]].map(([pieceId, pointId]) => {
+        const piece = pieces.get(pieceId);
+        const point = piece?.connectionPoints?.find(p => p.id === pointId);
+        if (!point) return null;
+        const local = toSafeVector3(point.position) || { x: 0, y: 0, z: 0 };
+        return new THREE.Vector3(local.x, local.y, local.z).applyMatrix4(pieceMatrix(piece));
+      });
+      if (!ends[0] || !ends[1]) return;
+
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(ends),
+        new THREE.LineBasicMaterial({ color: this.bridgeColor })
+      );
+      line.userData.connectionId = conn.id;
+      this.bridges.add(line);
+    });
+  }
+
+  // Show each step the playback moves to; returns the unsubscribe
+  follow(playback) {
+    this.show(playback.current);
+    return playback.onChange(state => this.show(state.step));
+  }
+
+  get pieceCount() {
+    return this.meshes.size;
+  }
+
+  dispose() {
+    this.meshes.forEach(record => this.disposeMesh(record.mesh));
+    this.meshes.clear();
+    this.showBridges(EMPTY_STATE);
+    if (this.scene) this.scene.remove(this.group);
+  }
+}
+
+function dataUrlBytes(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Render every `every`-th step (and always the last) to an image.
+ * Returns [{ name, caption, step, dataUrl }]; the view is left on the
+ * step the playback is at.
+ */
+export function capturePlaybackFrames({ renderer, scene, camera }, playback, view, { every = 1, type = 'image/png' } = {}) {
+  if (!renderer || !scene || !camera) return [];
+
+  const frames = [];
+  const digits = String(playback.lastIndex).length;
+  playback.pause();
+  playback.steps.forEach(step => {
+    if (step.index % every !== 0 && step.index !== playback.lastIndex) return;
+    view.show(step);
+    renderer.render(scene, camera);
+    frames.push({
+      name: `step-${String(step.index).padStart(Math.max(3, digits), '0')}.png`,
+      caption: step.description,
+      step: step.index,
+      dataUrl: renderer.domElement.toDataURL(type)
+    });
+  });
+  view.show(playback.current);
+  renderer.render(scene, camera);
+  return frames;
+}
+
+/**
+ * Zip of the frames plus captions.txt listing what each one shows
+ */
+export function packPlaybackFrames(frames, { title = 'Assembly' } = {}) {
+  const captions = [
+    `${title}: ${frames.length} step${frames.length === 1 ? '' : 's'}`,
+    '',
+    ...frames.map(frame => `${frame.name}  ${frame.caption}`)
+  ].join('\n');
+
+  return createZip([
+    ...frames.map(frame => ({ name: frame.name, data: dataUrlBytes(frame.dataUrl) })),
+    { name: 'captions.txt', data: `${captions}\n` }
+  ]);
+}
@@ -0,0 +1,604 @@
+// src/utils/transformGizmo.js
+// Transform gizmo: move, rotate and scale pieces with axis handles
+
+import * as THREE from 'three';
+import { toRotation } from './connectionFrames';
+
+/**
+ * Transform gizmo
+ * Shows axis handles at the selection's pivot: arrows to move, rings to
+ * rotate and boxes to scale (the centre box scales evenly). Handles follow
+ * the world axes or, in local space, the active piece's axes (the first
+ * selected). A drag or a numeric entry changes the meshes, then is recorded
+ * as one batch of move_piece / rotate_piece / scale_piece commands, so a
+ * single undo takes the whole change back.
+ */
+
+export const GIZMO_COLORS = {
+  x: '#ef4444',
+  y: '#22c55e',
+  z: '#3b82f6',
+  xyz: '#e5e7eb',
+  active: '#fbbf24'
+};
+
+export const GIZMO_MODES = ['translate', 'rotate', 'scale'];
+
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+function handleMaterial(color) {
+  const material = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 });
+  material.userData.baseColor = color;
+  return material;
+}
+
+// Arrows and scale handles stand along +Y and rings lie across +Z; turn
+// each onto its axis
+function orientHandle(handle, mode, axis) {
+  if (mode === 'rotate') {
+    if (axis === 'x') handle.rotation.y = Math.PI / 2;
+    if (axis === 'y') handle.rotation.x = -Math.PI / 2;
+  } else {
+    if (axis === 'x') handle.rotation.z = -Math.PI / 2;
+    if (axis === 'z') handle.rotation.x = Math.PI / 2;
+  }
+}
+
+function createHandles(mode) {
+  const group = new THREE.Group();
+  group.name = `gizmo_${mode}`;
+
+  const addHandle = (axis, parts) => {
+    const handle = new THREE.Group();
+    handle.name = `${mode}_${axis}`;
+    parts.forEach(part => {
+      part.userData = { mode, axis };
+      part.renderOrder = 999;
+      handle.add(part);
+    });
+    orientHandle(handle, mode, axis);
+    group.add(handle);
+  };
+
+  Object.keys(AXES).forEach(axis => {
+    const material = handleMaterial(GIZMO_COLORS[axis]);
+    if (mode === 'rotate') {
+      addHandle(axis, [new THREE.Mesh(new THREE.TorusGeometry(1, 0.05, 6, 48), material)]);
+      return;
+    }
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 1, 6), material);
+    shaft.position.y = 0.5;
+    const tip = mode === 'translate'
+      ? new THREE.Mesh(new THREE.ConeGeometry(0.08, 0.25, 12), material)
+      : new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.16, 0.16), material);
+    tip.position.y = 1.1;
+    addHandle(axis, [shaft, tip]);
+  });
+
+  if (mode === 'scale') {
+    addHandle('xyz', [new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.2, 0.2), handleMaterial(GIZMO_COLORS.xyz))]);
+  }
+  return group;
+}
+
+// Distance along the line `origin + t * direction` closest to the ray,
+// or null when the ray runs along the line
+function lineParameter(ray, origin, direction) {
+  const w0 = origin.clone().sub(ray.origin);
+  const b = direction.dot(ray.direction);
+  const denom = 1 - b * b;
+  if (Math.abs(denom) < 1e-6) return null;
+  return (b * ray.direction.dot(w0) - direction.dot(w0)) / denom;
+}
+
+// Where the ray meets the plane through `point` facing `normal`, or null
+function planeHit(ray, point, normal) {
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point);
+  return ray.intersectPlane(plane, new THREE.Vector3());
+}
+
+// Signed angle from `from` to `to` about `axis`
+function angleAbout(from, to, axis) {
+  return Math.atan2(new THREE.Vector3().crossVectors(from, to).dot(axis), from.dot(to));
+}
+
+const plain = vector => ({ x: vector.x, y: vector.y, z: vector.z });
+
+export class TransformGizmo {
+  constructor(camera, renderer, scene, options = {}) {
+    this.camera = camera;
+    this.renderer = renderer;
+    this.scene = scene;
+    this.assembly = options.assembly || null;
+    this.undoRedo = options.undoRedo || null;
+    this.dragDropManager = options.dragDropManager || null;
+
+    this.config = {
+      enabled: true,
+      mode: 'translate',          // translate | rotate | scale
+      space: 'world',             // world | local (the active piece's axes)
+      pivot: 'center',            // center of the selection | active piece
+      snapAngles: true,
+      rotationSnap: Math.PI / 12, // 15°
+      minScale: 0.05,
+      size: 0.15                  // handle length per unit of camera distance
+    };
+
+    this.meshes = new Map(); // pieceId -> mesh
+    this.selection = [];     // pieceIds; the first is the active piece
+    this.transform = null;   // drag in progress
+    this.hoveredHandle = null;
+
+    this.raycaster = new THREE.Raycaster();
+    this.mouse = new THREE.Vector2();
+
+    this.root = new THREE.Group();
+    this.root.name = 'transform_gizmo';
+    this.root.visible = false;
+    this.handles = {};
+    GIZMO_MODES.forEach(mode => {
+      this.handles[mode] = createHandles(mode);
+      this.root.add(this.handles[mode]);
+    });
+    if (this.scene) this.scene.add(this.root);
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    if (this.renderer?.domElement) this.setupEventListeners();
+    this.updateGizmo();
+  }
+
+  // Capture phase, so a grabbed handle is not also picked up by drag & drop
+  setupEventListeners() {
+    const domElement = this.renderer.domElement;
+    domElement.addEventListener('mousedown', this.onPointerDown, true);
+    domElement.addEventListener('mousemove', this.onPointerMove);
+    domElement.addEventListener('mouseup', this.onPointerUp);
+  }
+
+  // Register a piece's mesh so it can be selected
+  registerPiece(mesh, pieceData) {
+    mesh.userData.pieceId = pieceData.id;
+    this.meshes.set(pieceData.id, mesh);
+  }
+
+  unregisterPiece(pieceId) {
+    this.meshes.delete(pieceId);
+    this.attach(this.selection.filter(id => id !== pieceId));
+  }
+
+  // Show the gizmo on these pieces (e.g. a multi-selection); the first is
+  // the active piece
+  attach(pieceIds) {
+    if (this.transform) this.cancelTransform();
+    this.selection = Array.from(pieceIds).filter(id => this.meshes.has(id));
+    this.updateGizmo();
+    return this.selection;
+  }
+
+  detach() {
+    return this.attach([]);
+  }
+
+  setMode(mode) {
+    if (!GIZMO_MODES.includes(mode)) return false;
+    this.updateConfig({ mode });
+    return true;
+  }
+
+  setSpace(space) {
+    this.updateConfig({ space: space === 'local' ? 'local' : 'world' });
+  }
+
+  setPivot(pivot) {
+    this.updateConfig({ pivot: pivot === 'active' ? 'active' : 'center' });
+  }
+
+  updateConfig(newConfig) {
+    if (this.transform) this.cancelTransform();
+    Object.assign(this.config, newConfig);
+    this.updateGizmo();
+  }
+
+  setEnabled(enabled) {
+    if (!enabled && this.transform) this.cancelTransform();
+    this.config.enabled = enabled;
+    this.updateGizmo();
+  }
+
+  // Set the undo system changes are recorded in (null to stop recording)
+  setUndoRedo(undoRedo) {
+    this.undoRedo = undoRedo;
+  }
+
+  selectedMeshes() {
+    return this.selection.map(id => this.meshes.get(id));
+  }
+
+  // Point the selection turns and scales about: the average of the pieces'
+  // positions, or the active piece's
+  getPivot() {
+    const meshes = this.selectedMeshes();
+    if (meshes.length === 0) return new THREE.Vector3();
+    if (this.config.pivot === 'active') return meshes[0].position.clone();
+    const sum = meshes.reduce((total, mesh) => total.add(mesh.position), new THREE.Vector3());
+    return sum.divideScalar(meshes.length);
+  }
+
+  // Orientation of the gizmo's axes
+  getAxesQuaternion() {
+    const active = this.selectedMeshes()[0];
+    return this.config.space === 'local' && active ? active.quaternion.clone() : new THREE.Quaternion();
+  }
+
+  axisDirection(axis) {
+    return AXES[axis].clone().applyQuaternion(this.getAxesQuaternion());
+  }
+
+  // Place the handles at the pivot, turned to the space and sized to the view
+  updateGizmo() {
+    this.root.visible = this.config.enabled && this.selection.length > 0;
+    GIZMO_MODES.forEach(mode => { this.handles[mode].visible = mode === this.config.mode; });
+    if (!this.root.visible) return;
+
+    const pivot = this.transform ? this.transform.pivot : this.getPivot();
+    this.root.position.copy(pivot);
+    this.root.quaternion.copy(this.transform ? this.transform.axes : this.getAxesQuaternion());
+    const distance = this.camera ? this.camera.position.distanceTo(pivot) : 1;
+    this.root.scale.setScalar(Math.max(distance, 1e-3) * this.config.size);
+    this.root.updateMatrixWorld(true);
+  }
+
+  // Handle under a raycaster ({ mode, axis }), or null
+  pickHandle(raycaster) {
+    if (!this.root.visible) return null;
+    this.root.updateMatrixWorld(true);
+    const hit = raycaster.intersectObject(this.handles[this.config.mode], true)[0];
+    return hit ? { ...hit.object.userData } : null;
+  }
+
+  highlightHandle(handle) {
+    this.hoveredHandle = handle;
+    this.root.traverse(object => {
+      if (!object.isMesh) return;
+      const { mode, axis } = object.userData;
+      const lit = handle && handle.mode === mode && handle.axis === axis;
+      object.material.color.set(lit ? GIZMO_COLORS.active : object.material.userData.baseColor);
+    });
+  }
+
+  // Where the ray sits for the handle being dragged: a point on the ring's
+  // plane, or a distance along the axis (across the screen for even scaling)
+  measure(ray, transform) {
+    const { mode, pivot, direction } = transform;
+    if (mode === 'rotate') return planeHit(ray, pivot, direction);
+    return lineParameter(ray, pivot, direction);
+  }
+
+  // Screen right, for dragging the even-scale handle sideways
+  screenRight() {
+    if (!this.camera) return AXES.x.clone();
+    return AXES.x.clone().applyQuaternion(this.camera.getWorldQuaternion(new THREE.Quaternion()));
+  }
+
+  /**
+   * Start dragging `handle` ({ mode, axis }) with the pointer along `ray`
+   * (a THREE.Ray). Returns false when the handle cannot be grabbed there.
+   */
+  beginTransform(handle, ray) {
+    if (!handle || !this.config.enabled || this.selection.length === 0) return false;
+    const axes = this.getAxesQuaternion();
+    const transform = {
+      mode: handle.mode,
+      axis: handle.axis,
+      pivot: this.getPivot(),
+      axes,
+      direction: handle.axis === 'xyz' ? this.screenRight() : AXES[handle.axis].clone().applyQuaternion(axes),
+      length: this.root.scale.x,
+      angle: 0,
+      starts: this.captureStarts()
+    };
+
+    const start = this.measure(ray, transform);
+    if (start === null) return false;
+    if (transform.mode === 'rotate') start.sub(transform.pivot);
+    if (transform.mode === 'scale' && transform.axis !== 'xyz' && Math.abs(start) < 1e-6) return false;
+    transform.start = start;
+    transform.previous = start;
+
+    this.transform = transform;
+    if (this.dragDropManager) this.dragDropManager.setEnabled(false);
+    this.dispatchTransformEvent('transformstart');
+    return true;
+  }
+
+  /**
+   * Follow the pointer along `ray`. Returns the change so far ({ offset },
+   * { angle } in radians, or { factors }), or null when the ray misses
+   */
+  updateTransform(ray) {
+    const transform = this.transform;
+    if (!transform) return null;
+    const current = this.measure(ray, transform);
+    if (current === null) return null;
+
+    let change;
+    if (transform.mode === 'translate') {
+      change = { offset: transform.direction.clone().multiplyScalar(current - transform.start) };
+    } else if (transform.mode === 'rotate') {
+      // Add up the turn step by step, so it can go past half a turn
+      const now = current.clone().sub(transform.pivot);
+      transform.angle += angleAbout(transform.previous, now, transform.direction);
+      transform.previous = now;
+      const { snapAngles, rotationSnap } = this.config;
+      const angle = snapAngles && rotationSnap > 0
+        ? Math.round(transform.angle / rotationSnap) * rotationSnap
+        : transform.angle;
+      change = { angle };
+    } else {
+      // Even scaling grows by one for every handle length dragged right
+      const ratio = transform.axis === 'xyz'
+        ? 1 + (current - transform.start) / transform.length
+        : current / transform.start;
+      const factor = Math.max(ratio, this.config.minScale);
+      change = {
+        factors: transform.axis === 'xyz'
+          ? new THREE.Vector3(factor, factor, factor)
+          : new THREE.Vector3(1, 1, 1).setComponent('xyz'.indexOf(transform.axis), factor)
+      };
+    }
+
+    this.applyChange(transform, change);
+    this.dispatchTransformEvent('transform');
+    return change;
+  }
+
+  // Finish the drag and record it; returns the record result
+  endTransform() {
+    const transform = this.transform;
+    if (!transform) return null;
+    this.transform = null;
+    const result = this.recordTransform(transform.starts, this.describe(transform.mode));
+    if (this.dragDropManager) this.dragDropManager.setEnabled(true);
+    this.updateGizmo();
+    this.dispatchTransformEvent('transformend');
+    return result;
+  }
+
+  // Drop the drag in progress and put the pieces back
+  cancelTransform() {
+    const transform = this.transform;
+    if (!transform) return;
+    this.transform = null;
+    this.restoreStarts(transform.starts);
+    if (this.dragDropManager) this.dragDropManager.setEnabled(true);
+    this.updateGizmo();
+  }
+
+  /**
+   * Type in a change for the current mode, along the gizmo's axes:
+   * translate { x, y, z } distances, rotate { x, y, z } degrees (turned
+   * about x, then y, then z) or scale { x, y, z } factors. Missing values
+   * change nothing. Recorded like a drag; returns the record result.
+   */
+  applyNumeric(values = {}, mode = this.config.mode) {
+    if (this.selection.length === 0) return { success: false, reason: 'Nothing selected' };
+    if (this.transform) this.cancelTransform();
+    const axes = this.getAxesQuaternion();
+    const transform = { mode, pivot: this.getPivot(), axes, starts: this.captureStarts() };
+    const value = (axis, fallback) => {
+      const number = Number(values[axis]);
+      return values[axis] === undefined || values[axis] === '' || !Number.isFinite(number) ? fallback : number;
+    };
+
+    if (mode === 'translate') {
+      const offset = new THREE.Vector3(value('x', 0), value('y', 0), value('z', 0)).applyQuaternion(axes);
+      this.applyChange(transform, { offset });
+    } else if (mode === 'rotate') {
+      const rotation = new THREE.Quaternion();
+      Object.keys(AXES).forEach(axis => {
+        const direction = AXES[axis].clone().applyQuaternion(axes);
+        const turn = new THREE.Quaternion().setFromAxisAngle(direction, THREE.MathUtils.degToRad(value(axis, 0)));
+        rotation.premultiply(turn);
+      });
+      this.applyChange(transform, { rotation });
+    } else if (mode === 'scale') {
+      const { minScale } = this.config;
+      const factors = new THREE.Vector3(
+        Math.max(value('x', 1), minScale), Math.max(value('y', 1), minScale), Math.max(value('z', 1), minScale));
+      this.applyChange(transform, { factors });
+    } else {
+      return { success: false, reason: `Unknown mode: ${mode}` };
+    }
+
+    const result = this.recordTransform(transform.starts, this.describe(mode));
+    this.updateGizmo();
+    return result;
+  }
+
+  captureStarts() {
+    return this.selection.map(id => {
+      const mesh = this.meshes.get(id);
+      return {
+        pieceId: id,
+        mesh,
+        position: mesh.position.clone(),
+        quaternion: mesh.quaternion.clone(),
+        scale: mesh.scale.clone()
+      };
+    });
+  }
+
+  restoreStarts(starts) {
+    starts.forEach(({ mesh, position, quaternion, scale }) => {
+      mesh.position.copy(position);
+      mesh.quaternion.copy(quaternion);
+      mesh.scale.copy(scale);
+    });
+  }
+
+  // Set every selected mesh from where it started: `offset` moves it,
+  // `angle` (about the handle's axis) or `rotation` turns it about the pivot
+  // and `factors` stretch it along the gizmo's axes away from the pivot
+  applyChange(transform, change) {
+    const { pivot, axes } = transform;
+    const rotation = change.rotation ||
+      (change.angle !== undefined ? new THREE.Quaternion().setFromAxisAngle(transform.direction, change.angle) : null);
+    const toAxes = axes.clone().invert();
+
+    transform.starts.forEach(start => {
+      const { mesh } = start;
+      mesh.position.copy(start.position);
+      mesh.quaternion.copy(start.quaternion);
+      mesh.scale.copy(start.scale);
+
+      if (change.offset) {
+        mesh.position.add(change.offset);
+      } else if (rotation) {
+        mesh.position.copy(start.position.clone().sub(pivot).applyQuaternion(rotation).add(pivot));
+        mesh.quaternion.premultiply(rotation);
+      } else if (change.factors) {
+        const offset = start.position.clone().sub(pivot).applyQuaternion(toAxes).multiply(change.factors);
+        mesh.position.copy(offset.applyQuaternion(axes).add(pivot));
+        this.scaleAlongAxes(mesh, start, axes, change.factors);
+      }
+    });
+  }
+
+  // Pieces scale along their own axes: each gizmo axis stretches the piece
+  // axis lying closest to it (the same axis in local space)
+  scaleAlongAxes(mesh, start, axes, factors) {
+    const pieceAxes = Object.values(AXES).map(axis => axis.clone().applyQuaternion(start.quaternion));
+    Object.values(AXES).forEach((axis, i) => {
+      const factor = factors.getComponent(i);
+      if (factor === 1) return;
+      const direction = axis.clone().applyQuaternion(axes);
+      const closest = pieceAxes.reduce((best, pieceAxis, j) =>
+        Math.abs(pieceAxis.dot(direction)) > Math.abs(pieceAxes[best].dot(direction)) ? j : best, 0);
+      mesh.scale.setComponent(closest, Math.max(mesh.scale.getComponent(closest) * factor, this.config.minScale));
+    });
+  }
+
+  describe(mode) {
+    const verb = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' }[mode] || 'Transform';
+    if (this.selection.length === 1) return `${verb} ${this.selection[0]}`;
+    return `${verb} ${this.selection.length} pieces`;
+  }
+
+  // Commands for what changed since `starts`, as one batch through the undo
+  // system, or straight onto the assembly when there is none
+  recordTransform(starts, description) {
+    const commands = [];
+    starts.forEach(({ pieceId, mesh, position, quaternion, scale }) => {
+      if (mesh.position.distanceTo(position) > 1e-9) {
+        commands.push({ type: 'move_piece', pieceId, to: plain(mesh.position) });
+      }
+      if (mesh.quaternion.angleTo(quaternion) > 1e-9) {
+        commands.push({ type: 'rotate_piece', pieceId, to: plain(toRotation(mesh.quaternion)) });
+      }
+      if (mesh.scale.distanceTo(scale) > 1e-9) {
+        commands.push({ type: 'scale_piece', pieceId, to: plain(mesh.scale) });
+      }
+    });
+    if (commands.length === 0) return { success: false, reason: 'Nothing changed' };
+
+    if (this.undoRedo) {
+      const result = this.undoRedo.execute({ type: 'batch', commands }, description);
+      if (!result.success) this.restoreStarts(starts);
+      return result;
+    }
+    if (this.assembly) {
+      commands.forEach(command => {
+        if (command.type === 'move_piece') this.assembly.updatePiecePosition(command.pieceId, command.to);
+        if (command.type === 'rotate_piece') this.assembly.updatePiece(command.pieceId, { rotation: command.to });
+        if (command.type === 'scale_piece') this.assembly.updatePiece(command.pieceId, { scale: command.to });
+      });
+    }
+    return { success: true, command: { type: 'batch', commands } };
+  }
+
+  // Put the meshes where the assembly has the pieces (after undo or redo)
+  syncFromAssembly() {
+    if (!this.assembly || this.transform) return;
+    this.meshes.forEach((mesh, pieceId) => {
+      const piece = this.assembly.pieces.get(pieceId);
+      if (!piece) return;
+      const { position = {}, rotation = {}, scale = {} } = piece;
+      mesh.position.set(position.x || 0, position.y || 0, position.z || 0);
+      mesh.rotation.set(rotation.x || 0, rotation.y || 0, rotation.z || 0);
+      mesh.scale.set(scale.x ?? 1, scale.y ?? 1, scale.z ?? 1);
+    });
+    this.updateGizmo();
+  }
+
+  setRayFromEvent(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+  }
+
+  onPointerDown(event) {
+    if (!this.config.enabled || event.button !== 0) return;
+    this.setRayFromEvent(event);
+    const handle = this.pickHandle(this.raycaster);
+    if (handle && this.beginTransform(handle, this.raycaster.ray)) {
+      event.stopImmediatePropagation();
+      event.preventDefault();
+    }
+  }
+
+  onPointerMove(event) {
+    if (!this.config.enabled) return;
+    this.setRayFromEvent(event);
+    if (this.transform) {
+      this.updateTransform(this.raycaster.ray);
+      this.updateGizmo();
+      return;
+    }
+    const handle = this.pickHandle(this.raycaster);
+    const key = h => (h ? `${h.mode}_${h.axis}` : null);
+    if (key(handle) !== key(this.hoveredHandle)) this.highlightHandle(handle);
+  }
+
+  onPointerUp() {
+    if (this.transform) this.endTransform();
+  }
+
+  // Dispatch piece-transformstart / piece-transform / piece-transformend
+  dispatchTransformEvent(type) {
+    if (typeof window === 'undefined') return;
+    window.dispatchEvent(new CustomEvent(`piece-${type}`, {
+      detail: {
+        pieceIds: [...this.selection],
+        mode: this.transform?.mode || this.config.mode,
+        space: this.config.space
+      }
+    }));
+  }
+
+  dispose() {
+    if (this.transform) this.cancelTransform();
+    const domElement = this.renderer?.domElement;
+    if (domElement) {
+      domElement.removeEventListener('mousedown', this.onPointerDown, true);
+      domElement.removeEventListener('mousemove', this.onPointerMove);
+      domElement.removeEventListener('mouseup', this.onPointerUp);
+    }
+    if (this.root.parent) this.root.parent.remove(this.root);
+    this.root.traverse(object => {
+      if (!object.isMesh) return;
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    this.meshes.clear();
+    this.selection = [];
+  }
+}
+
+export default TransformGizmo;
@@ -1,20 +1,38 @@
 // src/utils/undoRedoSystem.js
 // D8: Undo/Redo system for assembly actions
+//
+// Actions are serializable commands (see assemblyCommands) applied to the
+// assembly through a registry, so the stack can be saved with the project.
+// Actions recorded with undo/redo closures still work but are not saved.
+//
+// History is a tree: recording after an undo starts a new branch instead of
+// discarding the redo stack. `history` and `currentIndex` describe the
+// active branch (root to tip through each node's most recent child).
 
-import { toSafeVector3 } from './safeTypes';
+import { commandRegistry } from './assemblyCommands';
+
+export const HISTORY_FORMAT_VERSION = '3.0';
+
+// jumpTo() target for the state before any recorded action
+export const HISTORY_ROOT = 'root';
 
 export class UndoRedoSystem {
-  constructor(maxHistorySize = 50) {
+  constructor(maxHistorySize = 50, options = {}) {
     this.history = [];
     this.currentIndex = -1;
     this.maxHistorySize = maxHistorySize;
+    this.resetTree();
     this.isExecutingCommand = false;
+    this.assembly = options.assembly || null;
+    this.registry = options.registry || commandRegistry;
     
     // Action types
     this.actionTypes = {
       ADD_PIECE: 'add_piece',
       REMOVE_PIECE: 'remove_piece',
       MOVE_PIECE: 'move_piece',
+      ROTATE_PIECE: 'rotate_piece',
+      SCALE_PIECE: 'scale_piece',
       CONNECT: 'connect',
       DISCONNECT: 'disconnect',
       MODIFY_PIECE: 'modify_piece',
@@ -37,6 +55,37 @@ export class UndoRedoSystem {
     };
   }
   
+  // Assembly that commands are applied to
+  setAssembly(assembly) {
+    this.assembly = assembly;
+  }
+  
+  // Apply a command to the assembly and record it
+  execute(command, description) {
+    if (!this.assembly) {
+      return { success: false, reason: 'No assembly to apply commands to' };
+    }
+    
+    this.isExecutingCommand = true;
+    let complete;
+    try {
+      complete = this.registry.execute(this.assembly, command);
+    } catch (error) {
+      console.error('Command failed:', error);
+      return { success: false, reason: 'Command failed', error: error.message, code: error.code };
+    } finally {
+      this.isExecutingCommand = false;
+    }
+    
+    const id = this.recordCommand(complete, description);
+    return { success: true, id, command: complete };
+  }
+  
+  // Record a command the caller has already applied
+  recordCommand(command, description) {
+    return this.recordAction({ type: command.type, command, description });
+  }
+  
   // Record an action
   recordAction(action) {
     if (this.isExecutingCommand) {
@@ -44,31 +93,58 @@ export class UndoRedoSystem {
       return;
     }
     
-    // Create action record
-    const actionRecord = {
-      id: `action_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      type: action.type,
-      timestamp: Date.now(),
-      data: this.cloneActionData(action.data),
-      undo: action.undo,
-      redo: action.redo || action.execute,
-      description: action.description || this.getActionDescription(action.type)
-    };
-    
-    // Remove any actions after current index (branching history)
-    if (this.currentIndex < this.history.length - 1) {
-      this.history = this.history.slice(0, this.currentIndex + 1);
+    if (this.isBatching) {
+      this.batchActions.push(action);
+      return null;
     }
     
-    // Add new action
-    this.history.push(actionRecord);
-    this.currentIndex++;
+    // Create action record
+    const actionRecord = action.command
+      ? this.createCommandRecord(action.command, action.description)
+      : {
+        id: this.createActionId(),
+        type: action.type,
+        timestamp: Date.now(),
+        data: this.cloneActionData(action.data),
+        undo: action.undo,
+        redo: action.redo || action.execute,
+        description: action.description || this.getActionDescription(action.type)
+      };
     
-    // Limit history size
-    if (this.history.length > this.maxHistorySize) {
-      this.history.shift();
-      this.currentIndex--;
-    }
+    this.pushRecord(actionRecord);
+    return actionRecord.id;
+  }
+  
+  createActionId() {
+    return `action_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+  
+  // Command records keep the inverse so undo never needs closures
+  createCommandRecord(command, description, id = this.createActionId(), timestamp = Date.now()) {
+    return {
+      id,
+      type: command.type,
+      timestamp,
+      command,
+      inverse: this.registry.invert(command),
+      description: description || this.registry.describe(command) || this.getActionDescription(command.type)
+    };
+  }
+  
+  pushRecord(actionRecord) {
+    // A new action after an undo forks a branch; the old redo path stays
+    const parent = this.getNode(this.currentId);
+    actionRecord.parentId = this.currentId;
+    actionRecord.children = [];
+    actionRecord.activeChild = null;
+    actionRecord.branchId = parent.children.length === 0 ? parent.branchId : this.createBranch(this.currentId).id;
+    
+    parent.children.push(actionRecord.id);
+    parent.activeChild = actionRecord.id;
+    this.nodes.set(actionRecord.id, actionRecord);
+    this.currentId = actionRecord.id;
+    this.refreshPath();
+    this.pruneHistory();
     
     // Update stats
     this.stats.totalActions++;
@@ -78,8 +154,155 @@ export class UndoRedoSystem {
     if (this.callbacks.onHistoryChange) {
       this.callbacks.onHistoryChange(this.getState());
     }
+  }
+  
+  runUndo(action) {
+    if (action.inverse) {
+      this.registry.apply(this.requireAssembly(), action.inverse);
+    } else if (action.undo) {
+      action.undo(action.data);
+    }
+  }
+  
+  runRedo(action) {
+    if (action.command) {
+      this.registry.apply(this.requireAssembly(), action.command);
+    } else if (action.redo) {
+      action.redo(action.data);
+    }
+  }
+  
+  // ==================== HISTORY TREE ====================
+  
+  resetTree() {
+    this.root = { id: HISTORY_ROOT, children: [], activeChild: null, branchId: 'main' };
+    this.nodes = new Map();
+    this.currentId = null;
+    this.branches = new Map([['main', { id: 'main', name: 'Main', forkId: null, createdAt: Date.now() }]]);
+    this.branchCounter = 0;
+  }
+  
+  // Node by id; null and HISTORY_ROOT are the root
+  getNode(id) {
+    return id === null || id === HISTORY_ROOT ? this.root : this.nodes.get(id);
+  }
+  
+  createBranch(forkId) {
+    this.branchCounter++;
+    const branch = {
+      id: `branch_${this.branchCounter}`,
+      name: `Branch ${this.branchCounter}`,
+      forkId,
+      createdAt: Date.now()
+    };
+    this.branches.set(branch.id, branch);
+    return branch;
+  }
+  
+  // Rebuild the active branch: ancestors of the current node, then the
+  // most recently used child of each node below it
+  refreshPath() {
+    const path = [];
+    for (let node = this.nodes.get(this.currentId); node; node = this.nodes.get(node.parentId)) {
+      path.unshift(node);
+    }
+    this.currentIndex = path.length - 1;
     
-    return actionRecord.id;
+    for (let next = this.getNode(this.currentId).activeChild; next; next = this.nodes.get(next).activeChild) {
+      path.push(this.nodes.get(next));
+    }
+    this.history = path;
+  }
+  
+  // Over the limit, drop the oldest action on another branch; only when the
+  // active branch is all that is left does its first action go
+  pruneHistory() {
+    while (this.nodes.size > this.maxHistorySize) {
+      const onPath = new Set(this.history.map(node => node.id));
+      const leaf = [...this.nodes.values()].find(node => node.children.length === 0 && !onPath.has(node.id));
+      
+      if (leaf) {
+        const parent = this.getNode(leaf.parentId);
+        parent.children = parent.children.filter(id => id !== leaf.id);
+        if (parent.activeChild === leaf.id) parent.activeChild = parent.children[parent.children.length - 1] || null;
+      } else {
+        // Its effect becomes part of the starting state
+        const first = this.history[0];
+        this.root.children = first.children;
+        this.root.activeChild = first.activeChild;
+        first.children.forEach(id => { this.nodes.get(id).parentId = null; });
+        if (this.currentId === first.id) this.currentId = null;
+      }
+      
+      this.nodes.delete((leaf || this.history[0]).id);
+      this.refreshPath();
+    }
+    
+    const used = new Set([this.root.branchId, ...[...this.nodes.values()].map(node => node.branchId)]);
+    [...this.branches.keys()].filter(id => !used.has(id)).forEach(id => this.branches.delete(id));
+  }
+  
+  /**
+   * Branches with their tip (last action) and length. The current branch is
+   * the one holding the current action.
+   */
+  getBranches() {
+    const current = this.getNode(this.currentId).branchId;
+    return [...this.branches.values()].map(branch => {
+      const nodes = [...this.nodes.values()].filter(node => node.branchId === branch.id);
+      const tip = nodes.find(node => !node.children.some(id => this.nodes.get(id).branchId === branch.id));
+      return {
+        ...branch,
+        length: nodes.length,
+        tipId: tip ? tip.id : null,
+        isCurrent: branch.id === current,
+        isActive: this.history.some(node => node.branchId === branch.id)
+      };
+    }).filter(branch => branch.length > 0);
+  }
+  
+  // Every recorded action as a node, parents before children
+  getTree() {
+    const onPath = new Set(this.history.map(node => node.id));
+    const nodes = [];
+    const visit = (id, depth) => {
+      const node = this.nodes.get(id);
+      nodes.push({
+        id: node.id,
+        parentId: node.parentId,
+        branchId: node.branchId,
+        type: node.type,
+        description: node.description,
+        timestamp: node.timestamp,
+        depth,
+        children: [...node.children],
+        isCurrent: node.id === this.currentId,
+        isOnActiveBranch: onPath.has(node.id)
+      });
+      node.children.forEach(child => visit(child, depth + 1));
+    };
+    this.root.children.forEach(id => visit(id, 0));
+    
+    return {
+      rootId: HISTORY_ROOT,
+      currentId: this.currentId,
+      nodes,
+      branches: this.getBranches()
+    };
+  }
+  
+  // Make a branch active and move to its last action
+  switchBranch(branchId) {
+    const branch = this.getBranches().find(b => b.id === branchId);
+    if (!branch) {
+      return { success: false, reason: 'Unknown branch' };
+    }
+    return this.jumpTo(branch.tipId);
+  }
+  
+  requireAssembly() {
+    if (!this.assembly) throw new Error('No assembly to apply commands to');
+    return this.assembly;
   }
   
   // Undo last action
@@ -92,12 +315,10 @@ export class UndoRedoSystem {
     this.isExecutingCommand = true;
     
     try {
-      // Execute undo function
-      if (action.undo) {
-        action.undo(action.data);
-      }
+      this.runUndo(action);
       
-      this.currentIndex--;
+      this.currentId = action.parentId;
+      this.refreshPath();
       this.stats.undoCount++;
       
       // Trigger callback
@@ -136,12 +357,10 @@ export class UndoRedoSystem {
     this.isExecutingCommand = true;
     
     try {
-      // Execute redo function
-      if (action.redo) {
-        action.redo(action.data);
-      }
+      this.runRedo(action);
       
-      this.currentIndex++;
+      this.currentId = action.id;
+      this.refreshPath();
       this.stats.redoCount++;
       
       // Trigger callback
@@ -180,28 +399,37 @@ export class UndoRedoSystem {
   endBatch() {
     if (!this.isBatching) return;
     
-    const batchAction = {
+    const actions = this.batchActions;
+    this.isBatching = false;
+    this.batchActions = [];
+    if (actions.length === 0) return;
+    
+    // A batch of commands is itself a command, so it can be saved
+    if (actions.every(action => action.command)) {
+      this.recordCommand({ type: this.actionTypes.BATCH, commands: actions.map(action => action.command) }, this.batchDescription);
+      return;
+    }
+    
+    const records = actions.map(action => (action.command
+      ? this.createCommandRecord(action.command, action.description)
+      : action));
+    this.recordAction({
       type: this.actionTypes.BATCH,
       description: this.batchDescription,
-      data: { actions: this.batchActions },
+      data: { actions: records },
       undo: (data) => {
         // Undo all actions in reverse order
         for (let i = data.actions.length - 1; i >= 0; i--) {
-          const action = data.actions[i];
-          if (action.undo) action.undo(action.data);
+          this.runUndo(data.actions[i]);
         }
       },
       redo: (data) => {
         // Redo all actions in order
         for (const action of data.actions) {
-          if (action.redo) action.redo(action.data);
+          this.runRedo(action);
         }
       }
-    };
-    
-    this.recordAction(batchAction);
-    this.isBatching = false;
-    this.batchActions = [];
+    });
   }
   
   // Check if can undo
@@ -221,6 +449,8 @@ export class UndoRedoSystem {
       canRedo: this.canRedo(),
       historyLength: this.history.length,
       currentIndex: this.currentIndex,
+      currentBranchId: this.getNode(this.currentId).branchId,
+      branchCount: this.getBranches().length,
       currentAction: this.currentIndex >= 0 ? this.history[this.currentIndex] : null,
       nextAction: this.canRedo() ? this.history[this.currentIndex + 1] : null
     };
@@ -239,31 +469,39 @@ export class UndoRedoSystem {
     }));
   }
   
-  // Jump to specific point in history
-  jumpTo(targetIndex) {
-    if (targetIndex < 0 || targetIndex >= this.history.length) {
+  // Jump to an index on the active branch, or to any node id (or
+  // HISTORY_ROOT) in any branch
+  jumpTo(target) {
+    const targetId = typeof target === 'number' ? this.history[target]?.id : target;
+    if (targetId === undefined || !this.getNode(targetId)) {
       return { success: false, reason: 'Invalid history index' };
     }
     
-    const steps = targetIndex - this.currentIndex;
+    // Undo up to the closest common ancestor
+    const ancestors = new Set([HISTORY_ROOT]);
+    for (let node = this.nodes.get(targetId); node; node = this.nodes.get(node.parentId)) {
+      ancestors.add(node.id);
+    }
+    while (!ancestors.has(this.currentId ?? HISTORY_ROOT)) {
+      const result = this.undo();
+      if (!result.success) return result;
+    }
     
-    if (steps > 0) {
-      // Redo to target
-      for (let i = 0; i < steps; i++) {
-        const result = this.redo();
-        if (!result.success) return result;
-      }
-    } else if (steps < 0) {
-      // Undo to target
-      for (let i = 0; i < Math.abs(steps); i++) {
-        const result = this.undo();
-        if (!result.success) return result;
-      }
+    // Then redo down the target's branch
+    const down = [];
+    for (let node = this.nodes.get(targetId); node && node.id !== this.currentId; node = this.nodes.get(node.parentId)) {
+      down.unshift(node);
+    }
+    for (const node of down) {
+      this.getNode(node.parentId).activeChild = node.id;
+      this.refreshPath();
+      const result = this.redo();
+      if (!result.success) return result;
     }
     
     return {
       success: true,
-      description: `Jumped to action ${targetIndex}`
+      description: typeof target === 'number' ? `Jumped to action ${target}` : `Jumped to ${this.getNode(targetId).description || 'start'}`
     };
   }
   
@@ -271,6 +509,7 @@ export class UndoRedoSystem {
   clear() {
     this.history = [];
     this.currentIndex = -1;
+    this.resetTree();
     this.stats = {
       totalActions: 0,
       undoCount: 0,
@@ -315,6 +554,8 @@ export class UndoRedoSystem {
       [this.actionTypes.ADD_PIECE]: 'Add piece',
       [this.actionTypes.REMOVE_PIECE]: 'Remove piece',
       [this.actionTypes.MOVE_PIECE]: 'Move piece',
+      [this.actionTypes.ROTATE_PIECE]: 'Rotate piece',
+      [this.actionTypes.SCALE_PIECE]: 'Scale piece',
       [this.actionTypes.CONNECT]: 'Connect pieces',
       [this.actionTypes.DISCONNECT]: 'Disconnect pieces',
       [this.actionTypes.MODIFY_PIECE]: 'Modify piece',
@@ -351,12 +592,131 @@ export class UndoRedoSystem {
         type: action.type,
         description: action.description,
         timestamp: action.timestamp,
-        data: action.data
+        data: action.data,
+        command: action.command || null
       })),
       currentIndex: this.currentIndex,
       stats: this.stats
     };
   }
+  
+  /**
+   * Saveable history tree. Closure actions cannot be saved, so only actions
+   * reachable from the current one without undoing or redoing a closure are
+   * kept; the deepest closure above the current action becomes the root.
+   */
+  toJSON() {
+    let base = this.getNode(this.currentId);
+    while (base !== this.root && base.command) base = this.getNode(base.parentId);
+    
+    const saved = new Set();
+    const visit = (id) => {
+      const node = this.nodes.get(id);
+      if (!node?.command || saved.has(id)) return;
+      saved.add(id);
+      visit(node.parentId);
+      node.children.forEach(visit);
+    };
+    base.children.forEach(visit);
+    
+    const entries = [...this.nodes.values()].filter(node => saved.has(node.id)).map(node => ({
+      id: node.id,
+      type: node.type,
+      description: node.description,
+      timestamp: node.timestamp,
+      command: node.command,
+      parentId: saved.has(node.parentId) ? node.parentId : null,
+      branchId: node.branchId,
+      activeChild: saved.has(node.activeChild) ? node.activeChild : null
+    }));
+    const currentId = saved.has(this.currentId) ? this.currentId : null;
+    const branchIds = new Set(entries.map(entry => entry.branchId));
+    
+    return {
+      version: HISTORY_FORMAT_VERSION,
+      currentIndex: currentId === null ? -1 : this.currentIndex - this.history.findIndex(node => saved.has(node.id)),
+      currentId,
+      activeChild: saved.has(base.activeChild) ? base.activeChild : null,
+      entries,
+      branches: [...this.branches.values()].filter(branch => branchIds.has(branch.id)),
+      stats: { ...this.stats }
+    };
+  }
+  
+  /**
+   * Replace the history with one saved by toJSON(). The assembly must be in
+   * the state it was saved in. Linear 2.x stacks (no parentId) still load.
+   */
+  restore(data) {
+    if (!data || !Array.isArray(data.entries) || !Number.isInteger(data.currentIndex)) {
+      return { success: false, reason: 'Invalid history data' };
+    }
+    
+    const unknown = data.entries.find(entry => !this.registry.canReplay(entry.command));
+    if (unknown) {
+      return { success: false, reason: `Unknown command type: ${unknown.command?.type ?? unknown.type}` };
+    }
+    
+    const tree = data.entries.some(entry => entry.parentId !== undefined);
+    const ids = new Set();
+    const orphan = data.entries.find((entry, index) => {
+      const parentId = tree ? entry.parentId : (data.entries[index - 1]?.id ?? null);
+      ids.add(entry.id);
+      return parentId !== null && (!ids.has(parentId) || parentId === entry.id);
+    });
+    if (orphan || ids.size !== data.entries.length) {
+      return { success: false, reason: 'History entries do not form a tree' };
+    }
+    
+    this.resetTree();
+    (data.branches || []).forEach(branch => this.branches.set(branch.id, { ...branch }));
+    data.entries.forEach((entry, index) => {
+      const record = this.createCommandRecord(entry.command, entry.description, entry.id, entry.timestamp);
+      record.parentId = tree ? entry.parentId : (data.entries[index - 1]?.id ?? null);
+      record.children = [];
+      record.activeChild = tree ? entry.activeChild ?? null : (data.entries[index + 1]?.id ?? null);
+      record.branchId = entry.branchId || 'main';
+      if (!this.branches.has(record.branchId)) {
+        this.branches.set(record.branchId, { id: record.branchId, name: record.branchId, forkId: record.parentId, createdAt: record.timestamp });
+      }
+      this.getNode(record.parentId).children.push(record.id);
+      this.nodes.set(record.id, record);
+    });
+    
+    // Active children must point at existing children, and along the path
+    // to the current action
+    this.root.activeChild = tree ? data.activeChild ?? null : (data.entries[0]?.id ?? null);
+    [this.root, ...this.nodes.values()].forEach(node => {
+      if (!node.children.includes(node.activeChild)) node.activeChild = node.children[node.children.length - 1] || null;
+    });
+    const currentId = tree ? data.currentId ?? null : (data.entries[data.currentIndex]?.id ?? null);
+    this.currentId = this.nodes.has(currentId) ? currentId : null;
+    for (let node = this.nodes.get(this.currentId); node; node = this.nodes.get(node.parentId)) {
+      this.getNode(node.parentId).activeChild = node.id;
+    }
+    this.branchCounter = Math.max(0, ...[...this.branches.keys()].map(id => parseInt(id.replace('branch_', ''), 10) || 0));
+    
+    this.refreshPath();
+    this.pruneHistory();
+    this.stats = { ...this.stats, ...data.stats };
+    
+    if (this.callbacks.onHistoryChange) {
+      this.callbacks.onHistoryChange(this.getState());
+    }
+    
+    return { success: true, restored: this.nodes.size };
+  }
+  
+  static fromJSON(data, options = {}) {
+    const system = new UndoRedoSystem(options.maxHistorySize, options);
+    const result = system.restore(data);
+    if (!result.success) {
+      const error = new Error(result.reason);
+      error.code = 'INVALID_HISTORY';
+      throw error;
+    }
+    return system;
+  }
 }
 
 // Helper function to create action records
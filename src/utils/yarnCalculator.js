@@ -1,6 +1,9 @@
 // src/utils/yarnCalculator.js
 // D17: Yarn requirement calculations and cost estimation
 
+import { CrochetPattern, toStitchTokens } from '../types/patternModel';
+import { describeColorRef } from '../lib/yarnColors';
+
 export class YarnCalculator {
   constructor() {
     this.yarnWeights = new Map();
@@ -217,32 +220,59 @@ export class YarnCalculator {
       gauge = null,
       projectType = 'general',
       addWaste = true,
-      wasteFactor = 0.1 // 10% waste
+      wasteFactor = 0.1, // 10% waste
+      baseColor = null, // hex of the piece colour, for the per-colour breakdown
+      palette = {}
     } = options;
     
-    // Calculate base consumption
-    let totalConsumption = 0; // in cm
-    
-    for (const stitch of pattern) {
-      const baseConsumption = this.stitchConsumption.get(stitch) || 3.5;
-      const weightFactor = this.getWeightFactor(yarnWeight);
-      totalConsumption += baseConsumption * weightFactor;
-    }
+    // Accept pattern text, parsed rounds or a CrochetPattern as well as tokens.
+    // Token lists carry no colours; everything else is split per yarn.
+    const isTokenList = Array.isArray(pattern) && pattern.every(token => typeof token === 'string');
+    const model = isTokenList ? null : CrochetPattern.from(pattern);
+    const roundTokens = model ? model.toRoundTokens() : [pattern];
+    pattern = roundTokens.flat();
     
-    // Apply gauge adjustment if provided
+    // Adjust for gauge and waste once, for the total and every colour alike
+    let factor = this.getWeightFactor(yarnWeight);
     if (gauge) {
       const defaultGauge = this.gaugeDefaults.get(yarnWeight);
       if (defaultGauge) {
-        const gaugeFactor = defaultGauge.stitches / gauge.stitches;
-        totalConsumption *= gaugeFactor;
+        factor *= defaultGauge.stitches / gauge.stitches;
       }
     }
-    
-    // Add waste factor
     if (addWaste) {
-      totalConsumption *= (1 + wasteFactor);
+      factor *= (1 + wasteFactor);
     }
     
+    // Calculate base consumption per round, shared between a round's yarns by stitches worked
+    let totalConsumption = 0; // in cm
+    const byColor = new Map();
+    
+    roundTokens.forEach((tokens, roundIndex) => {
+      let roundConsumption = 0;
+      for (const stitch of tokens) {
+        const baseConsumption = this.stitchConsumption.get(stitch) || 3.5;
+        roundConsumption += baseConsumption * factor;
+      }
+      totalConsumption += roundConsumption;
+      
+      const round = model?.rounds[roundIndex];
+      const shares = new Map();
+      round?.stitches.forEach(stitch => {
+        const color = stitch.color || round.color || null;
+        shares.set(color, (shares.get(color) || 0) + 1);
+      });
+      if (shares.size === 0) shares.set(round?.color || null, 1);
+      
+      const stitchTotal = Array.from(shares.values()).reduce((sum, n) => sum + n, 0);
+      shares.forEach((stitches, color) => {
+        const entry = byColor.get(color) || { centimeters: 0, stitches: 0 };
+        entry.centimeters += roundConsumption * (stitches / stitchTotal);
+        entry.stitches += round ? stitches : 0;
+        byColor.set(color, entry);
+      });
+    });
+    
     // Convert to standard measurements
     const meters = totalConsumption / 100;
     const yards = meters * 1.09361;
@@ -253,6 +283,30 @@ export class YarnCalculator {
     const metersPerSkein = yarnInfo?.meters100g || 190;
     const skeinsNeeded = Math.ceil(meters / metersPerSkein);
     
+    // One entry per yarn; the extra skein goes on the main (first) colour
+    const colors = Array.from(byColor.entries()).map(([color, entry], index) => {
+      const colorMeters = entry.centimeters / 100;
+      const colorGrams = this.metersToGrams(colorMeters, yarnWeight);
+      const needed = Math.max(1, Math.ceil(colorMeters / metersPerSkein));
+      return {
+        color,
+        name: describeColorRef(color),
+        hex: model ? model.resolveColor(color, baseColor, palette) : baseColor,
+        stitches: entry.stitches,
+        consumption: {
+          centimeters: Math.round(entry.centimeters),
+          meters: Math.round(colorMeters * 10) / 10,
+          yards: Math.round(colorMeters * 1.09361 * 10) / 10,
+          grams: Math.round(colorGrams)
+        },
+        skeins: {
+          needed,
+          recommended: index === 0 ? needed + 1 : needed
+        }
+      };
+    });
+    const colorSkeins = colors.reduce((sum, c) => sum + c.skeins.recommended, 0);
+    
     return {
       pattern: {
         stitchCount: pattern.length,
@@ -267,7 +321,8 @@ export class YarnCalculator {
       },
       skeins: {
         needed: skeinsNeeded,
-        recommended: skeinsNeeded + 1, // Buy extra
+        // Buy extra; every colour is bought as whole skeins
+        recommended: Math.max(skeinsNeeded + 1, colorSkeins),
         perSkein: {
           meters: metersPerSkein,
           grams: 100
@@ -277,7 +332,8 @@ export class YarnCalculator {
         included: addWaste,
         percentage: wasteFactor * 100,
         meters: Math.round(meters * wasteFactor * 10) / 10
-      }
+      },
+      colors
     };
   }
   
@@ -356,6 +412,7 @@ export class YarnCalculator {
     };
     
     const baseSpeed = stitchesPerMinute || speedBySkill[skillLevel] || 25;
+    pattern = toStitchTokens(pattern);
     
     // Calculate time for each stitch type
     let totalMinutes = 0;
@@ -602,7 +659,22 @@ export class YarnCalculator {
       total: 0
     };
     
-    if (calculations.yarnRequirement) {
+    const colors = calculations.yarnRequirement?.colors || [];
+    if (colors.length > 1) {
+      // One line per yarn colour
+      const yarnType = calculations.cost?.yarn.type || 'Yarn';
+      const pricePerSkein = calculations.cost?.yarn.pricePerSkein || 0;
+      colors.forEach(color => {
+        list.yarn.push({
+          item: `${yarnType} - ${color.name}`,
+          color: color.hex,
+          quantity: color.skeins.recommended,
+          unit: 'skeins',
+          meters: color.consumption.meters,
+          price: Math.round(color.skeins.recommended * pricePerSkein * 100) / 100
+        });
+      });
+    } else if (calculations.yarnRequirement) {
       list.yarn.push({
         item: calculations.cost?.yarn.type || 'Yarn',
         quantity: calculations.yarnRequirement.skeins.recommended,
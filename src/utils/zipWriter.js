@@ -0,0 +1,86 @@
+// src/utils/zipWriter.js
+// Minimal .zip writer for bundling exported files
+
+import { crc32 } from './deflate';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Zip archive of { name, data } files, data being a Uint8Array or a
+ * string (written as UTF-8). Entries are stored uncompressed: the archive
+ * is meant for PNG frames and the like, which are compressed already.
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const stamp = dosDateTime(date);
+  const entries = files.map(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return { name, data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  const header = (signature, entry, central) => {
+    view.setUint32(offset, signature, true);
+    offset += 4;
+    if (central) {
+      view.setUint16(offset, 20, true);
+      offset += 2;
+    }
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, UTF8_NAMES, true);
+    view.setUint16(offset + 4, 0, true); // stored
+    view.setUint16(offset + 6, stamp.time, true);
+    view.setUint16(offset + 8, stamp.date, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+    view.setUint16(offset + 24, 0, true);
+    offset += 26;
+  };
+
+  entries.forEach(entry => {
+    entry.offset = offset;
+    header(LOCAL_HEADER, entry, false);
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+    bytes.set(entry.data, offset);
+    offset += entry.data.length;
+  });
+
+  const centralStart = offset;
+  entries.forEach(entry => {
+    header(CENTRAL_HEADER, entry, true);
+    // Comment length, disk, attributes (left zero), then the local header
+    offset += 10;
+    view.setUint32(offset, entry.offset, true);
+    offset += 4;
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+  });
+
+  view.setUint32(offset, END_OF_DIRECTORY, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+
+  return bytes;
+}